@@ -0,0 +1,490 @@
+/**
+ * Question Bank Loader
+ * Converts question bank exports into rows shaped like the phpMyAdmin
+ * mdl_question dump in questions.js ({QuestionText, CategoryId,
+ * QuestionType, Answers}, plus Tolerance for numerical questions), so
+ * imported questions go through the same parsing, ids and checks as the
+ * built-in bank.
+ *
+ * Formats are pluggable: each one can detect its input and parse it into
+ * { questions, skipped }. Moodle XML, GIFT and the phpMyAdmin JSON dump
+ * are built in; more can be added with BankLoader.registerFormat().
+ *
+ * Imported text is rendered as HTML by the quiz, so it is cut down to a
+ * safe list of tags and attributes on the way in. Moodle XML needs a
+ * browser (DOMParser); the other formats also parse under Node.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Configuration
+  const FULL_MARK = '1.0000000';
+  const NO_MARK = '0.0000000';
+  const NAME_LENGTH = 60;
+  const NUMBER_START = /^\s*[-+]?(\d|\.\d)/;
+  const SAFE_TAGS = new Set(['a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol',
+    'p', 'pre', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul']);
+  const SAFE_ATTRIBUTES = { a: ['href', 'title'], img: ['src', 'alt', 'title', 'width', 'height'], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'] };
+  const SAFE_URLS = { href: /^(https?:|mailto:|#)/i, src: /^(https?:|data:image\/)/i };
+  const UNSAFE_CONTENT = /<(script|style|iframe|object|embed|template|noscript|textarea|title|xmp)\b[\s\S]*?<\/\1\s*>/gi;
+  const TAG_PATTERN = /<(\/?)([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|<(?=[a-z/!?])/gi;
+  const ATTRIBUTE_PATTERN = /([a-z][a-z0-9-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+  // State
+  const formats = [];
+
+  /**
+   * Add a format: { name, label, detect(text, fileName), parse(text) }.
+   * parse returns { questions, skipped } where each question is
+   * { name, text, type, category, answers: [{ text, fraction }] } with
+   * fraction 0–1, and each skipped entry is { name, reason }. Numerical
+   * questions have a single answer "value unit" with an absolute tolerance.
+   */
+  function registerFormat(format) {
+    formats.push(format);
+  }
+
+  /**
+   * Pick the format for an input, by explicit name or by detection
+   */
+  function findFormat(text, fileName, name) {
+    if (name) return formats.find(f => f.name === name) || null;
+    return formats.find(f => f.detect(text, fileName || '')) || null;
+  }
+
+  /**
+   * Convert an export into bank rows. resolveCategory(path) maps a
+   * category name/path from the file to a CategoryId (or null).
+   * Returns { format, rows, skipped }.
+   */
+  function convert(text, options) {
+    const opts = options || {};
+    const format = findFormat(text, opts.fileName, opts.format);
+    if (!format) {
+      throw new Error('Unrecognised file: expected Moodle XML, GIFT or a phpMyAdmin JSON export');
+    }
+
+    const parsed = format.parse(text);
+    const rows = [];
+    const skipped = parsed.skipped.slice();
+
+    parsed.questions.forEach(question => {
+      const reason = checkQuestion(question);
+      if (reason) {
+        skipped.push({ name: question.name, reason: reason });
+        return;
+      }
+
+      const categoryId = opts.resolveCategory ? opts.resolveCategory(question.category || '') : null;
+      if (!categoryId) {
+        skipped.push({ name: question.name, reason: `no chapter for category "${question.category || '(none)'}"` });
+        return;
+      }
+
+      const row = {
+        QuestionText: sanitizeHtml(question.text),
+        CategoryId: String(categoryId),
+        QuestionType: question.type,
+        Answers: question.answers
+          .map(a => `${sanitizeHtml(a.text).replace(/,/g, '[comma]')}[col]${a.fraction >= 1 ? FULL_MARK : a.fraction > 0 ? a.fraction.toFixed(7) : NO_MARK}`)
+          .join('[col]')
+      };
+      if (question.type === 'numerical') row.Tolerance = String(question.answers[0].tolerance || 0);
+      rows.push(row);
+    });
+
+    return { format: format.label, rows: rows, skipped: skipped };
+  }
+
+  /**
+   * Keep only safe markup: tags outside SAFE_TAGS are dropped (script and
+   * style with their content), and so is every attribute but a few plain
+   * ones, links and image sources
+   */
+  function sanitizeHtml(html) {
+    return String(html)
+      .replace(UNSAFE_CONTENT, '')
+      .replace(/<!--[\s\S]*?(?:-->|$)/g, '')
+      .replace(TAG_PATTERN, (match, slash, tag, attributes) => {
+        if (!tag) return '&lt;';          // a "<" that doesn't open a complete tag
+        const name = tag.toLowerCase();
+        if (!SAFE_TAGS.has(name)) return '';
+        return slash ? `</${name}>` : `<${name}${sanitizeAttributes(name, attributes)}>`;
+      });
+  }
+
+  /**
+   * The allowed attributes of a tag, re-quoted
+   */
+  function sanitizeAttributes(tag, attributes) {
+    const allowed = SAFE_ATTRIBUTES[tag] || [];
+    let result = '';
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(attributes)) !== null) {
+      const name = match[1].toLowerCase();
+      const value = [match[2], match[3], match[4]].find(v => v !== undefined);
+      if (!allowed.includes(name) || (SAFE_URLS[name] && !SAFE_URLS[name].test(value.trim()))) continue;
+      result += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+    }
+    return result + (tag === 'a' ? ' target="_blank" rel="noopener"' : '');
+  }
+
+  /**
+   * Why a parsed question can't be used by the quiz (or '' if it can)
+   */
+  function checkQuestion(question) {
+    if (!question.text || !question.text.trim()) return 'no question text';
+    if (question.type === 'numerical') {
+      if (question.answers.length !== 1 || !NUMBER_START.test(question.answers[0].text)) return 'no numeric answer';
+      return '';
+    }
+    if (question.type !== 'multichoice') return `${question.type} questions are not supported`;
+    if (question.answers.length < 2) return 'fewer than two options';
+    if (question.answers.some(a => a.text.includes('[col]'))) return 'an option contains "[col]"';
+
+    const correct = question.answers.filter(a => a.fraction >= 1).length;
+    if (correct === 0) return 'no option is fully correct';
+    if (correct > 1) return 'more than one option is fully correct';
+    return '';
+  }
+
+  /**
+   * Short label for a question in reports
+   */
+  function questionName(name, text) {
+    const plain = String(name || text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return plain.length > NAME_LENGTH ? plain.substring(0, NAME_LENGTH - 1) + '…' : plain;
+  }
+
+  // ---- Moodle XML ----
+
+  /**
+   * Text of the <text> child of an element, with embedded files inlined
+   */
+  function xmlText(element) {
+    if (!element) return '';
+    const textEl = Array.from(element.children).find(child => child.tagName === 'text');
+    let text = textEl ? textEl.textContent : '';
+
+    // Images exported as @@PLUGINFILE@@/name with a base64 <file> alongside
+    Array.from(element.children)
+      .filter(child => child.tagName === 'file' && child.getAttribute('encoding') === 'base64')
+      .forEach(file => {
+        const name = file.getAttribute('name');
+        const uri = `data:${guessMimeType(name)};base64,${file.textContent.trim()}`;
+        text = text.split(`@@PLUGINFILE@@/${encodeURIComponent(name)}`).join(uri);
+        text = text.split(`@@PLUGINFILE@@/${name}`).join(uri);
+      });
+
+    return text.trim();
+  }
+
+  /**
+   * MIME type from an image file name
+   */
+  function guessMimeType(name) {
+    const ext = String(name).split('.').pop().toLowerCase();
+    return {
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      gif: 'image/gif',
+      svg: 'image/svg+xml',
+      webp: 'image/webp'
+    }[ext] || 'application/octet-stream';
+  }
+
+  function parseMoodleXml(text) {
+    if (typeof DOMParser === 'undefined') throw new Error('Moodle XML can only be read in a browser');
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      throw new Error('The XML file is not well-formed');
+    }
+
+    const questions = [];
+    const skipped = [];
+    let category = '';
+
+    Array.from(doc.getElementsByTagName('question')).forEach(el => {
+      const type = el.getAttribute('type');
+      const child = tag => Array.from(el.children).find(c => c.tagName === tag);
+
+      if (type === 'category') {
+        category = xmlText(child('category'));
+        return;
+      }
+
+      const questionText = xmlText(child('questiontext'));
+      const name = questionName(xmlText(child('name')), questionText);
+      const answers = Array.from(el.children)
+        .filter(c => c.tagName === 'answer')
+        .map(a => ({ text: xmlText(a), fraction: parseFloat(a.getAttribute('fraction') || '0') / 100 }));
+
+      if (type === 'multichoice') {
+        const single = (xmlText(child('single')) || (child('single') && child('single').textContent) || 'true').trim();
+        if (single === 'false' || single === '0') {
+          skipped.push({ name: name, reason: 'multiple-response questions are not supported' });
+          return;
+        }
+        questions.push({ name: name, text: questionText, type: 'multichoice', category: category, answers: answers });
+      } else if (type === 'truefalse') {
+        questions.push({
+          name: name,
+          text: questionText,
+          type: 'multichoice',
+          category: category,
+          answers: answers.map(a => ({ text: /^true$/i.test(a.text) ? 'True' : /^false$/i.test(a.text) ? 'False' : a.text, fraction: a.fraction }))
+        });
+      } else if (type === 'numerical') {
+        const best = Array.from(el.children)
+          .filter(c => c.tagName === 'answer')
+          .sort((a, b) => parseFloat(b.getAttribute('fraction') || '0') - parseFloat(a.getAttribute('fraction') || '0'))[0];
+        const tolerance = best && best.getElementsByTagName('tolerance')[0];
+        // The unit with multiplier 1 is the one the answer is given in
+        const unit = Array.from(el.getElementsByTagName('unit'))
+          .find(u => parseFloat((u.getElementsByTagName('multiplier')[0] || {}).textContent) === 1);
+        const unitName = unit && unit.getElementsByTagName('unit_name')[0];
+
+        questions.push({
+          name: name,
+          text: questionText,
+          type: 'numerical',
+          category: category,
+          answers: best ? [{
+            text: `${xmlText(best).trim()}${unitName ? ` ${unitName.textContent.trim()}` : ''}`,
+            fraction: 1,
+            tolerance: tolerance ? parseFloat(tolerance.textContent) || 0 : 0
+          }] : []
+        });
+      } else {
+        skipped.push({ name: name, reason: `${type} questions are not supported` });
+      }
+    });
+
+    return { questions: questions, skipped: skipped };
+  }
+
+  registerFormat({
+    name: 'moodle-xml',
+    label: 'Moodle XML',
+    detect: (text, fileName) => /\.xml$/i.test(fileName) || /^\s*(<\?xml[^>]*>\s*)?<quiz[\s>]/.test(text),
+    parse: parseMoodleXml
+  });
+
+  // ---- GIFT ----
+
+  // Escaped GIFT characters are swapped for private-use placeholders while parsing
+  const GIFT_ESCAPES = { '~': '\uE000', '=': '\uE001', '#': '\uE002', '{': '\uE003', '}': '\uE004', ':': '\uE005', '\\': '\uE006' };
+
+  function giftProtect(text) {
+    return text.replace(/\\([~=#{}:\\])/g, (match, ch) => GIFT_ESCAPES[ch]);
+  }
+
+  function giftRestore(text) {
+    let result = text;
+    Object.keys(GIFT_ESCAPES).forEach(ch => {
+      result = result.split(GIFT_ESCAPES[ch]).join(ch);
+    });
+    return result.replace(/\\n/g, '\n');
+  }
+
+  /**
+   * Strip GIFT markup ([html], [markdown], [plain] prefixes) from a text
+   */
+  function giftFormatText(text) {
+    const match = text.trim().match(/^\[(html|moodle|markdown|plain)\]\s*([\s\S]*)$/);
+    const body = match ? match[2] : text.trim();
+    const restored = giftRestore(body);
+    return match && match[1] === 'html' ? restored : escapeHtml(restored).replace(/\n/g, '<br>');
+  }
+
+  /**
+   * Parse the answer block between { and }
+   */
+  function parseGiftAnswers(block) {
+    const body = block.trim();
+
+    if (body === '') return { type: 'essay' };
+    if (/^(T|TRUE|F|FALSE)\b/i.test(body)) {
+      const isTrue = /^T/i.test(body);
+      return {
+        type: 'multichoice',
+        answers: [
+          { text: 'True', fraction: isTrue ? 1 : 0 },
+          { text: 'False', fraction: isTrue ? 0 : 1 }
+        ]
+      };
+    }
+    if (body.startsWith('#')) return parseGiftNumber(body.substring(1));
+    if (body.includes('->')) return { type: 'matching' };
+
+    const parts = body.match(/[=~][^=~]*/g) || [];
+    if (!parts.some(p => p.startsWith('~'))) return { type: 'shortanswer' };
+
+    const answers = parts.map(part => {
+      let text = part.substring(1).split('#')[0].trim();
+      let fraction = part.startsWith('=') ? 1 : 0;
+
+      const weight = text.match(/^%(-?\d+(?:\.\d+)?)%\s*/);
+      if (weight) {
+        fraction = parseFloat(weight[1]) / 100;
+        text = text.substring(weight[0].length);
+      }
+      return { text: giftFormatText(text), fraction: fraction };
+    });
+
+    return { type: 'multichoice', answers: answers };
+  }
+
+  /**
+   * Numerical answers: "1538:5", "1.5..2.0", or several "=value:tolerance"
+   * with weights, of which the fully correct one is kept
+   */
+  function parseGiftNumber(body) {
+    const parts = body.trim().startsWith('=') ? body.match(/=[^=~]*/g) : [body];
+    const best = parts
+      .map(part => {
+        let text = part.replace(/^=/, '').split('#')[0].trim();
+        let fraction = 1;
+        const weight = text.match(/^%(-?\d+(?:\.\d+)?)%\s*/);
+        if (weight) {
+          fraction = parseFloat(weight[1]) / 100;
+          text = text.substring(weight[0].length);
+        }
+        return { text: text, fraction: fraction };
+      })
+      .sort((a, b) => b.fraction - a.fraction)[0];
+
+    const range = best && best.text.match(/^(\S+)\s*\.\.\s*(\S+)$/);
+    const single = best && best.text.match(/^([^:\s]+)\s*(?::\s*(\S+))?$/);
+    let answer = null;
+    if (range) {
+      const min = parseFloat(range[1]);
+      const max = parseFloat(range[2]);
+      answer = { text: String((min + max) / 2), fraction: 1, tolerance: Math.abs(max - min) / 2 };
+    } else if (single) {
+      answer = { text: single[1], fraction: 1, tolerance: parseFloat(single[2]) || 0 };
+    }
+    return { type: 'numerical', answers: answer ? [answer] : [] };
+  }
+
+  function parseGift(text) {
+    const questions = [];
+    const skipped = [];
+    let category = '';
+
+    // Drop comment lines, then split into blank-line separated entries
+    const source = giftProtect(text.replace(/\r\n?/g, '\n'))
+      .split('\n')
+      .filter(line => !/^\s*\/\//.test(line))
+      .join('\n');
+
+    source.split(/\n\s*\n/).forEach(chunk => {
+      let entry = chunk.trim();
+      if (!entry) return;
+
+      const categoryMatch = entry.match(/^\$CATEGORY:\s*(.+)$/m);
+      if (categoryMatch) {
+        category = giftRestore(categoryMatch[1].trim());
+        entry = entry.replace(categoryMatch[0], '').trim();
+        if (!entry) return;
+      }
+
+      let title = '';
+      const titleMatch = entry.match(/^::([\s\S]*?)::/);
+      if (titleMatch) {
+        title = giftRestore(titleMatch[1].trim());
+        entry = entry.substring(titleMatch[0].length);
+      }
+
+      const open = entry.indexOf('{');
+      const close = entry.lastIndexOf('}');
+      if (open === -1 || close < open) {
+        skipped.push({ name: questionName(title, giftRestore(entry)), reason: 'description or malformed entry (no answer block)' });
+        return;
+      }
+
+      // "Missing word" questions keep a blank where the answers were
+      const before = entry.substring(0, open).trim();
+      const after = entry.substring(close + 1).trim();
+      const questionText = giftFormatText(after ? `${before} _____ ${after}` : before);
+      const name = questionName(title, questionText);
+      const parsed = parseGiftAnswers(entry.substring(open + 1, close));
+
+      if (parsed.type !== 'multichoice' && parsed.type !== 'numerical') {
+        skipped.push({ name: name, reason: `${parsed.type} questions are not supported` });
+        return;
+      }
+      questions.push({ name: name, text: questionText, type: parsed.type, category: category, answers: parsed.answers });
+    });
+
+    return { questions: questions, skipped: skipped };
+  }
+
+  registerFormat({
+    name: 'gift',
+    label: 'GIFT',
+    detect: (text, fileName) => /\.(gift|txt)$/i.test(fileName) || /(^|\n)\s*(::[^\n]*::|\$CATEGORY:)/.test(text),
+    parse: parseGift
+  });
+
+  // ---- phpMyAdmin JSON (same shape as questions.js) ----
+
+  function parsePhpMyAdminJson(text) {
+    const json = JSON.parse(text.replace(/^[^[{]*=\s*/, '').replace(/;\s*$/, ''));
+    const table = Array.isArray(json) && json.find(item => item && item.type === 'table' && item.name === 'mdl_question');
+    if (!table) throw new Error('No mdl_question table in the JSON export');
+
+    const questions = [];
+    const skipped = [];
+    table.data.forEach(row => {
+      const name = questionName('', row.QuestionText);
+      if (row.QuestionType !== 'multichoice' && row.QuestionType !== 'numerical') {
+        skipped.push({ name: name, reason: `${row.QuestionType} questions are not supported` });
+        return;
+      }
+      const parts = String(row.Answers || '').split('[col]');
+      const answers = [];
+      for (let i = 0; i + 1 < parts.length; i += 2) {
+        answers.push({ text: parts[i].replace(/\[comma\]/g, ','), fraction: parseFloat(parts[i + 1]) || 0 });
+      }
+      if (row.QuestionType === 'numerical' && answers[0]) answers[0].tolerance = parseFloat(row.Tolerance) || 0;
+      questions.push({ name: name, text: row.QuestionText, type: row.QuestionType, category: String(row.CategoryId || ''), answers: answers });
+    });
+
+    return { questions: questions, skipped: skipped };
+  }
+
+  registerFormat({
+    name: 'phpmyadmin-json',
+    label: 'phpMyAdmin JSON',
+    detect: (text, fileName) => /\.(json|js)$/i.test(fileName) || /"mdl_question"/.test(text),
+    parse: parsePhpMyAdminJson
+  });
+
+  /**
+   * Escape HTML
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  const api = {
+    registerFormat: registerFormat,
+    convert: convert,
+    sanitizeHtml: sanitizeHtml,
+    getFormats: () => formats.map(f => ({ name: f.name, label: f.label }))
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.BankLoader = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+/**
+ * Search Index Builder
+ * Reads the <main> text of every chapter into the blocks search.js
+ * searches and writes search-index.js, which search.js loads instead of
+ * fetching the chapters. Browsers refuse to fetch files from a page opened
+ * as file://, so without it only the open chapter could be searched there.
+ *
+ * Block numbers must match the ones search.js counts on the live page
+ * (every p, li, td, th, h1–h6, figcaption and pre in <main>, in document
+ * order), so the chapters are parsed with the HTML rules that decide where
+ * those elements start and end: implied </p> and </li>, empty <p> for a
+ * stray </p>, table cells and text moved out of tables.
+ *
+ * Usage: node build-search-index.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CHAPTERS } = require('./chapters');
+
+// Configuration
+const OUTPUT_FILE = 'search-index.js';
+const BLOCK_TAGS = new Set(['p', 'li', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figcaption', 'pre']);
+const SKIP_TAGS = new Set(['script', 'style']);
+const SKIP_CLASS = 'MJX_Assistive_MathML';
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const CLOSES_P = new Set(['address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre',
+  'search', 'section', 'summary', 'table', 'ul', 'li', 'dd', 'dt', 'listing', 'plaintext', 'xmp', ...HEADING_TAGS]);
+const SPECIAL_TAGS = new Set(['address', 'applet', 'area', 'article', 'aside', 'base', 'basefont', 'bgsound', 'blockquote',
+  'body', 'br', 'button', 'caption', 'center', 'col', 'colgroup', 'dd', 'details', 'dir', 'div', 'dl', 'dt', 'embed',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'frame', 'frameset', 'head', 'header', 'hgroup', 'hr', 'html',
+  'iframe', 'img', 'input', 'keygen', 'li', 'link', 'listing', 'main', 'marquee', 'menu', 'meta', 'nav', 'noembed',
+  'noframes', 'noscript', 'object', 'ol', 'p', 'param', 'plaintext', 'pre', 'script', 'search', 'section', 'select',
+  'source', 'style', 'summary', 'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead', 'title', 'tr',
+  'track', 'ul', 'wbr', 'xmp', ...HEADING_TAGS]);
+const FORMATTING_TAGS = new Set(['a', 'b', 'big', 'code', 'em', 'font', 'i', 'nobr', 's', 'small', 'strike', 'strong', 'tt', 'u']);
+const SCOPE_TAGS = new Set(['applet', 'caption', 'html', 'table', 'td', 'th', 'marquee', 'object', 'template']);
+const TABLE_MODE_TAGS = new Set(['table', 'tbody', 'thead', 'tfoot', 'tr']);
+const TABLE_CONTENT_TAGS = new Set(['caption', 'colgroup', 'col', 'tbody', 'thead', 'tfoot', 'tr', 'td', 'th', 'script', 'style', 'template', 'form']);
+const TABLE_SECTION_TAGS = new Set(['tbody', 'thead', 'tfoot']);
+const MATH_TEXT_TAGS = new Set(['mi', 'mo', 'mn', 'ms', 'mtext']);
+const SVG_HTML_TAGS = new Set(['foreignobject', 'desc', 'title']);
+const FOREIGN_BREAKOUT_TAGS = new Set(['b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt',
+  'em', 'embed', 'head', 'hr', 'i', 'img', 'li', 'listing', 'menu', 'meta', 'nobr', 'ol', 'p', 'pre', 'ruby', 's', 'small',
+  'span', 'strong', 'strike', 'sub', 'sup', 'table', 'tt', 'u', 'ul', 'var', ...HEADING_TAGS]);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', deg: '°', times: '×', divide: '÷',
+  plusmn: '±', micro: 'µ', middot: '·', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…',
+  sup2: '²', sup3: '³', frac12: '½', frac14: '¼', frac34: '¾', copy: '©', reg: '®', trade: '™' };
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>?|<\/([a-zA-Z][^\s/>]*)[^>]*>?|<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+const CLASS_PATTERN = /(?:^|\s)class\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i;
+
+/**
+ * Text with character references decoded
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (match, dec, hex, name) => {
+    if (dec || hex) return String.fromCodePoint(parseInt(dec || hex, dec ? 10 : 16));
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : match;
+  });
+}
+
+/**
+ * Parse the markup of <main> into a tree of { tag, ns, classes, parent,
+ * children } elements and { text } nodes, placing elements the way an
+ * HTML parser would for the markup these chapters use
+ */
+function parseMain(html) {
+  const start = html.search(/<main\b/i);
+  if (start < 0) throw new Error('No <main> element');
+
+  const root = { tag: '#root', ns: 'html', classes: [], parent: null, children: [] };
+  const stack = [root];
+  let main = null;
+  let rawText = null;
+
+  const current = () => stack[stack.length - 1];
+  const has = (node, tags) => node.ns === 'html' && tags.has(node.tag);
+  const isScopeMarker = node => has(node, SCOPE_TAGS) || node === root ||
+    (node.ns === 'math' && (MATH_TEXT_TAGS.has(node.tag) || node.tag === 'annotation-xml')) ||
+    (node.ns === 'svg' && SVG_HTML_TAGS.has(node.tag));
+
+  // The open element named by one of tags, unless a scope marker (or an extra one) comes first
+  const inScope = (tags, extra) => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const node = stack[i];
+      if (node.ns === 'html' && tags.has(node.tag)) return node;
+      if (isScopeMarker(node) || (extra && has(node, extra))) return null;
+    }
+    return null;
+  };
+  const inTableScope = tags => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const node = stack[i];
+      if (node.ns === 'html' && tags.has(node.tag)) return node;
+      if (node === root || has(node, new Set(['html', 'table', 'template']))) return null;
+    }
+    return null;
+  };
+  const popUntil = node => {
+    while (stack.length > 1) {
+      if (stack.pop() === node) return;
+    }
+  };
+  const closeP = () => {
+    const p = inScope(new Set(['p']), new Set(['button']));
+    if (p) popUntil(p);
+  };
+
+  // Content directly in a table (outside any cell) is moved in front of it
+  const insert = node => {
+    const parent = current();
+    if (has(parent, TABLE_MODE_TAGS) && !(node.tag && TABLE_CONTENT_TAGS.has(node.tag)) && !(node.text !== undefined && !/\S/.test(node.text))) {
+      const table = stack.slice().reverse().find(n => has(n, new Set(['table'])));
+      node.parent = table.parent;
+      table.parent.children.splice(table.parent.children.indexOf(table), 0, node);
+      return;
+    }
+    node.parent = parent;
+    parent.children.push(node);
+  };
+  const createElement = (tag, ns, attributes) => {
+    const classMatch = attributes ? attributes.match(CLASS_PATTERN) : null;
+    const classes = classMatch ? (classMatch[1] || classMatch[2] || classMatch[3] || '').split(/\s+/).filter(Boolean) : [];
+    return { tag: tag, ns: ns, classes: classes, parent: null, children: [] };
+  };
+  const openElement = (tag, ns, attributes) => {
+    const element = createElement(tag, ns, attributes);
+    insert(element);
+    stack.push(element);
+    return element;
+  };
+
+  const startTag = (tag, attributes, selfClosing) => {
+    const node = current();
+    const foreign = node.ns !== 'html' &&
+      !(node.ns === 'math' && MATH_TEXT_TAGS.has(node.tag) && tag !== 'mglyph' && tag !== 'malignmark') &&
+      !(node.ns === 'svg' && SVG_HTML_TAGS.has(node.tag));
+
+    if (foreign) {
+      if (FOREIGN_BREAKOUT_TAGS.has(tag)) {
+        while (current().ns !== 'html' && !isScopeMarker(current())) stack.pop();
+        startTag(tag, attributes, selfClosing);
+        return;
+      }
+      openElement(tag, node.ns, attributes);
+      if (selfClosing) stack.pop();
+      return;
+    }
+
+    if (tag === 'math' || tag === 'svg') {
+      openElement(tag, tag, attributes);
+      if (selfClosing) stack.pop();
+      return;
+    }
+
+    // Table structure: cells and rows close the open ones; outside a table they are ignored
+    if (TABLE_CONTENT_TAGS.has(tag) && !['script', 'style', 'template', 'form'].includes(tag)) {
+      if (!inTableScope(new Set(['table']))) return;
+      if (tag === 'td' || tag === 'th') {
+        const cell = inTableScope(new Set(['td', 'th']));
+        if (cell) popUntil(cell);
+        if (has(current(), new Set(['table']))) openElement('tbody', 'html');
+        if (has(current(), TABLE_SECTION_TAGS)) openElement('tr', 'html');
+      } else if (tag === 'tr') {
+        const open = inTableScope(new Set(['td', 'th', 'tr']));
+        if (open) popUntil(open.tag === 'tr' ? open : open.parent);
+        if (has(current(), new Set(['tr']))) stack.pop();
+        if (has(current(), new Set(['table']))) openElement('tbody', 'html');
+      } else if (TABLE_SECTION_TAGS.has(tag)) {
+        const open = inTableScope(new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']));
+        if (open) {
+          const table = inTableScope(new Set(['table']));
+          while (current() !== table) stack.pop();
+        }
+      }
+      if (tag === 'col') {
+        insert(createElement(tag, 'html', attributes));
+        return;
+      }
+      openElement(tag, 'html', attributes);
+      return;
+    }
+
+    if (tag === 'table' && has(current(), TABLE_MODE_TAGS)) {
+      popUntil(inTableScope(new Set(['table'])));
+    }
+
+    if (tag === 'li' || tag === 'dd' || tag === 'dt') {
+      const closes = tag === 'li' ? new Set(['li']) : new Set(['dd', 'dt']);
+      for (let i = stack.length - 1; i > 0; i--) {
+        const open = stack[i];
+        if (open.ns === 'html' && closes.has(open.tag)) {
+          popUntil(open);
+          break;
+        }
+        if (open.ns !== 'html' || (SPECIAL_TAGS.has(open.tag) && !['address', 'div', 'p'].includes(open.tag))) break;
+      }
+    }
+
+    if (CLOSES_P.has(tag)) closeP();
+    if (HEADING_TAGS.has(tag) && has(current(), HEADING_TAGS)) stack.pop();
+
+    if (VOID_TAGS.has(tag)) {
+      insert(createElement(tag, 'html', attributes));
+      return;
+    }
+    openElement(tag, 'html', attributes);
+    if (RAW_TEXT_TAGS.has(tag)) rawText = tag;
+  };
+
+  const endTag = tag => {
+    // Foreign elements close by name until an HTML element is reached
+    for (let i = stack.length - 1; i > 0 && stack[i].ns !== 'html'; i--) {
+      if (stack[i].tag === tag) {
+        popUntil(stack[i]);
+        return;
+      }
+    }
+
+    if (tag === 'br') {
+      startTag('br', '', false);
+    } else if (tag === 'p') {
+      const p = inScope(new Set(['p']), new Set(['button']));
+      if (p) {
+        popUntil(p);
+      } else {
+        openElement('p', 'html');      // a stray </p> makes an empty paragraph
+        stack.pop();
+      }
+    } else if (tag === 'li') {
+      const li = inScope(new Set(['li']), new Set(['ol', 'ul']));
+      if (li) popUntil(li);
+    } else if (HEADING_TAGS.has(tag)) {
+      const heading = inScope(HEADING_TAGS);
+      if (heading) popUntil(heading);
+    } else if (TABLE_CONTENT_TAGS.has(tag) || tag === 'table') {
+      const open = inTableScope(new Set([tag]));
+      if (open) popUntil(open);
+    } else if (FORMATTING_TAGS.has(tag)) {
+      // A block opened inside the formatting element keeps its content
+      for (let i = stack.length - 1; i > 0; i--) {
+        const open = stack[i];
+        if (open.ns === 'html' && open.tag === tag) {
+          popUntil(open);
+          return;
+        }
+        if (open.ns === 'html' && SPECIAL_TAGS.has(open.tag)) return;
+      }
+    } else if (SPECIAL_TAGS.has(tag)) {
+      const open = inScope(new Set([tag]));
+      if (open) popUntil(open);
+      if (open && open === main) return 'done';
+    } else {
+      for (let i = stack.length - 1; i > 0; i--) {
+        const open = stack[i];
+        if (open.ns === 'html' && open.tag === tag) {
+          popUntil(open);
+          return;
+        }
+        if (open.ns === 'html' && SPECIAL_TAGS.has(open.tag)) return;
+      }
+    }
+  };
+
+  TOKEN_PATTERN.lastIndex = start;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+    const token = match[0];
+
+    if (rawText) {
+      // Everything up to the matching end tag is text
+      const end = html.toLowerCase().indexOf(`</${rawText}`, match.index);
+      const stop = end < 0 ? html.length : end;
+      insert({ text: html.slice(match.index, stop) });
+      stack.pop();
+      rawText = null;
+      TOKEN_PATTERN.lastIndex = html.indexOf('>', stop) + 1 || html.length;
+      continue;
+    }
+
+    if (match[2]) {
+      const tag = match[2].toLowerCase();
+      const attributes = match[3];
+      startTag(tag, attributes, /\/\s*$/.test(attributes));
+      if (tag === 'main' && !main) main = current();
+    } else if (match[1]) {
+      if (endTag(match[1].toLowerCase()) === 'done') break;
+    } else if (token === '<' || (token[0] !== '<')) {
+      insert({ text: decodeEntities(token) });
+    }
+  }
+
+  return main;
+}
+
+/**
+ * The nearest ancestor (or the node itself) that passes a test, or null
+ */
+function closest(node, test) {
+  for (let n = node; n; n = n.parent) {
+    if (n.tag && test(n)) return n;
+  }
+  return null;
+}
+
+/**
+ * The searchable blocks of a chapter, numbered and labelled like
+ * search.js's extractBlocks: { block, text, head1, head2, heading }
+ */
+function extractBlocks(main) {
+  const elements = [];
+  const texts = new Map();
+
+  (function walk(node) {
+    node.children.forEach(child => {
+      if (child.tag) {
+        if (BLOCK_TAGS.has(child.tag)) elements.push(child);
+        walk(child);
+      } else {
+        if (closest(node, n => SKIP_TAGS.has(n.tag) || n.classes.includes(SKIP_CLASS))) return;
+        const block = closest(node, n => BLOCK_TAGS.has(n.tag));
+        if (block && block !== main) texts.set(block, (texts.get(block) || '') + child.text);
+      }
+    });
+  })(main);
+
+  const blocks = [];
+  let head1 = '';
+  let head2 = '';
+
+  elements.forEach((element, i) => {
+    const text = (texts.get(element) || '').replace(/\s+/g, ' ').trim();
+
+    if (element.tag === 'h2' && element.classes.includes('head1')) {
+      head1 = text;
+      head2 = '';
+    } else if (element.tag === 'h3' && element.classes.includes('head2')) {
+      head2 = text;
+    }
+
+    if (!text) return;
+
+    const block = { block: i, text: text, head1: head1, head2: head2 };
+    if (HEADING_TAGS.has(element.tag)) block.heading = true;
+    blocks.push(block);
+  });
+
+  return blocks;
+}
+
+/**
+ * Write search-index.js: the blocks of each chapter, keyed by page file
+ */
+function writeIndex(file, index) {
+  const chapters = Object.keys(index).map(page => [
+    `  ${JSON.stringify(page)}: [`,
+    index[page].map(block => `    ${JSON.stringify(block)}`).join(',\n'),
+    '  ]'
+  ].join('\n'));
+
+  fs.writeFileSync(file, [
+    '// Text of every chapter for search.js, so all chapters can be searched without fetching them.',
+    '// Generated by build-search-index.js — run it again after editing a chapter.',
+    chapters.length ? `searchIndex = {\n${chapters.join(',\n')}\n};` : 'searchIndex = {};',
+    ''
+  ].join('\n'));
+}
+
+function main() {
+  const root = __dirname;
+  const index = {};
+  const problems = [];
+
+  CHAPTERS.forEach(chapter => {
+    const file = chapter.file;
+    const chapterFile = path.join(root, file);
+    if (!fs.existsSync(chapterFile)) {
+      problems.push(`${file}: not found`);
+      return;
+    }
+    try {
+      index[file] = extractBlocks(parseMain(fs.readFileSync(chapterFile, 'utf8')));
+      console.log(`${file.padEnd(42)} ${index[file].length} block(s)`);
+    } catch (e) {
+      problems.push(`${file}: ${e.message}`);
+    }
+  });
+
+  problems.forEach(problem => console.error(`skipped     ${problem}`));
+  writeIndex(path.join(root, OUTPUT_FILE), index);
+
+  console.log(`\n${OUTPUT_FILE}: ${Object.keys(index).length} of ${CHAPTERS.length} chapter(s)`);
+  return problems.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
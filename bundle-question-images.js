@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Question Image Bundler
+ * Downloads the remote images used in questions.js into images/questions/
+ * and writes question-images.js, which quiz.html uses to swap each remote
+ * src for its local copy. questions.js itself is left untouched, so the
+ * bank can be refreshed from Moodle and this step simply run again.
+ *
+ * Usage: node bundle-question-images.js [questions.js] [--check]
+ *   --check   only report which images are not bundled yet
+ *
+ * Exits with status 1 when any image is still missing.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadQuestionBank } = require('./validate-questions');
+
+// Configuration
+const IMAGE_DIR = 'images/questions';
+const MANIFEST_FILE = 'question-images.js';
+const REMOTE_SRC_PATTERN = /<img\b[^>]*?\bsrc\s*=\s*["'](https?:\/\/[^"']+)["']/gi;
+
+/**
+ * Every remote image URL used by a question or an answer
+ */
+function collectImageUrls(db) {
+  const table = db.find(item => item && item.type === 'table' && item.name === 'mdl_question');
+  const urls = new Set();
+
+  (table ? table.data : []).forEach(question => {
+    const html = `${question.QuestionText || ''} ${question.Answers || ''}`;
+    let match;
+    while ((match = REMOTE_SRC_PATTERN.exec(html)) !== null) {
+      urls.add(match[1]);
+    }
+  });
+
+  return Array.from(urls).sort();
+}
+
+/**
+ * Local file name for a URL; a short hash keeps names unique when two
+ * URLs end in the same file name
+ */
+function localPathFor(url, taken) {
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop()) || 'image';
+  let local = `${IMAGE_DIR}/${name}`;
+  if (taken.has(local)) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 8);
+    const ext = path.extname(name);
+    local = `${IMAGE_DIR}/${path.basename(name, ext)}-${hash}${ext}`;
+  }
+  taken.add(local);
+  return local;
+}
+
+/**
+ * Download a URL to a file
+ */
+async function download(url, file) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const data = Buffer.from(await response.arrayBuffer());
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+  return data.length;
+}
+
+/**
+ * Write the URL → local path map loaded by quiz.html
+ */
+function writeManifest(file, map) {
+  const lines = Object.keys(map).sort().map(url => `  ${JSON.stringify(url)}: ${JSON.stringify(map[url])}`);
+  fs.writeFileSync(file, [
+    '// Local copies of the remote images used in questions.js.',
+    '// Generated by bundle-question-images.js — run it again after refreshing the bank.',
+    lines.length ? `questionImages = {\n${lines.join(',\n')}\n};` : 'questionImages = {};',
+    ''
+  ].join('\n'));
+}
+
+async function main(argv) {
+  const args = argv.filter(arg => !arg.startsWith('--'));
+  const checkOnly = argv.includes('--check');
+  const root = __dirname;
+  const bankFile = path.resolve(args[0] || path.join(root, 'questions.js'));
+
+  const urls = collectImageUrls(loadQuestionBank(bankFile));
+  const taken = new Set();
+  const map = {};
+  const missing = [];
+
+  for (const url of urls) {
+    const local = localPathFor(url, taken);
+    const file = path.join(root, local);
+
+    if (fs.existsSync(file)) {
+      map[url] = local;
+      continue;
+    }
+    if (checkOnly) {
+      missing.push(url);
+      console.log(`missing     ${url}`);
+      continue;
+    }
+
+    try {
+      const size = await download(url, file);
+      map[url] = local;
+      console.log(`downloaded  ${local} (${size} bytes)`);
+    } catch (e) {
+      missing.push(url);
+      console.error(`failed      ${url}: ${e.message}`);
+    }
+  }
+
+  if (!checkOnly) {
+    writeManifest(path.join(root, MANIFEST_FILE), map);
+  }
+
+  console.log(`\n${urls.length} image(s): ${Object.keys(map).length} bundled, ${missing.length} missing`);
+  return missing.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, e => {
+  console.error(e.message);
+  process.exitCode = 2;
+});
@@ -0,0 +1,44 @@
+// Self-check questions from the end of each chapter, in the same row format as questions.js.
+// Generated by extract-chapter-questions.js — run it again after editing a chapter.
+chapterQuestions = [
+  {"QuestionText":"The temperature of the flame in a natural gas fired furnace is 1530°C. The metal temperature of the water wall is 250°C. The wall dimensions are 4.8 m by 12 m. Calculate the maximum theoretical quantity of heat energy radiated per minute to the wall area.","CategoryId":"75","QuestionType":"multichoice","Answers":"2056 MJ[col]1.0000000[col]3406 MJ[col]0.0000000[col]3604 MJ[col]0.0000000[col]1056 MJ[col]0.0000000","Chapter":"CH1_Heat_Expansion_of_Solids.html","FormId":"750"},
+  {"QuestionText":"A piece of platinum has a 76 mm diameter hole in it. The platinum is heated from 25°C to 145°C. Calculate the diameter of the hole after heating.","CategoryId":"75","QuestionType":"multichoice","Answers":"75.177 mm[col]0.0000000[col]76.078 mm[col]1.0000000[col]76.177 mm[col]0.0000000[col]77.178 mm[col]0.0000000","Chapter":"CH1_Heat_Expansion_of_Solids.html","FormId":"751"},
+  {"QuestionText":"Find the quantity of heat required to raise the temperature of 2700 litres of fresh water from 10°C to 70°C, if the specific heat of fresh water is 4.2 kJ/kg°C. Assume that 1 litre of fresh water has a mass of 1 kg.","CategoryId":"75","QuestionType":"multichoice","Answers":"334 640 kJ[col]0.0000000[col]680 400 kJ[col]1.0000000[col]580 400 kJ[col]0.0000000[col]380 640 kJ[col]0.0000000","Chapter":"CH1_Heat_Expansion_of_Solids.html","FormId":"752"},
+  {"QuestionText":"Calculate the change in length of a nickel bar 12 m long when its temperature is increased from 40°C to 190°C.","CategoryId":"75","QuestionType":"multichoice","Answers":"2.67 x 10 -2 m[col]0.0000000[col]2.34 x 10 -2m[col]1.0000000[col]2.34 m[col]0.0000000[col]2.67 m[col]0.0000000","Chapter":"CH1_Heat_Expansion_of_Solids.html","FormId":"753"},
+  {"QuestionText":"Find the quantity of heat required to raise the temperature of 500 kg of mild steel from 20°C to 100°C, if the specific heat of steel is 0.494 kJ/kg°C.","CategoryId":"75","QuestionType":"multichoice","Answers":"19.760 kJ[col]0.0000000[col]1976.0 kJ[col]0.0000000[col]19 760 kJ[col]1.0000000[col]197 600 kJ[col]0.0000000","Chapter":"CH1_Heat_Expansion_of_Solids.html","FormId":"754"},
+  {"QuestionText":"Internal energy of a perfect gas is directly related to:","CategoryId":"122","QuestionType":"multichoice","Answers":"temperature[col]1.0000000[col]pressure[col]0.0000000[col]pressure and volume[col]0.0000000[col]pressure and temperature[col]0.0000000[col]volume[col]0.0000000","Chapter":"CH2_Thermodynamics_of_Gases.html","FormId":"1220"},
+  {"QuestionText":"P<sub>1</sub>/T<sub>1</sub> = P<sub>2</sub>/T<sub>2</sub> represents:","CategoryId":"122","QuestionType":"multichoice","Answers":"first law of thermodynamics[col]0.0000000[col]Boyle's law[col]0.0000000[col]Charles' law[col]1.0000000[col]second law of thermodynamics[col]0.0000000[col]Joule’s law[col]0.0000000","Chapter":"CH2_Thermodynamics_of_Gases.html","FormId":"1221"},
+  {"QuestionText":"An air receiver is cylindrical with hemispherical ends. The diameter is 1.2 m and the overall length is 4.2 m. How much air (air at atmospheric pressure of 100 kPa) is to be taken from the atmosphere and pumped into the vessel at 500 kPa gauge. The air receiver initially contains air at atmospheric pressure and the compressed air is the same temperature as the atmospheric air.","CategoryId":"122","QuestionType":"multichoice","Answers":"25.8 m<sup>3</sup>[col]0.0000000[col]21.5 m<sup>3</sup>[col]1.0000000[col]28.25 m<sup>3</sup>[col]0.0000000[col]33.9 m<sup>3</sup>[col]0.0000000[col]8.59 m<sup>3</sup>[col]0.0000000","Chapter":"CH2_Thermodynamics_of_Gases.html","FormId":"1222"},
+  {"QuestionText":"The general gas law may also be written as:","CategoryId":"122","QuestionType":"multichoice","Answers":"P<sub>1</sub>V<sub>1</sub> = P<sub>2</sub>V<sub>2</sub>[col]0.0000000[col]W = P (V<sub>2</sub>-V<sub>1</sub>)[col]0.0000000[col]PV = mRT[col]1.0000000[col]Delta Q = Delta U + Work[col]0.0000000[col]R = C<sub>p</sub>-C<sub>v</sub>[col]0.0000000","Chapter":"CH2_Thermodynamics_of_Gases.html","FormId":"1223"},
+  {"QuestionText":"An air receiver is cylindrical with hemispherical ends. The diameter is 1.1 m and the overall length is 3.1 m. How much air (air at atmospheric pressure of 100 kPa) is to be taken from the atmosphere and pumped into the vessel at 700 kPa gauge. The air receiver initially contains air at atmospheric pressure and the compressed air is the same temperature as the atmospheric air.","CategoryId":"122","QuestionType":"multichoice","Answers":"25.5 m<sup>3</sup>[col]0.0000000[col]20.78 m<sup>3</sup>[col]0.0000000[col]18.18 m<sup>3</sup>[col]1.0000000[col]29.14 m<sup>3</sup>[col]0.0000000[col]7.79 m<sup>3</sup>[col]0.0000000","Chapter":"CH2_Thermodynamics_of_Gases.html","FormId":"1224"},
+  {"QuestionText":"p(v<sub>g</sub> - v<sub>f</sub>) is equal to the ____________________ when the water evaporates into steam in a boiler.","CategoryId":"123","QuestionType":"multichoice","Answers":"increase in entropy[col]0.0000000[col]change in specific volume[col]0.0000000[col]work done[col]1.0000000[col]increase in enthalpy[col]0.0000000[col]increase in volume[col]0.0000000","Chapter":"CH3_Thermodynamics_of_Steam.html","FormId":"1230"},
+  {"QuestionText":"On the enthalpy/entropy diagram, an isentropic process can be determined by following:","CategoryId":"123","QuestionType":"multichoice","Answers":"entropy lines running vertically[col]1.0000000[col]pressure lines running from lower left to upper right[col]0.0000000[col]enthalpy lines running horizontally[col]0.0000000[col]steam temperature lines running horizontally[col]0.0000000[col]quality lines running from left to right[col]0.0000000","Chapter":"CH3_Thermodynamics_of_Steam.html","FormId":"1231"},
+  {"QuestionText":"One of the following statements about throttling is not true.","CategoryId":"123","QuestionType":"multichoice","Answers":"throttling reduces steam temperature[col]0.0000000[col]throttling occurs when a vapour is passed through a small opening[col]0.0000000[col]throttling causes an increase in steam enthalpy[col]1.0000000[col]throttling is not reversible[col]0.0000000[col]throttling always causes an increase in steam quality[col]0.0000000","Chapter":"CH3_Thermodynamics_of_Steam.html","FormId":"1232"},
+  {"QuestionText":"When determining dryness fraction for average boiler pressures a separating calorimeter is generally used for steam when the moisture content is:","CategoryId":"123","QuestionType":"multichoice","Answers":"&gt; 2 %[col]0.0000000[col]&gt; 4 %[col]0.0000000[col]&gt; 5 %[col]1.0000000[col]&gt; 7 %[col]0.0000000[col]&gt; 10 %[col]0.0000000","Chapter":"CH3_Thermodynamics_of_Steam.html","FormId":"1233"},
+  {"QuestionText":"When measuring dryness fraction using a throttling calorimeter it is important to be able to:","CategoryId":"123","QuestionType":"multichoice","Answers":"superheat the steam so that it is hot[col]0.0000000[col]preheat the steam prior to entry into the calorimeter[col]0.0000000[col]reduce the steam pressure to a manageable level[col]0.0000000[col]catch the condensate in a separator.[col]0.0000000[col]superheat the steam so that its temperature can be measured[col]1.0000000","Chapter":"CH3_Thermodynamics_of_Steam.html","FormId":"1234"},
+  {"QuestionText":"Rankine cycle efficiency is:","CategoryId":"120","QuestionType":"multichoice","Answers":"Net work output of the turbine divided by heat supplied by the boiler[col]1.0000000[col]Net work input to the turbine divided by heat supplied by the boiler[col]0.0000000[col]Net work output of the turbine divided by heat supplied to the boiler[col]0.0000000[col]Net heat supplied to the boiler divided by heat output of the boiler[col]0.0000000[col]Net heat input to the turbine divided by heat supplied to the boiler[col]0.0000000","Chapter":"CH4_Practical_Thermodynamic_Cycles.html","FormId":"1200"},
+  {"QuestionText":"h<sub>2</sub> - h<sub>3</sub> over h<sub>2</sub> - h<sub>f</sub> is the expression for the thermal efficiency for the:","CategoryId":"120","QuestionType":"multichoice","Answers":"Diesel cycle[col]0.0000000[col]Brayton cycle[col]0.0000000[col]Otto cycle[col]0.0000000[col]Rankine cycle[col]1.0000000[col]Carnot cycle[col]0.0000000","Chapter":"CH4_Practical_Thermodynamic_Cycles.html","FormId":"1201"},
+  {"QuestionText":"T<sub>1</sub> - T<sub>2</sub> over T<sub>1</sub> is the expression used for the thermal efficiency of:","CategoryId":"120","QuestionType":"multichoice","Answers":"the Otto Cycle[col]0.0000000[col]the Rankine Cycle[col]0.0000000[col]the Brayton Cycle[col]0.0000000[col]the Carnot Cycle[col]1.0000000[col]the reversed Carnot cycle[col]0.0000000","Chapter":"CH4_Practical_Thermodynamic_Cycles.html","FormId":"1202"},
+  {"QuestionText":"The Brayton Cycle is defined as:","CategoryId":"120","QuestionType":"multichoice","Answers":"a non-flow cycle[col]0.0000000[col]an open cycle[col]1.0000000[col]the air standard cycle[col]0.0000000[col]a pressure ratio cycle[col]0.0000000[col]constant volume cycle[col]0.0000000","Chapter":"CH4_Practical_Thermodynamic_Cycles.html","FormId":"1203"},
+  {"QuestionText":"An engine operating on the constant volume cycle has a ratio of compression of 9.6:1. If the inlet temperature of the air is 25°C and the temperature at the end of combustion is 1250°C, the theoretical thermal efficiency would be:","CategoryId":"120","QuestionType":"multichoice","Answers":"53.8%[col]0.0000000[col]59.5%[col]1.0000000[col]55.4%[col]0.0000000[col]62.7%[col]0.0000000[col]47.9%[col]0.0000000","Chapter":"CH4_Practical_Thermodynamic_Cycles.html","FormId":"1204"},
+  {"QuestionText":"What type of steel is used to make small tools, is strong and hard, can only be welded with special welding techniques and has a carbon content of 0.60 - 1.00%?","CategoryId":"124","QuestionType":"multichoice","Answers":"mild[col]0.0000000[col]high carbon[col]1.0000000[col]very high carbon[col]0.0000000[col]medium carbon[col]0.0000000[col]zero carbon[col]0.0000000","Chapter":"CH5_Metallurgy.html","FormId":"1240"},
+  {"QuestionText":"Certain metals are __________ which means that their atoms can rearrange from one crystal structure to another at certain critical temperatures with each structure being stable within definite limits of temperature and pressure and having distinct properties.","CategoryId":"124","QuestionType":"multichoice","Answers":"allotropic[col]1.0000000[col]alloys[col]0.0000000[col]critical[col]0.0000000[col]cementite[col]0.0000000[col]ferrite[col]0.0000000","Chapter":"CH5_Metallurgy.html","FormId":"1241"},
+  {"QuestionText":"The strength of steel __________ as the carbon content increases but the ductility __________.","CategoryId":"124","QuestionType":"multichoice","Answers":"increases[comma] decreases[col]1.0000000[col]increases[comma] increases[col]0.0000000[col]decreases[comma] decreases[col]0.0000000[col]decreases[comma] increases[col]0.0000000[col]remains the same[comma] increases[col]0.0000000","Chapter":"CH5_Metallurgy.html","FormId":"1242"},
+  {"QuestionText":"The process used to soften steel by heating above the transformation range and then cooling it slowly is called:","CategoryId":"124","QuestionType":"multichoice","Answers":"stress relieving.[col]0.0000000[col]case hardening.[col]0.0000000[col]annealing.[col]1.0000000[col]tempering.[col]0.0000000[col]softening[col]0.0000000","Chapter":"CH5_Metallurgy.html","FormId":"1243"},
+  {"QuestionText":"This non-ferrous metal has good corrosion resistance, is an excellent heat conductor, is very malleable and ductile, has low density and low tensile strength:","CategoryId":"124","QuestionType":"multichoice","Answers":"aluminum.[col]1.0000000[col]bronze.[col]0.0000000[col]copper.[col]0.0000000[col]lead.[col]0.0000000[col]tin[col]0.0000000","Chapter":"CH5_Metallurgy.html","FormId":"1244"},
+  {"QuestionText":"With reference to metal testing, what does the term MT stand for?","CategoryId":"121","QuestionType":"multichoice","Answers":"Liquid Penetrant Testing[col]0.0000000[col]Magnetic Particle Testing[col]1.0000000[col]Liquid Particle Testing[col]0.0000000[col]Magnetic Penetrant Testing[col]0.0000000[col]Ultrasonic Particle Testing[col]0.0000000","Chapter":"CH6_Testing_of_Metals.html","FormId":"1210"},
+  {"QuestionText":"How many pressure gauges are generally required for monitoring the pressure during a hydrostatic test in most jurisdictions?","CategoryId":"121","QuestionType":"multichoice","Answers":"1[col]0.0000000[col]2[col]1.0000000[col]3[col]0.0000000[col]4[col]0.0000000[col]5[col]0.0000000","Chapter":"CH6_Testing_of_Metals.html","FormId":"1211"},
+  {"QuestionText":"When the referencing Code sections require, the welding examination is performed in accordance with a which type of procedure?","CategoryId":"121","QuestionType":"multichoice","Answers":"Verbal procedures prepared by the authorized inspector[col]0.0000000[col]Written procedures prepared by the authorized inspector[col]0.0000000[col]Verbal procedures prepared by the manufacturer[col]0.0000000[col]Written procedures prepared by the manufacturer[col]1.0000000[col]Written procedures prepared by the owner[col]0.0000000","Chapter":"CH6_Testing_of_Metals.html","FormId":"1212"},
+  {"QuestionText":"Which magnetic particle technique requires care is taken to prevent arcing?","CategoryId":"121","QuestionType":"multichoice","Answers":"Longitudinal magnetization technique[col]0.0000000[col]Prod technique[col]1.0000000[col]Circular magnetization direct contact method[col]0.0000000[col]Circular magnetization central conductor method[col]0.0000000[col]Electromagnetic Yoke technique[col]0.0000000[col]Multidirectional magnetization technique[col]0.0000000","Chapter":"CH6_Testing_of_Metals.html","FormId":"1213"},
+  {"QuestionText":"Hardness is the:","CategoryId":"121","QuestionType":"multichoice","Answers":"ability of metal to withstand shock of occurring applied load.[col]0.0000000[col]ability to resist abrasion[comma] cutting[comma] wear and indentation.[col]1.0000000[col]resistance to deformation under load.[col]0.0000000[col]resistance to crushing force.[col]0.0000000[col]density of materials[col]0.0000000","Chapter":"CH6_Testing_of_Metals.html","FormId":"1214"},
+  {"QuestionText":"?Fe ? 2e<sup>-</sup> ? Fe<sup>2+</sup>? is an example of:","CategoryId":"125","QuestionType":"multichoice","Answers":"Reduction[col]0.0000000[col]Oxidation[col]1.0000000[col]Plating[col]0.0000000[col]Passivation[col]0.0000000","Chapter":"CH7_Corrosion_of_Metals.html","FormId":"1250"},
+  {"QuestionText":"Copper has an electrical potential of +0.52 Volts. Aluminum has an electrical potential of -1.66 Volts. If connected in a galvanic cell,","CategoryId":"125","QuestionType":"multichoice","Answers":"the potential difference would equal 1.14 Volts[col]0.0000000[col]the aluminum would provide electrons to the copper[col]1.0000000[col]the copper would be anodic to the aluminum[col]0.0000000[col]the aluminum would be more noble than the copper.[col]0.0000000","Chapter":"CH7_Corrosion_of_Metals.html","FormId":"1251"},
+  {"QuestionText":"Impressed current cathodic protection systems:","CategoryId":"125","QuestionType":"multichoice","Answers":"have AC power connected to the anodes and cathodes[col]0.0000000[col]protect structures by making them anodic[col]0.0000000[col]have the negative terminal of the power supply attached to the protected structure[col]1.0000000[col]prevent stray current corrosion[col]0.0000000","Chapter":"CH7_Corrosion_of_Metals.html","FormId":"1252"},
+  {"QuestionText":"In a typical corrosion cell, with water as the electrolyte, _______________ is produced at the __________________ as a result of the galvanic corrosion process.","CategoryId":"125","QuestionType":"multichoice","Answers":"hydrogen[comma] cathode[col]1.0000000[col]hydrogen[comma] anode[col]0.0000000[col]hydroxide[comma] anode[col]0.0000000[col]reactive metal ions[comma] cathode[col]0.0000000","Chapter":"CH7_Corrosion_of_Metals.html","FormId":"1253"},
+  {"QuestionText":"The process whereby corrosive products concentrate adjacent to boiler metal, beneath a porous heating surface deposit, is called:","CategoryId":"125","QuestionType":"multichoice","Answers":"oxygen pitting[col]0.0000000[col]crevice corrosion[col]0.0000000[col]selective leaching[col]0.0000000[col]wick boiling[col]1.0000000","Chapter":"CH7_Corrosion_of_Metals.html","FormId":"1254"},
+  {"QuestionText":"The two fundamental weld joint categories are:","CategoryId":"126","QuestionType":"multichoice","Answers":"riveted and welded[col]0.0000000[col]fillet and groove[col]1.0000000[col]arc and gas[col]0.0000000[col]single sided and double sided[col]0.0000000","Chapter":"CH8_Introduction_to_Welding_Symbols.html","FormId":"1260"},
+  {"QuestionText":"The \"flag\" in the following weld symbol represents:<br/><img alt=\"PE2 A2 07 03\" src=\"data:,\" style=\"max-width:100%;height:auto;\"/>","CategoryId":"126","QuestionType":"multichoice","Answers":"field weld[col]1.0000000[col]weld all around[col]0.0000000[col]shop weld[col]0.0000000[col]special surface preparation[col]0.0000000","Chapter":"CH8_Introduction_to_Welding_Symbols.html","FormId":"1261"},
+  {"QuestionText":"A proper weld symbol will not show:","CategoryId":"126","QuestionType":"multichoice","Answers":"the information pertinent to the welder performing the weld[col]0.0000000[col]the exact location of the weld[col]0.0000000[col]the identity of the welder performing the weld[col]1.0000000[col]the weld joint preparation[col]0.0000000","Chapter":"CH8_Introduction_to_Welding_Symbols.html","FormId":"1262"},
+  {"QuestionText":"In the following diagram, the \"4\" means:<br/><img alt=\"PE2 A2 07 011\" src=\"data:,\" style=\"max-width:100%;height:auto;\"/>","CategoryId":"126","QuestionType":"multichoice","Answers":"total number of intermittent welds[col]0.0000000[col]length of weld on arrow side[col]1.0000000[col]four passes required to finish weld on arrow side[col]0.0000000[col]length of weld on other side[col]0.0000000","Chapter":"CH8_Introduction_to_Welding_Symbols.html","FormId":"1263"},
+  {"QuestionText":"The weld joint preparation indicated by the following weld symbol is:<br/><img alt=\"PE2 A2 07 02\" src=\"data:,\" style=\"max-width:100%;height:auto;\"/>","CategoryId":"126","QuestionType":"multichoice","Answers":"SMAW[col]0.0000000[col]60 degree vee groove[col]1.0000000[col]60 degree double bevel groove[col]0.0000000[col]1/2\" root pass[col]0.0000000","Chapter":"CH8_Introduction_to_Welding_Symbols.html","FormId":"1264"}
+];
@@ -0,0 +1,49 @@
+/**
+ * Chapters
+ * The eight chapters of the course and the Moodle question category that
+ * covers each one. quiz.html, search.js and the Node scripts that build the
+ * question data all read the mapping from here.
+ */
+
+(function(root) {
+  'use strict';
+
+  // number, Moodle question category, page, full title, short title for the quiz filters
+  const CHAPTERS = [
+    { number: 1, categoryId: '75', file: 'CH1_Heat_Expansion_of_Solids.html', title: 'Heat Expansion of Solids', shortTitle: 'Heat & Expansion of Solids' },
+    { number: 2, categoryId: '122', file: 'CH2_Thermodynamics_of_Gases.html', title: 'Thermodynamics of Gases', shortTitle: 'Thermodynamics of Gases' },
+    { number: 3, categoryId: '123', file: 'CH3_Thermodynamics_of_Steam.html', title: 'Thermodynamics of Steam', shortTitle: 'Thermodynamics of Steam' },
+    { number: 4, categoryId: '120', file: 'CH4_Practical_Thermodynamic_Cycles.html', title: 'Practical Thermodynamic Cycles', shortTitle: 'Thermodynamic Cycles' },
+    { number: 5, categoryId: '124', file: 'CH5_Metallurgy.html', title: 'Metallurgy', shortTitle: 'Metallurgy' },
+    { number: 6, categoryId: '121', file: 'CH6_Testing_of_Metals.html', title: 'Testing of Metals', shortTitle: 'Testing of Metals' },
+    { number: 7, categoryId: '125', file: 'CH7_Corrosion_of_Metals.html', title: 'Corrosion of Metals', shortTitle: 'Corrosion of Metals' },
+    { number: 8, categoryId: '126', file: 'CH8_Introduction_to_Welding_Symbols.html', title: 'Introduction to Welding Symbols', shortTitle: 'Welding Symbols' }
+  ];
+
+  /**
+   * The chapter a question category covers, or null
+   */
+  function getByCategory(categoryId) {
+    return CHAPTERS.find(chapter => chapter.categoryId === String(categoryId)) || null;
+  }
+
+  /**
+   * The chapter of a page file name, or null
+   */
+  function getByFile(file) {
+    return CHAPTERS.find(chapter => chapter.file === file) || null;
+  }
+
+  const api = {
+    CHAPTERS: CHAPTERS,
+    getByCategory: getByCategory,
+    getByFile: getByFile
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.Chapters = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
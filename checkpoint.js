@@ -0,0 +1,273 @@
+/**
+ * Chapter Checkpoint Questions
+ * Grades the self-assessment forms at the end of each chapter (the correct
+ * radio carries value="1.0000000"), keeps each chapter's score and shows
+ * the scores on the index page
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const STORAGE_KEY = 'checkpointScores';
+  const QUESTION_SELECTOR = '#quiz form.question';
+  const CORRECT_VALUE = '1.0000000';
+  const PASS_RATIO = 0.7;
+
+  // State
+  let forms = [];
+  let summary = null;
+
+  /**
+   * Initialize checkpoint grading (chapters) or the score badges (index)
+   */
+  function init() {
+    if (document.querySelector(QUESTION_SELECTOR)) {
+      initChapter();
+    }
+    if (document.querySelector('.chapters a.chapter')) {
+      renderIndexScores();
+    }
+  }
+
+  /**
+   * Add a check button and feedback to every question, and wire up the
+   * Submit and Reset buttons below them
+   */
+  function initChapter() {
+    forms = Array.from(document.querySelectorAll(QUESTION_SELECTOR));
+    forms.forEach(enhanceQuestion);
+
+    const buttons = document.querySelector('.quizBtns');
+    summary = document.createElement('div');
+    summary.className = 'checkpoint-summary';
+    summary.setAttribute('aria-live', 'polite');
+    (buttons || forms[forms.length - 1]).insertAdjacentElement('afterend', summary);
+
+    if (buttons) {
+      const submitBtn = buttons.querySelector('.submit');
+      const resetBtn = buttons.querySelector('.reset');
+      if (submitBtn) submitBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        checkAll();
+      });
+      if (resetBtn) resetBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        resetAll();
+      });
+    }
+
+    renderSummary();
+  }
+
+  /**
+   * Give one question form its check button and feedback line
+   */
+  function enhanceQuestion(form) {
+    form.classList.add('checkpoint');
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    const controls = document.createElement('div');
+    controls.className = 'checkpoint-controls';
+    controls.innerHTML = `
+      <button type="button" class="checkpoint-check">Check answer</button>
+      <div class="checkpoint-feedback" aria-live="polite"></div>
+    `;
+    form.appendChild(controls);
+
+    controls.querySelector('.checkpoint-check').addEventListener('click', () => {
+      checkQuestion(form);
+      if (isComplete()) finish();
+    });
+
+    // A new choice clears the "choose an answer" hint
+    form.addEventListener('change', () => {
+      if (!form.classList.contains('checkpoint-done')) setFeedback(form, '', '');
+    });
+  }
+
+  /**
+   * Grade one question: mark the choice, reveal the correct option and lock
+   * the question. Returns false when nothing is selected.
+   */
+  function checkQuestion(form) {
+    if (form.classList.contains('checkpoint-done')) return true;
+
+    const selected = form.querySelector('input[type="radio"]:checked');
+    if (!selected) {
+      setFeedback(form, 'Choose an answer first.', 'hint');
+      return false;
+    }
+
+    let correctLabel = '';
+    form.querySelectorAll('input[type="radio"]').forEach(input => {
+      const isCorrect = input.value === CORRECT_VALUE;
+      const option = input.parentElement;
+      option.classList.toggle('checkpoint-correct', isCorrect);
+      option.classList.toggle('checkpoint-wrong', input === selected && !isCorrect);
+      input.disabled = true;
+      if (isCorrect) correctLabel = getLabelHtml(form, input);
+    });
+
+    const right = selected.value === CORRECT_VALUE;
+    form.classList.add('checkpoint-done');
+    form.dataset.result = right ? 'correct' : 'wrong';
+    setFeedback(
+      form,
+      right ? '✔ Correct' : `✘ Not quite. The correct answer is <strong>${correctLabel}</strong>.`,
+      right ? 'correct' : 'wrong'
+    );
+    return true;
+  }
+
+  /**
+   * Markup of the label for a radio button
+   */
+  function getLabelHtml(form, input) {
+    const label = (input.id && form.querySelector(`label[for="${input.id}"]`)) || input.nextElementSibling;
+    return label ? label.innerHTML.trim() : '';
+  }
+
+  /**
+   * Set the feedback line under a question
+   */
+  function setFeedback(form, html, type) {
+    const feedback = form.querySelector('.checkpoint-feedback');
+    feedback.className = `checkpoint-feedback${type ? ` ${type}` : ''}`;
+    feedback.innerHTML = html;
+  }
+
+  /**
+   * Submit: grade every answered question, and score the chapter once all
+   * of them are answered
+   */
+  function checkAll() {
+    forms.forEach(checkQuestion);
+
+    if (isComplete()) {
+      finish();
+    } else {
+      const missing = forms.filter(form => !form.classList.contains('checkpoint-done')).length;
+      summary.innerHTML = `<span class="checkpoint-pending">${missing} question${missing === 1 ? '' : 's'} still to answer.</span>`;
+    }
+  }
+
+  /**
+   * True when every question has been checked
+   */
+  function isComplete() {
+    return forms.every(form => form.classList.contains('checkpoint-done'));
+  }
+
+  /**
+   * Record the score for this chapter (once per attempt) and show it
+   */
+  function finish() {
+    if (summary.dataset.saved) return;
+    const score = forms.filter(form => form.dataset.result === 'correct').length;
+    saveScore(score, forms.length);
+    summary.dataset.saved = '1';
+    renderSummary(score);
+  }
+
+  /**
+   * Clear every answer for a new attempt
+   */
+  function resetAll() {
+    forms.forEach(form => {
+      form.reset();
+      form.classList.remove('checkpoint-done');
+      delete form.dataset.result;
+      form.querySelectorAll('input[type="radio"]').forEach(input => {
+        input.disabled = false;
+        input.parentElement.classList.remove('checkpoint-correct', 'checkpoint-wrong');
+      });
+      setFeedback(form, '', '');
+    });
+    delete summary.dataset.saved;
+    renderSummary();
+  }
+
+  /**
+   * Show this attempt's score, or the saved ones before finishing
+   */
+  function renderSummary(score) {
+    const record = loadScores()[getPageKey()];
+    const parts = [];
+
+    if (score !== undefined) {
+      const pct = Math.round((score / forms.length) * 100);
+      parts.push(`<strong class="${score / forms.length >= PASS_RATIO ? 'good' : 'bad'}">Score: ${score}/${forms.length} (${pct}%)</strong>`);
+      if (record) parts.push(`Best: ${record.best}/${record.total}`);
+    } else if (record) {
+      parts.push(`Last score: ${record.score}/${record.total}`);
+      parts.push(`Best: ${record.best}/${record.total}`);
+      parts.push(`${record.attempts} attempt${record.attempts === 1 ? '' : 's'}`);
+    }
+
+    summary.innerHTML = parts.join(' · ');
+  }
+
+  /**
+   * Chapter scores are keyed by the page's file name, as linked from index.html
+   */
+  function getPageKey() {
+    return decodeURIComponent(location.pathname.split('/').pop() || 'index.html');
+  }
+
+  /**
+   * Load all chapters' scores
+   */
+  function loadScores() {
+    try {
+      const scores = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      return scores && typeof scores === 'object' ? scores : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Save the score of a finished attempt, keeping the best one as well
+   */
+  function saveScore(score, total) {
+    const scores = loadScores();
+    const previous = scores[getPageKey()] || {};
+    scores[getPageKey()] = {
+      score: score,
+      total: total,
+      best: Math.max(previous.total === total ? previous.best || 0 : 0, score),
+      attempts: (previous.attempts || 0) + 1,
+      when: new Date().toISOString()
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(scores));
+    } catch (e) {}
+  }
+
+  /**
+   * Add each chapter's last checkpoint score to its link on the index page
+   */
+  function renderIndexScores() {
+    const scores = loadScores();
+
+    document.querySelectorAll('.chapters a.chapter').forEach(link => {
+      const record = scores[decodeURIComponent(link.getAttribute('href').split('#')[0])];
+      if (!record) return;
+
+      const badge = document.createElement('span');
+      badge.className = `checkpoint-badge ${record.score / record.total >= PASS_RATIO ? 'good' : 'bad'}`;
+      badge.textContent = `Checkpoint ${record.score}/${record.total}`;
+      badge.title = `Best ${record.best}/${record.total} · ${record.attempts} attempt${record.attempts === 1 ? '' : 's'} · last on ${new Date(record.when).toLocaleDateString()}`;
+      link.appendChild(badge);
+    });
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Chapter Question Extractor
+ * Harvests the self-check questions at the end of each chapter (the
+ * <form class="question"> blocks, where the correct radio carries
+ * value="1.0000000") and writes chapter-questions.js, which quiz.html loads
+ * as the "chapter checkpoint" set. Rows use the same fields as questions.js,
+ * tagged with the chapter and form they came from.
+ *
+ * Usage: node extract-chapter-questions.js [questions.js]
+ *   The bank is only read to report which questions it already has; quiz.html
+ *   merges those with the bank's copy.
+ *
+ * Exits with status 1 when a chapter has a question that can't be used.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadQuestionBank } = require('./validate-questions');
+const { normalizeText } = require('./question-keys');
+const { CHAPTERS } = require('./chapters');
+
+// Configuration
+const OUTPUT_FILE = 'chapter-questions.js';
+const CORRECT_VALUE = '1.0000000';
+const WRONG_VALUE = '0.0000000';
+
+const FORM_PATTERN = /<form\b[^>]*\bclass="question"[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/form>/gi;
+const TEXT_PATTERN = /<p class="questionText">([\s\S]*?)(?=<p class="answer">)/i;
+const ANSWER_PATTERN = /<input\b[^>]*\bvalue="([^"]*)"[^>]*\/?>\s*<label\b[^>]*>([\s\S]*?)<\/label>/gi;
+
+/**
+ * Markup of a question or option without the chapter's layout: no
+ * unclosed-<p> leftovers, trailing breaks or surrounding whitespace
+ */
+function cleanHtml(html) {
+  return html
+    .replace(/<\/?p\b[^>]*>/gi, '')
+    .replace(/(?:\s|<br\s*\/?>)+$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Comparison key for a question, the same one quiz.html merges the bank's copy by
+ */
+function questionKey(categoryId, text) {
+  return `${categoryId}|${normalizeText(text)}`;
+}
+
+/**
+ * The question forms of one chapter as bank rows. Forms that can't be
+ * graded are reported in problems and left out.
+ */
+function extractChapter(chapter, html, problems) {
+  const file = chapter.file;
+  const rows = [];
+  let match;
+
+  FORM_PATTERN.lastIndex = 0;
+  while ((match = FORM_PATTERN.exec(html)) !== null) {
+    const [, formId, body] = match;
+    const text = TEXT_PATTERN.exec(body);
+    const answers = [];
+    let answer;
+
+    ANSWER_PATTERN.lastIndex = 0;
+    while ((answer = ANSWER_PATTERN.exec(body)) !== null) {
+      answers.push({ text: cleanHtml(answer[2]), isCorrect: answer[1] === CORRECT_VALUE });
+    }
+
+    const correct = answers.filter(a => a.isCorrect).length;
+    if (!text || !cleanHtml(text[1])) {
+      problems.push(`${file} #${formId}: no question text`);
+    } else if (answers.length < 2) {
+      problems.push(`${file} #${formId}: fewer than two answers`);
+    } else if (correct !== 1) {
+      problems.push(`${file} #${formId}: ${correct} correct answers, expected one`);
+    } else {
+      rows.push({
+        QuestionText: cleanHtml(text[1]),
+        CategoryId: chapter.categoryId,
+        QuestionType: 'multichoice',
+        Answers: answers
+          .map(a => `${a.text.replace(/,/g, '[comma]')}[col]${a.isCorrect ? CORRECT_VALUE : WRONG_VALUE}`)
+          .join('[col]'),
+        Chapter: file,
+        FormId: formId
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Write the rows loaded by quiz.html
+ */
+function writeQuestions(file, rows) {
+  const lines = rows.map(row => `  ${JSON.stringify(row)}`);
+  fs.writeFileSync(file, [
+    '// Self-check questions from the end of each chapter, in the same row format as questions.js.',
+    '// Generated by extract-chapter-questions.js — run it again after editing a chapter.',
+    lines.length ? `chapterQuestions = [\n${lines.join(',\n')}\n];` : 'chapterQuestions = [];',
+    ''
+  ].join('\n'));
+}
+
+function main(argv) {
+  const root = __dirname;
+  const bankFile = path.resolve(argv[0] || path.join(root, 'questions.js'));
+
+  let bankKeys;
+  try {
+    const table = loadQuestionBank(bankFile).find(item => item && item.type === 'table' && item.name === 'mdl_question');
+    bankKeys = new Set((table ? table.data : []).map(row => questionKey(row.CategoryId, row.QuestionText)));
+  } catch (e) {
+    console.error(`Could not load ${bankFile}: ${e.message}`);
+    return 2;
+  }
+
+  const problems = [];
+  const rows = [];
+
+  CHAPTERS.forEach(chapter => {
+    const file = chapter.file;
+    const chapterFile = path.join(root, file);
+    if (!fs.existsSync(chapterFile)) {
+      problems.push(`${file}: not found`);
+      return;
+    }
+    const chapterRows = extractChapter(chapter, fs.readFileSync(chapterFile, 'utf8'), problems);
+    const inBank = chapterRows.filter(row => bankKeys.has(questionKey(row.CategoryId, row.QuestionText))).length;
+    console.log(`${file.padEnd(42)} ${chapterRows.length} question(s), ${inBank} already in the bank`);
+    rows.push(...chapterRows);
+  });
+
+  problems.forEach(problem => console.error(`skipped     ${problem}`));
+  writeQuestions(path.join(root, OUTPUT_FILE), rows);
+
+  console.log(`\n${OUTPUT_FILE}: ${rows.length} question(s) from ${CHAPTERS.length} chapter(s), ${problems.length} skipped`);
+  return problems.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
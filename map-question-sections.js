@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * Question Section Mapper
+ * Finds the chapter section (h2.head1 / h3.head2) that teaches each quiz
+ * question by TF-IDF matching the question and its correct answer against
+ * the text of every section in the question's chapter, applies the hand
+ * corrections in question-section-overrides.js and writes
+ * question-sections.js, which quiz.html uses for its "Read more" links.
+ *
+ * Usage: node map-question-sections.js [questions.js] [--list]
+ *   --list    print every question with the section it was given
+ *
+ * Exits with status 1 when an override names a section that doesn't exist.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadQuestionBank } = require('./validate-questions');
+const { getQuestionId, STOP_WORDS } = require('./question-keys');
+const { CHAPTERS } = require('./chapters');
+
+// Configuration
+const OUTPUT_FILE = 'question-sections.js';
+const OVERRIDES_FILE = 'question-section-overrides.js';
+const TEMPLATES_FILE = 'question-templates.js';
+const MIN_SCORE = 0.08;        // below this a question is left without a section
+const HEADING_WEIGHT = 3;      // heading words count this many times over body words
+const ANSWER_WEIGHT = 2;       // so does the correct answer, which names the topic
+
+const HEADING_PATTERN = /<h([23])\b[^>]*\bclass="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>/gi;
+
+/**
+ * Visible text of some markup, with line breaks as spaces
+ */
+function toText(html) {
+  return String(html)
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#?\w+;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Index terms of a text: lower case, no stop words, plural and verb
+ * endings trimmed so "gases" meets "gas"
+ */
+function tokenize(text) {
+  const words = toText(text).toLowerCase().replace(/[‘’']/g, '').match(/[a-z][a-z0-9-]{2,}/g) || [];
+  return words
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => word.replace(/(?:ies)$/, 'y').replace(/(?:es|s|ing|ed)$/, suffix => (word.length - suffix.length >= 4 ? '' : suffix)));
+}
+
+/**
+ * The sections of a chapter in document order, numbered like toc.js
+ * numbers them for #section= links: { index, title, terms }
+ */
+function readSections(html) {
+  const start = html.search(/<main\b/i);
+  const quiz = html.indexOf('<div id="quiz">');
+  const main = html.slice(start < 0 ? 0 : start, quiz < 0 ? undefined : quiz);
+
+  const headings = [];
+  let match;
+  HEADING_PATTERN.lastIndex = 0;
+  while ((match = HEADING_PATTERN.exec(main)) !== null) {
+    // The same headings as toc.js's h2.head1, h3.head2
+    const isSection = match[2].split(/\s+/).includes(match[1] === '2' ? 'head1' : 'head2');
+    if (isSection && toText(match[3])) headings.push({ title: toText(match[3]), start: match.index, end: HEADING_PATTERN.lastIndex });
+  }
+
+  return headings.map((heading, index) => {
+    const next = headings[index + 1];
+    const body = main.slice(heading.end, next ? next.start : main.length);
+    const headingTerms = tokenize(heading.title);
+    return {
+      index: index,
+      title: heading.title,
+      terms: [].concat(...Array(HEADING_WEIGHT).fill(headingTerms), tokenize(body))
+    };
+  });
+}
+
+/**
+ * Log-scaled term weights, as a Map
+ */
+function termFrequencies(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  counts.forEach((count, term) => counts.set(term, 1 + Math.log(count)));
+  return counts;
+}
+
+/**
+ * TF-IDF vectors of a chapter's sections, plus the IDF table for
+ * weighting questions the same way
+ */
+function indexChapter(sections) {
+  const df = new Map();
+  const frequencies = sections.map(section => termFrequencies(section.terms));
+  frequencies.forEach(tf => tf.forEach((weight, term) => df.set(term, (df.get(term) || 0) + 1)));
+
+  const idf = new Map();
+  df.forEach((count, term) => idf.set(term, Math.log((sections.length + 1) / (count + 1)) + 1));
+
+  return {
+    idf: idf,
+    sections: sections.map((section, i) => ({ index: section.index, title: section.title, vector: weigh(frequencies[i], idf) }))
+  };
+}
+
+/**
+ * Unit-length TF-IDF vector; terms the chapter never uses are dropped
+ */
+function weigh(tf, idf) {
+  const vector = new Map();
+  let norm = 0;
+  tf.forEach((weight, term) => {
+    if (!idf.has(term)) return;
+    const value = weight * idf.get(term);
+    vector.set(term, value);
+    norm += value * value;
+  });
+  norm = Math.sqrt(norm) || 1;
+  vector.forEach((value, term) => vector.set(term, value / norm));
+  return vector;
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ */
+function similarity(a, b) {
+  let sum = 0;
+  a.forEach((value, term) => {
+    if (b.has(term)) sum += value * b.get(term);
+  });
+  return sum;
+}
+
+/**
+ * Best-matching section of a chapter for a question, or null
+ */
+function matchSection(chapter, text, answer) {
+  const terms = tokenize(text).concat(...Array(ANSWER_WEIGHT).fill(tokenize(answer)));
+  const vector = weigh(termFrequencies(terms), chapter.idf);
+
+  let best = null;
+  chapter.sections.forEach(section => {
+    const score = similarity(vector, section.vector);
+    if (!best || score > best.score) best = { index: section.index, title: section.title, score: score };
+  });
+  return best && best.score >= MIN_SCORE ? best : null;
+}
+
+/**
+ * Correct answer text of a bank row
+ */
+function getCorrectAnswer(row) {
+  const parts = String(row.Answers || '').split('[col]');
+  for (let i = 0; i < parts.length; i += 2) {
+    if (parts[i + 1] === '1.0000000') return parts[i].replace(/\[comma\]/g, ',');
+  }
+  return '';
+}
+
+/**
+ * Run a data file in a sandbox and return one of its globals
+ */
+function loadGlobal(file, name, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  const sandbox = {};
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  return sandbox[name] || fallback;
+}
+
+/**
+ * Every question quiz.html can draw: the bank's (one per id) and one per
+ * template, as { id, category, text, answer }
+ */
+function collectQuestions(bankFile, templatesFile) {
+  const table = loadQuestionBank(bankFile).find(item => item && item.type === 'table' && item.name === 'mdl_question');
+  const questions = new Map();
+
+  (table ? table.data : []).forEach(row => {
+    const id = getQuestionId(row.QuestionText, row.CategoryId);
+    if (!questions.has(id)) {
+      questions.set(id, { id: id, category: String(row.CategoryId), text: row.QuestionText, answer: getCorrectAnswer(row) });
+    }
+  });
+
+  loadGlobal(templatesFile, 'questionTemplates', []).forEach(template => {
+    const id = `t-${template.id}`;
+    const text = String(template.text || '').replace(/\{[^}]*\}/g, ' ');
+    questions.set(id, { id: id, category: String(template.category), text: text, answer: '' });
+  });
+
+  return Array.from(questions.values());
+}
+
+/**
+ * Write the id -> section map loaded by quiz.html
+ */
+function writeSections(file, map) {
+  const lines = Object.keys(map).sort().map(id => `  ${JSON.stringify(id)}: ${JSON.stringify(map[id])}`);
+  fs.writeFileSync(file, [
+    '// Chapter section that teaches each quiz question, keyed by the question id used in quiz.html.',
+    '// Generated by map-question-sections.js — correct it in question-section-overrides.js, not here.',
+    lines.length ? `questionSections = {\n${lines.join(',\n')}\n};` : 'questionSections = {};',
+    ''
+  ].join('\n'));
+}
+
+function main(argv) {
+  const args = argv.filter(arg => !arg.startsWith('--'));
+  const list = argv.includes('--list');
+  const root = __dirname;
+  const bankFile = path.resolve(args[0] || path.join(root, 'questions.js'));
+
+  let questions;
+  let overrides;
+  try {
+    questions = collectQuestions(bankFile, path.join(root, TEMPLATES_FILE));
+    overrides = loadGlobal(path.join(root, OVERRIDES_FILE), 'questionSectionOverrides', {});
+  } catch (e) {
+    console.error(`Could not load the questions: ${e.message}`);
+    return 2;
+  }
+
+  const chapters = {};
+  const fileOf = {};
+  CHAPTERS.forEach(chapter => {
+    const file = path.join(root, chapter.file);
+    const sections = fs.existsSync(file) ? readSections(fs.readFileSync(file, 'utf8')) : [];
+    chapters[chapter.file] = { sections: sections, index: indexChapter(sections) };
+    fileOf[chapter.categoryId] = chapter.file;
+  });
+
+  const map = {};
+  const problems = [];
+  let matched = 0;
+  let overridden = 0;
+
+  questions.forEach(question => {
+    const file = fileOf[question.category];
+    let entry = null;
+    let note = '';
+
+    if (Object.prototype.hasOwnProperty.call(overrides, question.id)) {
+      const override = overrides[question.id];
+      overridden++;
+      note = 'override';
+      if (override) {
+        const overrideFile = override.file || file;
+        const chapter = chapters[overrideFile];
+        const section = chapter && chapter.sections.find(s => s.title === override.section);
+        if (section) {
+          entry = { file: overrideFile, section: section.index, title: section.title };
+        } else {
+          problems.push(`${question.id}: no section "${override.section}" in ${overrideFile}`);
+        }
+      }
+    } else if (file) {
+      const best = matchSection(chapters[file].index, question.text, question.answer);
+      if (best) {
+        entry = { file: file, section: best.index, title: best.title };
+        matched++;
+        note = best.score.toFixed(2);
+      }
+    }
+
+    if (entry) map[question.id] = entry;
+    if (list) {
+      console.log(`${question.id.padEnd(14)} ${(entry ? `${file === entry.file ? '' : `${entry.file} `}§${entry.section} ${entry.title}` : '—').padEnd(50)} ${note.padEnd(8)} ${toText(question.text).substring(0, 60)}`);
+    }
+  });
+
+  problems.forEach(problem => console.error(`override    ${problem}`));
+  writeSections(path.join(root, OUTPUT_FILE), map);
+
+  console.log(`\n${OUTPUT_FILE}: ${Object.keys(map).length} of ${questions.length} question(s) mapped (${matched} matched, ${overridden} overridden), ${questions.length - Object.keys(map).length} without a section`);
+  return problems.length > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
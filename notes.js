@@ -10,13 +10,28 @@
   const STORAGE_KEY = 'pageNotes';
   const HIGHLIGHT_CLASS = 'note-highlight';
   const ACTIVE_HIGHLIGHT_CLASS = 'note-highlight-active';
-  const CONTEXT_TEXT_THRESHOLD = 20;
-  const CONTEXT_MARGIN = 10;
+  const QUOTE_CONTEXT_LENGTH = 32;
+  const FUZZY_ANCHOR_LENGTH = 32;
+  const FUZZY_MIN_ANCHOR_LENGTH = 8;
+  const FUZZY_LENGTH_TOLERANCE = 0.25;
+  const FUZZY_MIN_SIMILARITY = 0.75;
+  const MAX_CANDIDATES = 200;
+  const NOTE_COLORS = ['yellow', 'green', 'blue', 'pink', 'purple'];
+  const DEFAULT_COLOR = 'yellow';
+  const NOTE_HASH_PATTERN = /(?:^|#)note=([^&]+)/;
+  const EXPORT_TYPE = 'a2-notes';
+  const EXPORT_VERSION = 1;
+  const NOTE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+  const CHAPTER_FILE_PATTERN = /^CH\d+_[A-Za-z0-9_-]+\.html$/;
+  const CSV_COLUMNS = ['chapter', 'section', 'subsection', 'text', 'comment', 'tags', 'color', 'created', 'url', 'id'];
 
   // State
   let notes = [];
   let trayOpen = false;
   let savedSelection = null;
+  let orphanedIds = new Set();
+  let editingId = null;
+  let filter = { tag: '', color: '' };
 
   /**
    * Initialize the note system
@@ -25,7 +40,16 @@
     loadNotes();
     createTray();
     setupEventListeners();
+    applyHighlights();
     renderNotes();
+    jumpToHashNote();
+
+    if (document.getElementById('notes-dashboard')) {
+      renderDashboard();
+      window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) renderDashboard();
+      });
+    }
   }
 
   /**
@@ -36,22 +60,34 @@
   }
 
   /**
-   * Load notes from localStorage
+   * Load the notes of every page from localStorage
    */
-  function loadNotes() {
+  function loadAllNotes() {
     try {
       const stored = localStorage.getItem(STORAGE_KEY);
-      if (stored) {
-        const allNotes = JSON.parse(stored);
-        const currentUrl = getCurrentPageUrl();
-        notes = allNotes.filter(note => note.url === currentUrl);
-      }
+      return stored ? JSON.parse(stored) : [];
     } catch (e) {
       console.error('Failed to load notes:', e);
-      notes = [];
+      return [];
     }
   }
 
+  /**
+   * Load notes from localStorage
+   */
+  function loadNotes() {
+    notes = loadAllNotes().filter(isCurrentPageNote);
+  }
+
+  /**
+   * True for a note of the open page. Notes are matched by file name, so
+   * they still show after the folder is moved or the notes are imported
+   * on another computer.
+   */
+  function isCurrentPageNote(note) {
+    return getPageFile(note.url || '') === getPageFile(getCurrentPageUrl());
+  }
+
   /**
    * Save notes to localStorage
    */
@@ -61,8 +97,7 @@
       let allNotes = stored ? JSON.parse(stored) : [];
       
       // Remove old notes for this page
-      const currentUrl = getCurrentPageUrl();
-      allNotes = allNotes.filter(note => note.url !== currentUrl);
+      allNotes = allNotes.filter(note => !isCurrentPageNote(note));
       
       // Add current page notes
       allNotes.push(...notes);
@@ -73,6 +108,17 @@
     }
   }
 
+  /**
+   * Replace the whole notes store (all pages)
+   */
+  function saveAllNotes(allNotes) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(allNotes));
+    } catch (e) {
+      console.error('Failed to save notes:', e);
+    }
+  }
+
   /**
    * Create a note from selected text
    */
@@ -84,83 +130,144 @@
     
     if (!text) return null;
 
-    // Get position information
-    const position = getPositionInfo(range);
+    const offsets = rangeToOffsets(range);
+    if (!offsets) return null;
     
     const note = {
       id: Date.now().toString() + Math.random().toString().substring(2),
       text: text,
       timestamp: Date.now(),
       url: getCurrentPageUrl(),
-      position: position
+      selector: buildSelectors(getContentRoot().textContent, offsets.start, offsets.end),
+      chapter: getChapterTitle(),
+      section: getSectionInfo(range.startContainer),
+      comment: '',
+      color: DEFAULT_COLOR,
+      tags: []
     };
 
     notes.push(note);
     saveNotes();
+    applyHighlights();
     
     return note;
   }
 
   /**
-   * Get position information for a range
-   * Stores XPath and text offset for relocating the text
+   * Get the visible text of a heading, treating line breaks as spaces
    */
-  function getPositionInfo(range) {
-    const startContainer = range.startContainer;
-    const endContainer = range.endContainer;
-    
-    return {
-      startXPath: getXPath(startContainer),
-      endXPath: getXPath(endContainer),
-      startOffset: range.startOffset,
-      endOffset: range.endOffset,
-      startText: getContextText(startContainer, range.startOffset),
-      endText: getContextText(endContainer, range.endOffset)
-    };
+  function getHeadingText(heading) {
+    return Array.from(heading.childNodes)
+      .map(node => (node.nodeName === 'BR' ? ' ' : node.textContent))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
   }
 
   /**
-   * Get XPath for a node
+   * Get the chapter title of the current page
    */
-  function getXPath(node) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      node = node.parentNode;
-    }
-    
-    const parts = [];
-    while (node && node.nodeType === Node.ELEMENT_NODE) {
-      let index = 0;
-      let sibling = node.previousSibling;
-      
-      while (sibling) {
-        if (sibling.nodeType === Node.ELEMENT_NODE && 
-            sibling.nodeName === node.nodeName) {
-          index++;
-        }
-        sibling = sibling.previousSibling;
+  function getChapterTitle() {
+    const heading = document.querySelector('h1.chpTitle');
+    return heading ? getHeadingText(heading) : document.title;
+  }
+
+  /**
+   * Find the section (h2.head1) and subsection (h3.head2) a node sits in
+   */
+  function getSectionInfo(node) {
+    const section = { head1: '', head2: '' };
+    const headings = getContentRoot().querySelectorAll('h2.head1, h3.head2');
+
+    for (const heading of headings) {
+      if (heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_PRECEDING) break;
+
+      if (heading.classList.contains('head1')) {
+        section.head1 = getHeadingText(heading);
+        section.head2 = '';
+      } else {
+        section.head2 = getHeadingText(heading);
       }
-      
-      const tagName = node.nodeName.toLowerCase();
-      const nth = index > 0 ? `[${index + 1}]` : '';
-      parts.unshift(tagName + nth);
-      
-      node = node.parentNode;
     }
-    
-    return '/' + parts.join('/');
+
+    return section;
   }
 
   /**
-   * Get context text around a position for matching
+   * Update a note's comment, color or tags
    */
-  function getContextText(node, offset) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      const text = node.textContent;
-      const start = Math.max(0, offset - 20);
-      const end = Math.min(text.length, offset + 20);
-      return text.substring(start, end);
+  function updateNote(noteId, changes) {
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return;
+
+    if (changes.comment !== undefined) {
+      note.comment = changes.comment.trim();
+    }
+    if (changes.color !== undefined) {
+      note.color = NOTE_COLORS.includes(changes.color) ? changes.color : DEFAULT_COLOR;
+      getHighlightElements(noteId).forEach(span => {
+        span.className = getHighlightClassName(note);
+      });
+    }
+    if (changes.tags !== undefined) {
+      note.tags = normalizeTags(changes.tags);
     }
-    return '';
+
+    note.updated = Date.now();
+    saveNotes();
+  }
+
+  /**
+   * Clean up a list of tags: lowercase, trimmed, no blanks or repeats
+   */
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+    return Array.from(new Set(
+      list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+    ));
+  }
+
+  /**
+   * Get a note's color, defaulting for notes saved before colors existed
+   */
+  function getNoteColor(note) {
+    return NOTE_COLORS.includes(note.color) ? note.color : DEFAULT_COLOR;
+  }
+
+  /**
+   * Get the class list for a note's highlight elements
+   */
+  function getHighlightClassName(note) {
+    return `${HIGHLIGHT_CLASS} note-color-${getNoteColor(note)}`;
+  }
+
+  /**
+   * Build W3C Web Annotation selectors for a span of the page text.
+   * The TextPositionSelector is the fast path while the page is unchanged;
+   * the TextQuoteSelector (quote plus surrounding context) lets the note be
+   * re-found after the chapter HTML has been regenerated.
+   */
+  function buildSelectors(text, start, end) {
+    return [
+      {
+        type: 'TextQuoteSelector',
+        exact: text.substring(start, end),
+        prefix: text.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+        suffix: text.substring(end, end + QUOTE_CONTEXT_LENGTH)
+      },
+      {
+        type: 'TextPositionSelector',
+        start: start,
+        end: end
+      }
+    ];
+  }
+
+  /**
+   * Get a note's selector of the given type
+   */
+  function getSelector(note, type) {
+    return (Array.isArray(note.selector) ? note.selector : []).find(s => s && s.type === type) || null;
   }
 
   /**
@@ -183,66 +290,268 @@
   }
 
   /**
-   * Try to locate and highlight a note's position
+   * Approximate text position for notes saved before selectors existed.
+   * Their XPath is only used as a hint to pick between repeated quotes.
    */
-  function locateNote(note) {
-    try {
-      const startNode = getNodeByXPath(note.position.startXPath);
-      const endNode = getNodeByXPath(note.position.endXPath);
-      
-      if (!startNode || !endNode) {
-        console.warn('Could not find nodes for note');
-        return null;
+  function getLegacyPositionHint(note) {
+    if (!note.position || !note.position.startXPath) return null;
+
+    const root = getContentRoot();
+    const node = getNodeByXPath(note.position.startXPath);
+    if (!node || !root.contains(node)) return null;
+
+    let start = 0;
+    if (node !== root) {
+      const before = document.createRange();
+      before.selectNodeContents(root);
+      before.setEndBefore(node);
+      start = before.toString().length;
+    }
+    start += note.position.startOffset || 0;
+
+    return { start: start, end: start + note.text.length };
+  }
+
+  /**
+   * Locate a note in the page text, returning character offsets or null
+   * when the note can't be re-anchored
+   */
+  function locateNote(note, text) {
+    let quote = getSelector(note, 'TextQuoteSelector');
+    let position = getSelector(note, 'TextPositionSelector');
+
+    if (!quote) {
+      quote = { exact: note.text, prefix: '', suffix: '' };
+      position = getLegacyPositionHint(note);
+    }
+    if (!quote.exact) return null;
+
+    // Fast path: the page hasn't changed since the note was saved
+    if (position && text.substring(position.start, position.end) === quote.exact) {
+      return { start: position.start, end: position.end };
+    }
+
+    // An exact match with its context intact is trusted straight away;
+    // otherwise the fuzzy search gets a chance to find a better fit
+    const hint = position ? position.start : null;
+    const exact = findExactQuote(text, quote, hint);
+    if (exact && exact.score >= 2) {
+      return { start: exact.start, end: exact.end };
+    }
+
+    const best = pickBest([exact, findFuzzyQuote(text, quote, hint)].filter(Boolean));
+    return best ? { start: best.start, end: best.end } : null;
+  }
+
+  /**
+   * Score how well the text around a match agrees with the saved context
+   */
+  function scoreContext(text, start, end, quote, hint) {
+    let score = 0;
+
+    if (quote.prefix) {
+      const before = text.substring(Math.max(0, start - quote.prefix.length), start);
+      let n = 0;
+      while (n < before.length && before[before.length - 1 - n] === quote.prefix[quote.prefix.length - 1 - n]) {
+        n++;
       }
+      score += n / quote.prefix.length;
+    }
 
-      // Find text nodes within these elements
-      const startTextNode = findTextNode(startNode, note.position.startText);
-      const endTextNode = findTextNode(endNode, note.position.endText);
-      
-      if (!startTextNode || !endTextNode) {
-        console.warn('Could not find text nodes');
-        return null;
+    if (quote.suffix) {
+      const after = text.substring(end, end + quote.suffix.length);
+      let n = 0;
+      while (n < after.length && after[n] === quote.suffix[n]) {
+        n++;
       }
+      score += n / quote.suffix.length;
+    }
 
-      const range = document.createRange();
-      range.setStart(startTextNode, note.position.startOffset);
-      range.setEnd(endTextNode, note.position.endOffset);
-      
-      return range;
-    } catch (e) {
-      console.error('Failed to locate note:', e);
-      return null;
+    // Small tie-breaker towards the old position
+    if (hint !== null && text.length > 0) {
+      score += 0.1 * (1 - Math.min(1, Math.abs(start - hint) / text.length));
     }
+
+    return score;
   }
 
   /**
-   * Find text node containing specific text
+   * Pick the highest scoring candidate
    */
-  function findTextNode(element, contextText) {
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-    
-    let node;
-    while ((node = walker.nextNode()) !== null) {
-      if (contextText.length > CONTEXT_TEXT_THRESHOLD && 
-          node.textContent.includes(contextText.substring(CONTEXT_MARGIN, contextText.length - CONTEXT_MARGIN))) {
-        return node;
-      } else if (contextText.length <= CONTEXT_TEXT_THRESHOLD && node.textContent.includes(contextText)) {
-        return node;
+  function pickBest(candidates) {
+    return candidates.reduce((best, c) => (!best || c.score > best.score ? c : best), null);
+  }
+
+  /**
+   * Find every exact occurrence of the quote and pick the one whose
+   * surroundings match the saved prefix/suffix best. Scores are on the
+   * same scale as findFuzzyQuote (similarity + half the context score).
+   */
+  function findExactQuote(text, quote, hint) {
+    const candidates = [];
+    let index = text.indexOf(quote.exact);
+    while (index !== -1 && candidates.length < MAX_CANDIDATES) {
+      const end = index + quote.exact.length;
+      candidates.push({
+        start: index,
+        end: end,
+        score: 1 + 0.5 * scoreContext(text, index, end, quote, hint)
+      });
+      index = text.indexOf(quote.exact, index + 1);
+    }
+
+    return pickBest(candidates);
+  }
+
+  /**
+   * Normalise text for fuzzy comparison (case, whitespace runs, typographic
+   * quotes and dashes), keeping a map back to the original offsets
+   */
+  function normalizeText(text) {
+    let out = '';
+    const map = [];
+    let lastWasSpace = false;
+
+    for (let i = 0; i < text.length; i++) {
+      let ch = text[i];
+      if (/\s/.test(ch)) {
+        if (lastWasSpace) continue;
+        ch = ' ';
+        lastWasSpace = true;
+      } else {
+        lastWasSpace = false;
+        ch = ch
+          .replace(/[‘’‛′]/, "'")
+          .replace(/[“”″]/, '"')
+          .replace(/[–—]/, '-')
+          .toLowerCase();
       }
+      out += ch;
+      map.push(i);
     }
-    
-    // Fallback: return first text node
-    walker.currentNode = element;
-    return walker.nextNode();
+
+    return { text: out, map: map };
+  }
+
+  /**
+   * Dice coefficient over character bigrams (0 = unrelated, 1 = identical)
+   */
+  function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bg = a.substr(i, 2);
+      bigrams.set(bg, (bigrams.get(bg) || 0) + 1);
+    }
+
+    let shared = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bg = b.substr(i, 2);
+      const count = bigrams.get(bg) || 0;
+      if (count > 0) {
+        bigrams.set(bg, count - 1);
+        shared++;
+      }
+    }
+
+    return (2 * shared) / (a.length + b.length - 2);
+  }
+
+  /**
+   * Collect start offsets of a needle in a haystack
+   */
+  function findAll(haystack, needle) {
+    const found = [];
+    if (!needle) return found;
+    let index = haystack.indexOf(needle);
+    while (index !== -1 && found.length < MAX_CANDIDATES) {
+      found.push(index);
+      index = haystack.indexOf(needle, index + 1);
+    }
+    return found;
+  }
+
+  /**
+   * Re-find a quote whose text has been edited. Candidates come from the
+   * normalised quote, its head/tail anchored to a span of similar length,
+   * and the saved prefix/suffix context; each is accepted only if it is
+   * similar enough to the saved quote.
+   */
+  function findFuzzyQuote(text, quote, hint) {
+    const page = normalizeText(text);
+    const exact = normalizeText(quote.exact).text.trim();
+    const prefix = normalizeText(quote.prefix || '').text;
+    const suffix = normalizeText(quote.suffix || '').text;
+    if (!exact) return null;
+
+    const minLength = Math.floor(exact.length * (1 - FUZZY_LENGTH_TOLERANCE));
+    const maxLength = Math.ceil(exact.length * (1 + FUZZY_LENGTH_TOLERANCE));
+    const spans = [];
+
+    // Same text apart from whitespace, case and punctuation style
+    findAll(page.text, exact).forEach(start => {
+      spans.push([start, start + exact.length]);
+    });
+
+    // Quote edited in the middle: anchor on its unchanged head or tail
+    const anchorLength = Math.min(FUZZY_ANCHOR_LENGTH, Math.floor(exact.length / 3));
+    if (anchorLength >= FUZZY_MIN_ANCHOR_LENGTH) {
+      const head = exact.substring(0, anchorLength);
+      const tail = exact.substring(exact.length - anchorLength);
+
+      findAll(page.text, head).forEach(start => {
+        const searchArea = page.text.substring(start + minLength - anchorLength, start + maxLength);
+        const tailAt = searchArea.indexOf(tail);
+        const end = tailAt !== -1
+          ? start + minLength - anchorLength + tailAt + anchorLength
+          : start + exact.length;
+        spans.push([start, end]);
+      });
+
+      findAll(page.text, tail).forEach(tailStart => {
+        const end = tailStart + anchorLength;
+        spans.push([Math.max(0, end - exact.length), end]);
+      });
+    }
+
+    // Quote rewritten: fall back to the text between the saved context
+    if (prefix.length >= FUZZY_MIN_ANCHOR_LENGTH && suffix.length >= FUZZY_MIN_ANCHOR_LENGTH) {
+      findAll(page.text, prefix).forEach(prefixStart => {
+        const start = prefixStart + prefix.length;
+        const suffixAt = page.text.substring(start, start + maxLength + suffix.length).indexOf(suffix);
+        if (suffixAt !== -1) {
+          spans.push([start, start + suffixAt]);
+        }
+      });
+    }
+
+    const candidates = spans
+      .map(([start, end]) => {
+        // Trim whitespace picked up at the edges of the span
+        while (start < end && page.text[start] === ' ') start++;
+        while (end > start && page.text[end - 1] === ' ') end--;
+        if (end <= start) return null;
+
+        const score = similarity(exact, page.text.substring(start, end));
+        if (score < FUZZY_MIN_SIMILARITY) return null;
+
+        const origStart = page.map[start];
+        const origEnd = page.map[end - 1] + 1;
+        return {
+          start: origStart,
+          end: origEnd,
+          score: score + 0.5 * scoreContext(text, origStart, origEnd, quote, hint)
+        };
+      })
+      .filter(Boolean);
+
+    return pickBest(candidates);
   }
 
   /**
-   * Jump to a note's position and highlight it
+   * Jump to a note's position and pulse its highlight
    */
   function jumpToNote(noteId) {
     const note = notes.find(n => n.id === noteId);
@@ -253,44 +562,249 @@
       el.classList.remove(ACTIVE_HIGHLIGHT_CLASS);
     });
 
-    const range = locateNote(note);
-    if (!range) {
-      alert('Could not find the highlighted text on the page. It may have been modified or removed.');
+    const spans = getHighlightElements(noteId);
+    if (spans.length === 0) {
+      orphanedIds.add(noteId);
+      renderNotes();
       return;
     }
 
-    // Scroll to the range
-    const rect = range.getBoundingClientRect();
+    // Scroll to the first highlighted fragment
+    const rect = spans[0].getBoundingClientRect();
     const scrollTop = window.pageYOffset + rect.top - window.innerHeight / 3;
     window.scrollTo({
       top: scrollTop,
       behavior: 'smooth'
     });
 
-    // Highlight the text temporarily
+    // Pulse the highlight temporarily
     setTimeout(() => {
-      highlightRange(range, true);
+      spans.forEach(span => span.classList.add(ACTIVE_HIGHLIGHT_CLASS));
       
-      // Remove highlight after 3 seconds
+      // Remove pulse after 3 seconds
       setTimeout(() => {
-        document.querySelectorAll(`.${ACTIVE_HIGHLIGHT_CLASS}`).forEach(el => {
-          el.classList.remove(ACTIVE_HIGHLIGHT_CLASS);
-        });
+        spans.forEach(span => span.classList.remove(ACTIVE_HIGHLIGHT_CLASS));
       }, 3000);
     }, 500);
   }
 
   /**
-   * Highlight a range
+   * Jump to the note named in the URL hash (#note=<id>), as linked from
+   * the notes dashboard
    */
-  function highlightRange(range, active = false) {
-    try {
+  function jumpToHashNote() {
+    const match = window.location.hash.match(NOTE_HASH_PATTERN);
+    if (!match) return;
+
+    // Let the page's own scroll restore run first
+    setTimeout(() => jumpToNote(decodeURIComponent(match[1])), 300);
+  }
+
+  /**
+   * Get the root element that note positions are measured against
+   */
+  function getContentRoot() {
+    return document.querySelector('main') || document.body;
+  }
+
+  /**
+   * Convert a range into character offsets within the content root.
+   * Offsets are unaffected by highlight spans, since wrapping text
+   * never changes the text content of the page.
+   */
+  function rangeToOffsets(range) {
+    const root = getContentRoot();
+    if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) {
+      return null;
+    }
+
+    const before = document.createRange();
+    before.selectNodeContents(root);
+    before.setEnd(range.startContainer, range.startOffset);
+    const start = before.toString().length;
+
+    return {
+      start: start,
+      end: start + range.toString().length
+    };
+  }
+
+  /**
+   * Convert character offsets within the content root back into a range
+   */
+  function offsetsToRange(offsets) {
+    const walker = document.createTreeWalker(
+      getContentRoot(),
+      NodeFilter.SHOW_TEXT,
+      null,
+      false
+    );
+
+    const range = document.createRange();
+    let consumed = 0;
+    let foundStart = false;
+    let node;
+    while ((node = walker.nextNode()) !== null) {
+      const length = node.textContent.length;
+      if (!foundStart && offsets.start < consumed + length) {
+        range.setStart(node, offsets.start - consumed);
+        foundStart = true;
+      }
+      if (foundStart && offsets.end <= consumed + length) {
+        range.setEnd(node, offsets.end - consumed);
+        return range;
+      }
+      consumed += length;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all text nodes that intersect a range
+   */
+  function getTextNodesInRange(range) {
+    const root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) {
+      return [root];
+    }
+
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: function(node) {
+          return range.intersectsNode(node)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT;
+        }
+      },
+      false
+    );
+
+    const nodes = [];
+    let node;
+    while ((node = walker.nextNode()) !== null) {
+      nodes.push(node);
+    }
+    return nodes;
+  }
+
+  /**
+   * Highlight a range by wrapping each text node it touches.
+   * Unlike surroundContents this works when the range spans
+   * several elements (paragraphs, table cells, inline markup).
+   */
+  function highlightRange(range, note) {
+    const spans = [];
+
+    getTextNodesInRange(range).forEach(node => {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.textContent.length;
+
+      // Skip empty slices and whitespace between block elements,
+      // which can't be wrapped inside tables and lists
+      if (start >= end || !node.textContent.substring(start, end).trim()) return;
+
+      let target = node;
+      if (end < target.textContent.length) {
+        target.splitText(end);
+      }
+      if (start > 0) {
+        target = target.splitText(start);
+      }
+
       const span = document.createElement('span');
-      span.className = active ? ACTIVE_HIGHLIGHT_CLASS : HIGHLIGHT_CLASS;
-      range.surroundContents(span);
-    } catch (e) {
-      // surroundContents fails when range spans multiple elements
-      console.warn('Could not highlight range (likely spans multiple elements):', e);
+      span.className = getHighlightClassName(note);
+      span.dataset.noteId = note.id;
+      target.parentNode.insertBefore(span, target);
+      span.appendChild(target);
+      spans.push(span);
+    });
+
+    return spans;
+  }
+
+  /**
+   * Get the highlight elements belonging to a note
+   */
+  function getHighlightElements(noteId) {
+    return Array.from(document.querySelectorAll(`.${HIGHLIGHT_CLASS}`))
+      .filter(span => span.dataset.noteId === noteId);
+  }
+
+  /**
+   * Unwrap highlight elements, restoring the original text nodes
+   */
+  function removeHighlightElements(spans) {
+    const parents = new Set();
+    spans.forEach(span => {
+      const parent = span.parentNode;
+      if (!parent) return;
+      while (span.firstChild) {
+        parent.insertBefore(span.firstChild, span);
+      }
+      parent.removeChild(span);
+      parents.add(parent);
+    });
+    parents.forEach(parent => parent.normalize());
+  }
+
+  /**
+   * Remove every note highlight from the page
+   */
+  function clearHighlights() {
+    removeHighlightElements(Array.from(document.querySelectorAll(`.${HIGHLIGHT_CLASS}`)));
+  }
+
+  /**
+   * Paint a permanent highlight for every saved note on this page.
+   * Notes that can't be re-anchored are flagged as orphaned.
+   */
+  function applyHighlights() {
+    clearHighlights();
+    orphanedIds = new Set();
+
+    // Wrapping text never changes the page text, so every note can be
+    // located up front against the same string
+    const text = getContentRoot().textContent;
+    let upgraded = false;
+
+    const located = notes.map(note => {
+      const offsets = locateNote(note, text);
+      if (!offsets) {
+        orphanedIds.add(note.id);
+        return null;
+      }
+
+      // Give notes saved before selectors existed a proper anchor
+      if (!note.selector) {
+        note.selector = buildSelectors(text, offsets.start, offsets.end);
+        delete note.position;
+        upgraded = true;
+      }
+
+      return { note: note, offsets: offsets };
+    }).filter(Boolean);
+
+    located.forEach(entry => {
+      const range = offsetsToRange(entry.offsets);
+
+      // Record where older notes sit so the dashboard can group them
+      if (range && !entry.note.section) {
+        entry.note.chapter = getChapterTitle();
+        entry.note.section = getSectionInfo(range.startContainer);
+        upgraded = true;
+      }
+
+      const spans = range ? highlightRange(range, entry.note) : [];
+      if (spans.length === 0) {
+        orphanedIds.add(entry.note.id);
+      }
+    });
+
+    if (upgraded) {
+      saveNotes();
     }
   }
 
@@ -298,6 +812,11 @@
    * Delete a note
    */
   function deleteNote(noteId) {
+    removeHighlightElements(getHighlightElements(noteId));
+    orphanedIds.delete(noteId);
+    if (editingId === noteId) {
+      editingId = null;
+    }
     notes = notes.filter(n => n.id !== noteId);
     saveNotes();
     renderNotes();
@@ -317,8 +836,20 @@
         <button class="notes-tray-close" aria-label="Close notes tray">×</button>
       </div>
       <div class="notes-tray-content">
+        <div id="notes-filter" class="notes-filter"></div>
         <div id="notes-list"></div>
       </div>
+      <div class="notes-tray-footer">
+        <div class="notes-io-buttons">
+          <span>Export all:</span>
+          <button class="notes-io-btn" data-export="json">JSON</button>
+          <button class="notes-io-btn" data-export="md">Markdown</button>
+          <button class="notes-io-btn" data-export="csv">CSV</button>
+          <button class="notes-io-btn notes-io-import">Import…</button>
+          <input class="notes-io-file" type="file" accept=".json,application/json" hidden />
+        </div>
+        <div id="notes-io-status" class="notes-io-status" role="status"></div>
+      </div>
     `;
     
     document.body.appendChild(tray);
@@ -335,6 +866,380 @@
     // Event listeners
     toggleBtn.addEventListener('click', toggleTray);
     tray.querySelector('.notes-tray-close').addEventListener('click', closeTray);
+
+    tray.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => exportNotes(btn.dataset.export));
+    });
+
+    const fileInput = tray.querySelector('.notes-io-file');
+    tray.querySelector('.notes-io-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length > 0) {
+        importNotesFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+  }
+
+  /**
+   * Sort notes for export: by page, then by position on the page
+   */
+  function sortForExport(allNotes) {
+    return allNotes.slice().sort((a, b) => {
+      const byPage = getPageFile(a.url || '').localeCompare(getPageFile(b.url || ''), undefined, { numeric: true });
+      if (byPage !== 0) return byPage;
+      const pa = getSelector(a, 'TextPositionSelector');
+      const pb = getSelector(b, 'TextPositionSelector');
+      return (pa ? pa.start : Infinity) - (pb ? pb.start : Infinity) || a.timestamp - b.timestamp;
+    });
+  }
+
+  /**
+   * Serialise the whole notes store as JSON
+   */
+  function notesToJson(allNotes) {
+    return JSON.stringify({
+      type: EXPORT_TYPE,
+      version: EXPORT_VERSION,
+      exported: new Date().toISOString(),
+      notes: allNotes
+    }, null, 2);
+  }
+
+  /**
+   * Render the notes store as a Markdown study sheet, grouped by chapter
+   * and section
+   */
+  function notesToMarkdown(allNotes) {
+    const lines = ['# A2 Study Notes', '', `_Exported ${new Date().toLocaleDateString()}_`];
+    let chapter = null;
+    let section = null;
+
+    sortForExport(allNotes).forEach(note => {
+      const title = note.chapter || getPageFile(note.url || '');
+      if (title !== chapter) {
+        chapter = title;
+        section = null;
+        lines.push('', `## ${title}`);
+      }
+
+      const sec = note.section || {};
+      const heading = [sec.head1, sec.head2].filter(Boolean).join(' › ');
+      if (heading !== section) {
+        section = heading;
+        if (heading) {
+          lines.push('', `### ${heading}`);
+        }
+      }
+
+      lines.push('', ...note.text.split('\n').map(line => `> ${line}`));
+      if (note.comment) {
+        lines.push('', note.comment);
+      }
+      if ((note.tags || []).length) {
+        lines.push('', 'Tags: ' + note.tags.map(tag => '#' + tag.replace(/\s+/g, '-')).join(' '));
+      }
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render the notes store as CSV, one row per note
+   */
+  function notesToCsv(allNotes) {
+    const quote = value => '"' + String(value === undefined || value === null ? '' : value).replace(/"/g, '""') + '"';
+    const rows = sortForExport(allNotes).map(note => {
+      const sec = note.section || {};
+      return [
+        note.chapter || getPageFile(note.url || ''),
+        sec.head1,
+        sec.head2,
+        note.text,
+        note.comment,
+        (note.tags || []).join(', '),
+        getNoteColor(note),
+        new Date(note.timestamp).toISOString(),
+        note.url,
+        note.id
+      ].map(quote).join(',');
+    });
+    return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Download the whole notes store in the given format
+   */
+  function exportNotes(format) {
+    const allNotes = loadAllNotes();
+    if (allNotes.length === 0) {
+      setIoStatus('There are no notes to export yet.');
+      return;
+    }
+
+    const formats = {
+      json: { content: notesToJson, type: 'application/json', ext: 'json' },
+      md: { content: notesToMarkdown, type: 'text/markdown', ext: 'md' },
+      csv: { content: notesToCsv, type: 'text/csv', ext: 'csv' }
+    };
+    const chosen = formats[format];
+    if (!chosen) return;
+
+    const blob = new Blob([chosen.content(allNotes)], { type: chosen.type + ';charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `a2-notes-${new Date().toISOString().slice(0, 10)}.${chosen.ext}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    setIoStatus(`Exported ${allNotes.length} note${allNotes.length === 1 ? '' : 's'}.`);
+  }
+
+  /**
+   * Compare the user-editable content of two notes
+   */
+  function sameNoteContent(a, b) {
+    const fields = note => JSON.stringify([
+      note.text,
+      note.url,
+      note.comment || '',
+      getNoteColor(note),
+      normalizeTags(note.tags || [])
+    ]);
+    return fields(a) === fields(b);
+  }
+
+  /**
+   * A note from an import file in the shape this page writes, or null when
+   * it can't be trusted: ids are rendered into attributes and urls into
+   * links, so only plain ids and same-site chapter paths are accepted.
+   * Notes saved before selectors existed carry a legacy position instead.
+   * The url is moved to this copy of the site, which may live elsewhere.
+   */
+  function sanitizeImportedNote(note) {
+    if (!note || typeof note !== 'object' ||
+        typeof note.id !== 'string' || !NOTE_ID_PATTERN.test(note.id) ||
+        typeof note.text !== 'string' || !Number.isFinite(note.timestamp) ||
+        !isChapterUrl(note.url)) {
+      return null;
+    }
+
+    const position = sanitizeLegacyPosition(note.position);
+    if (!Array.isArray(note.selector) && !position) return null;
+
+    const clean = Object.assign({}, note, {
+      url: getCurrentPageUrl().replace(/[^/]*$/, '') + getPageFile(note.url),
+      comment: typeof note.comment === 'string' ? note.comment : '',
+      color: getNoteColor(note),
+      tags: normalizeTags(note.tags)
+    });
+    if (Array.isArray(note.selector)) {
+      clean.selector = note.selector.filter(s => s && typeof s === 'object' && typeof s.type === 'string');
+      delete clean.position;
+    } else {
+      delete clean.selector;
+      clean.position = position;
+    }
+    if (typeof clean.chapter !== 'string') delete clean.chapter;
+    if (!clean.section || typeof clean.section !== 'object') delete clean.section;
+    if (!Number.isFinite(clean.updated)) delete clean.updated;
+    return clean;
+  }
+
+  /**
+   * The XPath anchor of a note saved before selectors existed, or null
+   */
+  function sanitizeLegacyPosition(position) {
+    if (!position || typeof position !== 'object' || typeof position.startXPath !== 'string') return null;
+    return {
+      startXPath: position.startXPath,
+      startOffset: Number.isFinite(position.startOffset) ? position.startOffset : 0,
+      endXPath: typeof position.endXPath === 'string' ? position.endXPath : position.startXPath,
+      endOffset: Number.isFinite(position.endOffset) ? position.endOffset : 0
+    };
+  }
+
+  /**
+   * True for a path on this site that ends in a chapter page, such as
+   * /A2/CH3_Thermodynamics_of_Steam.html (no scheme or other host)
+   */
+  function isChapterUrl(url) {
+    if (typeof url !== 'string' || /^[a-z][a-z0-9+.-]*:|^[\\/]{2}|\\/i.test(url) || /[?#]/.test(url)) {
+      return false;
+    }
+    try {
+      return CHAPTER_FILE_PATTERN.test(getPageFile(url));
+    } catch (e) {
+      return false;          // malformed percent-encoding
+    }
+  }
+
+  /**
+   * Merge imported notes into the store by id. Identical notes are
+   * duplicates; notes that differ are conflicts, resolved in favour of
+   * the most recently edited copy.
+   */
+  function mergeNotes(existing, incoming) {
+    const merged = existing.slice();
+    const report = { added: 0, duplicates: 0, conflicts: 0, replaced: 0, invalid: 0 };
+
+    incoming.forEach(item => {
+      const note = sanitizeImportedNote(item);
+      if (!note) {
+        report.invalid++;
+        return;
+      }
+
+      const index = merged.findIndex(n => n.id === note.id);
+      if (index === -1) {
+        merged.push(note);
+        report.added++;
+      } else if (sameNoteContent(merged[index], note)) {
+        report.duplicates++;
+      } else {
+        report.conflicts++;
+        const current = merged[index];
+        if ((note.updated || note.timestamp) > (current.updated || current.timestamp)) {
+          merged[index] = note;
+          report.replaced++;
+        }
+      }
+    });
+
+    return { notes: merged, report: report };
+  }
+
+  /**
+   * Read a JSON export and merge it into the notes store
+   */
+  function importNotesFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let incoming;
+      try {
+        const data = JSON.parse(reader.result);
+        incoming = Array.isArray(data) ? data : data && data.type === EXPORT_TYPE ? data.notes : null;
+      } catch (e) {
+        incoming = null;
+      }
+
+      if (!Array.isArray(incoming)) {
+        setIoStatus('Import failed: this is not a notes JSON export.', true);
+        return;
+      }
+
+      const result = mergeNotes(loadAllNotes(), incoming);
+      saveAllNotes(result.notes);
+
+      loadNotes();
+      applyHighlights();
+      renderNotes();
+      renderDashboard();
+
+      const r = result.report;
+      const parts = [`${r.added} added`, `${r.duplicates} duplicate${r.duplicates === 1 ? '' : 's'} skipped`];
+      if (r.conflicts) {
+        parts.push(`${r.conflicts} conflict${r.conflicts === 1 ? '' : 's'} (${r.replaced} replaced by a newer copy, ${r.conflicts - r.replaced} kept)`);
+      }
+      if (r.invalid) {
+        parts.push(`${r.invalid} invalid entr${r.invalid === 1 ? 'y' : 'ies'} ignored`);
+      }
+      setIoStatus('Import complete: ' + parts.join(', ') + '.');
+    };
+    reader.onerror = () => setIoStatus('Import failed: the file could not be read.', true);
+    reader.readAsText(file);
+  }
+
+  /**
+   * Show the result of an export or import in the tray
+   */
+  function setIoStatus(message, isError = false) {
+    const status = document.getElementById('notes-io-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Check whether a note passes the current tray filter
+   */
+  function matchesFilter(note) {
+    if (filter.tag && !(note.tags || []).includes(filter.tag)) return false;
+    if (filter.color && getNoteColor(note) !== filter.color) return false;
+    return true;
+  }
+
+  /**
+   * Render the tag and color filter bar
+   */
+  function renderFilter() {
+    const filterBar = document.getElementById('notes-filter');
+    if (!filterBar) return;
+
+    const tags = Array.from(new Set(notes.flatMap(note => note.tags || []))).sort();
+
+    // Drop a tag filter whose last note was removed or retagged
+    if (filter.tag && !tags.includes(filter.tag)) {
+      filter.tag = '';
+    }
+
+    if (notes.length === 0) {
+      filterBar.innerHTML = '';
+      return;
+    }
+
+    filterBar.innerHTML = `
+      <select class="notes-filter-tag" aria-label="Filter notes by tag">
+        <option value="">All tags</option>
+        ${tags.map(tag => `
+          <option value="${escapeHtml(tag)}"${tag === filter.tag ? ' selected' : ''}>#${escapeHtml(tag)}</option>
+        `).join('')}
+      </select>
+      <div class="notes-filter-colors" role="group" aria-label="Filter notes by color">
+        <button class="note-swatch note-swatch-all${filter.color ? '' : ' selected'}" data-color="" title="All colors" aria-label="All colors">✱</button>
+        ${NOTE_COLORS.map(color => `
+          <button class="note-swatch note-color-${color}${color === filter.color ? ' selected' : ''}" data-color="${color}" title="${color}" aria-label="Only ${color} notes"></button>
+        `).join('')}
+      </div>
+    `;
+
+    filterBar.querySelector('.notes-filter-tag').addEventListener('change', (e) => {
+      filter.tag = e.target.value;
+      renderNotes();
+    });
+
+    filterBar.querySelectorAll('.note-swatch').forEach(btn => {
+      btn.addEventListener('click', () => {
+        filter.color = btn.dataset.color;
+        renderNotes();
+      });
+    });
+  }
+
+  /**
+   * Render the inline editor for a note's comment, color and tags
+   */
+  function renderNoteEditor(note) {
+    const color = getNoteColor(note);
+    return `
+      <div class="note-editor">
+        <textarea class="note-editor-comment" rows="3" placeholder="Add a comment…">${escapeHtml(note.comment || '')}</textarea>
+        <div class="note-editor-colors" role="radiogroup" aria-label="Highlight color">
+          ${NOTE_COLORS.map(c => `
+            <label class="note-swatch note-color-${c}${c === color ? ' selected' : ''}" title="${c}">
+              <input type="radio" name="note-color-${escapeHtml(note.id)}" value="${c}"${c === color ? ' checked' : ''} aria-label="${c}" />
+            </label>
+          `).join('')}
+        </div>
+        <input class="note-editor-tags" type="text" placeholder="Tags, comma separated (e.g. exam, formula)" value="${escapeHtml((note.tags || []).join(', '))}" />
+        <div class="note-editor-actions">
+          <button class="note-editor-cancel" type="button">Cancel</button>
+          <button class="note-editor-save" type="button">Save</button>
+        </div>
+      </div>
+    `;
   }
 
   /**
@@ -344,19 +1249,41 @@
     const notesList = document.getElementById('notes-list');
     if (!notesList) return;
 
+    renderFilter();
+
     if (notes.length === 0) {
       notesList.innerHTML = '<p class="notes-empty">No notes yet. Select text and right-click to save a note.</p>';
       return;
     }
 
-    notesList.innerHTML = notes
+    const visible = notes
       .sort((a, b) => b.timestamp - a.timestamp)
+      .filter(matchesFilter);
+
+    if (visible.length === 0) {
+      notesList.innerHTML = '<p class="notes-empty">No notes match this filter.</p>';
+      return;
+    }
+
+    notesList.innerHTML = visible
       .map(note => `
-        <div class="note-item" data-note-id="${note.id}">
+        <div class="note-item note-color-${getNoteColor(note)}${orphanedIds.has(note.id) ? ' note-orphaned' : ''}" data-note-id="${escapeHtml(note.id)}">
           <div class="note-text">${escapeHtml(note.text)}</div>
+          ${editingId === note.id ? renderNoteEditor(note) : `
+            ${note.comment ? `<div class="note-comment">${escapeHtml(note.comment)}</div>` : ''}
+            ${(note.tags || []).length ? `
+              <div class="note-tags">
+                ${note.tags.map(tag => `<button class="note-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+              </div>
+            ` : ''}
+          `}
           <div class="note-footer">
             <span class="note-time">${formatTime(note.timestamp)}</span>
-            <button class="note-delete" data-note-id="${note.id}" aria-label="Delete note">Delete</button>
+            ${orphanedIds.has(note.id) ? '<span class="note-orphaned-badge" title="This text could not be found on the page. It may have been modified or removed.">Orphaned</span>' : ''}
+            <span class="note-actions">
+              <button class="note-edit" data-note-id="${escapeHtml(note.id)}" aria-label="Edit note">Edit</button>
+              <button class="note-delete" data-note-id="${escapeHtml(note.id)}" aria-label="Delete note">Delete</button>
+            </span>
           </div>
         </div>
       `).join('');
@@ -365,12 +1292,58 @@
     notesList.querySelectorAll('.note-item').forEach(item => {
       const noteId = item.dataset.noteId;
       item.addEventListener('click', (e) => {
-        if (!e.target.classList.contains('note-delete')) {
+        if (e.target.closest('button, .note-editor')) return;
+        if (!orphanedIds.has(noteId)) {
           jumpToNote(noteId);
         }
       });
     });
 
+    notesList.querySelectorAll('.note-tag').forEach(btn => {
+      btn.addEventListener('click', () => {
+        filter.tag = btn.dataset.tag;
+        renderNotes();
+      });
+    });
+
+    notesList.querySelectorAll('.note-edit').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const noteId = btn.dataset.noteId;
+        editingId = editingId === noteId ? null : noteId;
+        renderNotes();
+      });
+    });
+
+    notesList.querySelectorAll('.note-editor').forEach(editor => {
+      const noteId = editor.closest('.note-item').dataset.noteId;
+
+      editor.querySelectorAll('.note-editor-colors input').forEach(input => {
+        input.addEventListener('change', () => {
+          editor.querySelectorAll('.note-editor-colors .note-swatch').forEach(label => {
+            label.classList.toggle('selected', label.contains(input));
+          });
+        });
+      });
+
+      editor.querySelector('.note-editor-save').addEventListener('click', () => {
+        const checked = editor.querySelector('.note-editor-colors input:checked');
+        updateNote(noteId, {
+          comment: editor.querySelector('.note-editor-comment').value,
+          color: checked ? checked.value : DEFAULT_COLOR,
+          tags: editor.querySelector('.note-editor-tags').value
+        });
+        editingId = null;
+        renderNotes();
+      });
+
+      editor.querySelector('.note-editor-cancel').addEventListener('click', () => {
+        editingId = null;
+        renderNotes();
+      });
+
+      editor.querySelector('.note-editor-comment').focus();
+    });
+
     notesList.querySelectorAll('.note-delete').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -382,6 +1355,170 @@
     });
   }
 
+  /**
+   * Get the file name of a page URL, used to match notes to chapters
+   */
+  function getPageFile(url) {
+    return decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+  }
+
+  /**
+   * Read the chapter list from the index page's chapter links
+   */
+  function getChapterLinks() {
+    return Array.from(document.querySelectorAll('a.chapter')).map(link => ({
+      file: getPageFile(link.getAttribute('href')),
+      label: link.querySelector('span') ? link.querySelector('span').textContent.trim() : '',
+      title: link.querySelector('strong') ? link.querySelector('strong').textContent.trim() : link.textContent.trim()
+    }));
+  }
+
+  /**
+   * Group notes by chapter, then by section heading
+   */
+  function groupNotesByChapter(allNotes, chapters, sortOrder) {
+    const groups = chapters.map(chapter => ({ chapter: chapter, notes: [] }));
+    const others = new Map();
+
+    allNotes.forEach(note => {
+      const file = getPageFile(note.url || '');
+      const group = groups.find(g => g.chapter.file === file);
+      if (group) {
+        group.notes.push(note);
+      } else {
+        if (!others.has(file)) {
+          others.set(file, {
+            chapter: { file: file, label: 'Other page', title: note.chapter || file },
+            notes: []
+          });
+        }
+        others.get(file).notes.push(note);
+      }
+    });
+
+    return groups.concat(Array.from(others.values()))
+      .filter(group => group.notes.length > 0)
+      .map(group => {
+        const sections = [];
+        sortDashboardNotes(group.notes, 'position').forEach(note => {
+          const section = note.section || { head1: '', head2: '' };
+          const key = section.head1 + '\u0000' + section.head2;
+          let entry = sections.find(s => s.key === key);
+          if (!entry) {
+            entry = { key: key, section: section, notes: [] };
+            sections.push(entry);
+          }
+          entry.notes.push(note);
+        });
+        sections.forEach(entry => sortDashboardNotes(entry.notes, sortOrder));
+        return { chapter: group.chapter, count: group.notes.length, sections: sections };
+      });
+  }
+
+  /**
+   * Sort notes in place: by position in the chapter, newest or oldest first
+   */
+  function sortDashboardNotes(list, sortOrder) {
+    const position = note => {
+      const selector = getSelector(note, 'TextPositionSelector');
+      return selector ? selector.start : Infinity;
+    };
+
+    if (sortOrder === 'newest') {
+      return list.sort((a, b) => b.timestamp - a.timestamp);
+    }
+    if (sortOrder === 'oldest') {
+      return list.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    return list.sort((a, b) => position(a) - position(b) || a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Check whether a note matches a dashboard search query
+   */
+  function matchesSearch(note, query) {
+    if (!query) return true;
+    const section = note.section || {};
+    const haystack = [
+      note.text,
+      note.comment,
+      (note.tags || []).join(' '),
+      note.chapter,
+      section.head1,
+      section.head2
+    ].join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+  }
+
+  /**
+   * Render the cross-chapter notes dashboard (index page only)
+   */
+  function renderDashboard() {
+    const dashboard = document.getElementById('notes-dashboard');
+    if (!dashboard) return;
+
+    if (!dashboard.querySelector('.notes-dashboard-toolbar')) {
+      dashboard.innerHTML = `
+        <div class="notes-dashboard-toolbar">
+          <input class="notes-dashboard-search" type="search" placeholder="Search notes, comments, tags…" aria-label="Search notes" />
+          <select class="notes-dashboard-sort" aria-label="Sort notes">
+            <option value="position">Page order</option>
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+          </select>
+        </div>
+        <div class="notes-dashboard-results"></div>
+      `;
+      dashboard.querySelector('.notes-dashboard-search').addEventListener('input', renderDashboard);
+      dashboard.querySelector('.notes-dashboard-sort').addEventListener('change', renderDashboard);
+    }
+
+    const query = dashboard.querySelector('.notes-dashboard-search').value.trim();
+    const sortOrder = dashboard.querySelector('.notes-dashboard-sort').value;
+    const results = dashboard.querySelector('.notes-dashboard-results');
+
+    const allNotes = loadAllNotes();
+    if (allNotes.length === 0) {
+      results.innerHTML = '<p class="notes-empty">No notes yet. Open a chapter, select text and right-click to save a note.</p>';
+      return;
+    }
+
+    const groups = groupNotesByChapter(allNotes.filter(note => matchesSearch(note, query)), getChapterLinks(), sortOrder);
+    if (groups.length === 0) {
+      results.innerHTML = '<p class="notes-empty">No notes match your search.</p>';
+      return;
+    }
+
+    results.innerHTML = groups.map(group => `
+      <section class="notes-dashboard-chapter">
+        <h3>
+          <span>${escapeHtml(group.chapter.label)}</span>
+          ${escapeHtml(group.chapter.title)}
+          <em class="notes-dashboard-count">${group.count}</em>
+        </h3>
+        ${group.sections.map(entry => `
+          <div class="notes-dashboard-section">
+            <h4>${escapeHtml([entry.section.head1, entry.section.head2].filter(Boolean).join(' › ') || 'Introduction')}</h4>
+            ${entry.notes.map(note => `
+              <a class="note-item note-color-${getNoteColor(note)}" href="${escapeHtml(encodeURIComponent(getPageFile(note.url || '')) + '#note=' + encodeURIComponent(note.id))}">
+                <div class="note-text">${escapeHtml(note.text)}</div>
+                ${note.comment ? `<div class="note-comment">${escapeHtml(note.comment)}</div>` : ''}
+                ${(note.tags || []).length ? `
+                  <div class="note-tags">
+                    ${note.tags.map(tag => `<span class="note-tag">#${escapeHtml(tag)}</span>`).join('')}
+                  </div>
+                ` : ''}
+                <div class="note-footer">
+                  <span class="note-time">${formatTime(note.timestamp)}</span>
+                </div>
+              </a>
+            `).join('')}
+          </div>
+        `).join('')}
+      </section>
+    `).join('');
+  }
+
   /**
    * Toggle tray visibility
    */
@@ -481,7 +1618,12 @@
           isCollapsed: false
         };
         
-        createNote(tempSelection);
+        const note = createNote(tempSelection);
+        if (note) {
+          // Start editing straight away so a comment can be added
+          editingId = note.id;
+          filter = { tag: '', color: '' };
+        }
         openTray();
         renderNotes();
         
@@ -541,7 +1683,8 @@
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes alone; the result also goes into attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   // Initialize when DOM is ready
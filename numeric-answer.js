@@ -0,0 +1,268 @@
+/**
+ * Numeric Answers
+ * Parses quantities such as "1.9 MPa" or "26.3 m<sup>3</sup>", converts
+ * between units of the same kind and grades typed answers against a
+ * tolerance. Used by quiz.html for numeric-entry questions.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Configuration
+  const DEFAULT_TOLERANCE = 0.01;       // relative, when a question gives none
+  const NUMBER_PATTERN = /^([-+]?(?:\d{1,3}(?:[ \u00a0\u2009\u202f]\d{3})+(?!\d)(?:\.\d*)?|\d+(?:,\d{3})+(?:\.\d*)?|\d*[.,]?\d+|\d+\.)(?:e[-+]?\d+)?)\s*(.*)$/i;
+  const DIGIT_GROUP_SPACES = /[ \u00a0\u2009\u202f](?=\d{3}(?!\d))/g;
+  // A unitless answer is only a quantity when the question is a calculation;
+  // otherwise it is a count, an article or a code number
+  const CALCULATION_CUE = /\b(?:calculate|compute|determine|estimate|find|work out)\b/i;
+  const COUNT_CUE = /\bhow many\b/i;
+  const DATA_PATTERN = /(\d[\d.,]*)\s*([^\s\d.,;:?!()]+)/g;
+
+  // Units by kind: [factor to the base unit, offset added after scaling]
+  const UNITS = {
+    pressure: { Pa: [1], kPa: [1e3], MPa: [1e6], GPa: [1e9], bar: [1e5] },
+    energy: { J: [1], kJ: [1e3], MJ: [1e6], GJ: [1e9], kWh: [3.6e6] },
+    'specific energy': { 'J/kg': [1], 'kJ/kg': [1e3], 'MJ/kg': [1e6] },
+    'specific heat': { 'J/kgK': [1], 'kJ/kgK': [1e3] },
+    power: { W: [1], kW: [1e3], MW: [1e6] },
+    force: { N: [1], kN: [1e3], MN: [1e6] },
+    volume: { 'm³': [1], 'dm³': [1e-3], L: [1e-3], mL: [1e-6], 'cm³': [1e-6], 'mm³': [1e-9] },
+    area: { 'm²': [1], 'cm²': [1e-4], 'mm²': [1e-6] },
+    length: { m: [1], km: [1e3], cm: [1e-2], mm: [1e-3] },
+    mass: { kg: [1], g: [1e-3], t: [1e3] },
+    'mass flow': { 'kg/s': [1], 'kg/min': [1 / 60], 'kg/h': [1 / 3600] },
+    time: { s: [1], min: [60], h: [3600] },
+    temperature: { K: [1], '°C': [1, 273.15] },
+    frequency: { Hz: [1], kHz: [1e3], MHz: [1e6] },
+    percentage: { '%': [1] }
+  };
+
+  // unit name -> { kind, factor, offset }
+  const UNIT_TABLE = {};
+  Object.keys(UNITS).forEach(kind => {
+    Object.keys(UNITS[kind]).forEach(name => {
+      const [factor, offset] = UNITS[kind][name];
+      UNIT_TABLE[name] = { kind: kind, factor: factor, offset: offset || 0 };
+    });
+  });
+
+  /**
+   * Canonical spelling of a unit: markup and spaces removed, powers as
+   * superscripts, °C/K per kg treated alike
+   */
+  function normalizeUnit(text) {
+    const unit = String(text)
+      .replace(/<sup>\s*([23])\s*<\/sup>/gi, (match, power) => (power === '2' ? '²' : '³'))
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, '')
+      .replace(/[º˚]/g, '°')
+      .replace(/([a-zA-Z])\^?2(?![\d])/g, '$1²')
+      .replace(/([a-zA-Z])\^?3(?![\d])/g, '$1³')
+      .replace(/kg[.·]?°?[CK]$/, 'kgK')
+      .replace(/\/hr$/, '/h')
+      .replace(/^(?:deg)?C$/, '°C')
+      .replace(/^l$/, 'L')
+      .replace(/^ml$/, 'mL');
+
+    if (!unit || UNIT_TABLE[unit]) return unit;
+
+    // Accept the wrong case (mpa, KJ) when only one unit matches
+    const matches = Object.keys(UNIT_TABLE).filter(name => name.toLowerCase() === unit.toLowerCase());
+    return matches.length === 1 ? matches[0] : unit;
+  }
+
+  /**
+   * Read a number, allowing comma or space thousands separators, a decimal
+   * comma and a typographic minus
+   */
+  function parseNumber(text) {
+    let number = text.replace(/^[−–]/, '-').replace(DIGIT_GROUP_SPACES, '');
+    number = /^[-+]?\d+(?:,\d{3})+(?:\.\d*)?(?:e|$)/i.test(number) ? number.replace(/,/g, '') : number.replace(',', '.');
+    return parseFloat(number);
+  }
+
+  /**
+   * Split text like "1,904 kPa" into { value, unit, kind, decimals }.
+   * kind is null for a plain number and undefined for an unknown unit.
+   * Returns null when the text doesn't start with a number.
+   */
+  function parseQuantity(text) {
+    const plain = String(text === null || text === undefined ? '' : text)
+      .replace(/&nbsp;/g, ' ')
+      .replace(/^\s*(?:<[^>]*>\s*)*/, '')
+      .trim()
+      .replace(/^[−–]/, '-');
+    const match = NUMBER_PATTERN.exec(plain);
+    if (!match) return null;
+
+    const value = parseNumber(match[1]);
+    if (!Number.isFinite(value)) return null;
+
+    const unit = normalizeUnit(match[2]);
+    const fraction = /[.,](\d+)(?:e|$)/i.exec(match[1].replace(DIGIT_GROUP_SPACES, '').replace(/,(?=\d{3}\b)/g, ''));
+    return {
+      value: value,
+      unit: unit,
+      kind: unit ? (UNIT_TABLE[unit] ? UNIT_TABLE[unit].kind : undefined) : null,
+      decimals: fraction ? fraction[1].length : 0
+    };
+  }
+
+  /**
+   * Express a parsed quantity in another unit of the same kind
+   */
+  function convert(quantity, unit) {
+    if (!quantity.unit || !unit) return quantity.value;
+    const from = UNIT_TABLE[quantity.unit];
+    const to = UNIT_TABLE[unit];
+    return ((quantity.value * from.factor + from.offset) - to.offset) / to.factor;
+  }
+
+  /**
+   * Round for display without trailing float noise
+   */
+  function formatNumber(value) {
+    return String(parseFloat(value.toPrecision(6)));
+  }
+
+  /**
+   * Numeric form of a multiple-choice question: the correct option's value
+   * with a tolerance that never reaches a wrong option. Returns
+   * { answer, tolerance } or null when the options aren't all quantities,
+   * or when they are plain numbers and the question isn't a calculation.
+   */
+  function fromOptions(options, questionText) {
+    const correct = options.filter(o => o.isCorrect);
+    if (correct.length !== 1) return null;
+
+    const target = parseQuantity(correct[0].text);
+    if (!target || target.kind === undefined || !isWholeAnswer(correct[0].text)) return null;
+    if (!target.unit && !isCalculation(questionText)) return null;
+
+    let gap = Infinity;
+    for (const option of options) {
+      if (option === correct[0]) continue;
+      const quantity = parseQuantity(option.text);
+      if (!quantity || quantity.kind !== target.kind || !isWholeAnswer(option.text)) return null;
+      const distance = Math.abs(convert(quantity, target.unit) - target.value);
+      if (distance > 0) gap = Math.min(gap, distance);
+    }
+
+    if (isExactAnswer(target)) return { answer: formatAnswer(target), tolerance: 0 };
+
+    const lastDigit = Math.pow(10, -target.decimals) / 2;
+    const tolerance = Math.max(lastDigit, Math.min(Math.abs(target.value) * DEFAULT_TOLERANCE, gap / 2));
+    return { answer: formatAnswer(target), tolerance: parseFloat(tolerance.toPrecision(3)) };
+  }
+
+  /**
+   * True for a question that gives data with units (1200 kPa, 17°C), or asks
+   * to calculate something without asking how many
+   */
+  function isCalculation(questionText) {
+    const text = String(questionText || '').replace(/<sup>\s*([23])\s*<\/sup>/gi, '$1').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ');
+    if (COUNT_CUE.test(text)) return false;
+    if (CALCULATION_CUE.test(text)) return true;
+
+    let match;
+    DATA_PATTERN.lastIndex = 0;
+    while ((match = DATA_PATTERN.exec(text)) !== null) {
+      const quantity = parseQuantity(`${match[1]} ${match[2]}`);
+      if (quantity && quantity.kind && quantity.kind !== 'percentage') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whole numbers without a unit are counts: nothing near them is right
+   */
+  function isExactAnswer(quantity) {
+    return !quantity.unit && quantity.decimals === 0 && Number.isInteger(quantity.value);
+  }
+
+  /**
+   * True when the text is only a quantity, not a number followed by words
+   */
+  function isWholeAnswer(text) {
+    const quantity = parseQuantity(text);
+    return !!quantity && (quantity.unit === '' || !!UNIT_TABLE[quantity.unit]);
+  }
+
+  /**
+   * Plain-text answer such as "26.3 m³"
+   */
+  function formatAnswer(quantity) {
+    const number = quantity.value.toFixed(quantity.decimals);
+    return quantity.unit ? `${number}${/^[°%]/.test(quantity.unit) ? '' : ' '}${quantity.unit}` : number;
+  }
+
+  /**
+   * Grade a typed answer against { answer, tolerance }, where tolerance is
+   * absolute and in the answer's unit (relative 1% when missing, exact for
+   * a whole number without a unit).
+   * Returns { correct, message }.
+   */
+  function grade(input, expected) {
+    const target = parseQuantity(expected.answer);
+    const given = parseQuantity(input);
+
+    if (!target) return { correct: false, message: 'This question has no numeric answer' };
+    if (!given) return { correct: false, message: 'Not a number' };
+    if (given.kind === undefined) return { correct: false, message: `Unknown unit "${given.unit}"` };
+    if (target.kind && !given.kind) return { correct: false, message: `Give the unit of ${target.kind} as well` };
+    if (!target.kind && given.kind) return { correct: false, message: 'The answer is a plain number, without a unit' };
+    if (given.kind !== target.kind) return { correct: false, message: `${given.unit} is not a unit of ${target.kind}` };
+
+    const tolerance = getTolerance(expected, target);
+    const value = convert(given, target.unit);
+    const correct = Math.abs(value - target.value) <= tolerance * (1 + 1e-9);
+    const converted = given.unit !== target.unit ? ` = ${formatNumber(value)}${target.unit ? ` ${target.unit}` : ''}` : '';
+
+    return {
+      correct: correct,
+      message: `${formatAnswer(given)}${converted}${correct ? ', within' : ', outside'} ±${formatNumber(tolerance)}${target.unit ? ` ${target.unit}` : ''}`
+    };
+  }
+
+  /**
+   * Absolute tolerance in the answer's unit
+   */
+  function getTolerance(expected, target) {
+    if (Number.isFinite(parseFloat(expected.tolerance))) return Math.abs(parseFloat(expected.tolerance));
+    return isExactAnswer(target) ? 0 : Math.abs(target.value) * DEFAULT_TOLERANCE;
+  }
+
+  /**
+   * Accepted range for display, e.g. "±19 kPa"
+   */
+  function describeTolerance(expected) {
+    const target = parseQuantity(expected.answer);
+    if (!target) return '';
+    return `±${formatNumber(getTolerance(expected, target))}${target.unit ? ` ${target.unit}` : ''}`;
+  }
+
+  /**
+   * Kind of quantity an answer is, for input hints ("pressure"), or ''
+   */
+  function describeAnswer(answer) {
+    const quantity = parseQuantity(answer);
+    return quantity && quantity.kind ? quantity.kind : '';
+  }
+
+  const api = {
+    UNITS: UNITS,
+    parseQuantity: parseQuantity,
+    fromOptions: fromOptions,
+    grade: grade,
+    describeTolerance: describeTolerance,
+    describeAnswer: describeAnswer
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.NumericAnswer = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
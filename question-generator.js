@@ -0,0 +1,421 @@
+/**
+ * Question Generator
+ * Generates fresh variants of calculation questions from the templates in
+ * question-templates.js. A template declares variables with ranges or
+ * choices, a formula for the answer and, optionally, formulas for common
+ * mistakes; each variant comes out as a bank row (QuestionText, CategoryId,
+ * QuestionType, Answers) with the correct answer and plausible distractors.
+ * Used by quiz.html and by validate-questions.js (Node).
+ *
+ * Template shape:
+ *   {
+ *     id: 'fluid-film-floor',              // stable; results are tracked per template
+ *     category: '75',
+ *     text: 'A {area} m2 floor at {t1}°C …', // {name} or {name.field} placeholders
+ *     variables: {
+ *       area: { min: 500, max: 15000, step: 500 },
+ *       metal: { choices: [{ name: 'steel', alpha: 12e-6 }, …] },
+ *       h: { value: 12 }
+ *     },
+ *     derived: { dt: 't1 - t2' },          // optional, evaluated in order
+ *     constraints: ['t1 - t2 >= 2'],       // optional, retried until all hold
+ *     answer: { formula: 'h * area * dt * 3600 / 1e6', unit: 'MJ', decimals: 0,
+ *               separation: 0.03 },        // optional, least relative gap between options
+ *     distractors: ['h * area * dt * 60 / 1e6']   // optional
+ *   }
+ *
+ * Formulas support + - * / ^, comparisons, parentheses, pi and the
+ * functions sqrt, ln, log, exp, abs, min, max, pow and round.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Configuration
+  const OPTION_COUNT = 4;
+  const MAX_ATTEMPTS = 100;
+  const MIN_SEPARATION = 0.03;          // options differ by at least 3% unless a template sets answer.separation
+  const SPREAD_FACTORS = [0.5, 0.75, 0.8, 0.85, 0.9, 1.1, 1.15, 1.2, 1.25, 1.5, 2];
+  const LINT_SAMPLES = 25;
+  const LINT_SEED = 'lint';             // samples are repeatable, so the validator gives the same report every run
+  const FULL_MARK = '1.0000000';
+  const NO_MARK = '0.0000000';
+
+  const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    ln: Math.log,
+    log: Math.log10,
+    exp: Math.exp,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow,
+    round: (value, decimals) => roundTo(value, decimals || 0)
+  };
+  const CONSTANTS = { pi: Math.PI };
+
+  // State
+  const compiled = new Map();           // formula -> syntax tree
+
+  // ---- Formulas ----
+
+  /**
+   * Split a formula into number, name and operator tokens
+   */
+  function tokenize(formula) {
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?)|([A-Za-z_][\w.]*)|(>=|<=|==|!=|[-+*/^(),<>]))/gy;
+    const tokens = [];
+    let match;
+
+    while (pattern.lastIndex < formula.length) {
+      const start = pattern.lastIndex;
+      match = pattern.exec(formula);
+      if (!match) {
+        if (/^\s*$/.test(formula.substring(start))) break;
+        throw new Error(`Unexpected "${formula.substring(start).trim().charAt(0)}" in "${formula}"`);
+      }
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+      else tokens.push({ type: 'op', value: match[3] });
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse a formula into a syntax tree (recursive descent, usual precedence;
+   * ^ binds tighter than unary minus and is right-associative)
+   */
+  function parseFormula(formula) {
+    const tokens = tokenize(String(formula));
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+    const expect = value => {
+      if (!isOp(value)) throw new Error(`Expected "${value}" in "${formula}"`);
+      pos++;
+    };
+
+    function comparison() {
+      let node = sum();
+      while (peek() && peek().type === 'op' && ['>=', '<=', '==', '!=', '<', '>'].includes(peek().value)) {
+        const op = tokens[pos++].value;
+        node = { op: op, left: node, right: sum() };
+      }
+      return node;
+    }
+
+    function sum() {
+      let node = product();
+      while (isOp('+') || isOp('-')) {
+        const op = tokens[pos++].value;
+        node = { op: op, left: node, right: product() };
+      }
+      return node;
+    }
+
+    function product() {
+      let node = unary();
+      while (isOp('*') || isOp('/')) {
+        const op = tokens[pos++].value;
+        node = { op: op, left: node, right: unary() };
+      }
+      return node;
+    }
+
+    function unary() {
+      if (isOp('-') || isOp('+')) {
+        const op = tokens[pos++].value;
+        const operand = unary();
+        return op === '-' ? { op: 'neg', operand: operand } : operand;
+      }
+      return power();
+    }
+
+    function power() {
+      const base = primary();
+      if (isOp('^')) {
+        pos++;
+        return { op: '^', left: base, right: unary() };
+      }
+      return base;
+    }
+
+    function primary() {
+      const token = tokens[pos++];
+      if (!token) throw new Error(`Unexpected end of "${formula}"`);
+      if (token.type === 'number') return { value: token.value };
+      if (token.type === 'name') {
+        if (!isOp('(')) return { name: token.value };
+        if (!FUNCTIONS[token.value]) throw new Error(`Unknown function "${token.value}" in "${formula}"`);
+        pos++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(comparison());
+          while (isOp(',')) {
+            pos++;
+            args.push(comparison());
+          }
+        }
+        expect(')');
+        return { call: token.value, args: args };
+      }
+      if (token.value === '(') {
+        const node = comparison();
+        expect(')');
+        return node;
+      }
+      throw new Error(`Unexpected "${token.value}" in "${formula}"`);
+    }
+
+    const tree = comparison();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in "${formula}"`);
+    return tree;
+  }
+
+  /**
+   * Evaluate a syntax tree; names are looked up in scope (dotted names reach
+   * into choice objects)
+   */
+  function evaluateTree(node, scope) {
+    if (node.value !== undefined) return node.value;
+    if (node.name !== undefined) {
+      const value = node.name.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), scope);
+      if (value === undefined) {
+        if (CONSTANTS[node.name] !== undefined) return CONSTANTS[node.name];
+        throw new Error(`Unknown variable "${node.name}"`);
+      }
+      if (typeof value !== 'number') throw new Error(`"${node.name}" is not a number`);
+      return value;
+    }
+    if (node.call) return FUNCTIONS[node.call].apply(null, node.args.map(arg => evaluateTree(arg, scope)));
+    if (node.op === 'neg') return -evaluateTree(node.operand, scope);
+
+    const a = evaluateTree(node.left, scope);
+    const b = evaluateTree(node.right, scope);
+    switch (node.op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return a / b;
+      case '^': return Math.pow(a, b);
+      case '<': return a < b ? 1 : 0;
+      case '>': return a > b ? 1 : 0;
+      case '<=': return a <= b ? 1 : 0;
+      case '>=': return a >= b ? 1 : 0;
+      case '==': return a === b ? 1 : 0;
+      default: return a !== b ? 1 : 0;
+    }
+  }
+
+  /**
+   * Evaluate a formula against a scope of variable values
+   */
+  function evaluate(formula, scope) {
+    if (!compiled.has(formula)) compiled.set(formula, parseFormula(formula));
+    return evaluateTree(compiled.get(formula), scope || {});
+  }
+
+  // ---- Variants ----
+
+  function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Decimal places of a number as written, e.g. 0.5 -> 1
+   */
+  function decimalsOf(number) {
+    const match = /\.(\d+)$/.exec(String(number));
+    return match ? match[1].length : 0;
+  }
+
+  /**
+   * Draw a value for one variable
+   */
+  function drawVariable(spec, random) {
+    if (spec.value !== undefined) return spec.value;
+    if (Array.isArray(spec.choices)) return spec.choices[Math.floor(random() * spec.choices.length)];
+
+    const step = spec.step || 1;
+    const steps = Math.floor((spec.max - spec.min) / step + 1e-9);
+    return roundTo(spec.min + step * Math.floor(random() * (steps + 1)), decimalsOf(step));
+  }
+
+  /**
+   * Draw all variables and derived values, retrying until the constraints hold
+   */
+  function drawScope(template, random) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const scope = {};
+      Object.keys(template.variables || {}).forEach(name => {
+        scope[name] = drawVariable(template.variables[name], random);
+      });
+      Object.keys(template.derived || {}).forEach(name => {
+        scope[name] = evaluate(template.derived[name], scope);
+      });
+      if ((template.constraints || []).every(rule => evaluate(rule, scope))) return scope;
+    }
+    throw new Error(`No values satisfy the constraints after ${MAX_ATTEMPTS} tries`);
+  }
+
+  /**
+   * Put variable values into the question text
+   */
+  function fillText(template, scope) {
+    return template.text.replace(/\{([A-Za-z_][\w.]*)\}/g, (match, name) => {
+      const value = name.split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), scope);
+      if (value === undefined) throw new Error(`Unknown placeholder ${match}`);
+      const spec = (template.variables || {})[name];
+      if (typeof value !== 'number') return String(value);
+      return spec && spec.step ? value.toFixed(decimalsOf(spec.step)) : String(parseFloat(value.toPrecision(6)));
+    });
+  }
+
+  /**
+   * True when two values are at least MIN_SEPARATION apart, relatively
+   */
+  function isSeparate(a, b, separation) {
+    return Math.abs(a - b) > separation * Math.max(Math.abs(a), Math.abs(b));
+  }
+
+  /**
+   * Wrong options: the template's common mistakes first, then values spread
+   * around the answer, all rounded like the answer and clearly different
+   */
+  function pickDistractors(template, scope, answer, random) {
+    const decimals = template.answer.decimals || 0;
+    const separation = template.answer.separation || MIN_SEPARATION;
+    const chosen = [];
+    const accept = value => {
+      const rounded = roundTo(value, decimals);
+      if (!Number.isFinite(rounded) || rounded === 0 || chosen.length >= OPTION_COUNT - 1) return;
+      if ((Math.sign(rounded) !== Math.sign(answer)) || !isSeparate(rounded, answer, separation)) return;
+      if (chosen.some(other => !isSeparate(rounded, other, separation))) return;
+      chosen.push(rounded);
+    };
+
+    (template.distractors || []).forEach(formula => {
+      try {
+        accept(evaluate(formula, Object.assign({ answer: answer }, scope)));
+      } catch (e) {
+        // A mistake formula that doesn't apply to these values is just left out
+      }
+    });
+
+    const factors = SPREAD_FACTORS.slice();
+    while (chosen.length < OPTION_COUNT - 1 && factors.length) {
+      const factor = factors.splice(Math.floor(random() * factors.length), 1)[0];
+      accept(answer * factor);
+    }
+    return chosen;
+  }
+
+  /**
+   * Repeatable random numbers in [0, 1) from a string (mulberry32)
+   */
+  function createRandom(seed) {
+    let h = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+      h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+      h = (h << 13) | (h >>> 19);
+    }
+    let state = h >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * One variant of a template as a bank row. random defaults to Math.random.
+   */
+  function generate(template, random) {
+    const rand = random || Math.random;
+    const scope = drawScope(template, rand);
+    const decimals = template.answer.decimals || 0;
+    const answer = roundTo(evaluate(template.answer.formula, scope), decimals);
+    if (!Number.isFinite(answer)) throw new Error('The answer is not a finite number');
+
+    const distractors = pickDistractors(template, scope, answer, rand);
+    if (distractors.length < OPTION_COUNT - 1) throw new Error('Could not find enough distinct distractors');
+
+    const unit = template.answer.unit || '';
+    const format = value => `${value.toFixed(decimals)}${unit && !/^[°%]/.test(unit) ? ' ' : ''}${unit}`;
+    const options = [{ text: format(answer), grade: FULL_MARK }]
+      .concat(distractors.map(value => ({ text: format(value), grade: NO_MARK })));
+
+    // Shuffle so the answer's position says nothing even without option shuffling
+    for (let i = options.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [options[i], options[j]] = [options[j], options[i]];
+    }
+
+    return {
+      QuestionText: fillText(template, scope),
+      CategoryId: String(template.category),
+      QuestionType: 'multichoice',
+      Answers: options.map(o => `${o.text.replace(/,/g, '[comma]')}[col]${o.grade}`).join('[col]'),
+      TemplateId: template.id
+    };
+  }
+
+  /**
+   * Check templates by generating sample variants. Returns problems shaped
+   * like question-lint's: { severity, code, message, index, text }.
+   */
+  function lintTemplates(templates, options) {
+    const categoryIds = options && options.categoryIds ? options.categoryIds.map(String) : null;
+    const samples = (options && options.samples) || LINT_SAMPLES;
+    const problems = [];
+    const seen = new Set();
+
+    (templates || []).forEach((template, index) => {
+      const report = (severity, message) => {
+        problems.push({ severity: severity, code: 'template', message: message, index: -1, text: `Template ${template && template.id ? template.id : `#${index + 1}`}` });
+      };
+
+      if (!template || !template.id || !template.text || !template.answer || !template.answer.formula) {
+        report('error', 'Needs id, text and answer.formula');
+        return;
+      }
+      if (seen.has(template.id)) report('error', `Duplicate template id "${template.id}"`);
+      seen.add(template.id);
+      if (categoryIds && !categoryIds.includes(String(template.category))) {
+        report('error', `Category ${template.category} is not mapped to a chapter`);
+      }
+
+      const failures = new Map();
+      const random = createRandom(`${LINT_SEED}|${template.id}`);
+      for (let i = 0; i < samples; i++) {
+        try {
+          generate(template, random);
+        } catch (e) {
+          failures.set(e.message, (failures.get(e.message) || 0) + 1);
+        }
+      }
+      failures.forEach((count, message) => {
+        report(count === samples ? 'error' : 'warning', `${message} (${count} of ${samples} samples)`);
+      });
+    });
+
+    return problems;
+  }
+
+  const api = {
+    createRandom: createRandom,
+    evaluate: evaluate,
+    generate: generate,
+    lintTemplates: lintTemplates
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.QuestionGenerator = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
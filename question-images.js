@@ -0,0 +1,3 @@
+// Local copies of the remote images used in questions.js.
+// Generated by bundle-question-images.js — run it again after refreshing the bank.
+questionImages = {};
@@ -0,0 +1,66 @@
+/**
+ * Question Keys
+ * The stable question id, the text comparison key and the stop words used
+ * to pick a question's topic words. quiz.html, question-lint.js and the
+ * Node scripts that build the question data all read them from here.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Common words that say nothing about a question's topic
+  const STOP_WORDS = new Set(('about above after again also although always among another answer approximately ' +
+    'because been before being below between both calculate cannot correct could determine does doing down during ' +
+    'each either false following from further given have having here however into itself least less mainly more most ' +
+    'much must only other over same should since some statement such than that their them then there these they this ' +
+    'those through true under until upon very what when where whether which while will with within would your ' +
+    'the and for are was were not its can all any has had may one two use used using per find').split(' '));
+
+  /**
+   * Comparison key for question or option text: no tags, plain quotes and
+   * dashes, single spaces, lower case
+   */
+  function normalizeText(text) {
+    return String(text)
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\[comma\]/g, ',')
+      .replace(/[‘’‛′`´]/g, "'")
+      .replace(/[“”″]/g, '"')
+      .replace(/[–—]/g, '-')
+      .replace(/\s+/g, ' ')
+      .replace(/[.;:]+$/, '')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Stable id for a question: a 53-bit hash of its category and text, so
+   * results and section links survive the bank being reordered
+   */
+  function getQuestionId(questionText, categoryId) {
+    const str = `${categoryId}|${String(questionText).replace(/\s+/g, ' ').trim()}`;
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 'q' + (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  const api = {
+    STOP_WORDS: STOP_WORDS,
+    normalizeText: normalizeText,
+    getQuestionId: getQuestionId
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.QuestionKeys = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,259 @@
+/**
+ * Question Bank Lint
+ * Checks the Moodle export in questions.js (arrQuizDB) for broken questions.
+ * Used by quiz.html (bank diagnostics) and by validate-questions.js (Node).
+ * Needs chapters.js and question-keys.js.
+ */
+
+(function(root) {
+  'use strict';
+
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const Chapters = isNode ? require('./chapters') : root.Chapters;
+  const { normalizeText, getQuestionId } = isNode ? require('./question-keys') : root.QuestionKeys;
+
+  // Configuration
+  const TABLE_NAME = 'mdl_question';
+  const DEFAULT_CATEGORY_IDS = Chapters.CHAPTERS.map(chapter => chapter.categoryId);
+  const KNOWN_TYPES = ['multichoice', 'numerical'];
+  const GRADE_PATTERN = /^-?\d+\.\d{7}$/;
+  const FULL_MARK = '1.0000000';
+  const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+  const SNIPPET_LENGTH = 80;
+
+  /**
+   * Find the question table in an arrQuizDB export
+   */
+  function getQuestionTable(db) {
+    if (!Array.isArray(db)) return null;
+    return db.find(item => item && item.type === 'table' && item.name === TABLE_NAME) || null;
+  }
+
+  /**
+   * Short plain-text version of a question for reports
+   */
+  function snippet(text) {
+    const plain = String(text || '')
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/\[comma\]/g, ',')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return plain.length > SNIPPET_LENGTH ? plain.substring(0, SNIPPET_LENGTH - 1) + '…' : plain;
+  }
+
+  /**
+   * Report tags that are opened but not closed, or closed but not open
+   */
+  function findUnbalancedTags(html) {
+    const stack = [];
+    const problems = [];
+    const pattern = /<(\/?)([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/g;
+    let match;
+
+    while ((match = pattern.exec(String(html))) !== null) {
+      const closing = match[1] === '/';
+      const tag = match[2].toLowerCase();
+      if (VOID_TAGS.has(tag) || match[3] === '/') continue;
+
+      if (!closing) {
+        stack.push(tag);
+      } else if (stack.length && stack[stack.length - 1] === tag) {
+        stack.pop();
+      } else if (stack.includes(tag)) {
+        // Close the inner tags that were left open
+        while (stack[stack.length - 1] !== tag) {
+          problems.push(`<${stack.pop()}> is not closed`);
+        }
+        stack.pop();
+      } else {
+        problems.push(`</${tag}> has no opening tag`);
+      }
+    }
+
+    stack.reverse().forEach(tag => problems.push(`<${tag}> is not closed`));
+    return problems;
+  }
+
+  /**
+   * Split the Answers field into options, reporting structural problems
+   */
+  function parseAnswerField(field, report) {
+    const parts = String(field).split('[col]');
+    const options = [];
+
+    if (parts.length % 2 !== 0) {
+      report('error', 'malformed-answers', `Answers has ${parts.length} [col]-separated parts; expected text/grade pairs`);
+    }
+
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      const text = parts[i];
+      const grade = parts[i + 1].trim();
+      const n = i / 2 + 1;
+
+      if (!text.trim()) {
+        report('error', 'empty-option', `Option ${n} has no text`);
+      }
+      if (!GRADE_PATTERN.test(grade)) {
+        report('error', 'bad-grade', `Option ${n} has grade "${grade}", expected a number like 1.0000000`);
+      } else if (grade !== FULL_MARK && parseFloat(grade) !== 0) {
+        report('warning', 'partial-grade', `Option ${n} has partial grade ${grade}; the quiz treats it as wrong`);
+      }
+
+      options.push({ text: text, grade: grade, isCorrect: grade === FULL_MARK });
+    }
+
+    return options;
+  }
+
+  /**
+   * Check one question; problems are passed to report(severity, code, message)
+   */
+  function lintQuestion(question, categoryIds, report) {
+    if (!question || typeof question !== 'object') {
+      report('error', 'not-an-object', 'Entry is not a question object');
+      return;
+    }
+
+    ['QuestionText', 'CategoryId', 'QuestionType', 'Answers'].forEach(field => {
+      if (typeof question[field] !== 'string' || question[field].trim() === '') {
+        report('error', 'missing-field', `${field} is missing or empty`);
+      }
+    });
+
+    if (question.CategoryId && !categoryIds.includes(String(question.CategoryId))) {
+      report('error', 'unknown-category', `CategoryId ${question.CategoryId} is not mapped to a chapter`);
+    }
+    if (question.QuestionType && !KNOWN_TYPES.includes(question.QuestionType)) {
+      report('warning', 'unknown-type', `QuestionType "${question.QuestionType}" is not supported by the quiz`);
+    }
+    if (question.QuestionText) {
+      findUnbalancedTags(question.QuestionText).forEach(problem => {
+        report('error', 'unbalanced-html', `QuestionText: ${problem}`);
+      });
+    }
+    if (typeof question.Answers !== 'string') return;
+
+    const options = parseAnswerField(question.Answers, report);
+    if (question.QuestionType === 'numerical') {
+      lintNumerical(question, options, report);
+      return;
+    }
+    if (options.length < 2) {
+      report('error', 'too-few-options', `Only ${options.length} option(s)`);
+    }
+
+    const correct = options.filter(o => o.isCorrect).length;
+    if (correct === 0) {
+      report('error', 'no-correct-answer', 'No option is marked 1.0000000');
+    } else if (correct > 1) {
+      report('error', 'multiple-correct', `${correct} options are marked 1.0000000`);
+    }
+
+    const seen = new Map();
+    options.forEach((option, i) => {
+      findUnbalancedTags(option.text).forEach(problem => {
+        report('warning', 'unbalanced-html', `Option ${i + 1}: ${problem}`);
+      });
+
+      const key = normalizeText(option.text);
+      if (!key) return;
+      if (seen.has(key)) {
+        const first = seen.get(key);
+        const conflict = options[first].isCorrect !== option.isCorrect;
+        report('warning', 'duplicate-option',
+          `Options ${first + 1} and ${i + 1} are the same ("${snippet(option.text)}")` +
+          (conflict ? '; only one is marked correct, so the quiz merges them' : ''));
+      } else {
+        seen.set(key, i);
+      }
+    });
+  }
+
+  /**
+   * Numerical questions have one answer, a number (and unit), and a tolerance
+   */
+  function lintNumerical(question, options, report) {
+    if (options.length !== 1 || !options[0].isCorrect) {
+      report('error', 'bad-numeric-answer', 'A numerical question needs exactly one answer, marked 1.0000000');
+    } else if (!/^\s*[-+]?(\d|\.\d)/.test(options[0].text.replace(/<[^>]*>/g, ''))) {
+      report('error', 'bad-numeric-answer', `Answer "${snippet(options[0].text)}" is not a number`);
+    }
+    if (question.Tolerance !== undefined && !(parseFloat(question.Tolerance) >= 0)) {
+      report('error', 'bad-tolerance', `Tolerance "${question.Tolerance}" is not a number of 0 or more`);
+    }
+  }
+
+  /**
+   * Check a whole arrQuizDB export. Returns { total, errors, warnings, problems }
+   * where each problem is { severity, code, message, index, text }.
+   */
+  function lintQuestionBank(db, options) {
+    const categoryIds = ((options && options.categoryIds) || DEFAULT_CATEGORY_IDS).map(String);
+    const problems = [];
+
+    const table = getQuestionTable(db);
+    if (!table || !Array.isArray(table.data)) {
+      problems.push({
+        severity: 'error',
+        code: 'no-question-table',
+        message: `No "${TABLE_NAME}" table with a data array in arrQuizDB`,
+        index: -1,
+        text: ''
+      });
+      return summarize(0, problems);
+    }
+
+    const firstByKey = new Map();
+
+    table.data.forEach((question, index) => {
+      const text = question && question.QuestionText;
+      const report = (severity, code, message) => {
+        problems.push({ severity: severity, code: code, message: message, index: index, text: snippet(text) });
+      };
+
+      lintQuestion(question, categoryIds, report);
+
+      // Keyed by the quiz's question id, so questions that differ only
+      // in an image are not duplicates
+      if (text) {
+        const key = getQuestionId(text, question.CategoryId);
+        if (firstByKey.has(key)) {
+          const first = table.data[firstByKey.get(key)];
+          const same = normalizeText(first.Answers) === normalizeText(question.Answers);
+          report('warning', 'duplicate-question',
+            `Same question as #${firstByKey.get(key) + 1}` + (same ? '' : ' but with different answers'));
+        } else {
+          firstByKey.set(key, index);
+        }
+      }
+    });
+
+    return summarize(table.data.length, problems);
+  }
+
+  /**
+   * Count problems by severity
+   */
+  function summarize(total, problems) {
+    return {
+      total: total,
+      errors: problems.filter(p => p.severity === 'error').length,
+      warnings: problems.filter(p => p.severity === 'warning').length,
+      problems: problems
+    };
+  }
+
+  const api = {
+    DEFAULT_CATEGORY_IDS: DEFAULT_CATEGORY_IDS,
+    lintQuestionBank: lintQuestionBank,
+    findUnbalancedTags: findUnbalancedTags
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.QuestionLint = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
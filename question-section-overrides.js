@@ -0,0 +1,22 @@
+// Hand corrections for map-question-sections.js: question id -> the section that teaches it.
+// "section" is the heading as it reads in the chapter; add "file" to point into another
+// chapter, or use null to leave a question without a section. Run
+// "node map-question-sections.js --list" to see the ids and what the matching picked.
+questionSectionOverrides = {
+    // A motor weighing 400 kg is pulled along a horizontal floor … How much heat is generated?
+    "q16dx19hd7s1": { "file": "CH1_Heat_Expansion_of_Solids.html", "section": "Mechanical Equivalent of Heat" },
+    // What type of steel is used to make small tools, is strong and hard … (high-carbon steel)
+    "q8qabv04q7k": { "section": "Peritectic Reaction" },
+    // Template: increase in length of a steam pipe when heated
+    "t-linear-expansion-increase": { "section": "Linear Expansion" },
+    // Template: mass of a gas from its pressure, volume and temperature (PV = mRT)
+    "t-gas-mass": { "section": "Ideal Gas Law" },
+    // Template: final volume of air compressed at constant temperature
+    "t-isothermal-final-volume": { "section": "Boyle’s Law" },
+    // Template: work done in an isothermal process
+    "t-isothermal-work": { "section": "Work Done During Isothermal Process" },
+    // Templates: final pressure and temperature of a polytropic process. The chapter's
+    // polytropic subsection sits under the isothermal work heading.
+    "t-polytropic-final-pressure": { "section": "Work Done During Isothermal Process" },
+    "t-polytropic-final-temperature": { "section": "Work Done During Isothermal Process" }
+};
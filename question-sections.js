@@ -0,0 +1,479 @@
+// Chapter section that teaches each quiz question, keyed by the question id used in quiz.html.
+// Generated by map-question-sections.js — correct it in question-section-overrides.js, not here.
+questionSections = {
+  "q109mpmwkvjq": {"file":"CH7_Corrosion_of_Metals.html","section":3,"title":"Oxygen and Hydrogen Reduction"},
+  "q10u4bqgebs2": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1145mt1nztr": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q118vojzr8hr": {"file":"CH2_Thermodynamics_of_Gases.html","section":6,"title":"Heat Added at Constant Pressure"},
+  "q11butrxsofa": {"file":"CH5_Metallurgy.html","section":35,"title":"Babbit and White Metals"},
+  "q11chkbhhsgx": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "q11g56hzncrj": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":7,"title":"Rankine Cycle Efficiency"},
+  "q11o31on0nxt": {"file":"CH6_Testing_of_Metals.html","section":32,"title":"Transducer Orientation"},
+  "q11titadzam5": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q11vt134h6j6": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q126x3houn8": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "q127w5a97bgr": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "q12864r4p7m5": {"file":"CH6_Testing_of_Metals.html","section":36,"title":"Signal-to-Noise Ratio"},
+  "q12kb4w4a32w": {"file":"CH7_Corrosion_of_Metals.html","section":14,"title":"Concentration Cell Corrosion"},
+  "q13oxapc16dr": {"file":"CH6_Testing_of_Metals.html","section":29,"title":"Quality Control"},
+  "q13thnfgq188": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q141uacfploj": {"file":"CH7_Corrosion_of_Metals.html","section":16,"title":"Under-Deposit Corrosion"},
+  "q142al68ntye": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q143wofwuhny": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1464kd00kql": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":11,"title":"Temperature-Entropy Diagram"},
+  "q146mpyveyxw": {"file":"CH6_Testing_of_Metals.html","section":63,"title":"Monitoring for Creep Damage"},
+  "q14a4qdsq9mu": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q14jqzt9npdv": {"file":"CH6_Testing_of_Metals.html","section":6,"title":"Industrial Applications of Hardness Testing"},
+  "q14waeza0bmk": {"file":"CH5_Metallurgy.html","section":18,"title":"Full Annealing"},
+  "q14xx1rqqz86": {"file":"CH2_Thermodynamics_of_Gases.html","section":5,"title":"Heat Added at Constant Volume"},
+  "q1543zn15hb5": {"file":"CH7_Corrosion_of_Metals.html","section":38,"title":"Economizers"},
+  "q15s3ulc46wu": {"file":"CH6_Testing_of_Metals.html","section":23,"title":"Dye Penetrant Application"},
+  "q15sbfeolbt0": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "q15u6lbh3g0q": {"file":"CH7_Corrosion_of_Metals.html","section":41,"title":"Steam and Condensate Systems"},
+  "q161nj5og3fl": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q16dpai3xp9o": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q16dx19hd7s1": {"file":"CH1_Heat_Expansion_of_Solids.html","section":6,"title":"Mechanical Equivalent of Heat"},
+  "q16j1asjjoib": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":1,"title":"Types of Heat Engines"},
+  "q16vg6vyfqva": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":0,"title":"Groove Welds"},
+  "q172cxbsbks0": {"file":"CH2_Thermodynamics_of_Gases.html","section":5,"title":"Heat Added at Constant Volume"},
+  "q173cfrx0f74": {"file":"CH7_Corrosion_of_Metals.html","section":24,"title":"1. Stress Corrosion Cracking"},
+  "q174t7a1a64r": {"file":"CH6_Testing_of_Metals.html","section":54,"title":"Pressure Testing"},
+  "q17aljroj3cg": {"file":"CH6_Testing_of_Metals.html","section":30,"title":"Piezoelectric Transducers"},
+  "q17d3fp03v3x": {"file":"CH6_Testing_of_Metals.html","section":8,"title":"Introduction"},
+  "q17hif1o4ely": {"file":"CH1_Heat_Expansion_of_Solids.html","section":15,"title":"Conductive Materials"},
+  "q17nz4t8ywfn": {"file":"CH6_Testing_of_Metals.html","section":10,"title":"Applications of Proof Testing"},
+  "q17ocqjzqchg": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":0,"title":"Groove Welds"},
+  "q17v33fwrqkl": {"file":"CH7_Corrosion_of_Metals.html","section":14,"title":"Concentration Cell Corrosion"},
+  "q180snik9xeh": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "q181n268wxm7": {"file":"CH2_Thermodynamics_of_Gases.html","section":7,"title":"Characteristic Gas Constant, R, related to Specific Heats"},
+  "q188ypvsmn01": {"file":"CH7_Corrosion_of_Metals.html","section":37,"title":"Magnetite Layer"},
+  "q18gvz3sf3zb": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "q18xdcg9vczp": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q18yy6m5apxg": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "q190pthhleh9": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":4,"title":"Definition of Efficiency"},
+  "q19mms63wq5p": {"file":"CH6_Testing_of_Metals.html","section":38,"title":"ASME Section V"},
+  "q19q6pdn78gd": {"file":"CH6_Testing_of_Metals.html","section":1,"title":"Specimen"},
+  "q19tlxtrgk8q": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "q1b85cu5auj0": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "q1b8q485ogik": {"file":"CH6_Testing_of_Metals.html","section":4,"title":"Hardness Testing"},
+  "q1bb1m2yye81": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q1bejx02fxgn": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q1brgxsk6t4a": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":7,"title":"Rankine Cycle Efficiency"},
+  "q1bwlbm0urqe": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q1c1f0cjozq8": {"file":"CH6_Testing_of_Metals.html","section":42,"title":"Discontinuities"},
+  "q1cusp82aouu": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q1cux190t0tp": {"file":"CH2_Thermodynamics_of_Gases.html","section":3,"title":"General Gas Law"},
+  "q1d60147hiy3": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1djn633npg5": {"file":"CH2_Thermodynamics_of_Gases.html","section":10,"title":"Second Law of Thermodynamics"},
+  "q1dpmab6zyz0": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q1ds9s2g1827": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1e1sm68d599": {"file":"CH7_Corrosion_of_Metals.html","section":8,"title":"Soil"},
+  "q1e4i99fh77i": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "q1e6pjpzjme6": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":11,"title":"Temperature-Entropy Diagram"},
+  "q1elebs750r2": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":11,"title":"Temperature-Entropy Diagram"},
+  "q1eqkul58wzb": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "q1eu8kzytefq": {"file":"CH3_Thermodynamics_of_Steam.html","section":14,"title":"Entropy of Wet Steam"},
+  "q1evxt3ysz3h": {"file":"CH1_Heat_Expansion_of_Solids.html","section":17,"title":"Heat Flow through Cylindrical Walls"},
+  "q1f7a7tadt42": {"file":"CH6_Testing_of_Metals.html","section":53,"title":"Pulp and Paper Industry"},
+  "q1fanr8ns4k2": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1fjlil2yf4d": {"file":"CH6_Testing_of_Metals.html","section":56,"title":"Pneumatic Testing"},
+  "q1fk3ao615de": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "q1fl9kne4op3": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "q1frl97zf3d2": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1ft2kkxfr84": {"file":"CH3_Thermodynamics_of_Steam.html","section":3,"title":"Water to Steam"},
+  "q1fwxquy3oce": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q1fyxfl9wfaz": {"file":"CH5_Metallurgy.html","section":31,"title":"Copper Alloys"},
+  "q1g5c2jno7ef": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q1gbfixr177w": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "q1gdg09watnw": {"file":"CH1_Heat_Expansion_of_Solids.html","section":9,"title":"Calculating Heat"},
+  "q1ghzalbxbly": {"file":"CH6_Testing_of_Metals.html","section":66,"title":"Fatigue"},
+  "q1gxvfm7tt5q": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q1h8t9oc3xc5": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":4,"title":"Definition of Efficiency"},
+  "q1habk1c8v14": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":11,"title":"Temperature-Entropy Diagram"},
+  "q1hmkae1n0tj": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "q1ht4i77bses": {"file":"CH1_Heat_Expansion_of_Solids.html","section":18,"title":"Radiation"},
+  "q1hy38rsc01r": {"file":"CH6_Testing_of_Metals.html","section":24,"title":"Interim Cleaning"},
+  "q1il6mhhssfs": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "q1im3v9bjyl": {"file":"CH7_Corrosion_of_Metals.html","section":35,"title":"Stray Current Corrosion"},
+  "q1itlz3v00l8": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "q1ivivqby5km": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "q1jbidpy6q24": {"file":"CH6_Testing_of_Metals.html","section":54,"title":"Pressure Testing"},
+  "q1jer7wufa2j": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "q1jger7pzlba": {"file":"CH6_Testing_of_Metals.html","section":62,"title":"Helium Mass Spectrometer Leak Testing"},
+  "q1jxgxvqtoeg": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "q1jzy5xx70di": {"file":"CH6_Testing_of_Metals.html","section":32,"title":"Transducer Orientation"},
+  "q1k2w8ccaq41": {"file":"CH3_Thermodynamics_of_Steam.html","section":11,"title":"Separating and Throttling Calorimeters in Series"},
+  "q1kanott5aif": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":4,"title":"Arrow Side vs. Other Side"},
+  "q1ku3orv2hxg": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "q1kzg6iixtxf": {"file":"CH7_Corrosion_of_Metals.html","section":37,"title":"Magnetite Layer"},
+  "q1l2nj3y3hnx": {"file":"CH3_Thermodynamics_of_Steam.html","section":1,"title":"Interpolation:"},
+  "q1l7myri6qcc": {"file":"CH2_Thermodynamics_of_Gases.html","section":6,"title":"Heat Added at Constant Pressure"},
+  "q1l7q5mzezua": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "q1la0qjc1gv4": {"file":"CH1_Heat_Expansion_of_Solids.html","section":13,"title":"Expansion in the Area of a Hole in a Material"},
+  "q1lfxu887r14": {"file":"CH5_Metallurgy.html","section":19,"title":"Normalizing"},
+  "q1lhw6bj596t": {"file":"CH6_Testing_of_Metals.html","section":7,"title":"Impact Testing"},
+  "q1lzg75xl7yg": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":1,"title":"Types of Heat Engines"},
+  "q1mafzgubwv0": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "q1makq23xaq": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":13,"title":"Pressure-Volume Diagram"},
+  "q1mc8wwoy8be": {"file":"CH7_Corrosion_of_Metals.html","section":12,"title":"The Electromotive Series"},
+  "q1mdlo2ttgiz": {"file":"CH3_Thermodynamics_of_Steam.html","section":3,"title":"Water to Steam"},
+  "q1ml4id2vbps": {"file":"CH6_Testing_of_Metals.html","section":31,"title":"Transducers"},
+  "q1mw0ll4zfxr": {"file":"CH5_Metallurgy.html","section":37,"title":"Tin-Lead Solders"},
+  "q1n9qv7udagh": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "q1ngqra3ds0t": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q1niy65009oa": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q1nw1kh3px1j": {"file":"CH2_Thermodynamics_of_Gases.html","section":5,"title":"Heat Added at Constant Volume"},
+  "q1nym62ms2f2": {"file":"CH7_Corrosion_of_Metals.html","section":2,"title":"Oxidation, Reduction, and Redox"},
+  "q1nzk0ynjbi4": {"file":"CH6_Testing_of_Metals.html","section":8,"title":"Introduction"},
+  "q1oy2o5b5ypw": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "q1pctx2idu8o": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "q1pf6haoltl7": {"file":"CH3_Thermodynamics_of_Steam.html","section":11,"title":"Separating and Throttling Calorimeters in Series"},
+  "q1pgrsws1nu2": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "q1pjn1qsvqd7": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "q1pnwg2tyanr": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "q1ppftikv5yo": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q1q1w7ga8259": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":7,"title":"Rankine Cycle Efficiency"},
+  "q1qid7u7oktk": {"file":"CH6_Testing_of_Metals.html","section":55,"title":"Hydrostatic Testing"},
+  "q1qpg2ovo4dn": {"file":"CH7_Corrosion_of_Metals.html","section":41,"title":"Steam and Condensate Systems"},
+  "q1qvzgg5e1bw": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "q1qxn0vndxu4": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "q1rb376enevo": {"file":"CH3_Thermodynamics_of_Steam.html","section":14,"title":"Entropy of Wet Steam"},
+  "q1rd06f5jz5t": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "q1rfj3wmaee5": {"file":"CH6_Testing_of_Metals.html","section":23,"title":"Dye Penetrant Application"},
+  "q1rj2n1pynh0": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":7,"title":"Rankine Cycle Efficiency"},
+  "q1rqlcln6g6b": {"file":"CH6_Testing_of_Metals.html","section":0,"title":"Tensile Test"},
+  "q1ru0w6b7haf": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "q1sawqbowahx": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "q1scjcmb5sw9": {"file":"CH7_Corrosion_of_Metals.html","section":40,"title":"Fuel Side Corrosion"},
+  "q1sgqs6x2t2y": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":1,"title":"Types of Heat Engines"},
+  "q1slsp79updg": {"file":"CH6_Testing_of_Metals.html","section":64,"title":"In Situ Monitoring"},
+  "q1svq7pffttb": {"file":"CH6_Testing_of_Metals.html","section":42,"title":"Discontinuities"},
+  "q1sxgbi1gfib": {"file":"CH5_Metallurgy.html","section":23,"title":"Quenching"},
+  "q1sxqxzamty8": {"file":"CH1_Heat_Expansion_of_Solids.html","section":7,"title":"Specific Heat"},
+  "q1tfhtq669e8": {"file":"CH1_Heat_Expansion_of_Solids.html","section":13,"title":"Expansion in the Area of a Hole in a Material"},
+  "q1tmvj67fvum": {"file":"CH2_Thermodynamics_of_Gases.html","section":10,"title":"Second Law of Thermodynamics"},
+  "q1tvfzd9ssxg": {"file":"CH7_Corrosion_of_Metals.html","section":24,"title":"1. Stress Corrosion Cracking"},
+  "q1u2fyx5kp35": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "q1u3ay7ucbko": {"file":"CH7_Corrosion_of_Metals.html","section":19,"title":"Hydrogen Induced Corrosion"},
+  "q1u5rnfymy6r": {"file":"CH3_Thermodynamics_of_Steam.html","section":10,"title":"Measuring Dryness with a Separating Calorimeter"},
+  "q1u6guuqup5s": {"file":"CH1_Heat_Expansion_of_Solids.html","section":13,"title":"Expansion in the Area of a Hole in a Material"},
+  "q1u6xujnhsrv": {"file":"CH6_Testing_of_Metals.html","section":1,"title":"Specimen"},
+  "q1u810rnkiur": {"file":"CH6_Testing_of_Metals.html","section":43,"title":"Discontinuities in Tungsten Inert Gas (TIG) Welds"},
+  "q1ue5j4f7rq3": {"file":"CH5_Metallurgy.html","section":9,"title":"Allotropy of Iron"},
+  "q1usc3lkgtwz": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q1uvcgip4jis": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":14,"title":"Temperature-Entropy Diagram"},
+  "q1ux88hfjvhb": {"file":"CH2_Thermodynamics_of_Gases.html","section":6,"title":"Heat Added at Constant Pressure"},
+  "q1v1tgwfrrvx": {"file":"CH6_Testing_of_Metals.html","section":62,"title":"Helium Mass Spectrometer Leak Testing"},
+  "q1v582tv4shi": {"file":"CH2_Thermodynamics_of_Gases.html","section":5,"title":"Heat Added at Constant Volume"},
+  "q1v70qld7vv": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q1v7ta2t5w9n": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q1vp1whc0pth": {"file":"CH6_Testing_of_Metals.html","section":15,"title":"Collapsing of the Parts"},
+  "q1vucji10ife": {"file":"CH6_Testing_of_Metals.html","section":67,"title":"Corrosion"},
+  "q1w1tch169ou": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "q1w7rjaatd9u": {"file":"CH6_Testing_of_Metals.html","section":9,"title":"Proof Test (Hydrostatic Deformation)"},
+  "q1wltrzf1gan": {"file":"CH6_Testing_of_Metals.html","section":35,"title":"Couplant"},
+  "q1wtbgzszq1x": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "q1wtivf46mzr": {"file":"CH6_Testing_of_Metals.html","section":63,"title":"Monitoring for Creep Damage"},
+  "q1wvp3li4wcl": {"file":"CH5_Metallurgy.html","section":32,"title":"Bronze"},
+  "q1wvu2kzzjqr": {"file":"CH5_Metallurgy.html","section":37,"title":"Tin-Lead Solders"},
+  "q1wxrpe3pqwl": {"file":"CH6_Testing_of_Metals.html","section":68,"title":"Technology Applications"},
+  "q1wxxi1gz149": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "q1x96njpnofq": {"file":"CH6_Testing_of_Metals.html","section":55,"title":"Hydrostatic Testing"},
+  "q1xh5ak2zs4r": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":13,"title":"Pressure-Volume Diagram"},
+  "q1xixmp8o7s1": {"file":"CH2_Thermodynamics_of_Gases.html","section":6,"title":"Heat Added at Constant Pressure"},
+  "q1xkmuybuetz": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":13,"title":"Pressure-Volume Diagram"},
+  "q1xl3lei40ma": {"file":"CH6_Testing_of_Metals.html","section":33,"title":"Generation of Pulse Waves"},
+  "q1xnrgw43kki": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q1xs2bde08yc": {"file":"CH7_Corrosion_of_Metals.html","section":39,"title":"Superheaters"},
+  "q1y5d43zdgf8": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q1y9ktd4248": {"file":"CH6_Testing_of_Metals.html","section":15,"title":"Collapsing of the Parts"},
+  "q1ybeh5ss4p8": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q1yczwit67qg": {"file":"CH3_Thermodynamics_of_Steam.html","section":6,"title":"Specific Volume"},
+  "q1ygvniewvvd": {"file":"CH3_Thermodynamics_of_Steam.html","section":13,"title":"Temperature-Entropy Diagram"},
+  "q1yw12713jpy": {"file":"CH6_Testing_of_Metals.html","section":62,"title":"Helium Mass Spectrometer Leak Testing"},
+  "q1yy7dza5urj": {"file":"CH6_Testing_of_Metals.html","section":58,"title":"Bubble Leak Testing"},
+  "q1z71egd5u17": {"file":"CH5_Metallurgy.html","section":10,"title":"Austenite"},
+  "q1zf41mw1w7o": {"file":"CH6_Testing_of_Metals.html","section":19,"title":"Detection"},
+  "q1zioq1jk6xw": {"file":"CH6_Testing_of_Metals.html","section":5,"title":"Hardness Testing Categories"},
+  "q20hpq536aa7": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q20mk0na87ru": {"file":"CH6_Testing_of_Metals.html","section":0,"title":"Tensile Test"},
+  "q20ovoxennoo": {"file":"CH2_Thermodynamics_of_Gases.html","section":10,"title":"Second Law of Thermodynamics"},
+  "q20vhp7j54t3": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "q20y0as6u00z": {"file":"CH3_Thermodynamics_of_Steam.html","section":13,"title":"Temperature-Entropy Diagram"},
+  "q210v1x8slqz": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "q215nhb2jcqf": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q218n4517jl5": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "q21bjmk5j5xn": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q21jxwpzol7c": {"file":"CH1_Heat_Expansion_of_Solids.html","section":15,"title":"Conductive Materials"},
+  "q21nmheqvesr": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q21qn289an89": {"file":"CH6_Testing_of_Metals.html","section":9,"title":"Proof Test (Hydrostatic Deformation)"},
+  "q21rfyr7wrgz": {"file":"CH7_Corrosion_of_Metals.html","section":41,"title":"Steam and Condensate Systems"},
+  "q21sitevzi6h": {"file":"CH7_Corrosion_of_Metals.html","section":2,"title":"Oxidation, Reduction, and Redox"},
+  "q21y272mh22a": {"file":"CH6_Testing_of_Metals.html","section":10,"title":"Applications of Proof Testing"},
+  "q21zyqbq0dzw": {"file":"CH6_Testing_of_Metals.html","section":10,"title":"Applications of Proof Testing"},
+  "q228hifvcgns": {"file":"CH6_Testing_of_Metals.html","section":23,"title":"Dye Penetrant Application"},
+  "q22fb0j9204h": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":14,"title":"Temperature-Entropy Diagram"},
+  "q22yo4vaok9g": {"file":"CH7_Corrosion_of_Metals.html","section":48,"title":"3. Corrosion Probes and Meters"},
+  "q23groqakxhg": {"file":"CH3_Thermodynamics_of_Steam.html","section":13,"title":"Temperature-Entropy Diagram"},
+  "q23hs490b08q": {"file":"CH5_Metallurgy.html","section":15,"title":"Pearlite"},
+  "q23lv9mq5aa1": {"file":"CH7_Corrosion_of_Metals.html","section":12,"title":"The Electromotive Series"},
+  "q23pfxmcqd86": {"file":"CH3_Thermodynamics_of_Steam.html","section":2,"title":"Enthalpy"},
+  "q24dm7lofmw8": {"file":"CH6_Testing_of_Metals.html","section":63,"title":"Monitoring for Creep Damage"},
+  "q24lcc1sydck": {"file":"CH5_Metallurgy.html","section":32,"title":"Bronze"},
+  "q24o62v56g6t": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q24r6iwvequt": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":4,"title":"Arrow Side vs. Other Side"},
+  "q24ycokebr54": {"file":"CH2_Thermodynamics_of_Gases.html","section":10,"title":"Second Law of Thermodynamics"},
+  "q252dn08fmmm": {"file":"CH1_Heat_Expansion_of_Solids.html","section":18,"title":"Radiation"},
+  "q25k2z067jaj": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "q263kdj9e4nc": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q26em4k4zy6a": {"file":"CH3_Thermodynamics_of_Steam.html","section":8,"title":"Separating Calorimeter"},
+  "q26q6qunhke6": {"file":"CH2_Thermodynamics_of_Gases.html","section":3,"title":"General Gas Law"},
+  "q26uwjfn6xqe": {"file":"CH7_Corrosion_of_Metals.html","section":22,"title":"3. Hydrogen Stress Cracking"},
+  "q271n4ihafr6": {"file":"CH7_Corrosion_of_Metals.html","section":33,"title":"2. Damp Atmospheric Corrosion"},
+  "q2775rohvwz9": {"file":"CH6_Testing_of_Metals.html","section":65,"title":"Metallographic Replication"},
+  "q27f8ar4y9bn": {"file":"CH2_Thermodynamics_of_Gases.html","section":3,"title":"General Gas Law"},
+  "q27gcmhr96go": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":0,"title":"Groove Welds"},
+  "q27gnk635r2b": {"file":"CH1_Heat_Expansion_of_Solids.html","section":18,"title":"Radiation"},
+  "q27vpd6roa44": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "q27wos5vkdvt": {"file":"CH6_Testing_of_Metals.html","section":30,"title":"Piezoelectric Transducers"},
+  "q27ytpbaynue": {"file":"CH5_Metallurgy.html","section":13,"title":"Ferrite"},
+  "q28dxn772c64": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "q28hgc9alzgi": {"file":"CH2_Thermodynamics_of_Gases.html","section":10,"title":"Second Law of Thermodynamics"},
+  "q28qjcqvz7if": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":4,"title":"Definition of Efficiency"},
+  "q28s172zf4ie": {"file":"CH6_Testing_of_Metals.html","section":34,"title":"Frequency"},
+  "q29gb0kl59yg": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "q29wgj7ks8cp": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q2aedqspe9jx": {"file":"CH5_Metallurgy.html","section":3,"title":"Atomic Structure of Metals"},
+  "q2aoet2k0rf9": {"file":"CH3_Thermodynamics_of_Steam.html","section":14,"title":"Entropy of Wet Steam"},
+  "q2b505sa8429": {"file":"CH6_Testing_of_Metals.html","section":33,"title":"Generation of Pulse Waves"},
+  "q2b5qn1bm0iw": {"file":"CH6_Testing_of_Metals.html","section":60,"title":"Dye Tracer Leak Testing"},
+  "q2ba1h8dpmn6": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "q2bk8pxx1y7j": {"file":"CH6_Testing_of_Metals.html","section":57,"title":"Location of Leaks"},
+  "q2bve7malz6": {"file":"CH3_Thermodynamics_of_Steam.html","section":2,"title":"Enthalpy"},
+  "q2bwvauao9dz": {"file":"CH1_Heat_Expansion_of_Solids.html","section":10,"title":"Heat Capacity of Mixtures"},
+  "q2ch3s1wes8e": {"file":"CH1_Heat_Expansion_of_Solids.html","section":17,"title":"Heat Flow through Cylindrical Walls"},
+  "q2chay7ayxip": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q2cieteen02u": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "q2ciuiiok3xr": {"file":"CH6_Testing_of_Metals.html","section":3,"title":"Ultimate Tensile Strength"},
+  "q2d2b7q1a98b": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q2d523scyki": {"file":"CH3_Thermodynamics_of_Steam.html","section":0,"title":"Steam Tables and Enthalpy"},
+  "q2dgtr1mxvaz": {"file":"CH6_Testing_of_Metals.html","section":46,"title":"Acoustic Emission Procedures"},
+  "q2dhox763hxd": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "q2dkiua33v1x": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "q2dpd0ub38sr": {"file":"CH6_Testing_of_Metals.html","section":5,"title":"Hardness Testing Categories"},
+  "q2e61c1mc3pi": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "q2e8s4ah48p6": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "q2eq85ul6q1k": {"file":"CH3_Thermodynamics_of_Steam.html","section":13,"title":"Temperature-Entropy Diagram"},
+  "q2fkhyudpsar": {"file":"CH6_Testing_of_Metals.html","section":1,"title":"Specimen"},
+  "q2fv9omgztuu": {"file":"CH6_Testing_of_Metals.html","section":48,"title":"Location of Sensors"},
+  "q2fvjwc1krbk": {"file":"CH3_Thermodynamics_of_Steam.html","section":10,"title":"Measuring Dryness with a Separating Calorimeter"},
+  "q2fwqffsq26u": {"file":"CH1_Heat_Expansion_of_Solids.html","section":10,"title":"Heat Capacity of Mixtures"},
+  "q2gn7k3yppvs": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q2k54xftuf9": {"file":"CH7_Corrosion_of_Metals.html","section":56,"title":"Corrosion Protection"},
+  "q2pq5ka921s": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "q2q1vzu4pdr": {"file":"CH3_Thermodynamics_of_Steam.html","section":6,"title":"Specific Volume"},
+  "q32t5i8ektt": {"file":"CH3_Thermodynamics_of_Steam.html","section":6,"title":"Specific Volume"},
+  "q39gwjqkoa9": {"file":"CH2_Thermodynamics_of_Gases.html","section":10,"title":"Second Law of Thermodynamics"},
+  "q3bwu7qbgc0": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "q3fbvgf113x": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "q3tx389pfwl": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "q3wnwt1gx8l": {"file":"CH3_Thermodynamics_of_Steam.html","section":13,"title":"Temperature-Entropy Diagram"},
+  "q4bjhd3v1rk": {"file":"CH6_Testing_of_Metals.html","section":49,"title":"Acoustic Emissions Applications"},
+  "q4bureulpkq": {"file":"CH2_Thermodynamics_of_Gases.html","section":6,"title":"Heat Added at Constant Pressure"},
+  "q4cnjwvm61x": {"file":"CH6_Testing_of_Metals.html","section":3,"title":"Ultimate Tensile Strength"},
+  "q4euhklkw8l": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":4,"title":"Arrow Side vs. Other Side"},
+  "q4pe1bqse5r": {"file":"CH3_Thermodynamics_of_Steam.html","section":14,"title":"Entropy of Wet Steam"},
+  "q4wkuo70w50": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "q4xi7oqqieq": {"file":"CH7_Corrosion_of_Metals.html","section":35,"title":"Stray Current Corrosion"},
+  "q5oixkq2fr6": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "q60a57f8ycl": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q692wzbqu4z": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "q6ghjr5a0y": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":4,"title":"Arrow Side vs. Other Side"},
+  "q6iikq3mli6": {"file":"CH1_Heat_Expansion_of_Solids.html","section":13,"title":"Expansion in the Area of a Hole in a Material"},
+  "q72ot8u2jvw": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "q77be0s5005": {"file":"CH6_Testing_of_Metals.html","section":32,"title":"Transducer Orientation"},
+  "q7i5fzayc6y": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "q7jbctyisxp": {"file":"CH6_Testing_of_Metals.html","section":11,"title":"Test Procedure"},
+  "q7obzbm1a4w": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q7rpsfaiyy3": {"file":"CH6_Testing_of_Metals.html","section":55,"title":"Hydrostatic Testing"},
+  "q7s0pnrazfh": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "q7uwpzezg56": {"file":"CH6_Testing_of_Metals.html","section":55,"title":"Hydrostatic Testing"},
+  "q7ygowfjdi0": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "q7yq9t7d9fz": {"file":"CH6_Testing_of_Metals.html","section":46,"title":"Acoustic Emission Procedures"},
+  "q847takpb05": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "q85bb7dmy9h": {"file":"CH6_Testing_of_Metals.html","section":63,"title":"Monitoring for Creep Damage"},
+  "q8757xkctgj": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "q889u4xouis": {"file":"CH6_Testing_of_Metals.html","section":48,"title":"Location of Sensors"},
+  "q89hmewlrj8": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "q8dvh3dod6n": {"file":"CH2_Thermodynamics_of_Gases.html","section":5,"title":"Heat Added at Constant Volume"},
+  "q8nz2e6vexj": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":1,"title":"Types of Heat Engines"},
+  "q8opyqpz2jm": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":10,"title":"Pressure-Volume Diagram"},
+  "q8qabv04q7k": {"file":"CH5_Metallurgy.html","section":16,"title":"Peritectic Reaction"},
+  "q8tj3d50nps": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "q8v36d9zxg4": {"file":"CH7_Corrosion_of_Metals.html","section":61,"title":"Protective Coatings"},
+  "q8wro2c07j7": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "q9coba4qvsv": {"file":"CH6_Testing_of_Metals.html","section":13,"title":"Test Based on Tensile Strength"},
+  "q9k717qanaw": {"file":"CH6_Testing_of_Metals.html","section":23,"title":"Dye Penetrant Application"},
+  "qaa74vw9f8": {"file":"CH3_Thermodynamics_of_Steam.html","section":7,"title":"Throttling Calorimeters"},
+  "qacfp4pxmjf": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "qak7943691l": {"file":"CH6_Testing_of_Metals.html","section":38,"title":"ASME Section V"},
+  "qb30q8oqxr2": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "qbe7sc31la5": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "qbyxfjj3o9h": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "qbyy2h3cxh0": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "qbz946wcbe2": {"file":"CH6_Testing_of_Metals.html","section":4,"title":"Hardness Testing"},
+  "qbzt6zh7o2k": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "qc2wnhi0d26": {"file":"CH6_Testing_of_Metals.html","section":26,"title":"Developing Procedure"},
+  "qc528nkjbwo": {"file":"CH2_Thermodynamics_of_Gases.html","section":2,"title":"Charles’ Law"},
+  "qc71eaucuq0": {"file":"CH3_Thermodynamics_of_Steam.html","section":3,"title":"Water to Steam"},
+  "qc7shaif3b7": {"file":"CH6_Testing_of_Metals.html","section":56,"title":"Pneumatic Testing"},
+  "qcrsz5nt1lq": {"file":"CH6_Testing_of_Metals.html","section":65,"title":"Metallographic Replication"},
+  "qd0ezi4z338": {"file":"CH6_Testing_of_Metals.html","section":38,"title":"ASME Section V"},
+  "qdecq50gbc0": {"file":"CH7_Corrosion_of_Metals.html","section":36,"title":"Intergranular Corrosion"},
+  "qdjptz3duzh": {"file":"CH6_Testing_of_Metals.html","section":69,"title":"Corrosion Detection"},
+  "qe0xsqkb1j7": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "qe4okjx7bg5": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "qe7e5ho83gp": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "qehv60zeeve": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "qeqfh6lpoeg": {"file":"CH6_Testing_of_Metals.html","section":38,"title":"ASME Section V"},
+  "qerbhvlz8x4": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "qetu605xd86": {"file":"CH7_Corrosion_of_Metals.html","section":56,"title":"Corrosion Protection"},
+  "qevtommtxv8": {"file":"CH5_Metallurgy.html","section":9,"title":"Allotropy of Iron"},
+  "qfv97q64cv4": {"file":"CH7_Corrosion_of_Metals.html","section":60,"title":"Chemical Inhibitors"},
+  "qfwpp7fd5t7": {"file":"CH7_Corrosion_of_Metals.html","section":30,"title":"Types of Bacteria"},
+  "qg0pctr8ukz": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "qg3j3psmu9h": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "qg7rxkh33sb": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "qga6vnure9r": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "qgii11b823d": {"file":"CH6_Testing_of_Metals.html","section":12,"title":"Test Based on Yield Strength"},
+  "qglj5zuxdfs": {"file":"CH7_Corrosion_of_Metals.html","section":2,"title":"Oxidation, Reduction, and Redox"},
+  "qgo8fo17c4b": {"file":"CH6_Testing_of_Metals.html","section":8,"title":"Introduction"},
+  "qgrmzdht34r": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "qgza4jyov1h": {"file":"CH3_Thermodynamics_of_Steam.html","section":6,"title":"Specific Volume"},
+  "qh0171o4jnv": {"file":"CH5_Metallurgy.html","section":31,"title":"Copper Alloys"},
+  "qh3fq1n2yup": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "qhal3es5wmp": {"file":"CH7_Corrosion_of_Metals.html","section":4,"title":"Cathodic and Anodic Reactions"},
+  "qhgdsqfuns9": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "qhjhgjp1jil": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qhoefib3kw1": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "qhqvuglzled": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qhwwiy32nrn": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qi6th32nq7l": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "qi8ppzt0fvs": {"file":"CH7_Corrosion_of_Metals.html","section":19,"title":"Hydrogen Induced Corrosion"},
+  "qi93u2msvcy": {"file":"CH7_Corrosion_of_Metals.html","section":37,"title":"Magnetite Layer"},
+  "qihr411lqxk": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "qit44ew6z1s": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "qix0ot1dwb2": {"file":"CH6_Testing_of_Metals.html","section":45,"title":"Oxide Inclusions"},
+  "qiyutk3wh0c": {"file":"CH1_Heat_Expansion_of_Solids.html","section":13,"title":"Expansion in the Area of a Hole in a Material"},
+  "qj5bv930lef": {"file":"CH6_Testing_of_Metals.html","section":29,"title":"Quality Control"},
+  "qj9ncxtu8y6": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "qjgtoj79ln9": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "qjlm0qh6uvz": {"file":"CH2_Thermodynamics_of_Gases.html","section":7,"title":"Characteristic Gas Constant, R, related to Specific Heats"},
+  "qjnb54ma10l": {"file":"CH6_Testing_of_Metals.html","section":4,"title":"Hardness Testing"},
+  "qjozrr6dupb": {"file":"CH6_Testing_of_Metals.html","section":37,"title":"Advantages and Limitations"},
+  "qjqzc7bsszp": {"file":"CH3_Thermodynamics_of_Steam.html","section":1,"title":"Interpolation:"},
+  "qjxo8lcm84g": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "qjzh3ye4wn4": {"file":"CH6_Testing_of_Metals.html","section":55,"title":"Hydrostatic Testing"},
+  "qk1fczdnr5l": {"file":"CH6_Testing_of_Metals.html","section":65,"title":"Metallographic Replication"},
+  "qkdmn1mlqrs": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "qkwr2vo8nnr": {"file":"CH6_Testing_of_Metals.html","section":46,"title":"Acoustic Emission Procedures"},
+  "ql5ofwno08p": {"file":"CH6_Testing_of_Metals.html","section":38,"title":"ASME Section V"},
+  "ql5y67ofrs": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":4,"title":"Arrow Side vs. Other Side"},
+  "qldn0osz98x": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "qly4lf0np4x": {"file":"CH2_Thermodynamics_of_Gases.html","section":1,"title":"Gay-Lussac’s Law"},
+  "qm0sdipedmw": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "qm1lb4xxsfd": {"file":"CH7_Corrosion_of_Metals.html","section":61,"title":"Protective Coatings"},
+  "qm2dus03ijb": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "qmba24wbofj": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "qmdpfo0ijzv": {"file":"CH3_Thermodynamics_of_Steam.html","section":10,"title":"Measuring Dryness with a Separating Calorimeter"},
+  "qmhcppn07al": {"file":"CH6_Testing_of_Metals.html","section":42,"title":"Discontinuities"},
+  "qmk0sido5lm": {"file":"CH3_Thermodynamics_of_Steam.html","section":7,"title":"Throttling Calorimeters"},
+  "qmkctlagyjy": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "qmofw5pigyl": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":11,"title":"Temperature-Entropy Diagram"},
+  "qmw0133zfrb": {"file":"CH6_Testing_of_Metals.html","section":23,"title":"Dye Penetrant Application"},
+  "qmzg30lip22": {"file":"CH7_Corrosion_of_Metals.html","section":34,"title":"3. Wet Atmospheric Corrosion"},
+  "qn1ogtw5w32": {"file":"CH1_Heat_Expansion_of_Solids.html","section":13,"title":"Expansion in the Area of a Hole in a Material"},
+  "qn21uis1ugt": {"file":"CH6_Testing_of_Metals.html","section":7,"title":"Impact Testing"},
+  "qn5io5eeo7c": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":8,"title":"Pressure-Volume Diagram"},
+  "qnik65shsos": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "qnwu4kjfq9c": {"file":"CH6_Testing_of_Metals.html","section":48,"title":"Location of Sensors"},
+  "qnxhetyty4m": {"file":"CH6_Testing_of_Metals.html","section":10,"title":"Applications of Proof Testing"},
+  "qo36q7uz6ip": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "qo3wetbpqt8": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":2,"title":"Gas Cycle"},
+  "qo54ih314bb": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "qoe46sgw92v": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "qoefo5vza0t": {"file":"CH7_Corrosion_of_Metals.html","section":51,"title":"6. Non-Destructive Examination"},
+  "qogcskdt1e3": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "qoj5dtyoqgx": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qok0xu7view": {"file":"CH3_Thermodynamics_of_Steam.html","section":7,"title":"Throttling Calorimeters"},
+  "qoknxvlg3au": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "qom45nhovsg": {"file":"CH6_Testing_of_Metals.html","section":42,"title":"Discontinuities"},
+  "qp1dv7fs7rd": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":1,"title":"Types of Heat Engines"},
+  "qpa0onoe9k": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "qpdy1nh52ov": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qpl1counhav": {"file":"CH3_Thermodynamics_of_Steam.html","section":1,"title":"Interpolation:"},
+  "qpmlnyyios8": {"file":"CH6_Testing_of_Metals.html","section":0,"title":"Tensile Test"},
+  "qpnwbq95rcx": {"file":"CH6_Testing_of_Metals.html","section":62,"title":"Helium Mass Spectrometer Leak Testing"},
+  "qps6ma3pmev": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":3,"title":"Vapour Cycle"},
+  "qq25ymlxmw4": {"file":"CH7_Corrosion_of_Metals.html","section":42,"title":"Steam Condenser Corrosion"},
+  "qq5ow8vg967": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":14,"title":"Temperature-Entropy Diagram"},
+  "qq5tniyknlg": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "qqa2skbeol1": {"file":"CH5_Metallurgy.html","section":31,"title":"Copper Alloys"},
+  "qqooj5vw1b": {"file":"CH5_Metallurgy.html","section":37,"title":"Tin-Lead Solders"},
+  "qqp10tijeme": {"file":"CH3_Thermodynamics_of_Steam.html","section":14,"title":"Entropy of Wet Steam"},
+  "qqph3p3njly": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":0,"title":"Groove Welds"},
+  "qr039s6ud8v": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "qrf6kq25kzo": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "qrq3g7pfwae": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qs1gieesz9p": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":0,"title":"Groove Welds"},
+  "qsog9pa0v18": {"file":"CH6_Testing_of_Metals.html","section":56,"title":"Pneumatic Testing"},
+  "qsun39qc1q4": {"file":"CH6_Testing_of_Metals.html","section":19,"title":"Detection"},
+  "qt4pjfd4qrw": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":3,"title":"Reference Line, Arrow, and Tail"},
+  "qtho5dxslex": {"file":"CH3_Thermodynamics_of_Steam.html","section":13,"title":"Temperature-Entropy Diagram"},
+  "qti2fozcft8": {"file":"CH6_Testing_of_Metals.html","section":69,"title":"Corrosion Detection"},
+  "qtmjpic8brd": {"file":"CH5_Metallurgy.html","section":0,"title":"Extractive Metallurgy"},
+  "qtmojdafbg1": {"file":"CH2_Thermodynamics_of_Gases.html","section":5,"title":"Heat Added at Constant Volume"},
+  "qtwlx3jpkiw": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "qu133ebb4u1": {"file":"CH6_Testing_of_Metals.html","section":14,"title":"Test Gauges"},
+  "qu8fnx9amb9": {"file":"CH3_Thermodynamics_of_Steam.html","section":0,"title":"Steam Tables and Enthalpy"},
+  "qubkbu5e20h": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "qukjc33vcum": {"file":"CH1_Heat_Expansion_of_Solids.html","section":18,"title":"Radiation"},
+  "quvzodwke90": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":5,"title":"Carnot Cycle Efficiency"},
+  "quz708f9lxl": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "qv0skfuhzup": {"file":"CH3_Thermodynamics_of_Steam.html","section":11,"title":"Separating and Throttling Calorimeters in Series"},
+  "qv3lsfex5zj": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qve8ekkdqyw": {"file":"CH2_Thermodynamics_of_Gases.html","section":12,"title":"Comparison of Expansion and Compression Processes"},
+  "qvlano679ce": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":5,"title":"Fillet Weld Symbols"},
+  "qvy13yoy55e": {"file":"CH6_Testing_of_Metals.html","section":46,"title":"Acoustic Emission Procedures"},
+  "qw339sbd8xs": {"file":"CH2_Thermodynamics_of_Gases.html","section":9,"title":"First Law of Thermodynamics"},
+  "qw4fk5ctue4": {"file":"CH6_Testing_of_Metals.html","section":41,"title":"Reports"},
+  "qw4xal4aite": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "qw7a9v06tc6": {"file":"CH6_Testing_of_Metals.html","section":39,"title":"Written Procedure Requirements"},
+  "qwa7c01amxu": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":7,"title":"Rankine Cycle Efficiency"},
+  "qwgm6igslyr": {"file":"CH8_Introduction_to_Welding_Symbols.html","section":1,"title":"Fillet Welds"},
+  "qwifhfpjb7u": {"file":"CH2_Thermodynamics_of_Gases.html","section":7,"title":"Characteristic Gas Constant, R, related to Specific Heats"},
+  "qww720fgyku": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "qx5qw8e7ri9": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "qxcaljbxey9": {"file":"CH7_Corrosion_of_Metals.html","section":40,"title":"Fuel Side Corrosion"},
+  "qxr8yqjjhqt": {"file":"CH6_Testing_of_Metals.html","section":67,"title":"Corrosion"},
+  "qy5sfz27qwx": {"file":"CH6_Testing_of_Metals.html","section":55,"title":"Hydrostatic Testing"},
+  "qy5xetbt5r1": {"file":"CH6_Testing_of_Metals.html","section":25,"title":"Drying"},
+  "qykz07361uu": {"file":"CH3_Thermodynamics_of_Steam.html","section":9,"title":"Electric Calorimeters"},
+  "qyl5zvz58sp": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "qyrlgstf33v": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qywg6kcci88": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":12,"title":"Diesel Cycle Efficiency"},
+  "qz1qnh2x3lk": {"file":"CH3_Thermodynamics_of_Steam.html","section":4,"title":"Dryness Fraction"},
+  "qz705x049ch": {"file":"CH6_Testing_of_Metals.html","section":17,"title":"Hydrostatic Test"},
+  "qzbi2t7m4yt": {"file":"CH4_Practical_Thermodynamic_Cycles.html","section":9,"title":"Otto Cycle Efficiency"},
+  "qzh6r6cvkdy": {"file":"CH6_Testing_of_Metals.html","section":18,"title":"Magnetic Particle Procedures"},
+  "qzrbjze2oh4": {"file":"CH7_Corrosion_of_Metals.html","section":48,"title":"3. Corrosion Probes and Meters"},
+  "t-adiabatic-work": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "t-area-expansion-plate": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "t-fluid-film-floor": {"file":"CH1_Heat_Expansion_of_Solids.html","section":18,"title":"Radiation"},
+  "t-gas-mass": {"file":"CH2_Thermodynamics_of_Gases.html","section":4,"title":"Ideal Gas Law"},
+  "t-isothermal-final-volume": {"file":"CH2_Thermodynamics_of_Gases.html","section":0,"title":"Boyle’s Law"},
+  "t-isothermal-work": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "t-linear-expansion-increase": {"file":"CH1_Heat_Expansion_of_Solids.html","section":12,"title":"Linear Expansion"},
+  "t-polytropic-final-pressure": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"},
+  "t-polytropic-final-temperature": {"file":"CH2_Thermodynamics_of_Gases.html","section":11,"title":"Work Done During Isothermal Process"}
+};
@@ -0,0 +1,184 @@
+// Question templates for question-generator.js: each one yields a fresh
+// variant of a bank calculation every time a quiz is built.
+// Material and gas data follow the tables in the chapters.
+questionTemplates = [{
+    "id": "fluid-film-floor",
+    "category": "75",
+    "text": "Calculate the heat flow per {period.name} through the fluid film from a {area} m2 flat horizontal floor of {building} at {tFloor}°C, to an ambient air temperature of {tAir}°C. Use {air.speed} m/s conditions. h={air.h}W/m2K.",
+    "variables": {
+        "period": { "choices": [{ "name": "hour", "seconds": 3600 }, { "name": "minute", "seconds": 60 }] },
+        "area": { "min": 500, "max": 15000, "step": 250 },
+        "building": { "choices": ["a warehouse", "an office", "a workshop", "a garage"] },
+        "tFloor": { "min": 18, "max": 25, "step": 0.5 },
+        "tAir": { "min": 10, "max": 17.5, "step": 0.5 },
+        "air": { "choices": [{ "speed": 2, "h": 12 }, { "speed": 30, "h": 75 }] }
+    },
+    "constraints": ["tFloor - tAir >= 2"],
+    "answer": { "formula": "air.h * area * (tFloor - tAir) * period.seconds / 1e6", "unit": "MJ", "decimals": 2 },
+    "distractors": [
+        "air.h * area * (tFloor - tAir) * 3600 / 1e6",
+        "air.h * area * (tFloor - tAir) * 60 / 1e6",
+        "air.h * area * (tFloor + tAir) * period.seconds / 1e6",
+        "12 * area * (tFloor - tAir) * period.seconds / 1e6",
+        "75 * area * (tFloor - tAir) * period.seconds / 1e6"
+    ]
+}, {
+    "id": "linear-expansion-increase",
+    "category": "75",
+    "text": "A steam pipe made of {metal.name}, with a length of {length} m, is installed at {t1}°C. Find the increase in length when the temperature is raised to {t2}°C.",
+    "variables": {
+        "metal": { "choices": [
+            { "name": "mild steel", "alpha": 12.0e-6 },
+            { "name": "copper", "alpha": 16.5e-6 },
+            { "name": "brass", "alpha": 18.4e-6 },
+            { "name": "aluminum", "alpha": 23.8e-6 },
+            { "name": "cast iron", "alpha": 10.4e-6 }
+        ] },
+        "length": { "min": 2, "max": 25, "step": 0.05 },
+        "t1": { "min": 10, "max": 25, "step": 1 },
+        "t2": { "min": 120, "max": 300, "step": 5 }
+    },
+    "answer": { "formula": "length * 1000 * metal.alpha * (t2 - t1)", "unit": "mm", "decimals": 2 },
+    "distractors": [
+        "length * 1000 * metal.alpha * t2",
+        "length * 1000 * 2 * metal.alpha * (t2 - t1)",
+        "length * 1000 * metal.alpha * (t2 + t1)",
+        "length * 100 * metal.alpha * (t2 - t1)"
+    ]
+}, {
+    "id": "area-expansion-plate",
+    "category": "75",
+    "text": "A plate made of {metal.name} has an area of {area} m2 at {t1}°C. Calculate its area at {t2}°C.",
+    "variables": {
+        "metal": { "choices": [
+            { "name": "steel", "alpha": 12.0e-6 },
+            { "name": "copper", "alpha": 16.5e-6 },
+            { "name": "brass", "alpha": 18.4e-6 },
+            { "name": "aluminum", "alpha": 23.8e-6 },
+            { "name": "silver", "alpha": 19.5e-6 }
+        ] },
+        "area": { "min": 1, "max": 8, "step": 0.25 },
+        "t1": { "min": 15, "max": 250, "step": 5 },
+        "t2": { "min": 15, "max": 250, "step": 5 }
+    },
+    "constraints": ["abs(t2 - t1) >= 120"],
+    "answer": { "formula": "area * (1 + 2 * metal.alpha * (t2 - t1))", "unit": "m²", "decimals": 3, "separation": 0.0008 },
+    "distractors": [
+        "area * (1 + metal.alpha * (t2 - t1))",
+        "area * (1 + 3 * metal.alpha * (t2 - t1))",
+        "area * (1 - 2 * metal.alpha * (t2 - t1))",
+        "area * (1 + 2 * metal.alpha * t2)"
+    ]
+}, {
+    "id": "polytropic-final-pressure",
+    "category": "122",
+    "text": "{v1} m³ of air at {p1} kPa and {t1}°C is compressed to a volume of {v2} m³. If the law of compression follows PV (exp {n}) = constant, what is the final pressure?",
+    "variables": {
+        "v1": { "min": 0.5, "max": 2, "step": 0.1 },
+        "v2": { "min": 0.1, "max": 0.5, "step": 0.05 },
+        "p1": { "min": 100, "max": 300, "step": 10 },
+        "t1": { "min": 5, "max": 30, "step": 1 },
+        "n": { "choices": [1.3, 1.32, 1.35, 1.4] }
+    },
+    "constraints": ["v1 / v2 >= 2", "v1 / v2 <= 10"],
+    "answer": { "formula": "p1 * (v1 / v2) ^ n", "unit": "kPa", "decimals": 0 },
+    "distractors": [
+        "p1 * v1 / v2",
+        "p1 * (v1 / v2) ^ (n - 1)",
+        "p1 * (v1 / v2) ^ (1 / n)",
+        "p1 * (v1 / v2) * n"
+    ]
+}, {
+    "id": "polytropic-final-temperature",
+    "category": "122",
+    "text": "{v1} m³ of air at {p1} kPa and {t1}°C is compressed to a volume of {v2} m³. If the law of compression follows PV (exp {n}) = constant what is the final temperature?",
+    "variables": {
+        "v1": { "min": 0.5, "max": 2, "step": 0.1 },
+        "v2": { "min": 0.1, "max": 0.5, "step": 0.05 },
+        "p1": { "min": 100, "max": 300, "step": 10 },
+        "t1": { "min": 5, "max": 30, "step": 1 },
+        "n": { "choices": [1.3, 1.32, 1.35, 1.4] }
+    },
+    "constraints": ["v1 / v2 >= 2", "v1 / v2 <= 10"],
+    "answer": { "formula": "(t1 + 273) * (v1 / v2) ^ (n - 1) - 273", "unit": "°C", "decimals": 0 },
+    "distractors": [
+        "t1 * (v1 / v2) ^ (n - 1)",
+        "(t1 + 273) * (v1 / v2) ^ (n - 1)",
+        "(t1 + 273) * (v1 / v2) ^ (1 / n) - 273",
+        "(t1 + 273) * (v1 / v2) ^ ((n - 1) / n) - 273"
+    ]
+}, {
+    "id": "isothermal-final-volume",
+    "category": "122",
+    "text": "{v1} m³ of air at {p1} kPa gauge are compressed at constant temperature to a pressure of {p2} kPa gauge. What is the air's final volume? Use 100 kPa for atmospheric pressure.",
+    "variables": {
+        "v1": { "min": 1, "max": 8, "step": 0.1 },
+        "p1": { "min": 20, "max": 200, "step": 10 },
+        "p2": { "min": 400, "max": 1200, "step": 50 }
+    },
+    "answer": { "formula": "v1 * (p1 + 100) / (p2 + 100)", "unit": "m³", "decimals": 2 },
+    "distractors": [
+        "v1 * p1 / p2",
+        "v1 * p1 / (p2 + 100)",
+        "v1 * (p1 + 100) / p2",
+        "v1 * (p1 + 101.3) / (p2 + 100) * 1.2"
+    ]
+}, {
+    "id": "isothermal-work",
+    "category": "122",
+    "text": "{v1} m³ of air are at {p1} kPa. The air is allowed to expand in a cylinder to {p2} kPa. What is the work done if the expansion follows PV = constant?",
+    "variables": {
+        "v1": { "min": 1, "max": 10, "step": 0.5 },
+        "p1": { "min": 400, "max": 1500, "step": 50 },
+        "p2": { "min": 100, "max": 300, "step": 50 }
+    },
+    "constraints": ["p1 / p2 >= 2"],
+    "answer": { "formula": "p1 * v1 * ln(p1 / p2)", "unit": "kJ", "decimals": 0 },
+    "distractors": [
+        "p1 * v1 * log(p1 / p2)",
+        "(p1 - p2) * v1",
+        "p2 * v1 * ln(p1 / p2)",
+        "p1 * v1 * ln(p1 / p2) / 1.4"
+    ]
+}, {
+    "id": "adiabatic-work",
+    "category": "122",
+    "text": "{v1} m³ of air at {p1} kPa is expanded in a cylinder until the volume is {v2} m³. Calculate the work done if expansion is adiabatic taking gamma= {g}.",
+    "variables": {
+        "v1": { "min": 0.1, "max": 0.5, "step": 0.05 },
+        "v2": { "min": 0.3, "max": 2, "step": 0.05 },
+        "p1": { "min": 400, "max": 1500, "step": 50 },
+        "g": { "choices": [1.35, 1.4] }
+    },
+    "derived": { "p2": "p1 * (v1 / v2) ^ g" },
+    "constraints": ["v2 / v1 >= 2", "v2 / v1 <= 6"],
+    "answer": { "formula": "(p1 * v1 - p2 * v2) / (g - 1)", "unit": "kJ", "decimals": 1 },
+    "distractors": [
+        "p1 * v1 * ln(v2 / v1)",
+        "(p1 * v1 - p2 * v2) / g",
+        "(p1 * v1 - p2 * v2) * (g - 1)",
+        "(p1 * v1 - p1 * (v1 / v2) ^ (g - 1) * v2) / (g - 1)"
+    ]
+}, {
+    "id": "gas-mass",
+    "category": "122",
+    "text": "{gas.name} at {t}°C and {pg} kPa gauge has a volume of {v} m³. Calculate the mass. Atmospheric pressure is 100 kPa and the characteristic gas constant for {gas.label} is {gas.R} kJ/kg K.",
+    "variables": {
+        "gas": { "choices": [
+            { "name": "Oxygen", "label": "oxygen", "R": 0.2598 },
+            { "name": "Nitrogen", "label": "nitrogen", "R": 0.2968 },
+            { "name": "Air", "label": "air", "R": 0.287 },
+            { "name": "Carbon dioxide", "label": "carbon dioxide", "R": 0.1889 }
+        ] },
+        "t": { "min": 5, "max": 60, "step": 1 },
+        "pg": { "min": 100, "max": 900, "step": 25 },
+        "v": { "min": 0.05, "max": 2, "step": 0.05 }
+    },
+    "answer": { "formula": "(pg + 100) * v / (gas.R * (t + 273))", "unit": "kg", "decimals": 3 },
+    "distractors": [
+        "pg * v / (gas.R * (t + 273))",
+        "(pg + 100) * v / (gas.R * t)",
+        "(pg + 100) * v / (8.314 * (t + 273))",
+        "(pg + 100) * v / (gas.R * (t + 273)) * 1.2"
+    ]
+}];
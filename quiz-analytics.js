@@ -0,0 +1,360 @@
+/**
+ * Quiz Analytics
+ * Turns the attempt log kept by quiz.html into accuracy trends per chapter,
+ * the most-missed questions, time per question and a readiness estimate
+ * toward the exam pass mark, and draws the charts as inline SVG (no chart
+ * library, so it works offline).
+ *
+ * Attempts are passed in as:
+ *   { when: ISO date, mode, elapsedMs, outcomes: [{ id, category, correct, confidence, flagged }] }
+ * where confidence ("guess", "unsure" or "sure") and flagged are only there
+ * when the student set them.
+ */
+
+(function(root) {
+  'use strict';
+
+  // Configuration
+  const RECENT_ANSWERS = 30;       // readiness looks at this many latest answers per chapter
+  const MIN_ANSWERS = 5;           // fewer than this and a chapter's readiness is unknown
+  const MIN_COVERAGE = 0.5;        // share of the exam blueprint that needs data for an estimate
+  const Z_SCORE = 1.645;           // 90% interval around the estimates
+  const MAX_DAILY_BUCKETS = 31;    // longer histories are charted per week
+  const MISSED_LIMIT = 10;
+  const CONFIDENCE_LEVELS = ['guess', 'unsure', 'sure'];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const CHART = { width: 560, height: 200, top: 12, right: 12, bottom: 26, left: 34 };
+
+  /**
+   * Wilson score interval for a proportion, as [low, high] in 0..1
+   */
+  function wilson(correct, total) {
+    if (total === 0) return [0, 1];
+    const p = correct / total;
+    const z2 = Z_SCORE * Z_SCORE;
+    const centre = p + z2 / (2 * total);
+    const spread = Z_SCORE * Math.sqrt((p * (1 - p) + z2 / (4 * total)) / total);
+    const denominator = 1 + z2 / total;
+    return [Math.max(0, (centre - spread) / denominator), Math.min(1, (centre + spread) / denominator)];
+  }
+
+  /**
+   * Local calendar day of a date, as "YYYY-MM-DD"
+   */
+  function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Day key of the Monday that starts a date's week
+   */
+  function weekKey(date) {
+    const d = new Date(date);
+    d.setHours(12, 0, 0, 0);
+    return dayKey(d.getTime() - ((d.getDay() + 6) % 7) * DAY_MS);
+  }
+
+  /**
+   * Answers per day, or per week once the log spans more than a month of
+   * days; returns { unit, keys, bucketOf }
+   */
+  function getBuckets(attempts) {
+    const days = Array.from(new Set(attempts.map(a => dayKey(a.when)))).sort();
+    const unit = days.length > MAX_DAILY_BUCKETS ? 'week' : 'day';
+    const bucketOf = unit === 'week' ? weekKey : dayKey;
+    return { unit: unit, keys: Array.from(new Set(attempts.map(a => bucketOf(a.when)))).sort(), bucketOf: bucketOf };
+  }
+
+  /**
+   * Everything the dashboard shows. options: { categories: [{ id, label }],
+   * weights: { categoryId: share }, passMark: percent }
+   */
+  function analyze(attempts, options) {
+    const categories = (options && options.categories) || [];
+    const weights = (options && options.weights) || {};
+    const passMark = (options && options.passMark) || 0;
+
+    const log = attempts
+      .filter(a => a && a.when && Array.isArray(a.outcomes))
+      .slice()
+      .sort((a, b) => String(a.when).localeCompare(String(b.when)));
+    const buckets = getBuckets(log);
+
+    const overall = { answered: 0, correct: 0, series: {} };
+    const byCategory = {};
+    const byQuestion = {};
+    let timedAnswers = 0;
+    let timedMs = 0;
+
+    log.forEach(attempt => {
+      const bucket = buckets.bucketOf(attempt.when);
+      if (attempt.elapsedMs > 0 && attempt.outcomes.length) {
+        timedAnswers += attempt.outcomes.length;
+        timedMs += attempt.elapsedMs;
+      }
+
+      attempt.outcomes.forEach(outcome => {
+        const category = String(outcome.category);
+        const entry = byCategory[category] = byCategory[category] || { answered: 0, correct: 0, series: {}, answers: [] };
+        [overall, entry].forEach(target => {
+          const point = target.series[bucket] = target.series[bucket] || { answered: 0, correct: 0 };
+          target.answered++;
+          point.answered++;
+          if (outcome.correct) {
+            target.correct++;
+            point.correct++;
+          }
+        });
+        entry.answers.push(!!outcome.correct);
+
+        if (outcome.id) {
+          const question = byQuestion[outcome.id] = byQuestion[outcome.id] || { id: outcome.id, category: category, seen: 0, wrong: 0 };
+          question.seen++;
+          if (!outcome.correct) {
+            question.wrong++;
+            question.lastWrong = attempt.when;
+          }
+          question.lastCorrect = !!outcome.correct;
+        }
+      });
+    });
+
+    const toSeries = series => buckets.keys.map(key => (series[key]
+      ? { key: key, answered: series[key].answered, accuracy: 100 * series[key].correct / series[key].answered }
+      : { key: key, answered: 0, accuracy: null }));
+
+    const chapters = categories.map(category => {
+      const entry = byCategory[category.id] || { answered: 0, correct: 0, series: {}, answers: [] };
+      const recent = entry.answers.slice(-RECENT_ANSWERS);
+      const recentCorrect = recent.filter(Boolean).length;
+      const [low, high] = wilson(recentCorrect, recent.length);
+      const estimate = recent.length ? 100 * recentCorrect / recent.length : null;
+      return {
+        id: category.id,
+        label: category.label,
+        answered: entry.answered,
+        correct: entry.correct,
+        accuracy: entry.answered ? 100 * entry.correct / entry.answered : null,
+        series: toSeries(entry.series),
+        readiness: {
+          answers: recent.length,
+          estimate: estimate,
+          low: recent.length ? 100 * low : null,
+          high: recent.length ? 100 * high : null,
+          status: getStatus(recent.length, 100 * low, estimate, passMark)
+        }
+      };
+    });
+
+    const missed = Object.keys(byQuestion)
+      .map(id => byQuestion[id])
+      .filter(q => q.wrong > 0)
+      .map(q => Object.assign({ missRate: 100 * q.wrong / q.seen }, q))
+      .sort((a, b) => b.wrong - a.wrong || b.missRate - a.missRate || String(b.lastWrong).localeCompare(String(a.lastWrong)))
+      .slice(0, MISSED_LIMIT);
+
+    return {
+      unit: buckets.unit,
+      totals: {
+        attempts: log.length,
+        answered: overall.answered,
+        correct: overall.correct,
+        accuracy: overall.answered ? 100 * overall.correct / overall.answered : null,
+        secondsPerQuestion: timedAnswers ? timedMs / timedAnswers / 1000 : null
+      },
+      series: toSeries(overall.series),
+      chapters: chapters,
+      missed: missed,
+      calibration: calibrate([].concat(...log.map(a => a.outcomes))),
+      readiness: getReadiness(chapters, weights, passMark)
+    };
+  }
+
+  /**
+   * How well confidence matched results: answers and accuracy per level
+   * (unrated answers under "unrated"), the confident misses and lucky
+   * guesses, and how the flagged questions went
+   */
+  function calibrate(outcomes) {
+    const levels = CONFIDENCE_LEVELS.concat('unrated').map(level => {
+      const answers = outcomes.filter(o => (CONFIDENCE_LEVELS.includes(o.confidence) ? o.confidence : 'unrated') === level);
+      const correct = answers.filter(o => o.correct).length;
+      return {
+        level: level,
+        answered: answers.length,
+        correct: correct,
+        accuracy: answers.length ? 100 * correct / answers.length : null
+      };
+    });
+    const flagged = outcomes.filter(o => o.flagged);
+
+    return {
+      levels: levels,
+      rated: outcomes.length - levels[levels.length - 1].answered,
+      sureWrong: outcomes.filter(o => o.confidence === 'sure' && !o.correct).length,
+      guessRight: outcomes.filter(o => o.confidence === 'guess' && o.correct).length,
+      flagged: flagged.length,
+      flaggedCorrect: flagged.filter(o => o.correct).length
+    };
+  }
+
+  /**
+   * "ready" when even the low end of the interval reaches the pass mark,
+   * "borderline" when only the estimate does
+   */
+  function getStatus(answers, low, estimate, passMark) {
+    if (answers < MIN_ANSWERS) return 'unknown';
+    if (low >= passMark) return 'ready';
+    return estimate >= passMark ? 'borderline' : 'not-ready';
+  }
+
+  /**
+   * Exam score estimate: each chapter's recent accuracy weighted by its
+   * share of the exam, over the chapters with enough answers
+   */
+  function getReadiness(chapters, weights, passMark) {
+    let weight = 0;
+    let totalWeight = 0;
+    let estimate = 0;
+    let low = 0;
+    let high = 0;
+
+    chapters.forEach(chapter => {
+      const share = Number(weights[chapter.id]) || 0;
+      totalWeight += share;
+      if (chapter.readiness.answers < MIN_ANSWERS) return;
+      weight += share;
+      estimate += share * chapter.readiness.estimate;
+      low += share * chapter.readiness.low;
+      high += share * chapter.readiness.high;
+    });
+
+    const coverage = totalWeight ? weight / totalWeight : 0;
+    if (weight === 0) {
+      return { coverage: coverage, estimate: null, low: null, high: null, passMark: passMark, status: 'unknown' };
+    }
+
+    estimate /= weight;
+    low /= weight;
+    high /= weight;
+    return {
+      coverage: coverage,
+      estimate: estimate,
+      low: low,
+      high: high,
+      passMark: passMark,
+      status: coverage < MIN_COVERAGE ? 'unknown' : getStatus(MIN_ANSWERS, low, estimate, passMark)
+    };
+  }
+
+  // ---- Charts ----
+
+  /**
+   * Escape text for SVG markup
+   */
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+  }
+
+  /**
+   * Short axis label for a bucket key: "3 Oct"
+   */
+  function formatKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  }
+
+  /**
+   * Line chart of accuracy (0–100%) over the buckets, with an optional
+   * dashed reference line such as the pass mark.
+   * lines: [{ label, color, points: [{ key, accuracy, answered }] }]
+   */
+  function lineChart(lines, options) {
+    const reference = options && options.reference;
+    const width = CHART.width;
+    const height = CHART.height;
+    const plotWidth = width - CHART.left - CHART.right;
+    const plotHeight = height - CHART.top - CHART.bottom;
+    const count = lines.length ? lines[0].points.length : 0;
+    const x = i => CHART.left + (count > 1 ? (i * plotWidth) / (count - 1) : plotWidth / 2);
+    const y = value => CHART.top + plotHeight - (value / 100) * plotHeight;
+
+    const grid = [0, 25, 50, 75, 100].map(value => `
+      <line class="chart-grid" x1="${CHART.left}" x2="${width - CHART.right}" y1="${y(value)}" y2="${y(value)}" />
+      <text class="chart-axis" x="${CHART.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}%</text>
+    `).join('');
+
+    const step = Math.max(1, Math.ceil(count / 6));
+    const xLabels = count ? lines[0].points.map((point, i) => (i % step === 0 || i === count - 1
+      ? `<text class="chart-axis" x="${x(i)}" y="${height - 8}" text-anchor="middle">${escapeXml(formatKey(point.key))}</text>`
+      : '')).join('') : '';
+
+    const referenceLine = reference ? `
+      <line class="chart-reference" x1="${CHART.left}" x2="${width - CHART.right}" y1="${y(reference.value)}" y2="${y(reference.value)}" />
+      <text class="chart-reference-label" x="${width - CHART.right}" y="${y(reference.value) - 4}" text-anchor="end">${escapeXml(reference.label)}</text>
+    ` : '';
+
+    const paths = lines.map(line => {
+      // Gaps (buckets without answers) split the line into segments
+      const segments = [];
+      let current = [];
+      line.points.forEach((point, i) => {
+        if (point.accuracy === null) {
+          if (current.length) segments.push(current);
+          current = [];
+        } else {
+          current.push(`${x(i).toFixed(1)},${y(point.accuracy).toFixed(1)}`);
+        }
+      });
+      if (current.length) segments.push(current);
+
+      const dots = line.points.map((point, i) => (point.accuracy === null ? '' : `
+        <circle cx="${x(i).toFixed(1)}" cy="${y(point.accuracy).toFixed(1)}" r="3" fill="${line.color}">
+          <title>${escapeXml(`${line.label} · ${formatKey(point.key)}: ${Math.round(point.accuracy)}% of ${point.answered}`)}</title>
+        </circle>
+      `)).join('');
+
+      return segments.map(points => `<polyline fill="none" stroke="${line.color}" stroke-width="2" points="${points.join(' ')}" />`).join('') + dots;
+    }).join('');
+
+    return `
+      <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml((options && options.title) || 'Accuracy over time')}">
+        ${grid}${referenceLine}${xLabels}${paths}
+      </svg>
+    `;
+  }
+
+  /**
+   * Small trend line of accuracy for a table cell
+   */
+  function sparkline(points, color) {
+    const width = 120;
+    const height = 28;
+    const values = points.filter(point => point.accuracy !== null);
+    if (values.length < 2) return '';
+
+    const x = i => 2 + (i * (width - 4)) / (values.length - 1);
+    const y = value => height - 2 - (value / 100) * (height - 4);
+    return `
+      <svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true">
+        <polyline fill="none" stroke="${color}" stroke-width="1.5" points="${values.map((point, i) => `${x(i).toFixed(1)},${y(point.accuracy).toFixed(1)}`).join(' ')}" />
+      </svg>
+    `;
+  }
+
+  const api = {
+    CONFIDENCE_LEVELS: CONFIDENCE_LEVELS,
+    analyze: analyze,
+    calibrate: calibrate,
+    lineChart: lineChart,
+    sparkline: sparkline
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.QuizAnalytics = api;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,5822 @@
+// Text of every chapter for search.js, so all chapters can be searched without fetching them.
+// Generated by build-search-index.js — run it again after editing a chapter.
+searchIndex = {
+  "CH1_Heat_Expansion_of_Solids.html": [
+    {"block":0,"text":"Heat, Expansion of Solids,and Heat Transfer","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 1","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Perform calculations to determine the thermal expansion of solids and basic heat transfer properties.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Perform heat calculations on solids, liquids, and vapours.","head1":"","head2":""},
+    {"block":13,"text":"2. Explain the theory of thermal expansion and solve problems using the formula for linear thermal expansion.","head1":"","head2":""},
+    {"block":14,"text":"3. Calculate the change in the area of an object, including holes, due to a temperature change.","head1":"","head2":""},
+    {"block":15,"text":"4. Describe the principle of volumetric expansion and perform calculations involving the change in volume of solids, due to a change in temperature.","head1":"","head2":""},
+    {"block":16,"text":"5. Describe the three basic modes of heat transfer (convection, conduction, and radiation) and perform simple calculations.","head1":"","head2":""},
+    {"block":17,"text":"6. Perform calculations involving heat transfer at a surface.","head1":"","head2":""},
+    {"block":19,"text":"Objective 1","head1":"","head2":""},
+    {"block":21,"text":"Perform heat calculations on solids, liquids, and vapours.","head1":"","head2":""},
+    {"block":23,"text":"Energy and Work","head1":"","head2":""},
+    {"block":24,"text":"Energy has many forms, including: mechanical, electrical, thermal, chemical, and nuclear. These types of energy are used in many ways, such as doing work directly, keeping things warm or cool, powering machinery, or carrying information. The various forms of energy are frequently converted from one form to another; for example, when electricity is used to warm up a room.","head1":"","head2":""},
+    {"block":25,"text":"Energy can be defined as the capacity for doing work. Whenever a force moves something, work is done. If an object has energy, it is capable of doing work by itself. For example, a truck coasting along a roadway possesses energy due to its motion. The truck is moving its load from one point to another through a distance without its engine. It is doing work.","head1":"","head2":""},
+    {"block":26,"text":"There are two general forms of energy that can do work:","head1":"","head2":""},
+    {"block":27,"text":"• Energy due to motion is called kinetic energy. In the above example, the truck can do work because it is moving. Before it comes to rest, it can push against and displace almost any object with which it collides. Also, it will do work as it is being stopped.","head1":"","head2":""},
+    {"block":28,"text":"• Energy due to position is called gravitational potential energy. An object that can fall has this form of energy. A pile driver which is at the top of its guide possesses potential energy. As it falls, potential energy changes to kinetic energy. This is then converted to work as it forces the pile into the ground.","head1":"","head2":""},
+    {"block":29,"text":"Energy Conversion - A Thermal Example","head1":"Energy Conversion - A Thermal Example","head2":"","heading":true},
+    {"block":30,"text":"In a thermal power plant, electricity is produced using the chemical energy stored within fuels, such as wood waste, coal, oil, and natural gas. Figure 1 illustrates the generation of electricity using wood waste as fuel.","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":31,"text":"Wood waste is conveyed into the plant and stored in hoppers. The wood waste contains large quantities of stored chemical energy. In the power plant, this energy is released as follows:","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":32,"text":"• Using pressurized air, the fuel is blown into the boiler furnace where it is burned; this releases large quantities of thermal energy which appears as heat.","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":33,"text":"• This heat energy is then transferred from the boiler furnace into water which is used to produce steam.","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":34,"text":"• The high-pressure steam contains thermal energy by virtue of its high temperature. It also contains potential energy due to its high pressure.","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":35,"text":"• When directed through the blades of a turbine, the temperature and pressure of the steam drop as the steam uses energy to do work on the blades.","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":36,"text":"• This work appears as rotary mechanical energy which is used to perform work as it drives the generator to produce electricity.","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":38,"text":"Figure 1 – Conversion of Energy in a Thermal Power Plant","head1":"Energy Conversion - A Thermal Example","head2":""},
+    {"block":41,"text":"Power","head1":"Power","head2":"","heading":true},
+    {"block":42,"text":"The terms work and energy are commonly interchanged. Power is a reference to the rate at which work is done or energy is used. If 100 joules of work is performed in one second (using 100 joules of energy), the power is 100 watts.","head1":"Power","head2":""},
+    {"block":43,"text":"Larger equipment associated with the operation of plants is usually rated in kilowatts. This includes most mechanical drives, such as steam turbines, gas turbines, larger diesel engines, and electric motors. The kilowatt is a larger unit of measure than horsepower.","head1":"Power","head2":""},
+    {"block":44,"text":"Energy Measurement","head1":"Energy Measurement","head2":"","heading":true},
+    {"block":45,"text":"In plant operations, it is important to know how much energy a device or system will consume or produce.","head1":"Energy Measurement","head2":""},
+    {"block":46,"text":"A typical plant purchases large quantities of electrical energy from the local utility company. The amount of electrical energy used or produced is measured by estimating the amount of power used over a period of time. A machine that uses one kilowatt of power for one hour consumes one kilowatt hour (1 kWh) of electrical energy.","head1":"Energy Measurement","head2":""},
+    {"block":47,"text":"Plants also purchase chemical energy in the form of fuels, such as natural gas, fuel oils, coal, wood, agricultural, and municipal wastes.","head1":"Energy Measurement","head2":""},
+    {"block":48,"text":"Heat and Temperature","head1":"Heat and Temperature","head2":"","heading":true},
+    {"block":49,"text":"Heat is one common form of energy. Heat energy added to a body makes it hotter. The removal of heat energy from a body makes it colder. The addition of heat energy can also melt solids into liquids and change liquids into vapours or gases.","head1":"Heat and Temperature","head2":""},
+    {"block":50,"text":"The addition of heat to ice raises its temperature so that eventually it melts into water. Continued heating eventually causes the water to boil and change to its vapour form, steam. Heat may thus be described as energy moving from one body to another. This energy flow is due to a temperature difference between the two bodies.","head1":"Heat and Temperature","head2":""},
+    {"block":51,"text":"The temperature of an object or substance determines the direction of heat flow. Heat always flows from a body which is at a higher temperature to a body which is at a lower temperature. An important factor in the rate of heat transfer is the temperature difference between the two bodies. The greater the temperature spread, the faster the flow of heat from one body to the other.","head1":"Heat and Temperature","head2":""},
+    {"block":52,"text":"Higher temperature objects do not always contain more heat than lower temperature ones. It is possible for an object at very high temperature to contain less heat than an object at a lower temperature.","head1":"Heat and Temperature","head2":""},
+    {"block":53,"text":"The quantity of heat contained by a body depends on its mass, its temperature, and its specific heat. An object may have a very small mass and at the same time have a very high temperature. Compared to an object with a very large mass at a lower temperature, the first object may have a relatively small amount of heat energy.","head1":"Heat and Temperature","head2":""},
+    {"block":54,"text":"Heat Units","head1":"Heat and Temperature","head2":"Heat Units","heading":true},
+    {"block":55,"text":"The joule is the basic unit of all energy, including heat. Units of heat are therefore expressed in joules or multiples of the joule.","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":57,"text":"1 kilojoule (kJ)","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":59,"text":"=","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":61,"text":"1000 J or 103 J","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":63,"text":"1 megajoule (MJ)","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":65,"text":"=","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":67,"text":"1 000 000 J or 106 J","head1":"Heat and Temperature","head2":"Heat Units"},
+    {"block":68,"text":"Temperature Units","head1":"Heat and Temperature","head2":"Temperature Units","heading":true},
+    {"block":69,"text":"The Fahrenheit and Celsius scales are most often used in plant operations. They are related in the following manner:","head1":"Heat and Temperature","head2":"Temperature Units"},
+    {"block":70,"text":"• One degree Fahrenheit is written as 1°F. On this scale (at atmospheric pressure of 14.7 psi) the freezing point of water is 32°F and the boiling point is 212°F. An equivalent measure of the Fahrenheit scale is the Rankine scale i.e. 1°F = 1°R. The difference between the two is that the Rankine scale starts at absolute zero, which is at approximately -460°F (i.e. 0 °R = -460°F).","head1":"Heat and Temperature","head2":"Temperature Units"},
+    {"block":71,"text":"• One degree Celsius is written as 1°C. On this scale (at atmospheric pressure of 101.3 kPa) the freezing point of water is 0°C and the boiling point is 100°C. An equivalent measure of the Celsius scale is the Kelvin scale i.e. 1°C = 1 K. The difference between the two is that the Kelvin scale starts at absolute zero, which is at approximately -273.15°C (i.e. 0 K = 273.15°C).","head1":"Heat and Temperature","head2":"Temperature Units"},
+    {"block":72,"text":"Mechanical Equivalent of Heat","head1":"Heat and Temperature","head2":"Mechanical Equivalent of Heat","heading":true},
+    {"block":73,"text":"One joule is equivalent to the work done by a force of one newton moving through a distance of one metre in the direction in which the force is applied. Therefore, the work done is one newton metre and this is equal to one joule.","head1":"Heat and Temperature","head2":"Mechanical Equivalent of Heat"},
+    {"block":75,"text":"1 N m","head1":"Heat and Temperature","head2":"Mechanical Equivalent of Heat"},
+    {"block":77,"text":"=","head1":"Heat and Temperature","head2":"Mechanical Equivalent of Heat"},
+    {"block":79,"text":"1 J","head1":"Heat and Temperature","head2":"Mechanical Equivalent of Heat"},
+    {"block":80,"text":"In other words, the unit of work is numerically equal to the unit of heat.","head1":"Heat and Temperature","head2":"Mechanical Equivalent of Heat"},
+    {"block":81,"text":"Specific Heat","head1":"Heat and Temperature","head2":"Specific Heat","heading":true},
+    {"block":82,"text":"The specific heat of a substance is the quantity of heat required to raise the temperature of a unit mass of the substance by one degree. Expressed in SI units, the specific heat of a substance is the quantity of heat (in kJ) required to raise 1 kg of the substance 1 K or 1°C. For example, the specific heat of fresh water is 4.2 kJ/kg/°C (4.2 kilojoules per kilogram per degree Celsius), and often written as 4.183 kJ/kg°C.","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":83,"text":"Other substances require different amounts of heat energy to have one kg of their mass raised one degree Celsius in temperature. Table 1 identifies several examples (temperatures of solids at 0°C) at:","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":85,"text":"Table 1 – Examples of Specific Heats","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":88,"text":"Substance","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":90,"text":"Specific Heat","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":92,"text":"Aluminum","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":94,"text":"0.909 kJ/kg°C","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":96,"text":"Ammonia CP (gas at constant pressure)","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":98,"text":"2.06 kJ/kg°C","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":100,"text":"Brass","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":102,"text":"0.383 kJ/kg°C","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":104,"text":"Gasoline","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":106,"text":"2.093 kJ/kg°C","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":108,"text":"Ice","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":110,"text":"2.135 kJ/kg°C","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":111,"text":"One Btu of heat will raise 1 lb of water through 1°F. However, if 1 lb of a substance other than water is heated through 1°F, then it will be found that the amount of heat required will be either more or less than 1 Btu. In the Imperial system, the specific heat of a substance is the number of Btus necessary to raise the temperature of one pound of the substance by 1°F.","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":112,"text":"Water is often used as a standard measure of specific heat. This is called the water equivalent. It is the product of the mass of a substance and its specific heat equal numerically to the mass of water that is equivalent in thermal capacity to the substance. In simpler terms, it is the amount of water that would absorb the same amount of heat as the substance per degree rise in temperature.","head1":"Heat and Temperature","head2":"Specific Heat"},
+    {"block":113,"text":"Sensible Heat Versus Latent Heat","head1":"Heat and Temperature","head2":"Sensible Heat Versus Latent Heat","heading":true},
+    {"block":114,"text":"Sensible heat is heat transferred within a system that changes the temperature of the system without changing physical variables such as volume, pressure, or state.","head1":"Heat and Temperature","head2":"Sensible Heat Versus Latent Heat"},
+    {"block":115,"text":"Latent heat is the energy absorbed or released by a thermodynamic system during a constant temperature process.","head1":"Heat and Temperature","head2":"Sensible Heat Versus Latent Heat"},
+    {"block":116,"text":"A common example of these two forms of heat occurs when heating of an ice cube. If heat is applied to an ice cube at temperatures below the freezing point, the temperature rises but other physical properties remain the same. This heat is called sensible heat. If heat is applied at the freezing point, the energy is used to change the phase of the water from solid to liquid. The temperature does not rise until all the water is converted. The heat applied during this second process is called latent heat.","head1":"Heat and Temperature","head2":"Sensible Heat Versus Latent Heat"},
+    {"block":117,"text":"Calculating Heat","head1":"Calculating Heat","head2":"","heading":true},
+    {"block":118,"text":"The quantity of heat absorbed by a substance when it is increasing in temperature depends on three factors:","head1":"Calculating Heat","head2":""},
+    {"block":119,"text":"1. The temperature rise","head1":"Calculating Heat","head2":""},
+    {"block":120,"text":"2. The mass of the substance","head1":"Calculating Heat","head2":""},
+    {"block":121,"text":"3. The specific heat of that substance","head1":"Calculating Heat","head2":""},
+    {"block":122,"text":"It can be expressed in the form of a formula as follows:","head1":"Calculating Heat","head2":""},
+    {"block":124,"text":"Q","head1":"Calculating Heat","head2":""},
+    {"block":126,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":128,"text":"m c (t2 − t1)","head1":"Calculating Heat","head2":""},
+    {"block":129,"text":"where","head1":"Calculating Heat","head2":""},
+    {"block":131,"text":"Q","head1":"Calculating Heat","head2":""},
+    {"block":133,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":135,"text":"heat absorbed by the substance (kJ)","head1":"Calculating Heat","head2":""},
+    {"block":137,"text":"m","head1":"Calculating Heat","head2":""},
+    {"block":139,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":141,"text":"mass of the substance (kg)","head1":"Calculating Heat","head2":""},
+    {"block":143,"text":"c","head1":"Calculating Heat","head2":""},
+    {"block":145,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":147,"text":"specific heat of the substance kJ/kg°C","head1":"Calculating Heat","head2":""},
+    {"block":149,"text":"t1","head1":"Calculating Heat","head2":""},
+    {"block":151,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":153,"text":"temperature of the substance before heating (°C)","head1":"Calculating Heat","head2":""},
+    {"block":155,"text":"t2","head1":"Calculating Heat","head2":""},
+    {"block":157,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":159,"text":"temperature of the substance after heating (°C)","head1":"Calculating Heat","head2":""},
+    {"block":160,"text":"Note: Temperature can be expressed in either Celsius or Kelvin but both t1 and t2 must be in the same units.","head1":"Calculating Heat","head2":""},
+    {"block":161,"text":"Example 1","head1":"Calculating Heat","head2":""},
+    {"block":162,"text":"Find the quantity of heat required to raise the temperature of one thousand litres of river water from 10°C to 90°C, if the specific heat of fresh water is 4.2 kJ/kg°C. Assume that 1 litre of fresh water has a mass of 1 kg.","head1":"Calculating Heat","head2":""},
+    {"block":163,"text":"Solution 1","head1":"Calculating Heat","head2":""},
+    {"block":165,"text":"Q","head1":"Calculating Heat","head2":""},
+    {"block":167,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":169,"text":"m c (t2 − t1)","head1":"Calculating Heat","head2":""},
+    {"block":172,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":174,"text":"1000 kg × 4.183 kJ/kg°C × (90°C – 10°C)","head1":"Calculating Heat","head2":""},
+    {"block":177,"text":"=","head1":"Calculating Heat","head2":""},
+    {"block":179,"text":"334 640 kJ = 335 MJ (Ans.)","head1":"Calculating Heat","head2":""},
+    {"block":180,"text":"Heat Capacity of Mixtures","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures","heading":true},
+    {"block":181,"text":"The specific heat capacity of a material represents its ability to store energy. Mixtures have both individual heat capacities from each component but also a collective heat capacity for the mixture as a whole.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":182,"text":"Within a mixture having N components, the total energy of the system is the sum of individual components:","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":184,"text":"QT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":186,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":188,"text":"Q1 + Q2 + …QN","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":189,"text":"In a mixture, the total energy is related to the heat capacity as follows:","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":191,"text":"QT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":193,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":195,"text":"mT cT (t2 – t1)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":196,"text":"These two equations can be related in the following example using a three component mixture.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":198,"text":"QT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":200,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":202,"text":"Q1 + Q2 + Q3","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":204,"text":"mT cT (t2 – t1)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":206,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":208,"text":"m1 c1 (t2 – t1) + m2 c2 (t2 – t1) + m3 c3 (t2 – t1)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":209,"text":"The temperatures may be eliminated since the system conditions remain the same.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":210,"text":"Therefore,","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":212,"text":"mT cT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":214,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":216,"text":"m1 c1 + m2 c2 + m3 c3","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":217,"text":"Rearranging and isolating the heat capacity for the mixture (cT)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":219,"text":"cT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":221,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":223,"text":"m1mT × c1 + m2mT × c2 + m3mT × c3","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":224,"text":"Example 2","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":225,"text":"d) Find the quantity of heat required to raise the temperature of one thousand kilograms of brass from 10°C to 90°C.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":226,"text":"e) Mix the brass intimately with 500 kilograms of aluminum. What is the heat capacity of the mixture?","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":227,"text":"Solution 2a","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":229,"text":"Q","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":231,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":233,"text":"m c (t2 − t1)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":236,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":238,"text":"1000 kg × 0.383 kJ/kg°C × (90°C – 10°C)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":241,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":243,"text":"30 640 kJ = 30.64 MJ (Ans.)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":244,"text":"Solution 2b","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures","heading":true},
+    {"block":246,"text":"cT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":248,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":250,"text":"m1mT × c1 + m2mT × c2","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":252,"text":"cT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":254,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":256,"text":"1000kg1500kg × 0.383 kJ/kg°C + 500kg1500kg × 0.909 kJ/kg°C","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":258,"text":"cT","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":260,"text":"=","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":262,"text":"0.5583 kJ/kg°C (Ans.)","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":264,"text":"Objective 2","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":266,"text":"Explain the theory of thermal expansion and solve problems using the formula for linear thermal expansion.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":268,"text":"Theory of Thermal Expansion","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":269,"text":"When heat is transferred to a material, the heat is transformed into internal energy (kinetic energy plus potential energy) by each molecule of the material. As the molecules gain energy and vibrate more rapidly, the average space between molecules increases. The result is a change in the overall dimensions of the material.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":270,"text":"If a long, thin material has heat transferred to it, the material will expand mainly in one dimension, that of length. Flat materials, having relatively large surface areas, will expand in both length and width, thus undergoing mainly an expansion in area. In actual fact, solids expand in all directions, and therefore also undergo a change in volume. Liquids and gases expand in volume when heated, because they must assume the shape of their containers.","head1":"Calculating Heat","head2":"Heat Capacity of Mixtures"},
+    {"block":271,"text":"Factors Affecting the Expansion Rates of Solids","head1":"Factors Affecting the Expansion Rates of Solids","head2":"","heading":true},
+    {"block":272,"text":"There are three main factors that determine the extent to which the dimensions of an object will change when the object is heated. These factors include:","head1":"Factors Affecting the Expansion Rates of Solids","head2":""},
+    {"block":273,"text":"1. The material from which the object is made; different materials expand at different rates.","head1":"Factors Affecting the Expansion Rates of Solids","head2":""},
+    {"block":274,"text":"2. The original dimensions of the object before heating; a larger object will expand more than a smaller object made of the same material.","head1":"Factors Affecting the Expansion Rates of Solids","head2":""},
+    {"block":275,"text":"3. The temperature change which the object undergoes; the greater the temperature change, the greater the change in dimensions of an object.","head1":"Factors Affecting the Expansion Rates of Solids","head2":""},
+    {"block":276,"text":"Linear Expansion","head1":"Linear Expansion","head2":"","heading":true},
+    {"block":277,"text":"To calculate the change in length of a solid material, the following formula is used:","head1":"Linear Expansion","head2":""},
+    {"block":279,"text":"∆l","head1":"Linear Expansion","head2":""},
+    {"block":281,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":283,"text":"lα∆t","head1":"Linear Expansion","head2":""},
+    {"block":285,"text":"where","head1":"Linear Expansion","head2":""},
+    {"block":287,"text":"∆l","head1":"Linear Expansion","head2":""},
+    {"block":289,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":291,"text":"change in length","head1":"Linear Expansion","head2":""},
+    {"block":293,"text":"l","head1":"Linear Expansion","head2":""},
+    {"block":295,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":297,"text":"original length","head1":"Linear Expansion","head2":""},
+    {"block":299,"text":"∆t","head1":"Linear Expansion","head2":""},
+    {"block":301,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":303,"text":"change in temperature (T2 – T1)","head1":"Linear Expansion","head2":""},
+    {"block":305,"text":"α (alpha)","head1":"Linear Expansion","head2":""},
+    {"block":307,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":309,"text":"the average coefficient of linear expansion for the material in question","head1":"Linear Expansion","head2":""},
+    {"block":310,"text":"Before doing any calculations, the term alpha (α) must be clearly understood. Alpha is simply a constant value, assigned to a material, which indicates by how much a unit length of the material will expand for each degree of temperature change. Given that the average coefficient of linear expansion for steel is given as 12.0 × 10-6 per Celsius degree the following points can be considered:","head1":"Linear Expansion","head2":""},
+    {"block":311,"text":"1. A steel rod that is 1 m long will expand in length by 12.0 × 10-6 m when its temperature is increased by 1°C. Other units may be substituted for metres. For example, a rod of steel that is 1 mm long will expand (lengthen) by 12.0 × 10-6 mm when heated by 1°C, and so on.","head1":"Linear Expansion","head2":""},
+    {"block":312,"text":"2. Conversely, a 1 m long steel rod will decrease in length by 12.0 × 10-6 m when its temperature is decreased by 1°C.","head1":"Linear Expansion","head2":""},
+    {"block":313,"text":"The units for α are usually written as /°C.","head1":"Linear Expansion","head2":""},
+    {"block":314,"text":"The coefficient of linear expansion varies because the values assigned to various materials are not constant at all temperatures. The rates at which materials expand or contract vary with the temperatures of the materials; therefore, an average is used. Table 2 lists values for the coefficient of linear expansion (alpha) for some common materials.","head1":"Linear Expansion","head2":""},
+    {"block":316,"text":"Table 2 – Coefficients of Linear Expansion","head1":"Linear Expansion","head2":""},
+    {"block":319,"text":"Substance","head1":"Linear Expansion","head2":""},
+    {"block":321,"text":"Average Linear Expansion Coefficient (/°C)","head1":"Linear Expansion","head2":""},
+    {"block":323,"text":"Aluminum","head1":"Linear Expansion","head2":""},
+    {"block":325,"text":"23.8 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":327,"text":"Brass","head1":"Linear Expansion","head2":""},
+    {"block":329,"text":"18.4 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":331,"text":"Copper","head1":"Linear Expansion","head2":""},
+    {"block":333,"text":"16.5 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":335,"text":"Glass","head1":"Linear Expansion","head2":""},
+    {"block":337,"text":"9.0 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":339,"text":"Gold","head1":"Linear Expansion","head2":""},
+    {"block":341,"text":"14.2 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":343,"text":"Iron (cast)","head1":"Linear Expansion","head2":""},
+    {"block":345,"text":"10.4 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":347,"text":"Silver","head1":"Linear Expansion","head2":""},
+    {"block":349,"text":"19.5 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":351,"text":"Steel (mild)","head1":"Linear Expansion","head2":""},
+    {"block":353,"text":"12.0 x 10-6","head1":"Linear Expansion","head2":""},
+    {"block":354,"text":"The following are examples of problems that deal with linear expansion.","head1":"Linear Expansion","head2":""},
+    {"block":355,"text":"Example 3","head1":"Linear Expansion","head2":""},
+    {"block":356,"text":"Calculate the change in length of a brass bar 10 m long when its temperature is increased from 25°C to 170°C.","head1":"Linear Expansion","head2":""},
+    {"block":357,"text":"Solution 3","head1":"Linear Expansion","head2":""},
+    {"block":359,"text":"∆l","head1":"Linear Expansion","head2":""},
+    {"block":361,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":363,"text":"l × α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":366,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":368,"text":"10 m × 18.4 × 10-6/°C × (170°C – 25°C)","head1":"Linear Expansion","head2":""},
+    {"block":371,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":373,"text":"2.67 x 10-2 m (Ans.)","head1":"Linear Expansion","head2":""},
+    {"block":374,"text":"Example 4","head1":"Linear Expansion","head2":""},
+    {"block":375,"text":"A steel pipe is 100 m long at 10°C. It transports steam at 200°C. Calculate the length of the pipe in its fully expanded condition.","head1":"Linear Expansion","head2":""},
+    {"block":376,"text":"Solution 4","head1":"Linear Expansion","head2":""},
+    {"block":378,"text":"∆l","head1":"Linear Expansion","head2":""},
+    {"block":380,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":382,"text":"l × α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":385,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":387,"text":"100 m × 12.0 × 10-6/°C × (200°C – 10°C)","head1":"Linear Expansion","head2":""},
+    {"block":390,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":392,"text":"0.228 m","head1":"Linear Expansion","head2":""},
+    {"block":394,"text":"final length of pipe","head1":"Linear Expansion","head2":""},
+    {"block":396,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":398,"text":"original length + expansion","head1":"Linear Expansion","head2":""},
+    {"block":401,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":403,"text":"100 m + 0.228 m","head1":"Linear Expansion","head2":""},
+    {"block":406,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":408,"text":"100.23 m (Ans.)","head1":"Linear Expansion","head2":""},
+    {"block":409,"text":"Example 5","head1":"Linear Expansion","head2":""},
+    {"block":410,"text":"A steel shaft is 25 m long and its temperature is at 30°C. When raised to operating temperature, the shaft lengthens by 42.3 mm. Calculate the operating temperature.","head1":"Linear Expansion","head2":""},
+    {"block":411,"text":"Solution 5","head1":"Linear Expansion","head2":""},
+    {"block":412,"text":"Let t1 represent the starting temperature and t2 the operating temperature:","head1":"Linear Expansion","head2":""},
+    {"block":414,"text":"∆l","head1":"Linear Expansion","head2":""},
+    {"block":416,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":418,"text":"l × α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":420,"text":"∆l","head1":"Linear Expansion","head2":""},
+    {"block":422,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":424,"text":"l × α × (t2 − t1)","head1":"Linear Expansion","head2":""},
+    {"block":426,"text":"t2 - t1","head1":"Linear Expansion","head2":""},
+    {"block":428,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":430,"text":"Δl(l×α)","head1":"Linear Expansion","head2":""},
+    {"block":432,"text":"t2","head1":"Linear Expansion","head2":""},
+    {"block":434,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":436,"text":"Δl(l×α) + t1","head1":"Linear Expansion","head2":""},
+    {"block":439,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":441,"text":"42.3mm(25000mm×12×10−6/°C) + 30°C","head1":"Linear Expansion","head2":""},
+    {"block":444,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":446,"text":"141°C + 30°C","head1":"Linear Expansion","head2":""},
+    {"block":449,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":451,"text":"171°C (Ans.)","head1":"Linear Expansion","head2":""},
+    {"block":453,"text":"Objective 3","head1":"Linear Expansion","head2":""},
+    {"block":455,"text":"Calculate the change in the area of an object, including holes, due to a temperature change.","head1":"Linear Expansion","head2":""},
+    {"block":457,"text":"Expansion of the Area of a Solid","head1":"Linear Expansion","head2":""},
+    {"block":458,"text":"Up to this point, the expansion of a material in one linear dimension, such as length or thickness, has been discussed. Now consider a square piece of flat material, before thermal expansion, as shown in Figure 2.","head1":"Linear Expansion","head2":""},
+    {"block":460,"text":"Figure 2 – Area of a Square Solid","head1":"Linear Expansion","head2":""},
+    {"block":463,"text":"The top surface area of the square plate is calculated as: A1 = l2, where A1 is the area before thermal expansion and l is the length of a side.","head1":"Linear Expansion","head2":""},
+    {"block":464,"text":"After thermal expansion, the length of each side has expanded, and can be represented by l + ∆ l. This is shown in Figure 3.","head1":"Linear Expansion","head2":""},
+    {"block":466,"text":"Figure 3 – Top Surface Area of a Square Plate after Heating","head1":"Linear Expansion","head2":""},
+    {"block":469,"text":"The area of the material after expansion, A2, can be calculated as:","head1":"Linear Expansion","head2":""},
+    {"block":471,"text":"A2","head1":"Linear Expansion","head2":""},
+    {"block":473,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":475,"text":"(l + ∆l)2","head1":"Linear Expansion","head2":""},
+    {"block":478,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":480,"text":"(l + ∆l)(l + ∆l)","head1":"Linear Expansion","head2":""},
+    {"block":483,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":485,"text":"l2 + l ∆l + l ∆l + (∆l)2","head1":"Linear Expansion","head2":""},
+    {"block":488,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":490,"text":"l2 + 2l ∆l + (∆l)2","head1":"Linear Expansion","head2":""},
+    {"block":491,"text":"The value of ∆l is small, compared to l (note that the sketch in Figure 2 is drawn out of proportion for clarity). For practical purposes, the value of (∆l)2 is too small to be significant; thus it is omitted from the formula, which leaves A2 = l2 + 2l ∆l","head1":"Linear Expansion","head2":""},
+    {"block":492,"text":"Then, the change in area of the material can be written:","head1":"Linear Expansion","head2":""},
+    {"block":494,"text":"A2 − A1","head1":"Linear Expansion","head2":""},
+    {"block":496,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":498,"text":"l2 + 2l ∆l − l2","head1":"Linear Expansion","head2":""},
+    {"block":500,"text":"∆A","head1":"Linear Expansion","head2":""},
+    {"block":502,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":504,"text":"2l ∆l","head1":"Linear Expansion","head2":""},
+    {"block":505,"text":"Substituting l × α × ∆t for ∆l:","head1":"Linear Expansion","head2":""},
+    {"block":507,"text":"∆A","head1":"Linear Expansion","head2":""},
+    {"block":509,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":511,"text":"2 × l × l × α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":514,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":516,"text":"2l2 × α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":517,"text":"Substituting l2 = A:","head1":"Linear Expansion","head2":""},
+    {"block":519,"text":"∆A","head1":"Linear Expansion","head2":""},
+    {"block":521,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":523,"text":"2 × A × α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":524,"text":"or, rearranging terms:","head1":"Linear Expansion","head2":""},
+    {"block":526,"text":"∆A","head1":"Linear Expansion","head2":""},
+    {"block":528,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":530,"text":"A × 2α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":531,"text":"Comparing this equation to the one used for calculating change in length, it is apparent that the coefficient of area expansion is twice the coefficient of linear expansion.","head1":"Linear Expansion","head2":""},
+    {"block":532,"text":"The Greek letter gamma (γ) is sometimes used as the symbol for the average coefficient of area expansion. However, in the following examples, 2α will be used.","head1":"Linear Expansion","head2":""},
+    {"block":533,"text":"Example 6","head1":"Linear Expansion","head2":""},
+    {"block":534,"text":"A steel plate has an area of 2.00 m2 at 205°C. Calculate its area at 25°C.","head1":"Linear Expansion","head2":""},
+    {"block":535,"text":"Solution 6","head1":"Linear Expansion","head2":""},
+    {"block":537,"text":"∆A","head1":"Linear Expansion","head2":""},
+    {"block":539,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":541,"text":"A × 2α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":544,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":546,"text":"2.00 m2 × 2 × 12.0 × 10-6/°C × (205°C − 25°C)","head1":"Linear Expansion","head2":""},
+    {"block":549,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":551,"text":"0.0087 m2","head1":"Linear Expansion","head2":""},
+    {"block":553,"text":"final area","head1":"Linear Expansion","head2":""},
+    {"block":555,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":557,"text":"2.00 m2 − 0.0087 m2","head1":"Linear Expansion","head2":""},
+    {"block":560,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":562,"text":"2.01 m2 (Ans.)","head1":"Linear Expansion","head2":""},
+    {"block":563,"text":"Example 7","head1":"Linear Expansion","head2":""},
+    {"block":564,"text":"At 10°C (t1), the radius of a circular plate is 1.85 m. When heated to 450°C (t2), the area of the plate increases by 0.18 m2 (∆A). Calculate the coefficient of linear expansion (α) for the material from which the plate is made.","head1":"Linear Expansion","head2":""},
+    {"block":565,"text":"Solution 7","head1":"Linear Expansion","head2":""},
+    {"block":567,"text":"A","head1":"Linear Expansion","head2":""},
+    {"block":569,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":571,"text":"πR2","head1":"Linear Expansion","head2":""},
+    {"block":574,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":576,"text":"π × (1.85 m)2","head1":"Linear Expansion","head2":""},
+    {"block":579,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":581,"text":"10.75 m2","head1":"Linear Expansion","head2":""},
+    {"block":583,"text":"∆A","head1":"Linear Expansion","head2":""},
+    {"block":585,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":587,"text":"A × 2α × ∆t","head1":"Linear Expansion","head2":""},
+    {"block":588,"text":"Rearranging and isolating α gives the following equation:","head1":"Linear Expansion","head2":""},
+    {"block":590,"text":"α","head1":"Linear Expansion","head2":""},
+    {"block":592,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":594,"text":"ΔA(A×2×Δt)","head1":"Linear Expansion","head2":""},
+    {"block":597,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":599,"text":"0.18m2(10.75m2×2×(450°C–10°C))","head1":"Linear Expansion","head2":""},
+    {"block":602,"text":"=","head1":"Linear Expansion","head2":""},
+    {"block":604,"text":"19.0 × 10-6/°C (Ans.)","head1":"Linear Expansion","head2":""},
+    {"block":605,"text":"Expansion in the Area of a Hole in a Material","head1":"Expansion in the Area of a Hole in a Material","head2":"","heading":true},
+    {"block":606,"text":"There are occasions when it is useful to know how a hole in a material changes in size when the material surrounding the hole is heated. For example, when an engine cylinder expands, how is its volume affected?","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":607,"text":"An example of a hole in a material is the common flat washer, in the shape of an annulus. A simple view is shown in Figure 4. Any flat metal plate with a hole drilled or cut into it will behave in the same way.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":609,"text":"Figure 4 – Dimensions of a Flat Washer","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":612,"text":"When a flat metal plate is heated, its outer width (diameter) increases. The diameter of the inner hole will either increase or decrease. Consider an aluminum flat plate, as shown in Figure 5. The following example illustrates what happens to the dimensions of the metal plate as its temperature is raised by 150°C.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":614,"text":"Figure 5 – Flat Metal Plate with Initial Dimensions Identified","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":617,"text":"After thermal expansion, the width (W) will have increased by:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":619,"text":"∆W","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":621,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":623,"text":"W × α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":626,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":628,"text":"127 mm × 23.8 × 10-6/°C × 150°C","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":631,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":633,"text":"0.45339 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":635,"text":"The expanded width","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":637,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":639,"text":"127 mm + 0.45339 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":642,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":644,"text":"127.45 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":645,"text":"Regardless of the hole size, the outside diameter of the material will increase by:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":647,"text":"∆D","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":649,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":651,"text":"D × α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":654,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":656,"text":"508 mm × 23.8 × 10-6/°C × 150°C","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":659,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":661,"text":"1.814 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":663,"text":"The OD is now","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":665,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":667,"text":"508 mm + 1.814 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":670,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":672,"text":"509.81 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":673,"text":"The new diameter of the hole can now be calculated:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":675,"text":"Diameter of hole","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":677,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":679,"text":"material OD − (2 × material width)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":682,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":684,"text":"509.81 mm − (2 × 127.45 mm)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":687,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":689,"text":"254.91 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":690,"text":"The hole has increased in diameter, by","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":692,"text":"∆D","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":694,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":696,"text":"254.91 mm − 254 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":699,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":701,"text":"0.91 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":702,"text":"Now consider a solid, circular piece of aluminum, 254 mm in diameter, and calculate its final diameter after a temperature increase of 150°C.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":704,"text":"∆D","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":706,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":708,"text":"D × α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":711,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":713,"text":"254 mm × 23.8 × 10-6/°C × 150°C","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":716,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":718,"text":"0.907 (0.91) mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":719,"text":"The result indicates that the hole in the aluminum has expanded exactly as though it were made of aluminum. This generally accepted rule is often interpreted as, the area of a hole in a piece of material expands as though the hole itself were made of the same material, regardless of the shape of the hole or the material.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":720,"text":"Example 8","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":721,"text":"A piece of silver has a 25 mm diameter hole in it. The silver is heated from 15°C to 60°C. Calculate (a) the diameter of the hole after heating, and (b) the area of the hole after heating.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":722,"text":"Solution 8","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":724,"text":"(a)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":726,"text":"∆D","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":728,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":730,"text":"D × α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":733,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":735,"text":"25 mm × 19.5 × 10-6/°C × (60°C − 15°C)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":738,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":740,"text":"0.0219 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":742,"text":"Final diameter","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":744,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":746,"text":"25 mm + 0.0219 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":749,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":751,"text":"25.022 mm (Ans.)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":753,"text":"(b)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":755,"text":"Area before heating","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":757,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":759,"text":"πR2 = π(D2)2 = (π4)D2 = 0.7854 D2","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":762,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":764,"text":"0.7854 × (25 mm)2","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":767,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":769,"text":"490.88 mm2","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":771,"text":"∆A","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":773,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":775,"text":"A × 2α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":778,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":780,"text":"490.88 mm2 × 2 × 19.5 × 10-6/°C × (60°C − 15°C)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":783,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":785,"text":"0.8615 mm2","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":787,"text":"Final area","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":789,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":791,"text":"490.88 mm2 + 0.8615 mm2","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":794,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":796,"text":"491.74 mm2 (Ans.)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":797,"text":"The above principle can be used to tightly fit one cylinder inside of another. The inner cylinder is made slightly larger than the inside diameter of the outer cylinder. The outer cylinder is then heated, and the inner cylinder cooled. Eventually the inner cylinder fits into the outer cylinder. As the inner cylinder expands again upon warming, and the outer cylinder contracts as it cools, a tight fit is formed. When this process is carried out, the cylinders are said to have an interference fit or a shrink fit.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":799,"text":"Objective 4","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":801,"text":"Describe the principle of volumetric expansion and perform calculations involving the change in volume of solids, due to a change in temperature.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":803,"text":"Volumetric Expansion of Solids","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":804,"text":"Consider a solid cube of a material, where each side of the cube has a length of 1 unit. Since the volume of a cube is calculated by multiplying the length times the width times the height, the volume of this one-unit cube can be considered as:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":806,"text":"Volume (Cube)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":808,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":810,"text":"length × width × height","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":813,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":815,"text":"1 unit × 1 unit × 1 unit","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":818,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":820,"text":"(1 unit)3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":821,"text":"Now consider the cube after it has been heated through 1°C. The change in the length of each side can now be calculated using the formula:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":823,"text":"∆l","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":825,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":827,"text":"l × α × ∆t (where α is the coefficient of linear expansion)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":828,"text":"Since l and ∆t are each one unit:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":830,"text":"∆l","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":832,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":834,"text":"1 × α × 1","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":837,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":839,"text":"α","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":840,"text":"Thus, the length of each side after heating is 1 + α, and the new volume is now (1 + α)3.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":841,"text":"Expanding this gives:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":843,"text":"V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":845,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":847,"text":"(1 + α)3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":850,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":852,"text":"(1 + α) (1 + α) (1 + α)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":855,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":857,"text":"1 + 3α + 3α2 + α3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":858,"text":"The change in volume = volume after heating − volume before heating","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":860,"text":"∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":862,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":864,"text":"1 + 3α + 3α2 + α3 − 1","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":867,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":869,"text":"3α + 3α2 + α3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":870,"text":"The values of 3α2 and α3 are extremely small, relative to α. They are often ignored for practical purposes.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":872,"text":"Therefore,","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":874,"text":"∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":876,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":878,"text":"3α","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":879,"text":"Since the original cube had side lengths of 1 unit, and a volume of (1 unit)3, 3α represents the increase in volume per unit volume per degree increase in temperature. Stated another way, 3α is the value of the coefficient of volumetric (or cubical) expansion, which is 3 times the value of the coefficient of linear expansion.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":880,"text":"Therefore, to calculate the change in volume of a material, the following formula is used:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":882,"text":"∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":884,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":886,"text":"V × 3α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":888,"text":"where","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":890,"text":"V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":892,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":894,"text":"initial home","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":896,"text":"∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":898,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":900,"text":"change in volume","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":902,"text":"α","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":904,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":906,"text":"average coefficient of linear expansion","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":908,"text":"∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":910,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":912,"text":"temperature change","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":913,"text":"The Greek letter beta (β) is often used to represent the average coefficient of volumetric expansion. However, here we will use 3α.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":914,"text":"Example 9","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":915,"text":"At 15°C, a cast iron cube measures 50 mm by 50 mm by 50 mm.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":916,"text":"Calculate its volume at 90°C.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":917,"text":"Solution 9","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":919,"text":"V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":921,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":923,"text":"50 mm × 50 mm × 50 mm","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":926,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":928,"text":"125 000 mm3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":930,"text":"∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":932,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":934,"text":"V × 3α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":937,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":939,"text":"125 000 mm3 × 3 × 10.4 × 10-6/°C × (90°C − 15°C)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":942,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":944,"text":"292.50 mm3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":946,"text":"Final volume","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":948,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":950,"text":"V + ∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":953,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":955,"text":"125 000 mm3 + 292.5 mm3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":958,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":960,"text":"125 292.5 mm3 (Ans.)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":961,"text":"The area of a hole in a material expands as though the hole were made of the same material. The same is true for the volume of a hole within a material. For example, the cavity within a steel tank will expand as though the cavity were made of steel, when the tank is heated.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":962,"text":"Example 10","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":963,"text":"A steel tank has a circumference of 10 m and is 25 m high at 100°C. Calculate its volume at 20°C.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":964,"text":"Solution 10","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":966,"text":"At 100°C:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":968,"text":"D","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":970,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":972,"text":"Cπ","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":975,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":977,"text":"10mπ","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":980,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":982,"text":"3.183 m","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":983,"text":"And:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":985,"text":"V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":987,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":989,"text":"0.7854 D2 × h","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":992,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":994,"text":"0.7854 × (3.183 m)2 × 25 m","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":997,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":999,"text":"198.932 m3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1000,"text":"And:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1002,"text":"∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1004,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1006,"text":"t2 − t1","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1009,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1011,"text":"20°C − 100°C","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1014,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1016,"text":"-80°C","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1017,"text":"Then:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1019,"text":"∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1021,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1023,"text":"V × 3α × ∆t","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1026,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1028,"text":"198.932 m3 × 3 × 12.0 × 10-6/°C × -80°C","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1031,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1033,"text":"-0.573 m3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1035,"text":"Final volume","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1037,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1039,"text":"V + ∆V","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1042,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1044,"text":"198.932 m3 + (-0.573) m3","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1047,"text":"=","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1049,"text":"198.359 m3 (Ans.)","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1051,"text":"Objective 5","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1053,"text":"Describe the three basic modes of heat transfer (convection, conduction, and radiation) and perform simple calculations.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1055,"text":"Convection","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1056,"text":"In the convection mode of heat transfer, heat is transferred by the actual displacement of molecules within the system that are at a higher temperature to a region of lower temperature. Since convection requires movement of a medium, it can take place only in a fluid. Convection currents in gases and liquids are often caused by variations in density due to the temperature changes. If a fluid is in contact with a hot surface, the portion adjacent to the surface will be heated and will expand, and thus the fluid density will be decreased. If the hot surface is at the bottom of the tank, the heated liquid, which is generally less dense than cooler liquid, rises in the tank, strikes the tank roof, and spreads out. The cooler (and denser) liquid at the bottom of the tank moves in and fills up the space vacated by the hot liquid. The cooler and denser liquid, in turn is heated and displaced. In this manner, circulation of the liquid (or gas) will be established.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1057,"text":"Figure 6 illustrates a simplified example of convection currents in a boiler drum. The portion of the water in contact with the heating surface will be heated and then displaced by cooler water, which in turn is heated and displaced.","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1059,"text":"Figure 6 – Natural Convection Currents in a Boiler","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1062,"text":"This is an example what is called “natural” convection. The movement of the fluid is brought about without using mechanical devices. “Forced” convection may also be used in the transfer of heat. In this case, the movement of the fluid is brought about by means of a pump or a fan. Examples of forced convection are:","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1063,"text":"a) using a pump to circulate hot water through a building heating system","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1064,"text":"b) using a fan to circulate hot air through the system","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1065,"text":"A formal definition of heat transfer by convection may be: “The transfer of heat through a fluid by movement of heated particles of the fluid.”","head1":"Expansion in the Area of a Hole in a Material","head2":""},
+    {"block":1066,"text":"Conduction","head1":"Conduction","head2":"","heading":true},
+    {"block":1067,"text":"When the temperature of a substance is increased by the addition of heat, the additional energy causes molecular vibration to increase. As individual molecules are affected, each one will transfer some energy to adjacent molecules. The vibration of the adjacent molecules will then increase until all the molecules have the same energy and intensity of vibration. The transfer or “flow” of energy (heat) from molecule to molecule in this manner is called “conduction.”","head1":"Conduction","head2":""},
+    {"block":1068,"text":"Conduction may occur within a substance, or from one substance to another (as long as they are in physical contact with each other).","head1":"Conduction","head2":""},
+    {"block":1069,"text":"A formal definition of conduction may be: “The transfer of heat from one part of a substance to another part of the same substance, or from one substance to another substance in direct physical contact, without significant movement of the molecules.”","head1":"Conduction","head2":""},
+    {"block":1070,"text":"The heat flow is from an area of high temperature to an area of low temperature.","head1":"Conduction","head2":""},
+    {"block":1071,"text":"The quantity of heat transferred by conduction will vary directly with:","head1":"Conduction","head2":""},
+    {"block":1072,"text":"a) Surface area: more heat will be transferred when a large surface area exists.","head1":"Conduction","head2":""},
+    {"block":1073,"text":"b) Temperature difference: more heat will be transferred when a large temperature difference exists.","head1":"Conduction","head2":""},
+    {"block":1074,"text":"c) Time: more heat will be transferred as the time of heat transfer increases.","head1":"Conduction","head2":""},
+    {"block":1075,"text":"The quantity of heat transferred by conduction varies inversely with:","head1":"Conduction","head2":""},
+    {"block":1076,"text":"a) Thickness: the longer the path through which the heat must travel, the less heat will flow.","head1":"Conduction","head2":""},
+    {"block":1077,"text":"Consider a section of wall as illustrated in Figure 7, of area (A) and thickness (d). An amount of heat (Q) will flow through the wall when the wall is exposed to the temperature gradient T1 − T2.","head1":"Conduction","head2":""},
+    {"block":1079,"text":"Figure 7 – Conductive Heat Flow Through a Wall","head1":"Conduction","head2":""},
+    {"block":1082,"text":"These concepts can be expressed in formula form:","head1":"Conduction","head2":""},
+    {"block":1084,"text":"Heat flow (Q)","head1":"Conduction","head2":""},
+    {"block":1086,"text":"=","head1":"Conduction","head2":""},
+    {"block":1088,"text":"λ(aconstant)×Area×Time×TemperatureDifferenceWallThickness","head1":"Conduction","head2":""},
+    {"block":1090,"text":"or","head1":"Conduction","head2":""},
+    {"block":1092,"text":"Q","head1":"Conduction","head2":""},
+    {"block":1094,"text":"=","head1":"Conduction","head2":""},
+    {"block":1096,"text":"λ(aconstant)×A×t×ΔTd","head1":"Conduction","head2":""},
+    {"block":1097,"text":"The constant (λ) is known as the thermal conductivity constant, or the coefficient of thermal conductivity.","head1":"Conduction","head2":""},
+    {"block":1098,"text":"A standard form of the thermal conductivity formula is often shown as:","head1":"Conduction","head2":""},
+    {"block":1100,"text":"Q","head1":"Conduction","head2":""},
+    {"block":1102,"text":"=","head1":"Conduction","head2":""},
+    {"block":1104,"text":"λ×A×t×ΔTd","head1":"Conduction","head2":""},
+    {"block":1106,"text":"where","head1":"Conduction","head2":""},
+    {"block":1108,"text":"Q","head1":"Conduction","head2":""},
+    {"block":1111,"text":"is heat flow (Joules)","head1":"Conduction","head2":""},
+    {"block":1113,"text":"A","head1":"Conduction","head2":""},
+    {"block":1116,"text":"is area through which the heat flows (m2)","head1":"Conduction","head2":""},
+    {"block":1118,"text":"t","head1":"Conduction","head2":""},
+    {"block":1121,"text":"is time of heat flow (seconds)","head1":"Conduction","head2":""},
+    {"block":1123,"text":"∆T","head1":"Conduction","head2":""},
+    {"block":1126,"text":"is the temperature difference between the wall surfaces (°C)","head1":"Conduction","head2":""},
+    {"block":1128,"text":"d","head1":"Conduction","head2":""},
+    {"block":1131,"text":"is thickness of the wall (m)","head1":"Conduction","head2":""},
+    {"block":1132,"text":"Transposing the formula, and solving the units for “λ”:","head1":"Conduction","head2":""},
+    {"block":1134,"text":"λ","head1":"Conduction","head2":""},
+    {"block":1136,"text":"=","head1":"Conduction","head2":""},
+    {"block":1138,"text":"QdA×t×ΔT","head1":"Conduction","head2":""},
+    {"block":1140,"text":"λ (Units)","head1":"Conduction","head2":""},
+    {"block":1142,"text":"=","head1":"Conduction","head2":""},
+    {"block":1144,"text":"J×mm2×s×°C","head1":"Conduction","head2":""},
+    {"block":1145,"text":"After cancelling (m and m2) and substituting W (watts) for J/s,","head1":"Conduction","head2":""},
+    {"block":1147,"text":"λ","head1":"Conduction","head2":""},
+    {"block":1149,"text":"=","head1":"Conduction","head2":""},
+    {"block":1151,"text":"Wm°C","head1":"Conduction","head2":""},
+    {"block":1152,"text":"Conductive Materials","head1":"Conduction","head2":"Conductive Materials","heading":true},
+    {"block":1153,"text":"The thermal conductivity constant varies with the ability of the substance to conduct heat, which is directly related to the composition of the substance (for example, number of air pockets). Generally, metals are good conductors of heat. Insulators, however, are poor conductors of heat. Some examples of insulators are air and other gases, asbestos, fiberglass, and cork. Table 3 lists average values of coefficients of thermal conductivity for some substances.","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1155,"text":"Table 3 – Table of Average Coefficients of Thermal Conductivity","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1158,"text":"Substance","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1160,"text":"Coefficients of Thermal Conductivity (λ in W/m°C)","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1162,"text":"Air (Still at 15°C)","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1164,"text":"0.025","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1166,"text":"Aluminum","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1168,"text":"206","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1170,"text":"Brass","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1172,"text":"104","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1174,"text":"Brick (Common)","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1176,"text":"0.60","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1178,"text":"Concrete","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1180,"text":"0.85","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1182,"text":"Copper","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1184,"text":"380","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1186,"text":"Glass","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1188,"text":"1.0","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1190,"text":"Glass (fibre)","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1192,"text":"0.04","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1194,"text":"Iron (Cast)","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1196,"text":"70","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1198,"text":"Steel","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1200,"text":"60","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1202,"text":"Wallboard","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1204,"text":"0.076","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1206,"text":"Wood","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1208,"text":"0.15","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1209,"text":"Example 11","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1210,"text":"Calculate the heat transfer per minute through a solid wood wall which is 10 m long, 4 m high, and 127 mm thick. The outer surface temperature is 5°C and the inner surface temperature is 24°C.","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1211,"text":"Solution 11","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1213,"text":"Q","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1215,"text":"=","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1217,"text":"λ×A×t×ΔTd","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1220,"text":"=","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1222,"text":"0.15W/m°C×(10m×4m)60s×(24°C−5°C)0.127m","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1225,"text":"=","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1227,"text":"53 858 Ws","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1230,"text":"=","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1232,"text":"53 858 J = 0.054 MJ (Ans.)","head1":"Conduction","head2":"Conductive Materials"},
+    {"block":1233,"text":"Heat Flow through a Composite Wall","head1":"Conduction","head2":"Heat Flow through a Composite Wall","heading":true},
+    {"block":1234,"text":"Walls are commonly built from a number of materials. An example might be a wall consisting of an outer wooden panel attached to inner wallboard. The wall system illustrated in Figure 8 is referred to as a composite wall because the wall components are layered on top of each other.","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1236,"text":"Figure 8 – Heat Flow through a Composite Wall","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1239,"text":"The total temperature difference from the inner to outer surface is represented as TT. The temperature difference between the hotter and cooler surface of each layer (represented by thickness d1, and d2 respectively) will contribute to limiting the heat flow. Note, however, that any amount of heat that flows through one layer must also flow through the other layers. A certain portion of the total temperature difference will occur across each layer, depending upon its insulating properties as represented by its coefficient of thermal conductivity (λ1 and λ2).","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1240,"text":"For each layer of the wall:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1242,"text":"Q","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1244,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1246,"text":"λAtΔTd","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1247,"text":"Rearranging and isolating for ∆T creates the following equation;","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1249,"text":"∆T","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1251,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1253,"text":"QdλAt","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1254,"text":"For the total temperature difference TT (T1 − T3), Q, A and t will be the same:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1256,"text":"TT","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1258,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1260,"text":"QAt × (d1λ1+d2λ2)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1261,"text":"In general, if “n” represents the number of layers and TT represents the total temperature difference:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1263,"text":"TT","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1265,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1267,"text":"(T1 − T2) + (T2 − T3) + (T3 − T4) + . . . (Tn − Tn+1)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1268,"text":"Therefore, for a composite wall that has four layers, all of which have the same area:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1270,"text":"TT","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1272,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1274,"text":"(QAt) × (d1λ1+d2λ2+d3λ3+d4λ4)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1275,"text":"Example 12","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1276,"text":"An insulated wall of a storage room is 8 m wide by 3.048 m high. The wall has an outer steel plate that is 63.5 mm thick and an inner wooden wall that is 127 mm thick. Between the steel and wood layers is a 25.4 mm intermediate layer of glass fibre insulation. If the temperature difference between the inner and outer surfaces is 40°C, calculate:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1277,"text":"(a) the heat transfer per hour","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1278,"text":"(b) the temperature difference across the steel wall","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1279,"text":"(c) the temperature difference across the glass fibre layer","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1280,"text":"(d) the temperature difference across the wood wall","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1281,"text":"Solution 12","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1282,"text":"(a) From Table 3:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1284,"text":"λ1 (Steel)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1286,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1288,"text":"60 W/m°C","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1290,"text":"λ2 (Glass fibre)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1292,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1294,"text":"0.04 W/m°C","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1296,"text":"λ3 (Wood)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1298,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1300,"text":"0.15 W/m°C","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1302,"text":"TT","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1304,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1306,"text":"QAt × (d1λ1+d2λ2+d3λ3)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1307,"text":"Isolating for Q:","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1309,"text":"Q","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1311,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1313,"text":"(TT×At)(d1λ1+d2λ2+d3λ3)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1316,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1318,"text":"(TT×A×t)(0.001058m2°CW+0.6350m2°CW+0.8467m2°CW)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1321,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1323,"text":"(TT×A×t)1.4833m2°CW","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1326,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1328,"text":"(8m×3.048m)×3600s×40°C1.4833m2s°C/J","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1331,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1333,"text":"2 367 000 J = 2.367 MJ (Ans.)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1335,"text":"(b)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1337,"text":"Q","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1339,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1341,"text":"λAtΔTd","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1343,"text":"∆T","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1345,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1347,"text":"QdAtλ","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1350,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1352,"text":"2367000J×0.0635m(8m×3.048m)×3600s×60W/m°C","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1355,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1357,"text":"0.0285°C (Ans.)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1359,"text":"(c)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1361,"text":"Q","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1363,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1365,"text":"λAtΔTd","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1367,"text":"∆T","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1369,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1371,"text":"QdAtλ","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1374,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1376,"text":"2367000J×0.0254m(6m×3.048m)×3600s×0.04W/m°C","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1379,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1381,"text":"17.12°C (Ans.)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1383,"text":"(d)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1385,"text":"Q","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1387,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1389,"text":"λAtΔTd","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1391,"text":"∆T","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1393,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1395,"text":"QdAtλ","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1398,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1400,"text":"2367000J×0.127m(6m×3.048m)×3600s×0.15W/mK","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1403,"text":"=","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1405,"text":"22.83 (Ans.)","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1406,"text":"Note that, due to the relatively high coefficient of thermal conductivity of steel, the temperature drop across the steel is practically negligible. Almost all of the temperature drop occurs across the glass fibre and wood layers.","head1":"Conduction","head2":"Heat Flow through a Composite Wall"},
+    {"block":1407,"text":"Heat Flow through Cylindrical Walls","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls","heading":true},
+    {"block":1408,"text":"It is often necessary to determine the heat loss through the cylindrical walls of vessels or pipelines. Figure 9 illustrates a typical wall configuration of an insulated pipe carrying heated liquid.","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1410,"text":"Figure 9 – Cylindrical Wall of an Insulated Pipe","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1413,"text":"Because the fluid within the pipe is above ambient temperature, there will be heat transfer from the inner liquid to the outside. When the pipe is insulated, there is often very little temperature drop across the vessel wall, due to its relatively high coefficient of thermal conductivity. This concept was demonstrated in Example 10. It is usual to neglect the temperature drops across the metal elements of the pipe, and to focus on the temperature drop across the insulation instead.","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1414,"text":"The following formula is often used to calculate the heat flow through cylindrical walls.","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1416,"text":"Q","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1418,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1420,"text":"2πλtΔTLln(Dd)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1422,"text":"where","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1424,"text":"D","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1426,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1428,"text":"outside diameter","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1430,"text":"d","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1432,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1434,"text":"inside diameter","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1436,"text":"L","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1438,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1440,"text":"length in metres","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1442,"text":"λ","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1444,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1446,"text":"thermal conductivity","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1448,"text":"t","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1450,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1452,"text":"time (seconds)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1454,"text":"∆T","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1456,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1458,"text":"temperature difference (degrees C)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1459,"text":"Example 13","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1460,"text":"A steam line has an external pipe diameter of 152.4 mm and is surrounded by glass fibre insulation which has a thickness of 50.8 mm. The pipe is 60 m long and carries steam at a temperature of 280°C. Assuming the outer temperature of the insulation is 20°C, calculate the heat loss from the pipeline, per hour. Neglect any temperature change across the pipe wall (i.e. in this case the external pipe diameter is considered as equal to the inner diameter (d)).","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1461,"text":"Solution 13","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1463,"text":"D","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1465,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1467,"text":"152.4 mm + (2 × 50.8 mm)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1470,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1472,"text":"254 mm","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1474,"text":"d","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1476,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1478,"text":"152.4 mm","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1480,"text":"λ","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1482,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1484,"text":"0.04 W/m°C","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1486,"text":"L","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1488,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1490,"text":"60 m","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1492,"text":"t","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1494,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1496,"text":"3600 s","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1498,"text":"∆T","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1500,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1502,"text":"260°C","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1504,"text":"Q","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1506,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1508,"text":"2πλLtΔTln(Dd)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1511,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1513,"text":"2×3.1416×0.04×60×3600×260Jln(254152.4)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1516,"text":"=","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1518,"text":"27 630 852.52 J = 27.6 MJ (Ans.)","head1":"Conduction","head2":"Heat Flow through Cylindrical Walls"},
+    {"block":1519,"text":"Radiation","head1":"Radiation","head2":"","heading":true},
+    {"block":1520,"text":"Heat transfer by conduction and convection requires a material media; however, heat is also transmitted through areas that do not require a medium. For example, heat reaches the earth directly from the sun through the near vacuum of space. This heat flow process, called radiation, may be defined as: “The transfer of heat energy from one body to another through space by rays of electromagnetic waves.” While radiated heat transfer does not require a material media, heat can travel through the media. For example, radiative heat passes through air and glass, and it must be considered in air-conditioning load calculations. When a material absorbs radiation, it is heated.","head1":"Radiation","head2":""},
+    {"block":1521,"text":"The rate at which objects radiate or absorb heat depends on the temperature and surface of each object. As an object radiates heat, its molecules lose energy, and the object begins to cool. When an object absorbs radiation, the heat energy transmits to the molecules of the object and increases its internal energy and temperature.","head1":"Radiation","head2":""},
+    {"block":1522,"text":"A general requirement for identifying a good absorber of radiation is one that has a surface which is black and rough. A good absorber of radiation must also be a good emitter. If not, the object would absorb more energy than it emits; its energy and temperature would increase uncontrolled until the object eventually melts or blows up. When the temperature and internal energy of an object are constant, the object must emit and absorb radiation at the same rate since energy is conserved. A blackbody radiator is defined as an object that perfectly absorbs and emits all radiation.","head1":"Radiation","head2":""},
+    {"block":1523,"text":"The relationship between the radiative properties of a black body and its surface conditions is shown below in the Stefan-Boltzmann law. This law shows that the rate of heat energy radiated by a black body (Q/t) is directly proportional to its surface area (A) and the absolute temperature (in K) raised to the fourth power. The emissivity (ε) of a body is “the ratio of heat emitted by the body to the heat emitted by a perfect black body for the same surface area, temperature and time.” The emissivity of a perfect black body is thus one, while that of the other extreme would be zero. Emissivity can thus range from zero to one.","head1":"Radiation","head2":""},
+    {"block":1525,"text":"Q","head1":"Radiation","head2":""},
+    {"block":1527,"text":"=","head1":"Radiation","head2":""},
+    {"block":1529,"text":"ε σ A t (T14 − T24)","head1":"Radiation","head2":""},
+    {"block":1531,"text":"where:","head1":"Radiation","head2":""},
+    {"block":1533,"text":"Q","head1":"Radiation","head2":""},
+    {"block":1535,"text":"=","head1":"Radiation","head2":""},
+    {"block":1537,"text":"total heat radiated, kJ","head1":"Radiation","head2":""},
+    {"block":1539,"text":"ε","head1":"Radiation","head2":""},
+    {"block":1541,"text":"=","head1":"Radiation","head2":""},
+    {"block":1543,"text":"emissivity of surface (no units; 0 < ε < 1)","head1":"Radiation","head2":""},
+    {"block":1545,"text":"σ","head1":"Radiation","head2":""},
+    {"block":1547,"text":"=","head1":"Radiation","head2":""},
+    {"block":1549,"text":"Stefan-Boltzmann Constant = 5.6703 × 10-11 kJm2K4","head1":"Radiation","head2":""},
+    {"block":1551,"text":"A","head1":"Radiation","head2":""},
+    {"block":1553,"text":"=","head1":"Radiation","head2":""},
+    {"block":1555,"text":"area of radiating surface, m2","head1":"Radiation","head2":""},
+    {"block":1557,"text":"t","head1":"Radiation","head2":""},
+    {"block":1559,"text":"=","head1":"Radiation","head2":""},
+    {"block":1561,"text":"time, seconds","head1":"Radiation","head2":""},
+    {"block":1563,"text":"T1","head1":"Radiation","head2":""},
+    {"block":1565,"text":"=","head1":"Radiation","head2":""},
+    {"block":1567,"text":"absolute temperature of radiating surface, K","head1":"Radiation","head2":""},
+    {"block":1569,"text":"T2","head1":"Radiation","head2":""},
+    {"block":1571,"text":"=","head1":"Radiation","head2":""},
+    {"block":1573,"text":"absolute temperature of surrounding atmosphere, K","head1":"Radiation","head2":""},
+    {"block":1574,"text":"Example 14","head1":"Radiation","head2":""},
+    {"block":1575,"text":"The temperature of the flame in a natural gas fired furnace is 1950°C. The metal temperature of the water wall is 280°C. The wall dimensions are 3.4 m by 7 m. Calculate the maximum theoretical quantity of heat energy radiated per minute to the wall area.","head1":"Radiation","head2":""},
+    {"block":1576,"text":"Solution 14","head1":"Radiation","head2":""},
+    {"block":1578,"text":"T1","head1":"Radiation","head2":""},
+    {"block":1580,"text":"=","head1":"Radiation","head2":""},
+    {"block":1582,"text":"1950°C + 273 = 2223 K","head1":"Radiation","head2":""},
+    {"block":1584,"text":"T2","head1":"Radiation","head2":""},
+    {"block":1586,"text":"=","head1":"Radiation","head2":""},
+    {"block":1588,"text":"280°C + 273 = 553 K","head1":"Radiation","head2":""},
+    {"block":1590,"text":"t","head1":"Radiation","head2":""},
+    {"block":1592,"text":"=","head1":"Radiation","head2":""},
+    {"block":1594,"text":"60 s","head1":"Radiation","head2":""},
+    {"block":1596,"text":"A","head1":"Radiation","head2":""},
+    {"block":1598,"text":"=","head1":"Radiation","head2":""},
+    {"block":1600,"text":"23.8 m2","head1":"Radiation","head2":""},
+    {"block":1602,"text":"ε","head1":"Radiation","head2":""},
+    {"block":1604,"text":"=","head1":"Radiation","head2":""},
+    {"block":1606,"text":"1 (Maximum)","head1":"Radiation","head2":""},
+    {"block":1607,"text":"For maximum possible heat energy radiated, ε = 1","head1":"Radiation","head2":""},
+    {"block":1609,"text":"Q","head1":"Radiation","head2":""},
+    {"block":1611,"text":"=","head1":"Radiation","head2":""},
+    {"block":1613,"text":"5.6703 × 10-11 Wm2K4 × ε × A × t × (T14 − T24)","head1":"Radiation","head2":""},
+    {"block":1616,"text":"=","head1":"Radiation","head2":""},
+    {"block":1618,"text":"5.67 × 10-11 Wm2K4 × 1 × 23.8 m2 × 60 s × [(2223 K)4 − (553 K)4]","head1":"Radiation","head2":""},
+    {"block":1621,"text":"=","head1":"Radiation","head2":""},
+    {"block":1623,"text":"1 969 700 kJ = 1970 MJ (Ans.)","head1":"Radiation","head2":""},
+    {"block":1625,"text":"Objective 6","head1":"Radiation","head2":""},
+    {"block":1627,"text":"Perform calculations involving heat transfer at a surface.","head1":"Radiation","head2":""},
+    {"block":1629,"text":"Surface Heat Transfer","head1":"Radiation","head2":""},
+    {"block":1630,"text":"In many practical applications, heat is transferred from one fluid to another through a solid (usually metal) plate. In the system illustrated in Figure 10, heat is transferred from fluid A (hotter) through the solid plate to fluid B (cooler).","head1":"Radiation","head2":""},
+    {"block":1632,"text":"Figure 10 – Heat Transfer through a Surface Film","head1":"Radiation","head2":""},
+    {"block":1635,"text":"Note: The temperature profile is superimposed on the sketch. The total temperature drop (TD) consists of the temperature drop from fluid A to the plate (T1 − T2), the temperature drop through the plate (T2 − T3), and the temperature drop from the plate to fluid B (T3 − T4).","head1":"Radiation","head2":""},
+    {"block":1636,"text":"At each interface between fluid and plate there is a layer of fluid, which is almost stagnant. This layer is very thin, and is referred to as the “fluid film.” Heat transfer through the fluid film occurs by:","head1":"Radiation","head2":""},
+    {"block":1637,"text":"• conduction through the fluid film","head1":"Radiation","head2":""},
+    {"block":1638,"text":"• convection currents within the fluid film","head1":"Radiation","head2":""},
+    {"block":1639,"text":"• to a lesser degree, radiation of energy from the plate to the fluid","head1":"Radiation","head2":""},
+    {"block":1640,"text":"Calculation of heat quantities transferred through the fluid film, via each different mode, could be completed, and the individual results added. However, this type of calculation would be complex, with questionable accuracy. Much empirical data on the quantity of heat transferred through a fluid film has been gathered, and the use of this empirical data is accepted as the standard method of calculation.","head1":"Radiation","head2":""},
+    {"block":1641,"text":"The heat transferred through the fluid film varies with area, time, temperature difference, and an empirical factor known as the surface heat transfer coefficient. The quantity of heat transferred through a surface fluid film can be found using:","head1":"Radiation","head2":""},
+    {"block":1643,"text":"Q","head1":"Radiation","head2":""},
+    {"block":1645,"text":"=","head1":"Radiation","head2":""},
+    {"block":1647,"text":"hAt(T1 – T2)","head1":"Radiation","head2":""},
+    {"block":1649,"text":"where","head1":"Radiation","head2":""},
+    {"block":1654,"text":"Q","head1":"Radiation","head2":""},
+    {"block":1657,"text":"is heat flow (J)","head1":"Radiation","head2":""},
+    {"block":1659,"text":"h","head1":"Radiation","head2":""},
+    {"block":1662,"text":"is the surface heat transfer coefficient (W/m2K)","head1":"Radiation","head2":""},
+    {"block":1664,"text":"A","head1":"Radiation","head2":""},
+    {"block":1667,"text":"is area (m2)","head1":"Radiation","head2":""},
+    {"block":1669,"text":"t","head1":"Radiation","head2":""},
+    {"block":1672,"text":"is time (s)","head1":"Radiation","head2":""},
+    {"block":1674,"text":"(T1 – T2)","head1":"Radiation","head2":""},
+    {"block":1677,"text":"is the temperature difference between the fluid and the plate (K or °C)","head1":"Radiation","head2":""},
+    {"block":1678,"text":"The values of the surface heat transfer coefficient vary with the velocity of the fluid, the condition of the surface, and the properties of the fluid. Presented in Table 4 are a few typical values for surface heat transfer coefficients.","head1":"Radiation","head2":""},
+    {"block":1680,"text":"Table 4 – Typical Surface Heat Transfer Coefficients","head1":"Radiation","head2":""},
+    {"block":1684,"text":"Surface Heat Transfer Coefficients (h in W/m2K)","head1":"Radiation","head2":""},
+    {"block":1686,"text":"Natural Convection","head1":"Radiation","head2":""},
+    {"block":1689,"text":"Air over flat vertical wall (30°C Temperature Difference)","head1":"Radiation","head2":""},
+    {"block":1691,"text":"5.0","head1":"Radiation","head2":""},
+    {"block":1693,"text":"Gases and Dry Vapours","head1":"Radiation","head2":""},
+    {"block":1695,"text":"5 to 37","head1":"Radiation","head2":""},
+    {"block":1697,"text":"Condensing Water Vapour","head1":"Radiation","head2":""},
+    {"block":1699,"text":"5.0 – 100.0","head1":"Radiation","head2":""},
+    {"block":1701,"text":"Forced Convection","head1":"Radiation","head2":""},
+    {"block":1704,"text":"Air over flat plate (2 m/s)","head1":"Radiation","head2":""},
+    {"block":1706,"text":"12","head1":"Radiation","head2":""},
+    {"block":1708,"text":"Air over flat plate (30 m/s)","head1":"Radiation","head2":""},
+    {"block":1710,"text":"75","head1":"Radiation","head2":""},
+    {"block":1712,"text":"Air over horizontal tube (50 m/s)","head1":"Radiation","head2":""},
+    {"block":1714,"text":"180","head1":"Radiation","head2":""},
+    {"block":1716,"text":"Water through 25 mm diameter tube (0.3 m/s)","head1":"Radiation","head2":""},
+    {"block":1718,"text":"3500","head1":"Radiation","head2":""},
+    {"block":1719,"text":"Note: The order of magnitude differences between the values of “h” for gases and those for liquids is due to the much higher coefficient of thermal conductivity of a liquid compared to a gas.","head1":"Radiation","head2":""},
+    {"block":1720,"text":"Example 15","head1":"Radiation","head2":""},
+    {"block":1721,"text":"Calculate the heat flow per hour through the fluid film from a 200 m2 flat horizontal floor of a warehouse at 19.0°C, to an ambient air temperature of 15.5°C. Use 2 m/s conditions.","head1":"Radiation","head2":""},
+    {"block":1722,"text":"Solution 15","head1":"Radiation","head2":""},
+    {"block":1723,"text":"From Table 4:","head1":"Radiation","head2":""},
+    {"block":1725,"text":"h","head1":"Radiation","head2":""},
+    {"block":1727,"text":"=","head1":"Radiation","head2":""},
+    {"block":1729,"text":"12 Wm2K","head1":"Radiation","head2":""},
+    {"block":1731,"text":"Q","head1":"Radiation","head2":""},
+    {"block":1733,"text":"=","head1":"Radiation","head2":""},
+    {"block":1735,"text":"hAt(T1 – T2)","head1":"Radiation","head2":""},
+    {"block":1738,"text":"=","head1":"Radiation","head2":""},
+    {"block":1740,"text":"12 Wm2K × 200 m2 × 3600 s × (19.0 – 15.5) K","head1":"Radiation","head2":""},
+    {"block":1743,"text":"=","head1":"Radiation","head2":""},
+    {"block":1745,"text":"30 240 000 J = 30.24 MJ (Ans.)","head1":"Radiation","head2":""},
+    {"block":1747,"text":"Chapter Questions","head1":"Radiation","head2":""},
+    {"block":1750,"text":"1. Define the term specific heat.","head1":"Radiation","head2":""},
+    {"block":1751,"text":"2. A bar containing a mixture of 40 kg of brass and 50 kg of aluminum at 15°C receives 5000 kJ of heat. Calculate the final temperature of the mixture.","head1":"Radiation","head2":""},
+    {"block":1752,"text":"3. Calculate the increase in length of a steel beam that is 20 m long at 20°C, if it is heated to 90°C.","head1":"Radiation","head2":""},
+    {"block":1753,"text":"4. A solid glass cylinder, 3.00 m long at 90°C, contracts by 2.45 mm when left outdoors. Calculate the outdoor air temperature to the nearest degree.","head1":"Radiation","head2":""},
+    {"block":1754,"text":"5. Calculate the coefficient of linear expansion for the following material. At 15°C, the length of one edge of a cube made of the material is 3.65 m. When heated to 200°C, the area of the face increases by 0.072 m2.","head1":"Radiation","head2":""},
+    {"block":1755,"text":"6. At 250°C, the hole in a piece of steel has a diameter of 18 mm. Calculate the area of the hole at 12°C.","head1":"Radiation","head2":""},
+    {"block":1756,"text":"7. A steel tank is 15 m in circumference and 10 m high at 100°C. Calculate its volume at 18°C.","head1":"Radiation","head2":""},
+    {"block":1757,"text":"8. At 70°C, the diameter of an aluminum sphere is 70 mm. After heating to 200°C, what is the final volume?","head1":"Radiation","head2":""},
+    {"block":1758,"text":"9. Identify the three modes of heat transfer. Define each mode.","head1":"Radiation","head2":""},
+    {"block":1759,"text":"10. An insulated wall of a storage room is 8 m wide by 3.048 m high. It has an outer wooden layer that is 50.8 mm thick and an inner wallboard wall that is 12.7 mm thick. Between the wooden and wallboard layers is a 25.4 mm intermediate layer of still air acting as insulation. If the temperature difference between the inner and outer surfaces is 30°C, calculate:","head1":"Radiation","head2":""},
+    {"block":1760,"text":"a) the heat transfer per hour","head1":"Radiation","head2":""},
+    {"block":1761,"text":"b) the temperature difference across the wooden wall","head1":"Radiation","head2":""},
+    {"block":1762,"text":"c) the temperature difference across the air layer","head1":"Radiation","head2":""},
+    {"block":1763,"text":"d) the temperature difference across the wallboard wall","head1":"Radiation","head2":""},
+    {"block":1764,"text":"11. Calculate the heat flow per minute through the fluid film from a 12 m2 flat vertical wall of a warehouse, at 20.1°C, to an ambient air temperature of 16°C. Use still (no wind) conditions.","head1":"Radiation","head2":""},
+    {"block":1765,"text":"12. Heat is transferred from one fluid to another through a solid plate by means of what processes? Describe how each process occurs.","head1":"Radiation","head2":""},
+    {"block":1766,"text":"Self-Assessment","head1":"Radiation","head2":""},
+    {"block":1767,"text":"Question 1","head1":"Radiation","head2":""},
+    {"block":1768,"text":"The temperature of the flame in a natural gas fired furnace is 1530°C. The metal temperature of the water wall is 250°C. The wall dimensions are 4.8 m by 12 m. Calculate the maximum theoretical quantity of heat energy radiated per minute to the wall area.","head1":"Radiation","head2":""},
+    {"block":1769,"text":"2056 MJ","head1":"Radiation","head2":""},
+    {"block":1770,"text":"3406 MJ","head1":"Radiation","head2":""},
+    {"block":1771,"text":"3604 MJ","head1":"Radiation","head2":""},
+    {"block":1772,"text":"1056 MJ","head1":"Radiation","head2":""},
+    {"block":1778,"text":"Question 2","head1":"Radiation","head2":""},
+    {"block":1779,"text":"A piece of platinum has a 76 mm diameter hole in it. The platinum is heated from 25°C to 145°C. Calculate the diameter of the hole after heating.","head1":"Radiation","head2":""},
+    {"block":1780,"text":"75.177 mm","head1":"Radiation","head2":""},
+    {"block":1781,"text":"76.078 mm","head1":"Radiation","head2":""},
+    {"block":1782,"text":"76.177 mm","head1":"Radiation","head2":""},
+    {"block":1783,"text":"77.178 mm","head1":"Radiation","head2":""},
+    {"block":1789,"text":"Question 3","head1":"Radiation","head2":""},
+    {"block":1790,"text":"Find the quantity of heat required to raise the temperature of 2700 litres of fresh water from 10°C to 70°C, if the specific heat of fresh water is 4.2 kJ/kg°C. Assume that 1 litre of fresh water has a mass of 1 kg.","head1":"Radiation","head2":""},
+    {"block":1791,"text":"334 640 kJ","head1":"Radiation","head2":""},
+    {"block":1792,"text":"680 400 kJ","head1":"Radiation","head2":""},
+    {"block":1793,"text":"580 400 kJ","head1":"Radiation","head2":""},
+    {"block":1794,"text":"380 640 kJ","head1":"Radiation","head2":""},
+    {"block":1800,"text":"Question 4","head1":"Radiation","head2":""},
+    {"block":1801,"text":"Calculate the change in length of a nickel bar 12 m long when its temperature is increased from 40°C to 190°C.","head1":"Radiation","head2":""},
+    {"block":1802,"text":"2.67 x 10 -2 m","head1":"Radiation","head2":""},
+    {"block":1803,"text":"2.34 x 10 -2m","head1":"Radiation","head2":""},
+    {"block":1804,"text":"2.34 m","head1":"Radiation","head2":""},
+    {"block":1805,"text":"2.67 m","head1":"Radiation","head2":""},
+    {"block":1811,"text":"Question 5","head1":"Radiation","head2":""},
+    {"block":1812,"text":"Find the quantity of heat required to raise the temperature of 500 kg of mild steel from 20°C to 100°C, if the specific heat of steel is 0.494 kJ/kg°C.","head1":"Radiation","head2":""},
+    {"block":1813,"text":"19.760 kJ","head1":"Radiation","head2":""},
+    {"block":1814,"text":"1976.0 kJ","head1":"Radiation","head2":""},
+    {"block":1815,"text":"19 760 kJ","head1":"Radiation","head2":""},
+    {"block":1816,"text":"197 600 kJ","head1":"Radiation","head2":""}
+  ],
+  "CH2_Thermodynamics_of_Gases.html": [
+    {"block":0,"text":"Thermodynamics of Gases","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 2","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Perform calculations related to expansion and compression of perfect gases.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Explain the behaviours of a perfect gas and the laws that govern gas behaviour, including Boyle’s Law, Gay-Lussac’s Law, Charles Law, the General Gas Law, and the Ideal Gas Law.","head1":"","head2":""},
+    {"block":13,"text":"2. Explain Dalton’s Law of Partial Pressures.","head1":"","head2":""},
+    {"block":14,"text":"3. Define and calculate specific heats under constant volume and constant pressure conditions.","head1":"","head2":""},
+    {"block":15,"text":"4. Explain the relationship between work and heat as expressed in the First and Second Laws of Thermodynamics.","head1":"","head2":""},
+    {"block":16,"text":"5. Calculate the work done during expansion and compression under constant pressure and isothermal conditions.","head1":"","head2":""},
+    {"block":17,"text":"6. Calculate the work done during adiabatic expansion and compression.","head1":"","head2":""},
+    {"block":18,"text":"7. Calculate the work done during polytropic expansion and compression.","head1":"","head2":""},
+    {"block":20,"text":"Objective 1","head1":"","head2":""},
+    {"block":22,"text":"Explain the behaviours of a perfect gas and the laws that govern gas behaviour, including Boyle’s Law, Gay-Lussac’s Law, Charles Law, the General Gas Law, and the Ideal Gas Law.","head1":"","head2":""},
+    {"block":24,"text":"Concept of a Perfect Gas","head1":"","head2":""},
+    {"block":25,"text":"The starting point of thermodynamics related to gases is the behaviour of an ideal or perfect gas. A perfect gas is a gas which follows certain physical laws or rules under a prescribed set of conditions. For this module, a perfect gas is a gas which is sufficiently removed from its condensation temperature that it will remain in a gaseous state when subjected to the changes of temperature and pressure of the operation being considered.","head1":"","head2":""},
+    {"block":26,"text":"The characteristic equation of the state of a perfect gas is:","head1":"","head2":""},
+    {"block":28,"text":"PVT","head1":"","head2":""},
+    {"block":30,"text":"=","head1":"","head2":""},
+    {"block":32,"text":"R","head1":"","head2":""},
+    {"block":33,"text":"Where R is a constant.","head1":"","head2":""},
+    {"block":34,"text":"The relationship between temperature, pressure and volume is consistent throughout a selected working range. The behaviour of a perfect gas can be used as a model for the behaviour of real gases.","head1":"","head2":""},
+    {"block":35,"text":"Note that pressure of a perfect gas will normally refer to absolute pressure rather than to gauge pressure. Unless gauge pressure is specifically indicated, it is assumed that thermodynamic calculations will utilize absolute pressures, which is the convention used throughout this chapter. Similarly, thermodynamic calculations normally utilize absolute temperature, using the Kelvin scale.","head1":"","head2":""},
+    {"block":36,"text":"Pressure, temperature and volume are used to describe the state of a gas. The General Gas Law is derived from:","head1":"","head2":""},
+    {"block":37,"text":"• Boyle’s Law","head1":"","head2":""},
+    {"block":38,"text":"• Charles’ Laws","head1":"","head2":""},
+    {"block":39,"text":"• Gay-Lussac’s Laws","head1":"","head2":""},
+    {"block":40,"text":"Boyle’s Law","head1":"Boyle’s Law","head2":"","heading":true},
+    {"block":41,"text":"Boyle’s Law describes the relationship between pressure and volume at a constant temperature. It states that the product of pressure and volume is always the same if the temperature is constant, or:","head1":"Boyle’s Law","head2":""},
+    {"block":43,"text":"PV","head1":"Boyle’s Law","head2":""},
+    {"block":45,"text":"=","head1":"Boyle’s Law","head2":""},
+    {"block":47,"text":"constant","head1":"Boyle’s Law","head2":""},
+    {"block":48,"text":"The results of this equation produce a curve such as the one shown in Figure 1. Note that the pressure is in absolute units, not gauge pressure, and temperature is in Kelvin (K).","head1":"Boyle’s Law","head2":""},
+    {"block":50,"text":"Figure 1 – Boyle’s Law","head1":"Boyle’s Law","head2":""},
+    {"block":53,"text":"When Boyle’s Law is used to compare two different sets of conditions, the equation becomes:","head1":"Boyle’s Law","head2":""},
+    {"block":55,"text":"P1V1","head1":"Boyle’s Law","head2":""},
+    {"block":57,"text":"=","head1":"Boyle’s Law","head2":""},
+    {"block":59,"text":"P2V2","head1":"Boyle’s Law","head2":""},
+    {"block":60,"text":"This is a reasonable assumption if the process of expansion or compression is slow enough for the temperature to remain constant. Constant temperature operations are also called isothermal operations.","head1":"Boyle’s Law","head2":""},
+    {"block":61,"text":"Gay-Lussac’s Law","head1":"Gay-Lussac’s Law","head2":"","heading":true},
+    {"block":62,"text":"Gay-Lussac’s Law describes the relationship between pressure and temperature at a constant volume. It states that the ratio of pressure and temperature is always the same if the volume is constant, or:","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":64,"text":"PT","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":66,"text":"=","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":68,"text":"constant","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":69,"text":"An alternate expression by comparing two different sets of conditions is:","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":71,"text":"P1T1","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":73,"text":"=","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":75,"text":"P2T2","head1":"Gay-Lussac’s Law","head2":""},
+    {"block":76,"text":"Charles’ Law","head1":"Charles’ Law","head2":"","heading":true},
+    {"block":77,"text":"Charles’ Law describes the relationship between volume and temperature when pressure is constant:","head1":"Charles’ Law","head2":""},
+    {"block":79,"text":"VT","head1":"Charles’ Law","head2":""},
+    {"block":81,"text":"=","head1":"Charles’ Law","head2":""},
+    {"block":83,"text":"constant","head1":"Charles’ Law","head2":""},
+    {"block":84,"text":"An alternate expression is:","head1":"Charles’ Law","head2":""},
+    {"block":86,"text":"V1T1","head1":"Charles’ Law","head2":""},
+    {"block":88,"text":"=","head1":"Charles’ Law","head2":""},
+    {"block":90,"text":"V2T2","head1":"Charles’ Law","head2":""},
+    {"block":91,"text":"General Gas Law","head1":"General Gas Law","head2":"","heading":true},
+    {"block":92,"text":"The three laws can be combined to give the expression:","head1":"General Gas Law","head2":""},
+    {"block":94,"text":"PVT","head1":"General Gas Law","head2":""},
+    {"block":96,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":98,"text":"constant","head1":"General Gas Law","head2":""},
+    {"block":99,"text":"The version that compares the two sets of conditions is:","head1":"General Gas Law","head2":""},
+    {"block":101,"text":"P1V1T1","head1":"General Gas Law","head2":""},
+    {"block":103,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":105,"text":"P2V2T2","head1":"General Gas Law","head2":""},
+    {"block":106,"text":"Example 1","head1":"General Gas Law","head2":""},
+    {"block":107,"text":"A gas is measured to be at a pressure of 150 kPa (gauge), 50°C and a volume of 3 litres. Find the volume the gas would occupy at standardized conditions of 15°C and 101.325 kPa.","head1":"General Gas Law","head2":""},
+    {"block":108,"text":"Solution 1","head1":"General Gas Law","head2":""},
+    {"block":109,"text":"Standardized conditions are stated as 15°C and 101.325 kPa. Converting the pressure and temperature to absolute, using the equation P1V1T1 = P2V2T2 , gives the solution as follows:","head1":"General Gas Law","head2":""},
+    {"block":111,"text":"P1V1T1","head1":"General Gas Law","head2":""},
+    {"block":114,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":116,"text":"P2V2T2","head1":"General Gas Law","head2":""},
+    {"block":118,"text":"P2V2T1","head1":"General Gas Law","head2":""},
+    {"block":120,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":122,"text":"P1V1T2","head1":"General Gas Law","head2":""},
+    {"block":124,"text":"V2","head1":"General Gas Law","head2":""},
+    {"block":126,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":128,"text":"P1V1T2P2T1","head1":"General Gas Law","head2":""},
+    {"block":131,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":133,"text":"(150+101.325kPa)×3L×(273+15)K101.325kPa×(273+50)K","head1":"General Gas Law","head2":""},
+    {"block":136,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":138,"text":"251.325kPa×3L×288K101.325kPa×323K","head1":"General Gas Law","head2":""},
+    {"block":141,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":143,"text":"217144.8L32727.98","head1":"General Gas Law","head2":""},
+    {"block":146,"text":"=","head1":"General Gas Law","head2":""},
+    {"block":148,"text":"6.64 L (Ans.)","head1":"General Gas Law","head2":""},
+    {"block":149,"text":"Ideal Gas Law","head1":"Ideal Gas Law","head2":"","heading":true},
+    {"block":150,"text":"The ideal gas law explains the relationship between pressure, volume and temperature that includes the mass of the substance.","head1":"Ideal Gas Law","head2":""},
+    {"block":152,"text":"PV","head1":"Ideal Gas Law","head2":""},
+    {"block":154,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":156,"text":"mRT","head1":"Ideal Gas Law","head2":""},
+    {"block":157,"text":"where m is the mass (in kg) and R is a characteristic constant (with units of kJ/kgK), specific to the type of gas. Table 1 provides a list of some common gases and their values for R.","head1":"Ideal Gas Law","head2":""},
+    {"block":159,"text":"Table 1 – Characteristic Constants for Common Gases","head1":"Ideal Gas Law","head2":""},
+    {"block":162,"text":"Gas","head1":"Ideal Gas Law","head2":""},
+    {"block":164,"text":"R in kJ/kgK","head1":"Ideal Gas Law","head2":""},
+    {"block":166,"text":"Air","head1":"Ideal Gas Law","head2":""},
+    {"block":168,"text":"0.287","head1":"Ideal Gas Law","head2":""},
+    {"block":170,"text":"Ammonia","head1":"Ideal Gas Law","head2":""},
+    {"block":172,"text":"0.499","head1":"Ideal Gas Law","head2":""},
+    {"block":174,"text":"Carbon dioxide","head1":"Ideal Gas Law","head2":""},
+    {"block":176,"text":"0.195","head1":"Ideal Gas Law","head2":""},
+    {"block":178,"text":"Carbon monoxide","head1":"Ideal Gas Law","head2":""},
+    {"block":180,"text":"0.300","head1":"Ideal Gas Law","head2":""},
+    {"block":182,"text":"Helium","head1":"Ideal Gas Law","head2":""},
+    {"block":184,"text":"2.081","head1":"Ideal Gas Law","head2":""},
+    {"block":186,"text":"Nitrogen","head1":"Ideal Gas Law","head2":""},
+    {"block":188,"text":"0.298","head1":"Ideal Gas Law","head2":""},
+    {"block":190,"text":"Oxygen","head1":"Ideal Gas Law","head2":""},
+    {"block":192,"text":"0.261","head1":"Ideal Gas Law","head2":""},
+    {"block":194,"text":"Hydrogen","head1":"Ideal Gas Law","head2":""},
+    {"block":196,"text":"4.139","head1":"Ideal Gas Law","head2":""},
+    {"block":197,"text":"Example 2","head1":"Ideal Gas Law","head2":""},
+    {"block":198,"text":"A steel tank contains 2 m3 of oxygen at a pressure of 13 790 kPa (gauge) and a temperature of 21°C. What is the mass of oxygen in the tank? (R = 0.261 kJ/kgK)","head1":"Ideal Gas Law","head2":""},
+    {"block":199,"text":"Solution 2","head1":"Ideal Gas Law","head2":""},
+    {"block":200,"text":"Mass is calculated using the equation PV = mRT:","head1":"Ideal Gas Law","head2":""},
+    {"block":202,"text":"PV","head1":"Ideal Gas Law","head2":""},
+    {"block":204,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":206,"text":"mRT","head1":"Ideal Gas Law","head2":""},
+    {"block":208,"text":"mRT","head1":"Ideal Gas Law","head2":""},
+    {"block":210,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":212,"text":"PV","head1":"Ideal Gas Law","head2":""},
+    {"block":214,"text":"m","head1":"Ideal Gas Law","head2":""},
+    {"block":216,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":218,"text":"PVRT","head1":"Ideal Gas Law","head2":""},
+    {"block":221,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":223,"text":"(13790+101.325)kPa×2m30.261kJ/kgK×(273+21)K","head1":"Ideal Gas Law","head2":""},
+    {"block":226,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":228,"text":"13891.325kN/m2×2m30.261kNm/kgK×294K","head1":"Ideal Gas Law","head2":""},
+    {"block":231,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":233,"text":"27782.65kg76.73","head1":"Ideal Gas Law","head2":""},
+    {"block":236,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":238,"text":"362.08 kg (Ans.)","head1":"Ideal Gas Law","head2":""},
+    {"block":240,"text":"Objective 2","head1":"Ideal Gas Law","head2":""},
+    {"block":242,"text":"Explain Dalton’s Law of Partial Pressures.","head1":"Ideal Gas Law","head2":""},
+    {"block":244,"text":"Dalton’s Law","head1":"Ideal Gas Law","head2":""},
+    {"block":245,"text":"It is often necessary to perform calculations that involve multiple gases, such as mixtures of water vapour in air, or natural gas, which consists of a mixture of hydrocarbons. Dalton’s Law states that “the total pressure of a mixture of gases is equal to the sum of the individual (or partial) pressures that each gas would exert if the other gases were not present”. In other words, the partial pressure of each gas is calculated using the total volume, and the total pressure is the sum of all of the partial pressures.","head1":"Ideal Gas Law","head2":""},
+    {"block":247,"text":"Ptotal","head1":"Ideal Gas Law","head2":""},
+    {"block":249,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":251,"text":"P1 + P2 + P3","head1":"Ideal Gas Law","head2":""},
+    {"block":252,"text":"Example 3","head1":"Ideal Gas Law","head2":""},
+    {"block":253,"text":"A tank with a volume of 5 m3 is half full of water. The top half of the tank contains air (at 40°C and atmospheric pressure) and water vapour. If the partial pressure of the water vapour is 7.384 kPa at 40°C, what is the mass of the air in the tank? (R for air = 0.287 kJ/kgK)","head1":"Ideal Gas Law","head2":""},
+    {"block":254,"text":"Solution 3","head1":"Ideal Gas Law","head2":""},
+    {"block":255,"text":"The volume of gas above the water is a mixture of air and water vapour. Since the partial pressure of the water vapour is 7.384 kPa, the partial pressure of the air is:","head1":"Ideal Gas Law","head2":""},
+    {"block":257,"text":"Pair","head1":"Ideal Gas Law","head2":""},
+    {"block":259,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":261,"text":"Ptotal − Pwater","head1":"Ideal Gas Law","head2":""},
+    {"block":264,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":266,"text":"101.325 kPa – 7.834 kPa","head1":"Ideal Gas Law","head2":""},
+    {"block":269,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":271,"text":"93.94 kPa","head1":"Ideal Gas Law","head2":""},
+    {"block":272,"text":"The partial pressure always applies to the total volume, so the volume of the air to be considered is 2.5 m3 at 40°C.","head1":"Ideal Gas Law","head2":""},
+    {"block":273,"text":"The mass can now be calculated using the equation: PV = mRT","head1":"Ideal Gas Law","head2":""},
+    {"block":275,"text":"PV","head1":"Ideal Gas Law","head2":""},
+    {"block":277,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":279,"text":"mRT","head1":"Ideal Gas Law","head2":""},
+    {"block":281,"text":"m","head1":"Ideal Gas Law","head2":""},
+    {"block":283,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":285,"text":"PVRT","head1":"Ideal Gas Law","head2":""},
+    {"block":288,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":290,"text":"93.94kPa×2.5m30.287kJ/kgK×(273+40)K","head1":"Ideal Gas Law","head2":""},
+    {"block":293,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":295,"text":"234.850.287×313 kg","head1":"Ideal Gas Law","head2":""},
+    {"block":298,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":300,"text":"234.8589.83 kg","head1":"Ideal Gas Law","head2":""},
+    {"block":303,"text":"=","head1":"Ideal Gas Law","head2":""},
+    {"block":305,"text":"2.614 kg (Ans.)","head1":"Ideal Gas Law","head2":""},
+    {"block":307,"text":"Objective 3","head1":"Ideal Gas Law","head2":""},
+    {"block":309,"text":"Define and calculate specific heats under constant volume and constant pressure conditions.","head1":"Ideal Gas Law","head2":""},
+    {"block":311,"text":"Specific Heat","head1":"Ideal Gas Law","head2":""},
+    {"block":312,"text":"The specific heat of a substance is the amount of heat that is required to raise a unit quantity of the substance through 1°C rise in temp.","head1":"Ideal Gas Law","head2":""},
+    {"block":313,"text":"Solids and liquids have only one specific heat. However, the specific heat of a perfect gas varies, depending on the conditions under which it is heated. Is the gas confined within a closed container or is it free to expand as it is heated? Is the gas only partially confined and therefore partially free to expand? If the latter, to what degree is it allowed to expand? These situations collectively demonstrate the variation in heat required to raise a gas from one temperature to another. The amount of heat varies, depending on how strictly the gas is contained.","head1":"Ideal Gas Law","head2":""},
+    {"block":314,"text":"To help understand this, let’s consider the two extreme conditions, involving two identical cylinders. Each cylinder is perfectly insulated from its surroundings, eliminating heat loss. Each contains a piston that is perfectly sealed so no gas can escape between it and the cylinder wall. Between the piston and the cylinder end, both cylinders contain the same mass of the same perfect gas and at the same temperature. The piston of cylinder #1 is firmly fixed and cannot move. The piston of cylinder #2 is free to move, with negligible friction.","head1":"Ideal Gas Law","head2":""},
+    {"block":315,"text":"Now, if the same amount of heat is applied to both cylinders, the temperature of each will increase. Ignoring any expansion of the cylinders themselves, we see that the volume in cylinder #1 remains constant, while the volume in cylinder #2 increases (ie. the piston moves). We will also observe that the pressure in cylinder #1 increases, while the pressure in cylinder #2 remains constant.","head1":"Ideal Gas Law","head2":""},
+    {"block":316,"text":"Thus, it can be seen that each cylinder represents an extreme, purely theoretical situation.","head1":"Ideal Gas Law","head2":""},
+    {"block":317,"text":"• In cylinder #1, the heat is added under constant volume. In cylinder #2, the heat is added under constant pressure.","head1":"Ideal Gas Law","head2":""},
+    {"block":318,"text":"• In cylinder #1, no work is performed by the gas, since it is not free to expand and move the piston. In cylinder #2, the piston moves, so the expanding gas performs work.","head1":"Ideal Gas Law","head2":""},
+    {"block":319,"text":"• In cylinder #1, since all the added heat goes toward increasing the internal energy of the gas, less heat must be added to increase the temperature from T1 to T2. In cylinder #2, however, some of the added heat is converted into work, so more heat must be added to achieve the same temperature increase, from T1 to T2.","head1":"Ideal Gas Law","head2":""},
+    {"block":320,"text":"The above demonstrates why a perfect gas is always assigned two specific heats, one for heat transfer under constant pressure and one for heat transfer under constant volume. As shown, the heat required under constant pressure must be greater to accommodate the work done by the gas. Therefore, the specific heat of a gas under constant pressure (Cp) is always greater than the specific heat under constant volume (Cv).","head1":"Ideal Gas Law","head2":""},
+    {"block":321,"text":"Heat Added at Constant Volume","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume","heading":true},
+    {"block":322,"text":"In a cylinder where the piston is fixed so that the volume remains constant, the heat added to the gas may be calculated from:","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":324,"text":"Q (kJ)","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":326,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":328,"text":"mCv (T2 – T1)","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":329,"text":"where:","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":331,"text":"Q","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":333,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":335,"text":"heat supplied","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":337,"text":"m","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":339,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":341,"text":"mass of gas, kg","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":343,"text":"Cv","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":345,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":347,"text":"specific heat of the gas at constant volume","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":349,"text":"T2","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":351,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":353,"text":"final temperature, K","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":355,"text":"T1","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":357,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":359,"text":"initial temperature, K","head1":"Ideal Gas Law","head2":"Heat Added at Constant Volume"},
+    {"block":360,"text":"Heat Added at Constant Pressure","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure","heading":true},
+    {"block":361,"text":"In a cylinder where the piston moves, causing the cylinder pressure to remain constant, the heat added to the gas may be calculated from:","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":363,"text":"Q (kJ)","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":365,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":367,"text":"mCp (T2 – T1)","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":368,"text":"where:","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":370,"text":"Q","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":372,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":374,"text":"heat supplied","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":376,"text":"m","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":378,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":380,"text":"mass of gas, kg","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":382,"text":"CP","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":384,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":386,"text":"specific heat of the gas at constant pressure","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":388,"text":"T2","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":390,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":392,"text":"final temperature, K","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":394,"text":"T1","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":396,"text":"=","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":398,"text":"initial temperature, K","head1":"Ideal Gas Law","head2":"Heat Added at Constant Pressure"},
+    {"block":399,"text":"Characteristic Gas Constant, R, related to Specific Heats","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats","heading":true},
+    {"block":400,"text":"The characteristic gas constant of a gas has a direct relationship to the specific heats of the gas, which is Cp – Cv = R. This relationship is derived as follows.","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":401,"text":"Consider the two heat transfer formulae above. For the perfectly confined gas, with constant volume, the heat added is Qv = mCv(T2 – T1). If the same volume of gas is allowed to expand and do work, with constant pressure, the heat added becomes Qp = mCp(T2 – T1). It follows that the work done can be found by subtracting Qv from Qp.","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":402,"text":"Work results when a force is applied through a distance. If there is no motion, no work can be done. If there is no force, no work can be done. An expanding gas can perform work by applying pressure against the surface area of a piston, resulting in a force, which then moves the piston through a distance (the stroke).","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":404,"text":"Figure 2 – Cylinder Piston","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":407,"text":"Consider the First Law of Thermodynamics, which states:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":409,"text":"Heat supplied","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":411,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":413,"text":"Change of internal energy + Work done","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":415,"text":"or:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":417,"text":"Q","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":419,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":421,"text":"ΔU + WD","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":422,"text":"Since Qv = mCv(T2 – T1) is used in situations where no work is performed and therefore represents only the change in internal energy of the gas, it can replace ΔU in the First Law equation. Likewise, since the work performed by a gas at constant pressure is equal to P(V2 – V1), this term can be substituted for WD in the First Law equation. The First Law equation then becomes:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":424,"text":"Heat supplied","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":426,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":428,"text":"mCv(T2 – T1) + P(V2 – V1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":429,"text":"But the TOTAL “Heat Supplied” will be enough to both change the internal energy AND perform the work. So, the left side of the First Law equation can now be replaced by mCp(T2 – T1) and the entire equation becomes:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":431,"text":"mCp(T2 – T1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":433,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":435,"text":"mCv(T2 – T1) + P(V2 – V1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":436,"text":"Since PV equals mRT, we can substitute “mRT” wherever we find “PV”.","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":437,"text":"And, since P(V2 – V1) can also be written as PV2 – PV1, it follows that:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":439,"text":"P(V2 – V1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":441,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":443,"text":"PV2 – PV1","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":446,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":448,"text":"mRT2 – mRT1","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":451,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":453,"text":"mR(T2 – T1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":454,"text":"This now allows us to substitute mR(T2 – T1) for P(V2 – V1) in the revised First Law equation, as follows:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":456,"text":"mCp(T2 – T1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":458,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":460,"text":"mCv(T2 – T1) + mR(T2 – T1)","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":461,"text":"Now, this can be simplified by dividing through by ‘m’ and by ‘(T2 – T1)’, which leaves:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":463,"text":"Cp","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":465,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":467,"text":"Cv + R","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":469,"text":"or:","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":471,"text":"Cp – Cv","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":473,"text":"=","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":475,"text":"R","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":476,"text":"The characteristic gas constant, R, of a gas is the difference between the specific heat at constant pressure, Cp, and the specific heat at constant volume, Cv.","head1":"Ideal Gas Law","head2":"Characteristic Gas Constant, R, related to Specific Heats"},
+    {"block":477,"text":"Ratio of Specific Heats","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats","heading":true},
+    {"block":478,"text":"Another useful relationship between specific heats is their ratio. The ratio of the specific heat at constant pressure over the specific heat at constant volume of a particular gas is shown as:","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":479,"text":"CpCv , which is assigned the Greek symbol, γ (Gamma)","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":480,"text":"Table 2 shows specific heats and ratios for some common gases.","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":482,"text":"Table 2 – Sample Values for Specific Heats","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":485,"text":"Substance","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":487,"text":"Specific Heat at Constant Pressure Cp","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":488,"text":"kJ/kgK or kJ/kg°C","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":490,"text":"Specific Heat at Constant Volume Cv","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":491,"text":"kJ/kgK or kJ/kg°C","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":493,"text":"Ratio of","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":494,"text":"Specific","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":495,"text":"Heats","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":496,"text":"γ = Cp/Cv","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":498,"text":"Air","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":500,"text":"1.005","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":502,"text":"0.718","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":504,"text":"1.40","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":506,"text":"Hydrogen","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":508,"text":"14.235","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":510,"text":"10.096","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":512,"text":"1.41","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":514,"text":"Methane","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":516,"text":"2.177","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":518,"text":"1.675","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":520,"text":"1.30","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":522,"text":"Carbon Dioxide","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":524,"text":"0.825","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":526,"text":"0.630","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":528,"text":"1.31","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":530,"text":"Carbon Monoxide","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":532,"text":"1.051","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":534,"text":"0.751","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":536,"text":"1.40","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":538,"text":"Hydrogen Sulphide","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":540,"text":"1.105","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":542,"text":"0.85","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":544,"text":"1.30","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":545,"text":"Example 4","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":546,"text":"5 m3 of air at atmospheric pressure is heated in a closed vessel from 21°C to 45°C. If the specific heat is 718 J/kg°C (per Table 2), how much heat is required? (R for air = 0.287 kJ/kgK)","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":547,"text":"Solution 4","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":548,"text":"First, find the mass of air, using:","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":550,"text":"PV","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":552,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":554,"text":"mRT, from which","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":556,"text":"m","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":558,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":560,"text":"PVRT","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":563,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":565,"text":"101.325kPa×5m30.287kJ/kgK×(273+21)K","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":568,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":570,"text":"506.6250.287×294 kg","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":573,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":575,"text":"506.62584.378 kg","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":578,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":580,"text":"6.00 kg","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":581,"text":"Then, find the heat required, using:","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":583,"text":"Q","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":585,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":587,"text":"m Cv(T2 – T1)","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":590,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":592,"text":"6 kg × 718 J/kg°C × (45 – 21)°C","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":595,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":597,"text":"6 × 718 × 24 J","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":600,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":602,"text":"103 392 J","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":605,"text":"=","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":607,"text":"103.4 kJ (Ans.)","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":609,"text":"Objective 4","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":611,"text":"Explain the relationship between work and heat as expressed in the First and Second Laws of Thermodynamics.","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":613,"text":"Concept of Heat","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":614,"text":"Heat is the energy associated with the motion of molecules within a body. Heat can be converted to or from other forms of energy. Temperature is an indication of the heat intensity in a body and, therefore, informs the engineer of the following:","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":615,"text":"• the direction of heat transfer to or from the body under consideration","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":616,"text":"• the rate of heat transfer between bodies of different temperatures, and","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":617,"text":"• the material requirements for particular services.","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":618,"text":"When two substances at different temperatures come into contact with each other, over time their temperatures equalize. Heat is transferred from the hotter object to the colder one. There is a transfer of energy but it is necessary to understand what occurs at the microscopic molecular level to fully explain what happens.","head1":"Ideal Gas Law","head2":"Ratio of Specific Heats"},
+    {"block":619,"text":"First Law of Thermodynamics","head1":"First Law of Thermodynamics","head2":"","heading":true},
+    {"block":620,"text":"There is a very close relationship between heat and mechanical energy, or work, which is called the “mechanical equivalent” of heat. During compression, work is applied to a gas, causing an increase in its internal energy. Therefore, the work transferred to or from the gas appears as a gain or loss of heat energy, resulting in a change in the gas temperature and pressure. Heat and work are just different forms of energy. Expansion and compression of gases depend on this fact.","head1":"First Law of Thermodynamics","head2":""},
+    {"block":621,"text":"The First Law of Thermodynamics states that work and heat are mutually convertible. This is evidenced by the units of measure of work and heat. Work is the product of force and distance and is measured in Nm or kNm. Heat and other forms of energy are measured in Joules or kJ. One kNm is equivalent to one kJ. That is, one unit of work done is equivalent to one unit of energy which is either expended or made available.","head1":"First Law of Thermodynamics","head2":""},
+    {"block":622,"text":"If work is applied to a system, there is a corresponding increase in the internal energy in the system which is measured by the amount of heat contained within the system. For example, if a gas is compressed and no heat is allowed to escape from the system, this is measurable by an increase in its temperature. Expansion causes a reduction of heat energy and a decrease in temperature as work is performed.","head1":"First Law of Thermodynamics","head2":""},
+    {"block":623,"text":"Second Law of Thermodynamics","head1":"Second Law of Thermodynamics","head2":"","heading":true},
+    {"block":624,"text":"The Second Law of Thermodynamics states that external work must be done to transfer heat from a lower temperature system to a higher temperature system. It is impossible for heat to flow from a colder system to a hotter one without expending energy in the form of work.","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":625,"text":"This principle led to the development of theoretical thermodynamic cycles that uses heat to produce work and also ones that use work to transfer heat such as in refrigeration. For the moment, we will consider the work required to compress gases and the work that can be done by the expansion of a gas. It will be seen in the following objectives that work can be done on a gas or by a gas in several different ways, which depend essentially on how heat flows within the system due to compression or expansion.","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":627,"text":"Objective 5","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":629,"text":"Calculate the work done during expansion and compression under constant pressure and isothermal conditions.","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":631,"text":"Work at Constant Pressure","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":632,"text":"Studies of expansion and compression of gases are of interest to the power engineer to allow calculation, for example, of the work that can be done by an expanding gas in an internal combustion engine or the work that must be done to compress a quantity of air in a compressor.","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":633,"text":"Expansion and compression of gases may be carried out under many different conditions. It is customary to study certain set conditions and to use these as a guide to the actual, existing operating conditions.","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":634,"text":"An expansion or a compression taking place at constant pressure is called an isobaric process. The process can be represented on a PV diagram, as shown in Figure 3. The line 1 – 2 represents an expansion at constant pressure, P, from volume, Vl , to volume, V2. The work done during this process is represented by the area under the line. In equation form, this work (area) can be shown as:","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":636,"text":"WD","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":638,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":640,"text":"P(V2 – V1)","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":642,"text":"Figure 3 – Work Done at Constant Pressure","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":645,"text":"A constant volume process (called isochoric) does not cause any work to be done because the area is zero. (V2 – V1) = 0 This can be seen in Figure 4.","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":647,"text":"Figure 4 – Work Done at Constant Volume","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":650,"text":"Example 5","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":651,"text":"2712 kNm of work is done to compress 5 m3 of a gas to a volume of 1 m3. If the work is done at constant pressure, what is the pressure?","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":652,"text":"Solution 5","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":654,"text":"W","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":656,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":658,"text":"P(V2 – V1) Nm","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":660,"text":"P","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":662,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":664,"text":"WV2–V1","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":667,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":669,"text":"2712kNm(5–1)m3","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":672,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":674,"text":"2712kNm4m3","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":677,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":679,"text":"678 kN/m2","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":682,"text":"=","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":684,"text":"678 kPa (absolute) (Ans.)","head1":"Second Law of Thermodynamics","head2":""},
+    {"block":685,"text":"Work Done During Isothermal Process","head1":"Work Done During Isothermal Process","head2":"","heading":true},
+    {"block":686,"text":"Another possible compression or expansion process is the isothermal process, during which the temperature of the gas does not change.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":687,"text":"An isothermal process for an ideal or perfect gas follows Boyle’s Law, which states that “PV = a constant”. Since compression normally causes an increase in temperature, heat must be removed from the system if the gas temperature is to remain constant. Normally, this is not fully achievable in a compressor because of the difficulty in removing all the heat of compression. Some isothermal compressors have cooling jackets to extract heat. Figure 5 illustrates the isothermal process graphically, where the curved line, labelled ‘T1’, represents the constant temperature as the pressure and volume change.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":689,"text":"Figure 5 – Isothermal Expansion or Compression Process","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":692,"text":"The work done during an isothermal process can be found by calculating the area under the curve. This is illustrated in Figure 6, where the shaded area is the work done. The text that follows the figure shows how the formula for work done is arrived at, using calculus to determine the area under the curve.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":694,"text":"Figure 6 – Work Done at Constant Temperature","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":697,"text":"The area under the curve can be found by taking a small strip of volume, dV, and using calculus to integrate the volume from V1 to V2. In mathematical terms, this is shown as:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":699,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":701,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":703,"text":"∫","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":705,"text":"V2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":707,"text":"PdV","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":709,"text":"V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":710,"text":"Since the pressure, P, varies with volume, Boyle’s Law allows the ‘P’ to be replaced with ‘constant/V’, as follows:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":712,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":714,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":716,"text":"∫","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":718,"text":"V2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":720,"text":"PdV = ∫","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":722,"text":"V2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":724,"text":"constantV dV","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":726,"text":"V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":728,"text":"V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":729,"text":"Integration of this equation gives the equation:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":731,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":733,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":735,"text":"constant × ln V2V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":736,"text":"Using Boyle’s Law again, the ‘constant’ can be replaced by PV to give the equation:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":738,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":740,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":742,"text":"PV 1n V2V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":743,"text":"If the temperature is known, the General Gas Law equation (PV = mRT) may be used to substitute ‘mRT’ for ‘PV’, giving:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":745,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":747,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":749,"text":"mRT ln V2V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":750,"text":"We can also express this work in terms of pressure, since P1V1 = P2V2, which can be rearranged as V2V1 = P1P2 . Substituting this in both equations gives:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":752,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":754,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":756,"text":"PV ln P1P2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":758,"text":"and","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":760,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":762,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":764,"text":"mRT ln P1P2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":766,"text":"Example 6","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":767,"text":"A quantity of air with an initial volume of 20 m3 at a pressure of 700 kPa (absolute) is expanded to a pressure of 100 kPa. What work is done under isothermal conditions?","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":768,"text":"Solution 6","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":769,"text":"For isothermal work, expansion occurs at a constant temperature. Since both pressures are known, use the equation that involves pressure:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":771,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":773,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":775,"text":"P1V1 ln P1P2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":778,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":780,"text":"700 kPa × 20 m3 ln 700kPa100kPa","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":783,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":785,"text":"14 000 kNm × 1.9459","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":788,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":790,"text":"27 243 kNm = 27 243 KJ (Ans.)","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":791,"text":"Example 7","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":792,"text":"A volume of 10 m3 of air at a pressure of 280 kPa (absolute) is expanded isothermally to a volume of 25 m3. What work is done?","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":793,"text":"Solution 7","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":794,"text":"Since both volumes are known, use the equation that involves volumes:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":796,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":798,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":800,"text":"P1V1 ln V2V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":803,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":805,"text":"280 kPa × 10 m3 × ln 25m310m3","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":808,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":810,"text":"280 kPa × 10 m3 × ln 2.5 m3","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":813,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":815,"text":"2800 × 0.9163 kNm","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":818,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":820,"text":"2565.61 kNm = 2565.61 kJ (Ans.)","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":822,"text":"Objective 6","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":824,"text":"Calculate the work done during adiabatic expansion and compression.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":826,"text":"Adiabatic Compression and Expansion","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":827,"text":"During many expansion and compression processes, there is insufficient opportunity for the heat to flow out of or into the working fluid. This process, called adiabatic, occurs when no heat moves across the system boundary. This means that during compression, heat is retained and the temperature of the working fluid increases. During expansion, the temperature decreases.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":828,"text":"In an adiabatic process, the relationship between pressure and volume involves the ratio of specific heats, Cp/Cv designated by γ. The pressure-volume relationship is:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":830,"text":"PVγ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":832,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":834,"text":"a constant","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":835,"text":"Another way to express this is:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":837,"text":"P1V1γ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":839,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":841,"text":"P2V2γ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":842,"text":"Figure 7 represents an adiabatic expansion, from point 1 (P1, V1) to point 2 (P2, V2). The curved lines, T1 and T2, represent temperature. Notice that the temperature does not remain constant, but drops from T1 to T2.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":844,"text":"Figure 7 – Adiabatic Expansion or Compression Process","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":847,"text":"Again, the work done is represented by the shaded area under the expansion line. Also, the area under the curve can be found by taking a small strip of volume, dV, (see Figure 6) and using calculus to integrate the volume from V1 to V2.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":849,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":851,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":853,"text":"∫","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":855,"text":"V2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":857,"text":"PdV","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":859,"text":"V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":861,"text":"since PVγ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":863,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":865,"text":"constant, then P = constantVγ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":867,"text":"Substituting this for P in the calculus equation gives:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":869,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":871,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":873,"text":"∫","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":875,"text":"V2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":877,"text":"constantVγ dV","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":879,"text":"V1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":880,"text":"When the calculus is completed, we end with the following derived formula for work during an adiabatic process:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":882,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":884,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":886,"text":"P1V1–P2V2γ–1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":887,"text":"Example 8","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":888,"text":"A volume of 10 m3 of air at a pressure of 280 kPa absolute is expanded adiabatically to a volume of 25 m3. What work is done? (Assume that Cp = 1.005 and Cv = 0.718)","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":889,"text":"Solution 8","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":890,"text":"First, find the value of γ, using the ratio of specific heats:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":892,"text":"γ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":894,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":896,"text":"CpCv = 1.0050.718 = 1.400","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":897,"text":"Then, calculate P2 using the equation P1V1γ = P2V2γ:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":899,"text":"P1V1γ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":901,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":903,"text":"P2V2γ","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":905,"text":"P2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":907,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":909,"text":"P1Vγ1Vγ2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":912,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":914,"text":"280kPa×(10)1.400m3(25)1.400m3","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":917,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":919,"text":"280 × 0.2773 kPa","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":922,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":924,"text":"77.63 kPa","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":925,"text":"Finally, calculate the work using the adiabatic equation:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":927,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":929,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":931,"text":"P1V1–P2V2γ–1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":934,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":936,"text":"(280kPa×10m3)–(76.78kPa×25m3)1.400–1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":939,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":941,"text":"2800–1919.500.400 kNm","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":944,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":946,"text":"880.500.400 kNm","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":949,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":951,"text":"2201.25 kNm = 2201.25 kJ (Ans.)","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":953,"text":"Objective 7","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":955,"text":"Calculate the work done during polytropic expansion and compression.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":957,"text":"Polytropic Expansion and Compression","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":958,"text":"Most expansion or compression processes are neither isothermal nor adiabatic. Some heat is always expended during expansion and retained during compression. This condition of varying pressure, volume and heat flow is called a polytropic process. These processes look much like an adiabatic process, but the ratio of Cp to Cv (ie. γ) does not apply. Instead, a different exponent, n, is used to define the relationship between pressure and volume, as follows:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":960,"text":"PVn","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":962,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":964,"text":"a constant","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":965,"text":"This can also be expressed as: P1V1n = P2V2n","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":966,"text":"Figure 8 shows the curve for a polytropic expansion from point 1 (P1, V1) at temperature, T1, to point 2 (P2,V2), at temperature, T2.","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":968,"text":"Figure 8 – Polytropic Expansion Process","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":971,"text":"The work done during the polytropic process is represented by the shaded area under the curve. The reasoning and mathematics (calculus) involved in developing the work formula is identical to that for the adiabatic process, except that n is used instead of γ. Thus, for a polytropic process, the work done can be calculated from:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":973,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":975,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":977,"text":"P1V1–P2V2n–1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":978,"text":"Example 9","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":979,"text":"10 m3 of air at 280 kPa (absolute) is expanded to a volume of 25 m3. If the expansion is polytropic, how much work is done? (Assume that n = 1.2)","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":980,"text":"Solution 9","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":981,"text":"First, calculate the final pressure, P2, using P1V1n = P2V2n:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":983,"text":"P1V1n","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":985,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":987,"text":"P2V2n","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":989,"text":"P2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":991,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":993,"text":"P1Vn1Vn2","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":996,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":998,"text":"280kPa×(10)1.2m3(25)1.2m3","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1001,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1003,"text":"280×15.8547.59 kPa","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1006,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1008,"text":"443847.59 kPa","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1011,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1013,"text":"93.25 kPa","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1014,"text":"Now, calculate the work, using the polytropic equation:","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1016,"text":"W","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1018,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1020,"text":"P1V1–P2V2n–1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1023,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1025,"text":"(280kPa×10m3)–(93.25kPa×25m3)1.2–1","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1028,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1030,"text":"2800–2331.251.2–1 kNm","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1033,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1035,"text":"2800–2331.250.2 kNm","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1038,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1040,"text":"468.750.2 kNm","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1043,"text":"=","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1045,"text":"2343.75 kNm = 2343.75 kJ (Ans.)","head1":"Work Done During Isothermal Process","head2":""},
+    {"block":1046,"text":"Comparison of Expansion and Compression Processes","head1":"Comparison of Expansion and Compression Processes","head2":"","heading":true},
+    {"block":1047,"text":"The work done by a gas during expansion can be compared for the various processes by observing the processes imposed on a single PV diagram. This is shown in Figure 9. The premise is that each process starts at the same point 1 (P1, V1) and expands to the same final volume (V2). Since the work performed in each case is represented by the area under the curve, the comparison can easily be observed. The greatest work is done during the isobaric process, followed by isothermal, polytropic, and adiabatic.","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1049,"text":"Figure 9 – Comparison of Expansion Processes","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1052,"text":"Figure 10 shows a similar comparison for a compression from point 1 (P1, V1) to the final volume (V2). Again, comparing the areas under the curves, we see that the work done on the gas during the compression is greatest during an adiabatic process, followed by polytropic, isothermal, and isobaric.","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1054,"text":"Figure 10 – Comparison of Compression Processes","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1058,"text":"Chapter Questions","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1061,"text":"1. A receiver contains 1.5 m3 of air at 860 kPa and 20°C. Calculate the final temperature after 2.75 kg of air is added if the final pressure is 1325 kPa. (R for air = 0.287 kJ/kgK)","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1062,"text":"2. 2 m3 of hydrogen at atmospheric pressure in a closed vessel needs to be heated from 0°C to 21°C. If the specific heat at constant volume is 10 070 J/kg°C, how much heat is required? (R for hydrogen = 4.139 kJ/kgK)","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1063,"text":"3. A tank with a volume of 5 m3 is half full of water. Top half of the tank contains 2.75 kg of air at atmospheric pressure. If the partial pressure of water is 7.3814 kPa, what is the temperature of the air in the tank? (R for air = 0.287 kJ/kgK)","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1064,"text":"4. The values of the specific heats of a gas at constant pressure and at constant volume are 0.9839 and 0.7285, respectively. Find the value of γ for this gas. If 1.8 kg of this gas is heated from 16°C to 155°C, find the heat absorbed if the heating takes place at","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1065,"text":"a) Constant pressure","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1066,"text":"b) Constant volume.","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1067,"text":"5. With respect to compression and expansion processes, define the following:","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1068,"text":"a) Isothermal process","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1069,"text":"b) Adiabatic process","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1070,"text":"c) Polytropic process","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1071,"text":"6. 100 m3 of a perfect gas at atmospheric pressure and a temperature of 21°C is compressed to 25 m3. What work is required if the gas is compressed:","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1072,"text":"a) Isothermally","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1073,"text":"b) Adiabatically (Assume γ = 1.32)","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1074,"text":"c) Polytropically (Assume n = 1.18)","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1075,"text":"Self-Assessment","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1076,"text":"Question 1","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1077,"text":"Internal energy of a perfect gas is directly related to:","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1078,"text":"temperature","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1079,"text":"pressure","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1080,"text":"pressure and volume","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1081,"text":"pressure and temperature","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1082,"text":"volume","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1089,"text":"Question 2","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1090,"text":"P1/T1 = P2/T2 represents:","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1091,"text":"first law of thermodynamics","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1092,"text":"Boyle's law","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1093,"text":"Charles' law","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1094,"text":"second law of thermodynamics","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1095,"text":"Joule’s law","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1102,"text":"Question 3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1103,"text":"An air receiver is cylindrical with hemispherical ends. The diameter is 1.2 m and the overall length is 4.2 m. How much air (air at atmospheric pressure of 100 kPa) is to be taken from the atmosphere and pumped into the vessel at 500 kPa gauge. The air receiver initially contains air at atmospheric pressure and the compressed air is the same temperature as the atmospheric air.","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1104,"text":"25.8 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1105,"text":"21.5 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1106,"text":"28.25 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1107,"text":"33.9 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1108,"text":"8.59 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1115,"text":"Question 4","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1116,"text":"The general gas law may also be written as:","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1117,"text":"P1V1 = P2V2","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1118,"text":"W = P (V2-V1)","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1119,"text":"PV = mRT","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1120,"text":"Delta Q = Delta U + Work","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1121,"text":"R = Cp-Cv","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1128,"text":"Question 5","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1129,"text":"An air receiver is cylindrical with hemispherical ends. The diameter is 1.1 m and the overall length is 3.1 m. How much air (air at atmospheric pressure of 100 kPa) is to be taken from the atmosphere and pumped into the vessel at 700 kPa gauge. The air receiver initially contains air at atmospheric pressure and the compressed air is the same temperature as the atmospheric air.","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1130,"text":"25.5 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1131,"text":"20.78 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1132,"text":"18.18 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1133,"text":"29.14 m3","head1":"Comparison of Expansion and Compression Processes","head2":""},
+    {"block":1134,"text":"7.79 m3","head1":"Comparison of Expansion and Compression Processes","head2":""}
+  ],
+  "CH3_Thermodynamics_of_Steam.html": [
+    {"block":0,"text":"Thermodynamics of Steam","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 3","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Perform calculations related to properties of steam.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Describe the basic properties of water and steam.","head1":"","head2":""},
+    {"block":13,"text":"2. Perform calculations involving specific enthalpy, dryness fraction, specific heat, and specific volume using steam tables.","head1":"","head2":""},
+    {"block":14,"text":"3. Explain the principles and use of calorimeters to measure the dryness fraction of wet steam.","head1":"","head2":""},
+    {"block":15,"text":"4. Calculate the dryness fraction of steam based on calorimeter data.","head1":"","head2":""},
+    {"block":16,"text":"5. Calculate the internal energy of steam under given conditions.","head1":"","head2":""},
+    {"block":17,"text":"6. Explain entropy and calculate the change in entropy for a particular water/steam process.","head1":"","head2":""},
+    {"block":18,"text":"7. Determine steam properties using a Mollier Chart.","head1":"","head2":""},
+    {"block":19,"text":"8. Calculate boiler thermal efficiency using test data.","head1":"","head2":""},
+    {"block":21,"text":"Objective 1","head1":"","head2":""},
+    {"block":23,"text":"Describe the basic properties of water and steam.","head1":"","head2":""},
+    {"block":25,"text":"Introduction","head1":"","head2":""},
+    {"block":26,"text":"Understanding the behaviour and properties of steam is critical to the successful operation of steam-related equipment and processes. The widespread use of steam is due to the availability of water and the relative safety of steam compared to other fluids. There are some disadvantages to using water and steam, but they are minor compared to the disadvantages of other, more thermodynamically superior fluids, such as ammonia, which are much more hazardous.","head1":"","head2":""},
+    {"block":27,"text":"Steam Tables and Enthalpy","head1":"Steam Tables and Enthalpy","head2":"","heading":true},
+    {"block":28,"text":"The 2nd Class student should already have a solid understanding of the Steam Tables from previous studies. Here is a brief review only.","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":29,"text":"Steam Tables were formulated to show the thermodynamic properties of water and steam at certain pressures and temperatures. A section of the various steam tables can be found in the PanGlobal Academic Supplement. Tables 1 and 2 cover the properties of saturated steam, which is steam at its saturation temperature. Table 1 is a “steam pressure table”, which gives the thermodynamic properties of the steam according to pressure. Table 2 is a “steam temperature table”, which gives the properties according to the saturation temperature of the steam. Table 3 has “properties of superheated steam”, which is steam that is at a higher temperature than the saturation temperature. It shows the properties at certain pressures, cross-referenced against steam temperatures. The properties of steam included in the Steam Tables are:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":31,"text":"p:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":34,"text":"absolute pressure, in kPa","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":36,"text":"t:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":39,"text":"temperature, in °C.","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":41,"text":"v:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":44,"text":"specific volume, in cm3/g, ×10–3 m3/kg, or L/kg","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":48,"text":"vf: = specific volume of liquid","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":52,"text":"vg: = specific volume of vapour","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":54,"text":"U:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":57,"text":"specific internal energy, in kJ/kg","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":61,"text":"Uf or uf = specific internal energy of liquid","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":65,"text":"Ug or ug = specific internal energy of vapour","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":69,"text":"Ufg or ufg = specific internal energy of evaporation","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":71,"text":"H:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":74,"text":"specific enthalpy, in kJ/kg","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":78,"text":"Hf or hf = specific enthalpy of liquid","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":82,"text":"Hg or hg = specific enthalpy of vapour","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":86,"text":"Hfg or hfg = specific enthalpy of evaporation","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":88,"text":"S:","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":91,"text":"specific entropy, in kJ/kgK","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":95,"text":"Sf = specific entropy of liquid","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":99,"text":"Sg = specific entropy of vapour","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":103,"text":"Sfg = specific entropy of evaporation","head1":"Steam Tables and Enthalpy","head2":""},
+    {"block":104,"text":"Interpolation:","head1":"Steam Tables and Enthalpy","head2":"Interpolation:","heading":true},
+    {"block":105,"text":"Since the tables cannot show all values of pressure and temperature, a mathematical process of interpolation must be applied to obtain intermediate values. For example, the pressure table does not include values between 100 kPa and 125 kPa. Therefore, to find the liquid enthalpy, hf, for a pressure of 115 kPa (for example), the following interpolation is required:","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":106,"text":"125 kPa minus 100 kPa = 25 kPa","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":107,"text":"115 kPa minus 100 kPa = 15 kPa","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":108,"text":"So, 115 kPa is 15/25 of the way between 100 kPa and 125 kPa.","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":109,"text":"Also, the value of hf increases between 100 kPa and 125 kPa.","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":110,"text":"Therefore:","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":112,"text":"hf at 115 kPa","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":114,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":116,"text":"hf at 100 kPa + 1525 (hf at 125 kPa – hf at 100 kPa)","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":119,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":121,"text":"417.46 kJ/kg + 1525 (444.32 – 417.46) kJ/kg","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":124,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":126,"text":"417.46 + 1525(26.86) kJ/kg","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":129,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":131,"text":"417.46 + 16.12 kJ/kg","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":134,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":136,"text":"433.58 kJ/kg","head1":"Steam Tables and Enthalpy","head2":"Interpolation:"},
+    {"block":137,"text":"Enthalpy","head1":"Steam Tables and Enthalpy","head2":"Enthalpy","heading":true},
+    {"block":138,"text":"A simple definition of “enthalpy” is “the heat transferred to or from a system”. In the steam tables, the stated enthalpy of water or steam at any given condition represents the amount of heat that must be added (transferred) to each kilogram of water at 0°C in order to convert it to that final condition. Since they represent the heat per kg, the enthalpies stated in the Steam Tables are referred to as specific enthalpy. It follows that total enthalpy is the total mass times the specific enthalpy, or:","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":140,"text":"Total enthalpy (kJ)","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":142,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":144,"text":"mass (kg) × specific enthalpy (kJ/kg)","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":145,"text":"Another, more technical, definition of enthalpy is “a thermodynamic quantity, equal to the internal energy of a system plus the product of its volume and pressure”. That is:","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":147,"text":"enthalpy","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":149,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":151,"text":"internal energy + pressure × volume","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":153,"text":"h","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":155,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":157,"text":"u + PV","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":158,"text":"This can be demonstrated, using a couple of examples from the steam tables.","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":159,"text":"1. The specific enthalpy of water (hf) at 300 kPa absolute is given as 561.47 kJ/kg. Applying the formula should give the same value.","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":161,"text":"hf","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":163,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":165,"text":"uf + PVf","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":168,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":170,"text":"561.15 kJ/kg + 300 kPa × 1.0732 × 10-3 m3/kg","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":173,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":175,"text":"561.47 kJ/kg","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":176,"text":"2. The specific enthalpy of dry, saturated steam (hg) at 300 kPa is given as 2725.3 kJ/kg. Applying the formula should give the same value.","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":178,"text":"hg","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":180,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":182,"text":"ug + PVg","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":185,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":187,"text":"2543.6 kJ/kg + 300 kPa × 605.8 × 10-3 m3/kg","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":190,"text":"=","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":192,"text":"2725.3 kJ/kg","head1":"Steam Tables and Enthalpy","head2":"Enthalpy"},
+    {"block":193,"text":"Water to Steam","head1":"Water to Steam","head2":"","heading":true},
+    {"block":194,"text":"The amount of heat required to convert water into steam is determined by the pressure and temperature conditions. Figure 1 is a temperature-enthalpy diagram, which is intended to show the three stages required to convert one kg of water to one kg of superheated steam as heat is added and the enthalpy increases.","head1":"Water to Steam","head2":""},
+    {"block":195,"text":"The first stage starts at point A, which is water at 0°C and an enthalpy of zero. From there, the water is heated and the process follows the liquid line. If the pressure is 101.3 kPa (atmospheric pressure), at point B on the liquid line there have been 419.04 kJ of heat added to the water and the temperature is now 100°C. The heat added is called sensible heat, since it causes an increase in the temperature of the water which can be “sensed” and measured. The term “sensible heat” has become less common, being superseded by the terms, “liquid enthalpy” or “enthalpy of water”.","head1":"Water to Steam","head2":""},
+    {"block":197,"text":"Figure 1 – Temperature-Enthalpy Diagram for Steam","head1":"Water to Steam","head2":""},
+    {"block":200,"text":"In the next stage, from B to C on Figure 1, the pressure remains constant at 101.3 kPa while heat is added and the water is progressively converted to steam. This occurs at the saturation temperature of 100°C. The heat added is called latent heat (since it produces no change in temperature) or the more proper term, enthalpy of evaporation. As the figure shows, for water at atmospheric pressure, the enthalpy of evaporation (hfg) from B to C is 2257 kJ/kg.","head1":"Water to Steam","head2":""},
+    {"block":201,"text":"At point C, enough heat has been added to convert 100% of the water into steam and, since there is no more liquid, the steam is now dry and saturated. It is called dry, saturated steam, where “saturated steam” means steam that is at the saturation temperature for the existing pressure. At any point between B and C, some of the water has not yet been converted to steam, so the steam is called wet steam. The proportion of steam in the mixture is called the dryness fraction, which increases from 0 (ie. 0% steam) at point B to 1 (ie. 100% steam) at point C.","head1":"Water to Steam","head2":""},
+    {"block":202,"text":"At point C, further heat may be added to the steam. This heat, called superheat, increases the steam temperature to some value above saturation temperature. The steam may then be described as dry and superheated. For example, at point D in Figure 1, the 100°C, 101.3 kPa dry, saturated steam has been increased to 300°C superheated steam. It has 200°C of superheat.","head1":"Water to Steam","head2":""},
+    {"block":203,"text":"Figure 1 also shows a comparison with steam at the higher pressure of 1553.8 kPa, which has a correspondingly higher saturation temperature of 200°C. The liquid enthalpy to reach saturation temperature is higher, at 852.45 kJ/kg. The enthalpy of evaporation to convert this water to dry, saturated steam is less, at 1940.7 kJ/kg.","head1":"Water to Steam","head2":""},
+    {"block":204,"text":"As pressure increases, a point is reached where the densities of water and steam are virtually equal. At this pressure, called the critical pressure, there is no additional heat required to convert the water to steam. Liquid enthalpy (hf = 2099.3 kJ/kg) alone was sufficient to produce steam. Critical pressure is 22 090 kPa and the corresponding temperature is 374.136°C.","head1":"Water to Steam","head2":""},
+    {"block":206,"text":"Objective 2","head1":"Water to Steam","head2":""},
+    {"block":208,"text":"Perform calculations involving specific enthalpy, dryness fraction, specific heat, and specific volume using steam tables.","head1":"Water to Steam","head2":""},
+    {"block":210,"text":"Specific Enthalpy","head1":"Water to Steam","head2":""},
+    {"block":211,"text":"Specific enthalpies, in kJ/kg, are provided in the “Properties of Saturated Steam, Pressure Table” (Table 1 in the Academic Supplement) and in the “Properties of Saturated Steam, Temperature Table” (Table 2 in the Academic Supplement). Both tables have three columns for specific “Enthalpy”.","head1":"Water to Steam","head2":""},
+    {"block":213,"text":"hf or Hf:","head1":"Water to Steam","head2":""},
+    {"block":216,"text":"The specific enthalpy of saturated water (ie. water at the saturation temperature) at given pressures and/or saturation temperatures.","head1":"Water to Steam","head2":""},
+    {"block":218,"text":"hg or Hg:","head1":"Water to Steam","head2":""},
+    {"block":221,"text":"The specific enthalpy of dry, saturated steam at given pressures and/or saturation temperatures.","head1":"Water to Steam","head2":""},
+    {"block":223,"text":"hfg or Hfg:","head1":"Water to Steam","head2":""},
+    {"block":226,"text":"The specific enthalpy of evaporation. This is the increase in enthalpy that is required to convert the water (at hf condition) into steam (at hfg condition).","head1":"Water to Steam","head2":""},
+    {"block":227,"text":"As long as the steam is indeed 100% dry, the relationship between these three specific enthalpies can be stated as:","head1":"Water to Steam","head2":""},
+    {"block":229,"text":"hg","head1":"Water to Steam","head2":""},
+    {"block":231,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":233,"text":"hf + hfg","head1":"Water to Steam","head2":""},
+    {"block":234,"text":"Specific enthalpies are also provided in the “Table of Properties for Superheated Steam” (Table 3 in the Academic Supplement). Here, the symbol “h”, beside each of the listed pressures represents specific enthalpy. The corresponding row gives the specific enthalpies for the various columns of superheated steam temperatures at that pressure. Note that the number in brackets beneath each pressure is the saturation temperature at that pressure. Subtracting this value from the final superheat temperature will give the “degrees of superheat” that have been given to the steam. For example, from the superheat table, steam at 11 000 kPa and 700°C, has an enthalpy of 3864.5 kJ/kg. The saturation temperature is 318.15°C; therefore, the steam has 700 – 318.15 = 381.85°C of superheat.","head1":"Water to Steam","head2":""},
+    {"block":235,"text":"Example 1","head1":"Water to Steam","head2":""},
+    {"block":236,"text":"a) How much has the enthalpy changed when 50 kg of feedwater at 15°C is evaporated and leaves a 2000 kPa boiler as dry, saturated steam?","head1":"Water to Steam","head2":""},
+    {"block":237,"text":"b) What is the total change in enthalpy if the superheater then increases the steam temperature to 800°C?","head1":"Water to Steam","head2":""},
+    {"block":238,"text":"c) How much superheat has been added to the saturated steam?","head1":"Water to Steam","head2":""},
+    {"block":239,"text":"Solution 1","head1":"Water to Steam","head2":""},
+    {"block":240,"text":"a) From the steam (temperature) table, specific enthalpy of the feedwater at 15°C is:","head1":"Water to Steam","head2":""},
+    {"block":242,"text":"hf","head1":"Water to Steam","head2":""},
+    {"block":244,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":246,"text":"62.99 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":247,"text":"From the steam (pressure) table, specific enthalpy of dry, saturated steam at 2000 kPa is:","head1":"Water to Steam","head2":""},
+    {"block":249,"text":"hg","head1":"Water to Steam","head2":""},
+    {"block":251,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":253,"text":"2799.5 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":254,"text":"The change in enthalpy per kg of water is, therefore:","head1":"Water to Steam","head2":""},
+    {"block":256,"text":"hg – hf","head1":"Water to Steam","head2":""},
+    {"block":258,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":260,"text":"2799.5 – 62.99 = 2736.51 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":261,"text":"Therefore, the change in enthalpy to convert 50 kg of water into 50 kg of dry, saturated steam:","head1":"Water to Steam","head2":""},
+    {"block":264,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":266,"text":"mass × specific enthalpy change","head1":"Water to Steam","head2":""},
+    {"block":269,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":271,"text":"50 kg × 2736.51 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":274,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":276,"text":"136 825.5 kJ (Ans)","head1":"Water to Steam","head2":""},
+    {"block":277,"text":"b) From the superheated steam table, at 2000 kPa and 800°C, the specific enthalpy is:","head1":"Water to Steam","head2":""},
+    {"block":279,"text":"h","head1":"Water to Steam","head2":""},
+    {"block":281,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":283,"text":"4150.3 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":284,"text":"Increase in specific enthalpy from feedwater to superheated steam:","head1":"Water to Steam","head2":""},
+    {"block":287,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":289,"text":"4150.3 – 62.99 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":292,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":294,"text":"4087.31 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":295,"text":"Total enthalpy increase from feedwater to superheated steam:","head1":"Water to Steam","head2":""},
+    {"block":298,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":300,"text":"mass × specific enthalpy change","head1":"Water to Steam","head2":""},
+    {"block":303,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":305,"text":"50 kg × 4087.31 kJ/kg","head1":"Water to Steam","head2":""},
+    {"block":308,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":310,"text":"204 365.5 kJ (Ans.)","head1":"Water to Steam","head2":""},
+    {"block":311,"text":"c) Again, from the superheated steam table at 2000 kPa, the saturation temperature is 212.43. Therefore:","head1":"Water to Steam","head2":""},
+    {"block":312,"text":"Degrees of superheat added = 800 – 212.43 = 587.57 (Ans.)","head1":"Water to Steam","head2":""},
+    {"block":313,"text":"Another way to approach this type of question is to apply a simple equation,","head1":"Water to Steam","head2":""},
+    {"block":315,"text":"Q","head1":"Water to Steam","head2":""},
+    {"block":317,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":319,"text":"m(h2 – h1)","head1":"Water to Steam","head2":""},
+    {"block":321,"text":"Where:","head1":"Water to Steam","head2":""},
+    {"block":323,"text":"Q","head1":"Water to Steam","head2":""},
+    {"block":325,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":327,"text":"the heat added = change in enthalpy (kJ/kg)","head1":"Water to Steam","head2":""},
+    {"block":329,"text":"m","head1":"Water to Steam","head2":""},
+    {"block":331,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":333,"text":"total mass (kg)","head1":"Water to Steam","head2":""},
+    {"block":335,"text":"h2","head1":"Water to Steam","head2":""},
+    {"block":337,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":339,"text":"final enthalpy (kJ/kg)","head1":"Water to Steam","head2":""},
+    {"block":341,"text":"h1","head1":"Water to Steam","head2":""},
+    {"block":343,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":345,"text":"initial enthalpy (kJ/kg)","head1":"Water to Steam","head2":""},
+    {"block":346,"text":"Using this equation, the solution to Example 1(b), increase in enthalpy from feedwater to superheated steam, would be:","head1":"Water to Steam","head2":""},
+    {"block":348,"text":"Q","head1":"Water to Steam","head2":""},
+    {"block":350,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":352,"text":"m(h2 – h1)","head1":"Water to Steam","head2":""},
+    {"block":355,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":357,"text":"50 kg (4150.3 – 62.99 kJ/kg)","head1":"Water to Steam","head2":""},
+    {"block":360,"text":"=","head1":"Water to Steam","head2":""},
+    {"block":362,"text":"204 365.5 kJ (Ans.)","head1":"Water to Steam","head2":""},
+    {"block":363,"text":"Dryness Fraction","head1":"Dryness Fraction","head2":"","heading":true},
+    {"block":364,"text":"Wet steam is steam (at saturation temperature) that contains a certain amount of free water. That is, some of the water has not yet evaporated, so the steam is not totally dry. The fraction of the steam that is dry is called the “dryness fraction”, often referred to as the “steam quality”. The letter, q, is used to represent the dryness fraction, which is properly stated as a decimal number between 0.0 and 1.0 (eg. 0.78 dry). It is also common to state the dryness as a percentage (eg. 78% dry).","head1":"Dryness Fraction","head2":""},
+    {"block":365,"text":"For the same pressure and saturation temperature, the specific enthalpy of wet steam is less than the specific enthalpy of dry steam. This is because the water (at hf) has not received the total enthalpy of evaporation (hfg) required to convert it entirely into dry steam (at hg). Since the actual proportion of the enthalpy of evaporation received is dependant on the dryness fraction, the specific enthalpy (h) may be determined from:","head1":"Dryness Fraction","head2":""},
+    {"block":367,"text":"h","head1":"Dryness Fraction","head2":""},
+    {"block":369,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":371,"text":"hf + q × hfg","head1":"Dryness Fraction","head2":""},
+    {"block":372,"text":"Example 2","head1":"Dryness Fraction","head2":""},
+    {"block":373,"text":"What is the total enthalpy of 100 kg of 2500 kPa steam, if it is 20% wet?","head1":"Dryness Fraction","head2":""},
+    {"block":374,"text":"Solution 2","head1":"Dryness Fraction","head2":""},
+    {"block":375,"text":"Since the steam is 20% wet, it must be 80% dry; so, q = 0.80","head1":"Dryness Fraction","head2":""},
+    {"block":376,"text":"Specific enthalpy (hf) of saturated liquid at 2500 kPa = 962.11 kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":377,"text":"Specific enthalpy of evaporation (hfg) at 2500 kPa = 1841.0 kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":378,"text":"Specific enthalpy (h) of 80% dry steam at 2500 kPa is:","head1":"Dryness Fraction","head2":""},
+    {"block":380,"text":"h","head1":"Dryness Fraction","head2":""},
+    {"block":382,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":384,"text":"hf + q × hfg","head1":"Dryness Fraction","head2":""},
+    {"block":387,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":389,"text":"962.11 kJ/kg + 0.80 × 1841.0 kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":392,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":394,"text":"2434.9 kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":397,"text":"For 100 kg","head1":"Dryness Fraction","head2":""},
+    {"block":399,"text":"H","head1":"Dryness Fraction","head2":""},
+    {"block":401,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":403,"text":"100 kg × 2434.9 kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":406,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":408,"text":"243 490 kJ","head1":"Dryness Fraction","head2":""},
+    {"block":409,"text":"Example 3","head1":"Dryness Fraction","head2":""},
+    {"block":410,"text":"100 kg of saturated steam at 290°C has a specific enthalpy of 2600 kJ/kg.","head1":"Dryness Fraction","head2":""},
+    {"block":411,"text":"a) how dry is this steam and","head1":"Dryness Fraction","head2":""},
+    {"block":412,"text":"b) how much total heat must be added to completely dry it.?","head1":"Dryness Fraction","head2":""},
+    {"block":413,"text":"Solution 3","head1":"Dryness Fraction","head2":""},
+    {"block":414,"text":"From the steam (temperature) table at 290°C:","head1":"Dryness Fraction","head2":""},
+    {"block":416,"text":"hf","head1":"Dryness Fraction","head2":""},
+    {"block":418,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":420,"text":"1289.07 kJ/kg, hfg = 1477.1 kJ/kg, hg = 2766.2 kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":421,"text":"a)","head1":"Dryness Fraction","head2":""},
+    {"block":423,"text":"h","head1":"Dryness Fraction","head2":""},
+    {"block":425,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":427,"text":"hf + q × hfg","head1":"Dryness Fraction","head2":""},
+    {"block":429,"text":"q","head1":"Dryness Fraction","head2":""},
+    {"block":431,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":433,"text":"h–hfhfg","head1":"Dryness Fraction","head2":""},
+    {"block":436,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":438,"text":"2600–1289.07kJ/kg1477.1kJ/kg","head1":"Dryness Fraction","head2":""},
+    {"block":441,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":443,"text":"0.8875","head1":"Dryness Fraction","head2":""},
+    {"block":447,"text":"The steam is 88.75% dry (Ans.)","head1":"Dryness Fraction","head2":""},
+    {"block":448,"text":"b) Heat required, Q, to totally dry the steam:","head1":"Dryness Fraction","head2":""},
+    {"block":450,"text":"Q","head1":"Dryness Fraction","head2":""},
+    {"block":452,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":454,"text":"m (h2 – h1)","head1":"Dryness Fraction","head2":""},
+    {"block":457,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":459,"text":"100 kg (2766.2 kJ/kg – 2600 kJ/kg)","head1":"Dryness Fraction","head2":""},
+    {"block":462,"text":"=","head1":"Dryness Fraction","head2":""},
+    {"block":464,"text":"16 620 kJ (Ans.)","head1":"Dryness Fraction","head2":""},
+    {"block":465,"text":"Specific Heat","head1":"Specific Heat","head2":"","heading":true},
+    {"block":466,"text":"By definition, the specific heat of water is the amount of heat required to increase the temperature of a unit mass of the water by 1°C. This can be expressed in J/g/°C or, more commonly, in kJ/kg/°C.","head1":"Specific Heat","head2":""},
+    {"block":467,"text":"While the specific heat of water is often quoted as 4.2 kJ/kg/°C, this is the specific heat at atmospheric pressure. The specific heat actually varies with pressure and saturation temperature. This is because the average specific heat from 0°C to any given saturation temperature is equal to the liquid enthalpy divided by the saturation temperature. For example:","head1":"Specific Heat","head2":""},
+    {"block":468,"text":"At saturation temperature of 100°C (pressure = 101.3 kPa), liquid enthalpy (hf) equals 419.04 kJ/kg. The average specific heat of the water between 0°C and 100°C is:","head1":"Specific Heat","head2":""},
+    {"block":470,"text":"419.04kJ/kg100°C","head1":"Specific Heat","head2":""},
+    {"block":473,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":475,"text":"4.1904 kJ/kg/°C","head1":"Specific Heat","head2":""},
+    {"block":476,"text":"At saturation temperature of 200°C (pressure = 1553.8 kPa), liquid enthalpy (hf) equals 852.41 kJ/kg. The average specific heat of the water between 0°C and 200°C is:","head1":"Specific Heat","head2":""},
+    {"block":478,"text":"852.41kJ/kg200°C","head1":"Specific Heat","head2":""},
+    {"block":481,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":483,"text":"4.262 kJ/kg/°C","head1":"Specific Heat","head2":""},
+    {"block":484,"text":"And, from the steam tables, at a pressure of 7000 kPa, the saturation temperature is 285.88°C and hf = 1267.0 kJ/kg. The average specific heat of the water between 0°C and 285.88°C is:","head1":"Specific Heat","head2":""},
+    {"block":486,"text":"1267.0kJ/kg285.88°C","head1":"Specific Heat","head2":""},
+    {"block":489,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":491,"text":"4.432 kJ/kg/°C","head1":"Specific Heat","head2":""},
+    {"block":492,"text":"The average specific heat of water over a certain range (not starting from 0°C), can be determined if the starting and ending enthalpies and temperatures are known. For example, if water at 280°C is heated to 300°C the average specific heat of the water during that process would be:","head1":"Specific Heat","head2":""},
+    {"block":494,"text":"hfat300°C–hfat280°C300°C–280°C","head1":"Specific Heat","head2":""},
+    {"block":496,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":498,"text":"1344.0–1235.9920°C = 5.40 kJ/kg/°C","head1":"Specific Heat","head2":""},
+    {"block":499,"text":"Specific heat is meaningless during a phase change (water to steam). However, the specific heat of superheated steam at a given pressure and through a given temperature range can be determined if the enthalpies and temperatures are known. For example, the specific heat of superheated steam at 6000 kPa between 400°C and 500°C, can be calculated as follows:","head1":"Specific Heat","head2":""},
+    {"block":502,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":504,"text":"hat6000kPaand500°C–hat6000kPaand400°C500°C–400°C","head1":"Specific Heat","head2":""},
+    {"block":507,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":509,"text":"3422.2–3177.2kJ/kg100°C","head1":"Specific Heat","head2":""},
+    {"block":512,"text":"=","head1":"Specific Heat","head2":""},
+    {"block":514,"text":"2.45 kJ/kg/°C","head1":"Specific Heat","head2":""},
+    {"block":515,"text":"Specific Volume","head1":"Specific Volume","head2":"","heading":true},
+    {"block":516,"text":"The specific volume of any substance, including steam, is the volume occupied by a unit mass of the substance. In the steam tables, the units for specific volume, v, are “cm3/g”. However, alternate units are “× 10-3 m3/kg” or “litres/kg (L/kg)”.","head1":"Specific Volume","head2":""},
+    {"block":517,"text":"The steam tables provide specific volumes for saturated liquid (vf) and saturated vapour (vg). We know that, at any given pressure, the specific volume of saturated steam is significantly higher than the volume of saturated water. Water expands significantly when converted to steam. This volume increase is much greater at lower pressures and gets progressively less as pressure increases. For example (refer to the steam tables):","head1":"Specific Volume","head2":""},
+    {"block":519,"text":"At 100 kPa:","head1":"Specific Volume","head2":""},
+    {"block":521,"text":"vf","head1":"Specific Volume","head2":""},
+    {"block":523,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":525,"text":"1.0432 cm3/g or 1.0432 × 10-3 m3/kg or 1.0432 L/kg","head1":"Specific Volume","head2":""},
+    {"block":528,"text":"vg","head1":"Specific Volume","head2":""},
+    {"block":530,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":532,"text":"1 694 cm3/g or 1694 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":538,"text":"At 900 kPa","head1":"Specific Volume","head2":""},
+    {"block":540,"text":"vf","head1":"Specific Volume","head2":""},
+    {"block":542,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":544,"text":"1.1212 cm3/g or 1.1212 × 10-3 m3/kg or 1.1212 L/kg","head1":"Specific Volume","head2":""},
+    {"block":547,"text":"vg","head1":"Specific Volume","head2":""},
+    {"block":549,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":551,"text":"215.0 cm3/g or 215.0 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":557,"text":"At 10 000 kPa:","head1":"Specific Volume","head2":""},
+    {"block":559,"text":"vf","head1":"Specific Volume","head2":""},
+    {"block":561,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":563,"text":"1.4524 cm3/g or 1.4524 × 10-3 m3/kg or 1.4524 L/kg","head1":"Specific Volume","head2":""},
+    {"block":566,"text":"vg","head1":"Specific Volume","head2":""},
+    {"block":568,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":570,"text":"18.026 cm3/g or 18.026 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":576,"text":"At 22 090 kPa:","head1":"Specific Volume","head2":""},
+    {"block":578,"text":"vf","head1":"Specific Volume","head2":""},
+    {"block":580,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":582,"text":"3.155 cm3/g or 3.155 × 10-3 m3/kg or 3.155 L/kg","head1":"Specific Volume","head2":""},
+    {"block":585,"text":"vg","head1":"Specific Volume","head2":""},
+    {"block":587,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":589,"text":"3.155 cm3/g or 3.155 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":590,"text":"Notice from the above that the specific volume of the steam at 100 kPa is about 1623 times that of the liquid. However, at the critical pressure of 22 090 kPa, the specific volumes of steam and water are identical.","head1":"Specific Volume","head2":""},
+    {"block":591,"text":"Dryness fraction affects the specific volume of wet saturated steam. Since only a fraction of the steam has evaporated and expanded accordingly, the specific volume will be dependant on the dryness fraction. To calculate the specific volume for wet steam, the dryness fraction is used as follows:","head1":"Specific Volume","head2":""},
+    {"block":593,"text":"v","head1":"Specific Volume","head2":""},
+    {"block":595,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":597,"text":"(1 – q)vf + (q)vg","head1":"Specific Volume","head2":""},
+    {"block":600,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":602,"text":"vf + (q)vg – (q)vf","head1":"Specific Volume","head2":""},
+    {"block":605,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":607,"text":"vf + q(vg – vf)","head1":"Specific Volume","head2":""},
+    {"block":608,"text":"Example 4","head1":"Specific Volume","head2":""},
+    {"block":609,"text":"500 kg of saturated steam at 2500 kPa has a dryness fraction of 0.8? How many cubic meters does this steam occupy?","head1":"Specific Volume","head2":""},
+    {"block":610,"text":"Solution 4","head1":"Specific Volume","head2":""},
+    {"block":611,"text":"From the steam tables, at 2500 kPa:","head1":"Specific Volume","head2":""},
+    {"block":613,"text":"vf","head1":"Specific Volume","head2":""},
+    {"block":615,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":617,"text":"1.1973 × 10-3 m3/kg and vg = 79.98 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":619,"text":"sp.vol, v","head1":"Specific Volume","head2":""},
+    {"block":621,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":623,"text":"vf + q(vg – vf)","head1":"Specific Volume","head2":""},
+    {"block":626,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":628,"text":"1.1973 × 10-3 m3/kg + 0.80 (79.98 × 10-3 – 1.1973 × 10-3) m3/kg","head1":"Specific Volume","head2":""},
+    {"block":631,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":633,"text":"1.1973 × 10-3 + 0.8 × 78.78 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":636,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":638,"text":"(1.1973 + 63.02) × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":641,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":643,"text":"64.22 × 10-3 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":646,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":648,"text":"0.06422 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":650,"text":"Total vol.","head1":"Specific Volume","head2":""},
+    {"block":652,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":654,"text":"mass × sp. vol.","head1":"Specific Volume","head2":""},
+    {"block":657,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":659,"text":"500 kg × 0.06422 m3/kg","head1":"Specific Volume","head2":""},
+    {"block":662,"text":"=","head1":"Specific Volume","head2":""},
+    {"block":664,"text":"32.11 m3 (Ans.)","head1":"Specific Volume","head2":""},
+    {"block":666,"text":"Objective 3","head1":"Specific Volume","head2":""},
+    {"block":668,"text":"Explain the principles and use of calorimeters to measure the dryness fraction of wet steam.","head1":"Specific Volume","head2":""},
+    {"block":670,"text":"Measuring the Dryness Fraction of Steam","head1":"Specific Volume","head2":""},
+    {"block":671,"text":"Steam that is excessively wet causes corrosion and erosion in equipment. It also reduces plant thermal efficiencies and increases the risk of water hammer in piping or damage to equipment that uses the steam. In a steam plant that produces saturated steam, it may become necessary to monitor the dryness fraction of the steam at various locations in the system in order to maintain efficiency and avoid the difficulties associated with wet steam.","head1":"Specific Volume","head2":""},
+    {"block":672,"text":"A calorimeter is a device that is used to measure the dryness fraction of wet steam and to determine the amount of heat in the steam. There are three types of calorimeter:","head1":"Specific Volume","head2":""},
+    {"block":673,"text":"• Throttling","head1":"Specific Volume","head2":""},
+    {"block":674,"text":"• Separating","head1":"Specific Volume","head2":""},
+    {"block":675,"text":"• Electric","head1":"Specific Volume","head2":""},
+    {"block":676,"text":"Throttling Calorimeters","head1":"Throttling Calorimeters","head2":"","heading":true},
+    {"block":677,"text":"Throttling calorimeters are used for steam with low moisture content. Their operation is based on the principle that enthalpy remains constant when steam pressure is reduced through an orifice or constriction. This is because there is no opportunity for heat to be removed from the steam. If the steam contains a moderate amount of moisture, this moisture will flash (ie. evaporate quickly) into superheated steam at the suddenly lower pressure.","head1":"Throttling Calorimeters","head2":""},
+    {"block":678,"text":"The steam sample should be taken from a vertical pipe that is as close as possible to the steam user (eg. steam engine, heater, turbine) or to the steam source (boiler outlet). An example of a good sampling arrangement is shown in Figure 2.","head1":"Throttling Calorimeters","head2":""},
+    {"block":680,"text":"Figure 2 – Example of Sampling Tube","head1":"Throttling Calorimeters","head2":""},
+    {"block":683,"text":"A simple throttling calorimeter is illustrated in Figure 3. The steam is throttled through the orifice, O, into a lower pressure chamber, C. The temperature is measured with a thermometer, T, and the pressure is measured with a manometer, connected to valve, V2. The steam is allowed to escape to a vent through valve, V1. The body of the calorimeter and the piping to it are well insulated to prevent heat loss to the surroundings and an inadvertent increase in the moisture of the sample. The calorimeter must be warmed with steam for considerable time before the test, to ensure the body is at the same temperature as the steam. If the orifice is sized correctly, the steam will be at atmospheric pressure after throttling.","head1":"Throttling Calorimeters","head2":""},
+    {"block":685,"text":"Figure 3 – Example of Simple Throttling Calorimeter","head1":"Throttling Calorimeters","head2":""},
+    {"block":688,"text":"Throttling calorimeters are used for steam that ranges from about 0.965 dryness at 700 kPa to 0.93 dryness at 2700 kPa. If the moisture content is higher than this, a separating calorimeter is often required upstream of the throttling calorimeter to remove most of the moisture before the steam enters the throttling calorimeter. This is because if the steam is too wet entering the throttling calorimeter, it may still be wet after throttling rather than dry and containing superheat. It will also be at the same saturation temperature as the entering steam and, without measurable superheat, it won’t be possible to determine the enthalpy.","head1":"Throttling Calorimeters","head2":""},
+    {"block":689,"text":"Separating Calorimeter","head1":"Separating Calorimeter","head2":"","heading":true},
+    {"block":690,"text":"An example of a simple, separating calorimeter is shown in Figure 4. The steam enters at A and a change in direction as the steam passes through a tube with holes produces inertial forces that cause moisture to collect in the cavity, V. The amount of liquid collected is measured in the sight glass, G. The dryer steam exits at D and goes to the throttling calorimeter.","head1":"Separating Calorimeter","head2":""},
+    {"block":692,"text":"Figure 4 – Example of a Simple Separating Calorimeter","head1":"Separating Calorimeter","head2":""},
+    {"block":695,"text":"A separating calorimeter can be used on its own (no downstream throttling calorimeter) to calculate the dryness fraction. In this case, the steam leaving the calorimeter is subsequently condensed and the mass of this condensate plus the water in the sight glass are recorded for comparison.","head1":"Separating Calorimeter","head2":""},
+    {"block":696,"text":"A disadvantage to using a separating calorimeter without a throttling calorimeter is that the resulting calculation tends to underestimate the wetness of the steam because some of the moisture carries over with the steam.","head1":"Separating Calorimeter","head2":""},
+    {"block":697,"text":"Electric Calorimeters","head1":"Electric Calorimeters","head2":"","heading":true},
+    {"block":698,"text":"Electric calorimeters are also used to measure the dryness fraction of wet steam. A measured amount of steam is heated with a known amount of electric heat until the steam becomes superheated. The enthalpy is computed from the resultant pressure and temperature from the Steam Tables and the enthalpy of the wet steam is calculated by subtracting the electric heat added. This requires an accurate measurement of the steam flow, which may be difficult to measure.","head1":"Electric Calorimeters","head2":""},
+    {"block":700,"text":"Objective 4","head1":"Electric Calorimeters","head2":""},
+    {"block":702,"text":"Calculate the dryness fraction of steam based on calorimeter data.","head1":"Electric Calorimeters","head2":""},
+    {"block":704,"text":"Measuring Dryness with a Throttling Calorimeter","head1":"Electric Calorimeters","head2":""},
+    {"block":705,"text":"A throttling calorimeter works on the basis that the throttled, superheated steam leaving the calorimeter has the same enthalpy as the wet steam entering the calorimeter. With this in mind the dryness fraction of the wet steam can be calculated by manipulation of the enthalpy equation for wet steam, as follows:","head1":"Electric Calorimeters","head2":""},
+    {"block":706,"text":"Enthalpy of wet steam entering calorimeter, h = hf + q hfg","head1":"Electric Calorimeters","head2":""},
+    {"block":708,"text":"Enthalpy of superheated steam leaving calorimeter","head1":"Electric Calorimeters","head2":""},
+    {"block":710,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":712,"text":"hsup","head1":"Electric Calorimeters","head2":""},
+    {"block":715,"text":"but:","head1":"Electric Calorimeters","head2":""},
+    {"block":717,"text":"hsup","head1":"Electric Calorimeters","head2":""},
+    {"block":719,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":721,"text":"h","head1":"Electric Calorimeters","head2":""},
+    {"block":724,"text":"therefore:","head1":"Electric Calorimeters","head2":""},
+    {"block":731,"text":"hsup","head1":"Electric Calorimeters","head2":""},
+    {"block":733,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":735,"text":"hf + q hfg","head1":"Electric Calorimeters","head2":""},
+    {"block":739,"text":"q hfg","head1":"Electric Calorimeters","head2":""},
+    {"block":741,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":743,"text":"hsup – hf","head1":"Electric Calorimeters","head2":""},
+    {"block":747,"text":"q","head1":"Electric Calorimeters","head2":""},
+    {"block":749,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":751,"text":"hsup–hfhfg","head1":"Electric Calorimeters","head2":""},
+    {"block":752,"text":"Example 5","head1":"Electric Calorimeters","head2":""},
+    {"block":753,"text":"Wet steam at a pressure of 1000 kPa abs is sampled in a throttling calorimeter. If temperature is measured at 100°C and pressure is 100 kPa, what is the quality of the steam?","head1":"Electric Calorimeters","head2":""},
+    {"block":754,"text":"Solution 5","head1":"Electric Calorimeters","head2":""},
+    {"block":755,"text":"From the table for superheated steam, for steam at 100 kPa and 100°C:","head1":"Electric Calorimeters","head2":""},
+    {"block":757,"text":"hsup","head1":"Electric Calorimeters","head2":""},
+    {"block":759,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":761,"text":"2676.2 kJ/kg","head1":"Electric Calorimeters","head2":""},
+    {"block":762,"text":"From the steam (pressure) table, for saturated steam at 1000 kPa:","head1":"Electric Calorimeters","head2":""},
+    {"block":764,"text":"hf","head1":"Electric Calorimeters","head2":""},
+    {"block":766,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":768,"text":"762.81 kJ/kg and hfg = 2015.3 kJ/kg","head1":"Electric Calorimeters","head2":""},
+    {"block":770,"text":"q","head1":"Electric Calorimeters","head2":""},
+    {"block":772,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":774,"text":"hsup–hfhfg","head1":"Electric Calorimeters","head2":""},
+    {"block":777,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":779,"text":"2676.2kJ/kg–762.81kJ/kg2015.3kJ/kg","head1":"Electric Calorimeters","head2":""},
+    {"block":782,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":784,"text":"1913.392015.3","head1":"Electric Calorimeters","head2":""},
+    {"block":787,"text":"=","head1":"Electric Calorimeters","head2":""},
+    {"block":789,"text":"0.949","head1":"Electric Calorimeters","head2":""},
+    {"block":793,"text":"The steam is 94.9% dry (Ans.)","head1":"Electric Calorimeters","head2":""},
+    {"block":794,"text":"Measuring Dryness with a Separating Calorimeter","head1":"Measuring Dryness with a Separating Calorimeter","head2":"","heading":true},
+    {"block":795,"text":"With a separating calorimeter, a rough estimate of the dryness can be made for steam that is too wet for a throttling calorimeter. In order to do so, the steam leaving the calorimeter must be condensed. Then the mass of the water collected in the calorimeter (m1) and the mass of the condensed steam (m2) can be entered into the following calculation for dryness fraction.","head1":"Measuring Dryness with a Separating Calorimeter","head2":""},
+    {"block":797,"text":"q","head1":"Measuring Dryness with a Separating Calorimeter","head2":""},
+    {"block":799,"text":"=","head1":"Measuring Dryness with a Separating Calorimeter","head2":""},
+    {"block":801,"text":"m2m2+m1","head1":"Measuring Dryness with a Separating Calorimeter","head2":""},
+    {"block":802,"text":"This calculation underestimates the wetness of the steam since some of the moisture usually carries out of the calorimeter with the steam.","head1":"Measuring Dryness with a Separating Calorimeter","head2":""},
+    {"block":803,"text":"Separating and Throttling Calorimeters in Series","head1":"Separating and Throttling Calorimeters in Series","head2":"","heading":true},
+    {"block":804,"text":"A more accurate method of measuring dryness is to first pass the steam sample through a separating calorimeter and then pass the steam from that calorimeter through a throttling calorimeter to determine the remaining moisture in the steam.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":805,"text":"Figure 5 illustrates the series arrangement of separating and throttling calorimeters.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":807,"text":"Figure 5 – Separating and Throttling Calorimeters in series","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":810,"text":"If the steam entering the throttling calorimeter has a mass of m2 kg and a dryness fraction of q2, then the mass of the dry fraction of this steam will be q2 × m2 kg. The mass of water removed in the separating calorimeter is m1 kg, so the total mass of the original steam sample is m1 + m2 and the dryness fraction of the original sample is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":812,"text":"q","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":814,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":816,"text":"q2m2m1+m2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":817,"text":"Now, if the steam entering the separating calorimeter has a dryness fraction of q1, we found earlier that this dryness fraction, using the separating calorimeter alone is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":819,"text":"q1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":821,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":823,"text":"m2m1+m2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":824,"text":"We can now substitute q1 for m2m1+m2 in the previous equation, leaving:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":826,"text":"q","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":828,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":830,"text":"q1 × q2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":831,"text":"Example 6","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":832,"text":"The dryness fraction of wet steam at 1400 kPa is to be determined by separating and throttling calorimeters in series. The mass of water obtained in the separating calorimeter is 0.4 kg. In the throttling calorimeter, temperature is 140°C and pressure is 100 kPa and 9 kg of condensate is collected. What is the dryness fraction of the steam?","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":833,"text":"Solution 6","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":834,"text":"First, find the dryness fraction using the separating calorimeter:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":836,"text":"q1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":838,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":840,"text":"m2m2+m1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":843,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":845,"text":"9kg9kg+0.4kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":848,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":850,"text":"0.9574","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":851,"text":"Now, we need to find q2, the dryness fraction entering the throttling calorimeter.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":852,"text":"This will involve the equation, q2=hsup–hfhfg.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":853,"text":"From the saturated steam tables (pressure) at 1400 kPa, the liquid enthalpy (hf) is 830.3 kJ/kg and the enthalpy of evaporation (hfg) is 1959.7 kJ/kg. The enthalpy of the superheated steam (hsup) at 100 kPa and 140°C can be calculated from the superheated steam tables, using interpolation, as follows:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":855,"text":"hsup at 140°C","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":857,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":859,"text":"h at 100°C + 4050 (h at 150°C – h at 100°C)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":862,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":864,"text":"2676.2 kJ/kg + 4050 (2776.4 – 2676.2) kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":867,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":869,"text":"2676.2 + 4050(100.20) kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":872,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":874,"text":"2676.2 + 80.16 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":877,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":879,"text":"2756.36 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":880,"text":"The dryness fraction, q2 , entering the throttling calorimeter is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":882,"text":"q2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":884,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":886,"text":"hsup–hfhfg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":889,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":891,"text":"2756.36–830.31959.7","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":894,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":896,"text":"0.9828","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":897,"text":"With q1 and q2 both known, the overall dryness fraction can be found:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":899,"text":"q","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":901,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":903,"text":"q1 × q2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":906,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":908,"text":"0.9574 × 0.9828","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":911,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":913,"text":"0.941 (Ans.)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":915,"text":"Objective 5","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":917,"text":"Calculate the internal energy of steam under given conditions.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":919,"text":"Internal Energy","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":920,"text":"Internal energy follows the First Law of Thermodynamics, which states that work and heat are equivalent and interchangeable. The equation associated with this law states that the heat added to a system causes a change in both the internal energy and the work done on the system. That is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":922,"text":"Q","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":924,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":926,"text":"ΔU + W","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":927,"text":"In this equation, U represents internal energy. Q represents enthalpy, with a scale beginning at an enthalpy of zero at 0°C. In other words, Q = h. Also, the work done on the fluid causes changes in pressure and volume and the work, W, can be expressed as pv (pressure in kPa × specific volume in m3/kg).","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":928,"text":"By substituting these equivalent expressions, Q = ΔU + W may be rewritten as:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":930,"text":"h","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":932,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":934,"text":"Δu + pv","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":935,"text":"Let’s apply this to a boiler:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":936,"text":"The feedwater enters the boiler at a pressure of p1 kPa and a specific volume of v1. The internal energy is u1. Thus the enthalpy, h1, of the feedwater is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":938,"text":"h1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":940,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":942,"text":"u1 + p1v1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":943,"text":"Heat is then added until the saturation temperature is reached. Most of the heat goes into increasing the internal energy through an increase in temperature. The pressure is constant and there is only a minor increase in the specific volume.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":944,"text":"The enthalpy at the saturation temperature is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":946,"text":"hf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":948,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":950,"text":"uf + p1vf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":951,"text":"An example from the steam table will verify this. At 2000 kPa:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":953,"text":"hf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":955,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":957,"text":"uf + p1vf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":959,"text":"908.79 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":961,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":963,"text":"906.44 kJ/kg + 2000 × 1.1767 × 10-3 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":965,"text":"908.79 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":967,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":969,"text":"906.44 + 2.35 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":971,"text":"908.79 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":973,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":975,"text":"908.79 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":976,"text":"During the next phase, evaporation, the pressure and temperature remain constant while the specific volume increases to vg. Part of the enthalpy change (hfg) is used to increase the internal energy (ug – uf) and the remaining enthalpy change increases the volume (vg – vf). The equation can be written for the evaporation phase as:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":978,"text":"hfg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":980,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":982,"text":"(ug – uf) + p(vg – vf)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":983,"text":"Again, using the example of 2000 kPa, this equation can be verified from the steam tables:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":985,"text":"hfg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":987,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":989,"text":"(ug – uf) + p(vg – vf)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":991,"text":"1890.7 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":993,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":995,"text":"(2600.3 – 906.44) + 2000 (99.63 × 10-3 – 1.1767 × 10-3) kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":997,"text":"1890.7 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":999,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1001,"text":"1693.86 + 2000 × 0.09845 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1003,"text":"1890.7 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1005,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1007,"text":"1693.86 + 196.9 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1009,"text":"1890.7 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1011,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1013,"text":"1890.76 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1014,"text":"The internal energy of wet saturated steam is dependent on the dryness fraction. The internal energy, u, at any dryness between saturated liquid (uf) and dry saturated steam (ug) is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1016,"text":"u","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1018,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1020,"text":"uf + q × ufg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1021,"text":"The change in internal energy (ΔU) between any two conditions (U1 and U2) may be found using the simple formula:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1023,"text":"ΔU","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1025,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1027,"text":"U2 – U1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1028,"text":"Example 7","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1029,"text":"a) Using the basic equation, hf = uf + p1vf , determine the change in internal energy if 1 kg of feedwater at 40°C and 500 kPa is converted to 500 kPa steam with a dryness fraction of 0.97.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1030,"text":"b) Apply the equation, ∆U = U2 – U1, and use the internal energy values from the Steam Tables. Compare this answer with (a).","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1031,"text":"Solution 7","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1032,"text":"a) First, find the internal energy, uf, of the feedwater at 40°C and 500 kPa.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1033,"text":"The enthalpy of the feedwater at 40°C, from the Steam (temperature) Tables is 167.57 kJ/kg and the specific volume is 1.0078 cm3/kg. Note: even though these values are for a saturation pressure of 7.384 kPa, they can be applied at 500 kPa, since liquids are non-compressible so the specific volume doesn’t change. Therefore:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1035,"text":"hf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1037,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1039,"text":"uf + p1vf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1041,"text":"and","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1043,"text":"uf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1045,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1047,"text":"hf – p1vf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1050,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1052,"text":"167.57 kJ/kg – 500 kPa × 1.0078 10-3 m3/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1055,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1057,"text":"167.57 – 0.5039 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1060,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1062,"text":"167.07 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1063,"text":"Now, to find the internal energy of the 500 kPa steam, we need to first find specific enthalpy and specific volume of the steam. From the Steam Tables, at 500 kPa, hf = 640.23 kJ/kg and hfg = 2108.5 kJ/kg. Therefore:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1065,"text":"specific enthalpy, h2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1067,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1069,"text":"hf + qhfg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1072,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1074,"text":"640.23 kJ/kg + 0.97 × 2108.5 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1077,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1079,"text":"640.23 + 2045.25 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1082,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1084,"text":"2685.48 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1085,"text":"Also, at 500 kPa from the Steam Tables, vf = 1.0926 × 10-3 m3/kg and vg = 374.9 × 10-3 m3/kg. Therefore:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1087,"text":"sp. vol, v2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1089,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1091,"text":"vf + q(vg – vf)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1094,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1096,"text":"1.0926 × 10-3 m3/kg + 0.97 (374.9 – 1.0926) × 10-3 m3/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1099,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1101,"text":"1.0926 × 10-3 + 0.97(373.8074) × 10-3 m3/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1104,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1106,"text":"0.3637 m3/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1107,"text":"Now, the internal energy of the 500 kPa steam is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1109,"text":"u2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1111,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1113,"text":"h2 – p2v2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1116,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1118,"text":"2685.48 kJ/kg – 500 kPa × 0.3637 m3/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1121,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1123,"text":"2685.48 kJ/kg – 181.85 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1126,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1128,"text":"2503.63 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1129,"text":"Therefore, the change in internal energy is:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1132,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1134,"text":"energy of steam – energy of water","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1137,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1139,"text":"2503.63 kJ/kg – 167.07 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1142,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1144,"text":"2336.56 kJ/kg (Ans)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1145,"text":"b) Applying the equation, ∆U = U2 – U1:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1147,"text":"U1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1149,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1151,"text":"internal energy of water at 40°C and 500 kPa.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1154,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1156,"text":"hf – p1vf","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1159,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1161,"text":"167.57 kJ/kg – 500 kPa × 1.0078 × 10-3 m3/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1164,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1166,"text":"167.07 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1168,"text":"U2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1170,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1172,"text":"internal energy of 500 kPa wet steam","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1175,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1177,"text":"uf + q ufg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1180,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1182,"text":"639.68 kJ/kg + 0.97 × 1921.6 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1185,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1187,"text":"639.68 + 1863.95 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1190,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1192,"text":"2503.63 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1194,"text":"ΔU","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1196,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1198,"text":"U2 – U1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1201,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1203,"text":"2503.63 kJ/kg – 167.07 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1206,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1208,"text":"2336.56 kJ/kg (Ans.)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1209,"text":"Note: The two answers are the same. Solution (b) would be the easiest to apply on an examination.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1211,"text":"Objective 6","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1213,"text":"Explain entropy and calculate the change in entropy for a particular water/steam process.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1215,"text":"Entropy","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1216,"text":"Entropy has been defined and described in various ways and is not an easy concept to understand. Perhaps that’s because it defines the energy within a substance (at any given condition or state) that is NOT available to do work or to be transferred. It is much easier to understand something that IS available than something that is NOT available.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1217,"text":"The unavailable energy (entropy) in a substance changes with temperature. As temperature increases, entropy also increases and as temperature decreases, entropy also decreases.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1218,"text":"From the Second Law of Thermodynamics, heat naturally flows from a higher temperature source to a lower temperature destination (the heat sink). During the transfer of heat, the temperature of the source decreases, while the temperature of the sink increases. Consequently, the heat transferred into or out of each substance is transferred at some average temperature, which lies between the initial and final temperatures. The heat transfer process is dependent upon the temperatures of the working fluids.","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1219,"text":"During a thermodynamic process, an entropy change is a function of the heat transferred and the absolute temperature(s) at which it transfers. The entropy change for each of the transfer substances is simply the amount of heat transferred (kJ) divided by the mean (average) absolute temperature (K) during the transfer. Given that S = entropy, Q = heat transferred, and T = temperature, the change in entropy can be shown as:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1221,"text":"Change in entropy","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1223,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1225,"text":"heattransferredmeantemperatureduringtransfer","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1227,"text":"or","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1229,"text":"ΔS","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1231,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1233,"text":"ΔQTav","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1234,"text":"Now, since ∆Q = change in enthalpy = H2 – H1, and Tav = (T2 + T1)/2, the equation may be written as:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1236,"text":"ΔS","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1238,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1240,"text":"H2–H1(T2+T1)/2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1241,"text":"If we attach the units, the equation becomes:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1243,"text":"ΔS (kJ/K)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1245,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1247,"text":"H2–H1(kJ)(T2+T1)/2(K)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1248,"text":"Usually, when considering thermodynamic processes, we use specific values (ie. per kilogram) for enthalpy and entropy, since these are available in thermodynamic tables, including steam table. In this case, specific entropy is denoted by a lower case ‘s’, and specific enthalpy by lower case ‘h’. The equation for a change in specific entropy can be written as: (note the units)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1250,"text":"Δs (kJ/kgK)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1252,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1254,"text":"h2–h1(kJ/kg)(T2+T1)/2(K)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1255,"text":"Example 8","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1256,"text":"One kilogram of water is heated from 0°C to 10°C. How much does the entropy of the water change?","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1257,"text":"Solution 8","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1258,"text":"T2 = 0°C = 273 K, T1 = 10°C = 283 K","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1259,"text":"From steam (temperature) table:","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1261,"text":"h2","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1263,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1265,"text":"hf at 10°C = 42.01 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1267,"text":"h1","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1269,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1271,"text":"hf at 0°C = 0.0 kJ.kg","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1273,"text":"Δs","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1275,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1277,"text":"h2–h1(kJ/kg)(T2+T1)/2(K)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1280,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1282,"text":"42.01–0(kJ/kg)(283+273)/2(K)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1285,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1287,"text":"42.01278 kJ/kgK","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1290,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1292,"text":"0.1511 kJ/kgK (Ans.)","head1":"Separating and Throttling Calorimeters in Series","head2":""},
+    {"block":1293,"text":"Entropy in a Process","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process","heading":true},
+    {"block":1294,"text":"The above example only considered the entropy change of the water, while ignoring the entropy change of the heat source. In reality, any heat transfer process requires the heat sink and the heat source to simultaneously undergo a change in entropy. However, keeping the above equation in mind, the heat source experiences less entropy change than the heat sink, since the heat source has a higher mean temperature than the heat sink. This is true even though the total heat given off by the source is equal to the total heat received by the sink.","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1295,"text":"We can explore this concept, using a typical heat transfer situation. Consider the simplified heat exchange arrangement shown in Figure 6. In this exchanger, saturated steam, at 120°C (393 K), is used to heat water, from 10°C to 40°C. Let’s assume that the steam condenses completely and the condensate temperature is also 120°C. In other words, the only heat transferred from the steam to the water is the latent heat (ie. the enthalpy of evaporation). From the steam tables, hfg at 120°C is 2202.6 kJ/kg. Therefore, in this scenario, each kg of steam transfers 2202.6 kJ of heat to the water.","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1296,"text":"To raise the water from 10°C (283 K) to 40°C (313 K), the heat that must be received is:","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1298,"text":"167.57 kJ/kg – 42.01 kJ/kg = 125.56 kJ/kg (using the steam tables)","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1300,"text":"The mass of water heated by each kg of steam will be:","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1302,"text":"M (H2O)","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1304,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1306,"text":"2202.6 kJ/kg/125.56 kJ/kg","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1309,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1311,"text":"17.54 kg","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1313,"text":"Figure 6 – Simplified Heat Exchanger","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1316,"text":"Having set the conditions, let’s calculate the entropy changes within the boundaries of this thermodynamic process. First, consider the 1 kg of steam:","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1318,"text":"Change in entropy of the steam","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1320,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1322,"text":"ΔQTave","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1325,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1327,"text":"−2202.6kJ/kg393K","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1330,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1332,"text":"–5.6 kJ/kgK","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1333,"text":"Since heat is removed from the steam, the entropy change is negative and since the scenario involves only 1 kg of steam, the total entropy change is:","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1335,"text":"–5.6 kJ/kgK × 1 kg","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1337,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1339,"text":"–5.6 kJ/K","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1340,"text":"Now consider the water. Since heat is added to the water, the entropy change will be positive.","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1342,"text":"Change in entropy of the water","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1344,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1346,"text":"ΔQTave","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1349,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1351,"text":"+125.56kJ/kg(283+313)/2K","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1354,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1356,"text":"+0.4213 kJ/kgK","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1357,"text":"Since 1 kg of steam heats 17.54 kg of water, the total entropy change for the water is:","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1359,"text":"17.54 kg × 0.4213 kJ/kgK","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1361,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1363,"text":"+7.39 kJ/K","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1364,"text":"Now, the total entropy change for the system is the sum of the individual entropy changes. In this scenario:","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1366,"text":"Net entropy change","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1368,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1370,"text":"+7.39 + (-5.6) kJ/K","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1373,"text":"=","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1375,"text":"+1.79 kJ/K","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1376,"text":"Notice that there is a net entropy change and the change is positive, indicating an overall increase in entropy. This scenario demonstrates an important, universal principle about entropy. That is, within a closed thermodynamic system the net entropy always increases. This can be expanded to say that the potential for a quantity of energy to do work decreases whenever it is transferred or whenever it is converted from one form to another. Once converted, energy loses the ability on its own (ie. without work being done) to be converted back to its original, more energy intense state.","head1":"Separating and Throttling Calorimeters in Series","head2":"Entropy in a Process"},
+    {"block":1377,"text":"Temperature-Entropy Diagram","head1":"Temperature-Entropy Diagram","head2":"","heading":true},
+    {"block":1378,"text":"A useful diagram to help us understand entropy in relation to temperature is the temperature-entropy diagram (aka the T-S Diagram). Absolute temperature (K) is plotted on the y-axis and specific entropy (kJ/kgK) on the x-axis.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1379,"text":"Figure 7 shows a T-S diagram for steam. The diagram illustrates the conversion of water to superheated steam (at some constant pressure).","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1380,"text":"• In stage A-B, water is heated from 273 K (0°C) to saturation temperature (Tsat). The entropy increase during this stage is shown as sf.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1381,"text":"• In stage B-C, the water is evaporated to dry steam at constant temperature, Tsat. Entropy increase during this stage is shown as sfg.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1382,"text":"• Entropy also increases during superheating, since the enthalpy and temperature of the steam increase.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1383,"text":"As Figure 7 also demonstrates, the areas under the process line represent the change in enthalpy during each stage.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1385,"text":"Figure 7 – Temperature-Entropy Diagram","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1388,"text":"Let’s relate this T-S diagram to a particular condition from the steam tables and follow the entropy changes as water is converted from 0°C into steam. Consider superheated steam at 2000 kPa and 500°C. First, notice that the steam tables define the specific entropy of water as 0.000 kJ/kgK at 0°C (273K).","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1389,"text":"• As the water is heated at 2000 kPa to the corresponding saturation temperature of 212.42°C (485.42 K), the enthalpy increases and the specific entropy increases to sf, which equals 2.4474 kJ/kgK.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1390,"text":"• During evaporation, heat is added at constant temperature and the entropy increases by sfg, which equals 3.8935 kJ/kgK. This results in a total entropy, sg, of 6.3409 kJ/kgK at dry, saturated condition.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1391,"text":"• During superheating, heat is added at increasing temperature to 500°C (773 K). At this final condition, the superheated steam table shows the entropy to be 7.4317 kJ/kgK.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":1392,"text":"Entropy of Wet Steam","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam","heading":true},
+    {"block":1393,"text":"Since a change in entropy is dependent, much like enthalpy, on the transfer of heat, the entropy of wet steam is determined by how much of the latent heat of evaporation has been transferred. This is related directly to the dryness fraction of the steam and the resultant equation for the entropy of wet steam is very similar to that for enthalpy. Where ‘q’ represents the dryness fraction of the steam, the equation is:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1395,"text":"s","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1397,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1399,"text":"sf + q sfg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1400,"text":"Example 9","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1401,"text":"Calculate the specific entropy of wet steam at a pressure of 1400 kPa and a dryness of 0.96.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1402,"text":"Solution 9","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1403,"text":"From the Steam Tables, the specific entropy of the saturated liquid at 1400 kPa is 2.2842 kJ/kgK and the entropy of evaporation is 4.1850 kJ/kgK. The entropy of the wet steam can be calculated as:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1405,"text":"s","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1407,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1409,"text":"sf + qsfg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1412,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1414,"text":"2.2842 kJ/kgK + 0.96 × 4.1850 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1417,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1419,"text":"2.2842 + 4.0176 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1422,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1424,"text":"6.3018 kJ/kgK (Ans.)","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1425,"text":"Example 10","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1426,"text":"One kilogram of dry saturated steam at 3000 kPa is throttled to a pressure of 1000 kPa. Calculate the change in entropy.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1427,"text":"Solution 10","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1428,"text":"From the steam tables:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1430,"text":"at 3000 kPa:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1432,"text":"hg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1434,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1436,"text":"2804.2 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1438,"text":"sg = 6.1869 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1440,"text":"at 1000 kPa:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1442,"text":"hg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1444,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1446,"text":"2778.1 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1447,"text":"Now, realize that during a throttling process, enthalpy after throttling equals enthalpy before throttling (ie. throttling is a constant enthalpy process).","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1448,"text":"Therefore:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1450,"text":"actual enthalpy at 1000 kPa","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1452,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1454,"text":"enthalpy at 3000 kPa","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1457,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1459,"text":"2804.2 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1460,"text":"Since this is greater than the enthalpy (2778.1 kJ/K) of dry, saturated steam at 1000 kPa, the throttled steam must contain superheat. We now need to determine how much superheat (in °C) is in the steam. This requires interpolation, as follows:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1462,"text":"Enthalpy of the superheat","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1464,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1466,"text":"2804.2 – 2778.1 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1469,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1471,"text":"26.10 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1473,"text":"At 1000 kPa and 200°C, h","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1475,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1477,"text":"2827.9 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1479,"text":"At 1000 kPa and 179.91°C (sat. temp.), hg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1481,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1483,"text":"2778.1 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1485,"text":"Increase in enthalpy for 20.09°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1487,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1489,"text":"2827.9 – 2778.1 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1492,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1494,"text":"49.8 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1496,"text":"Degrees of superheat","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1498,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1500,"text":"26.10kJ/kg49.8kJ/kg × 20.09°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1503,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1505,"text":"10.53°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1506,"text":"We now need to determine the entropy at 1000 kPa, with 10.53°C superheat. This requires interpolation of entropy between saturation temp (179.91°C) and 200°C, as follows:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1508,"text":"entropy at 200°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1510,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1512,"text":"6.6940 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1514,"text":"entropy at sat. temp. (179.91°C)","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1516,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1518,"text":"6.5865 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1520,"text":"difference","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1522,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1524,"text":"0.1075 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1526,"text":"temperature difference","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1528,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1530,"text":"20.09°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1532,"text":"actual degrees of superheat","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1534,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1536,"text":"10.53°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1537,"text":"Therefore:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1539,"text":"entropy of superheated steam","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1541,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1543,"text":"(10.5320.09×0.1075kJ/kg) + 6.5865 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1546,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1548,"text":"0.0563 + 6.5865 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1551,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1553,"text":"6.6428 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1554,"text":"And:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1556,"text":"Change in entropy","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1558,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1560,"text":"entropy after throttling – entrophy before throttling","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1563,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1565,"text":"6.6428 kJ/kgK – 6.1869 kJ/kgK","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1568,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1570,"text":"+ 0.4559 kJ/kgK (Ans.)","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1572,"text":"Objective 7","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1574,"text":"Determine steam properties using a Mollier Chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1576,"text":"Mollier Chart","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1577,"text":"A Mollier Chart, also called an Enthalpy-Entropy Chart (or H-S Chart), is very useful in analyzing thermodynamic cycles and performing related calculations. In this chart the y-axis represents specific enthalpy (in kJ/kg), while the x-axis represents specific entropy (in kJ/kgK).","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1578,"text":"Figure 8 shows a portion of the Mollier Chart. The main components of the chart are as follows: (Please Note: An actual Mollier Chart is very complex and is normally presented in a much larger size. The size of our page here restricts the clarity, so we have shown only a portion of the chart and have enlarged some of the labels).","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1579,"text":"Constant entropy lines: Vertical lines along the Entropy scale represent points on the chart that have the same entropy value. At any point over the length of a line, the value of entropy is the same. The points are “isentropic”.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1580,"text":"Constant enthalpy lines: Horizontal lines along the Enthalpy scale represent points on the chart that have the same enthalpy value. At any point over the length of a line, the value of enthalpy is the same. The points are “isenthalpic”.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1581,"text":"Saturation Line: This single, curved line represents all points (conditions) on the chart at which steam is 100% dry and saturated. All points below this line represent wet steam, while all points above the line represent superheated steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1582,"text":"Moisture Lines: Curved lines, below the saturation line, represent points at which the moisture content of the steam is constant. For example, along the line marked “10”, the moisture content is 10% (ie. the steam is 10% wet). Realize that this also means the steam is 90% dry (ie has a dryness fraction of 0.9).","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1583,"text":"Pressure Lines: Vertically slanted and curved lines, represent points at which the absolute pressure (kPa) is constant. Every point on a line is at that pressure.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1584,"text":"Superheat Lines: Horizontally slanted, upwardly curved lines, above the saturation line, represent the degrees of superheat in the steam. For example, each points along the line marked “200” has 200°C of superheat (ie. 200 degrees above the saturation temperature.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1585,"text":"Temperature Lines: Downward curved lines, above the saturation line, represent the actual temperature (°C) of the superheated steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1587,"text":"Figure 8 – Mollier Chart","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1590,"text":"Following are three examples (11, 12, and 13) of problems that can be solved using the Mollier Chart. Each example will provide a step-by-step solution to the questions posed. For each example, the steps are marked and circled on the appropriate lines in the accompanying section of Mollier Chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1591,"text":"Example 11","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1592,"text":"Steam at 500 kPa, with a dryness fraction of 0.96, is throttled down until it is dry and saturated. Using the Mollier Chart, what is the final pressure of the steam and what are the enthalpies and entropies before and after throttling?","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1593,"text":"Solution 11","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1594,"text":"First, you must realize that a throttling process for steam occurs at constant enthalpy. That is, the enthalpy before and after throttling will be the same.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1596,"text":"Step 1:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1599,"text":"Locate the pressure line for the initial pressure of 500 kPa. This is line #1 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1601,"text":"Step 2:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1604,"text":"Locate the moisture line that corresponds to the initial dryness fraction of 0.96. Since the steam is 96% dry, it is 4% wet, so find the moisture line marked “4”. This is line #2 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1605,"text":"Follow line 1 and line 2 to the point at which they intersect. This point represents the initial condition of the steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1607,"text":"Step 3:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1610,"text":"From the initial condition point, follow a horizontal line (line #3) until it intersects the y-axis. This gives the initial enthalpy of the steam, which is about 2660 kJ/kg.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1612,"text":"Step 4:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1615,"text":"Also from the initial condition, follow a vertical line (line #4) down until it intersects the x-axis. This gives the initial entropy of the steam, which is about 6.63 kJ/kgK.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1617,"text":"Step 5:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1620,"text":"From the initial condition point, since enthalpy remains constant, follow a horizontal line (line #5) to the right until it intersects with the final steam condition that is given, which in this case is saturated steam. The final condition is at the intersection with the saturation line.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1622,"text":"Step 6:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1625,"text":"At the intersection with the saturation line, determine which pressure line also passes through this point. In this case the pressure is about 70 kPa (see line #6). This is the final pressure.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1627,"text":"Step 7:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1630,"text":"From the final condition point, follow a line (line #7) down to intersect with the x-axis. Read the final entropy, in this case about 7.48 kJ/kgK.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1632,"text":"Figure 9 – Example 11","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1635,"text":"Example 12","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1636,"text":"Superheated steam at a pressure of 10 000 kPa and a temperature of 700°C is expanded isentropically to a pressure of 100 kPa. Using the Mollier Chart, what is the change in enthalpy and the dryness fraction after expansion?","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1637,"text":"Solution 12","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1639,"text":"Step 1:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1642,"text":"Locate the temperature line for the initial temperature of 700°C. This is line #1 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1644,"text":"Step 2:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1647,"text":"Locate the pressure line that corresponds to the initial pressure of 10 000 kPa. This is line #2 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1648,"text":"Follow line 1 and line 2 to the point at which they intersect. This point represents the initial condition of the steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1650,"text":"Step 3:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1653,"text":"From the initial condition point, follow a horizontal line (line #3) until it intersects the y-axis. This gives the initial enthalpy of the steam, which is about 3870 kJ/kg.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1655,"text":"Step 4:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1658,"text":"Now, from the initial condition, since entropy remains constant, (ie. isentropic) follow a vertical line (line #4) down until it intersects with the pressure line for the final pressure given, which is line #5, at 100 kPa. This is the final condition point for the steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1660,"text":"Step 5:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1663,"text":"From this final condition point, follow a horizontal line (line #6) to the left until it intersects with the y-axis. From the enthalpy scale, read the final enthalpy of the steam, which is about 2605 kJ/kg.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1665,"text":"Step 6:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1668,"text":"Also, determine which moisture line passes through the final condition point. In this case, line #7 represents about 3% moisture. The corresponding dryness fraction is 0.97.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1669,"text":"From the above chart information:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1670,"text":"Change in enthalpy = 3870 – 2605 = 1265 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1671,"text":"and Dryness fraction after expansion = 0.97 (Ans.)","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1673,"text":"Figure 10 – Example 12","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1676,"text":"Example 13","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1677,"text":"A boiler steam drum delivers steam that is 98% dry to a superheater, which adds 300 degrees of superheat to the steam. If the operating pressure is 2000 kPa and the pressure drop through the superheater is negligible, how much enthalpy change occurs in the superheater and what is the final steam temperature?","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1678,"text":"Solution 13","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1680,"text":"Step 1:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1683,"text":"Locate the operating pressure line of 2000 kPa. This is line #1 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1685,"text":"Step 2:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1688,"text":"Locate the moisture line that corresponds to 98% dry steam. This is equivalent to 2% wet steam so is line #2 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1689,"text":"Follow line 1 and line 2 to the point at which they intersect. This point represents the initial condition of the steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1691,"text":"Step 3:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1694,"text":"From the initial condition point, follow a horizontal line (line #3) until it intersects the y-axis. This gives the initial enthalpy of the steam, which is about 2760 kJ/kg.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1696,"text":"Step 4:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1699,"text":"Now, from the initial condition, since pressure remains virtually constant, follow the 2000 kPa line upwards (line #4).","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1701,"text":"Step 5:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1704,"text":"Locate the superheat line that corresponds to the superheat given in the question, which is 300°C. This is line #5 on the chart.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1705,"text":"Follow line 4 and line 5 until they intersect on the chart. This is the final condition point for the steam.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1707,"text":"Step 6:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1710,"text":"From this final condition point, follow a horizontal line (line #6) to the left until it intersects with the y-axis. From the enthalpy scale, read the final enthalpy of the steam, which is about 3495 kJ/kg.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1712,"text":"Step 7:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1715,"text":"Also, determine which temperature line passes through the final condition point. In this case, line #7 represents about 513°C.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1716,"text":"From the above chart information:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1717,"text":"Change in enthalpy = 3495 – 2760 = 735 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1718,"text":"and Final temperature of the steam = 513°C (Ans.)","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1720,"text":"Figure 11 – Example 13","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1724,"text":"Objective 8","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1726,"text":"Calculate boiler thermal efficiency using test data.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1728,"text":"Boiler Efficiency","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1729,"text":"It is important to know the thermal efficiency at which a boiler is operating. A high efficiency boiler is economical and contributes to a high efficiency for the overall plant. Many factors contribute to the thermal efficiency, including boiler design, type of fuel burned, variations in the boiler load factor, and maintenance practices. Therefore, the ability to calculate the efficiency of a boiler helps to ensure economical operation.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1730,"text":"Boiler efficiency is the ratio of the heat transferred to the water and steam over the heat supplied to the boiler by the fuel. This can be written as:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1732,"text":"Boiler efficiency","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1734,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1736,"text":"HeattransferredtowaterandsteamHeatsuppliedbyfuel","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1737,"text":"The heat transferred to the steam is found by taking the difference between the specific enthalpy of the feedwater (hw) and the specific enthalpy of the steam produced (h1) and then multiplying this difference by the mass of steam produced per unit of time (ms). Therefore, the heat transferred to the water and steam is represented by ms (h1 – hw) kJ.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1738,"text":"The heat supplied by the fuel is the mass of fuel used per unit of time ( mf), multiplied by the heating value of the fuel (HVf).","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1739,"text":"The equation for boiler efficiency becomes:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1741,"text":"Eb","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1743,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1745,"text":"ms(h1–hw)mfHVf","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1746,"text":"Example 14","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1747,"text":"A small boiler generates 14.9 kg of steam per kg of fuel oil burned. Fuel oil has a heating value of 44 200 kJ/kg. Feedwater is at 50°C and 1400 kPa. If steam is generated with a dryness of 0.941, what is the boiler efficiency?","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1748,"text":"Solution 14","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1749,"text":"Enthalpy of the feedwater, at 50°C, can be found in the Steam Temperature Tables as 209.33 kJ/kg.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1750,"text":"Enthalpy of the steam is found as:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1752,"text":"h","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1754,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1756,"text":"hf + q hfg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1759,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1761,"text":"830.30 kJ/kg + 0.941 × 1959.7 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1764,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1766,"text":"830.30 + 1844.08 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1769,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1771,"text":"2674.38 kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1772,"text":"Now the boiler efficiency can be calculated, using the equation:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1774,"text":"Eb","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1776,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1778,"text":"ms(h1–hw)mfHVf","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1781,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1783,"text":"14.9kg(2674.38–209.33kJ/kg)1.0kg×44200kJ/kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1786,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1788,"text":"14.9(2465.05)44200","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1791,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1793,"text":"36729.2544200","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1796,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1798,"text":"0.831","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1801,"text":"=","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1803,"text":"83.1% (Ans.)","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1805,"text":"Chapter Questions","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1808,"text":"1. Describe the principle of a throttling calorimeter and explain why a separating calorimeter sometimes has to be added.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1809,"text":"2. A combination separating and throttling calorimeter is connected to a main steam header. The following data was collected:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1810,"text":"• Steam pressure – 2410 kPa","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1811,"text":"• Amount of water collected in the separating calorimeter – 0.87 kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1812,"text":"• Amount of condensate after the throttling separator – 12.5 kg","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1813,"text":"• Pressure of the steam in throttling calorimeter – 185 kPa","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1814,"text":"• Temperature of steam in throttling calorimeter – 135°C","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1815,"text":"Taking the specific heat of the throttled superheated steam as 2.25 kJ/kgK, calculate the main steam line dryness fraction.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1816,"text":"3. One kilogram of steam at a pressure of 100 kPa and 40% dry, receives heat under constant volume raising the pressure to 250 kPa absolute.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1817,"text":"Calculate the following:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1818,"text":"a) volume of the steam","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1819,"text":"b) quality of the steam at the end of the process","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1820,"text":"c) work done","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1821,"text":"d) change in internal energy","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1822,"text":"4. Steam with a dryness of 0.97 is throttled from a pressure of 800 kPa. Using the Mollier Chart, what is the final pressure required for the steam to be dry and saturated? What are the enthalpies and entropies for these two points?","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1823,"text":"5. A boiler is fed with water at a temperature of 40°C and produces 2360 kg of dry steam per hour at a pressure of 1750 kPa and a temperature of 250°C. Heat losses are 40% of the heat supplied and the heating value of the fuel is 46 000 kJ/kg. What is the fuel flow required?","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1824,"text":"Self-Assessment","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1825,"text":"Question 1","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1826,"text":"p(vg - vf) is equal to the ____________________ when the water evaporates into steam in a boiler.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1827,"text":"increase in entropy","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1828,"text":"change in specific volume","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1829,"text":"work done","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1830,"text":"increase in enthalpy","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1831,"text":"increase in volume","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1838,"text":"Question 2","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1839,"text":"On the enthalpy/entropy diagram, an isentropic process can be determined by following:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1840,"text":"entropy lines running vertically","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1841,"text":"pressure lines running from lower left to upper right","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1842,"text":"enthalpy lines running horizontally","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1843,"text":"steam temperature lines running horizontally","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1844,"text":"quality lines running from left to right","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1851,"text":"Question 3","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1852,"text":"One of the following statements about throttling is not true.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1853,"text":"throttling reduces steam temperature","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1854,"text":"throttling occurs when a vapour is passed through a small opening","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1855,"text":"throttling causes an increase in steam enthalpy","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1856,"text":"throttling is not reversible","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1857,"text":"throttling always causes an increase in steam quality","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1864,"text":"Question 4","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1865,"text":"When determining dryness fraction for average boiler pressures a separating calorimeter is generally used for steam when the moisture content is:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1866,"text":"> 2 %","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1867,"text":"> 4 %","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1868,"text":"> 5 %","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1869,"text":"> 7 %","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1870,"text":"> 10 %","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1877,"text":"Question 5","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1878,"text":"When measuring dryness fraction using a throttling calorimeter it is important to be able to:","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1879,"text":"superheat the steam so that it is hot","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1880,"text":"preheat the steam prior to entry into the calorimeter","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1881,"text":"reduce the steam pressure to a manageable level","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1882,"text":"catch the condensate in a separator.","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"},
+    {"block":1883,"text":"superheat the steam so that its temperature can be measured","head1":"Temperature-Entropy Diagram","head2":"Entropy of Wet Steam"}
+  ],
+  "CH4_Practical_Thermodynamic_Cycles.html": [
+    {"block":0,"text":"Practical Thermodynamic Cycles","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 4","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Explain the concepts and use of common thermodynamic cycles, using pressure-volume and temperature-entropy diagrams.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Explain the concept of a heat engine and describe the different types of heat engines.","head1":"","head2":""},
+    {"block":13,"text":"2. Describe the Carnot cycle and calculate Carnot cycle efficiency.","head1":"","head2":""},
+    {"block":14,"text":"3. Explain the Rankine cycle using pressure-volume and temperature-entropy diagrams and calculate Rankine cycle efficiency.","head1":"","head2":""},
+    {"block":15,"text":"4. Explain the Otto cycle using pressure-volume and temperature-entropy diagrams and calculate Otto cycle efficiency.","head1":"","head2":""},
+    {"block":16,"text":"5. Explain the Diesel cycle using pressure-volume and temperature-entropy diagrams and calculate Diesel cycle efficiency.","head1":"","head2":""},
+    {"block":17,"text":"6. Explain the Brayton cycle using pressure-volume and temperature-entropy diagrams and calculate Brayton cycle efficiency.","head1":"","head2":""},
+    {"block":18,"text":"7. Calculate the heat balance at different points in a Rankine cycle system using test data provided.","head1":"","head2":""},
+    {"block":20,"text":"Objective 1","head1":"","head2":""},
+    {"block":22,"text":"Explain the concept of a heat engine and describe the different types of heat engines.","head1":"","head2":""},
+    {"block":24,"text":"Heat Engines","head1":"","head2":""},
+    {"block":25,"text":"One of the most important applications of thermodynamics is in heat engines. A heat engine converts heat energy into mechanical energy. This chapter will cover the most common types.","head1":"","head2":""},
+    {"block":26,"text":"Figure 1 is a graphical way to depict the three main elements of a heat engine. These elements include:","head1":"","head2":""},
+    {"block":27,"text":"1. A source of high temperature heat input, usually obtained by combustion of a fuel.","head1":"","head2":""},
+    {"block":28,"text":"2. A cyclic process that acts on a working fluid, producing work.","head1":"","head2":""},
+    {"block":29,"text":"3. A low temperature heat sink, to which heat is rejected.","head1":"","head2":""},
+    {"block":31,"text":"Figure 1 – Main Elements of Heat Engine","head1":"","head2":""},
+    {"block":34,"text":"The heat engine may operate in reverse, so it becomes a refrigeration device, air conditioner or heat pump. These applications are covered in other chapters.","head1":"","head2":""},
+    {"block":35,"text":"A Simple Heat Engine","head1":"A Simple Heat Engine","head2":"","heading":true},
+    {"block":36,"text":"Figure 2 shows the main components of a simple heat engine. ‘C’ is the cylinder, open at one end and closed at the other, in which a gas-tight piston, ‘B’, is fitted. The piston moves freely within the cylinder. A gas is trapped in the cylinder space, ‘G’. The rod, ‘R’, fixed to the piston, is attached to the rack (or ratchet), ‘N’, at the joint, ‘J’. The rack contacts the toothed wheel, ‘M’, which is prevented from turning in an anti-clockwise direction by the pawl, ‘Q’.","head1":"A Simple Heat Engine","head2":""},
+    {"block":38,"text":"Figure 2 – A Simple Heat Engine","head1":"A Simple Heat Engine","head2":""},
+    {"block":41,"text":"The toothed wheel is attached to the drum, ‘D’, around which is wrapped a cord, ‘A’, carrying a mass, ‘W’. When the piston moves to the right, the ratchet wheel, ‘M’, will be turned clockwise by the rack, but if the piston moves to the left the wheel will remain stationary, held by the pawl, ‘Q’. The motion of the piston to the right will be resisted by the action of the mass, ‘W’ (through the ratchet wheel and rack) and by the pressure of the atmosphere on the outer face of the piston. The motion of the piston will cause work to be done, raising the mass to a height of ‘h’.","head1":"A Simple Heat Engine","head2":""},
+    {"block":42,"text":"If the gas in the cylinder is heated, its volume will increase, due to thermal expansion, and the piston will move to the right, performing work. However, the amount of work that may be done in this way is limited by the extent of the travel of the piston in the cylinder. If the gas can be cooled, the piston can be made to move to the left, decreasing the volume of the gas (the piston being moved to the left by virtue of the pressure differential between the atmosphere and the gas in the cylinder). In this way, the condition of the gas might be restored to its initial state, or condition, such that subsequent heating would produce further work.","head1":"A Simple Heat Engine","head2":""},
+    {"block":43,"text":"It is seen, therefore, that by alternately adding and removing heat, the engine can be made to raise the mass, in stages, through any desired height.","head1":"A Simple Heat Engine","head2":""},
+    {"block":44,"text":"This simple example allows for the following important observations to be made and some conclusions drawn which apply equally well to all heat engines:","head1":"A Simple Heat Engine","head2":""},
+    {"block":45,"text":"• A conversion of energy from heat to mechanical work has taken place. This has been done through the alternate supply and rejection of heat to and from the working fluid in the engine cylinder.","head1":"A Simple Heat Engine","head2":""},
+    {"block":46,"text":"• It is apparent that these operations must be repeated to maintain the work output.","head1":"A Simple Heat Engine","head2":""},
+    {"block":47,"text":"• There must be a relationship between the quantities of heat involved and the amount of work produced.","head1":"A Simple Heat Engine","head2":""},
+    {"block":48,"text":"These observations, supported by experiments and calculations lead to the following statements:","head1":"A Simple Heat Engine","head2":""},
+    {"block":49,"text":"• All heat engines must have a source of heat, a working fluid and a sink.","head1":"A Simple Heat Engine","head2":""},
+    {"block":50,"text":"• In order to produce continuous work, the processes of heat supply and heat rejection must be carried out cyclically.","head1":"A Simple Heat Engine","head2":""},
+    {"block":51,"text":"• The working fluid must be capable of returning to its original state at the end of each cycle.","head1":"A Simple Heat Engine","head2":""},
+    {"block":52,"text":"• During the cycle of operations, the work done will be equivalent to the difference between the heat supplied and the heat rejected.","head1":"A Simple Heat Engine","head2":""},
+    {"block":53,"text":"Types of Heat Engines","head1":"Types of Heat Engines","head2":"","heading":true},
+    {"block":54,"text":"Heat engines may be described by the different types of thermodynamic cycle they utilize. The cycles explained in this chapter include:","head1":"Types of Heat Engines","head2":""},
+    {"block":55,"text":"1. The Carnot cycle: a theoretical cycle with the highest possible efficiency.","head1":"Types of Heat Engines","head2":""},
+    {"block":56,"text":"2. The Rankine cycle: applicable to steam plants.","head1":"Types of Heat Engines","head2":""},
+    {"block":57,"text":"3. The Otto cycle: applicable to spark ignition engines.","head1":"Types of Heat Engines","head2":""},
+    {"block":58,"text":"4. The Diesel cycle: applicable to compression ignition (Diesel) engines.","head1":"Types of Heat Engines","head2":""},
+    {"block":59,"text":"5. The Brayton cycle: applicable to gas turbines.","head1":"Types of Heat Engines","head2":""},
+    {"block":60,"text":"Heat engine cycles may also be classified into two types, based on the nature of the working fluid. These two types are:","head1":"Types of Heat Engines","head2":""},
+    {"block":61,"text":"• Gas cycle","head1":"Types of Heat Engines","head2":""},
+    {"block":62,"text":"• Vapour cycle","head1":"Types of Heat Engines","head2":""},
+    {"block":63,"text":"Gas Cycle","head1":"Types of Heat Engines","head2":"Gas Cycle","heading":true},
+    {"block":64,"text":"The gas cycles use air as the main working fluid. They take a fuel, combust it with atmospheric air, and use the heat of combustion to heat and expand the air. The available energy in the air is used to perform work, then the air and combustion products are released to atmosphere. The Otto, Diesel and Brayton cycles are all gas cycles. The closed cycle gas turbine (Brayton Cycle) is the only gas cycle engine that is not restricted to using only air as the working fluid.","head1":"Types of Heat Engines","head2":"Gas Cycle"},
+    {"block":65,"text":"Vapour Cycle","head1":"Types of Heat Engines","head2":"Vapour Cycle","heading":true},
+    {"block":66,"text":"The vapour cycle uses a condensable vapour as the working fluid. The fluid is in the liquid phase during part of the cycle. The most common working fluid is steam. The Rankine cycle is the classic vapour cycle. A refrigeration cycle is also a vapour cycle.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":68,"text":"Objective 2","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":70,"text":"Describe the Carnot cycle and calculate Carnot cycle efficiency.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":72,"text":"The Carnot Cycle","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":73,"text":"In 1824, Sadi Carnot proposed an engine cycle that remains the model for the ideal upper limit of efficiency for heat engines of all types. In brief, he stated that this engine would operate in such a way that all heat supplied must be at the highest temperature of the cycle and all heat rejected must be at the lowest temperature of the cycle. Further, the expansion of the working fluid must take place without any heat transfer to or from the surroundings and without any internal loss of energy.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":74,"text":"Such an engine cycle is capable of producing the maximum work output of any cycle working between the same temperature limits. The Carnot cycle of operations, taking place on the working fluid in a heat engine, consists of an isothermal heat addition followed by an adiabatic expansion, an isothermal heat rejection and finally an adiabatic re-compression, as shown in Figure 3.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":76,"text":"Figure 3 – Carnot Cycle Pressure-Volume and Temperature-Entrophy Diagrams","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":79,"text":"The work done during the Carnot cycle is equal to the area (shaded) within the boundaries of the PV-diagram. The area within the temperature-entropy diagram represents the enthalpy.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":80,"text":"Let’s consider an ideal Carnot engine, as shown in Figure 4, and imagine the cylinder and piston as perfect heat insulators (ie. will not conduct heat). Imagine the cylinder cover to be a perfect conductor so that all heat addition or rejection occurs only through the cover.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":82,"text":"Figure 4 – Example of a Heat Engine Using the Carnot Cycle","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":85,"text":"At point 1, let the hot body, A, at temperature, T1, and having infinite capacity for supplying heat, be placed in contact with the cylinder cover. The cylinder contains 1 kilogram of a perfect gas at temperature, T1, volume V1 and pressure P1. The piston is allowed to move slowly so that isothermal expansion takes place at temperature, T1. The gas does work as it expands from point 1 (P1, V1) to point 2 (P2, V2) and must take in an amount of heat equivalent to the work done. The work done during this expansion is:","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":87,"text":"WD","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":89,"text":"=","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":91,"text":"mRT ln V2V1","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":92,"text":"Now, remove the hot body, A, and replace it with non-conductor B, which is a perfect thermal insulator. Allow the piston to continue moving to the right, powered only by the expansion of the gas in the cylinder. Since no heat can be taken in or rejected under these conditions, the gas expands adiabatically (ie. with constant entropy), doing work at the expense of its own internal energy. The loss of internal energy causes the gas temperature to fall. This adiabatic expansion continues until the temperature is T2, the pressure is P3, and the volume is V3.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":93,"text":"Now, remove the insulating cover, B, and install cover C, which is capable of absorbing an infinite amount of heat. Cover C will remain at a constant, low temperature, T2, while absorbing heat from the gas in the cylinder. As the piston is forced back to the left, it is compressed and all of the heat of compression will be removed by cover C, so that the compression is isothermal. The isothermal work done on the gas is rejected as heat to cover C. This isothermal compression continues until point 4 is reached. Here, the pressure and volume are such that if further adiabatic compression occurs, the original conditions of the gas (P1, V1, T1) will be restored. In fact, this is what happens in the final step of the cycle.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":94,"text":"At point 4, remove cover C and reinstall the perfectly insulating cover, B. Now, since no heat can be transferred to or from the gas, the continued compression will be adiabatic. The pressure and temperature will rise to P1 and T1, while the volume decreases to V1.","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":95,"text":"This ideal engine suffers no losses due to radiation, conduction or friction. In other words, it is an engine in which the total supplied heat is equal to the sum of the heat that is converted to work and the heat that is rejected (Figure 1). Further, it is an engine in which all the supplied heat is supplied at a constant temperature (the temperature of the hot body) and all the rejected heat is rejected at a constant temperature (the temperature of the cold body).","head1":"Types of Heat Engines","head2":"Vapour Cycle"},
+    {"block":96,"text":"Definition of Efficiency","head1":"Definition of Efficiency","head2":"","heading":true},
+    {"block":97,"text":"The efficiency of any thermodynamic cycle is represented by the ratio of the net mechanical work extracted from the cycle and the heat supplied. The heat converted into work is equal to the heat supplied minus the heat rejected to the heat sink. This gives the formula","head1":"Definition of Efficiency","head2":""},
+    {"block":99,"text":"Thermal efficiency","head1":"Definition of Efficiency","head2":""},
+    {"block":101,"text":"=","head1":"Definition of Efficiency","head2":""},
+    {"block":103,"text":"WorkdoneHeatsupplied","head1":"Definition of Efficiency","head2":""},
+    {"block":106,"text":"=","head1":"Definition of Efficiency","head2":""},
+    {"block":108,"text":"Heatsupplied–HeatrejectedHeatsupplied","head1":"Definition of Efficiency","head2":""},
+    {"block":111,"text":"=","head1":"Definition of Efficiency","head2":""},
+    {"block":113,"text":"1 – HeatrejectedHeatsupplied","head1":"Definition of Efficiency","head2":""},
+    {"block":114,"text":"For cycles that use air (Otto, Diesel and Brayton), the efficiency is often called the air standard efficiency although the term thermal efficiency is equally applicable.","head1":"Definition of Efficiency","head2":""},
+    {"block":115,"text":"An important note is that the efficiency equations derived relate to ideal efficiency and that actual values are always somewhat lower. Friction and other heat losses will result in an increase in entropy so that compression and expansion processes are not necessarily isentropic.","head1":"Definition of Efficiency","head2":""},
+    {"block":116,"text":"Carnot Cycle Efficiency","head1":"Carnot Cycle Efficiency","head2":"","heading":true},
+    {"block":117,"text":"Even though it is impractical to implement, the Carnot Cycle has the highest possible efficiency, so it is valuable as a means of comparison.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":118,"text":"The general definition of efficiency for any process is given by:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":120,"text":"Efficiency","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":122,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":124,"text":"outputinput, and for a thermal process this can be written as:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":126,"text":"Efficiency","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":128,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":130,"text":"workdoneheatsupplied","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":133,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":135,"text":"heatsupplied–heatrejectedheatsupplied","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":138,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":140,"text":"1 – heatrejectedheatsupplied","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":141,"text":"In the Carnot cycle, the heat supplied occurs during isothermal expansion. For an ideal gas, this heat can be expressed in terms of the properties of a gas using the equation:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":143,"text":"Heat supplied","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":145,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":147,"text":"mRT1ln V2V1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":148,"text":"In the same cycle, the heat rejected occurs during the isothermal compression, and is found using the equation:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":150,"text":"Heat rejected","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":152,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":154,"text":"mRT2ln V3V4","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":155,"text":"These expressions for heat supplied and heat rejected can be substituted into the efficiency equation above as follows:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":157,"text":"Efficiency","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":159,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":161,"text":"1 – mRT2lnV3V4mRT1lnV2V1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":162,"text":"But this equation can be simplified further by cancelling like terms. The two volume ratios (V3/V4 and V2/V1) are equal, so can be cancelled, as can ‘m’ and ‘R’. The result is an equation that expresses the Carnot efficiency (denoted by the Greek letter, η) in terms of the absolute temperatures, T1 and T2. That is:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":164,"text":"η","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":166,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":168,"text":"1 – T2T1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":169,"text":"Example 1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":170,"text":"A steam plant produces steam at 520°C. The steam is condensed back to water at 30°C. What is the maximum theoretical efficiency, based on the Carnot cycle?","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":171,"text":"Solution 1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":172,"text":"Apply the Carnot Cycle efficiency equation:","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":174,"text":"η","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":176,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":178,"text":"1 – T2T1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":181,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":183,"text":"1 – (30+273)K(520+273)K","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":186,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":188,"text":"1 – 303793","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":191,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":193,"text":"1 – 0.3821","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":196,"text":"=","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":198,"text":"0.6179 or 61.79% (Ans.)","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":200,"text":"Objective 3","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":202,"text":"Explain the Rankine cycle using pressure-volume and temperature-entropy diagrams and calculate Rankine cycle efficiency.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":204,"text":"The Rankine Cycle","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":205,"text":"The Rankine Cycle is the most fundamental vapour cycle and is in wide use in steam power plants. Figure 5 illustrates a basic steam plant cycle. Heat is supplied to a boiler to produce either saturated or superheated steam. This steam is then expanded through a turbine to extract mechanical work. The steam is then converted back to water by cooling it in a condenser. This condensate is re-pressurized to the required boiler feed pressure with a boiler feed pump and then returned to the boiler.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":207,"text":"Figure 5 – Basic Steam Plant","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":210,"text":"Whereas the Carnot Cycle added and rejected heat at constant temperatures, the Rankine Cycle specifies that the addition of heat to the working fluid (in the boiler) occurs at a constant pressure and the rejection of heat (in the condenser) also occurs at a constant pressure.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":211,"text":"The Rankine Cycle can be illustrated on a pressure-volume (PV) diagram, as shown in Figure 6.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":213,"text":"Stage 1 to 2","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":216,"text":"At point 1, the boiler receives the working substance (water) as a liquid at pressure, P1. Heat is added to the water and its temperature rises to the saturation temperature that corresponds to the pressure, P1. As more heat is added, the pressure and temperature remain constant, while the water evaporates, until it leaves the boiler as dry, saturated vapour (steam), at point 2. Notice that P1 is the highest pressure during the cycle.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":218,"text":"Stage 2 to 3","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":221,"text":"This stage involves the adiabatic expansion of the steam in a steam turbine. Work is performed and the steam pressure drops as the volume increases.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":223,"text":"Stage 3 to 4","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":226,"text":"This is the heat rejection process. Heat is removed from the steam in a condenser, causing the steam to fully condense and then leave the condenser as water. This occurs at a constant pressure, P2, which is the lowest pressure in the cycle.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":228,"text":"Stage 4 to 1","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":231,"text":"This stage is an adiabatic compression, which returns the fluid to its original condition, at point 1. This occurs in a feedwater pump with negligible heat added. Note: If the system has feedwater heaters, they will be downstream of the feedwater pump, so this heat is actually added after the fluid has reached P1 again.","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":233,"text":"Figure 6 – Pressure-Volume Diagram for the Rankine Cycle","head1":"Carnot Cycle Efficiency","head2":""},
+    {"block":236,"text":"Temperature-Entropy Diagram","head1":"Temperature-Entropy Diagram","head2":"","heading":true},
+    {"block":237,"text":"Figure 7 illustrates the heat process that occurs when feedwater, at 40°C, is heated in a boiler and converted to steam at 200°C, and then gives up heat by performing work. In the boiler, the feedwater must first be raised from 40°C to 200°C before any vaporization begins. The heat added to the water (in kJ/kg) is indicated by the area MNCD. This area represents approximately the difference between the enthalpies of the water. Using the steam tables, this is shown to be 852.45 – 167.57 = 684.88 kJ. The horizontal, entropy scale shows the difference in entropies of the water to be (2.33 – 0.57) or about 1.76 kJ/kgK.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":238,"text":"The curve, NC, (the liquid line) is constructed by plotting, from the steam tables, the values of the entropy of the water for a number of different temperatures between 40°C and 200°C.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":239,"text":"When water at 200°C is converted into steam at that temperature, the curve representing the change is a horizontal, constant temperature line, CE. The heat added in this process is the latent heat of evaporation at 200°C, which is 1940.7 kJ/kg. On the temperature-entropy diagram, this latent heat is represented by the area, DCEF. The change in entropy during evaporation is found to be 4.10 kJ/(kgK).","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":241,"text":"Figure 7 – Temperature-Entropy Diagram for the Rankine Cycle","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":244,"text":"There are many variations on this basic Rankine Cycle. These include reheating after partial expansion and then a second expansion through another turbine as well as regeneration, which preheats the feedwater before it enters the boiler.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":245,"text":"Rankine Cycle Efficiency","head1":"Rankine Cycle Efficiency","head2":"","heading":true},
+    {"block":246,"text":"The efficiency of a steam plant on the Rankine Cycle is determined from the heat supplied to the water/steam in the boiler and the work extracted as the steam expands in the steam turbine. The work done by the boiler feed pump can be ignored, since it is relatively small.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":247,"text":"The heat supplied to the water/steam in the boiler is the difference between the enthalpy of the feedwater as it enters the boiler (h1) and the enthalpy of the steam as it leaves the boiler (h2). That is, heat supplied = h2 – h1. With reference to steam tables, h1 is equivalent to hf. Therefore, the heat supplied = h2 – hf. The value of h2 will depend on the exit condition of the steam (saturated or superheated).","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":248,"text":"The work done in the turbine is the difference between the enthalpy of the steam at the boiler exit (h2) and the enthalpy of the steam at the exit of the turbine (h3). Therefore, the work done = h2 – h3. The value of h3 will depend on the condition of the steam leaving the turbine (ie. entering the condenser).","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":249,"text":"Applying the above to the general efficiency equation, will produce an equation for the efficiency (η) of a Rankine Cycle. That is:","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":251,"text":"Efficiency","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":253,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":255,"text":"WorkdoneHeatsupplied","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":257,"text":"η","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":259,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":261,"text":"h2–h3h2–hf","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":262,"text":"Example 2","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":263,"text":"Steam conditions at the exit of a boiler are 4000 kPa abs at 500°C. Condenser operates at a pressure of 4 kPa abs and dryness fraction of steam is 0.88. If enthalpy of the feedwater in this case equals the enthalpy of the condensate, what is the efficiency of this system?","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":264,"text":"Solution 2","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":265,"text":"First, recognize that this is a steam cycle, so the Rankine efficiency should be applied.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":266,"text":"At the exit of the boiler, the enthalpy (h2) of 4000 kPa steam, superheated to 500°C is found in the superheat steam tables to be 3445.3 kJ/kg.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":267,"text":"At the entrance to the condenser, enthalpy (h3) can be calculated using the steam condition and values from the steam tables:","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":268,"text":"From steam tables, at 4 kPa: hf = 121.46 kJ/kg and hfg = 2432.9 kJ/kg","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":269,"text":"Since dryness fraction = 0.88, enthalpy of the steam is:","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":271,"text":"h3","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":273,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":275,"text":"hf + qhfg","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":278,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":280,"text":"121.46 kJ/kg + 0.88 × 2432.9 kJ/kg","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":283,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":285,"text":"121.46 + 2140.95 kJ/kg","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":288,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":290,"text":"2262.41 kJ/kg","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":291,"text":"Enthalpy of the condensate at 4 kPa = hf = 121.46 kJ/kg. As stated in the question, this is also the enthalpy of the feedwater.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":292,"text":"Efficiency (η) can now be found using the Rankine Cycle equation:","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":294,"text":"η","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":296,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":298,"text":"h2–h3h2–hf","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":301,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":303,"text":"3445.3–2262.413445.3–121.46","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":306,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":308,"text":"1182.893323.84","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":311,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":313,"text":"0.3559","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":316,"text":"=","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":318,"text":"35.59% (Ans.)","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":320,"text":"Objective 4","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":322,"text":"Explain the Otto cycle using pressure-volume and temperature-entropy diagrams and calculate Otto cycle efficiency.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":324,"text":"The Otto Cycle","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":325,"text":"The Otto cycle is applied to the spark-ignition that is used in internal combustion engines. The defining characteristic of the Otto cycle is that the addition and rejection of heat are done at (almost) constant volume. The main working fluid is air, which is taken in from the atmosphere, heated by combustion, and then exhausted along with the products of combustion.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":326,"text":"Combustion occurs within the cylinder, unlike the Rankine cycle steam plant where combustion is external. Because the main part of the Otto cycle occurs inside the cylinder, it is called a “non-flow process”. A non-flow process is one in which the working fluid is confined and does not flow across its confining boundaries during the process.","head1":"Rankine Cycle Efficiency","head2":""},
+    {"block":327,"text":"Pressure-Volume Diagram","head1":"Pressure-Volume Diagram","head2":"","heading":true},
+    {"block":328,"text":"Figure 8 shows the pressure-volume diagram for a typical Otto Cycle. The intake and exhaust strokes are not shown on this diagram because thermodynamically, they cancel each other out.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":329,"text":"The intake stroke ends at point 1 and compression begins. From point 1 to point 2, adiabatic compression occurs; the pressure and temperature both increase as the volume decreases.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":330,"text":"From point 2 to point 3, heat is added as internal combustion occurs, when the piston is at the end of its stroke. This causes an increase in pressure, which occurs at approximately constant volume.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":331,"text":"From point 3 to point 4, work is performed. The combustion gases expand adiabatic to atmospheric pressure, pushing the piston to the right.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":332,"text":"From point 4 to point 1, heat is rejected as the gas exhausts from the cylinder at constant volume.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":334,"text":"Figure 8 – Pressure-Volume Diagram for the Otto Cycle","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":337,"text":"The temperature-entropy diagram for the Otto cycle is shown in Figure 9. Compression and expansion are both isentropic (constant entropy; reversible and adiabatic). The other two parts of the cycle cause a change in both temperature and entropy as heat is added and rejected.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":339,"text":"Figure 9 – Temperature-Entropy Diagram for the Otto Cycle","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":342,"text":"Otto Cycle Efficiency","head1":"Otto Cycle Efficiency","head2":"","heading":true},
+    {"block":343,"text":"In the Otto cycle heat is supplied at constant volume and rejected at constant volume. The amount of heat in each case can be determined using the specific heat at constant volume (Cv) times the mass times the temperature difference. That is:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":344,"text":"Heat supplied at constant volume = m Cv (T3 – T2)","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":345,"text":"Heat rejected at constant volume = m Cv (T4 – T1)","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":346,"text":"Substituting these into the basic definition of efficiency, an equation for the efficiency of an Otto Cycle, in terms of the temperatures, can be derived, as follows:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":348,"text":"Thermal efficiency","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":350,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":352,"text":"heatsupplied–heatrejectedheatsupplied","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":354,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":356,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":358,"text":"mCv(T3–T2)–mCv(T4–T1)mCv(T3–T2)","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":360,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":362,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":364,"text":"(T3–T2)–(T4–T1)(T3–T2)","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":366,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":368,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":370,"text":"1 – T4–T1T3–T2","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":371,"text":"Another equation for Otto Cycle efficiency may be developed, based on volume rather than temperature. This uses the ratio of volumes (rv), which can be obtained from the physical dimensions of the piston stroke and clearance. The equation can be derived as follows.","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":372,"text":"First, referring to Figure 8, realize that the volume ratios for compression and expansion are equal. That is:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":374,"text":"rv","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":376,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":378,"text":"V1V2 = V4V3","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":379,"text":"Now, already established equations for adiabatic compression and expansion for an ideal gas are:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":381,"text":"T2T1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":383,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":385,"text":"(V1V2)γ – 1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":387,"text":"T3T4","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":389,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":391,"text":"(V4V3)γ – 1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":392,"text":"The compression ratio (rv) can be substituted for V1/V2 and V4/V3 in these equations, giving:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":394,"text":"T2T1 = (rv)γ–1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":396,"text":"and","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":398,"text":"T3T4 = (rv)γ–1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":399,"text":"These two equations can be rearranged as follows:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":401,"text":"T3 = T4 rvγ–1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":403,"text":"and","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":405,"text":"T2 = T1 rvγ–1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":406,"text":"Now, subtract T2 from T3, then simplify, which gives:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":408,"text":"T3 – T2","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":410,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":412,"text":"T4 rvγ–1 – T1 rvγ–1","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":415,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":417,"text":"rvγ–1 (T4 – T1)","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":418,"text":"Finally, substitute this expression for T3 – T2 into the standard Otto Cycle efficiency equation:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":420,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":422,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":424,"text":"1 – T4–T1T3–T2","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":427,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":429,"text":"1 – T4–T1rγ–1v(T4–T1)","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":432,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":434,"text":"1 – 1rγ–1v","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":435,"text":"Internal combustion engines operating on the Otto cycle operate with a maximum compression ratio of about 10:1 to prevent pre-ignition of the air and fuel mixture. The corresponding ideal efficiency is 60.19% but the realistic value is somewhat less.","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":436,"text":"Example 3","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":437,"text":"Calculate the air standard efficiencies for a range of compression ratios (5, 10, 15 and 20) and describe the manner in which the efficiency increases with compression ratio. Use an isentropic exponent of 1.4.","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":438,"text":"Solution 3","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":439,"text":"Using the equation, η = 1 – 1rγ–1v , the efficiencies are:","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":441,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":443,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":445,"text":"1 – 15(1.4–1) = 0.4747","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":447,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":449,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":451,"text":"1 – 110(1.4–1) = 0.6019","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":453,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":455,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":457,"text":"1 – 115(1.4–1) = 0.6615","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":459,"text":"η","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":461,"text":"=","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":463,"text":"1 – 120(1.4–1) = 0.6983","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":464,"text":"From these results, it can be seen that as the compression ratio increases, the efficiency also increases, but at a decreasing rate.","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":466,"text":"Objective 5","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":468,"text":"Explain the Diesel cycle using pressure-volume and temperature-entropy diagrams and calculate Diesel cycle efficiency.","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":470,"text":"The Diesel Cycle","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":471,"text":"The Diesel cycle applies to compression-ignition, internal combustion engines. The important aspect of the Diesel cycle is that the addition of heat occurs at almost constant pressure. Air is the main working fluid. The air is compressed to a higher pressure inside the cylinder, which increases the temperature, and the fuel ignites spontaneously when it enters the cylinder.","head1":"Otto Cycle Efficiency","head2":""},
+    {"block":472,"text":"Pressure-Volume Diagram","head1":"Pressure-Volume Diagram","head2":"","heading":true},
+    {"block":473,"text":"The variations in pressure and volume during the Diesel Cycle are shown in Figure 10. Intake and exhaust strokes are not shown on this diagram since they cancel each other out, thermodynamically.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":474,"text":"The intake stroke ends at point 1. From point 1 to point 2, adiabatic compression occurs. Pressure and temperature both increase, while volume decreases.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":475,"text":"From point 2 to point 3, internal combustion occurs as the fuel is injected. Pressure remains almost constant, since the piston is forced to the right (thus increasing the volume) for the first part of the power stroke.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":476,"text":"From point 3 to point 4, during the second part of the power stroke, combustion gases expand adiabatically, producing work as the pressure decreases.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":477,"text":"From point 4 to point 1, combustion gases are exhausted from the cylinder. Pressure is reduced back to starting pressure while volume remains constant.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":479,"text":"Figure 10 – Pressure-Volume Diagram for the Diesel Cycle","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":482,"text":"Temperature-Entropy Diagram","head1":"Temperature-Entropy Diagram","head2":"","heading":true},
+    {"block":483,"text":"The temperature-entropy diagram for the Diesel cycle is shown in Figure 11.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":484,"text":"Compression and expansion are both isentropic, that is, reversible and adiabatic. The other two parts of the cycle cause a change in both temperature and entropy as heat is added and rejected. It is similar to the Otto cycle except that the addition of heat is at constant pressure which changes the nature of the curve from points 2 to 3.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":486,"text":"Figure 11 – Temperature-Entropy Diagram for the Diesel Cycle","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":489,"text":"Diesel Cycle Efficiency","head1":"Diesel Cycle Efficiency","head2":"","heading":true},
+    {"block":490,"text":"In the Diesel cycle, heat is supplied at a constant pressure, but rejected at a constant volume. The efficiency equation can be developed much like the Otto efficiency was developed, except that the specific heats at constant volume and constant pressure must be used. This results in:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":492,"text":"Thermal efficiency","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":494,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":496,"text":"1 – heatrejectedatconstantvolumeheatsuppliedatconstantpressure","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":498,"text":"η","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":500,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":502,"text":"1 – mCv(T4–T1)mCp(T3–T2)","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":503,"text":"This equation can be expressed in terms of the isentropic exponent, γ, which is equal to the ratio of specific heats (ie. Cp/Cv.). Substituting this in the above equation produces the general equation for air standard efficiency, which is:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":505,"text":"η","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":507,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":509,"text":"1 – T4–T1γ(T3–T2)","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":510,"text":"Another useful way to express the efficiency is in terms the compression ratio (r), and the cut-off ratio (R). Referring back to Figure 10, we see that expansion occurs during the portion of the power stroke that follows the cut-off point (point 3 on the P-V diagram). The cut-off volume, V3, is the volume at which constant pressure combustion ceases. The clearance volume, V2, is the volume when the piston is at the end of its stroke. Cut-off Ratio (R) is defined as the ratio between the cut-off volume and the clearance volume. That is:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":512,"text":"R","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":514,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":516,"text":"V3V2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":517,"text":"An expression for R in terms of temperatures can also be derived. Since the combustion between points 2 and 3 is at constant pressure, the temperatures and volumes are related as:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":519,"text":"T3T2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":521,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":523,"text":"V3V2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":525,"text":"therefore:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":527,"text":"R","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":529,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":531,"text":"T3T2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":532,"text":"The compression ratio (rv), as defined earlier, is: rv = V4V2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":533,"text":"The mathematical derivation of the efficiency equation in terms of R and rv is long and complex, so will not be covered here. Simply, the equation for air standard efficiency of a diesel engine is:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":535,"text":"η","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":537,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":539,"text":"1 – (Rγ–1)γrγ–1v(R–1)","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":540,"text":"Since compression for a diesel engine is of air only, there is not the same restriction on compression ratio as the Otto engine. Although the Otto cycle is more efficient for the same compression ratio, the diesel engine can operate at substantially higher compression ratios, which make it more efficient. Mechanical considerations do limit diesel engines to a maximum compression ratio of approximately 25:1.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":541,"text":"Example 4","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":542,"text":"Calculate the air standard efficiency of a diesel engine with a compression ratio of 13:1. Temperature at the start of compression is 60°C. After combustion, temperature is 1400°C. Isentropic exponent = 1.4.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":543,"text":"Solution 4","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":544,"text":"First, determine the temperature (T2) after compression, so that the cut-off ratio can be established:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":546,"text":"T2T1","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":548,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":550,"text":"(V1V2)γ – 1","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":552,"text":"T2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":554,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":556,"text":"T1 (V1V2)γ – 1","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":559,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":561,"text":"(60 + 273 K) × (13)1.4 – 1","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":564,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":566,"text":"333 × (13)0.4 K","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":569,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":571,"text":"333 × 2.7898 K","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":574,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":576,"text":"929.01 K","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":577,"text":"Now, cut-off ratio, R, can be found, using the ratio of temperatures, T3 and T2:","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":579,"text":"R","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":581,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":583,"text":"T3T2","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":586,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":588,"text":"(1400+273)K929K","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":591,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":593,"text":"1673929","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":596,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":598,"text":"1.801","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":599,"text":"Then apply the air standard efficiency equation, given R and r.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":601,"text":"η","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":603,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":605,"text":"1 – Rγ–1γrγ–1v(R–1)","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":608,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":610,"text":"1 – (1.801)1.4–11.4×(13)1.4–1(1.801–1)","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":613,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":615,"text":"1 – 2.2789–11.4×(13)0.4×0.801","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":618,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":620,"text":"1 – 1.27891.4×2.7898×0.801","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":623,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":625,"text":"1 – 1.27893.1285","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":628,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":630,"text":"1 – 0.4088","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":633,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":635,"text":"0.5912","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":638,"text":"=","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":640,"text":"59.12% (Ans.)","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":642,"text":"Objective 6","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":644,"text":"Explain the Brayton cycle using pressure-volume and temperature-entropy diagrams and calculate Brayton cycle efficiency.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":646,"text":"Brayton Cycle","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":647,"text":"The Brayton cycle, also known as the Joule cycle, applies to gas turbines. Air is compressed in a compressor and then fuel is added and burned in a combustor. The hot gas leaving the combustor mixes with secondary compressed air to reduce it to a temperature that the turbine can safely handle. The hot gas/air mixture then expands through a turbine, producing work. A portion of this work powers the compressor, while the remainder is available to drive an electrical generator or a process compressor.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":648,"text":"Most gas turbines are of the open cycle design, in which the hot gases are exhausted to atmosphere from the power turbine. Some gas turbines operate on a closed cycle, in which the exhaust gases are recirculated back to the compressor intake. This allows the use of a thermodynamically superior working fluid (such as helium). However, the efficiency of the open cycle design has progressed sufficiently that a closed cycle offers little advantage.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":649,"text":"Figure 12 shows an open cycle gas turbine. It is single shaft design, in which the compressor and power turbine are on the same shaft. Dual and even triple shaft configurations are also quite common.","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":651,"text":"Figure 12 – Basic, Open Cycle Gas Turbine","head1":"Diesel Cycle Efficiency","head2":""},
+    {"block":654,"text":"Pressure-Volume Diagram","head1":"Pressure-Volume Diagram","head2":"","heading":true},
+    {"block":655,"text":"Figure 13 shows the pressure-volume diagram for the Brayton Cycle. It is a steady-flow process, which means the working fluid flows steadily through the gas turbine (it is not “trapped” within a cylinder, like the previous processes). Compression (in the compressor section) and expansion (in the power turbine section) are both adiabatic. Combustion (in the combustor) is continuous and occurs at constant pressure. Heat rejection occurs in the external atmosphere, when the hot exhaust gases cool to ambient temperature.","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":657,"text":"Figure 13 – Pressure-Volume Diagram for the Brayton Cycle","head1":"Pressure-Volume Diagram","head2":""},
+    {"block":660,"text":"Temperature-Entropy Diagram","head1":"Temperature-Entropy Diagram","head2":"","heading":true},
+    {"block":661,"text":"Figure 14 shows the temperature-entropy diagram for the Brayton Cycle. The compression and expansion stages are close to isentropic and the heat addition and rejection are along the lines of constant pressure.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":663,"text":"Figure 14 – Temperature-Entropy Diagram for Brayton Cycle","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":666,"text":"Several cycle modifications are possible with the gas turbine to make better use of the heat added. Though less common now, a regenerator was used to transfer heat from the power turbine exhaust gases to preheat the compressed air, prior to combustion. Intercooling may be used in the compressor to increase efficiency and power output. A few gas turbines reheat the combustion gases in a second turbine. A more common modification, called combined cycle, is the addition of a heat exchanger at the turbine exhaust to produce steam, which is then expanded through a steam turbine to power an electrical generator. A variation on this uses the steam for industrial or commercial heating purposes.","head1":"Temperature-Entropy Diagram","head2":""},
+    {"block":667,"text":"Brayton Cycle Efficiency","head1":"Brayton Cycle Efficiency","head2":"","heading":true},
+    {"block":668,"text":"The Brayton Cycle features adiabatic compression and expansion with combustion at constant pressure. Using the specific heat at constant pressure (Cp), the efficiency is obtained from the basic equation for thermal efficiency:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":670,"text":"η","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":672,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":674,"text":"Heatsupplied–HeatrejectedHeatsupplied","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":677,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":679,"text":"mCp(T3–T2)–mCp(T4–T1)mCp(T3–T2)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":682,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":684,"text":"1 – T4–T1T3–T2","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":685,"text":"Note that all temperatures must be absolute.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":686,"text":"We can now derive an efficiency formula that is based on the pressure ratio, rp.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":687,"text":"First, from Figure 13, we know that the pressure ratio is defined as:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":689,"text":"rp","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":691,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":693,"text":"P2P1 = P3P4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":694,"text":"Also, temperatures are related to pressures as follows:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":696,"text":"T2T1","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":698,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":700,"text":"(P2P1)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":702,"text":"from which","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":704,"text":"T2 = T1 (rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":706,"text":"(eq.1)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":714,"text":"T3T4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":716,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":718,"text":"(P3P4)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":720,"text":"from which","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":722,"text":"T3 = T4 (rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":724,"text":"(eq.2)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":725,"text":"Now, subtract eq. 1 from eq. 2 and simplify:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":727,"text":"T3 – T2","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":729,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":731,"text":"T4 (rp)γ–1γ – T1 (rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":734,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":736,"text":"(T4 – T1)(rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":738,"text":"(eq. 3)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":739,"text":"Now, let’s substitute this expression for “T3 – T2” into the denominator of the general efficiency equation, then simplify to obtain the ideal thermal efficiency of the Brayton Cycle in terms of the pressure ratio (rp).","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":741,"text":"η","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":743,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":745,"text":"1 – T4–T1T3–T2","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":749,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":751,"text":"1 – T4–T1(T4–T1)(rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":755,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":757,"text":"1 – 1(rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":759,"text":"In practice, compression ratios for gas turbines are usually between 10:1 and 15:1, although some engines exceed 20:1. High compression ratios are difficult to achieve efficiently, due to increased compressor temperatures. There is also a metallurgical limit to combustion and turbine components. The majority of open cycle gas turbines have an efficiency of 30-35%.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":760,"text":"Example 5","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":761,"text":"A simple gas turbine operates with a pressure ratio of 12.5:1. Using an intake temperature of 20°C and a turbine inlet temperature of 1150°C, determine:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":762,"text":"a) the temperature at exit of the compressor,","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":763,"text":"b) temperature at exit of the turbine, and","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":764,"text":"c) the thermal efficiency.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":765,"text":"Use isentropic exponent = 1.4.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":766,"text":"Solution 5","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":767,"text":"a) Temperature (T2) at the exit of the compressor:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":769,"text":"T2T1 = (P2P1)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":771,"text":"where","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":773,"text":"P2P1 = rp","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":775,"text":"T2","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":777,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":779,"text":"T1 (rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":782,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":784,"text":"(20 + 273) K × (12.5)1.4–11.4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":787,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":789,"text":"293 × (12.5)0.41.4K","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":792,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":794,"text":"293 × (12.5)0.2857 K","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":797,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":799,"text":"602.91 K","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":802,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":804,"text":"602.91 – 273°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":807,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":809,"text":"329.91°C (Ans.)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":810,"text":"b) Temperature (T4) at the exit of the turbine:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":813,"text":"T3T4 = (P3P4)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":815,"text":"where","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":817,"text":"P3P4 = rp","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":819,"text":"T3T4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":821,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":823,"text":"(rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":825,"text":"T4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":827,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":829,"text":"T3(rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":832,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":834,"text":"(1150+273)K(12.5)1.4–11.4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":837,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":839,"text":"1423K(12.5)0.41.4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":842,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":844,"text":"1423K(12.5)0.2857","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":847,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":849,"text":"1423K2.0577","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":852,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":854,"text":"691.55 K","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":857,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":859,"text":"691.55 – 273°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":862,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":864,"text":"418.55°C (Ans.)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":865,"text":"c) Efficiency is calculated using the equation:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":867,"text":"η","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":869,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":871,"text":"1 – 1(rp)γ–1γ","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":874,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":876,"text":"1 – 1(12.5)1.4–11.4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":879,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":881,"text":"1 – 1(12.5)0.41.4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":884,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":886,"text":"1 – 1(12.5)0.2857","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":889,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":891,"text":"1 – 12.0577","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":894,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":896,"text":"1 – 0.4860","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":899,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":901,"text":"0.5140","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":904,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":906,"text":"51.40% (Ans.)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":907,"text":"This is substantially higher than the practical values achieved. Values of 35% are common for gas turbines with this pressure ratio.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":909,"text":"Objective 7","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":911,"text":"Calculate the heat balance at different points in a Rankine cycle system using test data provided.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":913,"text":"Heat Balance Analysis","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":914,"text":"The term “heat balance” is applied to a schematic flow diagram for a thermal power cycle on which thermodynamic properties and mass flow are indicated for all major flow streams in the power cycle. This diagram is the product of detailed calculations, which apply the laws of conservation of mass and energy to each component in the power cycle and includes the manufacturer’s expected performance. These calculations, in addition to determining flow rates and thermodynamic properties of the fluids (pressure, temperature, enthalpy, and entropy) for all components in the cycle, also predict the overall performance (efficiency and output) of the cycle. Heat balance calculations are first used to design the thermodynamic performance of power cycles.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":915,"text":"Heat balance diagrams are prepared, along with studies for sizing, selecting and optimizing the equipment in the cycle. Heat balance diagrams are generally prepared in several stages, which represent several levels of refinement as the cycle design is developed. The steam turbine manufacturer provides a heat balance – known as a turbine vendor balance - for the components they provide, such as the turbine and feedwater system. However, the turbine vendor balance can only approximate this heat balance – by using nominal performance values – if they do not supply all the related process equipment under the scope of their contract.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":916,"text":"While these estimates (for such items as feedwater heater performance, pump performance, condenser back pressure, auxiliary steam and water flows and variations in controllable parameters at off-design loads) are reasonable when considering the turbine portion of the conceptual project, they are prepared in greater detail later in the project.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":917,"text":"Example 6","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":918,"text":"Calculate the heat balance for a steam plant operating on the Rankine cycle, given the following test data. Determine performance and output data (based on 1 kg of steam). Compare your results with vendor specifications provided below.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":919,"text":"• Boiler feedwater: 50°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":920,"text":"• Boiler outlet conditions: 2000 kPa, 300°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":921,"text":"• Fuel consumption: 13.0 kg of steam/ kg of fuel oil burned (heating value of 44 200 kJ/kg)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":922,"text":"• Boiler vendor rated efficiency: 84%","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":923,"text":"• Turbine exit conditions: 200 kPa, dryness fraction 0.85","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":924,"text":"• Plant rated efficiency: 35%","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":925,"text":"Solution 6","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":926,"text":"Using the steam tables, the heat balance results for the boiler are:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":928,"text":"Known:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":931,"text":"T1 = 50°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":933,"text":"P1 = 2000 kPa","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":935,"text":"h1 = 209.33 kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":937,"text":"Known:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":940,"text":"T2 = 300°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":942,"text":"P2 = 2000 kPa","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":944,"text":"h2 = 3023.5 kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":945,"text":"Boiler efficiency is calculated to be:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":947,"text":"Eb","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":949,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":951,"text":"msf(h1–hw)HVf","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":954,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":956,"text":"13kg(3023.5–209.33)kJ/kg44200kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":959,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":961,"text":"13kg×2814.17kJ/kg44200kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":964,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":966,"text":"36584.21kJ/kg44200kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":969,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":971,"text":"0.8277","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":974,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":976,"text":"82.77% (Ans.)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":977,"text":"This compares favorably with the vendor rating of 84%.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":978,"text":"Using the steam tables provided in the Academic Supplement, the heat balance results for the turbine are:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":980,"text":"Known:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":983,"text":"T2 = 300°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":986,"text":"P2 = 2000 kPa","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":988,"text":"From previous:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":991,"text":"h2 = 3023.5 kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":995,"text":"Known:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":998,"text":"P3 = 200 kPa","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1001,"text":"dryness q = 0.85","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1003,"text":"Saturation temperature:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1006,"text":"T3 = 120.23°C","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1010,"text":"h3","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1012,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1014,"text":"hf + qhfg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1017,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1019,"text":"504.7 kJ/kg + 0.85 (2201.9) kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1022,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1024,"text":"504.7 kJ/kg + 1871.62 kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1027,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1029,"text":"2376.32 kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1030,"text":"Efficiency for the cycle is.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1032,"text":"η","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1034,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1036,"text":"h2–h3h2–hf","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1039,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1041,"text":"3023.5kJ/kg–2376.32kJ/kg3023.5kJ/kg–209.33kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1044,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1046,"text":"647.18kJ/kg2814.17kJ/kg","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1049,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1051,"text":"0.23","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1054,"text":"=","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1056,"text":"23.00% (Ans.)","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1057,"text":"This is substantially lower than the rated efficiency and there are likely steam and turbine efficiency losses. A more detailed heat balance is required to discover the specific problem areas.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1059,"text":"Chapter Questions","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1062,"text":"1. Explain the three main components of every heat engine.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1063,"text":"2. With the aid of a simple sketch, describe the operation of an engine based on the Carnot cycle.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1064,"text":"3. With the aid of a PV diagram, describe the various stages of a steam turbine operating on the Rankine cycle.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1065,"text":"4. An electricity generating station operates with boiler stop valve steam conditions of 3000 kPa and 370°C and a condenser backpressure of 5 kPa. Steam exhausts from turbine with 15% wetness and boiler feedwater returns at 140°C. Calculate the following:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1066,"text":"a) Carnot efficiency","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1067,"text":"b) Rankine efficiency","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1068,"text":"5. Explain the main differences between the Otto and Diesel cycles. What practical limits are there with respect to their efficiencies?","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1069,"text":"6. Calculate the air standard efficiency of a Diesel engine with a compression ratio of 15:1. Temperature at start of compression is 20°C and, after combustion, it has reached 1200°C. Use specific heat ratio = 1.4.","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1070,"text":"7. Air enters the inlet of a gas turbine, operating on the ideal constant pressure cycle, at a temperature of 22°C and 103.25 kPa. Pressure at the discharge of the compressor is 600 kPa. If the temperature at the turbine inlet is 745°C, calculate the following, using a specific heat ratio of 1.4:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1071,"text":"a) Temperature at the end of compression","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1072,"text":"b) Temperature at the turbine exit","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1073,"text":"c) Ideal thermal efficiency","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1074,"text":"Self-Assessment","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1075,"text":"Question 1","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1076,"text":"Rankine cycle efficiency is:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1077,"text":"Net work output of the turbine divided by heat supplied by the boiler","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1078,"text":"Net work input to the turbine divided by heat supplied by the boiler","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1079,"text":"Net work output of the turbine divided by heat supplied to the boiler","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1080,"text":"Net heat supplied to the boiler divided by heat output of the boiler","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1081,"text":"Net heat input to the turbine divided by heat supplied to the boiler","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1088,"text":"Question 2","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1089,"text":"h2 - h3 over h2 - hf is the expression for the thermal efficiency for the:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1090,"text":"Diesel cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1091,"text":"Brayton cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1092,"text":"Otto cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1093,"text":"Rankine cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1094,"text":"Carnot cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1101,"text":"Question 3","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1102,"text":"T1 - T2 over T1 is the expression used for the thermal efficiency of:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1103,"text":"the Otto Cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1104,"text":"the Rankine Cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1105,"text":"the Brayton Cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1106,"text":"the Carnot Cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1107,"text":"the reversed Carnot cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1114,"text":"Question 4","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1115,"text":"The Brayton Cycle is defined as:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1116,"text":"a non-flow cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1117,"text":"an open cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1118,"text":"the air standard cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1119,"text":"a pressure ratio cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1120,"text":"constant volume cycle","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1127,"text":"Question 5","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1128,"text":"An engine operating on the constant volume cycle has a ratio of compression of 9.6:1. If the inlet temperature of the air is 25°C and the temperature at the end of combustion is 1250°C, the theoretical thermal efficiency would be:","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1129,"text":"53.8%","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1130,"text":"59.5%","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1131,"text":"55.4%","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1132,"text":"62.7%","head1":"Brayton Cycle Efficiency","head2":""},
+    {"block":1133,"text":"47.9%","head1":"Brayton Cycle Efficiency","head2":""}
+  ],
+  "CH5_Metallurgy.html": [
+    {"block":0,"text":"Metallurgy","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 5","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Discuss the uses and structure of common metals.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Explain the study of metallurgy and the atomic and crystalline structure of metals.","head1":"","head2":""},
+    {"block":13,"text":"2. Explain the significance of the iron-carbon equilibrium diagram.","head1":"","head2":""},
+    {"block":14,"text":"3. Explain the purposes of, and processes used, in the heat treatment of steels.","head1":"","head2":""},
+    {"block":15,"text":"4. Explain how to interpret metal specifications.","head1":"","head2":""},
+    {"block":16,"text":"5. Explain typical selection of metals for process plant applications (what is selected and why).","head1":"","head2":""},
+    {"block":17,"text":"6. Describe the composition, physical properties, and uses of copper, lead, and tin.","head1":"","head2":""},
+    {"block":18,"text":"7. Describe the composition, physical properties, and uses of aluminum and aluminum alloys.","head1":"","head2":""},
+    {"block":20,"text":"Objective 1","head1":"","head2":""},
+    {"block":22,"text":"Explain the study of metallurgy and the atomic and crystalline structure of metals.","head1":"","head2":""},
+    {"block":24,"text":"Metallurgy","head1":"","head2":""},
+    {"block":25,"text":"Metallurgy is the study of metals and is the oldest science devoted to the study of engineering materials. The growth of metallurgy has led to its division into three well-defined groups:","head1":"","head2":""},
+    {"block":26,"text":"• Extractive","head1":"","head2":""},
+    {"block":27,"text":"• Mechanical","head1":"","head2":""},
+    {"block":28,"text":"• Physical","head1":"","head2":""},
+    {"block":29,"text":"Extractive Metallurgy","head1":"","head2":"Extractive Metallurgy","heading":true},
+    {"block":30,"text":"Extractive metallurgy, the study of the extraction and purification of metals from their ores, is conducted in several steps. Each step increases the purity of the metal by removing unwanted impurities. For example, the route from ore to refined metal may follow one of three paths:","head1":"","head2":"Extractive Metallurgy"},
+    {"block":31,"text":"1. Pyrometallurgy: melting the ore in a furnace to release the metal.","head1":"","head2":"Extractive Metallurgy"},
+    {"block":32,"text":"2. Hydrometallurgy: dissolving the metal from the ore and recovering it as a powder.","head1":"","head2":"Extractive Metallurgy"},
+    {"block":33,"text":"3. Electrometallurgy: dissolving the metal from the ore with the use of electricity, plate the metal out of solution.","head1":"","head2":"Extractive Metallurgy"},
+    {"block":34,"text":"Mechanical Metallurgy","head1":"","head2":"Mechanical Metallurgy","heading":true},
+    {"block":35,"text":"Mechanical metallurgy is the study of the techniques and mechanical forces that shape and make the finished forms of metal. This includes studying the effects of stress, time and temperature.","head1":"","head2":"Mechanical Metallurgy"},
+    {"block":36,"text":"Physical Metallurgy","head1":"","head2":"Physical Metallurgy","heading":true},
+    {"block":37,"text":"Physical metallurgy is the study of the structure of metals. Properties of metals are intimately related to their structures. Careful modification of the structure can produce more desirable and useful properties in a metal. For example, the structure of metals can be changed by modifying chemical composition, alloys and heat treatments.","head1":"","head2":"Physical Metallurgy"},
+    {"block":38,"text":"Metals may be defined as substances that are good conductors of heat and electricity. They are generally malleable and ductile. They occur naturally in ores in the form of chemical compounds such as sulphides or oxides. With the exception of the noble metals, such as platinum and gold, metallic materials tend to react chemically with the environment and revert to compound forms, a process known as corrosion.","head1":"","head2":"Physical Metallurgy"},
+    {"block":39,"text":"A detailed discussion of the extraction of metals from their ores, their subsequent refinement, and the principles of property modification through alloying, are beyond the scope of this chapter; rather, this material covers fundamental concepts.","head1":"","head2":"Physical Metallurgy"},
+    {"block":40,"text":"Many non-ferrous metals are used in power plant construction (e.g. copper and copper-based alloys for condenser tubing and alternator windings, tin-based alloys for bearings, and aluminum for bus bars), but the majority of power plant components are made from iron-based metals. This chapter largely concerns these ferrous materials.","head1":"","head2":"Physical Metallurgy"},
+    {"block":41,"text":"This chapter discusses:","head1":"","head2":"Physical Metallurgy"},
+    {"block":42,"text":"• the principles underlying the behaviour of ferrous metals","head1":"","head2":"Physical Metallurgy"},
+    {"block":43,"text":"• the assessment criteria used for material selection","head1":"","head2":"Physical Metallurgy"},
+    {"block":44,"text":"• the material requirements for fabrication into components, and","head1":"","head2":"Physical Metallurgy"},
+    {"block":45,"text":"• the effects the operating environment has on metals.","head1":"","head2":"Physical Metallurgy"},
+    {"block":46,"text":"Atomic Structure of Metals","head1":"Atomic Structure of Metals","head2":"","heading":true},
+    {"block":47,"text":"Metals, like other matter, can exist in three common physical states—solids, liquids, and gases—depending on the temperature and pressure. For practical purposes, we only work with metals in the first two states, solids and liquids, making temperature our only concern.","head1":"Atomic Structure of Metals","head2":""},
+    {"block":48,"text":"If we could view the atomic structure of a solid metal as it was heated, we would see the atoms of the material increasingly vibrate as the temperature increased. At a certain temperature, the substance would melt, and the cohesive bonds holding the individual atoms together would break, releasing them from their captive positions and allowing them to travel freely throughout the liquid. At the melting point, as with water, heat energy is absorbed without a further increase in temperature until all the metal is in the liquid state. This transition phase is called the latent heat of fusion. Every metal and alloy has a fixed melting point, and the internal arrangement of the atoms in the solid state can also be temperature sensitive as we will see in the next objective. Our main concern in metallurgy is to deal with and understand the complexity of the solid-to-liquid-to-solid phase changes metals go through as they are refined, and the chemical and physical properties exhibited by them during these transitions.","head1":"Atomic Structure of Metals","head2":""},
+    {"block":49,"text":"Figure 1 shows a simple cooling curve for pure copper.","head1":"Atomic Structure of Metals","head2":""},
+    {"block":51,"text":"Figure 1 – Cooling Curve – Pure Copper","head1":"Atomic Structure of Metals","head2":""},
+    {"block":54,"text":"As metal solidifies at the freezing point “a”, a rigid atomic structure forms within the solid, holding individual copper atoms in fixed configurations known as unit cells. In most metals, the geometry of the atoms in these unit cells takes one of three basic structures:","head1":"Atomic Structure of Metals","head2":""},
+    {"block":55,"text":"• Face-centered cubic (FCC)","head1":"Atomic Structure of Metals","head2":""},
+    {"block":56,"text":"• Body-centered cubic (BCC)","head1":"Atomic Structure of Metals","head2":""},
+    {"block":57,"text":"• Close packed hexagonal (CPH)","head1":"Atomic Structure of Metals","head2":""},
+    {"block":58,"text":"Face-Centered Cubic (FCC) Structure","head1":"Atomic Structure of Metals","head2":"Face-Centered Cubic (FCC) Structure","heading":true},
+    {"block":59,"text":"Fourteen atoms form the FCC unit cell, shown in Figure 2. This configuration gives the metals that solidify in this pattern the properties of high ductility, low shear, and low tensile strength but good thermal and electrical conductivity. Examples of metals that are FCC in the solid state are gold, aluminum, silver, lead, nickel, and gamma iron (iron between the temperatures of 910°C and 1390°C).","head1":"Atomic Structure of Metals","head2":"Face-Centered Cubic (FCC) Structure"},
+    {"block":61,"text":"Figure 2 – FCC Unit Cell","head1":"Atomic Structure of Metals","head2":"Face-Centered Cubic (FCC) Structure"},
+    {"block":66,"text":"Body-Centered Cubic (BCC) Structure","head1":"Atomic Structure of Metals","head2":"Body-Centered Cubic (BCC) Structure","heading":true},
+    {"block":67,"text":"Nine atoms are contained in the BCC cubic structure shown in Figure 3. Metals with this configuration in the solid state exhibit high strength, low ductility, and are very resistant to shear deformities. Metals included in this group are chromium, tungsten, molybdenum, vanadium, alpha iron (iron in the solid state below a temperature of 910°C), and delta iron (iron above 1390°C).","head1":"Atomic Structure of Metals","head2":"Body-Centered Cubic (BCC) Structure"},
+    {"block":69,"text":"Figure 3 – BCC Unit Cell","head1":"Atomic Structure of Metals","head2":"Body-Centered Cubic (BCC) Structure"},
+    {"block":74,"text":"Close Packed Hexagonal (CPH) Structure","head1":"Atomic Structure of Metals","head2":"Close Packed Hexagonal (CPH) Structure","heading":true},
+    {"block":75,"text":"Seventeen atoms make up the CPH unit cell structure, shown in Figure 4. This configuration gives the metals that comprise this group intermediate strength and ductility. Metals that fit in this group include zinc, magnesium, cadmium, and titanium.","head1":"Atomic Structure of Metals","head2":"Close Packed Hexagonal (CPH) Structure"},
+    {"block":77,"text":"Figure 4 – Close-Packed Hexagonal (CPH) Unit Cell","head1":"Atomic Structure of Metals","head2":"Close Packed Hexagonal (CPH) Structure"},
+    {"block":82,"text":"Crystalline Structure of Metal","head1":"Crystalline Structure of Metal","head2":"","heading":true},
+    {"block":83,"text":"When molten metal cools and solidifies, unit cells become packed together to form three-dimensional crystals that occupy a space lattice. Further growth of these crystals forms dendrites, which look like the branches of an evergreen tree that extend throughout the molten matrix until they contact neighbouring dendrites. These contact surfaces become the crystal or grain boundaries. Any impurities that are not soluble in this solid solution are pushed ahead of the growing crystals and become trapped at the grain boundaries and between the limbs of the dendrites. Figure 5 (a) shows the side view of a growing metallic crystal dendrite while Figure 5 (b) is a top view.","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":85,"text":"Figure 5 – Metallic Crystal Dendrite","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":89,"text":"(a)","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":91,"text":"(b)","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":92,"text":"Grain size determines important properties of metals. As a rule, smaller grain size increases tensile strength and ductility while larger grain size tends to resist creep and deformation under constant loading but may be more prone to cracking. At the atomic level, the shear strength of metals is determined primarily by the type of unit cell structure exhibited.","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":93,"text":"Figure 6 shows the high-atom packed density in a FCC structure in which the top layer is easier to pull than in the BCC structure. This type of structure is found in lead which is ductile with a low shear strength.","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":95,"text":"Figure 6 – FCC Structure","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":98,"text":"Figure 7 shows the low-atom packed density in a BCC structure. To move, the top line of atoms has to jump over the atoms below them. This requires a large force. This type of structure is found in iron, which is hard with a high shear strength.","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":100,"text":"Figure 7 – BCC Structure","head1":"Crystalline Structure of Metal","head2":""},
+    {"block":103,"text":"Polymorphism","head1":"Crystalline Structure of Metal","head2":"Polymorphism","heading":true},
+    {"block":104,"text":"Polymorphism is defined as the ability of a metal to change to a different unit cell structure depending on its temperature. Most metals and alloys exhibit polymorphism, including iron.","head1":"Crystalline Structure of Metal","head2":"Polymorphism"},
+    {"block":105,"text":"Allotropy of Iron","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron","heading":true},
+    {"block":106,"text":"The change in unit cell structure, dependent on temperature, is known as the allotropy of iron. The metal can exist in different physical forms that affect its melting point, hardness, metal solubility, and alloying chemistry. This is very important in determining the way iron reacts with carbon to form steel and cast iron.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":108,"text":"Objective 2","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":110,"text":"Explain the significance of the iron-carbon equilibrium diagram.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":112,"text":"Iron-Carbon Equilibrium Diagram","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":113,"text":"Pure iron is a relatively soft, ductile element with low strength that possesses few of the noble properties commonly associated with steel. In large part, the science of steelmaking has been an attempt to understand and control the phase changes of iron, in the presence of carbon and other alloying metals, in order to make the high-strength steels that modern industry relies on. Quality control and materials testing must meet strict and exacting engineering specifications.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":114,"text":"Carbon steels are produced by adjusting the carbon content in iron. Carbon steels are alloys containing 2% or less carbon, while cast iron contains from 2% to 6% carbon. Carbon steel is divided into three grades:","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":115,"text":"• Low (maximum carbon content 0.30%)","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":116,"text":"• Medium (maximum carbon content 0.30 to 0.60%)","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":117,"text":"• High (maximum carbon content 0.60 to 1.00%)","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":118,"text":"The wide range of physical properties exhibited in carbon steels depends on","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":119,"text":"• the form that carbon assumes in the iron matrix (single atoms, graphite flakes, spheres, or molecular combinations such as cementite (Fe3C) a compound where the carbon atoms fit in the interstitial spaces between the iron atoms),","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":120,"text":"• the carbon atom’s final resting place (inside the unit cell structures or in the exterior intra-granular spaces), and","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":121,"text":"• the carbon concentration.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":122,"text":"In steel, hardness and brittleness increase as the carbon content increases. Softness, ductility and weldability increase as carbon content decreases.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":123,"text":"Iron–carbon equilibrium in steel is determined by the:","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":124,"text":"• Initial concentration of carbon in the ferrite mixture","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":125,"text":"• Temperature","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":126,"text":"• Cooling rate","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":127,"text":"• Presence of other alloying metals","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":128,"text":"Figure 8 is an iron-carbon equilibrium or “phase” diagram showing the phase changes that occur as carbon content and temperature vary for carbon concentrations ranging from 0% to 6.5% in a pure iron solvent.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":130,"text":"Figure 8 – Iron-Carbide Equilibrium (Phase) Diagram","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":133,"text":"All phases below the solidus line are solids, and the phase above the liquidus line is molten. The areas between these two lines are pasty state phases where the mixture exists in a solid-liquid state at the corresponding temperature. To use this graph, draw a vertical line through the diagram to indicate the carbon content to be studied and follow the line up or down as the temperature changes. Refer to the definitions below.","head1":"Crystalline Structure of Metal","head2":"Allotropy of Iron"},
+    {"block":134,"text":"Austenite","head1":"Crystalline Structure of Metal","head2":"Austenite","heading":true},
+    {"block":135,"text":"Austenite is the structural name of iron in a unit cell of face-centered cubic (FCC) form (called gamma iron), that can contain dissolved carbon, up to 2%. All quenching heat treatment procedures must begin from this phase.","head1":"Crystalline Structure of Metal","head2":"Austenite"},
+    {"block":136,"text":"Cementite","head1":"Crystalline Structure of Metal","head2":"Cementite","heading":true},
+    {"block":137,"text":"Cementite is the common name for iron–carbon in the form of molecular iron carbide (Fe3C).","head1":"Crystalline Structure of Metal","head2":"Cementite"},
+    {"block":138,"text":"Eutectic Reaction Point","head1":"Crystalline Structure of Metal","head2":"Eutectic Reaction Point","heading":true},
+    {"block":139,"text":"Eutectic reaction point occurs when the liquid alloy changes directly into solid austenite and cementite without going through a pasty state phase. As the diagram indicates, this only occurs with an alloy composition of 4.0% carbon at a temperature of 1130°C; the lowest melting point of any composition of an iron-carbon mixture.","head1":"Crystalline Structure of Metal","head2":"Eutectic Reaction Point"},
+    {"block":140,"text":"Ferrite","head1":"Crystalline Structure of Metal","head2":"Ferrite","heading":true},
+    {"block":141,"text":"Ferrite is the structural name for iron in the body-centered cubic (BCC) form. The maximum amount of carbon atoms that can be dissolved in ferrite is 0.025% at 723°C.","head1":"Crystalline Structure of Metal","head2":"Ferrite"},
+    {"block":142,"text":"NOTE: the term “ferrite” describes a unit cell structure, and not a chemical composition.","head1":"Crystalline Structure of Metal","head2":"Ferrite"},
+    {"block":143,"text":"Lower Critical Change Line","head1":"Crystalline Structure of Metal","head2":"Lower Critical Change Line","heading":true},
+    {"block":144,"text":"Lower critical change line is the temperature at which an iron alloy of any carbon composition returns to a body-centered cubic unit cell structure. The diagram indicates this temperature at 723°C.","head1":"Crystalline Structure of Metal","head2":"Lower Critical Change Line"},
+    {"block":145,"text":"Pearlite","head1":"Crystalline Structure of Metal","head2":"Pearlite","heading":true},
+    {"block":146,"text":"Pearlite consists of a layered structure (microscopically) of ferrite and cementite. It appears dark-grained in colour and forms in iron-carbon alloys below the lower critical change line at 723°C.","head1":"Crystalline Structure of Metal","head2":"Pearlite"},
+    {"block":147,"text":"Peritectic Reaction","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction","heading":true},
+    {"block":148,"text":"Peritectic reaction is the point where liquid delta iron, in the body-centered cubic form, changes directly into solid austenite without going through a pasty state phase. This occurs at 1492°C.","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":149,"text":"At room temperature, the low and medium carbon steels (below 0.8% carbon) always have a ferrite component that makes the steels tough and ductile and an iron carbide influence from the pearlite that still makes them relatively hard. These steels have the scientific name “hypoeutectoid steels.” Steel having 0.8% carbon would, as it cools to room temperature, change into 100% pearlite. This type of steel is used for railway rails and is called “eutectoid steel.”","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":150,"text":"When the carbon content exceeds 0.8%, steel exhibits hardness and high tensile strength and is used in tools such as axes and chisels. At 723°C these steels become a mixture of cementite and pearlite and have the scientific name “hypereutectoid steels.”","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":152,"text":"Objective 3","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":154,"text":"Explain the purposes of, and processes used, in the heat treatment of steels.","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":156,"text":"Heat Treatment of Steels","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":157,"text":"Heat treatment in steelmaking is a large secondary industry. Its importance is commensurate with the costs and resources spent on the processes used to manufacture steel products with a vast array of different mechanical and physical properties. Definitions of these processes can be better understood by referring to the partial iron-carbon diagram shown below in Figure 9. In general, the purpose of heat treating a metal is to force a physical and/or chemical transformation in the alloy and then cool it at a rate, and in such a manner, that it retains the desired properties. For power engineers and inspectors, the main application of heat treatment is for the purpose of stress relieving.","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":158,"text":"The transformation lines, shown on the previous iron-carbon diagram (Figure 8), shift with the rate of heating (transformation line rises) and the rate of cooling (transformation line falls). The effect is shown below (Figure 9) on a section of the iron-carbon phase diagram.","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":160,"text":"Figure 9 – Eutectoid Reaction Region","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":164,"text":"Where","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":168,"text":"Al","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":170,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":172,"text":"Critical temperature between pearlite phase field and austenite phase field (eutectic transformation line at 723°C)","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":174,"text":"Ar1","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":176,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":178,"text":"Critical temperature between pearlite phase field and austenite phase field on cooling","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":180,"text":"Ac1","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":182,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":184,"text":"Critical temperature between pearlite phase field and austenite phase field on heating","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":186,"text":"A3","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":188,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":190,"text":"Critical temperature between ferrite-austenite phase field and austenite phase field","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":192,"text":"Ar3","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":194,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":196,"text":"Critical temperature between ferrite-austenite phase field and austenite phase field on cooling","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":198,"text":"Ac3","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":200,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":202,"text":"Critical temperature between ferrite-austenite phase field and austenite phase field on heating","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":204,"text":"Acm","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":206,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":208,"text":"Critical temperature between cementite-austenite phase field and austenite phase field","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":210,"text":"Arcm","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":212,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":214,"text":"Critical temperature between cementite-austenite phase field and austenite phase field on cooling","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":216,"text":"Accm","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":218,"text":"=","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":220,"text":"Critical temperature between cementite-austenite phase field and austenite phase field on heating","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":221,"text":"Note: The suffixes “r” and “c” are from the French words “refroidissant” (cooling) and “chauffant” (heating).","head1":"Crystalline Structure of Metal","head2":"Peritectic Reaction"},
+    {"block":222,"text":"Annealing Processes","head1":"Annealing Processes","head2":"","heading":true},
+    {"block":223,"text":"Annealing processes are heat treatments that produce pearlitic microstructures (ferrite, pearlite, and cementite). They are performed to homogenize the microstructure, increase ductility, remove residual stresses, and improve machinability.","head1":"Annealing Processes","head2":""},
+    {"block":224,"text":"Full Annealing","head1":"Annealing Processes","head2":"Full Annealing","heading":true},
+    {"block":225,"text":"Annealing processes heat the steel to just above the transition temperature required to produce austenite (Ac3 for < 0.8% carbon steels and A1 for > 0.8% carbon steels), hold it at that temperature to allow uniform crystal restructuring, and then cool it very slowly to room temperature at a maximum rate of 38°C/hour. The steel is usually left in the furnace with the heat shut off or packed in sand or another material that is a good heat insulator.","head1":"Annealing Processes","head2":"Full Annealing"},
+    {"block":226,"text":"Annealing high carbon steels can induce brittleness by allowing larger grain formation; this reduces toughness and ductility. Heat soaking for too long a period encourages grain enlargement in any annealing procedure and increases brittleness in the metal.","head1":"Annealing Processes","head2":"Full Annealing"},
+    {"block":227,"text":"Sub-critical annealing or process annealing is a similar process, but the steel is heated to just below its austenite transformation temperature, then cooled slowly to reduce internal stresses in the metal.","head1":"Annealing Processes","head2":"Full Annealing"},
+    {"block":228,"text":"Normalizing","head1":"Annealing Processes","head2":"Normalizing","heading":true},
+    {"block":229,"text":"Carbon steels containing less than 0.8% carbon are normalized to:","head1":"Annealing Processes","head2":"Normalizing"},
+    {"block":230,"text":"• Relieve internal stresses embedded in the metal from welding, machining, or forging","head1":"Annealing Processes","head2":"Normalizing"},
+    {"block":231,"text":"• Refine grain size and promote uniform composition to increase strength and toughness","head1":"Annealing Processes","head2":"Normalizing"},
+    {"block":232,"text":"• Improve machinability","head1":"Annealing Processes","head2":"Normalizing"},
+    {"block":233,"text":"Normalizing raises the temperature of the steel to approximately 55°C above the upper transition temperature into the austenite region. The steel is held at that temperature just long enough to ensure even heating throughout. It is then allowed to cool in still air at a rate not exceeding approximately 100°C/hour. If a furnace is used, the furnace should have a reducing atmosphere (no free oxygen present) to prevent oxide scale forming on the surfaces.","head1":"Annealing Processes","head2":"Normalizing"},
+    {"block":234,"text":"Referring to the iron-carbon phase diagram in Figure 8, the normalizing process produces finer and more consistent pearlite layers in the ferrite matrix. Because all high-strength, tough steels have less than 0.8% carbon in their alloy, no transformation products other than pearlite and ferrite are produced by normalizing. The importance of normalizing, which produces tougher steels than any other heat-treatment process, can be appreciated by the fact that the ASME Codes require normalized and tempered materials in many of their specifications for steel forgings and castings. Normalizing low carbon steels makes the steels just hard enough to machine freely, leaving the surface free of tears.","head1":"Annealing Processes","head2":"Normalizing"},
+    {"block":235,"text":"Spheroidizing","head1":"Annealing Processes","head2":"Spheroidizing","heading":true},
+    {"block":236,"text":"Spheroidizing refers to any process of prolonged heating and cooling of steel, similar to annealing, that converts the carbide content of the matrix into a rounded or spheroid structure. Metal in this form is the softest and most workable.","head1":"Annealing Processes","head2":"Spheroidizing"},
+    {"block":237,"text":"Hardening Processes","head1":"Hardening Processes","head2":"","heading":true},
+    {"block":238,"text":"Hardening processes involve heating mild steel to a temperature above its transformation range (austenizing), and then cooling it quickly to increase hardness by the formation of martensite. Martensite is a structure of fine carbide needle-like grains that are extremely hard and are formed during the transformation from austenite. If the temperature is dropped quickly, the carbon in the austenite does not have time to precipitate as pearlite but instead forms distorted needle-like grains of carbide in the ferrite matrix. The cooling rate varies with the material and is called the critical cooling rate. Cooling is typically done in water, brine, oil, or air and is promoted by the agitation of the liquid or the sample.","head1":"Hardening Processes","head2":""},
+    {"block":239,"text":"Case Hardening","head1":"Hardening Processes","head2":"Case Hardening","heading":true},
+    {"block":240,"text":"Case hardening is a type of heat treatment process that produces martensite in the outer layer only, leaving the interior to retain a tough ferrite-pearlite composition.","head1":"Hardening Processes","head2":"Case Hardening"},
+    {"block":241,"text":"Metals parts surface hardened by these methods include: bearings, machine tools, crankshafts, cams, valves, gears, rollers, and hand tools.","head1":"Hardening Processes","head2":"Case Hardening"},
+    {"block":242,"text":"Two important thermochemical case hardening processes for low alloy steels are carburizing and nitriding.","head1":"Hardening Processes","head2":"Case Hardening"},
+    {"block":243,"text":"Carburizing is achieved by heating the part to its transformation temperature in an atmosphere of carbon monoxide (CO). Carbon diffuses into the skin of the metal increasing martensite formation in this area when the part is later quench hardened.","head1":"Hardening Processes","head2":"Case Hardening"},
+    {"block":244,"text":"Nitriding is carried out in a furnace at a temperature below the transformation range of iron (approximately 500°C to 600°C) in an atmosphere of ammonia (NH3). Ammonia dissociates at this temperature into nitrogen and hydrogen. Atomic nitrogen diffuses into the surface layer of the metal forming iron nitrides which are extremely hard. This process, unlike carburizing, does not require subsequent quench hardening.","head1":"Hardening Processes","head2":"Case Hardening"},
+    {"block":245,"text":"These two processes can be combined into one operation called carbonitriding when a source of carbon and nitrogen is introduced into the furnace at a temperature above the transformation range of the steel. A less severe quench hardening step is required after this operation (than with carburizing), but the resulting hardening effect is comparable. Nitriding, alone, produces the hardest surface.","head1":"Hardening Processes","head2":"Case Hardening"},
+    {"block":246,"text":"Quenching","head1":"Hardening Processes","head2":"Quenching","heading":true},
+    {"block":247,"text":"Quenching is the rapid cooling of a heated metal. This process is performed to obtain the desired transformation products. Quenching a metal increases strength and hardness and decreases toughness and ductility. Steel with a carbon content over 0.8% is heated above the upper transformation temperature and held there to allow the formation of austenite. The steel part is then quickly cooled by immersing it in a liquid such as water, brine, or oil.","head1":"Hardening Processes","head2":"Quenching"},
+    {"block":248,"text":"Tempering","head1":"Hardening Processes","head2":"Tempering","heading":true},
+    {"block":249,"text":"Tempering refers to the process of heating quenched steels to a specific temperature below their lower transformation ranges, which forces the saturated carbon in the martensite to form back into a stable iron carbide (cementite) and ferrite mixture (Figure 8), and then cooling the sample to room temperature at a rate that prevents martensite reformation. The primary purpose of tempering is to improve the mechanical properties of the steel. The goals are to increase ductility and toughness with slightly reduced hardness. A sword that has been quench hardened and tempered will not shatter, but will retain a hard sharp edge.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":251,"text":"Objective 4","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":253,"text":"Explain how to interpret metal specifications.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":255,"text":"Metal Specifications","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":256,"text":"The American Society of Mechanical Engineers specifies which metals may be used to construct pressure vessels, pressure piping, and process piping systems. The ASME makes this determination by adopting material specifications developed by the American Society for Testing and Materials (ASTM), and listing the reviewed and approved materials in the ASME Boiler and Pressure Vessel Code (BPVC) Section II - Materials. Because of this reliance on the ASTM, ASME material specifications are identical (or nearly identical) to the ASTM specifications.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":257,"text":"After development, the ASME codes are approved by the American National Standards Institute (ANSI). The extensive complexity of these codes are intended for professional engineers who design power and processing plants, and may appear to rest outside the scope of responsibility of operating power engineers. A career in power engineering, however, will almost certainly include exposure to construction projects where the onus may fall on a power engineer to monitor the suitability of the materials used. A chief engineer in a power plant may be responsible for purchasing piping, fittings, and equipment to replace or repair plant systems. To this extent, all candidates should be familiar with basic metal specifications.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":258,"text":"It should be noted that under no circumstances should an unidentified metal ever be used in a plant application or a careless substitution of materials ever be made. Material specification and selection should be left to the design engineer.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":259,"text":"One should also be aware of a problem with counterfeit products in the marketplace that are stamped to suggest compliance with ASME code specifications but are, in fact, inferior and have metallurgical compositions different than that required by the code. These products are forgeries and are dangerous to use. Ordering materials from reputable suppliers helps avoid this situation.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":260,"text":"In general, piping, boiler and exchanger tubing, fittings, and structural materials can be categorized as being manufactured from one of the following types of metals:","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":261,"text":"• Low carbon or mild weldable steels (carbon content < 0.30%)","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":262,"text":"• Medium carbon steels (carbon content > 0.3% but < 0.60%)","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":263,"text":"• High carbon steels (carbon content > 0.60% but < 1.5%)","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":264,"text":"• Cast irons (carbon content between 2% and 6%)","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":265,"text":"• Alloy steels (low carbon steels alloyed with manganese, chromium, vanadium, nickel, molybdenum, tungsten, and other elements). Alloy steels include stainless steel which contains 12% to 20% chromium.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":266,"text":"• Non-ferrous metals (copper, aluminum, brass, nickel, tungsten and zirconium)","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":267,"text":"Most piping in a power plant is made from low carbon or alloy steels. Choosing a metal for a particular job is done on the basis of safety and metal survivability. The engineer has to ensure the material can withstand the most extreme environment it will be used in and still retain a factor of safety.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":268,"text":"An engineering piping specification will call for an ASTM “A” or “B” number material of specified grade, dimension, and schedule (wall thickness). “A” material represents carbon steels and alloys while “B” material represents non-ferrous material. ASME Codes B31.1 (Power Piping) and B31.3 (Process Piping) offer a complete choice of carbon steel and alloy piping suitable for defined applications in power plants and hydrocarbon processing plants. Compatible flanges and fittings for a particular choice of piping can be found in ASME Code B16.5 (Pipe Flanges and Fittings).","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":269,"text":"Table 1 shows an example of the most commonly used carbon steel pipe.","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":271,"text":"Table 1 – Standards Comparison","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":274,"text":"ASTM Specification","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":276,"text":"A53","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":278,"text":"A106","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":280,"text":"Description","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":282,"text":"Pipe, Steel, Black & Hot-dipped, Zinc Coated, Welded & Seamless","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":284,"text":"Seamless Carbon Steel Pipe for High Temperature Service","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":286,"text":"Commonly used type/grade within specification","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":288,"text":"Type E, Grade B","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":290,"text":"Grade B","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":292,"text":"Description","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":294,"text":"Electric resistance welded, slightly higher carbon (stronger) than Grade A. Not made to Fine grain steelmaking practice","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":296,"text":"Seamless, good balance between strength & weldability, slightly higher carbon (stronger) than Grade A. Made to fine grain steelmaking practice for more reliable properties","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":298,"text":"End-use","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":300,"text":"Ordinary or general purpose","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":302,"text":"Critical service","head1":"Hardening Processes","head2":"Tempering"},
+    {"block":303,"text":"Material Test Reports","head1":"Hardening Processes","head2":"Material Test Reports","heading":true},
+    {"block":304,"text":"Material test reports, (MTRs), are a good resource for monitoring material specifications. Also referred to as certificates of testing, these reports are made available by the vendor to the purchaser upon request. MTRs originate in the smelter where the metal was made, and give a comprehensive chemical and physical analysis of the metal used to manufacture the pipe or fitting. Molten metal is sampled from every ladle after the smelting stage. Each batch of metal (or alloy) is given a heat number which identifies the batch and all the products made from that batch. The heat number follows products made from these materials throughout their lifetime. The heat numbers are so important that if a length of pipe is cut, the heat number must be copied from the original length onto the newly created, unmarked length.","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":305,"text":"An MTR identifies the pipe or fitting and specifies the heat number of the metal it was made from. It documents the chemical composition, the ASME or ASTM specification number, grade, schedule, tensile strength, and yield point of that metal. The results of any specialized testing, such as a Charpy test for brittleness, and any heat treatment processes that part underwent are also recorded. An example of a material test report is shown in Table 2.","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":307,"text":"Table 2 – Material Test Report","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":311,"text":"Objective 5","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":313,"text":"Explain typical selection of metals for process plant applications (what is selected and why).","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":315,"text":"Metal Selection","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":316,"text":"Plant operating engineers have many responsibilities, but in strict terms, these do not usually include designating metal specifications for plant pressure piping, vessels, or structural steels. This is the responsibility of professional design engineers. However, close association with professional engineering and construction personnel during construction and the duty to safely operate and maintain the plant afterward put the onus on power engineers to become familiar with the procedures, specifications, and jargon of the trade.","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":317,"text":"An outline for a construction project might take the following form, as shown in Figure 10.","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":319,"text":"Figure 10 – Construction Project Outline","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":322,"text":"An operating engineer would usually become involved in this project as the owner’s inspector or be included in an operations staff group responsible for monitoring construction progress and compliance. Operating engineers have to become familiar with the operating systems and design philosophy. As illustrated in Figure 10, all designations for pressure piping and fittings use a Canadian Standards Association (CSA) or ASME material specification.","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":323,"text":"Regulations controlling the design, construction, and installation of boilers and pressure vessels require, in part, the submission of material specifications, size, schedule, and primary service rating of all piping and fittings used in that construction to the local boiler authority, for approval and registration.","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":324,"text":"The American National Standards Institute has established minimum requirements for manufacturers to identify pipes, fittings, and flanges:","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":325,"text":"• Size","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":326,"text":"• Wall thickness","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":327,"text":"• Schedule designation","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":328,"text":"• Material type","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":329,"text":"• Manufacturer’s identity stamp","head1":"Hardening Processes","head2":"Material Test Reports"},
+    {"block":330,"text":"Size","head1":"Hardening Processes","head2":"Size","heading":true},
+    {"block":331,"text":"“Size” refers to nominal pipe size (NPS) in inches, or diamètre nominal (DN) in mm. This designates the nominal outside pipe diameter or the inside flange diameter.","head1":"Hardening Processes","head2":"Size"},
+    {"block":332,"text":"Wall Thickness","head1":"Hardening Processes","head2":"Wall Thickness","heading":true},
+    {"block":333,"text":"“Wall thickness” refers to the thickness of piping, steel plate, vessel walls, and pipe fittings, in inches or millimetres.","head1":"Hardening Processes","head2":"Wall Thickness"},
+    {"block":334,"text":"Schedule Designation","head1":"Hardening Processes","head2":"Schedule Designation","heading":true},
+    {"block":335,"text":"“Schedule” refers to the thickness of a pipe or fitting based on standard criteria. The greater the schedule number, the thicker the material, and the greater its ability to withstand internal pressure, corrosion, or erosion. On piping, the schedule number is stenciled along the entire length of pipe, to ensure it can be identified when cut into shorter lengths during construction.","head1":"Hardening Processes","head2":"Schedule Designation"},
+    {"block":336,"text":"Flanges","head1":"Hardening Processes","head2":"Flanges","heading":true},
+    {"block":337,"text":"Flanges are always referred to by the pressure rating class of ANSI schedule 150, 300, 400, 600, 900, 1500, or 2500. As per ASME Code B16.5 (Pipe Flanges and Fittings), forged or cast flanges are identified in a material group and under a nominal designation (alloy composition) by “A” numbers and grade. They have different maximum allowable working pressures depending on their class number (ANSI 150 through 2500) and maximum service temperature. This can be more easily understood by referring to the following chart taken from ASME B16.5.","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":339,"text":"Table 3 – ASME B16.5 Table A-2 Rating Ceiling Pressure","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":342,"text":"Working Pressure By Classes, psig","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":344,"text":"Temp. °F","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":346,"text":"150","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":348,"text":"300","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":350,"text":"400","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":352,"text":"600","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":354,"text":"900","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":356,"text":"1500","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":358,"text":"2500","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":360,"text":"-20 to 100","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":362,"text":"290","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":364,"text":"750","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":366,"text":"1000","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":368,"text":"1500","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":370,"text":"2250","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":372,"text":"3750","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":374,"text":"6250","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":376,"text":"200","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":378,"text":"260","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":380,"text":"750","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":382,"text":"1000","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":384,"text":"1500","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":386,"text":"2250","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":388,"text":"3750","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":390,"text":"6250","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":392,"text":"300","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":394,"text":"230","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":396,"text":"730","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":398,"text":"970","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":400,"text":"1455","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":402,"text":"2185","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":404,"text":"3640","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":406,"text":"6070","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":408,"text":"400","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":410,"text":"200","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":412,"text":"705","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":414,"text":"940","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":416,"text":"1410","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":418,"text":"2115","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":420,"text":"3530","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":422,"text":"5880","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":424,"text":"500","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":426,"text":"170","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":428,"text":"665","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":430,"text":"885","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":432,"text":"1330","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":434,"text":"1995","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":436,"text":"3325","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":438,"text":"5540","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":448,"text":"600","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":450,"text":"140","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":452,"text":"605","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":454,"text":"805","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":456,"text":"1210","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":458,"text":"1815","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":460,"text":"3025","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":462,"text":"5040","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":464,"text":"650","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":466,"text":"125","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":468,"text":"590","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":470,"text":"785","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":472,"text":"1175","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":474,"text":"1765","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":476,"text":"2940","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":478,"text":"4905","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":480,"text":"700","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":482,"text":"110","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":484,"text":"570","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":486,"text":"755","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":488,"text":"1135","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":490,"text":"1705","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":492,"text":"2840","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":494,"text":"4730","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":496,"text":"750","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":498,"text":"95","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":500,"text":"530","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":502,"text":"710","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":504,"text":"1065","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":506,"text":"1595","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":508,"text":"2660","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":510,"text":"4430","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":512,"text":"800","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":514,"text":"80","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":516,"text":"510","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":518,"text":"675","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":520,"text":"1015","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":522,"text":"1525","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":524,"text":"2540","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":526,"text":"4230","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":536,"text":"850","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":538,"text":"65","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":540,"text":"485","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":542,"text":"650","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":544,"text":"975","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":546,"text":"1460","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":548,"text":"2435","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":550,"text":"4060","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":552,"text":"900","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":554,"text":"50","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":556,"text":"450","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":558,"text":"600","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":560,"text":"900","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":562,"text":"1350","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":564,"text":"2245","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":566,"text":"3745","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":568,"text":"950","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":570,"text":"35","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":572,"text":"385","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":574,"text":"515","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":576,"text":"775","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":578,"text":"1160","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":580,"text":"1930","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":582,"text":"3220","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":584,"text":"1000","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":586,"text":"20","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":588,"text":"365","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":590,"text":"485","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":592,"text":"725","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":594,"text":"1090","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":596,"text":"1820","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":598,"text":"3030","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":599,"text":"For example, a common choice for a vapour line flange from the top of a propane chiller in a gas processing plant might be a 12 inch, A 350 LF2, ANSI 300. “ANSI 300” ensures that the flange meets the requirements for the maximum allowable working pressure of the vessel with an included safety factor. Grade “LF2” allows a minimum process temperature of –45°C. The ANSI class number “A” is commonly referred to as the schedule number. Remember, flanges that comply with ASME B16.5 must be stamped “B16.” If not, they are unacceptable for pressure equipment.","head1":"Hardening Processes","head2":"Flanges"},
+    {"block":600,"text":"Piping","head1":"Hardening Processes","head2":"Piping","heading":true},
+    {"block":601,"text":"There are numerous tables available that show the dimensions of various piping schedules, including one in the PanGlobal Academic Supplement. An excerpt from such a table has been reproduced in Table 4 (below).","head1":"Hardening Processes","head2":"Piping"},
+    {"block":603,"text":"Table 4 – Excerpts from Piping Schedule","head1":"Hardening Processes","head2":"Piping"},
+    {"block":606,"text":"Nominal Pipe Size - NPS (inches)","head1":"Hardening Processes","head2":"Piping"},
+    {"block":608,"text":"Metric DN (mm)","head1":"Hardening Processes","head2":"Piping"},
+    {"block":610,"text":"Schedule","head1":"Hardening Processes","head2":"Piping"},
+    {"block":612,"text":"Wall","head1":"Hardening Processes","head2":"Piping"},
+    {"block":613,"text":"Thickness","head1":"Hardening Processes","head2":"Piping"},
+    {"block":615,"text":"1","head1":"Hardening Processes","head2":"Piping"},
+    {"block":617,"text":"25","head1":"Hardening Processes","head2":"Piping"},
+    {"block":619,"text":"40 ( standard wall)","head1":"Hardening Processes","head2":"Piping"},
+    {"block":621,"text":"3.38 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":623,"text":"80 (heavy or XS extra heavy)","head1":"Hardening Processes","head2":"Piping"},
+    {"block":625,"text":"4.55 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":627,"text":"2","head1":"Hardening Processes","head2":"Piping"},
+    {"block":629,"text":"50","head1":"Hardening Processes","head2":"Piping"},
+    {"block":631,"text":"40","head1":"Hardening Processes","head2":"Piping"},
+    {"block":633,"text":"3.91 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":635,"text":"80 XS","head1":"Hardening Processes","head2":"Piping"},
+    {"block":637,"text":"5.54 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":639,"text":"4","head1":"Hardening Processes","head2":"Piping"},
+    {"block":641,"text":"100","head1":"Hardening Processes","head2":"Piping"},
+    {"block":643,"text":"40","head1":"Hardening Processes","head2":"Piping"},
+    {"block":645,"text":"6.02 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":647,"text":"80 XS","head1":"Hardening Processes","head2":"Piping"},
+    {"block":649,"text":"8.56 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":651,"text":"6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":653,"text":"150","head1":"Hardening Processes","head2":"Piping"},
+    {"block":655,"text":"40","head1":"Hardening Processes","head2":"Piping"},
+    {"block":657,"text":"7.11 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":659,"text":"80 XS","head1":"Hardening Processes","head2":"Piping"},
+    {"block":661,"text":"10.97 mm","head1":"Hardening Processes","head2":"Piping"},
+    {"block":662,"text":"For example, a 2-inch schedule 40 pipe has a wall thickness of 3.91 mm. Note that commercial pipe sizes 6 -inches diameter and larger are only manufactured in even inch diameters. In all pipe sizes, the outside diameter (OD) is constant, and varying wall thickness determines the resulting inside diameter of the pipe.","head1":"Hardening Processes","head2":"Piping"},
+    {"block":663,"text":"Although only two common pipe schedules are listed above (40 and 80), pipe schedules range from schedule 10 through schedule 160 with increasing wall thickness. Above schedule 40, the schedule designation is incremented by 40 (e.g. schedule 40, 80, 120, and 160).","head1":"Hardening Processes","head2":"Piping"},
+    {"block":664,"text":"Table 5 shows a material selection of commonly used piping and fittings that applies to power and processing plants complying with the following codes: ASME B31.1 (Power Piping), ASME B31.3 (Process Piping), and ASME B31.4 Pipeline Transportation Systems for Liquids and Slurries.","head1":"Hardening Processes","head2":"Piping"},
+    {"block":666,"text":"Table 5 – Material Selection – Common Specifications for Carbon Steel Systems","head1":"Hardening Processes","head2":"Piping"},
+    {"block":669,"text":"Commodity","head1":"Hardening Processes","head2":"Piping"},
+    {"block":671,"text":"B31.1","head1":"Hardening Processes","head2":"Piping"},
+    {"block":673,"text":"B31.3","head1":"Hardening Processes","head2":"Piping"},
+    {"block":675,"text":"B31.4","head1":"Hardening Processes","head2":"Piping"},
+    {"block":677,"text":"Pipe","head1":"Hardening Processes","head2":"Piping"},
+    {"block":679,"text":"ASTM A 106","head1":"Hardening Processes","head2":"Piping"},
+    {"block":681,"text":"ASTM A 53","head1":"Hardening Processes","head2":"Piping"},
+    {"block":682,"text":"API 5L","head1":"Hardening Processes","head2":"Piping"},
+    {"block":684,"text":"ASTM A 53","head1":"Hardening Processes","head2":"Piping"},
+    {"block":685,"text":"API 5L","head1":"Hardening Processes","head2":"Piping"},
+    {"block":686,"text":"API 5LU","head1":"Hardening Processes","head2":"Piping"},
+    {"block":688,"text":"Pipe – Low Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":690,"text":"ASTM A 333 Gr. 6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":692,"text":"ASTM A 333 Gr. 6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":694,"text":"ASTM A 333 Gr. 6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":696,"text":"Pipe – High Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":698,"text":"ASTM A 106","head1":"Hardening Processes","head2":"Piping"},
+    {"block":700,"text":"ASTM A 106","head1":"Hardening Processes","head2":"Piping"},
+    {"block":702,"text":"ASTM A 106","head1":"Hardening Processes","head2":"Piping"},
+    {"block":704,"text":"Bolting","head1":"Hardening Processes","head2":"Piping"},
+    {"block":706,"text":"ASTM A 193 B7","head1":"Hardening Processes","head2":"Piping"},
+    {"block":708,"text":"ASTM A 193 B7","head1":"Hardening Processes","head2":"Piping"},
+    {"block":709,"text":"ASTM A 320","head1":"Hardening Processes","head2":"Piping"},
+    {"block":711,"text":"ASTM A 193 B7","head1":"Hardening Processes","head2":"Piping"},
+    {"block":712,"text":"ASTM A 320","head1":"Hardening Processes","head2":"Piping"},
+    {"block":714,"text":"Nut","head1":"Hardening Processes","head2":"Piping"},
+    {"block":716,"text":"ASTM A 194 2H","head1":"Hardening Processes","head2":"Piping"},
+    {"block":718,"text":"ASTM A 194 2H","head1":"Hardening Processes","head2":"Piping"},
+    {"block":720,"text":"ASTM A 194 2H","head1":"Hardening Processes","head2":"Piping"},
+    {"block":722,"text":"Fittings","head1":"Hardening Processes","head2":"Piping"},
+    {"block":724,"text":"ASTM A 234 WPB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":726,"text":"ASTM A 234 WPB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":729,"text":"Fittings – Low Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":731,"text":"ASTM A 420 WPL6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":733,"text":"ASTM A 420 WPL6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":735,"text":"ASTM A 420 WPL6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":737,"text":"Fittings – High Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":739,"text":"ASTM A 234 WPB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":740,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":742,"text":"ASTM A 234 WPB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":743,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":745,"text":"ASTM A 234 WPB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":747,"text":"Flanges","head1":"Hardening Processes","head2":"Piping"},
+    {"block":749,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":750,"text":"ASTM A 181","head1":"Hardening Processes","head2":"Piping"},
+    {"block":751,"text":"ASME B16.5","head1":"Hardening Processes","head2":"Piping"},
+    {"block":753,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":754,"text":"ASTM A 181","head1":"Hardening Processes","head2":"Piping"},
+    {"block":755,"text":"ASME B16.5","head1":"Hardening Processes","head2":"Piping"},
+    {"block":757,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":758,"text":"ASTM A 181","head1":"Hardening Processes","head2":"Piping"},
+    {"block":759,"text":"ASME B16.5","head1":"Hardening Processes","head2":"Piping"},
+    {"block":761,"text":"Flanges – Low Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":763,"text":"ASTM A 350 LF2","head1":"Hardening Processes","head2":"Piping"},
+    {"block":764,"text":"ASTM A 352 LCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":766,"text":"ASTM A 350 LF2","head1":"Hardening Processes","head2":"Piping"},
+    {"block":767,"text":"ASTM A 352 LCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":769,"text":"ASTM A 350 LF2","head1":"Hardening Processes","head2":"Piping"},
+    {"block":771,"text":"Flanges – High Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":773,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":774,"text":"ASTM A 181","head1":"Hardening Processes","head2":"Piping"},
+    {"block":775,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":777,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":778,"text":"ASTM A 181","head1":"Hardening Processes","head2":"Piping"},
+    {"block":779,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":781,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":782,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":784,"text":"Valves","head1":"Hardening Processes","head2":"Piping"},
+    {"block":786,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":787,"text":"ASME B16.34","head1":"Hardening Processes","head2":"Piping"},
+    {"block":789,"text":"ASTM A 105","head1":"Hardening Processes","head2":"Piping"},
+    {"block":790,"text":"API 600","head1":"Hardening Processes","head2":"Piping"},
+    {"block":792,"text":"API 6D","head1":"Hardening Processes","head2":"Piping"},
+    {"block":793,"text":"API 600","head1":"Hardening Processes","head2":"Piping"},
+    {"block":795,"text":"Valves – Low Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":797,"text":"ASTM A 350 LF2","head1":"Hardening Processes","head2":"Piping"},
+    {"block":798,"text":"ASTM A 352 LCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":800,"text":"ASTM A 350 LF2","head1":"Hardening Processes","head2":"Piping"},
+    {"block":801,"text":"ASTM A 352 LCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":804,"text":"Valves – High Temp","head1":"Hardening Processes","head2":"Piping"},
+    {"block":806,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":808,"text":"ASTM A 216 WCB","head1":"Hardening Processes","head2":"Piping"},
+    {"block":810,"text":"In these carbon-steel systems, low temp means a limiting design temperature range from –45°C to an upper specified value < 425°C, while high temp means a limiting range from –29°C to an upper specified value < 425°C. These limits are the lowest temperatures expected from either the processing fluid or the external environment that will affect a particular piping system. These design specifications are based on acceptable Charpy impact testing results that demonstrate these metals do not become brittle within these ranges. Cryogenic systems are common in certain processes; stainless steels are used because of their resistance to fracture at very low temperatures.","head1":"Hardening Processes","head2":"Piping"},
+    {"block":811,"text":"In general, selection of a metal for a pressure piping system has to take into account its suitability when exposed to the stresses of its operating environment, which may include consideration of the following variables:","head1":"Hardening Processes","head2":"Piping"},
+    {"block":812,"text":"• Internal or external maximum pressures","head1":"Hardening Processes","head2":"Piping"},
+    {"block":813,"text":"• Maximum and minimum temperatures","head1":"Hardening Processes","head2":"Piping"},
+    {"block":814,"text":"• Tensile and compressive stress loads","head1":"Hardening Processes","head2":"Piping"},
+    {"block":815,"text":"• Vibration and cyclic stress loads","head1":"Hardening Processes","head2":"Piping"},
+    {"block":816,"text":"• Chemical corrosion exposure","head1":"Hardening Processes","head2":"Piping"},
+    {"block":817,"text":"• Temperature gradients and thermal expansion stress factors","head1":"Hardening Processes","head2":"Piping"},
+    {"block":818,"text":"• Nozzle loadings (on flange connections)","head1":"Hardening Processes","head2":"Piping"},
+    {"block":819,"text":"• Impulse stresses (liquid slugging, hydraulic shock, physical collisions)","head1":"Hardening Processes","head2":"Piping"},
+    {"block":820,"text":"• Heat conductivity","head1":"Hardening Processes","head2":"Piping"},
+    {"block":821,"text":"Cost saving will always be a consideration in the selection of a material if the design engineer has a range of metals that can successfully meet a given specification.","head1":"Hardening Processes","head2":"Piping"},
+    {"block":823,"text":"Objective 6","head1":"Hardening Processes","head2":"Piping"},
+    {"block":825,"text":"Describe the composition, physical properties, and uses of copper, lead, and tin.","head1":"Hardening Processes","head2":"Piping"},
+    {"block":827,"text":"Copper","head1":"Hardening Processes","head2":"Piping"},
+    {"block":828,"text":"The symbol for copper (Cu) comes from the Latin word cuprum, which means “from the island of Cyprus.” The Romans obtained copper by smelting malachite, a hydroxylated copper carbonate (Cu2CO3(OH)2). Although elemental copper can be found free in nature, the most important sources of this metal are the mineral ores chalcopyrite, cuprite, malachite, and bornite. Approximately 90% of the world’s primary copper occurs in the sulphide ores chalcopyrite (CuFeS2) and bornite (CuFeS4). Most copper refining processes use acid leaching, smelting, or electrolysis to separate the metal from its ores. Pure copper metal is reddish brown in colour and weighs 20% more than iron. It is tough, malleable, and ductile. It can be forged into sheets and bars and drawn into wire. Other properties that make copper a desirable engineering material are its excellent electrical and heat conductivity and its high resistance to corrosion. Industry uses this metal in its pure form as conductors in electrical switchgear and related equipment, and as electric wire. Copper and its alloys are used in the manufacture of heat exchangers, tubing, piping, valves, pipefittings, sheet roofing, and as feed stock for the production of brass and bronze alloys.","head1":"Hardening Processes","head2":"Piping"},
+    {"block":829,"text":"Copper Alloys","head1":"Hardening Processes","head2":"Copper Alloys","heading":true},
+    {"block":830,"text":"At the beginning of the 21st century, the world production of copper exceeded 16 million tonnes per year with more than half of this refined supply used to produce electric wire and conductors and the remainder used for copper alloy production. Recycling scrap copper in the form of used wire, tubing, and exchanger cores accounted for almost 40% of the North American supply.","head1":"Hardening Processes","head2":"Copper Alloys"},
+    {"block":831,"text":"Copper, when mixed with other elements, produces a myriad of alloys having special and superior properties to the virgin metal itself. The most commonly used copper alloys are the various brasses and bronzes. There are well over 300 different copper alloys commercially available.","head1":"Hardening Processes","head2":"Copper Alloys"},
+    {"block":832,"text":"Bronze","head1":"Hardening Processes","head2":"Bronze","heading":true},
+    {"block":833,"text":"Bronze is an alloy of copper and tin but may also contain phosphorus, lead, silicon, nickel, zinc, and aluminum. It is used to make many groups of cast and wrought bronze alloys including phosphor bronzes, leaded-tin bronzes, nickel-tin bronzes, aluminum, and silicon-bronzes each having distinctive properties. Overall, these alloys have a high resistance to corrosion and show better machinability and increased strength over the parent metals.","head1":"Hardening Processes","head2":"Bronze"},
+    {"block":834,"text":"Aluminum bronzes, containing up to 12% aluminum, have superior wear resistance and anti-galling properties, are very corrosion resistant and strong, and are used to construct bearings, bushings and machine parts. Phosphor bronze (90% copper, 9.75% tin, and 0.25% phosphorus) is very strong, hard, and resilient and is used to make bushings and high grade springs. Bronze has long been in artistic demand for casting statues, bells, and coinage.","head1":"Hardening Processes","head2":"Bronze"},
+    {"block":835,"text":"Brass","head1":"Hardening Processes","head2":"Brass","heading":true},
+    {"block":836,"text":"Brass is essentially an alloy of copper and zinc with small amounts of other metals including tin, manganese, lead, nickel, iron, aluminum, and silicon. Ductility maximizes with a 70/30 ratio of copper zinc. This characteristic can be used, for example, in cartridge brass where expansion sealing in the breech is required. Naval brasses are alloys with small amounts of tin that result in a metal that shows superior resistance to saltwater corrosion, and are used extensively in marine applications. Iron-tin brasses have high strength and hardness and are used in the manufacture of bearings, valves, fittings, and naval propeller castings. Brasses have good machinability and can be welded.","head1":"Hardening Processes","head2":"Brass"},
+    {"block":837,"text":"Lead","head1":"Lead","head2":"","heading":true},
+    {"block":838,"text":"Lead is dense, malleable, soft, highly corrosion resistant, and has a low melting point. Lead is extracted from lead sulphide ore (galena). The recycling of scrap from batteries, sheet, cable, bearings, and solder is also a major source of lead. Lead is usually used as an alloy in applications such as lead-acid batteries, ammunition, cable sheathing, bearings, construction and electrolytic refining and plating. Battery grids are the largest single use of lead.","head1":"Lead","head2":""},
+    {"block":839,"text":"Babbit and White Metals","head1":"Lead","head2":"Babbit and White Metals","heading":true},
+    {"block":840,"text":"Tin-based and lead-based bearing metals, called babbitt, are alloys used to line machine bearings. Babbitt compositions vary, from 80% lead (Pb) and less than 5% tin (Sn) to greater than 80% tin and 0% lead. The metals antimony and copper are usually present as a small percentage. Other metals which may be used to add strength are cadmium, nickel, bismuth, arsenic, zinc, and tellurium. Babbit is one form of white metal.","head1":"Lead","head2":"Babbit and White Metals"},
+    {"block":841,"text":"White metal is the name given to a variety of alloys made from varying combinations of lead, tin, antimony, bismuth, silver, and zinc. In industry, white metals are used chiefly for bearing materials (babbit) because of their low melting point, which allows easy casting of bearing shells. This metal shows sufficient strength and ductility not to crack and squeeze out under heavy loads. In addition, white metals are soft enough to contour to a shaft, preventing high points on bearing surfaces, and because of their good thermal conductivity, heat is readily dissipated away from operating bearing surfaces.","head1":"Lead","head2":"Babbit and White Metals"},
+    {"block":842,"text":"Tin-based babbit (eg. 89% tin, 7.5% lead, 3.5% copper) is widely used for higher speed, heavier load bearing applications. Lead-based babbit (eg. 75% lead, 15% antimony, and 10% tin) is used for bearing applications at lower speeds and lighter loads. Lead-based babbits are tougher but less ductile than the tin-based babbits.","head1":"Lead","head2":"Babbit and White Metals"},
+    {"block":843,"text":"Tin","head1":"Tin","head2":"","heading":true},
+    {"block":844,"text":"Tin is extracted from oxide ores. It is a soft, white metal with good corrosion resistance and lubricity. Tin is mainly used in tin plate and as an alloying addition. Tin plate production is the largest single use of tin. Tin plate is used to make containers and packaging for food and also non-food items.","head1":"Tin","head2":""},
+    {"block":845,"text":"Tin-Lead Solders","head1":"Tin","head2":"Tin-Lead Solders","heading":true},
+    {"block":846,"text":"Solders are divided into tin-lead solders and other solders based on various metals. The tin-lead group includes high-lead, general purpose, and high-tin solders.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":847,"text":"High-lead solders, containing 80% lead, are used for joining tin-plated containers and automobile radiators. General purpose solders vary from 25% tin/25% lead to 50% tin/50% lead.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":848,"text":"The tin-lead phase diagram (Figure 11) indicates that a wide range of solder alloys are possible, depending on the melting range (pasty stage) required. For example, wiping a lead pipe to lead pipe joint requires a lengthy pasty stage, but electronic components require the lowest melting point and no pasty stage (eutectic) to minimize damage to printed circuit boards.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":850,"text":"Figure 11 – Tin-Lead Phase Diagram","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":854,"text":"Objective 7","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":856,"text":"Describe the composition, physical properties, and uses of aluminum and aluminum alloys.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":858,"text":"Aluminum","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":859,"text":"Pure aluminum metal has a density of 2699 kg/m3. In the useful lightweight metal class, it is only surpassed by magnesium at 1738 kg/m3. In comparison, iron has a density of 7870 kg/m3. Light weight, with the additional properties of very good heat and electrical conductivity, make this metal highly valued.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":860,"text":"Aluminum has only been commercially produced in the last century because of the difficulty of separating the pure metal from its abundant ores (which comprise over 8% of the earth’s crust). Bauxite, a reddish-brown ore, with abundant sources located in Australia and Jamaica, is a complex mixture of minerals containing mostly aluminum hydroxides (Al2O3•3H2O). Through a caustic leaching operation called the Bayer process, alumina (Al2O3) is produced from bauxite. Alumina is then fed to an electrolytic cell in the presence of the mineral cryolite (Na3AlF6). An electric current fuses these minerals together forming molten aluminum which settles and is tapped off the bottom of the bed. This final refining step is known as the Hall-Heroult process.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":861,"text":"Elemental aluminum has a relatively low tensile strength and is very malleable and ductile. However, as with other metals, its alloys have properties that are far superior, and it is these alloys that are widely used in industry.","head1":"Tin","head2":"Tin-Lead Solders"},
+    {"block":862,"text":"Aluminum Alloys","head1":"Aluminum Alloys","head2":"","heading":true},
+    {"block":863,"text":"Aluminum is combined with other metals such as copper, silicon, manganese, zinc, nickel, magnesium, chromium, and lithium to produce hundreds of important alloys that show a remarkable range of strength, fatigue resistance, toughness, and light weight. These properties make them ideal for use in aircraft and spacecraft construction, automobile parts, industrial plant equipment, military hardware, and domestic implements.","head1":"Aluminum Alloys","head2":""},
+    {"block":864,"text":"Aluminum, combined with copper, is a good example of a useful common alloy. This alloy is produced by heating aluminum above 550°C and then saturating the crucible with copper to form a solution that contains about 5% copper by weight. Since this matrix is not positively soluble in the solid state, the copper tends to be rejected by the aluminum during cooling. But, if the mixture is quenched with cold water, the copper does not have time to precipitate into copper crystals and instead forms an intermetallic compound (CuAl2). This process is called precipitation hardening and produces an alloy that is 5 to 6 times stronger than pure aluminum.","head1":"Aluminum Alloys","head2":""},
+    {"block":865,"text":"The CuAl2 micro-particles are extremely hard and interfere with the surrounding aluminum atoms by preventing easy slippage of their atomic-plane structures, resulting in a hard, strong alloy. Carbon atoms in an iron matrix react very much the same way in converting iron into steel.","head1":"Aluminum Alloys","head2":""},
+    {"block":866,"text":"Recently, strong interest has been shown in aluminum-lithium alloys and aluminum metal matrix composites (MMC) which have very high strengths, are heat resistant, durable, and light weight. They are used to manufacture machine parts, such as diesel engine pistons and high load-bearing components for the aerospace industry. Metal matrix composites are made by solidifying molten alloys that have been reinforced with boron or ceramic fibres. Further research in this direction holds promise for many new applications.","head1":"Aluminum Alloys","head2":""},
+    {"block":867,"text":"Aluminum has another remarkable property. It is unique in being the only metal known that increases in tensile strength as its temperature decreases. This property is utilized in the construction of large plate-fin, aluminum-alloy heat exchangers, called cold boxes, with multiple internal flow paths that display incomparable heat exchange efficiency in cryogenic process plants. A pair of these cold box heat exchangers installed in an ethane extraction plant under construction is shown in Figure 12. Temperatures drop to –100°C in the coldest sections. Note the number of flanged connections; each represents an associated internal passage.","head1":"Aluminum Alloys","head2":""},
+    {"block":869,"text":"Figure 12 – Cold Box Heat Exchangers","head1":"Aluminum Alloys","head2":""},
+    {"block":872,"text":"Aluminum and its alloys are also used extensively in the electrical field for conductors in large electric transmission lines, switchgear equipment, and motor control centre main bus bar connectors. Aluminum conductors do not need additional surface protection because they develop a thin, passivating, corrosion-resistant oxide surface layer. This layer protects the underlying base metal from further corrosion. For this reason, and because of its high electrical conductivity, strength, and light weight, most high-voltage transmission systems use strand-twisted aluminum alloy conductor cable that, in systems above 250 kV, can exceed 28 mm in diameter. Because of the mass reduction when compared to copper-clad steel cable, utility companies can place the transmission towers much farther apart and realize large cost savings when constructing these lines using aluminum wire cable.","head1":"Aluminum Alloys","head2":""},
+    {"block":873,"text":"Cross-sectional views of modern conductor cables used in large electric transmission systems are shown in Figure 13. The conductor is made from an aluminum-magnesium-silicon alloy with high electrical conductivity and, due to its corrosion resistance properties (no steel core), it is usually installed in areas that have severe, corrosive environments such as coastal regions. This type of cable is also used in urban areas, where supports are close together, omitting the need for higher strength steel core cable which is more expensive.","head1":"Aluminum Alloys","head2":""},
+    {"block":875,"text":"Figure 13 – All Aluminum Alloy Conductors (AAC)","head1":"Aluminum Alloys","head2":""},
+    {"block":878,"text":"The conductor shown in Figure 14 is made with a solid or stranded steel core surrounded by aluminum stranded wire. It can be manufactured with a wide range of tensile strengths that vary with the size of the inner steel core. They are used for river crossings and other long-span installations.","head1":"Aluminum Alloys","head2":""},
+    {"block":879,"text":"An advantage of this type of conductor is its high tensile strength.","head1":"Aluminum Alloys","head2":""},
+    {"block":880,"text":"Disadvantages are:","head1":"Aluminum Alloys","head2":""},
+    {"block":881,"text":"• A greater diameter is required to carry a given electrical load","head1":"Aluminum Alloys","head2":""},
+    {"block":882,"text":"• The inner steel core is prone to corrosion","head1":"Aluminum Alloys","head2":""},
+    {"block":883,"text":"• They are comparatively costly","head1":"Aluminum Alloys","head2":""},
+    {"block":885,"text":"Figure 14 – Aluminum Conductor Steel Reinforced (ACSR)","head1":"Aluminum Alloys","head2":""},
+    {"block":888,"text":"In an attempt to increase tensile strength without sacrificing load carrying capacity, an innovative manufacturing method uses a continuous carbon fibre-polymer resin composite to replace the steel inner core of the ACSR conductor. The aluminum conductor composite core (ACCC), shown in Figure 15, is 75% lighter than steel with comparable tensile strength for a given wire diameter and is completely unaffected by corrosion.","head1":"Aluminum Alloys","head2":""},
+    {"block":890,"text":"Figure 15 – Aluminum Conductor Composite Core (ACCC)","head1":"Aluminum Alloys","head2":""},
+    {"block":894,"text":"Chapter Questions","head1":"Aluminum Alloys","head2":""},
+    {"block":897,"text":"1. a) Explain the differences between face-centered cubic, body-centered cubic and close-packed hexagonal unit cell structures in metals and give examples of each.","head1":"Aluminum Alloys","head2":""},
+    {"block":898,"text":"b) What is the allotropy of iron and why is this process important to understand?","head1":"Aluminum Alloys","head2":""},
+    {"block":899,"text":"c) A metal is prone to cracking under stress if its grain boundaries are contaminated with impurities. Explain how this can occur and give an example.","head1":"Aluminum Alloys","head2":""},
+    {"block":900,"text":"d) At the atomic level, what generally determines the shear strength of a metal?","head1":"Aluminum Alloys","head2":""},
+    {"block":901,"text":"2. a) Define the austenite and cementite structures in steel.","head1":"Aluminum Alloys","head2":""},
+    {"block":902,"text":"b) What occurs at the lower critical change line with a dropping temperature in an alloy of 3% carbon in iron that is significant in forming cast iron?","head1":"Aluminum Alloys","head2":""},
+    {"block":903,"text":"c) Why is cast iron brittle?","head1":"Aluminum Alloys","head2":""},
+    {"block":904,"text":"3. a) Which heat treatment process produces the maximum toughness in mild steels? Describe this process.","head1":"Aluminum Alloys","head2":""},
+    {"block":905,"text":"b) How are steels hardened? Why are some steels only case hardened? Give five uses for case hardened steel.","head1":"Aluminum Alloys","head2":""},
+    {"block":906,"text":"c) Tempering and quenching steel is a process used to control the diffusion and precipitation of which element in the matrix?","head1":"Aluminum Alloys","head2":""},
+    {"block":907,"text":"4. a) What information is given in a material test report?","head1":"Aluminum Alloys","head2":""},
+    {"block":908,"text":"b) What organizations establish the metal specification of power plant steam piping?","head1":"Aluminum Alloys","head2":""},
+    {"block":909,"text":"5. a) What term generally refers to the wall thickness in a steel pipe? The pressure rating of a steel flange?","head1":"Aluminum Alloys","head2":""},
+    {"block":910,"text":"b) What minimum information must be permanently stencilled on piping, fittings, and flanges?","head1":"Aluminum Alloys","head2":""},
+    {"block":911,"text":"6. a) List two main supply sources of copper.","head1":"Aluminum Alloys","head2":""},
+    {"block":912,"text":"b) Explain why copper is an important metal.","head1":"Aluminum Alloys","head2":""},
+    {"block":913,"text":"c) List five industrial uses of pure copper.","head1":"Aluminum Alloys","head2":""},
+    {"block":914,"text":"d) How do the composition and the properties of brass and bronze differ?","head1":"Aluminum Alloys","head2":""},
+    {"block":915,"text":"e) What is white metal? Name the most important alloy of white metal and give its uses.","head1":"Aluminum Alloys","head2":""},
+    {"block":916,"text":"7. a) Describe the process that produces our major supply of aluminum.","head1":"Aluminum Alloys","head2":""},
+    {"block":917,"text":"b) State three main uses of aluminum and explain why aluminum alloys are so important.","head1":"Aluminum Alloys","head2":""},
+    {"block":918,"text":"Self-Assessment","head1":"Aluminum Alloys","head2":""},
+    {"block":919,"text":"Question 1","head1":"Aluminum Alloys","head2":""},
+    {"block":920,"text":"What type of steel is used to make small tools, is strong and hard, can only be welded with special welding techniques and has a carbon content of 0.60 - 1.00%?","head1":"Aluminum Alloys","head2":""},
+    {"block":921,"text":"mild","head1":"Aluminum Alloys","head2":""},
+    {"block":922,"text":"high carbon","head1":"Aluminum Alloys","head2":""},
+    {"block":923,"text":"very high carbon","head1":"Aluminum Alloys","head2":""},
+    {"block":924,"text":"medium carbon","head1":"Aluminum Alloys","head2":""},
+    {"block":925,"text":"zero carbon","head1":"Aluminum Alloys","head2":""},
+    {"block":932,"text":"Question 2","head1":"Aluminum Alloys","head2":""},
+    {"block":933,"text":"Certain metals are __________ which means that their atoms can rearrange from one crystal structure to another at certain critical temperatures with each structure being stable within definite limits of temperature and pressure and having distinct properties.","head1":"Aluminum Alloys","head2":""},
+    {"block":934,"text":"allotropic","head1":"Aluminum Alloys","head2":""},
+    {"block":935,"text":"alloys","head1":"Aluminum Alloys","head2":""},
+    {"block":936,"text":"critical","head1":"Aluminum Alloys","head2":""},
+    {"block":937,"text":"cementite","head1":"Aluminum Alloys","head2":""},
+    {"block":938,"text":"ferrite","head1":"Aluminum Alloys","head2":""},
+    {"block":945,"text":"Question 3","head1":"Aluminum Alloys","head2":""},
+    {"block":946,"text":"The strength of steel __________ as the carbon content increases but the ductility __________.","head1":"Aluminum Alloys","head2":""},
+    {"block":947,"text":"increases, decreases","head1":"Aluminum Alloys","head2":""},
+    {"block":948,"text":"increases, increases","head1":"Aluminum Alloys","head2":""},
+    {"block":949,"text":"decreases, decreases","head1":"Aluminum Alloys","head2":""},
+    {"block":950,"text":"decreases, increases","head1":"Aluminum Alloys","head2":""},
+    {"block":951,"text":"remains the same, increases","head1":"Aluminum Alloys","head2":""},
+    {"block":958,"text":"Question 4","head1":"Aluminum Alloys","head2":""},
+    {"block":959,"text":"The process used to soften steel by heating above the transformation range and then cooling it slowly is called:","head1":"Aluminum Alloys","head2":""},
+    {"block":960,"text":"stress relieving.","head1":"Aluminum Alloys","head2":""},
+    {"block":961,"text":"case hardening.","head1":"Aluminum Alloys","head2":""},
+    {"block":962,"text":"annealing.","head1":"Aluminum Alloys","head2":""},
+    {"block":963,"text":"tempering.","head1":"Aluminum Alloys","head2":""},
+    {"block":964,"text":"softening","head1":"Aluminum Alloys","head2":""},
+    {"block":971,"text":"Question 5","head1":"Aluminum Alloys","head2":""},
+    {"block":972,"text":"This non-ferrous metal has good corrosion resistance, is an excellent heat conductor, is very malleable and ductile, has low density and low tensile strength:","head1":"Aluminum Alloys","head2":""},
+    {"block":973,"text":"aluminum.","head1":"Aluminum Alloys","head2":""},
+    {"block":974,"text":"bronze.","head1":"Aluminum Alloys","head2":""},
+    {"block":975,"text":"copper.","head1":"Aluminum Alloys","head2":""},
+    {"block":976,"text":"lead.","head1":"Aluminum Alloys","head2":""},
+    {"block":977,"text":"tin","head1":"Aluminum Alloys","head2":""}
+  ],
+  "CH6_Testing_of_Metals.html": [
+    {"block":0,"text":"Testing of Metals","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 6","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Discuss the common procedures and parameters for testing of metals.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Differentiate between destructive and non-destructive testing and explain the procedures and interpretation of tensile, hardness, and impact tests.","head1":"","head2":""},
+    {"block":13,"text":"2. Explain the purpose and procedure of a Proof (Hydrostatic Deformation) Test.","head1":"","head2":""},
+    {"block":14,"text":"3. Explain the causes and significances of welding discontinuities.","head1":"","head2":""},
+    {"block":15,"text":"4. Explain Non-Destructive Examination, along with its applications and benefits.","head1":"","head2":""},
+    {"block":16,"text":"5. Explain visual inspection and the procedures used.","head1":"","head2":""},
+    {"block":17,"text":"6. Explain magnetic particle inspection and the procedures used.","head1":"","head2":""},
+    {"block":18,"text":"7. Explain liquid penetrant testing and the procedures used.","head1":"","head2":""},
+    {"block":19,"text":"8. Explain ultrasonic testing and the procedures used.","head1":"","head2":""},
+    {"block":20,"text":"9. Explain radiographic testing, including interpretation of results.","head1":"","head2":""},
+    {"block":21,"text":"10. Explain acoustic emission testing and the procedures used.","head1":"","head2":""},
+    {"block":22,"text":"11. Explain leak and pressure testing.","head1":"","head2":""},
+    {"block":23,"text":"12. Explain how to monitor and test metals for creep, fatigue and corrosion.","head1":"","head2":""},
+    {"block":25,"text":"Objective 1","head1":"","head2":""},
+    {"block":27,"text":"Differentiate between destructive and non-destructive testing and explain the procedures and interpretation of tensile, hardness, and impact tests.","head1":"","head2":""},
+    {"block":29,"text":"Metal Testing - Introduction","head1":"","head2":""},
+    {"block":30,"text":"Metals for manufacturing pressure equipment must be tested to establish and document their mechanical properties under various temperature-dependent, time-dependent, or cyclical loading service conditions. Testing is also performed after construction or repairs, to determine whether welding, forming, or cutting procedures have maintained, improved, or diminished the mechanical properties of the material. Testing is used to determine whether a vessel material’s mechanical properties, over its normal service life, have diminished due to corrosion and cracking. Testing can locate defects in the parent material, weld joints, and the areas adjacent to weld joints. These defects may cause premature or drastic failure of the vessel pressure boundary, and include conditions such as laminations, porosity, cracks, or localized loss of ductility. Tests are performed not only the parent metal, but also on weld joints and their immediate vicinity.","head1":"","head2":""},
+    {"block":31,"text":"There are two main categories of material testing:","head1":"","head2":""},
+    {"block":32,"text":"Destructive testing involves applying a test procedure that purposely causes damage to the tested metal, thereby destroying its integrity and rendering it unusable.","head1":"","head2":""},
+    {"block":33,"text":"Non-destructive testing, also called non-destructive examination (NDE) involves test procedures that do no damage to the tested metal, allowing it to retain its integrity and its usefulness.","head1":"","head2":""},
+    {"block":34,"text":"Objectives 1 and 2 examine four methods of destructive testing:","head1":"","head2":""},
+    {"block":35,"text":"• Tensile tests","head1":"","head2":""},
+    {"block":36,"text":"• Hardness tests","head1":"","head2":""},
+    {"block":37,"text":"• Impact tests, and","head1":"","head2":""},
+    {"block":38,"text":"• Proof tests","head1":"","head2":""},
+    {"block":39,"text":"Objective 3, as a precursor to non-destructive testing, examines common weld defects.","head1":"","head2":""},
+    {"block":40,"text":"Objectives 4 through 10 examine seven methods of non-destructive testing.","head1":"","head2":""},
+    {"block":41,"text":"• Visual","head1":"","head2":""},
+    {"block":42,"text":"• Magnetic Particle","head1":"","head2":""},
+    {"block":43,"text":"• Liquid Penetrant","head1":"","head2":""},
+    {"block":44,"text":"• Ultrasonic","head1":"","head2":""},
+    {"block":45,"text":"• Radiographic","head1":"","head2":""},
+    {"block":46,"text":"• Acoustic Emission and","head1":"","head2":""},
+    {"block":47,"text":"• Hydrostatic and Pneumatic Leak Testing","head1":"","head2":""},
+    {"block":48,"text":"Objective 11 examines the testing of metals for creep, fatigue, and corrosion.","head1":"","head2":""},
+    {"block":49,"text":"Tensile Test","head1":"Tensile Test","head2":"","heading":true},
+    {"block":50,"text":"A tensile test (sometimes called a tension test) is a relatively simple and inexpensive test, used to determine how a metal will react when tension forces are applied. The test involves applying tension to a test piece, thereby producing tensile stress in the metal. As the material is stressed, the elongation and stress of the material are determined. To ensure valid results, consideration is given to the specimen’s shape and dimensions plus the choice of grips and faces.","head1":"Tensile Test","head2":""},
+    {"block":51,"text":"Specimen","head1":"Tensile Test","head2":"Specimen","heading":true},
+    {"block":52,"text":"The specimen is the piece of metal that is tested. The shape of the specimen is defined by the standard or specification being utilized in the test (e.g. ASTM E8 or D638). The shape is important as it ensures the break occurs within the “gauge length” section; the cross sectional area or diameter of the specimen is reduced throughout the gauge length.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":53,"text":"Figure 1 shows a specimen prior to testing. The testing mechanism (called an “extensometer”) is illustrated in Figure 2.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":55,"text":"Figure 1 – Specimen Prior to Testing","head1":"Tensile Test","head2":"Specimen"},
+    {"block":59,"text":"Figure 2 – Tensile Test Mechanism (Extensometer)","head1":"Tensile Test","head2":"Specimen"},
+    {"block":62,"text":"Figure 3 shows how the specimen physically deforms as more stress is applied to it. As the diameter reduces within the gauge length, the stress becomes greater because stress is inversely proportional to the cross-sectional area under load:","head1":"Tensile Test","head2":"Specimen"},
+    {"block":63,"text":"stress (σ) = Loadcrosssectionalarea","head1":"Tensile Test","head2":"Specimen"},
+    {"block":65,"text":"Figure 3 – Tensile Stress Test","head1":"Tensile Test","head2":"Specimen"},
+    {"block":68,"text":"In a tensile test, a sample is extended (stretched) at constant rate, and the load needed to maintain this is measured. The stress (σ) (calculated from the load), and the strain (ε) (calculated from the extension), can be plotted as stress against strain as shown in Figure 4.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":70,"text":"Figure 4 – Graph Illustrating the Nominal Stress and Strain","head1":"Tensile Test","head2":"Specimen"},
+    {"block":73,"text":"Referring to Figure 4, the stress points on the graph are defined as:","head1":"Tensile Test","head2":"Specimen"},
+    {"block":74,"text":"(A) Proportional Limit","head1":"Tensile Test","head2":"Specimen"},
+    {"block":75,"text":"This is the stress point at which slip (or glide) due to dislocation movement occurs. The graph is linear up to this point, above which the transition from elastic to plastic deformation begins. Depending on the material being tested, this point is either poorly defined (as in Figure 4) or well defined.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":76,"text":"(B) Yield stress","head1":"Tensile Test","head2":"Specimen"},
+    {"block":77,"text":"This is the stress at which yielding occurs across the whole specimen. The stress required for slip in a particular metal grain depends on how the grain is oriented, so points A and B are not generally coincident in a polycrystalline sample. A polycrystalline material is composed of variously oriented, small individual crystals. At this point, the deformation is purely plastic (non-reversible).","head1":"Tensile Test","head2":"Specimen"},
+    {"block":78,"text":"(C) Proof stress","head1":"Tensile Test","head2":"Specimen"},
+    {"block":79,"text":"This point is sometimes described as the yield stress of the material. This is the point at which the specimen has undergone a certain (arbitrary) value of permanent strain, usually 0.2%. The stress at this point is then known as the 0.2% proof stress. This is used because the precise positions of A and B are often difficult to define and depend to some extent on the accuracy of the testing machine.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":80,"text":"(D) Ultimate tensile strength (UTS)","head1":"Tensile Test","head2":"Specimen"},
+    {"block":81,"text":"The UTS is the point at which plastic deformation becomes unstable and a narrow region (a neck) forms in the specimen. It is the peak (maximum) value of nominal stress during the test. Deformation will continue in the necked region until fracture occurs.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":82,"text":"(E) Final instability point","head1":"Tensile Test","head2":"Specimen"},
+    {"block":83,"text":"This is the failure point, at which fracture occurs.","head1":"Tensile Test","head2":"Specimen"},
+    {"block":84,"text":"Strain","head1":"Tensile Test","head2":"Strain","heading":true},
+    {"block":85,"text":"There are two main types of strain:","head1":"Tensile Test","head2":"Strain"},
+    {"block":86,"text":"• Elastic","head1":"Tensile Test","head2":"Strain"},
+    {"block":87,"text":"• Plastic","head1":"Tensile Test","head2":"Strain"},
+    {"block":88,"text":"Elastic Strain","head1":"Tensile Test","head2":"Strain","heading":true},
+    {"block":89,"text":"Elastic strain involves the stretching of a material within its elastic limit (i.e it will return to original dimensions when stress is removed). Elastic strain can be defined by Hooke’s Law, which states that the stress in a solid is directly proportional to the resulting strain. In formula this is:","head1":"Tensile Test","head2":"Strain"},
+    {"block":91,"text":"stress","head1":"Tensile Test","head2":"Strain"},
+    {"block":93,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":95,"text":"Ε × strain or Ε × ε","head1":"Tensile Test","head2":"Strain"},
+    {"block":97,"text":"where","head1":"Tensile Test","head2":"Strain"},
+    {"block":99,"text":"E","head1":"Tensile Test","head2":"Strain"},
+    {"block":101,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":103,"text":"Young’s Modulus or “Modulus of Elasticity”","head1":"Tensile Test","head2":"Strain"},
+    {"block":105,"text":"and","head1":"Tensile Test","head2":"Strain"},
+    {"block":107,"text":"E","head1":"Tensile Test","head2":"Strain"},
+    {"block":109,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":111,"text":"stressstrain = σε","head1":"Tensile Test","head2":"Strain"},
+    {"block":112,"text":"Note: The value of Young’s Modulus (available in engineering tables) has been individually defined for specific metals. The value for each specific metal also varies with temperature.","head1":"Tensile Test","head2":"Strain"},
+    {"block":113,"text":"Plastic Strain","head1":"Tensile Test","head2":"Strain","heading":true},
+    {"block":114,"text":"Plastic strain, or plastic flow, is irreversible deformation of a material. The material has exceeded its elastic limit. There is no equation to relate the stress to plastic strain.","head1":"Tensile Test","head2":"Strain"},
+    {"block":115,"text":"The elongation (amount of stretch) that a specimen undergoes during a tensile test can also be found. This can be expressed as an absolute measurement of the change in length or as a relative measurement. Strain can be expressed in two different ways: Engineering strain and True strain","head1":"Tensile Test","head2":"Strain"},
+    {"block":116,"text":"Engineering Strain","head1":"Tensile Test","head2":"Strain","heading":true},
+    {"block":117,"text":"Engineering strain is probably the most easily understood and the most common expression of strain. It is the ratio of the change in length to the original length:","head1":"Tensile Test","head2":"Strain"},
+    {"block":119,"text":"strain (ε)","head1":"Tensile Test","head2":"Strain"},
+    {"block":121,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":123,"text":"changeinlengthoriginallength","head1":"Tensile Test","head2":"Strain"},
+    {"block":124,"text":"True Strain","head1":"Tensile Test","head2":"Strain","heading":true},
+    {"block":125,"text":"True strain is similar, but is based on the instantaneous length of the specimen as the test progresses.","head1":"Tensile Test","head2":"Strain"},
+    {"block":127,"text":"true strain (ε)","head1":"Tensile Test","head2":"Strain"},
+    {"block":129,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":131,"text":"ln (LiLO)","head1":"Tensile Test","head2":"Strain"},
+    {"block":133,"text":"Li","head1":"Tensile Test","head2":"Strain"},
+    {"block":135,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":137,"text":"Instanteneous length","head1":"Tensile Test","head2":"Strain"},
+    {"block":139,"text":"LO","head1":"Tensile Test","head2":"Strain"},
+    {"block":141,"text":"=","head1":"Tensile Test","head2":"Strain"},
+    {"block":143,"text":"the original length","head1":"Tensile Test","head2":"Strain"},
+    {"block":144,"text":"Ultimate Tensile Strength","head1":"Tensile Test","head2":"Ultimate Tensile Strength","heading":true},
+    {"block":145,"text":"One of the properties determined about a material is its ultimate tensile strength (UTS). This is the maximum load the specimen sustains during a tensile test. The UTS may or may not equate to the strength at fracture. This depends on whether the tested metal is brittle, ductile, or exhibits both properties. Sometimes a metal may be ductile when tested in a lab, but when placed in service and exposed to extreme cold temperatures it may become more brittle.","head1":"Tensile Test","head2":"Ultimate Tensile Strength"},
+    {"block":146,"text":"Hardness Testing","head1":"Hardness Testing","head2":"","heading":true},
+    {"block":147,"text":"Hardness is a measurement of the resistance of a material to surface indentation. A number of different tests have evolved for determining hardness, and each has its own scale for measuring hardness. These scales are arbitrary and express hardness purely quantitatively. This module describes four hardness tests, which are based on a metal’s resistance to indentation.","head1":"Hardness Testing","head2":""},
+    {"block":148,"text":"Indentation hardness, or the resistance of a material to indentation, can be measured in two ways. The first method utilizes a specific force and measures either the penetration depth of the indentation or the area the indentation. The second method measures the load (i.e force) that is applied to the indentor. The most important criteria for an indentor is its ability to provide indentations that are geometrically similar and well defined. The four common hardness testing methods, based on indentation, are known as the:","head1":"Hardness Testing","head2":""},
+    {"block":149,"text":"• Brinell","head1":"Hardness Testing","head2":""},
+    {"block":150,"text":"• Rockwell","head1":"Hardness Testing","head2":""},
+    {"block":151,"text":"• Vickers","head1":"Hardness Testing","head2":""},
+    {"block":152,"text":"• Knoop","head1":"Hardness Testing","head2":""},
+    {"block":153,"text":"Brinell Hardness Test","head1":"Hardness Testing","head2":"","heading":true},
+    {"block":154,"text":"Brinell hardness testing equipment includes both laboratory and portable testing systems. Testers use several methods to apply test loads, including dead weight, pneumatic, spring, hydraulic, and impact methods. A hydraulic Brinell hardness tester, shown in Figure 5, uses the principle of a constant load applied for a period of time, using an indentor with a predetermined diameter.","head1":"Hardness Testing","head2":""},
+    {"block":156,"text":"Figure 5 – Brinell Hardness Testing Machine","head1":"Hardness Testing","head2":""},
+    {"block":159,"text":"The test is performed in the following sequence:","head1":"Hardness Testing","head2":""},
+    {"block":160,"text":"1. The specimen is placed on the anvil.","head1":"Hardness Testing","head2":""},
+    {"block":161,"text":"2. The load is applied.","head1":"Hardness Testing","head2":""},
+    {"block":162,"text":"3. The indentor penetrates the specimen for 10 to 30 seconds.","head1":"Hardness Testing","head2":""},
+    {"block":163,"text":"4. The diameter of the round indentation is measured twice, with the second measurement taken 90 degrees from the first.","head1":"Hardness Testing","head2":""},
+    {"block":164,"text":"5. The mean diameter of the indentation is determined.","head1":"Hardness Testing","head2":""},
+    {"block":165,"text":"6. The Brinell hardness number is either calculated or determined from an appropriate table.","head1":"Hardness Testing","head2":""},
+    {"block":166,"text":"The following formula may be used to calculate the Brinell Hardness Number (BHN).","head1":"Hardness Testing","head2":""},
+    {"block":168,"text":"BHN","head1":"Hardness Testing","head2":""},
+    {"block":170,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":172,"text":"2LπD(D−√D2−d2)","head1":"Hardness Testing","head2":""},
+    {"block":173,"text":"Where:","head1":"Hardness Testing","head2":""},
+    {"block":175,"text":"D","head1":"Hardness Testing","head2":""},
+    {"block":177,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":179,"text":"Indentor ball diameter, mm","head1":"Hardness Testing","head2":""},
+    {"block":181,"text":"d","head1":"Hardness Testing","head2":""},
+    {"block":183,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":185,"text":"Mean diameter of the indentation, mm","head1":"Hardness Testing","head2":""},
+    {"block":187,"text":"L","head1":"Hardness Testing","head2":""},
+    {"block":189,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":191,"text":"Load, kg","head1":"Hardness Testing","head2":""},
+    {"block":192,"text":"However, this calculation is not usually done. Instead, tables are available that provide Brinell Hardness Numbers, based on the load and the mean diameter of the indentation. The tables reference loads that range from 500 kg to 3000 kg. Each table also applies to a specific indentor ball diameter (typically 10 mm).","head1":"Hardness Testing","head2":""},
+    {"block":193,"text":"The diameter of the indentation is measured with the aid of a microscope. Errors in determining the actual diameter are a result of incorrect instrument readings, a poorly defined indentation boundary, or both. The error in reading a Brinell microscope should not exceed 0.01 mm over the entire 7 mm scale.","head1":"Hardness Testing","head2":""},
+    {"block":194,"text":"The definition (clarity) of the indentation boundary depends on the characteristic of the tested material. Some materials develop a raised ridge around the indentation, as shown in Figure 6(a). Other materials have no sharp line of demarcation between the surrounding surface and the indentation, due to the rounding and unevenness of the boundary, as shown in Figure 6(b). Some materials exhibit a clearly defined “edge”, as shown in Figure 6(c).","head1":"Hardness Testing","head2":""},
+    {"block":196,"text":"Figure 6 – Typical Indentations","head1":"Hardness Testing","head2":""},
+    {"block":199,"text":"Rockwell Hardness Test","head1":"Hardness Testing","head2":"","heading":true},
+    {"block":200,"text":"Rockwell hardness testing is the most widely used method for determining hardness because it is simple to perform. Rockwell hardness testing equipment is used in laboratories, in automated systems for high production, and portable test units. The testers use either a 120° diamond cone for the Rockwell C test, or a 1.6 mm diameter ball as the indentor for the Rockwell B test.","head1":"Hardness Testing","head2":""},
+    {"block":201,"text":"The Rockwell hardness test involves applying two loads to a specimen and measuring the difference in depth of penetration between the light (minor) load and the heavy (major) load. The minor load is 10 kg and the major load is 60, 100, or 150 kg, regardless of the type of indentor used. The minor load is applied first to zero the setting on the dial depth gauge; the major load is then applied for a specific time and then released. The hardness number is indicated on a dial gauge.","head1":"Hardness Testing","head2":""},
+    {"block":202,"text":"Rockwell test results are described using a numerical value (related to the depth of indentation) and a letter scheme that describes the conditions of the test. The letters describe the scale symbol, type of indentor, and the major load. For example, every Rockwell test value is followed by the letter H for hardness, then R for Rockwell and, finally, the scale used, either “B” or “C.”","head1":"Hardness Testing","head2":""},
+    {"block":203,"text":"Figure 7 illustrates the measurement of penetration depth using a diamond cone indentor.","head1":"Hardness Testing","head2":""},
+    {"block":205,"text":"Figure 7 – Rockwell Hardness Testing","head1":"Hardness Testing","head2":""},
+    {"block":208,"text":"Vickers Hardness Test","head1":"Hardness Testing","head2":"","heading":true},
+    {"block":209,"text":"The Vickers hardness test employs a 136° diamond pyramid as an indentor (i.e. a square based pyramid with an angle of 136° between faces). The loads applied to the diamond indentor (for a period of 10 to 15 seconds) range from 1 to 120 kg, with standard loads of 5, 10, 20, 30, 50, 100, and 120 kg.","head1":"Hardness Testing","head2":""},
+    {"block":210,"text":"The Vickers hardness number (HV) is provided by the following ratio:","head1":"Hardness Testing","head2":""},
+    {"block":212,"text":"HV","head1":"Hardness Testing","head2":""},
+    {"block":214,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":216,"text":"LoadIndentedArea","head1":"Hardness Testing","head2":""},
+    {"block":219,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":221,"text":"1.8544Ld2","head1":"Hardness Testing","head2":""},
+    {"block":223,"text":"Where:","head1":"Hardness Testing","head2":""},
+    {"block":225,"text":"d","head1":"Hardness Testing","head2":""},
+    {"block":227,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":229,"text":"Mean diagonal of indentation, mm","head1":"Hardness Testing","head2":""},
+    {"block":231,"text":"L","head1":"Hardness Testing","head2":""},
+    {"block":233,"text":"=","head1":"Hardness Testing","head2":""},
+    {"block":235,"text":"Load, kg","head1":"Hardness Testing","head2":""},
+    {"block":236,"text":"The indented area is calculated using the average readings of both diagonals. The diagonals of the indentation are measured using a micrometer microscope.","head1":"Hardness Testing","head2":""},
+    {"block":237,"text":"The Vickers hardness number is determined using a table for the appropriate load, identifying the average diagonal value, and reading the appropriate hardness value.","head1":"Hardness Testing","head2":""},
+    {"block":238,"text":"Vickers hardness numbers are reported with the hardness value and the load used. For example, if hardness of 820 is determined using a 50 kg load, the hardness is reported as “820HV50”.","head1":"Hardness Testing","head2":""},
+    {"block":239,"text":"Vickers hardness testing has several advantages over other hardness tests:","head1":"Hardness Testing","head2":""},
+    {"block":240,"text":"• The method is accepted world wide","head1":"Hardness Testing","head2":""},
+    {"block":241,"text":"• The indentor is accurate and shape is not distorted under loads","head1":"Hardness Testing","head2":""},
+    {"block":242,"text":"• The impressions made are small, and thus limit damage to finished products","head1":"Hardness Testing","head2":""},
+    {"block":243,"text":"• Light loads of 1 kg allow for the testing of thin materials","head1":"Hardness Testing","head2":""},
+    {"block":244,"text":"• There is only one scale for the hardness of all materials","head1":"Hardness Testing","head2":""},
+    {"block":245,"text":"• Damage to indentors is readily apparent as viewed under the microscope","head1":"Hardness Testing","head2":""},
+    {"block":246,"text":"• The diagonal of a square impression can be measured more accurately than the diameter of a ball impression","head1":"Hardness Testing","head2":""},
+    {"block":247,"text":"Vickers Hardness Testing Guidelines","head1":"Hardness Testing","head2":"","heading":true},
+    {"block":248,"text":"• The full test load must be applied for sufficient time; 15 seconds is recommended.","head1":"Hardness Testing","head2":""},
+    {"block":249,"text":"• The spacing of indentations is important. A rule of thumb is that the distance between indentations or from the edge of the test specimen should be at least two and one half (2½) times the length of the diagonal of the indentation.","head1":"Hardness Testing","head2":""},
+    {"block":250,"text":"• Diagonals of indentations should be measured with the indentation perfectly centered within the viewing field of the microscope","head1":"Hardness Testing","head2":""},
+    {"block":251,"text":"• The micrometer microscope should be calibrated against a stage micrometer","head1":"Hardness Testing","head2":""},
+    {"block":252,"text":"Table 1 shows a comparison of Brinell, Vickers and Rockwell hardness values.","head1":"Hardness Testing","head2":""},
+    {"block":254,"text":"Table 1 – Brinell, Vickers and Rockwell Hardness Values","head1":"Hardness Testing","head2":""},
+    {"block":257,"text":"Brinell","head1":"Hardness Testing","head2":""},
+    {"block":259,"text":"Vickers","head1":"Hardness Testing","head2":""},
+    {"block":260,"text":"Hardness Number","head1":"Hardness Testing","head2":""},
+    {"block":262,"text":"Rockwell","head1":"Hardness Testing","head2":""},
+    {"block":264,"text":"Tensile","head1":"Hardness Testing","head2":""},
+    {"block":265,"text":"Strength","head1":"Hardness Testing","head2":""},
+    {"block":266,"text":"(Approx.","head1":"Hardness Testing","head2":""},
+    {"block":267,"text":"MPa)","head1":"Hardness Testing","head2":""},
+    {"block":269,"text":"Diameter (mm)","head1":"Hardness Testing","head2":""},
+    {"block":270,"text":"3000 kg load","head1":"Hardness Testing","head2":""},
+    {"block":271,"text":"10 mm Ball","head1":"Hardness Testing","head2":""},
+    {"block":273,"text":"Hardness Number","head1":"Hardness Testing","head2":""},
+    {"block":275,"text":"C","head1":"Hardness Testing","head2":""},
+    {"block":276,"text":"150 kg load","head1":"Hardness Testing","head2":""},
+    {"block":277,"text":"120° diamond","head1":"Hardness Testing","head2":""},
+    {"block":278,"text":"Cone","head1":"Hardness Testing","head2":""},
+    {"block":280,"text":"B","head1":"Hardness Testing","head2":""},
+    {"block":281,"text":"100 kg load 283 mm dia. Ball","head1":"Hardness Testing","head2":""},
+    {"block":283,"text":"2.35","head1":"Hardness Testing","head2":""},
+    {"block":285,"text":"682","head1":"Hardness Testing","head2":""},
+    {"block":287,"text":"886","head1":"Hardness Testing","head2":""},
+    {"block":289,"text":"64","head1":"Hardness Testing","head2":""},
+    {"block":292,"text":"337","head1":"Hardness Testing","head2":""},
+    {"block":294,"text":"2.75","head1":"Hardness Testing","head2":""},
+    {"block":296,"text":"496","head1":"Hardness Testing","head2":""},
+    {"block":298,"text":"540","head1":"Hardness Testing","head2":""},
+    {"block":300,"text":"50","head1":"Hardness Testing","head2":""},
+    {"block":302,"text":"117","head1":"Hardness Testing","head2":""},
+    {"block":304,"text":"247","head1":"Hardness Testing","head2":""},
+    {"block":306,"text":"3.30","head1":"Hardness Testing","head2":""},
+    {"block":308,"text":"341","head1":"Hardness Testing","head2":""},
+    {"block":310,"text":"350","head1":"Hardness Testing","head2":""},
+    {"block":312,"text":"36","head1":"Hardness Testing","head2":""},
+    {"block":314,"text":"109","head1":"Hardness Testing","head2":""},
+    {"block":316,"text":"166","head1":"Hardness Testing","head2":""},
+    {"block":318,"text":"3.90","head1":"Hardness Testing","head2":""},
+    {"block":320,"text":"241","head1":"Hardness Testing","head2":""},
+    {"block":322,"text":"241","head1":"Hardness Testing","head2":""},
+    {"block":324,"text":"23","head1":"Hardness Testing","head2":""},
+    {"block":326,"text":"100","head1":"Hardness Testing","head2":""},
+    {"block":328,"text":"119","head1":"Hardness Testing","head2":""},
+    {"block":330,"text":"4.50","head1":"Hardness Testing","head2":""},
+    {"block":332,"text":"179","head1":"Hardness Testing","head2":""},
+    {"block":334,"text":"179","head1":"Hardness Testing","head2":""},
+    {"block":336,"text":"8","head1":"Hardness Testing","head2":""},
+    {"block":338,"text":"89","head1":"Hardness Testing","head2":""},
+    {"block":340,"text":"89","head1":"Hardness Testing","head2":""},
+    {"block":342,"text":"5.00","head1":"Hardness Testing","head2":""},
+    {"block":344,"text":"143","head1":"Hardness Testing","head2":""},
+    {"block":346,"text":"143","head1":"Hardness Testing","head2":""},
+    {"block":349,"text":"79","head1":"Hardness Testing","head2":""},
+    {"block":351,"text":"72","head1":"Hardness Testing","head2":""},
+    {"block":353,"text":"5.70","head1":"Hardness Testing","head2":""},
+    {"block":355,"text":"107","head1":"Hardness Testing","head2":""},
+    {"block":357,"text":"107","head1":"Hardness Testing","head2":""},
+    {"block":360,"text":"64","head1":"Hardness Testing","head2":""},
+    {"block":362,"text":"56","head1":"Hardness Testing","head2":""},
+    {"block":363,"text":"Knoop Microhardness Testing","head1":"Hardness Testing","head2":"","heading":true},
+    {"block":364,"text":"The Knoop microhardness test utilizes a rhombic-based pyramidal diamond that produces a diamond shape with a long diagonal of seven times the short diagonal. The expected depth of the indentations is about 1/30th of the long diagonal axis. Typical testing loads are less than 500 g. Knoop microhardness testing is strictly confined to laboratory applications.","head1":"Hardness Testing","head2":""},
+    {"block":365,"text":"Hardness Testing Categories","head1":"Hardness Testing","head2":"Hardness Testing Categories","heading":true},
+    {"block":366,"text":"Hardness testing is described in the following three categories:","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":367,"text":"1. Microhardness testing, using up to 200 g of load","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":368,"text":"2. Low-load hardness testing, using 200 g to 3 kg of load","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":369,"text":"3. Macrohardness, using greater than 3 kg of load","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":370,"text":"Brinell hardness testing falls in the macrohardness testing category. It can also be described as bulk hardness testing, since it averages out small imperfections.","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":371,"text":"Rockwell hardness testing is a macrohardness test based on minor and major loads greater than 3 kg. The diameters of the indentations are significantly smaller than those with the Brinell indentor.","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":372,"text":"The Vickers hardness test is considered either a low-load microhardness test or a macrohardness test. Test loads can range from 1 g to 120 kg. Because of the diamond test point, the Vickers hardness test is used to test hard materials with high loads and to measure the hardness of small areas.","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":373,"text":"The Knoop hardness test is a microhardness test. It tests for the hardness of micro-constituents of a matrix. Knoop microhardness testing is utilized in failure analysis of components and for the testing of extremely brittle materials.","head1":"Hardness Testing","head2":"Hardness Testing Categories"},
+    {"block":374,"text":"Industrial Applications of Hardness Testing","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing","heading":true},
+    {"block":375,"text":"Hardness testing is a simple and inexpensive test for evaluating material properties during production.","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":376,"text":"Manufacturing processes influence the hardness of materials. Hardness testing ensures uniformity of heat treated components. Hardness tests are done on materials that have been cold worked, quenched and tempered, or precipitation hardened. Mill test reports provide hardness readings and are used to determine the suitability of pressure component materials for their intended use.","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":377,"text":"Indentation hardness testing is used in the fabrication and repair of pressure components to identify the misuse of welding consumables or to identify fabrication techniques that require post-weld heat treatment. Brinell portable hardness tests are completed in the shop or in the field on pressure components.","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":378,"text":"In welding applications, hardness tests determine if the strengths of the base and weld metals are matched, and also provide indications of any effects the welding process may have on the heat affected zone (HAZ).","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":379,"text":"To effectively test the hardness of a weld, it is advisable that the Welding Procedure Specification (WPS) be supported by a Procedure Qualification Report (PQR) that has had hardness tests completed by the Rockwell Superficial Hardness or Vickers Diamond Pyramid Hardness testing technique.","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":380,"text":"For butt welds, traverse hardness testing from the base metal through the HAZ, weld metal, and ending in the adjoining base metal, is recommended. The spacing of the indentations is as described in the guidelines for testing with the Rockwell or Vickers hardness techniques. A number of traverses across the cross-section of the weld at different elevations are necessary to provide a representative sample of the weld.","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":381,"text":"The acceptance criteria are established by the end user’s specifications. For carbon steels that are subject to sulphide stress cracking (SSC), the recognized acceptance criteria is the National Association of Corrosion Engineers MR-0175 Standard, which states a maximum hardness of 22 HRC for carbon steel welding procedure specifications.","head1":"Hardness Testing","head2":"Industrial Applications of Hardness Testing"},
+    {"block":382,"text":"Impact Testing","head1":"Impact Testing","head2":"","heading":true},
+    {"block":383,"text":"One property of metals that must be tested is the impact toughness, which is the ability of a metal to resist fracture when subjected to shock loading. It is the energy required to break a piece of metal of standardized shape with a cross-sectional area of 1 cm2. Two common tests for toughness are the Charpy Test and the Izod Test.","head1":"Impact Testing","head2":""},
+    {"block":384,"text":"The metal be tested is formed into a rectangular bar, with a 45 degree V-shaped notch removed. This specimen is carefully placed into the apparatus’ anvils with precision tongs. Then the bar is struck with a striker, mounted on a pendulum, causing the specimen to break. The height to which the pendulum rises after the strike is compared to the height from which the pendulum originally fell. The difference between the potential energy before and after the strike is a measure of the energy absorbed in the fracture.","head1":"Impact Testing","head2":""},
+    {"block":385,"text":"Figure 8 illustrates the Charpy and Izod test arrangements. In the Charpy test, the specimen is held at each end and is struck in the middle, at the notch location. In the Izod test, the specimen is held on one side of the notch and is struck on the other side of the notch.","head1":"Impact Testing","head2":""},
+    {"block":387,"text":"Figure 8 – Charpy and Izod Impact Testing","head1":"Impact Testing","head2":""},
+    {"block":390,"text":"Precise details of the required specimens and procedures for these tests are provided in written standards. Unfortunately, there are several different standards: the ISO (International Organization for Standardization) standard; the ASTM (American Society for Testing and Materials) standard; plus several national European standards. The parameters of the striker, machine and test pieces are slightly different between these standards so the results from the tests are subtly different and, therefore, difficult to compare.","head1":"Impact Testing","head2":""},
+    {"block":391,"text":"The notch behaviour of the face-centred cubic metals and alloys, a large group of nonferrous materials and the austenitic steels can be estimated from their common tensile properties. If they are brittle in tension, they will be brittle when notched. If they are ductile in tension, they will be ductile when notched, except for unusually sharp or deep notches (i.e. much more severe than the standard Charpy specimens). Even low temperatures do not alter the notch behaviour of these materials.","head1":"Impact Testing","head2":""},
+    {"block":392,"text":"In contrast, the behaviour of the ferritic steels under notch conditions cannot be predicted from their properties. Some metals that display normal ductility in the tension test may break in brittle fashion when tested or used in the notched condition. Notched conditions include restraints to deformation in directions perpendicular to the major stress, or triaxial stresses, and stress concentrations. It is in this field that the Charpy tests prove useful for determining the susceptibility of steel to notch-brittle behaviour.","head1":"Impact Testing","head2":""},
+    {"block":394,"text":"Objective 2","head1":"Impact Testing","head2":""},
+    {"block":396,"text":"Explain the purpose and procedure of a Proof (Hydrostatic Deformation) Test.","head1":"Impact Testing","head2":""},
+    {"block":398,"text":"Introduction","head1":"Impact Testing","head2":"Introduction","heading":true},
+    {"block":399,"text":"For the most part, ASME Section I uses experience-based design methods, known as design-by-rule. Other sections of the ASME Code, namely Section III, Subsection NB, and Section VIII, Division 2, use a newer method, known as design-by-analysis. Design-by-rule is a process requiring the determination of loads, the choice of a design formula, and the selection of an appropriate design stress for the material to be used. Rules for this kind of design are found throughout Section I, with most being in Part PG (the general rules). Other design rules are found in those parts of Section I dealing with specific types of boilers or particular types of construction.","head1":"Impact Testing","head2":"Introduction"},
+    {"block":400,"text":"The principal design rules are found in Part PG, paragraphs PG-16 through PG-55. There are formulas for the design of cylindrical components under internal pressure (tube, pipe, headers, and drums), heads (dished, flat, stayed, and unstayed), stayed surfaces, and ligaments between holes. Rules are also provided for openings or penetrations in any of these components, based on a system of compensation in which the material removed for the opening is replaced as reinforcing in the region immediately around the opening, called the limits of compensation (see PG-36). All of these formulas involve internal pressure except for the rules for support and attachment lugs of PG-55, for which the designer chooses the design loads on the basis of the anticipated mass or other loads to be carried.","head1":"Impact Testing","head2":"Introduction"},
+    {"block":401,"text":"Proof Test (Hydrostatic Deformation)","head1":"Proof Test (Hydrostatic Deformation)","head2":"","heading":true},
+    {"block":402,"text":"A method of design permitted by Section I is the proof, or hydrostatic deformation, test (PG-18 and Appendix A-22). This is an experience-based method used to establish a safe design pressure for components for which no rules are given or when strength cannot be calculated with a satisfactory assurance of accuracy. In this test, a full-size prototype of the pressure part is subjected to a slowly increasing hydrostatic pressure until yielding or bursting occurs (depending on the test). The maximum allowable working pressure is then established by an appropriate formula, which includes the strength of the material and a suitable safety factor.","head1":"Proof Test (Hydrostatic Deformation)","head2":""},
+    {"block":403,"text":"ASME Sections I and VIII allow a burst test to be stopped before actual bursting occurs, when the test pressure justifies the desired design pressure. In this case, the tested component itself may never be used for Code Construction because it was on the verge of failure.","head1":"Proof Test (Hydrostatic Deformation)","head2":""},
+    {"block":404,"text":"Proof testing may NOT be used if Section I has design rules for the component and, in practice, such testing is seldom employed. However, it can be a simple and effective way of establishing an acceptable design pressure for unusual designs, odd shapes, or special features that are difficult and costly to analyse, even with the latest computer-based methods.","head1":"Proof Test (Hydrostatic Deformation)","head2":""},
+    {"block":405,"text":"Tests used to establish the maximum allowable working pressure of pressure parts must be witnessed and approved by an Authorized Inspector, as required by ASME Section I, Appendix A-22.10. The test report becomes a permanent reference to justify the design of such parts if the manufacturer wants to use that design again for other boilers.","head1":"Proof Test (Hydrostatic Deformation)","head2":""},
+    {"block":406,"text":"Applications of Proof Testing","head1":"Proof Test (Hydrostatic Deformation)","head2":"Applications of Proof Testing","heading":true},
+    {"block":407,"text":"This information can be found in ASME Section IV Part HLW-Potable Water Heaters. A proof test may be applied to determine the MAWP on the water heater. Hydrostatic pressure is applied to a full-sized sample of a water heater. On the other hand, one sample vessel may be tested to establish the MAWP for a series of water heaters. Water heater vessels are in series under the following conditions:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Applications of Proof Testing"},
+    {"block":408,"text":"• The heads are of the same geometry and thickness","head1":"Proof Test (Hydrostatic Deformation)","head2":"Applications of Proof Testing"},
+    {"block":409,"text":"• The cylindrical shell and tubes, differ only by length","head1":"Proof Test (Hydrostatic Deformation)","head2":"Applications of Proof Testing"},
+    {"block":410,"text":"• The openings are the same size and type as those on the proof-tested vessel","head1":"Proof Test (Hydrostatic Deformation)","head2":"Applications of Proof Testing"},
+    {"block":411,"text":"Test Procedure","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Procedure","heading":true},
+    {"block":412,"text":"Before the Proof Test is applied, the outer surface of the vessel must be thoroughly cleaned and a brittle coating applied to the entire surface. The purpose of this coating is to indicate any displacement (movement) in the vessel surface caused by the internal hydrostatic pressure; the coating will flake off wherever displacement occurs.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Procedure"},
+    {"block":413,"text":"After the coating is applied, according to HLW-502.1(c),","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Procedure"},
+    {"block":414,"text":"The hydrostatic pressure shall be increased gradually until approximately one-half the anticipated MAWP is reached. Thereafter, the test pressure shall be increased in steps of approximately 1/10 or less of the anticipated MAWP. The pressure shall be held stationary at the end of each increment for a sufficient time to allow the observations required by the test procedure to be made and shall be released to zero to permit determination of any permanent strain or displacement after any pressure increment that indicates an increase in strain or displacement over the previous equal pressure increment, as evidenced by flaking of the brittle coating, or by the appearance of strain lines. The application of pressure shall be stopped when the intended test pressure has been reached, or at the first sign of yielding.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Procedure"},
+    {"block":415,"text":"Test Based on Yield Strength","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength","heading":true},
+    {"block":416,"text":"For portable water heaters constructed to ASME IV, the average yield strength is determined (for use in the formulas for P), as noted in ASME IV HLW-502.1. After completion of the test, three specimens are cut from the tested part. The average yield strength from these three specimens is used to calculate P by the following formula:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":418,"text":"P","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":420,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":422,"text":"0.5 H YsYa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":424,"text":"Where H","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":426,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":428,"text":"the hydrostatic test pressure at which the test was stopped, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":430,"text":"P","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":432,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":434,"text":"the maximum allowable working pressure, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":436,"text":"Ys","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":438,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":440,"text":"the specified minimum yield strength, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":442,"text":"Ya","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":444,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":446,"text":"the actual average yield strength from the test specimen, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Yield Strength"},
+    {"block":447,"text":"Test Based on Tensile Strength","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength","heading":true},
+    {"block":448,"text":"If the test is stopped before any yielding, the MAWP is calculated using one of the following given formulas:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":449,"text":"For carbon steel with a maximum tensile strength of 480 MPa:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":451,"text":"P","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":453,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":455,"text":"0.5 H(SS+5000)","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":457,"text":"Where P","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":459,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":461,"text":"the maximum allowable working pressure, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":463,"text":"H","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":465,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":467,"text":"the hydrostatic test pressure, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":469,"text":"S","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":471,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":473,"text":"the specified minimum tensile strength, kPa","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":474,"text":"For any other material:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":476,"text":"P","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":478,"text":"=","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":480,"text":"0.4 H","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Based on Tensile Strength"},
+    {"block":481,"text":"Test Gauges","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Gauges","heading":true},
+    {"block":482,"text":"A gauge is connected directly onto the water heater for indicating hydrostatic pressure. If the indicating gauge is not clearly visible to the operator, an additional gauge is furnished. Also, a recording gauge is installed for larger water heaters. The dial range of the indicating gauge is 1.5 times the intended maximum test pressure, and both the indicating and the recording gauge are calibrated against the master gauge.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Gauges"},
+    {"block":483,"text":"Collapsing of the Parts","head1":"Proof Test (Hydrostatic Deformation)","head2":"Collapsing of the Parts","heading":true},
+    {"block":484,"text":"The water heater parts should withstand (without major deformation) a hydrostatic test pressure that is a minimum of 3 times the desired MAWP.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Collapsing of the Parts"},
+    {"block":485,"text":"Test Records","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Records","heading":true},
+    {"block":486,"text":"The Manufacturer’s designated person is required to witness the proof tests to establish the MAWP of the water heaters. The authorized inspector also witnesses and accepts the tests. All results are recorded on Form HLW-8 (Manufacturer’s Master Data Report Test Report for Water Heaters or Storage Tanks). The Manufacturer’s designated person certifies the completed form, which is kept on file.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Test Records"},
+    {"block":487,"text":"Hydrostatic Test","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":488,"text":"A hydrostatic test, in which the pressure is 1.5 times the MAWP, is required to be performed on all water heaters. The MAWP is marked at a suitable location on the water heater vessel. While the water heaters are under hydrostatic test pressure, all joints and connections are inspected for leakage. The test pressure is kept under control so that it cannot be exceeded by more than 69 kPa.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":490,"text":"Objective 3","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":492,"text":"Explain the causes and significances of welding discontinuities.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":494,"text":"Welding Discontinuities","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":495,"text":"The objective of good welding practice is to produce weldments with the integrity to ensure they perform adequately for the service intended. However, even with the very best of efforts, discontinuities occur.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":496,"text":"Weld discontinuities, which may lead to defects, are caused by one or more of the following:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":497,"text":"• Departures from qualified procedures","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":498,"text":"• Altering weld designs","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":499,"text":"• Substituting or using defective materials","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":500,"text":"• Substituting or using defective electrodes","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":501,"text":"Any one of these factors produces weld defects which cause a structure to fail in service. This has costly and sometimes disastrous results for the owner/operator and may jeopardize public safety.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":502,"text":"The identification, evaluation, and disposition of weld discontinuities is an important welding activity. Visual identification of imperfections in welds is the first step in welding inspection and can usually reveal 80% of weld imperfections. With the aid of non-destructive techniques such as dye penetrant, magnetic particle, radiographic, and ultrasonic testing, the location and size of most defects the human eye cannot detect are determined.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":503,"text":"To evaluate weld imperfections, the inspector judges whether or not the discontinuity is likely to become a defect leading to failure. This requires experience and knowledge of the flaws associated with a particular welding process and procedure, the metallurgy of the base metals and filler metals used, and the design of the weld joint. Evaluation also involves the use of specifications, standards, and codes which provide acceptance and rejection criteria for types of weld discontinuities.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":504,"text":"Evaluation of weld discontinuities leads to disposition or a decision as to whether the weldment is acceptable, requires rework, or is unsuitable for the service intended and must be removed. Personnel involved in inspection may not be involved in the final disposition decisions, especially when these decisions are of a critical nature requiring an engineering assessment.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":505,"text":"Welding Terminology","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":506,"text":"The communication of information from the personnel involved in the inspection and evaluation of weld discontinuities to the personnel who make decisions on redesign, repair, and rework of welded structures is made in a common technical language that all understands and accept. Industry specific and shop language are still used but may not be technically precise. Welding specialists and those involved with evaluating welds should use standard terminology.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":507,"text":"Organizations and authorities involved in welding technology and science have developed terminology and classification systems to identify weld discontinuities and to describe the criteria used to evaluate and dispose of weld discontinuities.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":508,"text":"Although there is some variation associated with industry specific terminology, there is broad agreement in the welding industry on the need for standardization of welding terms. Most welding codes use terminology that is standard for the industry. Most codes include a definitions section where departures from standard terms are identified and described.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":509,"text":"The definitions and terms used are referenced to the ANSI/AWS Standard Welding Terms and Definitions AWS A3.0M/A3.0 except where noted. The definitions provided in this module are those which the pressure containing and piping industries accept as the norm.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":510,"text":"The terms defect, discontinuity, fault, flaw, and imperfection require definition. They all refer to inconsistencies in weld integrity, but are often misunderstood and used incorrectly.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":511,"text":"Defect: A discontinuity or flaw whose size, shape, type, location, or orientation creates a substantial chance of material failure. The discontinuity is detrimental to the integrity of the pressure equipment.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":512,"text":"Discontinuity: Any local variation in material continuity; including changes in geometry, properties of composition or structure, holes, cavities, or cracks.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":513,"text":"Fault: The word “fault” is often used to denote defect. However, it can also be interpreted to mean an imperfection or flaw. The word fault is not included in the ANSI/AWS Standard Welding Terms and Definitions. Because the term lacks definition in a welding sense, it should not be used. Rather, the terms discontinuity, defect, and flaw are precise and should be used.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":514,"text":"Flaw: An imperfection in the material that may or may not be harmful.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":515,"text":"Imperfection: This term is used extensively in some codes; for example, Chapter V of ANSI/ASME B31.3, Process Piping. It is not defined in the ANSI/AWS Standard Welding Terms and Definitions, but because it is used in a major code it should be understood to have the same meaning as flaw.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":516,"text":"Classes of Discontinuities","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":517,"text":"Weld discontinuities are usually grouped into broad categories. One method is to group discontinuities according to causes. One major authority relates weld defects to one of the following three causes:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":518,"text":"• Weld procedure","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":519,"text":"• Weld design","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":520,"text":"• Metallurgical causes","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":521,"text":"However, before examining causes of defects, first identify and describe discontinuities. For this purpose, it is useful to group discontinuities into types that provide an organized approach to their identification. This chapter uses the system of dividing discontinuities into three broad classes:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":522,"text":"• Dimensional","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":523,"text":"• Structural","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":524,"text":"• Base metal properties","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":525,"text":"Dimensional Discontinuities","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":526,"text":"Dimensional discontinuities relate to any inconsistencies or departures from specified dimensions in the weld, weld joint, or parent metal. Also included in this general category are welds with imperfect shapes or unacceptable contours, including undercut, underfill, and overlap.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":527,"text":"Structural Discontinuities","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":528,"text":"Structural discontinuities are flaws in the weld deposit or heat affected zone. The flaw’s potential for failure is directly related to its shape and location in the weld. Planar defects, such as cracks and lack of fusion, are sharp and pointed and create severe notching and high potential for failure. Pores and non-metallic inclusions are usually rounded and pose less potential for failure.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":529,"text":"Base Metal Discontinuities","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":530,"text":"Base metal discontinuities are deficiencies in the chemical, physical, or mechanical properties of the base metals which may contribute to a defect in the weldment. Base metal discontinuities arise mainly from the production of the metal and its subsequent processing and manufacturing. When a metal is produced, all of the data relating to its chemical composition, method of manufacture, heat treating, mechanical properties (such as tensile, yield, and impact properties), relative hardness, and ductility are given on a document to verify its standard of quality.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":531,"text":"Even though production quality standards are high, metals that do not meet the required chemical composition standards can sometimes be delivered to the fabricator. Heat treating reduces impact strength or other mechanical properties. In the rolling, forging, and casting operations which follow the production of the metal, base metal imperfections such as laminations, laps and seams, or casting defects find their way into the product and cause defects in the weldment.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":532,"text":"Defects in Weld Metals","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":533,"text":"Discontinuities that occur in welds create conditions that lead to failure in service. Weld strength is the property most affected by weld defects. Planar-type defects can cause rapid propagation of cracking through a weldment.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":534,"text":"Discontinuities that create notching (abrupt changes in the contour of the weld where it fuses to the base metal) can be sites for fatigue failure. Fatigue failure in welded joints is associated with cyclical loading of the joint, such as that caused by vehicular traffic over a bridge, which creates many reversals of stress at the weld. Notches can reduce the fatigue resistance of welded joints and cause failure even though the yield strength of the original base metal was never exceeded. Spherical type defects, although not as serious, do create voids, displace weld metal, and reduce the intended volume of deposited weld metal. Failure to fill a joint or melting away of the base metal causes a reduction of the through thickness of the base metal.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":535,"text":"Inappropriate chemical properties can cause a weldment to lose impact and tensile strength in a very hot or cold environment. Failure to match base metal and electrodes correctly can cause a loss of resistance to corrosion at the surface of a metal.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":536,"text":"Defects in Weld Joints","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":537,"text":"There are five basic weld joints:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":538,"text":"• Butt","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":539,"text":"• Tee","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":540,"text":"• Lap","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":541,"text":"• Edge","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":542,"text":"• Corner","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":543,"text":"Even though the weld deposit forming the joint may be sound, a weld failure may occur because the joint has some undesirable features. Highly restrained tee and corner joints, unless properly designed, are sites for weld failure. Misaligned butt joints can also be areas of high stress. Steep transitions between thick and thin lapped material can create areas of high stress.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":544,"text":"The degree of weld quality possible is not the same as the degree of weld quality necessary. The function imposed on the weldment determines the required degree of weld quality. Welds designed for the pressure containing industry must conform to high standards because of potential danger to the public from failure in service.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":546,"text":"Objective 4","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":548,"text":"Explain Non-Destructive Examination, along with its applications and benefits.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":550,"text":"Non-destructive Examination (NDE) is the testing of materials without destroying the integrity of the material or lowering its ability to perform its primary function. The pressure equipment industry uses a wide variety of NDE techniques that test the properties of materials. The most common NDE techniques are:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":551,"text":"• Visual Inspection","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":552,"text":"• Magnetic Particle Testing","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":553,"text":"• Liquid Penetrant Testing","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":554,"text":"• Ultrasonic Testing","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":555,"text":"• Radiographic Testing","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":556,"text":"• Acoustic Emission","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":557,"text":"• Leak Testing","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":558,"text":"ASME Section V, Non-destructive Examination is a reference code that supports construction codes such as ASME Section I, III, IV, VIII, and X. Some non-ferrous materials are used in power plant construction. For example, copper-based alloys for condenser tubing, copper for alternator windings and tin-based alloys for bearings, but the majority of components are made from iron-based or ferrous materials. The tests covered in this chapter are for ferrous materials.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":559,"text":"NDE Definitions","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":560,"text":"In NDE, the misuse of the terms defect, discontinuity, flaw, indication, interpretation, and evaluation can create much confusion.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":561,"text":"The following definitions are used in this chapter:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":562,"text":"• Flaw: An imperfection in the material that may or may not be harmful","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":563,"text":"• Indication: A noticeable response to an NDE test that requires interpretation to determine its significance","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":564,"text":"• Discontinuity: Any local variation in material continuity including changes in geometry, properties or composition, holes, cavities, cracks, or structure","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":565,"text":"• Defect: A discontinuity or flaw, whose size, shape, type, location, or orientation creates a substantial chance of material failure. The discontinuity is detrimental to the integrity of the pressure equipment","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":566,"text":"• Interpretation: A study to determine the cause of an indication (labelling or naming the discontinuity, i.e. cold lap, fatigue crack)","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":567,"text":"• Evaluation: A judgment made based on codes, standards or engineering assessment on the significance of an indication. The judgment decides whether the indication is detrimental to the service life of the component under test","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":568,"text":"NDE Applications","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":569,"text":"In the pressure equipment industry, NDE techniques are used for testing materials for three types of defects:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":570,"text":"1. Inherent defects created during the initial production of the material","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":571,"text":"2. Processing defects created during the processing/manufacturing of the pressure equipment","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":572,"text":"3. Service defects created in the equipment during service","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":573,"text":"NDE Benefits","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":574,"text":"The following are the four main benefits to NDE techniques.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":575,"text":"Safety","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":576,"text":"• Prevent accidents, damage to property, injuries, and loss of life","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":577,"text":"Cost Savings","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":578,"text":"• Eliminating faulty raw material reduces scrap, manpower required for rework and prevents waste","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":579,"text":"• Repeat business is increased due to customer satisfaction","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":580,"text":"• Manufacturing control provides continuous improvement because it monitors the process to pinpoint sources of trouble","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":581,"text":"• Eliminating delivery of faulty products reduces servicing costs","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":582,"text":"• Insurance costs are reduced by eliminating risks of equipment failure","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":583,"text":"Service Reliability","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":584,"text":"• Faults can be sized for critical engineering assessment","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":585,"text":"• Remaining life span of used equipment can be estimated - faults can be located before failure occurs","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":586,"text":"• Service and operating costs are lower as testing can often be completed on line","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":587,"text":"• Inspection intervals can be established for maximum benefit","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":588,"text":"• Prevents unscheduled downtime","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":589,"text":"Material Verification","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":590,"text":"• Differences in chemical properties can be identified","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":591,"text":"• Differences in metallurgical properties can be identified","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":592,"text":"• Material can be identified for sorting","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":593,"text":"• Differences in zones of heat treating can be identified","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":594,"text":"• Differences in physical properties can be identified","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":596,"text":"Objective 5","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":598,"text":"Explain visual inspection and the procedures used.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":600,"text":"Any form of inspection is based upon an initial visual assessment of the geometry of the component and the type and nature of the defect which is likely to be present. Visual inspection is the most widely used technique for surface inspection, alignment of mating surfaces, and evidence of leaking.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":601,"text":"Visual inspection ranges from the use of the naked eye to remote visual examination with electronic video systems. For remote visual examination, the system used must have a resolution capability at least equivalent to that obtained with direct visual observation. Direct visual examination may be completed with the aid of mirrors, magnifying lenses, and artificial illumination. The criteria for conducting a visual examination are:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":602,"text":"• Access allowing placement of the eye within 610 mm of the surface being examined","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":603,"text":"• The angle of view must not be less than 30 degrees to the surface being inspected","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":604,"text":"• A minimum illumination of 162 lux (15 foot candles)","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":605,"text":"• For study of small anomalies a minimum illumination of 538 lux (50 foot candles) is required","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":606,"text":"• Personnel capable of reading standard J-1 letters on a standard Jaeger eye test chart","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":607,"text":"The ASME Section V Article 9: Visual Examination sets out the procedure requirements for an authorized inspector to follow if the Code Section requires a visual examination to be completed on the component.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":608,"text":"Requirements","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test","heading":true},
+    {"block":609,"text":"When the referencing Code sections require, the examination is performed in accordance with a written procedure the manufacturer prepares. The manufacturer makes available to the authorized inspector the procedure and a list of the examinations to be performed. The procedure includes at least the following:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":610,"text":"• How the examination is performed","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":611,"text":"• Type of surface condition and criteria for surface cleaning","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":612,"text":"• Cleaning instructions or reference to a cleaning procedure","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":613,"text":"• Methods and tools used for surface preparation","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":614,"text":"• Whether direct or remote viewing is used","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":615,"text":"• Special illumination, instruments, or equipment used","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":616,"text":"• Sequence of performing the operation, when applicable;","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":617,"text":"• Data to be tabulated","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":618,"text":"• Report forms or statement of examination results","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":619,"text":"Procedures may be general or specific for a certain application. The procedure contains or refers to a report of the test method used to demonstrate the procedure’s adequacy.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":620,"text":"Techniques used are direct viewing, remote viewing, and translucent examination. Specific requirements for each technique are provided in the ASME Section V, Article 9.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":621,"text":"When the ASME Code Section requires, a written report is filled out and maintained.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":623,"text":"Objective 6","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":625,"text":"Explain magnetic particle inspection and the procedures used.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":627,"text":"Magnetic Particle Inspection","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":628,"text":"This method is valuable for the detection of cracks present at the surface of a component made from a ferromagnetic material. The range of ferromagnetic materials includes cast irons, carbon steel, and all kinds of steel alloys (with the exception of austenitic steels). The method is based on the fact that the faces of a crack tend to form north and south poles if a magnetic flux is established in the component. This flux may be induced using a permanent magnet or an electromagnet, causing current flow through the component or by wrapping coils around it and then passing a current through the coils. If the system is arranged so that the crack interrupts the flux lines, the application of either dry iron powder or iron powder in a liquid suspension may reveal the crack. The particles of iron are attracted to the poles formed at the crack, which is delineated as a black line.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":629,"text":"AC transformers are often used to supply the necessary flux when searching for surface defects. Heavy DC currents, which produce a flux below the surface of the material, can be used to indicate subsurface defects to a depth of approximately 4 mm.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":630,"text":"ASME Code Section V Article 7 describes the requirements and methodology for the performance of the magnetic particle examination test method. Magnetic particle examination is widely used by the ASME Code and is referenced as a requirement in many Code Sections. Article 25 contains the reference standard SE-709 for magnetic particle examination. Users should consult it when establishing their test procedures. Also, when a referencing Code Section specifies Article 7, the requirements of Article 1 apply. In some cases, the referencing Code Section alters the Article 1 and Article 6 requirements. It is important to review the referencing Code Section requirements when establishing the test procedure. Article 7 has four Mandatory Appendices:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":631,"text":"• Mandatory Appendix I covers examination of coated ferritic materials using the AC yoke technique","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":632,"text":"• Mandatory Appendix II covers the terms used in magnetic particle examination","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":633,"text":"• Mandatory Appendix III covers the use of the yoke technique with fluorescent particles in an undarkened area","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":634,"text":"• Mandatory Appendix IV covers the qualification of light sources for fluorescent particle excitation, when alternate wavelengths are specified.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Hydrostatic Test"},
+    {"block":635,"text":"Magnetic Particle Procedures","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":636,"text":"Article 7 specifies magnetic particle examination procedures, which includes the following:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":637,"text":"• Magnetic particles","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":638,"text":"• Surface conditioning","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":639,"text":"• Examination techniques","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":640,"text":"• Acceptance criteria","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":641,"text":"Magnetic Particles","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":642,"text":"Dry, wet, or fluorescent particles are used in accordance with the applicable technique selection. When using fluorescent particles, the examination is performed using an ultraviolet light (black light) in a darkened area.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":643,"text":"The black light has an intensity of 1000 µW/cm2 at the surface of the part. The light intensity is measured using a black light meter at least once every 8 hours and whenever the work station is changed. It is important to maintain records of the intensity measurements and frequency for subsequent audit verifications. Pretest requirements for use of the black light include a warm-up period of five minutes. The inspector must be in the darkened area for five minutes. before starting the examination to enable the inspector’s eyes to adapt to dark viewing. Photosensitive eyeglass lenses are not permitted.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":644,"text":"Surface Conditioning","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":645,"text":"Surface conditioning is normally not necessary, and satisfactory results are obtained when surfaces are, for example, in the as-welded, as-rolled, as-forged, or as-cast condition. However, surface preparation using any mechanical means may be required if the surface irregularities can mask indications. Before the examination, the surface and adjacent areas within 25 mm are cleaned with any suitable means to ensure removal of extraneous materials that can interfere with the examination. In Article 7, paragraphs T-741.1 and T-741.2 provide additional requirements regarding cleaning and use of surface contrast enhancement coatings for enhancing particle contrast.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":646,"text":"Examination Techniques","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":647,"text":"At least two separate examinations are performed on each test area. For the second examination, the lines of flux are perpendicular to those used for the first examination. The examinations are conducted with sufficient overlap to ensure 100% coverage. Article 7 describes five magnetization techniques that can be used on ferromagnetic materials to detect cracks and other discontinuities on or near the surface of the material. The five magnetization techniques are:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":648,"text":"• prod","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":649,"text":"• longitudinal","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":650,"text":"• circular (direct contact and central conductor methods)","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":651,"text":"• yoke","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":652,"text":"• multidirectional","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":653,"text":"1. Prod Technique","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":654,"text":"The prod technique uses portable prod contacts pressed against the test surface in the area to be examined. Care is taken to prevent arcing. The heat produced from arcing can create local hard spots that can cause service problems. Article 7, T-752 has the recommended magnetizing spacing for current and prod.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":655,"text":"2. Longitudinal Magnetization Technique","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":656,"text":"This technique uses coils wrapped around the surface being examined. The current, passing through the coils, produces a longitudinal magnetic field parallel to the axis of the coil. The required field strength is based on the length to diameter ratio of the part being examined. Transverse cracks are revealed using the longitudinal magnetization technique.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":657,"text":"3(a). Circular Magnetization Direct Contact Method","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":658,"text":"This method produces circular magnetic fields perpendicular to the part being tested. Generally, this method is used for small parts with no openings through the interior. Contact electrodes introduce the current into the test piece which behaves like a current carrying conductor. The circular shaped magnetic field established around the test piece develops stray fields across defects lying in the same direction as the connecting line between the current contacts, thus revealing longitudinal cracks.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":659,"text":"3(b). Circular Magnetization Central Conductor Method","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":660,"text":"With tube or ring-shaped parts, magnetization is achieved without contact using a current carrying conductor. The test piece is surrounded by the circular magnetic field so that both longitudinal cracks together with star-shaped cracks running from the centre to the outside of the plane surfaces can be detected.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":661,"text":"4. The Electromagnetic Yoke Technique","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":662,"text":"The electromagnetic yoke technique uses a coil wound around a U-shaped core of soft iron. The part being examined becomes the path completing the magnetic circuit. A permanent magnetic yoke works on the same principle. The lifting power of yokes is checked annually or when the yoke has been damaged. AC yokes must have a lifting power of 4.5 kg while DC permanent yokes must have a lifting power of 20.4 kg at maximum pole spacing. With yoke magnetization, a magnetic field from a coil system is generated over the pole of an iron core and then transmitted into the test object. The iron core and the workpiece form a closed magnetic circuit. The magnetic field lines flow in the test piece in a direct connection line between the poles enabling the detection of transverse cracks. Longitudinal cracks are not detected.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":663,"text":"5. Multidirectional Magnetization Technique","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":664,"text":"This technique uses high amperage power packs operating up to three circuits. The circuits energize one at a time in rapid succession producing an overall magnetization of the part in multiple directions. This method requires only one processing step.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":665,"text":"Acceptance Criteria","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":666,"text":"The acceptance criteria are as determined by the Code of Construction. It is suggested that the student read ASME Section V. Article 25, SE-709 “Standard Guide for Magnetic Particle Examination.”","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":667,"text":"Typical Test Procedure","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures","heading":true},
+    {"block":668,"text":"1. Observe guidelines as per Code of Construction.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":669,"text":"2. Preparation of the test part (for example: cleaning, degreasing, descaling, rust removal).","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":670,"text":"3. Visual examination of readily apparent cracks or other surface conditions.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":671,"text":"4. Check inspection conditions (ambient light, UV light intensity).","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":672,"text":"5. Measure the applied magnetic field, in turn adjusting for the appropriate magnetic field intensity.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":673,"text":"6. Clamp the material to be inspected or apply hand yoke magnet.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":674,"text":"7. Switch on the magnetizing field.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":675,"text":"8. Spray the part with the test medium containing the magnetic particles.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":676,"text":"9. Switch off the magnetizing field.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":677,"text":"10. Visually evaluate the surface for defect indications.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":678,"text":"11. Repeat #5 to #10 at 90 degrees to original test orientation.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":679,"text":"12. Demagnetize the part (if required).","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":680,"text":"13. Document the indications (position, size, number, orientation).","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":681,"text":"14. Classify the inspected part (acceptable, reject, possible rework).","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":683,"text":"Objective 7","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":685,"text":"Explain liquid penetrant testing and the procedures used.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":687,"text":"Liquid Penetrant Test","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":688,"text":"Liquid penetrant testing is one of the oldest non-destructive testing methods in existence. This method enhances the visibility of material surface cracks that are open to the surface of the specimen under inspection. The material to be inspected may be magnetic or non-magnetic such as steel, aluminium, magnesium, titanium, glass, ceramic or plastic. The flaws to be detected must be open to the inspected part’s surface.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":689,"text":"The principle of liquid penetrant inspection is based on a liquid with a low surface tension that is spread on the surface of the material. The liquid penetrant is allowed to soak into any cracks that are open at the surface. After a period of time, the excess liquid penetrant fluid is removed and a developer is applied to the test surface to draw the liquid penetrant remaining in the cracks back to the surface and make it visible. The surface flaws become increasingly more visible to the human eye because the liquid penetrant contains a dye indication that broadens the trace of the surface crack. The dye indicator is coloured either red or blue on a white background or appears greenish yellow on a dark violet background when the surface is illuminated by an ultraviolet lamp.","head1":"Proof Test (Hydrostatic Deformation)","head2":"Magnetic Particle Procedures"},
+    {"block":690,"text":"Detection","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection","heading":true},
+    {"block":691,"text":"Detection of flaws depends on the general condition and finish of the surface of the material. Defects and surface conditions which limit the effectiveness are:","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":692,"text":"• Materials which are porous","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":693,"text":"• Subsurface defects","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":694,"text":"• Very wide and shallow defects","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":695,"text":"• Contaminated surfaces that have not been thoroughly cleaned","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":696,"text":"• Insufficient penetrant dwell time","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":697,"text":"• Surface temperature too high or too low","head1":"Proof Test (Hydrostatic Deformation)","head2":"Detection"},
+    {"block":698,"text":"Testing Procedure","head1":"Testing Procedure","head2":"","heading":true},
+    {"block":699,"text":"Test Preparations","head1":"Testing Procedure","head2":"Test Preparations","heading":true},
+    {"block":700,"text":"Test guidelines or specifications are considered (Code of Construction, company specifications, special customer specifications). If there are no know applicable specifications, the test is performed according to ASME Section V. Article 6 and a test procedure written.","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":701,"text":"The procedure includes:","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":702,"text":"• The inspection conditions (ambient light and ultraviolet (UV) illumination conditions)","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":703,"text":"• The penetrant, penetrant remover, emulsifier and developer to be used","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":704,"text":"• The pre-cleaning and post-cleaning required","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":705,"text":"• The penetrant dwell time, removal of excess and the drying of the surface before the application of the developer","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":706,"text":"• The developer dwell time before interpretation","head1":"Testing Procedure","head2":"Test Preparations"},
+    {"block":707,"text":"Pre-Cleaning","head1":"Testing Procedure","head2":"Pre-Cleaning","heading":true},
+    {"block":708,"text":"Pre-cleaning of the specimen is an important part of the dye penetrant inspection process. The care taken in this initial step determines the level of inspection success. The pre-cleaning process insures the surface of the specimen is free of all dirt, scales, oil, finger prints and all surface residues so the penetrant medium can penetrate into surface defects. Layers of paint or galvanic corrosion are removed chemically or mechanically.","head1":"Testing Procedure","head2":"Pre-Cleaning"},
+    {"block":709,"text":"Care is taken while grinding the specimen surfaces because grinding can roll material over an exposed surface crack and prevent the crack from opening up to the surface.","head1":"Testing Procedure","head2":"Pre-Cleaning"},
+    {"block":710,"text":"Dye Penetrant Application","head1":"Testing Procedure","head2":"Dye Penetrant Application","heading":true},
+    {"block":711,"text":"Covering the entire surface of the specimen with the dye penetrant liquid medium initiates the dye penetrant process. This is accomplished by dipping, coating, spraying, immersing, or electrostatically applying the liquid. The appropriate method depends on the dimensions and the location of the part to be inspected.","head1":"Testing Procedure","head2":"Dye Penetrant Application"},
+    {"block":712,"text":"The test liquid medium is applied within a temperature range between 15°C and 50°C. The penetrant dwell time depends on the specific test medium, the specimen material, the ambient and material temperature, and the desired defects detection sensitivity. The dwell time is between 5 and 30 minutes depending upon the above mentioned parameters.","head1":"Testing Procedure","head2":"Dye Penetrant Application"},
+    {"block":713,"text":"Interim Cleaning","head1":"Testing Procedure","head2":"Interim Cleaning","heading":true},
+    {"block":714,"text":"During the interim cleaning process, the residual dye penetrant medium is removed from the surface. The test medium can be dissolved or re-emulsified so that it can be washed with water. During this interim cleaning, the surface is checked for residual penetrant. With fluorescent dye penetration media, the interim cleaning is executed under UV light.","head1":"Testing Procedure","head2":"Interim Cleaning"},
+    {"block":715,"text":"A low pressure water spray is applied so that the penetrant soaked into the surface cracks is not agitated out of the cracks. This can lead to crack washouts that can reduce the test sensitivity or completely remove the penetrant from the crack.","head1":"Testing Procedure","head2":"Interim Cleaning"},
+    {"block":716,"text":"Drying","head1":"Testing Procedure","head2":"Drying","heading":true},
+    {"block":717,"text":"The surface of the specimen is dried. This can be done with very low pressure air drying or oven drying at a maximum temperature of 50°C.","head1":"Testing Procedure","head2":"Drying"},
+    {"block":718,"text":"Developing Procedure","head1":"Testing Procedure","head2":"Developing Procedure","heading":true},
+    {"block":719,"text":"The developing procedure causes the residual penetrant medium to be drawn to the surface through the application of wet or dry developers, enhancing the detected crack indication.","head1":"Testing Procedure","head2":"Developing Procedure"},
+    {"block":720,"text":"The application of the developer is done with spraying (aerosol cans, low pressure spraying systems, spraying pistols or compressed air) or electrostatic pistols. Brushing on or painting the developer on the material is not acceptable.","head1":"Testing Procedure","head2":"Developing Procedure"},
+    {"block":721,"text":"Through the lateral expansion of the penetrant medium within the crack, the crack width is enlarged, and the visibility of even the smallest defects and hair line cracks is ensured. The developing time is similar to the penetrant dwell time, normally 5 to 30 min. Austenitic steels may require more than 60 min.","head1":"Testing Procedure","head2":"Developing Procedure"},
+    {"block":722,"text":"Inspection","head1":"Testing Procedure","head2":"Inspection","heading":true},
+    {"block":723,"text":"During the visual inspection of the part surface, the operator controls the inspection parameters, making sure that ambient light intensity and UV intensity are constant. To make sure that the specimen has not been overwashed, the interim cleaning allows a low-level coloured background to remain after the developing procedure. The negative indications remain in clear contrast to the background color.","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":724,"text":"The measurements are documented with reference to position, size, number and location. Typical indications are:","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":725,"text":"• Continuous line","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":726,"text":"• Intermittent line","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":727,"text":"• Rounded areas","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":728,"text":"• Small dot","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":729,"text":"• Diffuse","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":730,"text":"• Brilliance","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":731,"text":"According to typical test specifications and procedures, the inspection status of the inspected specimen is categorized as acceptable, reject, or re-work required.","head1":"Testing Procedure","head2":"Inspection"},
+    {"block":732,"text":"Final Cleaning","head1":"Testing Procedure","head2":"Final Cleaning","heading":true},
+    {"block":733,"text":"If the inspected surface must be free of developer (for subsequent visual checks, further processing, coloring, anodizing), a final post-cleaning process is necessary. The developer coating can be removed with water, an air-liquid mixture, or in a liquid solvent immersion tank.","head1":"Testing Procedure","head2":"Final Cleaning"},
+    {"block":734,"text":"Quality Control","head1":"Testing Procedure","head2":"Quality Control","heading":true},
+    {"block":735,"text":"ASME Section V. Article 6 deals with maintaining the highest quality for liquid dye penetrant processes to provide consistent inspection results in accordance with ASTM Standards, referenced in ASME V Article 24, SE-165. These standards include the following:","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":736,"text":"• E 1208 Test Method for Fluorescent Liquid Penetrant Examination Using the Lipophilic Post-Emulsification Process","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":737,"text":"• E 1209 Test Method for Fluorescent Liquid Penetrant Examination Using the Water-Washable Process","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":738,"text":"• E 1210 Test Method for Fluorescent Liquid Penetrant Examination Using the Hydrophilic Post-Emulsification Process","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":739,"text":"• E 1219 Test Method for Fluorescent Liquid Penetrant Examination Using the Solvent-Removable Process","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":740,"text":"• E 1220 Test Method for Visible Penetrant Examination Using the Solvent-Removable Process","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":742,"text":"Objective 8","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":744,"text":"Explain ultrasonic testing and the procedures used.","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":746,"text":"Ultrasonic Testing","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":747,"text":"Mechanical vibrations can be propagated in solids, liquids and gases. The particles of matter vibrate, and if the mechanical movements of the particles have a regular motion, the vibration is assigned a frequency in cycles per second, measured in hertz (Hz), where 1 Hz = 1 cycle per second. If this frequency is within the approximate range 10 to 20 000 Hz, the sound is audible. Above about 20 kHz, the “sound” waves are called ultrasound or ultrasonic.","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":748,"text":"The ultrasonic principle is based on the fact that solid materials are good conductors of sound waves. The waves are not only reflected at the interfaces but also by internal flaws (such as material separations and inclusions).","head1":"Testing Procedure","head2":"Quality Control"},
+    {"block":749,"text":"Piezoelectric Transducers","head1":"Testing Procedure","head2":"Piezoelectric Transducers","heading":true},
+    {"block":750,"text":"The conversion of electrical pulses to mechanical vibrations, and the conversion of returned mechanical vibrations back into electrical energy is the basis for ultrasonic testing. The active element is the heart of the transducer as it converts the electrical energy to acoustic energy, and vice versa. The active element is a piece of polarized material (i.e. some parts of the molecule are positively charged, while other parts of the molecule are negatively charged) with electrodes attached to two of its opposite faces.","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":751,"text":"When an electric field is applied across the material (Figure 9), the polarized molecules align themselves with the electric field producing induced dipoles within the molecular or crystal structure of the material. This alignment of molecules causes the material to change dimensions. This phenomenon is known as electrostriction. In addition, a permanently polarized material such as quartz (SiO2) or barium titanate (BaTiO3) produces an electric field when the material changes dimensions as a result of an imposed mechanical force. This phenomenon is known as the piezoelectric effect.","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":753,"text":"Figure 9 – Piezoelectric Transducers","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":756,"text":"When a disc of piezoelectric materials is attached to a block of steel (Figure 10), either with cement or a film of oil (couplant), and a high-voltage electrical pulse is applied to the piezoelectric disc, a pulse of ultrasonic energy is generated in the disc and propagates into the steel. This pulse of waves travels through the metal. The waves are reflected or scattered at any surface or internal discontinuity such as an internal flaw in the specimen. This reflected or scattered energy is detected using a suitably-placed second piezoelectric disc on the metal surface. A pulse of electrical energy is generated in the second disc.","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":758,"text":"Figure 10 – Ultrasonic Flaw Detector","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":761,"text":"The time interval between the transmitted and reflected pulse is a measure of the distance of the discontinuity from the surface. The intensity of the return pulse is a measure of the size of the flaw. This is the basic principle of the ultrasonic flaw detector and the ultrasonic thickness gauge. The piezoelectric discs are the “probes” or “transducers”. Sometimes it is convenient to use one transducer as both transmitter and receiver. In an ultrasonic flaw detector, the transmitted and received pulses are displayed in a scan on an oscilloscope as shown in Figure 11. Time is the X axis on this type of graph while Y is the intensity of the pulse from the defect.","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":763,"text":"Figure 11 – Ultrasonic Pulses","head1":"Testing Procedure","head2":"Piezoelectric Transducers"},
+    {"block":766,"text":"Transducers","head1":"Testing Procedure","head2":"Transducers","heading":true},
+    {"block":767,"text":"Transducers may be purchased in various shapes and sizes to suit an application. Cylindrical crystal wafers are most commonly used. Small diameter, high frequency transducers are used to locate small discontinuities. Large transducers are capable of generating more energy, permitting the inspection of thicker specimens.","head1":"Testing Procedure","head2":"Transducers"},
+    {"block":768,"text":"To detect defects quickly in a specimen with a large surface area, a paintbrush transducer up to 150 mm wide is used. If a defect is identified, a smaller transducer is used to find the specific location and size.","head1":"Testing Procedure","head2":"Transducers"},
+    {"block":769,"text":"The transducer may have one or two crystals. In a single crystal design, the crystal acts as both the sending and receiving unit. Units with two crystals in the same probe allow one to act as the sender and the other as the receiving unit.","head1":"Testing Procedure","head2":"Transducers"},
+    {"block":770,"text":"Transducer Orientation","head1":"Testing Procedure","head2":"Transducer Orientation","heading":true},
+    {"block":771,"text":"The orientation of the transducer determines the angle at which the pulse strikes the specimen. For longitudinal wave testing, the transducer is located flat on the specimen. To create a shear wave, the pulse must enter the specimen at the desired angle. To accomplish this, the transducer is mounted on a plastic wedge which is part of the probe.","head1":"Testing Procedure","head2":"Transducer Orientation"},
+    {"block":772,"text":"Generation of Pulse Waves","head1":"Testing Procedure","head2":"Generation of Pulse Waves","heading":true},
+    {"block":773,"text":"When a transducer is placed on the surface of a specimen and the pulse wave travels directly into the specimen, a longitudinal or compression wave is produced. It travels into the specimen at 90° to the surface and, if the far surface is parallel, returns directly to the transducer as shown in Figure 12(a) below. This system is used for measuring the thickness of materials and is capable of locating discontinuities directly under the transducer.","head1":"Testing Procedure","head2":"Generation of Pulse Waves"},
+    {"block":774,"text":"If the transducer is placed on a wedge-shaped plastic shoe, the pulse wave strikes the surface of the specimen at an angle. Just as light is refracted into the colours of the rainbow when it passes through a prism, refraction occurs when the ultrasonic pulse enters the specimen from the plastic shoe. The longitudinal (compression) and shear (transverse) waves are refracted at different angles and begin to separate as shown in Figure 12(b).","head1":"Testing Procedure","head2":"Generation of Pulse Waves"},
+    {"block":775,"text":"As the angle of the wedge is increased, the separation of the two waves increase until, at some point, the longitudinal wave travels parallel to the surface as in Figure 12(c). This is known as the critical angle. As long as the angle of the wedge is larger than the critical angle, only shear waves are being used to locate discontinuities.","head1":"Testing Procedure","head2":"Generation of Pulse Waves"},
+    {"block":776,"text":"If the angle of the wedge is increased to the point where the shear wave is refracted to the surface of the specimen, a surface wave is produced. This wave travels along the surface of the specimen until it strikes a discontinuity and an echo is generated. The surface wave only locates defects within a few millimeters of the surface.","head1":"Testing Procedure","head2":"Generation of Pulse Waves"},
+    {"block":778,"text":"Figure 12 – Transducer Operation","head1":"Testing Procedure","head2":"Generation of Pulse Waves"},
+    {"block":781,"text":"Frequency","head1":"Testing Procedure","head2":"Frequency","heading":true},
+    {"block":782,"text":"The size of the discontinuities to be located determines the frequency selection. To locate small discontinuities, short wavelengths are used. The shorter the wavelength, the higher the frequency required. For a high frequency, a thinner (and more fragile) crystal is used.","head1":"Testing Procedure","head2":"Frequency"},
+    {"block":783,"text":"Couplant","head1":"Testing Procedure","head2":"Couplant","heading":true},
+    {"block":784,"text":"For efficient testing, the ultrasonic pulses must be able to travel freely between the transducer and the specimen. If air is located between the two, its low acoustic impedance (low ability to conduct sound) causes most of the energy to be reflected from the surface of the specimen with little or no energy entering to examine the specimen. To remove the air, a liquid or paste couplant with higher acoustic impedance is used. This allows a larger percentage of the energy to travel into the specimen.","head1":"Testing Procedure","head2":"Couplant"},
+    {"block":785,"text":"One solution to the low impedance is to immerse the specimen in a water tank. The water bath acts as the couplant. Adding wetting agents and removing any air trapped in the water increases efficiency. It is not practical to immerse larger specimens such as pressure vessels in water baths. In these cases, the specimen surface is covered with oil or grease that serves to bond the transducer to the specimen. The couplant used for these purposes is a substance that does not react with or contaminate the specimen, is easy to remove, and does not leak away during the test.","head1":"Testing Procedure","head2":"Couplant"},
+    {"block":786,"text":"For relatively flat, smooth surfaces, a mixture of glycerin and water is used as a couplant. For rough surfaces, light motor oil with a wetting agent is used. As the surface temperature increases, heavier oils are used.","head1":"Testing Procedure","head2":"Couplant"},
+    {"block":787,"text":"Signal-to-Noise Ratio","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio","heading":true},
+    {"block":788,"text":"The detection of a defect involves many factors other than the relationship of wavelength and flaw size. For example, the amount of sound that reflects from a defect is dependent on the acoustic impedance mismatch between the flaw and the surrounding material. A void is generally a better reflector than a metallic inclusion because the impedance mismatch is greater between air and metal than between metal and another metal.","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":789,"text":"Often, the surrounding material has competing reflections. A good measure of detectability of a flaw is its signal-to-noise ratio (S/N). The signal-to-noise ratio is a measure of how the signal from the defect compares to other background reflections (categorized as “noise”). A signal-to-noise ratio of 3 to 1 is often required as a minimum. The absolute noise level and the absolute strength of an echo from a “small” defect depend on a number of factors such as:","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":790,"text":"• The probe size and focal properties","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":791,"text":"• The probe frequency, bandwidth and efficiency","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":792,"text":"• The inspection path and distance (water or solid)","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":793,"text":"• The interface (surface curvature and roughness)","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":794,"text":"• The flaw location with respect to the incident beam","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":795,"text":"• The inherent noisiness of the metal microstructure","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":796,"text":"• The inherent reflectivity of the flaw which is dependent on its acoustic impedance, size, shape, and orientation","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":797,"text":"Cracks and volumetric defects can reflect ultrasonic waves quite differently. Many cracks are “invisible” from one direction and strong reflectors from another. Multifaceted flaws tend to scatter sound away from the transducer.","head1":"Testing Procedure","head2":"Signal-to-Noise Ratio"},
+    {"block":798,"text":"Advantages and Limitations","head1":"Testing Procedure","head2":"Advantages and Limitations","heading":true},
+    {"block":799,"text":"Advantages of ultrasonic inspection include:","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":800,"text":"• It is sensitive to both surface and subsurface discontinuities","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":801,"text":"• The depth of penetration for flaw detection or measurement is superior to other NDE methods","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":802,"text":"• Only single-sided access is needed when the pulse-echo technique is used","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":803,"text":"• Its high accuracy in determining reflector position and estimating size and shape","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":804,"text":"• Minimal part preparation required","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":805,"text":"• Electronic equipment provides instantaneous results","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":806,"text":"• Detailed images can be produced with automated systems","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":807,"text":"• It has other uses such as thickness measurements in addition to flaw detection","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":808,"text":"As with all NDE methods, ultrasonic inspection also has its limitations, which include:","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":809,"text":"• Surface must be accessible to transmit ultrasound","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":810,"text":"• Skill and training required is more extensive than with some other methods","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":811,"text":"• It requires a coupling medium to promote transfer of sound energy into test specimen","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":812,"text":"• Materials that are rough, irregular in shape, very small, exceptionally thin or not homogeneous are difficult to inspect","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":813,"text":"• Cast iron and other coarse grained materials are difficult to inspect due to low sound transmission and high signal noise","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":814,"text":"• Linear defects oriented parallel to the sound beam may go undetected","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":815,"text":"• Reference standards are required for equipment calibration and characterization of flaws","head1":"Testing Procedure","head2":"Advantages and Limitations"},
+    {"block":816,"text":"ASME Section V","head1":"Testing Procedure","head2":"ASME Section V","heading":true},
+    {"block":817,"text":"ASME BPVC V has two articles that cover ultrasonic examination. Article 4 covers ultrasonic examination methods for welds, whenever weld examination using ultrasound is specified or permitted in other Sections of the ASME BPVC. Article 5 provides requirements for selecting and developing ultrasonic examination procedures for parts, components, materials, and thickness determinations. Each article references the applicable Code Section for specific requirements, including:","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":818,"text":"1. Extent of examination and volume to be scanned","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":819,"text":"2. Personnel qualification","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":820,"text":"3. Certification requirements","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":821,"text":"4. Examination system characteristics","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":822,"text":"5. Acceptance criteria","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":823,"text":"6. Necessary records and documentation","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":824,"text":"7. Report requirements","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":825,"text":"8. Procedure requirements","head1":"Testing Procedure","head2":"ASME Section V"},
+    {"block":826,"text":"Written Procedure Requirements","head1":"Testing Procedure","head2":"Written Procedure Requirements","heading":true},
+    {"block":827,"text":"Ultrasonic examinations are performed according to a written procedure. The procedure includes the following:","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":828,"text":"1. Ultrasonic instrument types","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":829,"text":"2. Description of calibration including blocks and techniques","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":830,"text":"3. Technique (straight and angled beam, contact, and or immersion)","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":831,"text":"4. Search unit type with frequency and transducer size","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":832,"text":"5. Special search units (wedges, shoes or saddles)","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":833,"text":"6. Angles and modes of wave propagation in the material","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":834,"text":"7. Directions and extent of scanning","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":835,"text":"8. Couplant type and brand name","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":836,"text":"9. Weld and material types","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":837,"text":"10. Configurations to be examined (thickness dimensions) and form (casting, forging, plate)","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":838,"text":"11. The surfaces from which the examination is completed","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":839,"text":"12. Condition of the surface","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":840,"text":"13. Data to be recorded","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":841,"text":"14. Alarms","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":842,"text":"15. Rotating, revolving or scanning mechanisms","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":843,"text":"16. Post examination cleaning","head1":"Testing Procedure","head2":"Written Procedure Requirements"},
+    {"block":844,"text":"Materials","head1":"Testing Procedure","head2":"Materials","heading":true},
+    {"block":845,"text":"Article 5 applies to the following:","head1":"Testing Procedure","head2":"Materials"},
+    {"block":846,"text":"1. Plate","head1":"Testing Procedure","head2":"Materials"},
+    {"block":847,"text":"2. Forgings and Bars","head1":"Testing Procedure","head2":"Materials"},
+    {"block":848,"text":"3. Tubular Products","head1":"Testing Procedure","head2":"Materials"},
+    {"block":849,"text":"4. Castings","head1":"Testing Procedure","head2":"Materials"},
+    {"block":850,"text":"5. Bolting Materials (studs and nuts)","head1":"Testing Procedure","head2":"Materials"},
+    {"block":851,"text":"6. Pumps and Valves","head1":"Testing Procedure","head2":"Materials"},
+    {"block":852,"text":"7. Inservice Examination","head1":"Testing Procedure","head2":"Materials"},
+    {"block":853,"text":"Each form of material has a section devoted to it describing the equipment, calibration, and examination to be used. Article 23 covers the requirements for examinations. It contains standards for ultrasonic examination such as SA-435 “Standard Specification for Straight-Beam Ultrasonic Examination of Steel Plates.”","head1":"Testing Procedure","head2":"Materials"},
+    {"block":854,"text":"Reports","head1":"Testing Procedure","head2":"Reports","heading":true},
+    {"block":855,"text":"For each ultrasonic examination a report is required. The documentation is according to the code of construction. Typical information required on reports is as follows:","head1":"Testing Procedure","head2":"Reports"},
+    {"block":856,"text":"1. identification and location of weld or volume scanned","head1":"Testing Procedure","head2":"Reports"},
+    {"block":857,"text":"2. surfaces from which examination was conducted, including surface condition","head1":"Testing Procedure","head2":"Reports"},
+    {"block":858,"text":"3. non-rejectable indications found","head1":"Testing Procedure","head2":"Reports"},
+    {"block":859,"text":"4. rejectable indications found","head1":"Testing Procedure","head2":"Reports"},
+    {"block":860,"text":"5. map or record of rejectable indications detected or areas cleared","head1":"Testing Procedure","head2":"Reports"},
+    {"block":861,"text":"6. areas of restricted access or inaccessible welds","head1":"Testing Procedure","head2":"Reports"},
+    {"block":862,"text":"7. examination personnel identity and, when required by referencing Code Section, qualification level","head1":"Testing Procedure","head2":"Reports"},
+    {"block":863,"text":"8. date of examination","head1":"Testing Procedure","head2":"Reports"},
+    {"block":864,"text":"9. identification of procedure (and revision) followed","head1":"Testing Procedure","head2":"Reports"},
+    {"block":865,"text":"10. ultrasonic instrument identification (including manufacturer’s serial number)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":866,"text":"11. search unit or units identification (including manufacturer’s serial number, frequency, and size)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":867,"text":"12. beam angle or angles used","head1":"Testing Procedure","head2":"Reports"},
+    {"block":868,"text":"13. couplant brand name or type used","head1":"Testing Procedure","head2":"Reports"},
+    {"block":869,"text":"14. search unit cable or cables used, including type and length","head1":"Testing Procedure","head2":"Reports"},
+    {"block":870,"text":"15. special equipment used (search units, wedges, shoes, automatic scanning equipment, recording equipment)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":871,"text":"16. computerized program identification and revision used","head1":"Testing Procedure","head2":"Reports"},
+    {"block":872,"text":"17. calibration block identification","head1":"Testing Procedure","head2":"Reports"},
+    {"block":873,"text":"18. simulation block or blocks and electronic simulator identification (if used)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":874,"text":"19. instrument reference level gain and damping and reject settings (if used)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":875,"text":"20. calibration data (including reference reflectors, indication amplitudes, and distance readings)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":876,"text":"21. data correlating simulation blocks and electronic simulators, with initial calibration (if used)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":878,"text":"Objective 9","head1":"Testing Procedure","head2":"Reports"},
+    {"block":880,"text":"Explain radiographic testing, including interpretation of results.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":882,"text":"Radiographic Testing","head1":"Testing Procedure","head2":"Reports"},
+    {"block":883,"text":"Radiographic testing (RT), often called radiography, is an NDE technique used for detecting flaws that are internal or on an inside surface. It is one of the oldest NDE techniques used in the pressure equipment industry.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":884,"text":"The use of industrial radiographic testing is legislated provincially through the Boiler and Pressure Vessel Act or the equivalent Act that specifies “Codes of Construction” for pressure vessels and pipelines.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":885,"text":"Electronics and computers allow technicians to capture images digitally. Filmless radiography captures an image, digitally enhances it, and sends the image anywhere in the world. Digital images do not deteriorate with time. Technological advances have provided industry with small, light, and portable equipment that produces high quality x-rays. Linear accelerators generate extremely short wavelength, highly penetrating radiation. The technology has evolved to allow radiography to be widely used in numerous areas of inspection.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":886,"text":"The principle behind RT techniques is that in the presence of flaws there is a differential absorption of penetrating radiation. Variations in density, composition and thickness result in the component being radiographed while absorbing different amounts of penetrating radiation. The unabsorbed radiation passes through the test component and exposes a film. The exposed film indicates the varying amounts of radiation passing through the component and gives a permanent record of the test.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":887,"text":"Penetrating radiation can be x-rays or gamma rays. These sources of radiation differ primarily in the manner in which they are produced. X-rays are produced by high-speed electrons striking a metal target, causing a transfer of energy. An x-ray tube in an x-ray machine produces the high-speed electrons. Gamma rays are emitted from radioisotopes (radioactive materials), such as Cobalt 60 and Iridium 192, as they decay (disintegrate). The maximum penetration in steel for the various sources is shown in Table 2.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":889,"text":"Table 2 – Gamma Ray Penetration for Steel","head1":"Testing Procedure","head2":"Reports"},
+    {"block":892,"text":"Source","head1":"Testing Procedure","head2":"Reports"},
+    {"block":894,"text":"Max. Thickness (mm)","head1":"Testing Procedure","head2":"Reports"},
+    {"block":896,"text":"X-ray","head1":"Testing Procedure","head2":"Reports"},
+    {"block":898,"text":"76.2","head1":"Testing Procedure","head2":"Reports"},
+    {"block":900,"text":"Cobalt-60","head1":"Testing Procedure","head2":"Reports"},
+    {"block":902,"text":"177.8 - 203.2","head1":"Testing Procedure","head2":"Reports"},
+    {"block":904,"text":"Iridium - 192","head1":"Testing Procedure","head2":"Reports"},
+    {"block":906,"text":"76.2","head1":"Testing Procedure","head2":"Reports"},
+    {"block":907,"text":"Radiography can be used on all materials. RT is best suited for detecting three-dimensional internal flaws. RT is useful for determining if something is inside a pressure component (an object stuck in a pipe or elbow or liquid trapped between double-walled expansion joints). Material thickness measurements can also help to determine corrosion rates. Another application in the pressure equipment industry is the NDE testing of welds.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":908,"text":"Discontinuities that can be detected are:","head1":"Testing Procedure","head2":"Reports"},
+    {"block":909,"text":"• Voids","head1":"Testing Procedure","head2":"Reports"},
+    {"block":910,"text":"• Porosity","head1":"Testing Procedure","head2":"Reports"},
+    {"block":911,"text":"• Incomplete penetration","head1":"Testing Procedure","head2":"Reports"},
+    {"block":912,"text":"• Cupping","head1":"Testing Procedure","head2":"Reports"},
+    {"block":913,"text":"• Incomplete fusion","head1":"Testing Procedure","head2":"Reports"},
+    {"block":914,"text":"• Internal Bursts","head1":"Testing Procedure","head2":"Reports"},
+    {"block":915,"text":"• Thickness variations","head1":"Testing Procedure","head2":"Reports"},
+    {"block":916,"text":"• Corrosion, thinning and pitting","head1":"Testing Procedure","head2":"Reports"},
+    {"block":917,"text":"• Shrinkage cracks","head1":"Testing Procedure","head2":"Reports"},
+    {"block":918,"text":"• Slag inclusions","head1":"Testing Procedure","head2":"Reports"},
+    {"block":919,"text":"Radiography can only detect cracking when cracking is oriented parallel to the radiation beam.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":920,"text":"When completing an RT there are four essential steps:","head1":"Testing Procedure","head2":"Reports"},
+    {"block":921,"text":"• Source selection","head1":"Testing Procedure","head2":"Reports"},
+    {"block":922,"text":"• Set-up","head1":"Testing Procedure","head2":"Reports"},
+    {"block":923,"text":"• Exposure of test component to the radiation source.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":924,"text":"• Film development","head1":"Testing Procedure","head2":"Reports"},
+    {"block":925,"text":"It is interesting that approximately sixty percent of the time is spent on set-up. Of all the NDE techniques, RT requires constant attention to safety. Large doses of x-rays or gamma rays kill human cells and massive doses can cause severe disability or death. Safety is not only a concern for the operators of the RT equipment but for any individual in areas where RT is used. The safety personnel review the NDE company’s safety program and reviews dosages RT workers have received.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":926,"text":"Workers wear a device call a dosimeter (Figure 13) to measure their exposure to radiation. A dosimeter is a pen shaped device that measures the cumulative dose of radiation it receives. Referring to Figure 13, the dosimeter is a precision instrument consisting of an ionization chamber (1) which is sensitive to radiation. It also consists of a quartz fibre electrometer (2) to measure the charge and a microscope (3) to read the shadow of the fibre on a reticle (4). A reticle consists of a network of dots, wires, crosshairs or fine lines in the focal plane of an optical instruments eyepiece. The electrometer contains two electrodes, one of which is a movable quartz fibre. When the electrometer is charged to a predetermined voltage, the electrodes assume a calibrated separation.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":927,"text":"When the dosimeter is exposed to a radiation source, ionization occurs in the surrounding chamber which decreases the charge on the electrodes in proportion to the exposure. The deflection of the movable quartz fibre is then projected, by a light source, through an objective lens (5) to the calibrated reticle and read through a microscope eyepiece (6).","head1":"Testing Procedure","head2":"Reports"},
+    {"block":928,"text":"Illumination for the optical system is obtained by pointing the dosimeter at any convenient light source. Light passes through the clear glass bottom seal (7) to illuminate the reticule. The button is sealed by a bellows (8) which contains an insulated charging pin (9).","head1":"Testing Procedure","head2":"Reports"},
+    {"block":929,"text":"When charging, the charging pin moves up to contact the electrometer, thereby closing the circuit. Sufficient voltage is applied to recharge the system. The entire dosimeter is hermetically sealed in a protective barrel (10). The dosimeter is usually clipped to worker’s clothing to measure the actual exposure to radiation. For personal use, this is the most useful device to measure radiation because biological damage from radiation is cumulative.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":931,"text":"Figure 13 – Dosimeter","head1":"Testing Procedure","head2":"Reports"},
+    {"block":934,"text":"When selecting an RT technique, the following points are considered:","head1":"Testing Procedure","head2":"Reports"},
+    {"block":935,"text":"• The size and geometry of the component being tested","head1":"Testing Procedure","head2":"Reports"},
+    {"block":936,"text":"• Typical defect type, size, location, and orientation","head1":"Testing Procedure","head2":"Reports"},
+    {"block":937,"text":"• Whether shop or field testing is necessary","head1":"Testing Procedure","head2":"Reports"},
+    {"block":938,"text":"• Assurance of personnel safety","head1":"Testing Procedure","head2":"Reports"},
+    {"block":939,"text":"• Size of discontinuity anticipated. Generally flaws must be at least as large as 2% of the penetration thickness to be detected","head1":"Testing Procedure","head2":"Reports"},
+    {"block":940,"text":"• Whether both sides of the component can be accessed. Access to both sides is required to place the film.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":941,"text":"In addition to producing high quality radiographs, the radiographer is also skilled in radiographic interpretation. Interpretation of radiographs takes place in three basic steps which are:","head1":"Testing Procedure","head2":"Reports"},
+    {"block":942,"text":"1. Detection","head1":"Testing Procedure","head2":"Reports"},
+    {"block":943,"text":"2. Interpretation","head1":"Testing Procedure","head2":"Reports"},
+    {"block":944,"text":"3. Evaluation","head1":"Testing Procedure","head2":"Reports"},
+    {"block":945,"text":"All of these steps make use of the radiographer’s visual acuity. Visual acuity is the ability to detect a spatial pattern in an image. The lighting condition in the place of viewing, and the experience level for recognizing various features in the image affects an individual’s ability to detect discontinuities.","head1":"Testing Procedure","head2":"Reports"},
+    {"block":946,"text":"Discontinuities","head1":"Testing Procedure","head2":"Discontinuities","heading":true},
+    {"block":947,"text":"Discontinuities are interruptions in the typical structure of a material. These interruptions may occur in the base metal, weld material or heat affected zones. Discontinuities, which do not meet the requirements of the codes or specifications used to invoke and control an inspection, are referred to as defects. The following discontinuities are typical of all types of welding.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":948,"text":"Cold lap is a condition where the weld filler metal does not properly fuse with the base metal or the previous weld pass material (interpass cold lap). The arc does not melt the base metal sufficiently and causes the slightly molten puddle to flow into base material without bonding. This is illustrated in Figure 14.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":950,"text":"Figure 14 – Cold Lap","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":953,"text":"Porosity is the result of gas entrapment in the solidifying metal. Porosity can take many shapes on a radiograph but often appears as dark round or irregular spots or specks appearing singularly, in clusters or rows. Sometimes porosity is elongated and may appear to have a tail. This is the result of gas attempting to escape while the metal is still in a liquid state and is called wormhole porosity. All porosity is a void in the material having a radiographic density more than the surrounding area. Porosity is illustrated in Figure 15.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":955,"text":"Figure 15 – Porosity","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":958,"text":"Cluster porosity (Figure 16) is caused when flux coated electrodes are contaminated with moisture. The moisture turns into gases when heated and becomes trapped in the weld during the welding process. Cluster porosity appears like regular porosity in the radiograph, but the indications are grouped close together.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":960,"text":"Figure 16 – Cluster Porosity","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":963,"text":"Slag inclusions are non-metallic solid material entrapped in weld metal or between weld and base metal. An example is shown in Figure 17. In a radiograph, dark, jagged asymmetrical shapes within the weld or along the weld joint areas are indicative of slag inclusions.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":965,"text":"Figure 17 – Slag Inclusions","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":968,"text":"Incomplete penetration (IP) or lack of penetration (LOP) occurs when the weld metal fails to penetrate the joint. It is one of the most serious weld discontinuities. Lack of penetration creates a stress riser from which a crack may propagate. The appearance on a radiograph is a dark area with well-defined, straight edges that follows the land (root face) down the centre of the weldment. Incomplete penetration is shown in a weld and on a radiograph in Figure 18.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":970,"text":"Figure 18 – Incomplete Penetration","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":973,"text":"Incomplete fusion is a condition where the weld filler metal does not properly fuse with the base metal. Appearance on a radiograph is shown in Figure 19. It appears as a dark line or lines oriented in the direction of the weld seam along the weld preparation or joining area.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":975,"text":"Figure 19 – Incomplete Fusion","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":978,"text":"Internal concavity or suck back is condition where the weld metal has contracted as it cools and has been drawn up into the root of the weld. On a radiograph it looks similar to lack of penetration (Figure 20), but the line has irregular edges and it is often quite wide in the centre of the weld image.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":980,"text":"Figure 20 – Suck Back","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":983,"text":"Internal or root undercut is an erosion of the base metal next to the root of the weld. In the radiographic image it appears as a dark irregular line offset from the centreline of the weld as shown in Figure 21. Undercutting is not as straight edged as LOP because it does not follow a ground edge.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":985,"text":"Figure 21 – Root Undercut","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":988,"text":"External or crown undercut is an erosion of the base metal next to the crown of the weld. In the radiograph, it appears as a dark irregular line along the outside edge of the weld area (Figure 22).","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":990,"text":"Figure 22 – External Undercut","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":993,"text":"Offset or mismatch is a condition where two pieces being welded together are not properly aligned. On the radiographic image (Figure 23) there is a noticeable difference in density between the two pieces. The difference in material thickness causes the difference in density. Failure of the weld metal to fuse with the base metal causes the dark, straight line.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":995,"text":"Figure 23 – Mismatch","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":998,"text":"Inadequate weld reinforcement is an area of a weld where the thickness of weld metal deposited is less than the thickness of the base material. It is easy to determine by radiograph if the weld has inadequate reinforcement. The image density in the area of suspected inadequacy is darker than the image density of the surrounding base material as in Figure 24.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":1000,"text":"Figure 24 – Inadequate Weld Reinforcement","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":1003,"text":"Excess weld reinforcement is an area of a weld, which has weld metal added in excess of that engineering drawings and codes specify. The appearance on a radiograph is a localized, lighter area in the weld. A visual inspection determines if the weld reinforcement is in excess of that the individual code used for the inspection specifies. An example is shown in Figure 25.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":1005,"text":"Figure 25 – Excessive Weld Reinforcement","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":1008,"text":"Cracking can be detected in a radiograph only if the crack is propagating in a direction that produces a change in thickness parallel to the x-ray beam. Cracks appear as jagged and often very faint irregular lines. Cracks can sometimes appear as “tails” on inclusions or porosity, as shown in Figure 26.","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":1010,"text":"Figure 26 – Cracking","head1":"Testing Procedure","head2":"Discontinuities"},
+    {"block":1013,"text":"Discontinuities in Tungsten Inert Gas (TIG) Welds","head1":"Testing Procedure","head2":"Discontinuities in Tungsten Inert Gas (TIG) Welds","heading":true},
+    {"block":1014,"text":"The following discontinuities are peculiar to the TIG welding process. These discontinuities occur in most metals welded using TIG, including aluminium and stainless steels. The TIG method of welding produces a clean homogeneous weld which, when radiographed, is easily interpreted.","head1":"Testing Procedure","head2":"Discontinuities in Tungsten Inert Gas (TIG) Welds"},
+    {"block":1015,"text":"Tungsten Inclusions","head1":"Testing Procedure","head2":"Tungsten Inclusions","heading":true},
+    {"block":1016,"text":"Tungsten is a brittle and dense material, used as the electrode in gas tungsten arc welding (GTAW or “TIG”). Tungsten inclusions may occur if:","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1017,"text":"• the tungsten electrode accidentally contacts the weld puddle","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1018,"text":"• the tungsten electrode contacts the filler rod","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1019,"text":"• the current settings are excessive, causing the tungsten electrode to overheat","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1020,"text":"• the electrode is improperly installed in the gun","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1021,"text":"• the electrode is damaged (internal cracks)","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1022,"text":"• the improper shielding gas is used","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1023,"text":"• the shielding gas supply is interrupted or inadequate.","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1024,"text":"Since tungsten is denser than aluminum or steel, on a radiograph it appears as a lighter area with a distinct outline. See Figure 27.","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1026,"text":"Figure 27 – Tungsten Inclusions","head1":"Testing Procedure","head2":"Tungsten Inclusions"},
+    {"block":1029,"text":"Oxide Inclusions","head1":"Testing Procedure","head2":"Oxide Inclusions","heading":true},
+    {"block":1030,"text":"Oxide inclusions are usually visible on the surface of material being welded (especially aluminum).Oxide inclusions are less dense than the surrounding materials and appear as dark irregularly shaped discontinuities in the radiograph (Figure 28).","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1032,"text":"Figure 28 – Oxide Inclusions","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1036,"text":"Objective 10","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1038,"text":"Explain acoustic emission testing and the procedures used.","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1040,"text":"Acoustic Emission Testing (AET)","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1041,"text":"Most materials and structures emit energy in the form of mechanical vibrations (acoustic emission) as a result of sudden change or movement. This is usually due to a defect-related phenomenon such as cracking or plastic deformation. These acoustic emissions propagate from the source throughout the structure. The technique of electronically “listening” to these acoustic emissions detects and locates defects as they occur, across the entire monitored area, providing early warning of pending failure in a timely and cost-effective manner. An example is volcano and earthquake seismic [acoustic] monitoring.","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1042,"text":"All types of structures and production processes undergo continuous loading and stressing. On pipelines and vessels, the process itself, both temperature and pressure, supply the stress. In production processes, machines apply stresses to materials as they are being formed, shaped and joined (e.g. in welding). These stresses eventually cause defect growth (e.g. cracking) in weaker or fatigued areas of the structure. Acoustic emission (AE) is unique to all other non-destructive test (NDT) methods because it detects the defect growth, in real time, as it is occurring. It is important to have such a non-destructive test method that can detect and locate flaws as early as possible. As a result, the structure can be repaired or replaced long before a catastrophe occurs, thereby preventing loss of life, environmental damage, and costly repairs.","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1043,"text":"ASME Section V Articles 11, 12 and 13 address acoustic emission examination methodology. To date, no Code Section has adopted any of these articles. A few Code Case requests have been allowed for very specific applications.","head1":"Testing Procedure","head2":"Oxide Inclusions"},
+    {"block":1044,"text":"Acoustic Emission Procedures","head1":"Acoustic Emission Procedures","head2":"","heading":true},
+    {"block":1045,"text":"Acoustic emissions (AE) are transient elastic waves, generated by the rapid release of energy from localized sources within a material. Figure 29 shows a material cracking under stress, producing acoustic emission waves.","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1047,"text":"Figure 29 – Acoustic Emission Testing","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1050,"text":"The material cracking emits acoustic waves that emanate in all directions from the source. A piezoelectric acoustic emission sensor is in contact with the material being monitored. This senor detects the mechanical shock wave and converts it into an electronic signal, which is amplified and processed by the AE instrument. Mechanical stress is a requirement for the production of acoustic emissions. In many applications, acoustic emissions are generated naturally, due to normal process conditions. Other cases may require the application of an external force to produce an emission. The applied stresses must be non-destructive and well below the expected defect tolerance of the material.","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1051,"text":"AE systems operate with frequencies ranging from 1 to 2000 kHz. Background noises such as friction, outside impacts, or process generated signals, tend to mask acoustic emissions. The frequency of these noises determines the lower frequency limit. Signal attenuation (the gradual reduction of signal strength) determines the upper frequency limit. A critical part of the AE application process is the selection of a suitable frequency range for AE detection and signal processing. The frequency range must be above the background noises, and provide the range and sensitivity to detect acoustic emissions. This is achieved by careful selection of AE sensors (operating in various narrow- or wide-band frequency ranges), and electronic signal filtering.","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1052,"text":"Acoustic emission is transient in nature, occurring in discrete bursts. AE systems process these bursts as AE “hits.”","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1053,"text":"Figure 30 shows an AE hit waveform and a few of the AE features that are processed by the AE system. “Time of hit,” “rise time,” “AE amplitude,” “AE counts,” “duration,” “frequency content,” and the waveform itself are AE features that can be analyzed to help identify the source of AE as noise or defect-related.","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1055,"text":"Figure 30 – Acoustic Emission Waveform","head1":"Acoustic Emission Procedures","head2":""},
+    {"block":1058,"text":"Acoustic Emission Systems","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems","heading":true},
+    {"block":1059,"text":"AE systems range from simple single-channel, single purpose devices to complex multi-channel, multi-processing systems.","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1060,"text":"The basic AE system consists of one or more AE sensors and one preamplifier per channel, connected to an AE processor. The processor receives amplified signals from the AE sensors, as well as signals from external sensors or control inputs. These sensors follow the process, stress, or load applied to the materials under test.","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1061,"text":"The AE processor combines these inputs to form outputs indicative of the detected AE activity. The outputs correlate to the process or stress measured. These outputs can be a pass/fail signal for:","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1062,"text":"• control purposes","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1063,"text":"• indicators and annunciators, or","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1064,"text":"• graphical outputs.","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1065,"text":"Graphical outputs can show trending, or the relationship of acoustic emissions to the structure’s load or stress. A display might display clusters of AE sources to help operators determine areas of concern.","head1":"Acoustic Emission Procedures","head2":"Acoustic Emission Systems"},
+    {"block":1066,"text":"Location of Sensors","head1":"Acoustic Emission Procedures","head2":"Location of Sensors","heading":true},
+    {"block":1067,"text":"Acoustic emission sensors may be located some distance from the source and still detect a signal. If multiple sensors are used, the time difference for the signal to arrive at each sensor can be determined. Then, using triangulation, the precise location of the signal source can be determined.","head1":"Acoustic Emission Procedures","head2":"Location of Sensors"},
+    {"block":1068,"text":"To determine the source location in one dimension (in a single line), two sensors are required. To determine the location in two dimensions (over a surface or plane), three sensors are required. To determine location in three dimensions, a minimum of four sensors are required. Monitoring multiple AE events in the same area and applying cluster analysis methods can establish the severity of an acoustic emission source.","head1":"Acoustic Emission Procedures","head2":"Location of Sensors"},
+    {"block":1069,"text":"The ability to determine the location of an acoustic emission source an extremely powerful tool. A relatively large structure may be monitored with a small number of sensors. This is a great advantage in the case of in-service pressure vessels, especially when insulated, because very few access holes are needed for placement of AE sensors. All other NDT techniques require all the insulation to be removed for full inspection, making them much more expensive than AE examination techniques.","head1":"Acoustic Emission Procedures","head2":"Location of Sensors"},
+    {"block":1070,"text":"Acoustic Emissions Applications","head1":"Acoustic Emissions Applications","head2":"","heading":true},
+    {"block":1071,"text":"Crack Detection","head1":"Acoustic Emissions Applications","head2":"Crack Detection","heading":true},
+    {"block":1072,"text":"One of the oldest and most successful applications of acoustic emission has been in manufacturing. Here, crack detection may be performed during bonding, forming, or pressing operations. AE systems may be interfaced to programmable controllers, and set to monitor cracking during the high-stress manufacturing processes. When cracks occur, the AE system provides a “failure” output signal, and the part can be rejected. Many AE crack detection systems provide continuous real-time monitoring and inspection.","head1":"Acoustic Emissions Applications","head2":"Crack Detection"},
+    {"block":1073,"text":"Vessel Inspection","head1":"Acoustic Emissions Applications","head2":"Vessel Inspection","heading":true},
+    {"block":1074,"text":"AE examination of pressure vessels is a sensitive and cost-effective inspection method. The petrochemical industry has successfully used AE pressure vessel monitoring for some time. The entire pressure boundary of a vessel can be monitored by an array of sensors. Typically, pressures 10 percent greater than normal operating pressure (well below the MAWP) are applied incrementally to the vessel. After each incremental pressure increase, the pressure is held for a period of time. The AE activity during each pressure increment is monitored and recorded.","head1":"Acoustic Emissions Applications","head2":"Vessel Inspection"},
+    {"block":1075,"text":"Leak Detection","head1":"Acoustic Emissions Applications","head2":"Leak Detection","heading":true},
+    {"block":1076,"text":"Acoustic emissions are also created by the turbulent (or cavitational) flow through cracks, valves, seals, and orifices. AE sensors can detect the signals associated with these leaks. Acoustic energy is transmitted through the fluid, air, or structure to piezoelectric sensors. The signal is processed, filtered, and compared to a leak profile. The emission source is located using triangulation. AE leak detection is used in utility and petrochemical plants, to detect leaks in pipelines, boilers, vessels, and valves. AE leak detection systems may monitor multiple sensors throughout a plant. The systems can be operated in stand-alone mode, interfaced to PLCs, or tied into plant-wide distributed control systems. They can display plant piping systems and vessels on control room monitors, and pinpoint leak locations.","head1":"Acoustic Emissions Applications","head2":"Leak Detection"},
+    {"block":1077,"text":"Pulp and Paper Industry","head1":"Acoustic Emissions Applications","head2":"Pulp and Paper Industry","heading":true},
+    {"block":1078,"text":"Within the paper industry, AE systems have located cracks in pressure vessels (such as steam-heated rollers and paper machine dryers), and in other rotating equipment such as felt rolls, reel spools, calendar rolls, and suction rolls. AE has also been used to identify delamination of bonded materials, including thermal spray metal coatings and rubber roll covers.","head1":"Acoustic Emissions Applications","head2":"Pulp and Paper Industry"},
+    {"block":1080,"text":"Objective 11","head1":"Acoustic Emissions Applications","head2":"Pulp and Paper Industry"},
+    {"block":1082,"text":"Explain leak and pressure testing.","head1":"Acoustic Emissions Applications","head2":"Pulp and Paper Industry"},
+    {"block":1084,"text":"Leak Testing","head1":"Acoustic Emissions Applications","head2":"Pulp and Paper Industry"},
+    {"block":1085,"text":"Leak testing is used to verify the integrity of a completed pressure vessel or fitting before it is placed into service or to determine if a vessel currently in service may continue to be used. Leak testing identifies discontinuities in the vessel pressure boundary. For example, it shows cracks and pinholes in welds, but does not show porosity within a weld or small cracks that do not penetrate the vessel wall.","head1":"Acoustic Emissions Applications","head2":"Pulp and Paper Industry"},
+    {"block":1086,"text":"Pressure Testing","head1":"Pressure Testing","head2":"","heading":true},
+    {"block":1087,"text":"The ASME BPVC requires that boilers, pressure vessels, and pressure piping be pressure tested when complete. The minimum test pressure ranges from 1.25 to 1.3 times the maximum allowable working pressure. This test serves two purposes:","head1":"Pressure Testing","head2":""},
+    {"block":1088,"text":"• To prove that the vessel can withstand the pressure for which it was designed","head1":"Pressure Testing","head2":""},
+    {"block":1089,"text":"• To ensure no leaks are present.","head1":"Pressure Testing","head2":""},
+    {"block":1090,"text":"Pressure testing is also used on piping and vessels that have already been in service, particularly when they are subject to corrosion or cracking. The test verifies that the vessel or piping can still safely withstand the operating pressure with a proven margin of safety and that no through cracks (that is, cracks that penetrate the vessel wall) or holes have developed. Pressure testing is especially useful if, due to the design of the equipment, the inspector does not have adequate access to conduct a visual inspection.","head1":"Pressure Testing","head2":""},
+    {"block":1091,"text":"Many jurisdiction inspectors, as well as owners, require the organization performing the pressure test to provide written test procedures. Reviewing and approving these procedures prior to the test averts potential problems.","head1":"Pressure Testing","head2":""},
+    {"block":1092,"text":"The first step in leak testing is to determine whether, in fact, leaks are present. The following types of pressure tests are used to aid in the detection of a leak:","head1":"Pressure Testing","head2":""},
+    {"block":1093,"text":"• Hydrostatic","head1":"Pressure Testing","head2":""},
+    {"block":1094,"text":"• Pneumatic","head1":"Pressure Testing","head2":""},
+    {"block":1095,"text":"Hydrostatic Testing","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1096,"text":"Hydrostatic tests are generally carried out by filling the vessel with water and pressurizing the fluid to the required pressure. The vessel is then examined for leaks.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1097,"text":"Preparation","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1098,"text":"In a new vessel, all connections such as flanges and couplings are closed off with blind flanges and plugs. A drain valve is located at the low point of the vessel to allow removal of the water after the test. The filling connection must have an isolating valve, and a vent valve is required at the top to allow all air to be expelled.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1099,"text":"For testing of in-service vessels, more preparation is required. If the fluid the vessel normally handles is toxic or flammable, the vessel is cleaned and purged. The vessel is isolated from the rest of the system. Existing valves are used if they are in good condition. Otherwise, piping connections at the vessel are opened and blind flanges installed. Control line connections to the vessel are removed and closed off. The procedures listed for the preparation of new vessels are also carried out.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1100,"text":"If a vessel is filled with water during normal operation, the hydrostatic test should not pose a problem. However, large vessels that normally contain a gas may not be designed to hold water. In such cases, additional supports may be required for the vessel, and the foundation must be inspected to ensure it can carry the additional weight.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1101,"text":"The test pressure is usually monitored on a calibrated pressure gauge. As an additional precaution, two gauges are used. There are cases on record where vessels have been permanently deformed because a defective pressure gauge indicated a pressure lower than that applied.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1102,"text":"Fluid Selection","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1103,"text":"The most common fluid for hydrostatic testing is water. It is inexpensive and readily available. However, if the test is to be performed when ambient conditions are near or below freezing, use of a glycol/water mixture or methanol should be considered. These are more expensive than water, and disposal poses environmental problems, but their use avoids the possibility of frozen drain lines when the test is completed.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1104,"text":"In some cases, it is not desirable to have water in the equipment because of its effect on the process fluid. With the approval of the owner and jurisdiction inspector, another more compatible fluid may be used.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1105,"text":"Temperatures and Pressures","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1106,"text":"For new vessels, the code of construction dictates the test pressure. For example, the ASME Code, Section VIII, Division 1 requires a hydrostatic test of 1.3 times the maximum allowable working pressure. For used equipment, the owner or jurisdiction inspector may determine the test pressure, but it should not exceed the test pressure used for testing when the vessel was new. If the inspector is only concerned with leaks that may have developed in service, a hydrostatic test at the operating pressure is acceptable.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1107,"text":"The temperature of the test fluid is also important. ASME BPVC I requires boilers to be subjected to pressure tests using water at not less than ambient temperature, but in no case below 20°C. This will prevent brittle fracture during the test. ASME BPVC VIII-1 recommends that the metal temperature during hydrostatic test be maintained at least 17°C above the minimum design metal temperature, to minimize the risk of brittle fracture. To prevent burn hazards, if the test temperature exceeds 48°C, inspection of the vessel should be delayed until the temperature falls to 48°C or less.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1108,"text":"Testing","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1109,"text":"After the vessel is filled with liquid and all air is vented, a pump is used to increase the pressure within the vessel to the required value. For low pressure tests, this is generally carried out in one step. For higher pressure tests, the pressure is increased in steps with a visual inspection conducted at the end of each step.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1110,"text":"For pressures below 3000 kPa, the vessel may be inspected at the test pressure. If test pressures exceed 3000 kPa, water jets issuing through a pinhole or crack become a danger to the inspector. In these cases, the vessel is pressurized to test pressure, which is held there for a specified time while the pressure gauges are observed. The pressure is then reduced to the normal operating pressure before inspecting is done.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1111,"text":"The visual inspection involves examining the entire surface of the vessel, looking not only for wet areas that indicate a problem, but also for small drops of liquid. A large defect causes a significant amount of liquid to escape from the vessel. However, a small crack may allow only a few drops to escape.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1112,"text":"Another indication that defects are present is a drop in pressure during the hydrostatic test, since escaping liquid causes the pressure to drop. However, if pressure does remain constant, it is not proof that the vessel is leak-free. A very small leak may not produce a noticeable pressure drop. Also, an increase in the temperature of the test liquid can create sufficient expansion to compensate for any losses due to leakage. When testing is complete, the pressure is slowly released.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1113,"text":"Safety Concerns","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1114,"text":"Liquids are used for testing because they do not expand significantly when the pressure drops. If a failure occurs during the test, only a small, harmless flow of water will be released. However, if not all of the air has been vented from the vessel, this air will be compressed. Therefore, in the event of a failure, there is still danger to personnel in the vicinity. Blind flanges whose bolts failed during a hydrostatic test have been known to travel up to 20 meters; plugs have blown out of couplings with deadly force. For this reason, all non-essential personnel should leave the area when pressure tests are conducted.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1115,"text":"Advantages","head1":"Pressure Testing","head2":"Hydrostatic Testing","heading":true},
+    {"block":1116,"text":"Though hydrostatic testing requires skilled and knowledgeable personnel, it is inexpensive and relatively easy to perform, provided the vessel is properly prepared. By demonstrating that a vessel is capable of withstanding pressures in excess of its maximum allowable working pressure, a degree of confidence in vessel integrity is attained.","head1":"Pressure Testing","head2":"Hydrostatic Testing"},
+    {"block":1117,"text":"Pneumatic Testing","head1":"Pressure Testing","head2":"Pneumatic Testing","heading":true},
+    {"block":1118,"text":"Pneumatic testing involves the pressurization of a vessel or piping system with a compressible gas, such as air or nitrogen, to determine if any leaks are present. The air or nitrogen may be the only suitable test substance if water can damage the interior of the vessel, as in the case of refractory linings or catalyst beds. Because pneumatic testing may be hazardous, it should only be used when other methods are impractical.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1119,"text":"Preparation and Gas Selection","head1":"Pressure Testing","head2":"Pneumatic Testing","heading":true},
+    {"block":1120,"text":"As with the hydrostatic test, the preparation for pneumatic testing involves isolating the vessel from the system and controls. Using a gas as a test medium does not place a significant amount of static head in the vessel. For general applications, air is an inexpensive and readily available test medium. However, if a possibility of combustion exists, an inert gas such as nitrogen may be used.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1121,"text":"Temperatures and Pressures","head1":"Pressure Testing","head2":"Pneumatic Testing","heading":true},
+    {"block":1122,"text":"Because of the inherent danger in testing with compressed gases, some codes allow the use of a lower test pressure than that used for hydrostatic tests. If the pneumatic test is used as an additional test to the hydrostatic test or as a leak test prior to the hydrostatic test, pressures below the operating pressure may be acceptable.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1123,"text":"With this test, it is even more important that the proper test temperature be maintained. If there is any possibility of brittle failure of the test vessel, another method of testing is used. As the testing gas is usually delivered to the test site as a liquid or at a very high pressure, a pressure reducing system is used to produce the required test pressure. The pressure reduction causes a refrigerating effect which can cool the vessel or piping enough to affect the ductility of the metal. Heaters are used to maintain a minimum gas temperature.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1124,"text":"If the supply pressure of the test fluid is higher than the test pressure, overpressure protection must be provided to prevent the test vessel from being overpressured during the test.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1125,"text":"Testing","head1":"Pressure Testing","head2":"Pneumatic Testing","heading":true},
+    {"block":1126,"text":"As with high pressure liquid testing, the pressure is increased in stages, with inspection occurring at each stage. The method of inspection to locate leaks can vary from the basic soap test to mass spectrometry. These techniques are discussed later.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1127,"text":"Safety Concerns","head1":"Pressure Testing","head2":"Pneumatic Testing","heading":true},
+    {"block":1128,"text":"The primary hazard in pneumatic testing is the amount of energy stored in the compressed fluid during the test. If a failure should occur, the results can be catastrophic. Pneumatic testing should be done with all non-essential personnel removed from the danger zone.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1129,"text":"Advantages","head1":"Pressure Testing","head2":"Pneumatic Testing","heading":true},
+    {"block":1130,"text":"Pneumatic testing is useful in determining whether leaks exist in a piping system prior to carrying out the hydrostatic test. At low pressures, the danger is reduced and a soap test can be done to locate leaks. The test does not create a mass loading on the item being tested and does not involve cleanup after the test because the gas may be vented to atmosphere. Pneumatic testing may be the only acceptable test method in cases where the interior of the vessel is lined with material that liquids can damage.","head1":"Pressure Testing","head2":"Pneumatic Testing"},
+    {"block":1131,"text":"Location of Leaks","head1":"Location of Leaks","head2":"","heading":true},
+    {"block":1132,"text":"Once it has been determined that leaks are present or suspected, other tests are used to pinpoint the exact location of the leaks. ASME Section V Article 10 “Leak Testing” has ten mandatory appendices to cover nine specific types of tests, as follows:","head1":"Location of Leaks","head2":""},
+    {"block":1133,"text":"• Appendix I Bubble Test (Direct Pressure Technique)","head1":"Location of Leaks","head2":""},
+    {"block":1134,"text":"• Appendix II Bubble Test (Vacuum Box Technique)","head1":"Location of Leaks","head2":""},
+    {"block":1135,"text":"• Appendix III Halogen Diode Detector Probe Test","head1":"Location of Leaks","head2":""},
+    {"block":1136,"text":"• Appendix IV Helium Mass Spectrometer (Detector Probe Technique)","head1":"Location of Leaks","head2":""},
+    {"block":1137,"text":"• Appendix V Helium Mass Spectrometer (Tracer Probe and Hood Technique)","head1":"Location of Leaks","head2":""},
+    {"block":1138,"text":"• Appendix VI Pressure Change Test","head1":"Location of Leaks","head2":""},
+    {"block":1139,"text":"• Appendix VIII Thermal Conductivity Detector Probe Test","head1":"Location of Leaks","head2":""},
+    {"block":1140,"text":"• Appendix IX Helium Mass Spectrometer Test (Hood Technique)","head1":"Location of Leaks","head2":""},
+    {"block":1141,"text":"• Appendix IX Ultrasonic Leak Detector Test","head1":"Location of Leaks","head2":""},
+    {"block":1142,"text":"Bubble Leak Testing","head1":"Location of Leaks","head2":"Bubble Leak Testing","heading":true},
+    {"block":1143,"text":"The bubble test, sometimes called the soap test, is a basic method of locating a leak. It is used when the pressurizing fluid is a gas and access is available to the surface where the leak is suspected. This test method is quick, inexpensive, and does not require operator training.","head1":"Location of Leaks","head2":"Bubble Leak Testing"},
+    {"block":1144,"text":"The early test method involved brushing or pouring a liquid soap solution over the pressurized vessel or piping system. Escaping gas would form bubbles in the soap solution, providing a clearly visible indication of where a leak was occurring. The number and size of bubbles indicates the size of the leak.","head1":"Location of Leaks","head2":"Bubble Leak Testing"},
+    {"block":1145,"text":"While this type of test is acceptable in most applications, the soap leaves a film when it dries. If hard water is used, the soap tends to curdle rather than bubble. In some cases, impurities in the water can contaminate the material being tested. For example, chlorides in the water can have an effect upon stainless steel.","head1":"Location of Leaks","head2":"Bubble Leak Testing"},
+    {"block":1146,"text":"Instead of soap, special solutions with enhanced surface tension, viscosity, and film retention properties are now commonly used. These solutions enable the inspector to locate smaller leaks than is possible when using soap and water. A more involved method of bubble testing, called the immersion method, involves placing the pressurized specimen in a water bath. The escaping gas forms a trail of gas bubbles as it rises to the surface of the liquid.","head1":"Location of Leaks","head2":"Bubble Leak Testing"},
+    {"block":1147,"text":"Vacuum Testing","head1":"Location of Leaks","head2":"Vacuum Testing","heading":true},
+    {"block":1148,"text":"In vacuum testing, rather than pressurizing the interior of the vessel, a vacuum is used to create the pressure difference necessary for leakage detection. Because the best possible vacuum is 101 kPa below atmospheric pressure, the pressure differential is limited. However, the danger of an implosion is also reduced.","head1":"Location of Leaks","head2":"Vacuum Testing"},
+    {"block":1149,"text":"To perform the test, the specimen is placed in a vacuum chamber, or a vacuum chamber is attached to the side of the vessel. A pump is used to remove air from the chamber, causing the pressure to drop. Because a pressure difference exists between the interior of the vessel or sample and the vacuum chamber, leakage occurs through any cracks or other openings. Any of the methods described later in this module may then be used to locate the leaks.","head1":"Location of Leaks","head2":"Vacuum Testing"},
+    {"block":1150,"text":"Vacuum testing is commonly used for testing electrical equipment and in the laboratory. It is seldom used in the pressure vessel industry. It is sometimes used for testing the floor plates of vertical tanks.","head1":"Location of Leaks","head2":"Vacuum Testing"},
+    {"block":1151,"text":"Dye Tracer Leak Testing","head1":"Location of Leaks","head2":"Dye Tracer Leak Testing","heading":true},
+    {"block":1152,"text":"In the standard hydrostatic test, observing formation of water droplets on the vessel surface detects leaks. When it is desirable to locate very small leaks, or visibility is a problem, a fluorescent dye is added to the water inside the vessel. The dye is similar to the fluorescent dye used in liquid penetrant inspection. The dye leaks through cracks or openings to the outside of the vessel. By examining the external surface of the vessel with an ultraviolet light, the dye is seen more readily than water.","head1":"Location of Leaks","head2":"Dye Tracer Leak Testing"},
+    {"block":1153,"text":"Halogen Leak Testing","head1":"Location of Leaks","head2":"Halogen Leak Testing","heading":true},
+    {"block":1154,"text":"This testing method involves Freon or halogen gases and a halogen detector probe to detect leaks. Although the method is sensitive to leaks, the use of halocarbon gases poses environmental problems and it will probably be discontinued in the future.","head1":"Location of Leaks","head2":"Halogen Leak Testing"},
+    {"block":1155,"text":"This method is commonly used for leak testing refrigeration systems. However, filling a pressure vessel with halide for the purposes of a test is very expensive compared to other available methods.","head1":"Location of Leaks","head2":"Halogen Leak Testing"},
+    {"block":1156,"text":"Helium Mass Spectrometer Leak Testing","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing","heading":true},
+    {"block":1157,"text":"Mass spectrometers are the most sensitive leak detectors available. They introduce a tracer gas such as helium into the test vessel and move the detector “sniffer” hose over the surface to locate leaks. Because helium atoms are smaller than most other atoms, they penetrate through smaller cracks, providing a more sensitive test. The detector itself is able to detect one part of helium in 10 million parts of air. Helium is an inert gas that does not react with other gases or materials of construction. The amount of helium in the atmosphere is not significant and does not interfere with leak testing.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1159,"text":"Objective 12","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1161,"text":"Explain how to monitor and test metals for creep, fatigue and corrosion.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1163,"text":"Creep","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1164,"text":"Creep is the tendency of a solid material to deform slowly, but permanently, under the influence of long-term exposure to stress well below its elastic limit. Creep tendency is increased as temperature increases. Creep can eventually cause metal to break, or rupture under pressure, even though the load applied is considerably lower than that required to cause rupture in the short term or in a tensile test. Creep deformation (strain) accumulates as a result of long-term stress. The factors that affect creep are the temperature, time, material properties, and the applied load.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1165,"text":"A creep rupture test is used to determine the rate of deformation and the estimated time until rupture, at a given temperature. A test piece, at constant temperature, is subjected to a fixed tensile load. The deformation of the test sample is measured during the test and the time to rupture is determined. The test duration may range from 1000 to greater than 10 000 hours. A graph of the observed length of the specimen versus elapsed time is often of the form shown in Figure 31.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1167,"text":"Figure 31 – Typical Creep Curve for Steel","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1170,"text":"In Figure 31, the curve representing creep is divided into three stages. It begins after the initial extension (0-A), which is simply the measure of deformation caused by the initial loading. This initial extension depends on test conditions, usually increasing with increases in temperature and load. During the first stage of creep (from A to B), called primary creep, there is a decreasing rate of deformation.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1171,"text":"The second stage (B to C), called secondary creep, has an extremely small variation in rate of deformation. This period is has an essentially constant rate of creep. The third stage (C to D), called tertiary creep, has an accelerating rate of deformation, leading up to fracture. Some alloys display little or zero secondary creep and spend most of their test life in the tertiary creep stage.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1172,"text":"To simplify the practical application of creep data, it is customary to establish, under laboratory conditions, two values of stress (at a specific temperature) that produce two corresponding rates of creep: 1.0% per 10 000 and 100 000 hours, respectively.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1173,"text":"For any specified temperature, several creep rupture tests are run under different loads. The creep rate during the period of secondary creep is determined from these curves and is plotted against the stress. When this data is plotted on logarithmic scales, the points for each specimen often lie on a line with a slight curvature. The minimum creep rate for any stress level can be obtained from this graph; also the curve can be extrapolated to obtain creep rates for stresses beyond those for which data are obtained. The shape of the creep curve depends on the chemical composition and microstructure of the metal as well as the applied load and test temperature.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1174,"text":"In general, rapid rates of elongation indicate a transgranular (ductile) fracture and slow rates of elongation indicate an intergranular (brittle) fracture. As a rule, surface oxidation is present when the fracture is transgranular, and visible intercrystalline oxidation may or may not be present when the fracture is intergranular. Because intercrystalline oxides produce discontinuities, the time to rupture at a given temperature-load relationship may be noticeably less.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1175,"text":"A complete creep rupture test program for a given steel consists of a series of tests at constant temperature, with each specimen loaded to a different level. Tests are not normally conducted for more than 10 000 hours, so extrapolation is used to determine longer rupture times. The ASME Boiler and Pressure Vessel Code provides several extrapolation methods. These depend on the behavior of the particular alloy for which design values are being established and on the extent and quality of the available database.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1176,"text":"Design data is usually provided as a series of curves for constant creep strain (0.01 - 0.03%, etc.), relating stress and time for a given temperature. It is important to know whether the data used is for the secondary stage only or also includes the primary stage.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1177,"text":"In designing plants that work at temperatures well above atmospheric temperatures, the designer must consider carefully what possible maximum strains can be allowed and what the final life of the plant will likely be. The permissible amounts of creep depend largely on the component and service conditions. Typical examples for steel are shown in Table 3.","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1179,"text":"Table 3 – Permissible Creep Values","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1183,"text":"Rate of Creep,","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1184,"text":"mm/min","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1186,"text":"Time,","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1187,"text":"Hours","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1189,"text":"Maximum Permissible Creep Strain, %","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1191,"text":"Turbine rotor wheels, shrunk on shafts","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1193,"text":"10-11","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1195,"text":"100 000","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1197,"text":"0.0025","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1199,"text":"Steam piping, welded joints, boiler tubes","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1201,"text":"10-9","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1203,"text":"100 000","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1205,"text":"0.075","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1207,"text":"Superheater tubes","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1209,"text":"10-8","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1211,"text":"20 000","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1213,"text":"0.5","head1":"Location of Leaks","head2":"Helium Mass Spectrometer Leak Testing"},
+    {"block":1214,"text":"Monitoring for Creep Damage","head1":"Location of Leaks","head2":"Monitoring for Creep Damage","heading":true},
+    {"block":1215,"text":"Creep is a function of temperature, stress and operating time. Higher operating temperature and other damage mechanisms (such as erosion and corrosion) that cause tube wall thinning and increased stresses reduce the creep life of superheater tubes. Excessive stresses associated with thermal expansion and mechanical loading can also occur leading to tube cracks and leaks, independent of predicted creep life.","head1":"Location of Leaks","head2":"Monitoring for Creep Damage"},
+    {"block":1216,"text":"Water-cooled tubes operating at or below saturation temperature are not subject to significant creep. Monitoring of the superheater tubes includes visual inspection, ultrasonic thickness testing and tube sample analysis. Problems due to erosion, corrosion, expansion, or excessive temperature can generally be located with visual examination.","head1":"Location of Leaks","head2":"Monitoring for Creep Damage"},
+    {"block":1217,"text":"High temperature steam headers (such as superheater and reheater outlets operating above 485°C) have a finite creep life and a high replacement cost. These headers experience creep under normal conditions, as well as thermal and mechanical fatigue. Creep stress, when combined with thermal and mechanical fatigue stress, leads to premature failure.","head1":"Location of Leaks","head2":"Monitoring for Creep Damage"},
+    {"block":1218,"text":"Creep fatigue in superheater and other high temperature headers is affected by steam flow, combustion, and boiler load. Because the firing rates in multiple burner boilers is not uniform (nor is the flow of combustion air and combustion products), heat distribution within a boiler is not uniform. The lack of heat transfer uniformity is aggravated by fireside surface fouling due to ash and slag deposition. The overall effect is variations in heat input to individual superheater and reheater tubes. When combined with steam flow variations within individual tubes, significant variations can occur in the steam temperature entering the header. Changes in boiler load further exacerbate the temperature differences between individual tubes and the header. When the boiler load increases, the firing rate increases to maintain pressure. As a result, the boiler temporarily over-fires to compensate for the increasing steam flow and the decreasing pressure. When boiler load decreases, the firing rate decreases slightly faster than steam flow in the superheater, which results in a decrease in tube outlet temperature relative to header temperature. These temperature gradients can cause localized stresses in the header, resulting in ligament cracks.","head1":"Location of Leaks","head2":"Monitoring for Creep Damage"},
+    {"block":1219,"text":"External stresses due to header expansion and piping loads also contribute to cracking. For units that cycle, thermal expansion can cause fatigue cracks at header support attachments, tube stub weld attachment points, and torque plates. Steam piping, as it expands and contracts, can transmit excessive loads to the header outlet nozzle. These stresses cause cracks at the outlet nozzle to header saddle weld.","head1":"Location of Leaks","head2":"Monitoring for Creep Damage"},
+    {"block":1220,"text":"In Situ Monitoring","head1":"Location of Leaks","head2":"In Situ Monitoring","heading":true},
+    {"block":1221,"text":"Superheater tubes and headers should be monitored using a combination of NDE techniques, targeted at the welds where cracks are most likely to develop (stress risers.) Stress risers are flaws that can amplify an applied stress in a particular location.","head1":"Location of Leaks","head2":"In Situ Monitoring"},
+    {"block":1222,"text":"Creep causes the header diameter increase. To monitor the creep rate, the header diameter is measured at several locations on the header and the outlet nozzle. In order to find creep damage, metallographic replication is performed. This is the most effective test for this purpose, and is done on any high-temperature header. Ideally, the evaluation is made at the hottest location along the header.","head1":"Location of Leaks","head2":"In Situ Monitoring"},
+    {"block":1223,"text":"Metallographic Replication","head1":"Location of Leaks","head2":"Metallographic Replication","heading":true},
+    {"block":1224,"text":"Metallographic replication is used to study the grain microstructure of a component without taking samples from the component. This method is used when repeated observations are required. One method used for metallographic replication is illustrated in Figure 32.","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1226,"text":"Figure 32 – Metallographic Replication","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1229,"text":"Metallographic replication attempts to faithfully reproduce the surface topography of a metal specimen on an acetate film, which can be examined under a microscope. The surface of the specimen is cleaned of oxides to bare metal. The metal is polished with a series of grits and diamond pastes, leaving the surface scratch-free. Then, the surface is etched with 2 – 5% Nital, which is a 5% solution of nitric acid in alcohol. A cellulose acetate film is softened by soaking one side of the film with acetone. The softened film is immediately applied to the etched surface and pressed firmly into place. After about 20 minutes, the film hardens. Then, it is carefully peeled from the metal for microscopic examination. The side of the film that was not in contact with the metal is placed against a black surface, to improve the contrast. The grain boundaries are studied to determine the amount of carbide spheroidization and cavities that have formed. The films are kept and compared at each outage. Figure 33 illustrates typical cavity assessments from microstructure.","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1231,"text":"Figure 33 – Cavity Assessment","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1234,"text":"Action required from the diagram.","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1235,"text":"A – No action required at this stage","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1236,"text":"B – Schedule regular metallographic replication testing","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1237,"text":"C – Limit the service of the component and schedule repairs","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1238,"text":"D – Repair immediately as failure is imminent","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1239,"text":"Limitations of this method are:","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1240,"text":"• The area to be monitored must be accessible","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1241,"text":"• The same area of the tube or header must be monitored each time to ensure an accurate record","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1242,"text":"• The surface temperature of the tube or header must be comfortable to the touch. If it is too hot, the cellulose acetate film dries too fast and does not have time to penetrate between the grains. If it is too cold, the water content in the Nital affects the surface","head1":"Location of Leaks","head2":"Metallographic Replication"},
+    {"block":1243,"text":"Fatigue","head1":"Location of Leaks","head2":"Fatigue","heading":true},
+    {"block":1244,"text":"Metals undergoing high temperature service may also be subject to fatigue. Failure may arise after exposure to cycles of alternating stress, with or without the superimposition of a mean stress. Although it is the most common cause of metal failure in general engineering, it is rare in a power plant. This is because it is possible to design away from high levels of alternating stress, and that the predominant failure mechanism at high temperatures is creep and not fatigue. In a power plant, it is possible to encounter situations that are classified as thermal fatigue. In these the frequency of straining is given by the number of stops and starts endured during the full life of the plant, (say 5 000 to 10 000). Figure 34 is an example of the original design of reinforcing ring and a replacement preformed drum end forging to eliminate cracking found in a boiler drum.","head1":"Location of Leaks","head2":"Fatigue"},
+    {"block":1246,"text":"Figure 34 – Manhole Reinforcement Changes","head1":"Location of Leaks","head2":"Fatigue"},
+    {"block":1249,"text":"Corrosion","head1":"Location of Leaks","head2":"Corrosion","heading":true},
+    {"block":1250,"text":"Good mechanical designs that minimize cracks crevices and high stress zones reduce the likelihood of accelerated corrosion attack on the waterside of a boiler. Corrosion occurs in a boiler and is allowed for in the design.","head1":"Location of Leaks","head2":"Corrosion"},
+    {"block":1251,"text":"Most metals form an oxide or hydroxide corrosion film when exposed to water. This oxide layer acts as a coating on the metal and protects the metal from most types of corrosion. Boiler water treatments are designed to stabilize the protective oxide films so corrosion decreases with time. The metal losses associated with protective oxide films are uniform and occur at a predictable rate. This known rate of metal loss is the corrosion allowance designed in the vessel.","head1":"Location of Leaks","head2":"Corrosion"},
+    {"block":1252,"text":"Corrosion of metal in industrial systems is complex and takes many different forms. The result of all corrosion is the loss of strength of the material and the structure. Understanding the various forms and combinations of corrosion is essential to determining the importance of each and to finding the most appropriate technologies for detection and characterization of corrosion.","head1":"Location of Leaks","head2":"Corrosion"},
+    {"block":1253,"text":"Technology Applications","head1":"Location of Leaks","head2":"Technology Applications","heading":true},
+    {"block":1254,"text":"The areas where corrosion occurs, the materials in which it occurs, and the conditions under which it occurs combine to make the inspection for and detection of corrosion a difficult matter. All industrial systems experience some sort of corrosion and there are certain known problem areas.","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1255,"text":"The typical process of finding and identifying corrosion begins with visual inspection. Any damage that can be observed by visual means requires closer inspection. Field inspection using other means usually entails eddy current inspection, ultrasonic inspection, or both. These inspections can be accomplished during routine maintenance without impacting operational availability. If additional inspection is necessary, specialists conduct the inspection under controlled conditions, such as in a protected space or in an NDE laboratory.","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1256,"text":"Factors affecting corrosion are:","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1257,"text":"• the type of material selected for the application","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1258,"text":"• the heat treatment of the material","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1259,"text":"• the environment of the application, and","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1260,"text":"• the presence of any contaminants in the material itself.","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1261,"text":"Table 4 summarizes the types of corrosion and their characteristics.","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1263,"text":"Table 4 – Corrosion Types and Characteristics","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1266,"text":"Corrosion","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1268,"text":"Cause","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1270,"text":"Appearance","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1272,"text":"By-Product Type","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1274,"text":"Uniform Attack","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1276,"text":"Exposure to corrosive environment","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1278,"text":"Irregular roughening of the exposed surface","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1280,"text":"Scale, metallic salts","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1282,"text":"Pitting","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1284,"text":"Impurity or chemical discontinuity in the paint or protective oxide coating","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1286,"text":"Localized pits or holes with cylindrical shape and hemispherical bottom","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1288,"text":"Rapid dissolution of the base metal","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1290,"text":"Crevice","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1292,"text":"Afflicts mechanical joints, such as coupled pipes or threaded connections. Triggered by local difference in environment composition (Oxygen concentration)","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1294,"text":"Localized damage in the form of scale and pitting","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1296,"text":"Same as scale and pitting","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1298,"text":"Galvanic Corrosion","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1300,"text":"Corrosive condition caused by contact of different metals","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1302,"text":"Uniform damage, scale, surface fogging or tarnishing","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1304,"text":"Emission of mostly molecular hydrogen gas in a diffused form","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1306,"text":"Stress Corrosion Cracking","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1308,"text":"Mechanical tensile stresses combined with chemical susceptibility","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1310,"text":"Micro-macro-cracks located at shielded or concealed areas","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1312,"text":"Initially produces scale-type indications. Ultimately leads to cracking","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1314,"text":"Caustic Attack.(Grooving or Gouging)","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1316,"text":"Concentration of salts in high heat zones found in upper surfaces of incline steam generating tubes","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1318,"text":"Wide smooth groove generally free of deposits","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1320,"text":"Rapid dissolution of the base metal","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1322,"text":"Acid Attack","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1324,"text":"Low pH in boiler water","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1326,"text":"Irregular roughening of the exposed surface","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1328,"text":"Rapid dissolution of the base metal","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1330,"text":"Intergranular or Exfoliation","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1332,"text":"Presence of strong potential differences in grain or phase boundaries","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1334,"text":"Appears at the grain or phase boundary as uniform damage","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1336,"text":"Produces scale type indications at smaller magnitude than stress corrosion","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1338,"text":"Erosion-Corrosion","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1340,"text":"Flowing particles, found at restrictions, bends or disruptions in the fluid stream damage protective films","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1342,"text":"Appears as gullies, grooves or pits (cavitation damage)","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1344,"text":"Rapid dissolution of the base metal","head1":"Location of Leaks","head2":"Technology Applications"},
+    {"block":1345,"text":"Corrosion Detection","head1":"Location of Leaks","head2":"Corrosion Detection","heading":true},
+    {"block":1346,"text":"Corrosion detection is a subset of the larger fields of Non-Destructive Evaluation. Many of the technologies of NDE lend themselves to the detection, characterization and quantification of corrosion damage. Table 5 summarizes the major advantages and disadvantages of corrosion detection technologies.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1348,"text":"Table 5 – Summary of Corrosion Detection NDE Technologies","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1351,"text":"Technology","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1353,"text":"Advantages","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1355,"text":"Disadvantages","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1357,"text":"Visual","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1359,"text":"• Relatively inexpensive","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1360,"text":"• Large area coverage","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1361,"text":"• Portability","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1363,"text":"• Highly subjective","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1364,"text":"• Measurements not precise","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1365,"text":"• Limited to surface inspection","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1366,"text":"• Labour intensive","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1368,"text":"Enhanced Visual","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1370,"text":"• Large area coverage","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1371,"text":"• Very fast","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1372,"text":"• Very sensitive to lap joint corrosion","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1373,"text":"• Multi-layer","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1375,"text":"• Quantification difficult","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1376,"text":"• Subjective - requires experience","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1377,"text":"• Requires surface preparation","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1379,"text":"Eddy Current","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1381,"text":"• Relatively inexpensive","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1382,"text":"• Good resolution","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1383,"text":"• Multiple layer capability","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1384,"text":"• Portability","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1386,"text":"• Low throughput","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1387,"text":"• Interpretation of output","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1388,"text":"• Operator training","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1389,"text":"• Human factors (tedium)","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1391,"text":"Ultrasonic","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1393,"text":"• Good resolution","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1394,"text":"• Can detect material loss and thickness","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1396,"text":"• Single-sided","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1397,"text":"• Requires couplant","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1398,"text":"• Cannot assess multiple layers","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1399,"text":"• Low throughput","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1401,"text":"Radiography","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1403,"text":"• Best resolution (~1%)","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1404,"text":"• Image interpretation","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1406,"text":"• Expensive","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1407,"text":"• Radiation safety","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1408,"text":"• Bulky equipment","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1410,"text":"Thermography","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1412,"text":"• Large area scan","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1413,"text":"• Relatively high throughput","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1414,"text":"• “Macro view” of structures","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1416,"text":"• Complex equipment","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1417,"text":"• Layered structures are a problem","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1418,"text":"• Precision of measurements","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1420,"text":"Robotics and Automation","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1422,"text":"• Potential productivity improvements","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1424,"text":"• Quality assurance","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1425,"text":"• Reliability","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1426,"text":"It is also important to know if corrosion does not exist. If deep corrosion could be detected reliably and efficiently, the substantial costs associated with shutdowns and inspections would be dramatically reduced. Maintenance plans typically call for shutting down and inspection of equipment to determine their condition. If an NDE method could accurately determine the level of corrosion, including the probability that there is no corrosion present, then the huge costs associated with shutdowns could be avoided. Providing an accurate assessment of the condition of equipment supports the concept of condition-based maintenance.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1428,"text":"Chapter Questions","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1431,"text":"1. Define the following:","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1432,"text":"a) Hooke’s Law","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1433,"text":"b) proof stress","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1434,"text":"c) plastic strain","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1435,"text":"2. Explain why a tensile test specimen piece must have a constant diameter or cross-sectional area over the gauge length.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1436,"text":"3. How is the indentation of a material by a harder object translated into a hardness measurement?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1437,"text":"4. Is hardness testing considered to be a qualitative or a quantitative test?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1438,"text":"5. a) Explain the difference between micro and macro-hardness testing.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1439,"text":"b) Why is a macro-hardness method not best for testing weld hardness?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1440,"text":"6. What is “Creep”?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1441,"text":"7. Explain how creep affects a high pressure boiler superheater header operating at a steam temperature of 500°C.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1442,"text":"8. Fatigue is the most common cause of metal failure. Explain the fatigue process.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1443,"text":"9. What are three broad classes of weld discontinuities?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1444,"text":"10. Which of the two types of structural discontinuity below creates the highest potential for weld failure?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1445,"text":"a) planar","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1446,"text":"b) spherical","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1447,"text":"11. Fatigue failure in a welded joint is associated with:","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1448,"text":"a) lack of fill","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1449,"text":"b) cyclic loading of the joint","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1450,"text":"c) base metal properties","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1451,"text":"d) chemical properties of the weldment","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1452,"text":"12. What codes determine acceptance criteria for NDE techniques?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1453,"text":"13. a) What NDE techniques are used for surface examination?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1454,"text":"b) Which technique is the most commonly used?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1455,"text":"14. Explain how a small surface crack may be detected by magnetic particle testing.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1456,"text":"15. In magnetic particle testing, what type of current is most effective in detecting","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1457,"text":"a) surface defects","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1458,"text":"b) subsurface defects","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1459,"text":"16. During the inspection phase of a liquid penetrant test,","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1460,"text":"a) What indications are typically looked for?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1461,"text":"b) How are these indications documented?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1462,"text":"c) What categories are assigned following an inspection?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1463,"text":"17. Discuss the advantages and disadvantages of ultrasonic testing.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1464,"text":"18. How are ultrasonic waves used to detect defects within a solid piece of steel?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1465,"text":"19. How are longitudinal and shear waves produced for ultrasonic testing?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1466,"text":"20. What information is typically included in an ultrasonic test report?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1467,"text":"21. What is the main prerequisite for the use of radiography?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1468,"text":"22. List 5 weld discontinuities that can typically be detected by radiography.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1469,"text":"23. What is the principle of acoustic examination?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1470,"text":"24. State two applications for acoustic examination.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1471,"text":"25. An oil and gas treater has undergone repairs and requires a hydrostatic test before it is returned to service. Describe the required procedure to prepare the vessel and to conduct the test.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1472,"text":"26. A natural gas line has been installed at your facility. Describe the procedure for a soap bubble leak test, at 50 kPa, prior to placing the line in service.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1473,"text":"27. Explain briefly, in your own words, what each of the following abbreviations means.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1474,"text":"(a) RT, (b) UT, (c) MT, (d) PT, (e) AE, (f) VT, (g) LT.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1475,"text":"Self-Assessment","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1476,"text":"Question 1","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1477,"text":"With reference to metal testing, what does the term MT stand for?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1478,"text":"Liquid Penetrant Testing","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1479,"text":"Magnetic Particle Testing","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1480,"text":"Liquid Particle Testing","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1481,"text":"Magnetic Penetrant Testing","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1482,"text":"Ultrasonic Particle Testing","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1489,"text":"Question 2","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1490,"text":"How many pressure gauges are generally required for monitoring the pressure during a hydrostatic test in most jurisdictions?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1491,"text":"1","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1492,"text":"2","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1493,"text":"3","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1494,"text":"4","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1495,"text":"5","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1502,"text":"Question 3","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1503,"text":"When the referencing Code sections require, the welding examination is performed in accordance with a which type of procedure?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1504,"text":"Verbal procedures prepared by the authorized inspector","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1505,"text":"Written procedures prepared by the authorized inspector","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1506,"text":"Verbal procedures prepared by the manufacturer","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1507,"text":"Written procedures prepared by the manufacturer","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1508,"text":"Written procedures prepared by the owner","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1515,"text":"Question 4","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1516,"text":"Which magnetic particle technique requires care is taken to prevent arcing?","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1517,"text":"Longitudinal magnetization technique","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1518,"text":"Prod technique","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1519,"text":"Circular magnetization direct contact method","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1520,"text":"Circular magnetization central conductor method","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1521,"text":"Electromagnetic Yoke technique","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1522,"text":"Multidirectional magnetization technique","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1530,"text":"Question 5","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1531,"text":"Hardness is the:","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1532,"text":"ability of metal to withstand shock of occurring applied load.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1533,"text":"ability to resist abrasion, cutting, wear and indentation.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1534,"text":"resistance to deformation under load.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1535,"text":"resistance to crushing force.","head1":"Location of Leaks","head2":"Corrosion Detection"},
+    {"block":1536,"text":"density of materials","head1":"Location of Leaks","head2":"Corrosion Detection"}
+  ],
+  "CH7_Corrosion_of_Metals.html": [
+    {"block":0,"text":"Corrosion of Metals","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 7","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Discuss corrosion mechanisms and corrosion prevention methods.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Define corrosion and explain the electrochemical principles involved.","head1":"","head2":""},
+    {"block":13,"text":"2. Explain how the environment can affect corrosion.","head1":"","head2":""},
+    {"block":14,"text":"3. Explain the most common corrosion mechanisms.","head1":"","head2":""},
+    {"block":15,"text":"4. Describe the predominant corrosion mechanisms that potentially affect various power plant systems and equipment.","head1":"","head2":""},
+    {"block":16,"text":"5. Explain methods used to monitor and test for corrosion during plant operation.","head1":"","head2":""},
+    {"block":17,"text":"6. Explain the methods used to control and prevent corrosion at the design stages and during operation.","head1":"","head2":""},
+    {"block":18,"text":"7. Explain the main components of a corrosion failure analysis and a typical corrosion failure report.","head1":"","head2":""},
+    {"block":20,"text":"Objective 1","head1":"","head2":""},
+    {"block":22,"text":"Define corrosion and explain the electrochemical principles involved.","head1":"","head2":""},
+    {"block":24,"text":"What is Corrosion?","head1":"","head2":""},
+    {"block":25,"text":"Corrosion has been defined in several different ways. Here are three examples, which contain some obvious similarities.","head1":"","head2":""},
+    {"block":26,"text":"• A complex chemical or electrochemical process by which metal is destroyed through reaction with its environment","head1":"","head2":""},
+    {"block":27,"text":"• The deterioration of a material, usually a metal, that results from a reaction with its environment","head1":"","head2":""},
+    {"block":28,"text":"• The chemical or electrochemical reaction between a material, usually a metal, and its environment that produces a deterioration of the material and its properties","head1":"","head2":""},
+    {"block":29,"text":"The similarities between these definitions suggest that corrosion involves:","head1":"","head2":""},
+    {"block":30,"text":"a) deterioration of a material","head1":"","head2":""},
+    {"block":31,"text":"b) a chemical or electrochemical process","head1":"","head2":""},
+    {"block":32,"text":"c) a reaction or interaction with the immediate environment","head1":"","head2":""},
+    {"block":33,"text":"Effects of Corrosion","head1":"Effects of Corrosion","head2":"","heading":true},
+    {"block":34,"text":"Anyone who works in a power plant or industrial facility has experienced the operational effects of corrosion. Some of the effects of corrosion include the following.","head1":"Effects of Corrosion","head2":""},
+    {"block":35,"text":"• Loss of production, due to downtime for the repair of corrosion in piping, fittings, vessels, rotating equipment, etc.","head1":"Effects of Corrosion","head2":""},
+    {"block":36,"text":"• Leakage of process fluid to atmosphere or within a process vessel (such as an exchanger), leading to contamination of the environment or process fluids","head1":"Effects of Corrosion","head2":""},
+    {"block":37,"text":"• In extreme cases, rupture of pressurized piping or vessels, with possible consequences for the safety of the site personnel or the public","head1":"Effects of Corrosion","head2":""},
+    {"block":38,"text":"• Blockage of flow passages, whether piping or exchanger tubes, due to deposits of corrosion products","head1":"Effects of Corrosion","head2":""},
+    {"block":39,"text":"• Loss of heat transfer efficiency, due to corrosion products collecting on heat transfer surfaces","head1":"Effects of Corrosion","head2":""},
+    {"block":40,"text":"• High cost of installing and maintaining equipment (plus chemicals) necessary to monitor and control corrosion","head1":"Effects of Corrosion","head2":""},
+    {"block":41,"text":"• High cost of manpower to manage a corrosion program","head1":"Effects of Corrosion","head2":""},
+    {"block":42,"text":"• High cost of corrosion related repairs","head1":"Effects of Corrosion","head2":""},
+    {"block":43,"text":"• Increased equipment costs, due to over-design for corrosion allowance and corrosion prevention","head1":"Effects of Corrosion","head2":""},
+    {"block":44,"text":"Electrochemistry of Corrosion","head1":"Electrochemistry of Corrosion","head2":"","heading":true},
+    {"block":45,"text":"Corrosion occurs in many forms, most of which will be described in Objective 2. However, the underlying cause of corrosion involves chemistry and, more specifically, electrochemistry.","head1":"Electrochemistry of Corrosion","head2":""},
+    {"block":46,"text":"Electrochemistry is a process that involves a flow of electrons (‘electro’) plus chemical reactions (‘chemistry’) between substances. In terms of corrosion, electrochemistry may be described as “chemical reactions occurring at the interface of a metal and an electrolyte, resulting in or caused by an electric current, which transfers electrons between the metal and the electrolyte.”","head1":"Electrochemistry of Corrosion","head2":""},
+    {"block":47,"text":"In simplest terms, an electrochemical reaction is one that involves the transfer of electrons. When electrons are lost from a metal (or are transferred from one area of a metal’s surface to another area of the same surface) corrosion occurs and the metal is weakened. Most metals readily react electrochemically with oxygen, water and other aqueous (water-containing) substances.","head1":"Electrochemistry of Corrosion","head2":""},
+    {"block":48,"text":"Oxidation, Reduction, and Redox","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox","heading":true},
+    {"block":49,"text":"Oxidation, in chemistry, refers to any reaction in which atoms of a substance lose one or more electrons. Corrosion of a metal at a specific location occurs when the metal at that location loses electrons; that is, the metal ‘oxidizes’. During oxidation, electrically charged ions are created. These ions are available for chemical reaction with other ions. For example, in the oxidation of iron, a neutral (ie. no electrical charge) iron atom may oxidize to produce an iron atom that is missing two electrons. The change in the iron can be shown as:","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":51,"text":"Fe – 2e–","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":53,"text":"→","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":55,"text":"Fe2+","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":56,"text":"Reduction is a chemical reaction in which the atoms of a substance gain one or more electrons. In corrosion, this usually involves the environment adjacent to the metal surface reacting with the metal and gaining electrons, at the expense of the metal itself, which loses electrons (ie. it corrodes). It may also involve one location on the surface of a metal gaining electrons (a process called ‘plating’) at the expense of another location, which loses electrons. Again using iron as an example, reduction of iron may be shown as an ion that is missing two electrons (Fe2+) receiving two electrons (2e–) and becoming a neutral atom (Fe).","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":58,"text":"Fe2+ + 2e–","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":60,"text":"→","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":62,"text":"Fe","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":63,"text":"Redox is a term derived from reduction and oxidation. It implies a reaction in which reduction and oxidation both occur. One substance in the reaction will be reduced, while the other will be oxidized. This is normally the case in a corrosion reaction, where electrons are transferred between the oxidized metal and the reduced environment. In other words, during corrosion there will be both an oxidation and a reduction reaction.","head1":"Electrochemistry of Corrosion","head2":"Oxidation, Reduction, and Redox"},
+    {"block":64,"text":"Oxygen and Hydrogen Reduction","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction","heading":true},
+    {"block":65,"text":"It is relatively easy to understand the loss of ions (ie. oxidation) from a metal during corrosion. However, the reduction reactions, which occur in the substance that is reacting with the metal, may be more difficult to understand. In most industrial cases, that substance is a fluid and the nature of the fluid determines the nature of the reduction reaction.","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":66,"text":"If the fluid is acidic (ie. low pH, high hydrogen content), hydrogen ions in the fluid will adsorb onto the metal surface. Electrons in the metal are then free to react with these hydrogen ions. The result is a loss of metal ions (2e–) and the formation of hydrogen gas, as shown in the following reduction reaction.","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":68,"text":"2H+ + 2e–","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":70,"text":"→","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":72,"text":"H2","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":73,"text":"If the fluid is neutral, there will be insufficient hydrogen ions to allow the above reaction. Instead, the electrons in the metal may react with oxygen in the presence of water. Air, dissolved in the fluid, makes oxygen available and this oxygen reacts with water and metal electrons (4e–) in a reduction reaction, to produce hydroxide.","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":75,"text":"O2 + 2H2O + 4e–","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":77,"text":"→","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":79,"text":"4OH–","head1":"Electrochemistry of Corrosion","head2":"Oxygen and Hydrogen Reduction"},
+    {"block":80,"text":"Cathodic and Anodic Reactions","head1":"Electrochemistry of Corrosion","head2":"Cathodic and Anodic Reactions","heading":true},
+    {"block":81,"text":"In electricity, the locations at which electrons are discharged or received are called the electrodes. Electrodes that discharge electrons are called anodes, while electrodes that receive electrons are called cathodes.","head1":"Electrochemistry of Corrosion","head2":"Cathodic and Anodic Reactions"},
+    {"block":82,"text":"In electrochemistry, since oxidation involves the loss of electrons, the electrode at which oxidation occurs is the anode and the reaction at this location is called the anodic reaction. Therefore, the location on a metal surface where corrosion occurs (ie. metal is being oxidized) is the anode. Likewise, since reduction involves gaining electrons, the reduction of hydrogen and oxygen in the involved fluid is the cathodic reaction. The location (ie. the immediate interface between the fluid and the metal) at which this reduction occurs is called the cathode.","head1":"Electrochemistry of Corrosion","head2":"Cathodic and Anodic Reactions"},
+    {"block":83,"text":"During corrosion of a single-element metal, all corrosion reactions involve one or more cathodic reactions, plus one anodic reaction. During corrosion of an alloyed metal, there may be more than one anodic reaction, since each alloying element may enter into a separate anodic reaction, thus corroding separately.","head1":"Electrochemistry of Corrosion","head2":"Cathodic and Anodic Reactions"},
+    {"block":84,"text":"The Corrosion Cell","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell","heading":true},
+    {"block":85,"text":"A corrosion cell is the combination of all components necessary for corrosion. All components must be present for corrosion to occur. For ions to flow, there must be a cathode, an anode, an electrical connection to allow electron flow, and an electrolyte on the surface of the metal. An electrolyte is a solution (eg. water, acid), which connects the anode and the cathode and readily conducts ions. Figure 1 illustrates the four components, plus the oxidation (anode) and reduction (cathode) reactions as described above.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":87,"text":"Figure 1 – Corrosion Cell","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":90,"text":"Figure 1(a) shows the general relationship between the four components. Figure 1(b) shows corrosion reactions that may occur in an acidic medium. At the anode, Fe is oxidized, releasing Fe2+ into the electrolyte and releasing a flow of electrons through the electrical connection of the metal. Reduction of H+ and the release of H2 is occurring at the cathode.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":92,"text":"Objective 2","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":94,"text":"Explain how the environment can affect corrosion.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":96,"text":"Environment and Corrosion","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":97,"text":"“Environment”, in relation to corrosion, may be broadly defined as the direct and intimate surroundings of a material, which expose the material to substances or conditions that have the potential to interact chemically with the material. The nature of the environment to which a material is exposed determines the types and extent of corrosion that could occur. It also helps determine the best methods that should be applied to prevent or protect against corrosion.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":98,"text":"There are two general environments that must be considered in any industrial facility.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":99,"text":"• the external, natural environment, over which the facility has very little control, and","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":100,"text":"• the internal environment, which is largely a function of the fluids that are involved in the industrial process itself.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":101,"text":"The internal environment, inside the piping, vessels, and equipment, is unique to each industry. It must be dealt with in industry-specific ways that consider all possible corrosion mechanisms associated with the unique processes, fluids, and materials. The external, natural environment is a common consideration for all industries and is usually subdivided into three components – air, water, and soil.","head1":"Electrochemistry of Corrosion","head2":"The Corrosion Cell"},
+    {"block":102,"text":"Air","head1":"Electrochemistry of Corrosion","head2":"Air","heading":true},
+    {"block":103,"text":"The quality of the air around a facility is largely determined by the adjacent geography and land use. Common atmospheric influences on external corrosion at a facility include:","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":104,"text":"• Industrial or urban surrounding - Nearby industry emissions and urban pollution may cause acid rain (from sulphur dioxide and nitric oxide emissions). The facility itself may contribute directly, by virtue of the emissions it produces from the internal processes","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":105,"text":"• Rural surroundings - While this setting seems ideal, there may be corrosive contaminants in the air due to fertilizers and ammonia.","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":106,"text":"• Coastal location - Salt water (containing chlorides), is more corrosive than fresh water. The mist from a body of salt water can be very corrosive to the external coverings on vessels, piping, and buildings.","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":107,"text":"• High humidity and wet climate - Moisture in the air is corrosive, particularly when it condenses onto metal surfaces. Rain captures corrosive products in the form of acid rain.","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":108,"text":"• High temperature - Corrosion rates generally increase as temperature increases, unless the air is very dry.","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":109,"text":"• Excessive sunlight and other radiation - Radiation encourages corrosive elements in the environment to become active.","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":110,"text":"More detail on Atmospheric Corrosion is given later, in Objective 3.","head1":"Electrochemistry of Corrosion","head2":"Air"},
+    {"block":111,"text":"Water","head1":"Electrochemistry of Corrosion","head2":"Water","heading":true},
+    {"block":112,"text":"Water is brought into a facility for various purposes. The nature of the water is usually determined by the location of the facility in relation to common sources, including lakes, rivers, oceans, and underground wells. Contaminants in the water must be considered to avoid direct corrosion or to avoid deposits, which may encourage other corrosion mechanisms.","head1":"Electrochemistry of Corrosion","head2":"Water"},
+    {"block":113,"text":"The most common corrosion-enhancing contaminants are dissolved gases (eg. oxygen, carbon dioxide, methane), dissolved solids, and biological micro-organisms. Dissolved solids interfere with corrosion inhibiting chemicals and increase the water’s electrical conductivity, which strengthens corrosion cells. Dissolved gases encourage pitting and acid formation. Micro-organisms contribute to under-deposit corrosion and enhance oxygen generation.","head1":"Electrochemistry of Corrosion","head2":"Water"},
+    {"block":114,"text":"Soil","head1":"Electrochemistry of Corrosion","head2":"Soil","heading":true},
+    {"block":115,"text":"The nature of the soil within a facility and the interaction of the process with the soil can affect the corrosion of foundations and underground piping or vessels. Corrosion of buried structures is impacted by variations in soil properties and characteristics. Corrosion rates can vary widely, depending on the nature of the soil. While it is very difficult and inexact to quantify soil corrosion, it is generally accepted that soil becomes more corrosive when the following soil conditions increase:","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":116,"text":"• moisture content - water is the electrolyte required for electrochemical corrosion reactions","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":117,"text":"• oxygen content - oxygen participates in the cathodic corrosion reaction","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":118,"text":"• electrical conductivity - greater current flow through the soil means greater transfer of metal ions (corrosion)","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":119,"text":"• acidity - low pH soils are more corrosive to common materials, such as steel and cast iron.","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":120,"text":"• dissolved salts - chlorides increase soil conductivity and contribute to corrosion reactions.","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":121,"text":"• sulfate-reducing anaerobic bacteria - microbiologically influenced corrosion can occur very rapidly and most metals are susceptible.","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":123,"text":"Objective 3","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":125,"text":"Explain the most common corrosion mechanisms.","head1":"Electrochemistry of Corrosion","head2":"Soil"},
+    {"block":127,"text":"Introduction","head1":"Electrochemistry of Corrosion","head2":"Introduction","heading":true},
+    {"block":128,"text":"Corrosion of metals can be initiated and promoted by several different mechanisms, each of which is unique. The physical appearance of the corrosion created by each mechanism is distinct. The most common mechanisms are described here. Note that these mechanisms are often referred to as ‘forms of corrosion’ or ‘types of corrosion’.","head1":"Electrochemistry of Corrosion","head2":"Introduction"},
+    {"block":129,"text":"Uniform vs. Localized Corrosion","head1":"Uniform vs. Localized Corrosion","head2":"","heading":true},
+    {"block":130,"text":"The terms, ‘uniform’ and ‘localized’, may be considered more as recognizable characteristics of a particular corrosion, than as corrosion mechanisms. However, their differences and potential impacts are important to understand.","head1":"Uniform vs. Localized Corrosion","head2":""},
+    {"block":131,"text":"Uniform corrosion (also called general or generalized corrosion) is a corrosive action that occurs over an entire surface or over a relatively large section of the surface. The corrosion rate may be constant over the entire area. The pattern is usually a general, uniform thinning of the metal. The electrochemical process involves many microscopic anode and cathode sites on the surface. These sites continually alternate between anode and cathode behaviour, creating a uniform attack. With uniform corrosion, metal failure may take longer to occur, but if the surface becomes rough other forms of corrosion may be encouraged. Uniform corrosion can often be predicted and its progression is relatively easy to monitor. However, there is potential for the loss of a large amount of metal and the weakening of a large surface area.","head1":"Uniform vs. Localized Corrosion","head2":""},
+    {"block":132,"text":"Localized corrosion involves aggressive corrosive activity at very localized sites on a metal surface. Metal loss at these sites occurs at a faster rate than in the surrounding area, which may or may not corrode. The localization of attack may be due to inherent properties of the metal or the design, or to local breakdown of the corrosion protection. The electrochemistry of localized corrosion suggests that the anodic site is much smaller than the cathodic site, which results in a very high concentration of ions leaving the anode. Due to its localization, this corrosion is difficult to predict, monitor, and control. The danger of localized corrosion is that only a relatively small amount of metal loss can cause component failure.","head1":"Uniform vs. Localized Corrosion","head2":""},
+    {"block":133,"text":"Galvanic Corrosion","head1":"Galvanic Corrosion","head2":"","heading":true},
+    {"block":134,"text":"Galvanic corrosion (also called ‘dissimilar metal corrosion’) occurs when two different metals are immersed in a common electrolyte and there is a connection between the two metals, which allows an electric current to flow. The connection may be the two metals actually contacting each other or some other solid connection between them.","head1":"Galvanic Corrosion","head2":""},
+    {"block":135,"text":"Three conditions must exist in order to produce galvanic corrosion.","head1":"Galvanic Corrosion","head2":""},
+    {"block":136,"text":"1. There must be difference in electrochemical potential between two different metals or between locations within a single metal. Different metals have different electron structures; therefore, they have different electrical potentials and a potential difference exists between them. This potential difference (in volts) is the driving force that produces electron flow between the metals. If considering a single, unique piece of metal, dissimilarities within the metal itself are often sufficient to cause a potential difference.","head1":"Galvanic Corrosion","head2":""},
+    {"block":137,"text":"2. The metals must be immersed in the same electrolyte, which provides a path for soluble metal ions to flow between them.","head1":"Galvanic Corrosion","head2":""},
+    {"block":138,"text":"3. There must be a complete conducting path to allow the flow of electrons. The metals must be mechanically connected in some way to complete an electric circuit and allow current to flow.","head1":"Galvanic Corrosion","head2":""},
+    {"block":139,"text":"Figure 2 shows the galvanic corrosion arrangement.","head1":"Galvanic Corrosion","head2":""},
+    {"block":141,"text":"Figure 2 – Galvanic Cell","head1":"Galvanic Corrosion","head2":""},
+    {"block":144,"text":"As Figure 2 demonstrates, corrosion occurs at the anode, which is the metal most susceptible to corrosion (ie. the less noble metal). Electrons are transferred from the anode, through the connector toward the cathode, which is the least susceptible to corrosion (ie. the more noble metal) (see “Galvanic Series” below, for explanation of “noble”). At the same time, the positive ions of the anodic metal flow into the electrolyte.","head1":"Galvanic Corrosion","head2":""},
+    {"block":145,"text":"The rate at which galvanic corrosion occurs depends upon","head1":"Galvanic Corrosion","head2":""},
+    {"block":146,"text":"• The difference in electrical potential between the two materials - higher potential difference means higher corrosion rate","head1":"Galvanic Corrosion","head2":""},
+    {"block":147,"text":"• The type and concentration of the electrolyte","head1":"Galvanic Corrosion","head2":""},
+    {"block":148,"text":"• The distance between the dissimilar materials - less distance means higher corrosion","head1":"Galvanic Corrosion","head2":""},
+    {"block":149,"text":"• The ratio of cathode area to anode area - a higher cathode to anode ratio generally results in more severe corrosion","head1":"Galvanic Corrosion","head2":""},
+    {"block":150,"text":"The Electromotive Series","head1":"Galvanic Corrosion","head2":"The Electromotive Series","heading":true},
+    {"block":151,"text":"Electrochemical potential (ie. voltage) is a characteristic of a metal that is determined by the metal’s atomic structure and availability of free electrons. It is different for each metal. If two different metals are connected in a galvanic cell, the one with the higher potential will act as the cathode and will drive current flow toward the other metal, which becomes the anode. Tables are available, which rank metals in terms of their electrode potentials, in volts. This ranking is referred to as the Electromotive Series. In general, the higher the electrical potential of a metal (ie. the higher in the series), the less likely it is to corrode. For example, copper (Cu), with an electromotive potential of +0.52 V, is less likely to corrode than aluminum (Al), which has a potential of -1.66 V. If these metals were together in a galvanic cell, the copper would act as the cathode and the aluminum as the corroding anode. The electron flow in this cell is from the Al to the Cu.","head1":"Galvanic Corrosion","head2":"The Electromotive Series"},
+    {"block":152,"text":"The Galvanic Series","head1":"Galvanic Corrosion","head2":"The Galvanic Series","heading":true},
+    {"block":153,"text":"Almost synonymous with the electromotive series and serving the same purpose in corrosion is the Galvanic Series. This is a ranking of metals, determined experimentally, which indicates the relative position of each metal in terms of nobility, where the more noble metals are less likely to corrode. In a galvanic cell, the less noble metal will be susceptible to galvanic corrosion. The more noble metal will be the cathode. Although the galvanic table indicates which metal will be anodic and which will be cathodic, it does not indicate the rate at which the galvanic action will occur. However, in general, the further apart two metals are in the galvanic series, the greater will be the potential current or electron flow and, therefore, the rate of corrosion.","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":154,"text":"Since the nature of an electrolyte has an effect on galvanic action, it follows that a galvanic series must be stated for the specific electrolyte in use. The relative position of a metal, and therefore its preference for anodic or cathodic action, could change, depending on the electrolyte.","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":155,"text":"The following list of metals represents a partial galvanic series (showing only the more common industrial metals) in which the electrolyte is salt water. The metals are listed from least noble to most noble. For example, magnesium is less noble than titanium and, in a corrosive atmosphere containing those two metals, would act as the corroding anode.","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":157,"text":"Magnesium","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":159,"text":"Anodic (least noble)","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":161,"text":"Zinc","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":164,"text":"Aluminum","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":167,"text":"Mild Steel","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":170,"text":"Cast iron","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":173,"text":"Lead","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":176,"text":"Tin","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":179,"text":"Copper","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":182,"text":"Bronze","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":185,"text":"Brass","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":188,"text":"Stainless Steel","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":191,"text":"Titanium","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":193,"text":"Cathodic (most noble)","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":194,"text":"For alloyed metals, the factor that largely determines galvanic position is the actual composition of the metal alloy. Stainless steels, for example, exist in many different compositions and each has its own position in the series. The position is usually determined by the percentages of more noble and less noble metals in the alloy.","head1":"Galvanic Corrosion","head2":"The Galvanic Series"},
+    {"block":195,"text":"Concentration Cell Corrosion","head1":"Concentration Cell Corrosion","head2":"","heading":true},
+    {"block":196,"text":"Concentration cell corrosion is a localized and often very aggressive corrosion that occurs when the electrolyte in a corrosion cell becomes more concentrated at one location on a metal surface than in the adjacent environment. The more concentrated cell usually becomes anodic, while the surrounding environment is cathodic. Concentration difference can occur at any small irregularity in the surface where the electrolyte is stagnant, such as in a crevice or under a deposit.","head1":"Concentration Cell Corrosion","head2":""},
+    {"block":197,"text":"Crevice Corrosion","head1":"Concentration Cell Corrosion","head2":"Crevice Corrosion","heading":true},
+    {"block":198,"text":"The most common concentration cell corrosion is called crevice corrosion. Any crevice in the metal interface, such as gasket joints, fastener heads, loose coatings, pipe threads, and lap joints provides a location for a corrosion cell to concentrate. The micro-environment within the crevice may develop corrosion-enhancing characteristics that differ from the surroundings. These characteristics may include loss of corrosion inhibitor, oxygen depletion, increased acidity, and accumulation of more aggressive corrosion products (such as chlorides).","head1":"Concentration Cell Corrosion","head2":"Crevice Corrosion"},
+    {"block":199,"text":"Since oxygen is an active participant in the cathodic reaction in many environments, the loss of oxygen in a crevice means that the normal cathodic oxygen-reduction reaction of the electrolyte cannot occur. This causes the crevice environment to become anodic. Corrosion then accelerates as the metal ions created within the crevice transport to the nearest cathodic surface. The anodic area inside the crevice is small compared to the cathodic area outside the crevice, which promotes rapid corrosion inside the crevice.","head1":"Concentration Cell Corrosion","head2":"Crevice Corrosion"},
+    {"block":200,"text":"Under-Deposit Corrosion","head1":"Concentration Cell Corrosion","head2":"Under-Deposit Corrosion","heading":true},
+    {"block":201,"text":"When a deposit is allowed to accumulate on the surface of metal, the interface between the metal and the electrolyte at that location is interrupted. Like crevice corrosion, the surface can develop a concentration cell below the deposit. In boilers, for example, a concentration cell may be created when “wick boiling” occurs beneath a porous deposit on a heating surface, such as a boiler tube. Water in the boiler tube travels through tiny pores in the deposit and reaches the tube surface where it boils. The created steam migrates back out through channels in the deposit. This process concentrates corrosive products in a concentration cell, within and beneath the deposit.","head1":"Concentration Cell Corrosion","head2":"Under-Deposit Corrosion"},
+    {"block":202,"text":"Pitting","head1":"Pitting","head2":"","heading":true},
+    {"block":203,"text":"Pitting is a form of localized corrosion that is characterized by small cavities in the metal surface. Each cavity tends to propagate into the depth of the metal, rather than spreading out over any width, so the depth is generally greater than the width. Pits may be open and easily detected by visual inspection or they may be ‘hidden’ beneath a semi-permeable layer of corrosion products. While a surface may develop many pits, each individual pit is a separate, localized corrosion site.","head1":"Pitting","head2":""},
+    {"block":204,"text":"The exact cause of pitting on a clean surface is not well understood. However, the accepted mechanism is very similar to crevice corrosion, in that a tiny irregularity in the metal surface becomes anodic and interacts electrochemically with the surrounding electrolyte. In some cases, the pit becomes covered by a film of corrosion products, which deprives it even more of oxygen, promoting further corrosion. In any case, the pit will continue to grow.","head1":"Pitting","head2":""},
+    {"block":205,"text":"Oxygen Pitting is a form of pitting that occurs when free oxygen becomes attached to the metal surface. The surface in contact with the oxygen becomes cathodic while the adjacent surface becomes anodic. Corrosion products accumulate and eventually enclose the bubble of oxygen. This oxygen then becomes exhausted and the area under the corrosion cap reverts to an anode. Thereafter, corrosion continues as a concentration cell.","head1":"Pitting","head2":""},
+    {"block":206,"text":"Deposition Corrosion is another mechanism that produces pitting. A fluid passing through a pipe may absorb metal ions from the pipe material. When the fluid then flows to a location where the metal is different and more anodic, the absorbed ions may be deposited onto the surface at this new location. This is called ‘plating’ and creates a situation with dissimilar metals. Microscopic, galvanic action occurs, causing pitting of the anodic material. One example of this is copper ions being absorbed by water and then being deposited on aluminum surfaces. Since the copper is more noble than the aluminum, the aluminum corrodes.","head1":"Pitting","head2":""},
+    {"block":207,"text":"Conditions that promote pitting include","head1":"Pitting","head2":""},
+    {"block":208,"text":"• small, local damage to the protective oxide film on the metal surface","head1":"Pitting","head2":""},
+    {"block":209,"text":"• small, local damage to an applied protective coating","head1":"Pitting","head2":""},
+    {"block":210,"text":"• small irregularities, during manufacture, in the metal itself.","head1":"Pitting","head2":""},
+    {"block":211,"text":"• free oxygen at the metal surface","head1":"Pitting","head2":""},
+    {"block":212,"text":"• microscopic areas of galvanic action","head1":"Pitting","head2":""},
+    {"block":213,"text":"Figure 3 demonstrates how a pit may be created at a microscopic break in a protective oxide layer.","head1":"Pitting","head2":""},
+    {"block":215,"text":"Figure 3 – Pit forming at crack in oxide layer","head1":"Pitting","head2":""},
+    {"block":218,"text":"In fossil fuel-fired steam generating systems, deposition is usually in the form of metal oxides, which are produced through corrosion of equipment in the steam condensate and boiler feedwater system.","head1":"Pitting","head2":""},
+    {"block":219,"text":"Selective Leaching","head1":"Selective Leaching","head2":"","heading":true},
+    {"block":220,"text":"Selective leaching is a corrosion mechanism that occurs in some metal alloys. An alternate term for selective leaching is Dealloying. The process involves one element in the alloy being selectively removed by electrochemical interaction with the environment. This has the effect of making the alloy weaker, brittle, and porous. In one common example, called dezincification, zinc is selectively dissolved out of brass, which is an alloy of zinc and copper. Another example, which has proven to be a problem in underground water lines, is the removal of iron from cast iron. This leaves a much weaker metal, which often ruptures under internal fluid pressure.","head1":"Selective Leaching","head2":""},
+    {"block":221,"text":"Hydrogen Induced Corrosion","head1":"Hydrogen Induced Corrosion","head2":"","heading":true},
+    {"block":222,"text":"There are three corrosion mechanisms that are directly related to the presence of hydrogen at the surface of a metal. These are hydrogen embrittlement, hydrogen blistering, and hydrogen stress cracking.","head1":"Hydrogen Induced Corrosion","head2":""},
+    {"block":223,"text":"1. Hydrogen Embrittlement","head1":"Hydrogen Induced Corrosion","head2":"1. Hydrogen Embrittlement","heading":true},
+    {"block":224,"text":"If the concentration of hydrogen, as by-product of corrosion, increases at the surface of steel, some of the hydrogen atoms (H) may diffuse into the steel. The hydrogen collects between the metal atoms and distorts their natural structure. This reduces the ability of the steel to deform elastically, causing a loss of ductility and an increase in the brittleness of the steel, which can lead to fracture of the metal.","head1":"Hydrogen Induced Corrosion","head2":"1. Hydrogen Embrittlement"},
+    {"block":225,"text":"2. Hydrogen Blistering","head1":"Hydrogen Induced Corrosion","head2":"2. Hydrogen Blistering","heading":true},
+    {"block":226,"text":"This process also involves hydrogen atoms diffusing into the interior of steel. In this case, atomic hydrogen collects at voids inside the steel. Here, the atoms bond together to form molecular hydrogen (H2). The molecules become too large to migrate out of the steel and become trapped. More hydrogen molecules accumulate to the point where internal pressure increases. This pressure can reach a point where metal is displaced outwards, causing fissures or blisters on the surface.","head1":"Hydrogen Induced Corrosion","head2":"2. Hydrogen Blistering"},
+    {"block":227,"text":"3. Hydrogen Stress Cracking","head1":"Hydrogen Induced Corrosion","head2":"3. Hydrogen Stress Cracking","heading":true},
+    {"block":228,"text":"Again, atomic hydrogen diffuses into the steel and interacts with the atomic structure of the steel, at or near the grain boundaries of the metal. Pressure accumulates to the point where the metal structure separates, forming a crack. If corrosion is also active on the surface, the corrosion cell will migrate into the crack and widen it, in which case the process is called ‘hydrogen stress corrosion cracking’.","head1":"Hydrogen Induced Corrosion","head2":"3. Hydrogen Stress Cracking"},
+    {"block":229,"text":"Mechanically Assisted Corrosion","head1":"Mechanically Assisted Corrosion","head2":"","heading":true},
+    {"block":230,"text":"Mechanically-assisted corrosion refers to a group of corrosion mechanisms, each of which is enhanced by some form of mechanical action. The most common mechanical conditions to contribute to corrosion are stress and fatigue.","head1":"Mechanically Assisted Corrosion","head2":""},
+    {"block":231,"text":"1. Stress Corrosion Cracking","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking","heading":true},
+    {"block":232,"text":"Stress corrosion cracking (SCC) of a material is due to the combination of:","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":233,"text":"• tensile stress (imposed by the operating conditions)","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":234,"text":"• susceptibility of the material to corrosion (ie. composition)","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":235,"text":"• corrosive substances to which the metal is exposed (ie. environmental conditions)","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":236,"text":"Stress corrosion cracking is a delayed failure process in which cracks start slowly and propagate slowly. Eventually the stresses in the remaining metal exceed the breaking strength and the metal suddenly fails.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":237,"text":"The tensile stress required for stress corrosion cracking is usually much less than the yield stress of the metal. The stress may be produced by an external load, internal pressure, or by residual stresses from the manufacturing processes, such as welding, heat treatment, machining, or grinding.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":238,"text":"Three common forms of SCC are chloride stress corrosion cracking, sulphide stress corrosion cracking, and caustic embrittlement.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":239,"text":"Chloride Stress Corrosion Cracking","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking","heading":true},
+    {"block":240,"text":"Stainless steels containing less than 30% nickel are susceptible to chloride stress corrosion cracking. The chloride attacks the metal along grain boundaries, causing corrosion in the form of cracks. Three components are necessary for chloride stress cracking to occur. An increase in any of these conditions will increase the probability and severity of corrosion.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":241,"text":"1. chloride ions must be present,","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":242,"text":"2. oxygen must be present, and","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":243,"text":"3. the metal must be under tensile stress","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":244,"text":"The rate at which chloride stress corrosion cracking occurs will increase if the temperature increases or if the pH of the environment is less than 7.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":245,"text":"Sulphide Stress Corrosion Cracking","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking","heading":true},
+    {"block":246,"text":"Sulphide stress corrosion cracking occurs in steel and other high strength alloys when they are exposed to moist hydrogen sulphide environments. The following three conditions must be present.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":247,"text":"1. hydrogen sulphide must be present,","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":248,"text":"2. water must be present, and","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":249,"text":"3. the metal must be high strength alloy steel under applied or residual tensile stress.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":250,"text":"In fact, the ultimate mechanism created by sulphide stress cracking is hydrogen induced cracking. This is because sulphide ions in the aqueous hydrogen sulphide atmosphere inhibit the recombination of hydrogen atoms on the metal. The smaller hydrogen atoms then diffuse into the metal’s crystal structure, causing additional hydrogen induced cracking.","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":251,"text":"Caustic Embrittlement","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking","heading":true},
+    {"block":252,"text":"Caustic embrittlement is the common term applied to “caustic stress corrosion cracking”. The mechanism is similar to chloride stress corrosion, except oxygen does not have to be present for caustic embrittlement to occur. Mild steels and stainless steels under tensile stress will crack if they are exposed to a caustic (ie. high pH) environment. Caustic concentrations must be very high to induce caustic stress cracking","head1":"Mechanically Assisted Corrosion","head2":"1. Stress Corrosion Cracking"},
+    {"block":253,"text":"2. Corrosion Fatigue","head1":"Mechanically Assisted Corrosion","head2":"2. Corrosion Fatigue","heading":true},
+    {"block":254,"text":"Fatigue occurs when a material is subjected to repeated loading and unloading stresses. Corrosion fatigue can result when a metal is subjected to these cycling stresses while in a corrosive environment. Boiler tubes subject to cyclic or fluctuating loads can be susceptible to this type of corrosion. If the load stresses are higher than a certain threshold, usually below the yield strength, microscopic cracks will begin to form at the surface. The excessive stresses may be due to load changes during cold start, forced cooling, or during shutdown or restart of a boiler where thermal stratification of water occurs along the tube length.","head1":"Mechanically Assisted Corrosion","head2":"2. Corrosion Fatigue"},
+    {"block":255,"text":"Corrosion is accelerated when the cycling stress causes the corrosion protection layer on the metal surface to be broken. Corrosion can then progress uninhibited to the point where it causes either generally weakening of the surface or localized pits. This weakening reduces the stress loads at which fatigue cracks may begin. When a primary corrosion fatigue crack does begin, the corrosion will propogate into the crack and will widen it. The net result is that fatigue failures will occur sooner in a corrosive environment than in a non-corrosive environment.","head1":"Mechanically Assisted Corrosion","head2":"2. Corrosion Fatigue"},
+    {"block":256,"text":"Flow Induced Corrosion","head1":"Flow Induced Corrosion","head2":"","heading":true},
+    {"block":257,"text":"Corrosion may be established, and corrosion rates are enhanced, when the electrolyte is in motion. Flow-induced corrosion may be thought of as a mechanical process; however, when corrosive surroundings exist, it is also correct to consider this as a corrosion process. In fact, when the electrolyte flows, a combination of mechanical erosion and electrochemical corrosion occurs. Two common forms of this corrosion are erosion-corrosion and flow accelerated corrosion.","head1":"Flow Induced Corrosion","head2":""},
+    {"block":258,"text":"1. Erosion - Corrosion","head1":"Flow Induced Corrosion","head2":"1. Erosion - Corrosion","heading":true},
+    {"block":259,"text":"Erosion-corrosion involves the repetitive creation and destruction of the protective surface film on a metal. When flow is within a designed limit, the surface film remains intact. However, if the flow exceeds a critical velocity surface friction and turbulence cause shear stresses which ultimately remove the film. Corrosion rates then increase. When flow returns to normal, there is opportunity for the protective film to re-establish. Surface corrosion is usually characterized by shallow pits or striations in the direction of flow. Flyash in biomass boilers induces relatively high erosion, due to high concentrations of alkali, sulphur, phosphorous, and chlorine.","head1":"Flow Induced Corrosion","head2":"1. Erosion - Corrosion"},
+    {"block":260,"text":"2. Flow Accelerated Corrosion","head1":"Flow Induced Corrosion","head2":"2. Flow Accelerated Corrosion","heading":true},
+    {"block":261,"text":"Flow accelerated corrosion is a phenomena that has been responsible for several catastrophic incidents involving the sudden failure of high-pressure, high-temperature feedwater piping. It is characterized by a gradual, generalized thinning of a pipe wall within a specific area. This may lead to sudden failure when the pipe is no longer able to withstand the internal pressure.","head1":"Flow Induced Corrosion","head2":"2. Flow Accelerated Corrosion"},
+    {"block":262,"text":"Flow accelerated corrosion develops at locations in a pipe where there are direction changes or other disturbances in the flow. At these locations (such as feedwater and economizer elbows, reducers, tees, and steam attemperating lines) the pipe is continuously contacted by the feedwater. Also, at these locations the oxygen concentration in the feedwater is typically very low. The feedwater has been through the deaerator and had as much oxygen removed as possible.","head1":"Flow Induced Corrosion","head2":"2. Flow Accelerated Corrosion"},
+    {"block":263,"text":"When the dissolved oxygen content in the feedwater is very low, the protective magnetite layer (Fe2O3) on the internal pipe surface is not well established, because protective magnetite formation relies on a reducing reaction with dissolved oxygen in the water. At areas of high flow and turbulence, the water tends to dissolve the iron from the magnetite faster than it can be replenished, leaving an iron-deficient magnetite layer. In an attempt to maintain the magnetite layer, iron is continuously taken from the metal, causing continuous, general thinning in that area.","head1":"Flow Induced Corrosion","head2":"2. Flow Accelerated Corrosion"},
+    {"block":264,"text":"Microbiological Corrosion","head1":"Microbiological Corrosion","head2":"","heading":true},
+    {"block":265,"text":"Microbiologically Influenced Corrosion (MIC) can directly cause corrosion and can influence or accelerate many of the other corrosion mechanisms. Microbes (ie. bacteria) are a serious concern in industrial waters because they can grow and multiply at phenomenal rates. Bacteria are extremely hardy and, while they grow best in water, they can thrive in many other industrial solutions. They grow fastest when the pH is between 5.0 and 9.0, and in a wide temperature range, from -18°C to 82°C.","head1":"Microbiological Corrosion","head2":""},
+    {"block":266,"text":"In order for bacteria to grow and influence corrosion, the following four environmental conditions must exist, along with the bacteria.","head1":"Microbiological Corrosion","head2":""},
+    {"block":267,"text":"1. a metal surface to host the bacteria,","head1":"Microbiological Corrosion","head2":""},
+    {"block":268,"text":"2. nutrients to feed the bacteria,","head1":"Microbiological Corrosion","head2":""},
+    {"block":269,"text":"3. water, and","head1":"Microbiological Corrosion","head2":""},
+    {"block":270,"text":"4. oxygen (although some type require minimal oxygen)","head1":"Microbiological Corrosion","head2":""},
+    {"block":271,"text":"Bacteria can affect corrosion in several ways. Bacteria can","head1":"Microbiological Corrosion","head2":""},
+    {"block":272,"text":"• directly affect anodic and cathodic reactions,","head1":"Microbiological Corrosion","head2":""},
+    {"block":273,"text":"• react with protective surface layers,","head1":"Microbiological Corrosion","head2":""},
+    {"block":274,"text":"• create corrosive conditions (by changing pH, dissolved oxygen, or compound concentrations),","head1":"Microbiological Corrosion","head2":""},
+    {"block":275,"text":"• produce deposits, and","head1":"Microbiological Corrosion","head2":""},
+    {"block":276,"text":"• secrete acidic fluids","head1":"Microbiological Corrosion","head2":""},
+    {"block":277,"text":"Biological organisms can increase or decrease the oxygen content of the environment, thus affecting corrosion rates. For example, while steel tends to corrode uniformly over its surface when exposed to an aqueous environment, the corrosion rates are proportional to the dissolved oxygen delivered to the metal surface by the solution.","head1":"Microbiological Corrosion","head2":""},
+    {"block":278,"text":"When a biofilm (ie. a deposit with a protective membrane) of bacteria forms on a metal surface, a unique micro-environment is created within the biofilm itself, which is much different than the surrounding environment. Within this micro-environment, changes may occur (in dissolved oxygen, pH, etc.) which lead to electrochemical reactions and an increase in corrosion rates in the vicinity of the biofilm.","head1":"Microbiological Corrosion","head2":""},
+    {"block":279,"text":"Biological organisms can influence uniform corrosion, but are more likely to produce localized corrosion. A heavy deposit of organisms may temporarily reduce corrosion by forming a barrier, which prevents oxygen from contacting the metal surface. However, if the deposit of organisms becomes broken, oxygen is now free to reach the metal surface and localized corrosion may occur as local bacteria use this oxygen.","head1":"Microbiological Corrosion","head2":""},
+    {"block":280,"text":"Bacteria, once established, can also be very difficult to eliminate. A big challenge in controlling MIC is the huge number of bacterial species, with a wide range of metabolic processes. Some species may oxidize specific metals (such as manganese, stainless steel, aluminum, copper alloys, nickel alloys), while others may produce organic acids, which then directly attack metal.","head1":"Microbiological Corrosion","head2":""},
+    {"block":281,"text":"Types of Bacteria","head1":"Microbiological Corrosion","head2":"Types of Bacteria","heading":true},
+    {"block":282,"text":"There are three types of bacteria of interest in corrosion.","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":283,"text":"1. Aerobic Bacteria: these require oxygen to live and grow","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":284,"text":"2. Anaerobic Bacteria: these do not require oxygen to grow and some may even die in the presence of oxygen. However, some do use oxygen by breaking down available substances that contain oxygen, such as sulphate, nitrate, and carbonate.","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":285,"text":"3. Facultative Bacteria: these can grow with or without oxygen","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":286,"text":"1. Aerobic Bacteria","head1":"Microbiological Corrosion","head2":"Types of Bacteria","heading":true},
+    {"block":287,"text":"Iron bacteria are aerobic and can grow well in only trace amounts of oxygen. They form a sheath of ferric hydroxide around themselves as they grow, using soluble iron ions found in the water. The sheath can provide a site for the formation of an oxygen concentration cell. Iron bacteria do not take part directly in the corrosion process, but under the sheath that they create is a perfect site for anaerobic bacteria to act. This type of bacteria is often referred to as ‘slime’.","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":288,"text":"2. Anaerobic Bacteria","head1":"Microbiological Corrosion","head2":"Types of Bacteria","heading":true},
+    {"block":289,"text":"Sulphate-reducing bacteria (SRB) are very corrosive in an environment with very little or no oxygen (anaerobic). These bacteria reduce sulphates in the water, producing sulphides and subsequent production of hydrogen sulphide, which can cause the following four different corrosion problems.","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":290,"text":"• Pitting, directly under a colony of bacteria","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":291,"text":"• The generation of hydrogen sulphide (H2S) can make the water more acidic, raising the level of general corrosion","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":292,"text":"• Sulphide cracking (a form of stress corrosion cracking) and sulphide blistering","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":293,"text":"• “Sour corrosion” that forms insoluble iron sulphide, which itself forms more sites for further pitting","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":294,"text":"3. Facultative Bacteria","head1":"Microbiological Corrosion","head2":"Types of Bacteria","heading":true},
+    {"block":295,"text":"The term “facultative” is defined as the “ability to adapt to different conditions.” Facultative bacteria can live in aerobic or anaerobic conditions.","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":296,"text":"Many bacteria produce a dense layer of slime on a surface. Beneath the slime exists a perfect environment for facultative bacteria to thrive. Regardless of whether oxygen is present, bacterial corrosion will occur.","head1":"Microbiological Corrosion","head2":"Types of Bacteria"},
+    {"block":297,"text":"Atmospheric Corrosion","head1":"Atmospheric Corrosion","head2":"","heading":true},
+    {"block":298,"text":"Atmospheric corrosion is the degradation of a metal surface when exposed to air and its pollutants. Atmospheric corrosion is a leading cause of metal failure and aesthetic damage and is an important factor in the service life of equipment and the durability of structural materials. There are three categories of atmospheric corrosion: dry, damp, and wet.","head1":"Atmospheric Corrosion","head2":""},
+    {"block":299,"text":"1. Dry Atmospheric Corrosion","head1":"Atmospheric Corrosion","head2":"1. Dry Atmospheric Corrosion","heading":true},
+    {"block":300,"text":"In the absence of moisture, dry atmospheric corrosion is usually a very slow process. It is characterized by a stable film, which forms (adsorbs) on the surface of a metal in the presence of oxygen. For steels, this film is composed of iron oxide (FeO), created when the oxygen in the air chemically combines with iron from the metal. The simplified, overall chemical reaction is:","head1":"Atmospheric Corrosion","head2":"1. Dry Atmospheric Corrosion"},
+    {"block":302,"text":"2Fe + O2","head1":"Atmospheric Corrosion","head2":"1. Dry Atmospheric Corrosion"},
+    {"block":304,"text":"→","head1":"Atmospheric Corrosion","head2":"1. Dry Atmospheric Corrosion"},
+    {"block":306,"text":"2FeO, where FeO is the film.","head1":"Atmospheric Corrosion","head2":"1. Dry Atmospheric Corrosion"},
+    {"block":307,"text":"The film, often called a “passivating” film, is usually desirable because it creates a protective barrier, which prevents or slows further corrosion. A desirable film is free of defects and is self-repairing if damaged. Porous, less stable films are also possible, particularly when the atmosphere contains a sulphur compound, such as hydrogen sulphide. The presence of sulphur increases the possibility of defects and destroys the film’s ability to protect the metal.","head1":"Atmospheric Corrosion","head2":"1. Dry Atmospheric Corrosion"},
+    {"block":308,"text":"2. Damp Atmospheric Corrosion","head1":"Atmospheric Corrosion","head2":"2. Damp Atmospheric Corrosion","heading":true},
+    {"block":309,"text":"When the relative humidity of the atmosphere is about 70% or higher a very thin, invisible film of moisture forms on metal surfaces. This film acts as an electrolyte for the transfer of electrical current, thus leading to galvanic corrosion of the metal (due to local electrode potential differences, caused by imperfections, scratches, internal stresses, etc.). The corrosion rate increases as temperature or relative humidity increase.","head1":"Atmospheric Corrosion","head2":"2. Damp Atmospheric Corrosion"},
+    {"block":310,"text":"Also, if salts are present in the moisture, the corrosion rate is increased even further since salts increase the current carrying ability of the electrolyte. Because salts are hygroscopic (i.e., they readily absorb water) any salt that is already on the metal surface will absorb moisture from the air and create the corrosive film even if the relative humidity is lower. One example is the way road salt promotes corrosion on an automobile.","head1":"Atmospheric Corrosion","head2":"2. Damp Atmospheric Corrosion"},
+    {"block":311,"text":"3. Wet Atmospheric Corrosion","head1":"Atmospheric Corrosion","head2":"3. Wet Atmospheric Corrosion","heading":true},
+    {"block":312,"text":"Wet atmospheric corrosion occurs when visible pockets or layers of water exist on a metal surface or if water becomes trapped in tiny imperfections in the surface. Again, the water acts as an electrolyte and iron is lost from the metal surface. The corrosion products may dissolve in the water and cause it to be even more conductive, thus increasing the corrosion rate. Even if the free water dries up, the corrosion products may remain wet and sit on the surface, causing corrosion to continue.","head1":"Atmospheric Corrosion","head2":"3. Wet Atmospheric Corrosion"},
+    {"block":313,"text":"Industrial atmospheres are usually more corrosive than residential atmospheres, particularly if a sulphur-containing fuel is burned at the industrial site. One product of combustion is sulphur dioxide (SO2). This SO2 absorbs onto metal surfaces, forming sulphur trioxide (SO3) in the presence of oxygen. This SO3 then combines with water to produce sulphuric acid (H2SO4), which can dissolve protective films on the metal surface.","head1":"Atmospheric Corrosion","head2":"3. Wet Atmospheric Corrosion"},
+    {"block":314,"text":"Stray Current Corrosion","head1":"Stray Current Corrosion","head2":"","heading":true},
+    {"block":315,"text":"Stray current corrosion is caused by an external source of current. Stray currents follow unintended electrical paths. Poor electrical conductors, damaged insulation, and dirty or loose electrical connections allow the electrical current to stray from its intended path. This current may travel through water, soil or any suitable electrolyte to find the path of least resistance, such as an underground pipe or structure.","head1":"Stray Current Corrosion","head2":""},
+    {"block":316,"text":"Direct current (DC) is the most destructive source of stray current. Some sources are DC welders, large rectifiers, and improperly installed cathodic protection. Stray alternating current (AC) is not as destructive as stray DC. The greatest source of stray AC is from buried power lines. Figure 4 illustrates stray current corrosion.","head1":"Stray Current Corrosion","head2":""},
+    {"block":318,"text":"Figure 4 – Stray Current Corrosion","head1":"Stray Current Corrosion","head2":""},
+    {"block":321,"text":"A current path in the earth is provided by a low resistance object, in this case a metal pipeline. Current, straying from an impressed-current cathodic protection system will pass from the anode into the pipeline. The current flows along the pipeline for some distance before returning to the protected structure. The site where the stray current leaves the pipeline is anodic and corrosion occurs.","head1":"Stray Current Corrosion","head2":""},
+    {"block":322,"text":"Galvanic corrosion and stray current corrosion are very similar, since both involve a protected cathodic site and a corroded anodic site. Lab analysis is often required to determine which one has occurred. However, a concentration of pits in an area where they are not normally found is an indication of stray current corrosion. Stray currents can be located by measuring voltage drops and current flows along the buried structure.","head1":"Stray Current Corrosion","head2":""},
+    {"block":323,"text":"Intergranular Corrosion","head1":"Intergranular Corrosion","head2":"","heading":true},
+    {"block":324,"text":"Metals and metal alloys are made of microscopic, crystal-like structures, called grains, which bond together in random, irregular orientation, with boundaries between them. The boundaries, which form an interface between the grains, generally consist of atoms that have been displaced from their original crystals, plus other impurities. Intergranular corrosion occurs when the grain boundaries, which are less resistant to corrosion than the grains themselves, come under attack. Corrosion, in the form of metal loss, usually occurs along the boundary, thus weakening the metal structure. In some cases, the entire boundary around grains is lost, causing the grains to loosen and dislodge.","head1":"Intergranular Corrosion","head2":""},
+    {"block":325,"text":"Intergranular corrosion is predominant in metal alloys (such as stainless steels or aluminum alloys), which are specific mixtures of different metals and are generally expected to be corrosion resistant. One or more of the alloying components (such as chromium in stainless steel), along with impurities, may migrate toward the boundaries. This is usually due to excessive temperatures (500°C to 800°C) that occur during improper heat treatment or welding.","head1":"Intergranular Corrosion","head2":""},
+    {"block":326,"text":"The heat causes the grain boundaries and the adjacent grain areas (called the heat affected zone) to become sensitive to corrosion. The heat affected zone may also become weaker, due to depletion of one or more alloying elements. If this is caused by welding, it is termed ‘weld decay’. The most common prevention for intergranular corrosion is properly controlled heat treatment of the metal (after manufacture or welding), which helps to stabilize the grains and their boundaries.","head1":"Intergranular Corrosion","head2":""},
+    {"block":328,"text":"Objective 4","head1":"Intergranular Corrosion","head2":""},
+    {"block":330,"text":"Describe the predominant corrosion mechanisms that potentially affect various power plant systems and equipment.","head1":"Intergranular Corrosion","head2":""},
+    {"block":332,"text":"Boiler Corrosion","head1":"Intergranular Corrosion","head2":""},
+    {"block":333,"text":"Boilers are susceptible to corrosion in many areas and by many different mechanisms. This is due to water being the process fluid and to the operating conditions, which involve high temperature, pressure, and materials under stress. An industrial boiler has several different components, each with slightly different operating conditions, and with different corrosion concerns.","head1":"Intergranular Corrosion","head2":""},
+    {"block":334,"text":"Magnetite Layer","head1":"Intergranular Corrosion","head2":"Magnetite Layer","heading":true},
+    {"block":335,"text":"Under normal conditions, a very thin, hard, protective layer of iron oxide, Fe3O4, (called magnetite) forms on the metal surfaces on the water side of a boiler. It forms when iron oxidizes and reacts with the water, as follows.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":337,"text":"3Fe + 4H2O","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":339,"text":"→","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":341,"text":"Fe3O4 + 4H2","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":342,"text":"The magnetite (Fe3O4) passivates the metal surface, thus inhibiting further oxidation. In fact, there are usually two magnetite layers. An outer, porous layer is easily penetrated by water and aggressive ions, while an inner, less porous layer grows by diffusion of chemical ions through the outer layer. The magnetite layer grows to approximately 0.01 to 0.025 mm thick, at which point any further oxidation ceases. If periodic weakening or damaging of the layer occurs, it can be repaired by proper internal boiler water treatment. The appropriate pH level necessary to maintain the magnetite layer is in the range of 8.5 to 12.7. Heat transfer is not impaired by the layer, since it has high thermal conductivity.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":343,"text":"There are three mechanisms that can deplete the magnetite layer: oxidation, caustic corrosion and hydrogen damage.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":344,"text":"1. Oxidation","head1":"Intergranular Corrosion","head2":"Magnetite Layer","heading":true},
+    {"block":345,"text":"The largest source of boiler system corrosion is dissolved gases, which include oxygen, carbon dioxide and ammonia. Oxygen is the most aggressive. The degree of oxygen attack depends on the concentration of dissolved oxygen, the pH and the temperature of the water. Dissolved oxygen attacks the stable magnetite film according to the following chemical reaction.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":347,"text":"4 Fe3O4 + O2","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":349,"text":"→","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":351,"text":"6Fe2O3","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":352,"text":"The Fe2O3 (hematite) often appears as a hydrate (Fe2O3·H2O) that can act as both a base and a weak acid to promote pitting.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":353,"text":"2. Caustic Corrosion (Caustic Gouging)","head1":"Intergranular Corrosion","head2":"Magnetite Layer","heading":true},
+    {"block":354,"text":"Caustic corrosion refers to the direct reaction of sodium with the metal in a boiler. It is most often seen in furnace tubes in regions of high heat fluctuation. Sodium hydroxide (NaOH) is added to boiler water in non-corrosive concentrations; however, conditions may exist in a boiler to induce caustic corrosion. These include steam blanketing and localized boiling.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":355,"text":"• Steam blanketing occurs when a steam layer forms between the boiler water and the tube walls. When this happens, insufficient water contacts the tube surface to allow optimum heat transfer, which lowers boiler efficiency. The water that does reach the tube surface is rapidly boiled away, leaving behind a concentrated and corrosive caustic solution.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":356,"text":"• Localized boiling occurs in boilers that use phosphate-treated water. In areas of high heat transfer, such as furnace tubes, porous deposits of phosphate may develop on the tube surface. Water then flows into the deposit and boils beneath it, leaving a concentrated caustic solution.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":357,"text":"Caustic soda has high solubility so it remains in solution, but continues to concentrate until the pH becomes extremely high and localized attack begins. The magnetite layer is destroyed and the concentrated sodium hydroxide is then able to react with exposed boiler metal to produce, among other things, atomic hydrogen.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":359,"text":"Fe + 2NaOH","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":361,"text":"→","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":363,"text":"Na2FeO2 + H2","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":364,"text":"This caustic corrosion continues unless the porous deposits are removed or the caustic concentration is reduced to normal.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":365,"text":"Caustic corrosion usually appears as irregular patterns and gouges. White salts may also appear in the metal sample. If caustic corrosion continues for an extended period, black magnetic iron oxide may be found in low flow areas, such as the mud drum. This is essentially due to the stripping away of the magnetite film.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":366,"text":"3. Hydrogen Damage","head1":"Intergranular Corrosion","head2":"Magnetite Layer","heading":true},
+    {"block":367,"text":"If the boiler water becomes contaminated with acid (a low pH), the acid may dissolve the magnetite layer and attack the boiler metal. The corrosion reaction will produce hydrogen, which may penetrate the steel, and react with the carbon in the steel to form methane (CH4). The methane is too large to escape so gets trapped and exerts pressure between the metal grains, thus weakening the metal. This is referred to as hydrogen damage and the resulting failures are called brittle failures because the metal actually becomes brittle.","head1":"Intergranular Corrosion","head2":"Magnetite Layer"},
+    {"block":368,"text":"Economizers","head1":"Intergranular Corrosion","head2":"Economizers","heading":true},
+    {"block":369,"text":"During normal operating conditions, a well designed economizer delivers feedwater to the boiler drum at about 20°C below saturation temperature. During cold startup or hot restart of the boiler, the conditions inside the economizer are far from normal. The economizer inlet header, outlet header, and discharge line to the steam drum can be damaged if the economizer produces steam before feedwater flow is initiated. When feedwater enters, these sections of the economizer may experience thermal quenching, causing severe shock and possible stress cracks or fatigue at connections and support brackets.","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":370,"text":"• Pitting in the tubes or headers may occur due to free oxygen attack. The oxygen originates in poorly deaerated feedwater or from inadequate drainage and storage during boiler shutdown.","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":371,"text":"• Flow accelerated corrosion, due to a combination of excessive deaeration and high interface velocity at economizer elbows, may cause general thinning of the tubes as iron is dissolved into the feedwater. Conditions known to accelerate economizer tube thinning include:","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":372,"text":"• low pH,","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":373,"text":"• excessive oxygen scavenger chemicals,","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":374,"text":"• chemicals (such as chelants) that increase iron solubility, and","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":375,"text":"• thermal decomposition of organic material.","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":376,"text":"• Heat transfer surfaces are subject to corrosion product buildup and deposition of metal oxides.","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":377,"text":"• Corrosion can also occur on the gas side of the economizer when contaminants in the flue gas produce a low-pH environment. Condensing economizers are designed to resist the corrosive action of the liquids that condense out of the flue gas.","head1":"Intergranular Corrosion","head2":"Economizers"},
+    {"block":378,"text":"Superheaters","head1":"Intergranular Corrosion","head2":"Superheaters","heading":true},
+    {"block":379,"text":"Superheaters remove the moisture content of the steam produced by the boiler. They are designed to operate within a wide range of corrosive environments, mainly due to the elevated temperatures at which they operate.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":380,"text":"Superheaters are susceptible to corrosion in several ways.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":381,"text":"• Superheater tube metal may experience oxidation when temperature becomes excessively high. Above 500°C the steel reacts directly with the steam, forming iron oxide and releasing hydrogen. This may lead to fissures and hydrogen blistering. Firing rates must be limited during startup so combustion gas at the superheater does not exceed 500°C until the boiler reaches operating pressure, all superheater tubes are cleared of condensate that may have accumulated during the shutdown, and steam flow through the superheater is confirmed. Overheating may also occur during low operating loads, when distribution of steam across the superheater inlet may not be even. A superheater tube will fail when its steam flow is blocked or reduced to the extent that the tube metal reaches its plastic flow temperature.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":382,"text":"• At the superheater temperatures (around 538°C) in utility boilers, the formation of magnetite scale is greater than in the water components of the boiler. However, the scale does not adhere as easily to the surface. It tends to break down, particularly when the superheater cools after a shutdown. On restart, the magnetite may carry out with the steam and enter the steam turbine, where it can cause “hard particle erosion” of the turbine nozzles.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":383,"text":"• Carryover from the steam drum into the superheater may cause deposits and tube corrosion. The most common carryover into superheaters is entrained water droplets. Boiler water usually contains boiler chemicals and other contaminants, such as oil, metallic copper, iron oxides, and silica. These may deposit inside superheater tubes, forming an insulating layer between the steam and the tube metal. The tube temperature may increase, promoting high temperature corrosion, both internally and externally. Direct contact spray attemperators (using boiler feedwater) are another contaminant source for the steam entering a superheater.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":384,"text":"• Pitting of superheater tubes, particularly in pendant loops, is caused by exposure of water to oxygen during downtime. The water may be due to improper drainage of drainable superheaters, low spots in sagging horizontal tube banks, or a non-drainable superheater design. A superheater tube bank that remains flooded when the boiler is shut down develops corrosion cells. Some of the soluble deposits carried into the superheater are dissolved into the water and, when combined with the oxygen, form corrosion cells, usually wherever there is an interface between air and water. If unchecked this can result in pitting, which leads to pinhole leaks and potential rupture of the tube.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":385,"text":"• Stress corrosion cracking is a common problem with superheaters made of austenitic stainless steel, which is ironically chosen for its corrosion resistance and strength. However, after long periods of exposure to high temperatures, cyclic stresses, and creep fatigue, the superheater headers may develop internal stress corrosion cracks, particularly in the ligaments between tube holes.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":386,"text":"• External corrosion of superheater tubes is also a problem, particularly with boilers that burn solid fuels, such as coal and biomass.","head1":"Intergranular Corrosion","head2":"Superheaters"},
+    {"block":387,"text":"Fuel Side Corrosion","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion","heading":true},
+    {"block":388,"text":"Fossil fuels, except natural gas, contain impurities that promote corrosion on the flue gas side of boiler components. The impurities are usually compounds of sulphur, vanadium, and sodium. Solid fuels, including coal and biomass, produce additional gases, such as chlorine, along with solid combustion wastes (flyash), which present some unique corrosion opportunities.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":389,"text":"Within a large, typical industrial boiler there are three temperature zones in which fuel side corrosion can occur.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":390,"text":"• In the furnace. Here the generator tubes are subjected to a gas temperature of 1000°C – 1700°C and an internal tube temperature of 250°C – 400°C. Waterwall tube corrosion occurs in coal-fired units through the formation of pyrosulphates of sodium and potassium. In refuse-fired boilers, mixtures of chlorides of zinc, lead, iron, and sodium are the likely causes of corrosion and, due to the nature of the fuel, there may be other factors involved.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":391,"text":"• In the superheater/reheater area. Here the gas temperature is approximately 650°C – 1000°C and the steam temperature is 500°C – 550°C. Superheater and reheater corrosion depends on components found in the fuel. The corrosive components are different for coal and heavy oil-fired boilers. Vanadium pentoxide mixtures with sodium oxide or sodium sulphate are the main corrosive compounds found in oil ash. For coal-fired boilers, sodium and potassium trisulphates react with iron to create high-temperature corrosion. In refuse-fired boilers, the deposits in the superheater banks are found to contain a high lead content.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":392,"text":"• In the economizer/air heater area. As the flue gas passes through the economizer, it is cooled to approximately 150°C and the deposits have a higher percentage of phosphorous pentoxide. Then, as the flue gas passes through the air heater, it cools below the dew point of sulphuric acid, creating a very aggressive corrosion environment. In refuse-fired boilers the deposits from the economizer are predominantly calcium-rich sulphate material. It is believed that chlorine reacts with the scale, causing spalling and corrosion of the surfaces.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":393,"text":"Dewpoint Corrosion","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion","heading":true},
+    {"block":394,"text":"Most fossil fuels produce flue gases containing sulphur dioxide, sulphur trioxide, and water vapour. When these gases cool, the water vapour condenses and combines with the sulphur products to form sulphurous and sulphuric acids. The exact dewpoint depends on the concentration of the sulphur gases, but it is around 150°C. Any boiler component surfaces cooler than this (eg. air heater tubes, plates, casings, etc.) are susceptible to dewpoint corrosion. Flue gas leaks to atmosphere also reduce the temperature and cause corrosion at leak locations, such as openings to the furnace, support penetrations through the boiler casing, leaks around the superheater, reheater and economizer drain lines, piping penetrations, and the air preheater.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":395,"text":"Fuel Ash Corrosion","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion","heading":true},
+    {"block":396,"text":"Flyash in boiler flue gas increases corrosion. The flyash accumulates on surfaces throughout the flue gas path and acts as a sponge, collecting moisture, sulphuric acid, and other corrosive elements that originate in the fuel, thereby creating a corrosive environment.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":397,"text":"Corrosion due to fuel ash occurs in oil, coal or refuse-fired boilers. Whether in the furnace, superheater, or reheater areas, the corrosion mechanisms are similar. The fuel ash deposit is a mixture of several compounds with low melting points. The mixture deposits on the tube surfaces and dissolves the protective iron oxide layer, exposing bare metal to the corrosive elements of the deposit.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":398,"text":"In the case of furnace wall corrosion, the ash deposits contain mixtures of sodium and potassium pyrosulphates, with melting points between 300°C and 400°C. In coal-fired boilers, corrosion of superheaters and reheaters at 500°C and higher is attributed to trisulphates of sodium and potassium.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":399,"text":"Heavy oil contains sodium, vanadium, sulphur (either elemental or as hydrogen sulphide), and other components, which produce an ash that melts at 480°C to 700°C. The molten deposits are highly corrosive. The deposits also convert SO2 to SO3, which then condenses and reacts with water vapour in the cooler sections at the back of the boiler, producing sulphuric acid (H2SO4). This can cause severe corrosion in the economizer, air preheater, and flue gas outlet. Water washing the fireside of an oil-fired boiler may also create acid corrosion, due to acids that form as the wash water evaporates on the tubes. To prevent fireside pitting, water washes should include a rinse with an alkaline solution.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":400,"text":"In biomass-fired boilers, including municipal refuse boilers, chlorine is often found in the fuel (originating from polyvinyl chloride). The flue gas may contain chloride compounds (of iron, sodium, phosphate, zinc, and lead) with melting points as low as 175°C to 300°C. Several opportunities for corrosion are created by the chlorine and by these alkaline chlorides. Hydrochloric acid (HCl) may condense in low temperature areas of the boiler outlet. Free chlorine, available in the ash deposit, will react with and remove iron from the parent metal, forming FeCl2. The molten ash can react with and remove the magnetite layer, then attack the metal. Corrosion rates can be very high, with up to 12 mm of metal loss per year and failure in less than 2000 operating hours.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":401,"text":"In addition to the above problems, fuel ash corrosion may cause fatigue cracks in the following manner. Some of the ash deposit melts, creating a thin liquid film between the tube surface and the solid ash deposit. The ash layer thickens until the film cannot support the increased mass; the ash layer falls off, exposing the tube surface to furnace heat. Local heat flux increases, causing a sudden increase in tube temperature and an area of high local stress. As the ash layer re-forms, it insulates the tube and reduces the metal temperature and stress. This cycling of temperature and stress repeats continuously, causing corrosion fatigue cracks.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":402,"text":"Appearance of Fuel Ash Corrosion","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion","heading":true},
+    {"block":403,"text":"For superheater and reheater tubes in an oil-fired boiler, the corrosion pattern depends on the mass and aerodynamics of the flue gas as it flows through the tube banks. In coal-fired boilers, an overheated area is indicated by a thickening of the oxide scale, which exhibits a series of cracks or grooves in the tube surface, often described as looking like “alligator hide.”","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":404,"text":"The external surfaces of waterwall tubes may show a series of circumferential grooves or cracks, while a cross-section of the tube may show shallow cracks or grooves through the tube wall. At the tip of a crack, the tube wall may be thin enough to produce a steam leak. In the burner area, an erosion pattern may be evident on the tubes, due to unburned coal particles, flame impingement, or both. In the furnace of a refuse burner, the waterwall corrosion usually appears as smooth, uniform wastage with generalized thinning of the tubes.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":405,"text":"The difference between the ‘alligator-hide’ on superheater tubes and the cracking or grooving on waterwall tubes is due to the different heat flux and temperature spikes. In their hottest areas, the heat flux for waterwall tubes is three to four times that of superheater tubes. In biomass- and refuse-fired boilers, the heat flux is insufficient to cause high temperature peaks, so corrosion proceeds more uniformly.","head1":"Intergranular Corrosion","head2":"Fuel Side Corrosion"},
+    {"block":406,"text":"Steam and Condensate Systems","head1":"Steam and Condensate Systems","head2":"","heading":true},
+    {"block":407,"text":"Steam Condenser Corrosion","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion","heading":true},
+    {"block":408,"text":"A steam condenser is a heat exchanger that is an intimate part of a steam-condensate cycle in a power plant. As such, any corrosion that occurs on the shell side can result in undesirable products being carried back to the boiler by the feedwater. The types of corrosion depend on whether the condenser tubes are made of copper alloys, stainless steel, or high performance alloys.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":409,"text":"For condensers with copper alloy tubes, tube corrosion may occur as follows:","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":410,"text":"• Copper alloys (eg. brass) are readily corroded by ammonia. When hydrazine is used to assist oxygen scavenging, it breaks down into ammonia compounds, which enter the condenser with the steam. The ammonia combines with condensate and the resulting solution attacks the tubes at the center of the condenser, causing ammonia grooving. The copper that is removed from the tubes is carried with the condensate into the feedwater system and back to the boiler, where it may deposit on boiler tubes.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":411,"text":"• In the presence of ammonia, the copper alloy tubes, which have a high residual stress, are susceptible to ammonia stress corrosion cracking, which leads to tube leaks.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":412,"text":"• Corrosion on the water side is potentially due to erosion, under-deposit corrosion, and galvanic corrosion. Galvanic corrosion is encouraged by the cooling water, which acts as an electrolyte, and the dissimilar metals of the waterboxes and the tubes. To combat this, common practice is to install sacrificial anodes inside the water boxes.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":413,"text":"For condensers with stainless steel tubes, corrosion may occur as follows.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":414,"text":"• Stainless steel is not affected by boiler chemicals, including ammonia. However, stainless steels that contain nickel are subject to chloride stress corrosion cracking. This requires stress, chlorides, and a temperature of at least 300°C.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":415,"text":"• Corrosion on the water side is due to crevice corrosion, pitting, or microbiological corrosion.","head1":"Steam and Condensate Systems","head2":"Steam Condenser Corrosion"},
+    {"block":416,"text":"Feedwater Heater Corrosion","head1":"Steam and Condensate Systems","head2":"Feedwater Heater Corrosion","heading":true},
+    {"block":417,"text":"Feedwater heaters are designed to improve boiler efficiency by extracting heat from streams such as boiler water blowdown, turbine extraction steam, or turbine exhaust steam. Feedwater heaters are classed as either low-pressure (upstream of the feed pump) or high-pressure (downstream of the feed pump). They are also classed as open, in which the water contacts the heating fluid, or closed, in which the water doesn’t contact the heating fluid.","head1":"Steam and Condensate Systems","head2":"Feedwater Heater Corrosion"},
+    {"block":418,"text":"Regardless of design, the corrosion problems are similar, with the most common sources of corrosion being oxygen and improper pH. Due to temperature increase across the heater, incoming metal oxides are deposited in the heater and then released during changes in steam load and chemical balances. Stress corrosion cracking of welded components can also be a problem. Erosion is common in the shell side, due to high-velocity steam impingement on tubes and baffles.","head1":"Steam and Condensate Systems","head2":"Feedwater Heater Corrosion"},
+    {"block":419,"text":"Deaerator Corrosion","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion","heading":true},
+    {"block":420,"text":"Deaerators present opportunities for several types of corrosion. This is due to their design, the flow patterns through them, and the mixing of water, steam, and gases. The common corrosion problems in deaerators include the following.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":421,"text":"• Flow accelerated corrosion. In areas where water flow is high, the protective oxide layer may be removed from the surface, exposing it to continual loss of thickness.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":422,"text":"• Oxygen pitting. Since free oxygen is released inside the deaerator, oxygen pitting may occur around the vent and at any location where the oxygen may become trapped. The pitting may occur in the shell or any of the internal components, such as tray supports.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":423,"text":"• Erosion. Inlet baffles at the steam inlet and other locations where high velocity water impinges on the metal surface are susceptible to erosion corrosion.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":424,"text":"• Corrosion fatigue cracking and stress corrosion cracking. This cracking problem has occurred in a large percentage of deaerators and their associated water storage compartments, usually after they have been in service for three or more years. All designs of deaerators, regardless of manufacturing methods or steels of construction are susceptible to cracking, which is believed caused by corrosion fatigue, often along with stress corrosion cracking.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":425,"text":"Cracks mainly occur in the water storage compartments, at or below the water level. They begin at welds, corrosion pits, and heat-affected areas, most often at head-to-shell welds, but also on the internal surface of the shell where attachments are welded. Corrosion fatigue is caused by cyclic stresses due to startups and shutdowns, vibration, flow and level fluctuations. Stress corrosion cracking may occur in areas of high local stress, if caustic is carried in with the condensate.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":426,"text":"Deaerator cracking can be minimized by maintaining steady operation (thus minimizing stresses), ensuring good control of oxygen scavenging chemicals, and maintaining all internal components in good working order. In addition, regular magnetic particle testing of internal welds is mandatory, along with immediate repair of any detected cracks.","head1":"Steam and Condensate Systems","head2":"Deaerator Corrosion"},
+    {"block":427,"text":"Heat Exchanger Corrosion","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion","heading":true},
+    {"block":428,"text":"Heat exchangers exist in many designs and for many different purposes, which involve heat exchange between many different fluids. The corrosion tendencies of a particular heat exchanger are mostly dependent on the fluids involved, the flow rates, the temperatures, and the metals used for exchanger construction. Regardless of purpose, there are several corrosion concerns that are common to most shell-and-tube exchangers.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":429,"text":"• Crevice corrosion. If there is any gap (crevice) between the tubesheet and tube, deposits may collect and initiate corrosion in the crevice.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":430,"text":"• Galvanic corrosion. To promote heat transfer, the tubes of a heat exchanger are often made of a different metal than the tubesheet or the shell. This presents opportunity for galvanic corrosion to occur. An effort is usually made to use metals that are as close as possible to each other in the galvanic series.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":431,"text":"• Stress corrosion cracking. The nature of heat exchangers requires them to go through drastic temperature changes, particularly during startup and shutdown. In addition, the tubes and the shell are at different temperatures. Expansion and contraction at different rates may cause stresses to occur and after many such cycles the tubes may develop stress corrosion cracks. These are usually circumferential and may cause the tubes to leak.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":432,"text":"• Pitting. This is highly dependent on the fluids in the exchanger. Entrained gases that may be released as the fluid temperature changes may attack the shell or the tubes.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":433,"text":"• Erosion corrosion. High flow velocity, particularly through the tubes, has the potential to cause erosion of any protective film and of the bare metal. This may occur when the exchanger flow exceeds design or when some tubes become plugged, forcing excess flow through the remaining tubes. Turbulence as the flow enters the tubes will also cause erosion at the tube ends. Another area highly prone to erosion is at tube bends, such as in U-tube exchangers.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":434,"text":"• Under-deposit and or microbiological corrosion. Operating an exchanger with the tube or shell flow below acceptable turndown rate may cause deposits to collect. If the fluids contain microbes, these will also deposit and create a corrosive environment.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":436,"text":"Objective 5","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":438,"text":"Explain methods used to monitor and test for corrosion during plant operation.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":440,"text":"Corrosion Monitoring","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":441,"text":"Corrosion monitoring involves a combination of continuous and intermittent activities for the purpose of obtaining comprehensive information on corrosion conditions over time. It represents a commitment to pro-actively quantify and control corrosion rates and to avoid conditions that could lead to corrosion-related failures. Real-time corrosion monitoring requires simultaneous linking of process parameter changes with measured corrosion information, from sensitive instrumentation. Full value is obtained from corrosion monitoring only if the information gathered is applied to an effective corrosion control program.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":442,"text":"There are several methods used to monitor either the actual corrosion of the metal or the corrosive nature of the environment. Since each method has its limitations, it is common practice to use more than one method. The main methods used include visual inspection, corrosion coupons, corrosion probes, microbiological testing, chemical analysis, and non-destructive examination.","head1":"Steam and Condensate Systems","head2":"Heat Exchanger Corrosion"},
+    {"block":443,"text":"1. Visual Inspection","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection","heading":true},
+    {"block":444,"text":"When a plant or a piece of equipment is shut down and opened, the opportunity is taken to inspect for internal corrosion. Quantitative measurements are taken carefully recorded. In terms of corrosion, the condition of an internal surface may be defined in one of the following ways.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":445,"text":"No Corrosion - the metal surface appears to be entirely unaffected.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":446,"text":"Definite Surface Corrosion - corrosive attack is deep enough to catch a knife blade. It may be further described as dulled, matte, or roughened.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":447,"text":"Shallow Metal Attack - describes the removal of a perceptible, although barely measurable, amount of metal from the surface.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":448,"text":"Pitted or Grooved - the metal is visibly removed to a measurable depth in the form of pits or grooves. The size, depth, shape, and distribution of pits and grooves are recognizable. The direction of grooving can also be seen.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":449,"text":"Blistering or Scaling - thin layers of metal appear to have detached or sloughing off from the metal surface to form blisters or scale. This may indicate hydrogen diffusion.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":450,"text":"Cracking - cracks may be visible to the naked eye, such that size, quantity and direction of cracks can be easily determined. Visible cracks are a serious, weakening condition and other, smaller cracks are likely present requiring other inspection methods over a wide area.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":451,"text":"Visual inspection is also the primary method for external surfaces of piping, vessels, supports, etc, where atmospheric corrosion is a concern. It is also applied inside heaters, furnaces and flue gas paths, where products of combustion could create corrosive conditions. In all cases, the visual inspection may lead to further, more technical testing.","head1":"Steam and Condensate Systems","head2":"1. Visual Inspection"},
+    {"block":452,"text":"2. Corrosion Coupons","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons","heading":true},
+    {"block":453,"text":"Corrosion coupons are carefully machined pieces of metal that are exposed directly to the process stream (ie. the corrosive environment). Coupons can periodically be removed and either visually inspected or sent to a lab to test for mass loss, corrosion rate, corrosion type and severity (eg. pitting). The results of these tests allow evaluation of one or more of the following.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":454,"text":"• system corrosiveness","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":455,"text":"• material performance","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":456,"text":"• inhibitor performance","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":457,"text":"A coupon, made of the same metal as the pipe or vessel, is weighed to an accuracy of four decimal places before being inserted into the system and again after removal, to determine the mass of metal lost to corrosion. Coupons are often installed in pairs for redundant, comparative measurement, and are made from a variety of metal alloys, in several shapes and configurations.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":458,"text":"• Flat plates, either solid or with holes drilled through,","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":459,"text":"• Round, metal rods, either singly or in groups of six or eight,","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":460,"text":"• Banded coupons, in which a band is wrapped around a conventional coupon, creating a crevice. The crevice creates a concentration cell so attack occurs under the band. This method is useful when oxygen corrosion is suspected.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":461,"text":"• Spools or nipples are threaded or flanged into the system in such a way that they can be removed for evaluation.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":462,"text":"Coupon Holders and Insulators","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons","heading":true},
+    {"block":463,"text":"Coupons are securely mounted in such a way that they are electrically isolated from contact with all other metals, thus preventing galvanic corrosion (except when testing for galvanic corrosion). Mounting materials (brackets, bolts, and insulating materials) should be fully resistant to the environment to avoid loss of data or loss of electrical isolation. Holders must have isolation valves for positive isolation removal of the coupons. Some holders are retractable and can be withdrawn while the system is under full operating pressure.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":464,"text":"Figure 5 is an example of an externally mounted corrosion test coupon rack, which provides a convenient means of monitoring the progress of corrosion in systems such as condensate lines and cooling water systems. The rack may be made from PVC or metal, depending on the system being monitored.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":466,"text":"Figure 5 – Bypass Test Coupon Rack with Four Thin Bar Coupons","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":469,"text":"Figure 6 shows a retractable coupon (also called a slip-in rack), which allows coupons to be inserted and removed from the system without interrupting the process. It requires a gate valve and a nozzle, which serves as a retraction chamber. A coupon holding rod is contained in the retraction chamber, which is flanged to the isolation gate. The outside end contains a packing gland, through which the coupon holder passes.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":470,"text":"A coupon is mounted on the rod and then drawn back into the retraction chamber. The chamber is bolted to the gate valve; the valve is then opened and the coupon is slipped through the gate valve and into the process stream.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":472,"text":"Figure 6 – Retraction Chamber and Insertion Coupon Array","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":475,"text":"Figure 7 shows an inserted rack coupon holder. It requires flanged connections that allow installation directly into the piping, with the coupons positioned across the flow path. In this design, the process must be shut down to install or remove the rack.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":477,"text":"Figure 7 – Insertion Coupons in Spool-Piece","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":480,"text":"Coupon Handling","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons","heading":true},
+    {"block":481,"text":"Test coupons are kept in a special treated envelope before and after exposure. Coupons must not be touched with bare fingers when being mounted in the coupon holder, since oil from a finger print interferes with corrosion. After removing a coupon from the rack, the coupon must be air dried, but not cleaned, before being placed in a treated envelope for delivery to the lab.","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":482,"text":"Chemical Inhibitor Performance","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons","heading":true},
+    {"block":483,"text":"Corrosion coupons may be used to monitor the performance of a corrosion inhibitor. The uninhibited corrosion rate of a system is determined and used as a base corrosion rate. Once the base corrosion rate has been established, corrosion inhibitor feed is started and corrosion coupons are installed in the system. The performance of the inhibitor is usually expressed in terms of percent protection, where:","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":485,"text":"percent protection","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":487,"text":"=","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":489,"text":"uninhibitedrate−inhibitedrateuninhibitedrate × 100","head1":"Steam and Condensate Systems","head2":"2. Corrosion Coupons"},
+    {"block":490,"text":"3. Corrosion Probes and Meters","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters","heading":true},
+    {"block":491,"text":"Corrosion probes and meters are devices/instruments that can be inserted into the path of a process flow or into a vessel for the purpose of measuring the corrosiveness of the fluid. The probes are connected to external instruments, which provide a reading relative to the corrosion. Four common devices are electrical resistance probes, galvanic probe meters, linear polarization meters, and hydrogen probes.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":492,"text":"Electrical Resistance Probes","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters","heading":true},
+    {"block":493,"text":"The principle of electrical resistance can be used to indicate metal loss by corrosion. As the cross-sectional area of a conductor decreases, the electrical resistance increases. The electrical resistance of any conductor is given by","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":495,"text":"R","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":497,"text":"=","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":499,"text":"ρLA","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":501,"text":"Where:","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":503,"text":"ρ","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":505,"text":"=","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":507,"text":"the resistivity","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":509,"text":"L","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":511,"text":"=","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":513,"text":"the length of the conductor","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":515,"text":"A","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":517,"text":"=","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":519,"text":"the cross sectional area of the conductor","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":520,"text":"Using this principle, a current-carrying element (loop of wire) may be exposed to a corrosive environment. As it corrodes, its cross-sectional area decreases, causing its electrical resistance to increase. Electrical resistance corrosion rate meters operate on this principle. These meters use a probe with two similar elements - a corrosion element, which is exposed to the corrosive environment, and a reference element, which is inside the probe and protected from the corrosive environment. Since the resistance of the corrosion element is affected by temperature changes, the reference element provides compensation for any temperature variations. This arrangement is only useful in lower temperature environments. In medium to high temperatures, a variable temperature electrical resistance (VTER) probe, with associated electronics, is used. This type uses a single, corrosion element, with no need for a reference element.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":521,"text":"Since the resistance probe does not require an electrolyte to carry current, it can be used effectively in gas systems to measure corrosion from stack gases. Accumulation of corrosion products, such as iron sulphide, on the probe can cause resistance to decrease, which falsely suggests a decrease in corrosion rate. The probe does not reliably measure pitting, so it must be removed regularly and visually checked for pitting.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":522,"text":"Figure 8 shows a resistance probe. Resistance readings are plotted against time and the slope at any point on the plot may be converted to a corrosion rate.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":524,"text":"Figure 8 – Electrical Resistance Probe","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":527,"text":"Galvanic Probe Meters","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters","heading":true},
+    {"block":528,"text":"Another type of meter is the galvanic probe meter, which uses the principle of galvanic action. It involves two dissimilar metals, immersed in the process fluid (which acts as an electrolyte) and connected electrically to a meter. A current flows due to the potential differences of the metals and this current is proportional to the corrosiveness of the system. A typical assembly contains brass and steel electrodes, connected to an ammeter, which measures current flow. It does not give a direct measurement of corrosion but detects changes in the corrosiveness of the system.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":529,"text":"Linear Polarization Meters","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters","heading":true},
+    {"block":530,"text":"Linear polarization meters indicate the corrosion rate of a coupon or electrode at the moment of the measurement. They are used to continuously monitor any fluctuations within a system (such as changes to corrosion inhibitor dosages) and their effects on the corrosion. Typical applications of these meters include:","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":531,"text":"• High pressure water systems,","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":532,"text":"• Cooling water systems,","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":533,"text":"• Condensate systems,","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":534,"text":"• Potable water treatment and distribution systems,","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":535,"text":"• Pulp and paper manufacturing, and","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":536,"text":"• Amine systems.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":537,"text":"In this meter, a small current is caused to flow between a test electrode and a working electrode. An electrolyte, such as water, must be present to conduct current between the probes. The current flow alters the electrical potential of the “test” electrode. The corrosion rate (or corrosion current) is proportional to the test current divided by the change in potential when the potential change is small (20 mV or less). Sufficient current is applied to the test electrode to change its potential by a specific amount (for example, 10 mV); the current flow required to make the change is directly measured.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":538,"text":"Linear polarization meters can have probes with either two or three electrodes. The reading from the two-electrode probe must be corrected for the resistivity of the process fluid. The potential change of the test electrode is measured with reference to the second, working electrode. The three-electrode meter requires no correction for solution resistivity. The third electrode has no current applied to it and is allowed to corrode freely. It serves as a reference electrode.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":539,"text":"Figures 9 and 10 are simplified sketches of two- and three-electrode linear polarization meters.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":541,"text":"Figure 9 – Two Electrode Linear Polarization Meter","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":545,"text":"Figure 10 – Three Electrode Linear Polarization Meter","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":548,"text":"Hydrogen Probes","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters","heading":true},
+    {"block":549,"text":"Hydrogen probes measure the flow of the atomic hydrogen that is generated from corrosion and which passes through steel, causing hydrogen-induced corrosion (HIC). The areas most susceptible to HIC are carbon steel pressure vessels and piping that contain process fluids with H2S, cyanide, or arsenic. Hydrogen is also produced as a by-product of corrosion wherever water is in direct contact with the steel.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":550,"text":"There are three basic types of hydrogen probes. The simplest consists of a thin-walled, carbon steel tube (hydrogen probe) with a solid rod inside the tube, forming a small annular space. This probe is inserted into the flow path. Any hydrogen atoms that escape from the carbon steel collect in the annular space and combine to form hydrogen molecules, which are too large to pass back into the process. As hydrogen gas accumulates, the pressure in the annular space increases and registers on an external pressure gauge.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":551,"text":"The second type uses patch probes that are attached and sealed against the outside of the process piping wall. The principle is identical to the internal probes, except the path probes collect hydrogen atoms that penetrate to the outside of the pipe wall.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":552,"text":"The third type is the palladium foil type electrochemical cell, which produces an electrical output proportional to the hydrogen evolution rate. Figure 11 illustrates this design.","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":554,"text":"Figure 11 – Palladium Foil Hydrogen Patch Probe","head1":"Steam and Condensate Systems","head2":"3. Corrosion Probes and Meters"},
+    {"block":557,"text":"4. Microbiological Testing","head1":"Steam and Condensate Systems","head2":"4. Microbiological Testing","heading":true},
+    {"block":558,"text":"Generally, microbiological activity is determined from measurements used to detect chemical fouling and corrosion. These include analysis of corrosion coupons, conductivity, electrical resistivity, or evidence of pressure drops and heat transfer losses. Fouling probes or heat transfer can indicate the amount of surface deposits, but cannot identify the composition of the deposit. Similarly, the usual methods used to assess corrosion are not specific to biological activity.","head1":"Steam and Condensate Systems","head2":"4. Microbiological Testing"},
+    {"block":559,"text":"The presence of a biofilm is determined from counts of biological organisms cultured from water samples. While microbiological culturing techniques can provide data on the densities of organisms found in process fluids, they require at least 24 hours for incubation, and the data obtained does not necessarily correlate with surface fouling. With no definitive means to determine the onset of biofilm formation, most facilities apply biocide treatments on a preset schedule or as needed, corresponding to visual evidence of growth. This uncertainty may lead to improper dosage of biocide to the process stream.","head1":"Steam and Condensate Systems","head2":"4. Microbiological Testing"},
+    {"block":560,"text":"5. Chemical Analysis","head1":"Steam and Condensate Systems","head2":"5. Chemical Analysis","heading":true},
+    {"block":561,"text":"Though not as effective as direct corrosion monitoring, a complete chemical analysis of makeup and cooling water may help detect corrosion products in the water. Since a primary indication of corrosion is the accumulation of iron in the process fluid, it is common practice to test for iron concentration. For chemical testing, both filtered and total iron testing is essential. Running a filtered iron test gives a snapshot of corrosion tendencies because any iron that does not pass through a filter paper can be safely assumed to be the result of corrosion.","head1":"Steam and Condensate Systems","head2":"5. Chemical Analysis"},
+    {"block":562,"text":"Filtered iron testing is done by filtering a sample across a 0.2 micron filter pad and then testing the filtrate for iron. If the filtered sample is greater than 0.25 ppm iron, then corrosion control is inadequate. The filter paper can be saved as a qualitative measure of system cleanliness.","head1":"Steam and Condensate Systems","head2":"5. Chemical Analysis"},
+    {"block":563,"text":"Total iron testing is done by boiling a sample with hydrochloric acid and hydrogen peroxide to dryness, then reconstituting it with distilled water. This procedure identifies all iron present in the water whether soluble or insoluble.","head1":"Steam and Condensate Systems","head2":"5. Chemical Analysis"},
+    {"block":564,"text":"The insoluble, suspended iron removed during filtration of a sample is ferric iron which has usually flaked off a corrosion site and been transported in the water stream. The total iron measurement, minus the filtered iron reading, provides a measure of the soluble iron in ferrous form, which usually occurs naturally in the water. Insoluble iron is an indication that corrosion has occurred, while soluble iron is an indication of the corrosive potential of the water and of the likelihood that iron will deposit on downstream heat transfer surfaces.","head1":"Steam and Condensate Systems","head2":"5. Chemical Analysis"},
+    {"block":565,"text":"6. Non-Destructive Examination","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination","heading":true},
+    {"block":566,"text":"As the name implies, non-destructive examination involves methods by which the surface and internal integrity of a material may be tested without doing any damage to the material itself. The methods used are able to detect both surface and subsurface corrosion and, in some cases, can be used while the equipment is still in service. The most common methods of non-destructive examination include ultrasonic, radiographic, magnetic particle, and dye penetrant inspection.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":567,"text":"Ultrasonic Inspection","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination","heading":true},
+    {"block":568,"text":"In most cases, ultrasonic inspection can be used while the inspected equipment is still in service. During ultrasonic inspection, high frequency sound waves are transmitted into the material being inspected. These waves travel through the material until they encounter the opposite surface or an internal discontinuity. Material interfaces or discontinuities reflect the sound back to its origin, where it can be detected. The time interval between transmission of the ultrasonic wave and the arrival of the reflected wave back at the point of transmission is directly proportional to metal thickness or the depth of the discontinuity.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":569,"text":"Ultrasonic waves are generated by transducers, which are constructed from piezoelectric materials, such as quartz. These materials are capable of expanding and contracting when subjected to a changing electrical field and will also produce an electrical potential when the material is placed under mechanical stress. Therefore, an ultrasonic transducer can be placed on a metal surface and used to both create and detect ultrasonic energy.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":570,"text":"Guided Wave Testing (GWT)","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination","heading":true},
+    {"block":571,"text":"Guided Wave Testing (GWT) is also known as Guided Wave Ultrasonic Testing (GWUT) or Long Range Ultrasonic Testing (LRUT). GWT is widely used to inspect many engineering structures, including metallic pipelines, boilers, and heat exchanger tubes. It uses very low ultrasonic frequencies (10-100 kHz) compared to conventional UT. This long range ultrasonic method uses mechanical stress waves, which propagate along an elongated structure while guided by its boundaries. The waves travel a long distance with minimal energy loss. A pipe or tube can be quickly screened and any discontinuities along the length are quickly identified. Where a possible defect is identified, follow-up inspection with conventional UT or other NDT methods is usually required to obtain detailed information on the nature and extent of the defect.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":572,"text":"Radiographic Inspection","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination","heading":true},
+    {"block":573,"text":"Radiographic inspection is a nondestructive tool used mostly for weld inspection, but can also be used to detect corrosion. It uses X-rays or gamma rays, which are emitted from a source and passed through the object being inspected, onto a piece of photographic film. When developed, the film is called a radiograph.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":574,"text":"The amount of radiation that passes through a metal in a given length of time is inversely proportional to its thickness. This means that more radiation passes through a thinned, corroded area than through a thicker, undamaged area. The photographic film becomes darker as it is exposed to increased amounts of radiation, causing pits or corroded areas to show up as dark spots on the radiograph.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":575,"text":"Radiographs are frequently taken in the horizontal plane to give a profile of pipe walls. They can also be taken in the vertical plane to establish the pattern of attack on the bottom or top of piping or vessels. Radiographic inspections can be carried out while equipment is in service.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":576,"text":"Magnetic Particle Inspection","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination","heading":true},
+    {"block":577,"text":"Magnetic particle inspection is primarily used to locate cracks that extend to the surface of a metal. It can only be used to inspect magnetic materials, such as steel. The metal to be inspected is magnetized using an electromagnet or a large permanent magnet. Cracks in the metal surface will break the magnetic lines of force and produce local leakage fields. When finely divided magnetic particles, such as iron powder, are sprinkled on the magnetized surface, they are attracted to the cracks by the localized fields, making it possible to determine their size and exact location.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":578,"text":"Dye Penetrant Inspection","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination","heading":true},
+    {"block":579,"text":"This method detects flaws or cracks that extend to the surface of a metal. A thin liquid with low surface tension is applied to the clean metal surface. By capillary action, the liquid draws into any cracks or surface discontinuities. Excess liquid is wiped from the surface and then a developer is applied. The developer acts like a blotter, drawing the liquid back out of the defect and making the defect easily visible.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":580,"text":"There are two types of penetrant. One contains a red dye, which provides a good contrast with the white developer. The other contains a dissolved substance that makes the penetrant fluorescent, so the defects become easily visible under an ultraviolet light.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":582,"text":"Objective 6","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":584,"text":"Explain the methods used to control and prevent corrosion at the design stages and during operation.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":586,"text":"Design Considerations","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":587,"text":"The first opportunity to control and prevent corrosion within a facility occurs during the design stage. To ensure the integrity and safety of a facility, the designer must give foremost consideration to all aspects of corrosion and the specific factors that can affect corrosion throughout the process. In addition to the economic consideration discussed in Objective 1, the designers must consider and design for at least the following.","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":588,"text":"• External environments","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":589,"text":"• Internal environments","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":590,"text":"• Mechanical conditions","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":591,"text":"• Operating conditions","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":592,"text":"• Corrosion protection","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":593,"text":"• Corrosion monitoring","head1":"Steam and Condensate Systems","head2":"6. Non-Destructive Examination"},
+    {"block":594,"text":"External Environments","head1":"Steam and Condensate Systems","head2":"External Environments","heading":true},
+    {"block":596,"text":"Air:","head1":"Steam and Condensate Systems","head2":"External Environments"},
+    {"block":598,"text":"What is the quality of the air around and within the facility and how might this affect the external surfaces of the facility? Pollutants or chemicals in the air (external or created within the process), humidity, temperature, seasonal changes, etc.","head1":"Steam and Condensate Systems","head2":"External Environments"},
+    {"block":600,"text":"Water:","head1":"Steam and Condensate Systems","head2":"External Environments"},
+    {"block":602,"text":"What is the source and nature of the water brought into the facility for various purposes? Seasonal changes in water quality. Possible contaminants (chlorides, biological agents, etc.)","head1":"Steam and Condensate Systems","head2":"External Environments"},
+    {"block":604,"text":"Soils:","head1":"Steam and Condensate Systems","head2":"External Environments"},
+    {"block":606,"text":"What types of soils exist within and around the facility? Possible effects on underground piping; bacteria content, drainage, etc.","head1":"Steam and Condensate Systems","head2":"External Environments"},
+    {"block":607,"text":"Internal Environments","head1":"Steam and Condensate Systems","head2":"Internal Environments","heading":true},
+    {"block":608,"text":"What are the internal fluids (liquid, vapour, or gas) within the process piping and vessels and how do they interact and flow? The corrosive nature/chemistry of each fluid in relation to the materials it will contact; entrained solids, erosion; flow patterns (turbulence, velocity, impingement); temperatures of fluids (affecting oxidation, condensation, etc.).","head1":"Steam and Condensate Systems","head2":"Internal Environments"},
+    {"block":609,"text":"Mechanical Conditions","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions","heading":true},
+    {"block":611,"text":"Stress","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions"},
+    {"block":613,"text":"What corrosion-enhancing stresses can be expected in the materials and how can they be minimized? Residual stresses (during fabrication); static tensile stresses (loads, pressure, expansion and contraction, etc.); stresses during transport and construction; cyclic stresses during operation.","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions"},
+    {"block":615,"text":"Configurations","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions"},
+    {"block":617,"text":"How can piping and vessel configurations minimize opportunities for corrosion? Minimize crevices, liquid and deposit traps, stagnant areas, undrained low points, vibration, sharp turns, etc).","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions"},
+    {"block":619,"text":"Materials","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions"},
+    {"block":621,"text":"What materials will minimize all opportunities for corrosion? Select the best alloys to avoid intergranular and hydrogen attack; minimize galvanic action of dissimilar metals; best weld techniques and weld composition; heat treatment techniques during fabrication, etc; corrosion allowances required per ASME codes.","head1":"Steam and Condensate Systems","head2":"Mechanical Conditions"},
+    {"block":622,"text":"Operating Conditions","head1":"Steam and Condensate Systems","head2":"Operating Conditions","heading":true},
+    {"block":623,"text":"What are the expected operating conditions that might affect corrosion? Steady operation or “up and down”; extended down times; fluctuating pressures, temperatures and flows; inspection frequency; defined corrosion program and staff.","head1":"Steam and Condensate Systems","head2":"Operating Conditions"},
+    {"block":624,"text":"Corrosion Protection","head1":"Steam and Condensate Systems","head2":"Corrosion Protection","heading":true},
+    {"block":625,"text":"What permanent systems and equipment must be installed to directly protect the facility against corrosion? Cathodic protection for underground piping (ground beds, impressed current, etc); internal coatings and linings for piping and vessels; thermal spray; external paints, coverings or wrappings (eg. underground lines), inhibitor injection system; chemical injection systems (for boilers), convenient and sufficient drainage points during shutdowns.","head1":"Steam and Condensate Systems","head2":"Corrosion Protection"},
+    {"block":626,"text":"Corrosion Monitoring","head1":"Steam and Condensate Systems","head2":"Corrosion Monitoring","heading":true},
+    {"block":627,"text":"What corrosion monitoring components must be designed into the facility? Strategically placed electrochemical corrosion probes and data collection equipment; installation points for corrosion coupons; convenient access openings for visual inspection (manways into vessels, handholes, cover plates, etc).","head1":"Steam and Condensate Systems","head2":"Corrosion Monitoring"},
+    {"block":628,"text":"Operational Methods","head1":"Operational Methods","head2":"","heading":true},
+    {"block":629,"text":"In an operating facility, control and prevention of corrosion involves a combination of the operational strategies and the designed-in components. Operational strategies include a good, recognized corrosion management plan plus diligent application of corrosion inhibiting chemicals and operational procedures that minimize corrosion opportunities. Designed-in components, beyond material selection, include cathodic protection, deaeration, and protective coatings.","head1":"Operational Methods","head2":""},
+    {"block":630,"text":"Corrosion Management","head1":"Operational Methods","head2":"Corrosion Management","heading":true},
+    {"block":631,"text":"Every operating facility, in one way or another, is involved in corrosion management. Those with a clear corrosion management program are generally more successful at minimizing corrosion issues and thereby maximizing plant reliability, performance, and safety. The key components of a good corrosion management program include the following:","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":632,"text":"• Clearly understood policies and procedures","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":633,"text":"• Corrosion prediction and risk assessment","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":634,"text":"• Continuous measuring, monitoring and tracking","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":635,"text":"• Regular inspections and corrosion analysis","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":636,"text":"• Defined roles and responsibilities for the corrosion program","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":637,"text":"• Consultation with external corrosion “experts”","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":638,"text":"• Operational procedures that minimize corrosion","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":639,"text":"• Effective training of operating personnel","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":640,"text":"• Timely maintenance","head1":"Operational Methods","head2":"Corrosion Management"},
+    {"block":641,"text":"Chemical Inhibitors","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":642,"text":"A corrosion inhibitor is a chemical substance that is added to a potentially corrosive environment where it reacts to decrease (or prevent) corrosion. The chemicals are injected at specified locations in a system. The operators must test regularly and adjust chemical feed to ensure that a minimum chemical residual concentration is always present. Some inhibitors are designed to inhibit the anodic reaction, while others inhibit the cathodic reaction.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":643,"text":"Anodic inhibitors are also called passivating inhibitors, since they work by reacting with the metal surface in an oxidizing reaction to produce a protective oxide coating. This coating makes the anode passive (nonreactive with its environment). The most common anodic inhibitors are nitrite, molybdate, and orthophosphate.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":644,"text":"Cathodic inhibitors (also called precipitating inhibitors) work by chemically precipitating a thin layer, which adheres directly to the metal surface, thus physically isolating the fluid (cathode) from the metal. Common cathodic inhibitors include zinc carbonate and calcium carbonate.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":645,"text":"Corrosion inhibitors function by one of the following mechanisms:","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":646,"text":"• adsorbing as a thin protective film on the metal surface","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":647,"text":"• inducing the formation of a thick, unstable corrosion product","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":648,"text":"• forming a passive film on the metal surface","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":649,"text":"• changing the characteristics of the environment","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":650,"text":"• producing a protective precipitate, or","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":651,"text":"• removing a corrosion-enhancing constituent (eg. oxygen scavenging)","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":652,"text":"Inhibitors in Steam/Condensate Systems","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":653,"text":"Steam condensate systems require special attention to corrosion inhibition. This is because boilers generally release trace amounts of oxygen and carbon dioxide with the steam. Oxygen will react with metal to produce pits, while carbon dioxide will combine with water (when the steam condenses) to produce carbonic acid, lowering the pH of the condensate, which exposes the metal to acid attack. For corrosion inhibition, these systems use neutralizing amines, filming amines, or a combination of both.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":654,"text":"Neutralizing amines are volatile, alkaline chemicals (such as ammonia, cyclohexylamine, morpholine) which react with carbonic acid to neutralize it, thus increasing the pH. They do not, however, protect the metal from oxygen attack. Control involves feeding the amine at a continuous rate that maintains a specified pH level (usually 8.5 – 9.5).","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":655,"text":"Filming amines physically isolate the metal from the water, by creating a very thin (one molecule thickness) film on the metal. This protects against both oxygen and carbon dioxide. Control involves maintaining a specified concentration of amine in the system, then monitoring the iron concentration or corrosion coupons.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":656,"text":"Cathodic Protection","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":657,"text":"Cathodic protection is a method of reducing or eliminating the corrosion of metallic structures located in corrosive environments, by causing them to act as non-corroding cathodes. This is done by ensuring that the electrical potential of the protected surface remains less than that of other metals in the same corrosive environment.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":658,"text":"There are two ways that cathodic protection can be achieved. One method involves the placing of sacrificial anodes in the same corrosive environment as the metal to be protected. These metals are more anodic (less noble) than the protected material, and corrode preferentially. The other cathodic protection method involves impressing an electric current on the corrosion cell so that electrons always flow toward the protected material, ensuring it is always cathodic. The primary application of cathodic protection is the protection of underground equipment, such as piping and storage tanks.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":659,"text":"1. Sacrificial Anodes","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":660,"text":"When two metals of differing electrochemical potential are electrically connected to each other, and placed in a common electrolyte (such as soil), electrons will flow from the more active metal to the less active metal. If the more active metal happens to be a pipeline, then it becomes the anode and loses metal. Even without other metals in the near vicinity, an underground structure may corrode by developing interactive anodic and cathodic areas on its own surface. This corrosion can be shifted away from the structure and directed to sacrificial anodes, which are buried a few metres from the structure and connected directly to it by some conductive material. The anodes are made of a material that is significantly higher in the electromotive series than the protected structure.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":661,"text":"Refer to Figure 12. Galvanic action causes electrons to flow from the magnesium or zinc anode, through the insulated connecting cable, to the pipeline. The magnesium or zinc ions that result from the loss of electrons are soluble, and enter the electrolyte (which in this case is the soil). The sacrificial anode therefore loses metal ions (corrodes) thus ensuring the pipeline does not. Carbonaceous backfill around the anode promotes a more uniform loss of metal.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":663,"text":"Figure 12 – Cathodic Protection Using Sacrificial Anode","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":666,"text":"Magnesium and zinc are the most common anode materials, since they are high in the electromotive series. The efficiency of zinc anodes is improved to nearly 90% by alloying with aluminum. Magnesium alloys are used primarily in soils and areas that have high resistance to current flow. Zinc alloys are used in highly conductive electrolytes at ambient temperatures and in applications where sparking must be avoided, such as in storage tanks for flammable liquids.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":667,"text":"Sacrificial anodes may also be installed within vessels to protect their internal surfaces from corrosion. Such anodes may be found in tanks, condenser waterboxes, and heat exchanger headers.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":668,"text":"Advantages of sacrificial anode systems include:","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":669,"text":"• No external power requirements","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":670,"text":"• No voltage regulation requirements","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":671,"text":"• Easy to install and replace anodes","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":672,"text":"• Minimum maintenance requirements","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":673,"text":"• Inexpensive if installed at time of pipeline construction","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":674,"text":"Disadvantages of sacrificial anode systems include:","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":675,"text":"• Differential potential depends on the electrolyte","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":676,"text":"• Small area of coverage per anode","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":677,"text":"• Poorly coated pipelines may require many anodes","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":678,"text":"• Protection reduced in highly-resistive soils","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":679,"text":"• Expensive if installed after pipeline construction","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":680,"text":"2. Impressed Current System","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":681,"text":"The nature of the environment may not produce a strong electrolyte, so that a galvanic current may not occur naturally. In this case, the current must be impressed (created) by an external power source. An impressed current system (Figure 13) uses consumable, semi-consumable, or non-consumable anodes, which are connected to a DC power source. The DC power source may be batteries or (commonly) rectified AC. The protected structure is always connected to the negative terminal of the DC power supply. Electron flow is from negative to positive. The DC power supply maintains a flow of electrons to the protected structure, keeping it cathodic regardless of soil conductivity. The DC power supply also maintains a flow of electrons from the anodes, thus maintaining their anodic behaviour regardless of soil conditions.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":683,"text":"Figure 13 – Cathodic Protection Using Impressed Current","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":686,"text":"Advantages of an impressed current system","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":687,"text":"• Large areas can be protected by a single installation","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":688,"text":"• Can be designed for a wide range of voltage and current","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":689,"text":"• High current flow is available from a single groundbed","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":690,"text":"• Effectively protects bare and poorly coated pipelines","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":691,"text":"Disadvantages of an impressed current system","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":692,"text":"• Requires a power source which is subject to interruptions","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":693,"text":"• May cause cathodic interference problems","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":694,"text":"• Requires a higher level of maintenance","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":695,"text":"• Overprotection can damage protective coatings","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":696,"text":"Groundbeds","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":697,"text":"A groundbed is a system of many anodes spread in a pattern over a wide area. There are four general types of groundbed.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":698,"text":"1. A conventional groundbed is a group of anodes installed about 100 m from the protected structure and spaced 5 m to 10 m apart. It distributes protective current over a wide area of the protected structure. It is also called a remote groundbed.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":699,"text":"2. A distributed anode groundbed is a group of anodes installed along the protected structure, less than 10 m from the structure and spaced 10 m to 200 m apart. It is used to avoid interference from nearby structures and to better protect sections of bare or poorly coated metal.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":700,"text":"3. A deep anode groundbed is a group of anodes installed vertically in a drilled hole at depths of 15 m or more. It is used when space isn’t available for a conventional groundbed or when the upper soil has high resistivity and the deeper soil has low resistivity.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":701,"text":"4. A shallow vertical groundbed is a group of anodes installed vertically in a drilled hole at a depth of less than 15 m. It is used when horizontal space is very limited.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":702,"text":"Monitoring and Maintenance","head1":"Operational Methods","head2":"Chemical Inhibitors","heading":true},
+    {"block":703,"text":"Cathodic protection systems require regular monitoring. In sacrificial systems, voltage readings indicate if the system voltage is declining, which indicates anode wastage. At a specified minimum voltage, the anodes must be replaced. The voltmeter must be very sensitive, since normal voltage levels are very low. For example, a buried magnesium anode protecting a carbon steel structure has a nominal voltage of only 0.85 V.","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":704,"text":"Impressed current systems must be monitored for current flow and adjusted when necessary to ensure the current is optimized for changing conditions. Anode wastage, variations in soil resistance (due to groundwater changes), and changes in the protected structure can be compensated for by adjustment of the DC current from the rectifier","head1":"Operational Methods","head2":"Chemical Inhibitors"},
+    {"block":705,"text":"Protective Coatings","head1":"Operational Methods","head2":"Protective Coatings","heading":true},
+    {"block":706,"text":"Ideally, an engineering material (metal in particular) should have the necessary mechanical properties for its application plus be fully resistant to corrosion in its operating environment. Often this ideal is not possible and the mechanical properties must take precedence. Furthermore, the traditional methods of corrosion control may not be practical or possible. This is when a protective coating (or a protective lining) becomes necessary. The primary purpose of a protective coating is to physically isolate a metal surface from the environment, so that corrosion chemistry and corrosion cells cannot occur at the surface. The most common applications of coatings are external surfaces and vessel internals.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":707,"text":"Metallic Coatings","head1":"Operational Methods","head2":"Protective Coatings","heading":true},
+    {"block":708,"text":"Metallic coatings change the surface properties of the parent metal to those of the metal coating. The parent metal becomes a composite material, which exhibits properties not achievable by either material on its own. The coating provides a durable, corrosion resistant layer, while the parent metal provides the strength.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":709,"text":"The most popular coatings are cadmium, chromium, nickel, aluminum, and zinc. Methods for applying a metallic coating include: electroplating, electroless plating, thermal spraying, hot dipping, chemical vapour deposition, ion vapour deposition, and galvanizing.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":710,"text":"Galvanizing is the most widely used method for metallic coating. It involves coating carbon steel with a thin layer of zinc. Galvanized piping is mainly used for low temperature liquids. At temperatures below 77°C, the metallic zinc is the anode, but above 77°C the steel becomes the anode.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":711,"text":"Nickel coatings are applied using a chemical process that depends upon the catalytic reduction of nickel ions in an aqueous solution, which contains a chemical reducing agent. The nickel deposits without the use of electrical energy (hence called ‘electroless plating’). Due to its exceptional corrosion resistance and hardness, this process is widely used to plate items like valves and pump parts to enhance the life of components that are exposed to severe service conditions, particularly in oil field and marine industries.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":712,"text":"Metal cladding improves the corrosion resistance of a material by metallurgically bonding to its susceptible core material a surface layer of a metal or an alloy with good corrosion resistance. The cladding material is selected not only to have good corrosion resistance, but also to be anodic to the core alloy by about 80 to 100 mV. Therefore, if the cladding becomes damaged, or if the core alloy is exposed at drilled fastener holes, the cladding provides cathodic protection by sacrificially corroding.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":713,"text":"Cladding is up to 80% cheaper than a solid pipe of the same material. Clad materials are widely used in the chemical industry, offshore oil production, oil refining, and the power generation industry.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":714,"text":"Non-Metallic Coatings","head1":"Operational Methods","head2":"Protective Coatings","heading":true},
+    {"block":715,"text":"Chemical treatment of a metal surface can produce a coating of metallic oxide that has better corrosion resistance than the metal itself. Examples of chemical treatments that produce a non-metallic coating include anodizing, nitriding, and phosphating. Chemical treatment of the metal surface is also used as a preparatory step prior to painting or coating the metal.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":716,"text":"Many paints and liquid coatings have been developed to protect equipment from corrosion. The petroleum industry produces most of the basic ingredients for synthetic coatings. Paints and coatings have been developed for three main purposes; impermeability, corrosion inhibition, and cathodic protection.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":717,"text":"Coatings designed for impermeability are designed to completely separate the metal from the corrosive environment and to have excellent adhesion to the metal. The coating used depends on the environment and the service requirements.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":718,"text":"Coatings designed for corrosion inhibition function by providing a protective barrier that will react with the environment; for example, red lead based paints used on ships hulls and also bridge steelwork.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":719,"text":"Coatings designed for cathodic protection usually contain a base paint (with zinc pigment added), which acts as an anode. Example – anti-rust paints.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":720,"text":"Typical non-metallic coatings used in industry include:","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":721,"text":"• Epoxy resin coatings, applied as a liquid or powder","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":722,"text":"• Bituminous coatings, which may be applied hot or cold, including coal tar enamels and asphalt mastics","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":723,"text":"• Thermoplastic coatings, such as polyethylene, vinyl and plastisols","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":724,"text":"• Specialty coatings, which include urethanes, fluorocarbons, phenolics and polyesters","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":725,"text":"• Elastomeric coatings, including natural rubber, butyl rubber, neoprene, hypalon, and nitrile rubber","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":726,"text":"• Inorganic coatings and linings, which also include glass","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":728,"text":"Objective 7","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":730,"text":"Explain the main components of a corrosion failure analysis and a typical corrosion failure report.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":732,"text":"Failure Analysis","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":733,"text":"Whenever a failure occurs, a structured effort must be applied to analyze the failure and determine the initiating cause. The failure analysis should be a step-by-step approach that attempts to identify the single event or condition that began a chain of events, leading to the failure. Unfortunately, failure analysis is a reactive procedure, in that failure has already occurred. However, the importance of finding the root cause is that, once discovered, it becomes the primary focus of attention in preventing recurrence of the failure. Eliminating the root cause removes or restricts the opportunity for all other events in the failure chain to occur.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":734,"text":"Failure analysis techniques can be applied to other purposes, including, but not limited to, safety (such as accident or incident analysis) and quality control (such as product analysis), and production (such as procedure analysis). There are also many different analysis methods that may be applied and many different analysis tools that may be used. Regardless of the method, the underlying purpose is continuous improvement.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":735,"text":"There are four main phases in a complete failure analysis; the component failure analysis, the root cause investigation, the root cause analysis, and the learning.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":736,"text":"• Component failure analysis - This phase looks at the specific equipment that failed to identify the general nature or cause of the failure (eg. corrosion, fatigue, mechanical damage) and the operational events that may have influenced it.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":737,"text":"• Root cause investigation - This is a totally objective and more in-depth discovery of the facts, leading to unbiased statements of what occurred leading up to the event, during the event, and surrounding the event. It includes human factors, without making any judgements.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":738,"text":"• Root cause analysis - In this phase, ‘Why?” questions are asked, evidence and conditions (present and past) are analyzed, and a final statement of the root cause is formulated. This may include human causes and management system causes.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":739,"text":"• Learning - Having discovered the root cause, this phase now determines what has been learned from the failure and what must be done to prevent a recurrence.","head1":"Operational Methods","head2":"Protective Coatings"},
+    {"block":740,"text":"Corrosion Failure Analysis","head1":"Corrosion Failure Analysis","head2":"","heading":true},
+    {"block":741,"text":"After any corrosion-related failure it is extremely important to initiate a failure analysis process that will determine the root cause. The following guidelines for a corrosion analysis are paraphrased from the ASTM “Standard Guidelines for Corrosion-Related Failure Analysis”","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":742,"text":"Organize the analysis","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":743,"text":"• Conduct the analysis as early as possible after the failure, using every effort to protect any physical evidence","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":744,"text":"• Have a written plan for the investigation, indicating ALL required tasks","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":745,"text":"• Assign tasks and, if necessary, contract third-party expertise","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":746,"text":"Record conditions at the failure site","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":747,"text":"• If possible, examine the failure site before cleaning or altering the site in any way. Observe physical arrangements, odors, colors, textures, and condition of adjacent structures","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":748,"text":"• Take photos and videos. Photos should have labels that indicate position, size, etc. Take photos before and after sampling","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":749,"text":"• Make sketches and drawings of pertinent details at the site","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":750,"text":"• Interview personnel who may have witnessed the failure. Time, sounds, sights, etc. may be helpful","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":751,"text":"Determine operating conditions at time of failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":752,"text":"• Refer to operating logs and data logged information regarding the equipment operation (flow, temperature, pressure, etc)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":753,"text":"• Trend operating conditions leading up to the failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":754,"text":"• Note any abnormal operating parameters before the failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":755,"text":"• Compare the operating parameters and conditions of similar equipment that has not failed","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":756,"text":"• Examine corrosion monitoring instruments, corrosion coupons, etc","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":757,"text":"Review construction and operation history","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":758,"text":"• Obtain original design drawings and specifications","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":759,"text":"• Obtain information regarding material specifications, methods of manufacture, welding procedures, heat treatments, surface treatments, etc.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":760,"text":"• Review any modifications done since original fabrication (when, why and how they were done)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":761,"text":"• Review operating history, especially any anomalies from normal parameters; any changes in process fluid specs or raw material sources (eg. water)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":762,"text":"• Review maintenance, cleaning, and repair history","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":763,"text":"• Review the corrosion prevention procedures and operation records of all equipment (cathodic protection, coupons, inhibitor injection, etc.)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":764,"text":"Obtain samples","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":765,"text":"• Include sample locations and collection methods in the investigation plan","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":766,"text":"• Avoid contamination of corrosion product samples, including by moisture, cutting fluids, etc.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":767,"text":"• Ensure sample containers won’t react with the sample","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":768,"text":"• Make metal samples as large as possible for adequate testing","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":769,"text":"• Use non-metallic sampling tools, if possible, to avoid unnecessary damage to surfaces","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":770,"text":"• Take samples of process fluids from the failure area","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":771,"text":"• Follow specific procedures if microbiological samples are required.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":772,"text":"• Avoid damage to any fracture surfaces while sampling","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":773,"text":"Evaluate samples","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":774,"text":"• Analyze deposits, corrosion products using appropriate analytical techniques and equipment","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":775,"text":"• Analyze metallurgical condition and structure of metallic samples, including welds. Includes metallographic examination of cross-sections","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":776,"text":"• Document the location and orientation of each specimen. Using photos, drawings, or description. Label each specimen.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":777,"text":"Examine failure locations","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":778,"text":"• At the site of the failure, examine for pits, cracks, crevices, and general attack","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":779,"text":"• Take measurements to document surface chemistry, pit depths, crack dimensions, metal loss, etc.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":780,"text":"• Use the appropriate examination techniques, such as light microscopes, scanning electron microscopes, x-ray spectrometers, fractographics (for fractures), cross-section examination (for intergranular failures)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":781,"text":"Assess the corrosion-related failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":782,"text":"When all the data has been collected, it must be fully reviewed and assessed. Conclusions must be reached, based on solid engineering principles and taking into account all reported information, operational history, and examination data.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":783,"text":"• Assess all observations from the failure locations, operational information, failed material examinations, and expert opinions","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":784,"text":"• Assess all out-of-spec materials, process stream, operating conditions","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":785,"text":"• Assess unusual or unexpected corrosion products","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":786,"text":"• Assess the type, extent, and rate of corrosion. Compare and assess against expected and historical corrosion rates","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":787,"text":"• From all assessments, apply root cause analysis to determine the root cause. Also identify additional contributing factors","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":788,"text":"File a Corrosion Failure Report","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":789,"text":"A comprehensive failure report must be presented, detailing the entire investigation, assessments, and conclusions, including any recommendations to prevent recurrence. The report should include the following topics.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":790,"text":"• Precise description of the corrosion related failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":791,"text":"• Operating conditions at the time of failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":792,"text":"• Historical information related to the failure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":793,"text":"• Concise descriptions of all deposit and metal samples taken (include photographs and sketches)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":794,"text":"• Evaluations conducted (descriptions of all tests done on samples and at the failure site)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":795,"text":"• Results of evaluations","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":796,"text":"• Conclusions (root cause of corrosion and failure; contributing factors)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":797,"text":"• Recommendations (suggested corrective actions, if any)","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":798,"text":"• References; personnel involved in investigation","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":799,"text":"• Disposition of samples and records","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":801,"text":"Chapter Questions","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":804,"text":"1. Define the following as they apply to corrosion:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":805,"text":"a) Oxidation","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":806,"text":"b) Reduction","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":807,"text":"c) Redox","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":808,"text":"2. Using appropriate sketch or sketches, explain a corrosion cell.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":809,"text":"3. With respect to galvanic corrosion, state:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":810,"text":"a) three conditions that must exist in order for it to occur","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":811,"text":"b) four conditions that affect the rate at which it occurs","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":812,"text":"4. Explain how deposits contribute to:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":813,"text":"a) concentration cell corrosion","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":814,"text":"b) pitting","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":815,"text":"5. Explain three different types of Stress Corrosion Cracking.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":816,"text":"6. Explain three categories of atmospheric corrosion.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":817,"text":"7. Explain six ways in which superheater tubes may be exposed to corrosion.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":818,"text":"8. What is fuel ash corrosion and how is it recognized?","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":819,"text":"9. Explain how steam condensers susceptible to corrosion if they have:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":820,"text":"a) copper tubes, and","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":821,"text":"b) stainless steel tubes","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":822,"text":"10. What forms of corrosion are most likely in heat exchangers?","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":823,"text":"11. Briefly explain six methods used to monitor corrosion.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":824,"text":"12. What operational methods can be used to control corrosion? Briefly explain each method.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":825,"text":"13. Describe the four main phases of a corrosion failure analysis.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":826,"text":"Self-Assessment","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":827,"text":"Question 1","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":828,"text":"?Fe ? 2e- ? Fe2+? is an example of:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":829,"text":"Reduction","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":830,"text":"Oxidation","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":831,"text":"Plating","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":832,"text":"Passivation","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":838,"text":"Question 2","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":839,"text":"Copper has an electrical potential of +0.52 Volts. Aluminum has an electrical potential of -1.66 Volts. If connected in a galvanic cell,","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":840,"text":"the potential difference would equal 1.14 Volts","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":841,"text":"the aluminum would provide electrons to the copper","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":842,"text":"the copper would be anodic to the aluminum","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":843,"text":"the aluminum would be more noble than the copper.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":849,"text":"Question 3","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":850,"text":"Impressed current cathodic protection systems:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":851,"text":"have AC power connected to the anodes and cathodes","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":852,"text":"protect structures by making them anodic","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":853,"text":"have the negative terminal of the power supply attached to the protected structure","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":854,"text":"prevent stray current corrosion","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":860,"text":"Question 4","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":861,"text":"In a typical corrosion cell, with water as the electrolyte, _______________ is produced at the __________________ as a result of the galvanic corrosion process.","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":862,"text":"hydrogen, cathode","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":863,"text":"hydrogen, anode","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":864,"text":"hydroxide, anode","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":865,"text":"reactive metal ions, cathode","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":871,"text":"Question 5","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":872,"text":"The process whereby corrosive products concentrate adjacent to boiler metal, beneath a porous heating surface deposit, is called:","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":873,"text":"oxygen pitting","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":874,"text":"crevice corrosion","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":875,"text":"selective leaching","head1":"Corrosion Failure Analysis","head2":""},
+    {"block":876,"text":"wick boiling","head1":"Corrosion Failure Analysis","head2":""}
+  ],
+  "CH8_Introduction_to_Welding_Symbols.html": [
+    {"block":0,"text":"Introduction to Welding Symbols","head1":"","head2":"","heading":true},
+    {"block":1,"text":"2nd Class • A2","head1":"","head2":""},
+    {"block":2,"text":"Chapter 8","head1":"","head2":"","heading":true},
+    {"block":4,"text":"Learning Outcome","head1":"","head2":"","heading":true},
+    {"block":6,"text":"When you complete this chapter you should be able to:","head1":"","head2":""},
+    {"block":7,"text":"Describe how weld joints are constructed, using standard weld symbol terminology.","head1":"","head2":""},
+    {"block":9,"text":"Learning Objectives","head1":"","head2":"","heading":true},
+    {"block":11,"text":"Here is what you should be able to do when you complete each objective:","head1":"","head2":""},
+    {"block":12,"text":"1. Explain the purpose of welding symbols.","head1":"","head2":""},
+    {"block":13,"text":"2. Describe the common weld joints and weld types, including groove, fillet, plug and slot welds, with related weld terminology.","head1":"","head2":""},
+    {"block":14,"text":"3. Recognize and describe symbols that identify weld types.","head1":"","head2":""},
+    {"block":15,"text":"4. Identify and explain the meaning of the reference line, the arrow, and the tail in a welding symbol.","head1":"","head2":""},
+    {"block":16,"text":"5. Identify and explain the meaning of supplemental welding symbols, not specific to the weld itself.","head1":"","head2":""},
+    {"block":17,"text":"6. For groove and fillet welds, identify and explain welding symbols that relate to the weld configuration and joint preparation.","head1":"","head2":""},
+    {"block":19,"text":"Objective 1","head1":"","head2":""},
+    {"block":21,"text":"Explain the purpose of welding symbols.","head1":"","head2":""},
+    {"block":23,"text":"Purpose of Welding Symbols","head1":"","head2":""},
+    {"block":24,"text":"Welding symbols are found on construction drawings where metal-to-metal joints require welding. For each welded joint on the drawing there is a symbol, which is intended to provide the person performing the weld with all the information necessary to successfully complete the required weld. The information provided by the symbol includes, where necessary, such details as:","head1":"","head2":""},
+    {"block":25,"text":"• The type of weld or welds required at the joint","head1":"","head2":""},
+    {"block":26,"text":"• The exact location of the weld on the joint","head1":"","head2":""},
+    {"block":27,"text":"• The size of the weld or welds","head1":"","head2":""},
+    {"block":28,"text":"• The spacing of welds if more than one is used on a joint","head1":"","head2":""},
+    {"block":29,"text":"• Special procedures or notes with respect to the weld","head1":"","head2":""},
+    {"block":30,"text":"Weld symbols must be standardized in order to ensure they are consistently applied to engineering drawings. More importantly, though, these standard symbols allow welders to accurately interpret drawings and correctly produce the specified welds. In the USA, standard welding symbols were developed by the American Welding Society, adopted by the American National Standards Institute, and published as ANSI/AWS A2.4 Standard Symbols for Welding, Brazing and Nondestructive Examination. In Canada, the Canadian Standards Association identifies welding symbols in CSA W59 Welded Steel Construction Annex D. The CSA standard very closely follows the AWS standard with respect to welding symbols. The ASME and the National Board of Boiler Inspectors also endorse the use of these symbols.","head1":"","head2":""},
+    {"block":31,"text":"The purpose of this chapter is to describe and explain basic welding symbols, using simple examples, and to define the associated terminology. The source AWS and CSA Standards should be consulted for more detailed studies.","head1":"","head2":""},
+    {"block":33,"text":"Objective 2","head1":"","head2":""},
+    {"block":35,"text":"Describe the common weld joints and weld types, including groove, fillet, plug and slot welds, with related weld terminology.","head1":"","head2":""},
+    {"block":37,"text":"Weld Joints and Weld Types","head1":"","head2":""},
+    {"block":38,"text":"Since welding symbols relate directly to the types of welds, which are applied to specific types of joints, it is important to understand the various joint designs and weld types. Figure 1 shows the five basic joint types.","head1":"","head2":""},
+    {"block":40,"text":"Figure 1 – Weld Joints","head1":"","head2":""},
+    {"block":43,"text":"Groove Welds","head1":"","head2":"Groove Welds","heading":true},
+    {"block":44,"text":"Groove welds are used when the surfaces being joined are butted against each other in such a way that a groove is created. The weld is then deposited into the groove, so the weldment is contained in the groove. There are several standard groove shapes. These are created before welding by preparing the joining surfaces of one or both pieces, using grinding, flame cutting, or some other means. The welding symbol for a groove weld indicates the specific groove configuration.","head1":"","head2":"Groove Welds"},
+    {"block":45,"text":"Figure 2 shows the common configurations of butt joints, which require one or more groove welds. Each figure represents two pieces in cross-section, showing the shape of each joining surface and the corresponding name of that configuration.","head1":"","head2":"Groove Welds"},
+    {"block":47,"text":"Figure 2 – Butt Weld Joints","head1":"","head2":"Groove Welds"},
+    {"block":50,"text":"a) V-Groove: The two surfaces are machined flat and smooth at an angle (called a bevel). When the two surfaces are placed together, they form a single “V” shape. In some cases the root of the “V” does not extend to the bottom surface of the material.","head1":"","head2":"Groove Welds"},
+    {"block":51,"text":"b) Double V-Groove: The edges are beveled from both sides. When placed together, the two pieces form a “V” on both sides. Both sides are then welded.","head1":"","head2":"Groove Welds"},
+    {"block":52,"text":"c) Bevel: One edge is beveled and the other is flat.","head1":"","head2":"Groove Welds"},
+    {"block":53,"text":"d) Square: Both edges are flat at 90 degrees. This creates a bottomless groove, formed by slight separation of the pieces.","head1":"","head2":"Groove Welds"},
+    {"block":54,"text":"e) U-Groove: Both edges are machined with a curvature that produces a “J” cross-section. When placed together they form a groove with a “U” contour.","head1":"","head2":"Groove Welds"},
+    {"block":55,"text":"f) Double U-Groove: Each piece is machined with a “J” contour from both sides. When brought together the edges form a “U” groove on each side. Welding is done on both sides.","head1":"","head2":"Groove Welds"},
+    {"block":56,"text":"g) J-Groove: One piece is machined from one side only with a “J” contour, while the other is flat at 90 degrees.","head1":"","head2":"Groove Welds"},
+    {"block":57,"text":"h) Scarf: The joining edges are machined flat, but at an angle. This design is common for braze welding.","head1":"","head2":"Groove Welds"},
+    {"block":58,"text":"i) Flare-V: Two surfaces with curved profiles are brought together to form a weld groove with curved sides.","head1":"","head2":"Groove Welds"},
+    {"block":59,"text":"j) Flare-Bevel: One edge has a curved profile while the other is flat at 90 degrees.","head1":"","head2":"Groove Welds"},
+    {"block":60,"text":"Figure 3 illustrates some of the features of typical V-groove welds, including common terms used on welding symbols.","head1":"","head2":"Groove Welds"},
+    {"block":62,"text":"Figure 3 – Groove Welds","head1":"","head2":"Groove Welds"},
+    {"block":65,"text":"a) Weld Root: the bottom edge of a weld or the deepest point of a weld.","head1":"","head2":"Groove Welds"},
+    {"block":66,"text":"b) Root Opening: the space intentionally left between joined surfaces before welding. The root opening is visible when the weld does not fully penetrate the material.","head1":"","head2":"Groove Welds"},
+    {"block":67,"text":"c) Weld Depth: the distance from the surface of the material to the root of the weld.","head1":"","head2":"Groove Welds"},
+    {"block":68,"text":"d) Reinforcement: the specified height of the weld above the surface of the material.","head1":"","head2":"Groove Welds"},
+    {"block":69,"text":"e) Melt through: the thickness of weld, measured from the root of the weld to the material surface, when the root extends beyond the surface. This is often intentional for the purpose of reinforcing the weld.","head1":"","head2":"Groove Welds"},
+    {"block":70,"text":"Fillet Welds","head1":"","head2":"Fillet Welds","heading":true},
+    {"block":71,"text":"Fillet welds are used when the configuration of the joining pieces creates two weld surfaces, which are 90 degrees to each other. The fillet weld is deposited into the 90 degree joint and assumes a somewhat triangular cross-section.","head1":"","head2":"Fillet Welds"},
+    {"block":72,"text":"Figure 4 shows four common applications of fillet welds, plus an illustration of fillet weld size.","head1":"","head2":"Fillet Welds"},
+    {"block":73,"text":"a) A single fillet weld applied to a lap joint.","head1":"","head2":"Fillet Welds"},
+    {"block":74,"text":"b) Fillet welds applied to each side of a T joint.","head1":"","head2":"Fillet Welds"},
+    {"block":75,"text":"c) A single fillet weld used at a corner joint.","head1":"","head2":"Fillet Welds"},
+    {"block":76,"text":"d) A continuous fillet weld, used to weld a vertical post to a flat plate. This is also called an all-around weld. Because it travels around corners it is also referred to as a box weld.","head1":"","head2":"Fillet Welds"},
+    {"block":77,"text":"e) The size of a fillet weld is specified by the lengths of the legs of the weld, which is the perpendicular distance from the parent metal to the toe of the weld, as seen in the diagram. The legs of a fillet weld are usually the same length, but if the pieces being welded have different thickness the legs may be different.","head1":"","head2":"Fillet Welds"},
+    {"block":79,"text":"Figure 4 – Fillet Weld Joints","head1":"","head2":"Fillet Welds"},
+    {"block":82,"text":"Figure 5 shows two views of a T joint with staggered intermittent fillet welds on both sides of the vertical member. This technique is common where strength of the joint is not crucial or where complete sealing of the joint is not necessary. In order to successfully produce these welds, the welder must know the length of the individual welds and the pitch. As shown, pitch is the distance between the mid point of adjacent welds. In many cases the intermittent welds are not staggered, but directly across from each other, with identical length and pitch.","head1":"","head2":"Fillet Welds"},
+    {"block":84,"text":"Figure 5 – Intermittent Fillet Welds","head1":"","head2":"Fillet Welds"},
+    {"block":87,"text":"Plug and Slot Welds","head1":"","head2":"Plug and Slot Welds","heading":true},
+    {"block":88,"text":"As illustrated in Figure 6, plug and slot welding involves joining two relatively flat pieces with a series of small welds that are deposited into drilled plugs or machined slots in one piece. The piece with the slots or plugs is usually relatively thin and the sides of the holes may be perpendicular or bevelled. Information provided on the welding symbol will tell the welder how deep the welds must be within the plugs or slots.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":90,"text":"Figure 6 – Plug and Slot Welds","head1":"","head2":"Plug and Slot Welds"},
+    {"block":94,"text":"Objective 3","head1":"","head2":"Plug and Slot Welds"},
+    {"block":96,"text":"Recognize and describe symbols that identify weld types.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":98,"text":"Weld Symbols","head1":"","head2":"Plug and Slot Welds"},
+    {"block":99,"text":"Weld symbols are an integral part of welding symbols. They are tagged onto a welding symbol to tell the welder what type of weld to perform. In some cases, such as butt welds, the weld symbol also defines the preparation required of the surfaces before welding can begin.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":100,"text":"Figure 7 shows the weld symbols for all weld types. In most cases, the shape of a weld symbol directly corresponds to a cross-section of its associated joint faces. The first row in Figure 7 shows groove weld symbols, while the second row shows various other types.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":102,"text":"Figure 7 – Weld Symbols","head1":"","head2":"Plug and Slot Welds"},
+    {"block":105,"text":"Some weld terms from Figure 7 not previously described are:","head1":"","head2":"Plug and Slot Welds"},
+    {"block":106,"text":"• Stud: A stud weld involves attaching a small stud, either perpendicular or at an angle, to a surface. An example would be studs on the outside of a tube to anchor refractory. The welding current flows directly through the stud, rather than a welding rod, causing the stud to fuse directly to the surface.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":107,"text":"• Spot or Projection: To create a spot weld, two relatively thin surfaces are forced tightly together. Electrodes, directly across from each other and on opposite sides of the surfaces, send enough current through the materials to melt and fuse the metals at that spot. Projection welding is a variation of spot welding, in which one of the surfaces has small raised projections, which slightly separate the surfaces, but concentrate the welding heat and fusion at the projection points.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":108,"text":"• Seam: Seam welding is used with relatively thin materials to produce a continuous weld where the materials butt or overlap to form a long seam. Electrodes, usually in the form of wheels, press the pieces together from opposite sides. The electrodes travel along the seam, applying current between them to melt and fuse the pieces together.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":109,"text":"• Back or Backing: A back weld is applied to the back side (the root side) of a single-groove weld after the main weld has been completed. This reinforces the weld and fills in where the main weld did not fully penetrate the groove. A backing weld is applied to the back side (root side) of a single-groove weld before the main weld is started. Its purpose is to fill the root opening and prevent melt through of the main weld.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":110,"text":"• Surfacing: A surfacing weld is simply laid down on a single surface for the purpose of strengthening or increasing the thickness of the surface. There is no joining of pieces. A common application is to replace metal that was lost due to corrosion or to intentionally thicken a surface in anticipation of corrosion.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":111,"text":"• Edge: An edge weld is used to join two pieces along their adjacent, exposed edges. The weld is laid down along the join, with or without bevelling, where the two edges meet.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":113,"text":"Objective 4","head1":"","head2":"Plug and Slot Welds"},
+    {"block":115,"text":"Identify and explain the meaning of the reference line, the arrow, and the tail in a welding symbol.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":117,"text":"Welding Symbols","head1":"","head2":"Plug and Slot Welds"},
+    {"block":118,"text":"Welding symbols are a method of communication. To be fluent in this method of communication, it is necessary to know:","head1":"","head2":"Plug and Slot Welds"},
+    {"block":119,"text":"• the various elements of welding symbols,","head1":"","head2":"Plug and Slot Welds"},
+    {"block":120,"text":"• how welding symbols are constructed for various weld types, and","head1":"","head2":"Plug and Slot Welds"},
+    {"block":121,"text":"• how to interpret welding symbols when arranged on a construction drawing.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":122,"text":"Each weld on a drawing has its own unique welding symbol, so the required weld is fully and accurately described.","head1":"","head2":"Plug and Slot Welds"},
+    {"block":123,"text":"Reference Line, Arrow, and Tail","head1":"","head2":"Reference Line, Arrow, and Tail","heading":true},
+    {"block":124,"text":"Figure 8 shows three key elements of a welding symbol;","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":125,"text":"• the reference line,","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":126,"text":"• the arrow, and","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":127,"text":"• the tail.","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":128,"text":"Of these three, the reference line and the arrow are compulsory features of all welding symbols.","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":130,"text":"Figure 8 – Reference Line, Arrow, Tail","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":133,"text":"• The reference line is a straight, horizontal line. Its purpose is to contain, above or below it, any tags, symbols, notations that describe the type, dimensions, or location of the weld. The line has an arrow attached at one end and a tail at the other.","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":134,"text":"• The arrow joins the reference line to the joint at which the weld will be applied. The stem of the arrow should not be horizontal. It may be attached to the right end or left end of the reference line. The direction that the arrow points (up or down) is usually irrelevant. However, for some welds there is significance if the arrow has a crook in it, as in b), or it points back toward the reference line, as in d).","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":135,"text":"• The tail is attached to the opposite end of the arrow. The tail contains supplemental information to produce the specified weld. This additional information can not be shown on the reference line. For example, in Figure 8(c), “SMAW” is inserted in the tail to indicate the welding process is shielded metal arc welding. If no additional information is necessary, the tail may be left off, as in Figures 8(b) and 8(d).","head1":"","head2":"Reference Line, Arrow, and Tail"},
+    {"block":136,"text":"Arrow Side vs. Other Side","head1":"","head2":"Arrow Side vs. Other Side","heading":true},
+    {"block":137,"text":"The arrow and the reference line work together to indicate which side of a joint the weld must be applied to. Obviously, this is very important to a welder.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":138,"text":"• The arrow points at (touches) one side of the joint. That side is called the arrow side. The opposite side of the joint is then referred to as the other side.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":139,"text":"• The location of the information at the reference line determines whether the weld should be applied to the arrow side or to the other side. Any information below the reference line applies to the arrow side of the joint, while information above the reference line applies to the other side of the joint. In many cases, a joint will be welded from both sides, in which case there will be corresponding information both above and below the reference line.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":140,"text":"Figure 9 shows some simple examples of arrow side and other side.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":141,"text":"a) A butt joint is shown, with a V-groove symbol above the reference line, so the weld is made on the other side of the joint.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":142,"text":"b) The symbol is shown below the line so the weld is made on the arrow side of the joint.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":143,"text":"c) A V-groove symbol is both above and below the line, so a weld is applied to both sides of the joint.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":144,"text":"d) A fillet joint is shown, with a fillet weld symbol above the reference line. The weld is made on the other side of the joint.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":146,"text":"Figure 9 – Arrow Side, Other Side","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":150,"text":"Objective 5","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":152,"text":"Identify and explain the meaning of supplemental welding symbols, not specific to the weld itself.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":154,"text":"Supplemental Weld Symbols","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":155,"text":"Besides specific weld identifiers, there are other symbols that identify features of the weld procedure, not specific to the weld itself. These are shown in Figure 10 and described after the figure. The symbols are shown mounted on the reference line, as they would be.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":157,"text":"Figure 10 – Supplementary Welding Symbols","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":160,"text":"• Melt Through: This was described earlier as root weld that extends beyond the surface at the bottom of a groove weld. It is an intentional process, so is shown on the welding symbol. Since it occurs on the back (other) side of the weld it is always shown above the reference line.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":161,"text":"• Field Weld: A black flag, pointing away from the arrow direction, indicates a weld that cannot be performed in the construction shop, but must be performed at the final location (ie. in the field).","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":162,"text":"• Weld All Around: A circle at the end of the reference line indicates that the weld is to be continuous around one of the joint members. Figure 4(d) showed one example. Other examples include tube ends being welded to a tubesheet, or tube stubs welded to a header.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":163,"text":"• Backing: Often a backing ring or plate is required at the back of a groove weld to prevent melt through. It is placed flush with the surface prior to welding. The root of the weld fuses with the backing, which normally remains in place after the weld.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":164,"text":"• Spacer: A spacer is similar to a backing ring, except that it fits into the space between the members of a groove weld. It not only acts as backing, but keeps the joint root open during welding. Since the spacer extends through the weld, it is shown straddling the reference line.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":165,"text":"• Consumable Insert: This refers to a filler material, which is added to the weld joint, usually to add strength.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":166,"text":"• Contour Symbols: These symbols tell the welder how the face of a weld should be finished (flat or flush, concave, or convex). If the weld itself doesn’t produce the required contour, then machining or grinding must be used to shape the surface.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":168,"text":"Objective 6","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":170,"text":"For groove and fillet welds, identify and explain welding symbols that relate to the weld configuration and joint preparation.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":172,"text":"Groove Weld Symbols","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":173,"text":"In addition to the basic weld type symbol, which shows the cross-section of the weld joint, the reference line for groove welds usually contains additional, necessary information about the weld itself or the preparation of the joint. This includes specific sizing and shaping of the joint surfaces, depth of penetration, use of backing, thickness of melt-through, and others. Three basic examples are shown in Figure 11.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":175,"text":"Figure 11 – Groove Welds","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":178,"text":"a) This weld symbol indicates a bevel joint, with bevels on both sides. The numbers in brackets to the left of the symbols indicate that the bevel on the arrow side is 7/8 inch deep and the bevel on the other side is 1/2 inch deep. For bevel joints, the perpendicular leg of the bevel symbol is always on the left. Also note that for bevel grooves the arrow is always slanted backwards to point toward the piece that is beveled.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":179,"text":"b) The weld symbol in b) indicates a U-groove joint, welded from the arrow side. The depth of weld penetration is indicated to the left of the weld symbol. Penetration depth is measured from the top of the joint to the root (bottom) of the weld.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":180,"text":"c) This symbol indicates a V-groove to be welded from the arrow side, with a melt through of 3/8 inch. Also note the contour symbol above the melt through symbol, telling the welder to finish the weld by grinding it flush.","head1":"","head2":"Arrow Side vs. Other Side"},
+    {"block":181,"text":"Fillet Weld Symbols","head1":"Fillet Weld Symbols","head2":"","heading":true},
+    {"block":182,"text":"The welding symbols for fillet welds indicate the location of the weld, size of the weld, and the surface finish required. Figure 12 shows some simple examples. Note that for the fillet weld symbol, the straight, vertical side is always on the left, regardless of the direction of the arrow or whether the symbol is above or below the reference line.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":184,"text":"Figure 12 – Fillet Welds","head1":"Fillet Weld Symbols","head2":""},
+    {"block":187,"text":"a) The welding symbol in (a) indicates that the T joint has a single fillet weld on one side only, the other side from the arrow. The size of the weld is shown to the left of the fillet weld symbol. Since there is only one dimension shown, the weld legs are required to be equal. For fillet welds, the contour tag is placed parallel to the slanted side of the symbol; in this case the line indicates that the weld face is to be flat. The method used to flatten is shown by the letter “G”, which stands for grinding.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":188,"text":"b) In some cases, a fillet weld is required to have different leg lengths. The T joint in (b) has fillet welds on both sides of the joint. On the arrow side the weld is symmetrical with a leg of 3/8 inch. On the other side, the leg along A is 3/8 inch, but along B is 1/2 inch. This is indicated on the welding symbol by “3/8 × 1/2.” A note in the tail tells which leg is 1/2 inch. Note that the contour on the arrow side is convex, while on the other side it is flat.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":189,"text":"c) The fillet welds in (c) are intermittent welds. On the left side of each weld symbol is the leg length. On the right side of each symbol is the length of each weld and the pitch. For example “2 – 6” means the welds are two inches long and are spaced 6 inches apart, center-to-center. If the welds on one side are staggered with the other side, the fillet symbols are offset on the welding symbol, as shown","head1":"Fillet Weld Symbols","head2":""},
+    {"block":191,"text":"Chapter Questions","head1":"Fillet Weld Symbols","head2":""},
+    {"block":194,"text":"1. Identify five fundamental pieces of information provided by welding symbols.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":195,"text":"2. With regard to welding symbols, describe the relationship between the ANSI/AWS A2.4-98 and CSA W-59 standards.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":196,"text":"3. Illustrate the five basic weld joint types.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":197,"text":"4. Draw a weld symbol to match the following joint. The weld procedure stipulates GTAW.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":199,"text":"5. Define the following terms, with the aid of simple illustrations:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":200,"text":"(a) Root Opening","head1":"Fillet Weld Symbols","head2":""},
+    {"block":201,"text":"(b) Reinforcement","head1":"Fillet Weld Symbols","head2":""},
+    {"block":202,"text":"(c) Groove Angle","head1":"Fillet Weld Symbols","head2":""},
+    {"block":203,"text":"6. Under what circumstance would the joint indicated by the following weld symbol be used?","head1":"Fillet Weld Symbols","head2":""},
+    {"block":205,"text":"7. Draw the following weld symbols:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":206,"text":"(a) single welded V-groove, other side","head1":"Fillet Weld Symbols","head2":""},
+    {"block":207,"text":"(b) double-welded bevel groove, ground flush on arrow side","head1":"Fillet Weld Symbols","head2":""},
+    {"block":208,"text":"(c) single welded V-groove, arrow side, with backing.","head1":"Fillet Weld Symbols","head2":""},
+    {"block":209,"text":"Self-Assessment","head1":"Fillet Weld Symbols","head2":""},
+    {"block":210,"text":"Question 1","head1":"Fillet Weld Symbols","head2":""},
+    {"block":211,"text":"The two fundamental weld joint categories are:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":212,"text":"riveted and welded","head1":"Fillet Weld Symbols","head2":""},
+    {"block":213,"text":"fillet and groove","head1":"Fillet Weld Symbols","head2":""},
+    {"block":214,"text":"arc and gas","head1":"Fillet Weld Symbols","head2":""},
+    {"block":215,"text":"single sided and double sided","head1":"Fillet Weld Symbols","head2":""},
+    {"block":221,"text":"Question 2","head1":"Fillet Weld Symbols","head2":""},
+    {"block":222,"text":"The \"flag\" in the following weld symbol represents:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":223,"text":"field weld","head1":"Fillet Weld Symbols","head2":""},
+    {"block":224,"text":"weld all around","head1":"Fillet Weld Symbols","head2":""},
+    {"block":225,"text":"shop weld","head1":"Fillet Weld Symbols","head2":""},
+    {"block":226,"text":"special surface preparation","head1":"Fillet Weld Symbols","head2":""},
+    {"block":232,"text":"Question 3","head1":"Fillet Weld Symbols","head2":""},
+    {"block":233,"text":"A proper weld symbol will not show:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":234,"text":"the information pertinent to the welder performing the weld","head1":"Fillet Weld Symbols","head2":""},
+    {"block":235,"text":"the exact location of the weld","head1":"Fillet Weld Symbols","head2":""},
+    {"block":236,"text":"the identity of the welder performing the weld","head1":"Fillet Weld Symbols","head2":""},
+    {"block":237,"text":"the weld joint preparation","head1":"Fillet Weld Symbols","head2":""},
+    {"block":243,"text":"Question 4","head1":"Fillet Weld Symbols","head2":""},
+    {"block":244,"text":"In the following diagram, the \"4\" means:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":245,"text":"total number of intermittent welds","head1":"Fillet Weld Symbols","head2":""},
+    {"block":246,"text":"length of weld on arrow side","head1":"Fillet Weld Symbols","head2":""},
+    {"block":247,"text":"four passes required to finish weld on arrow side","head1":"Fillet Weld Symbols","head2":""},
+    {"block":248,"text":"length of weld on other side","head1":"Fillet Weld Symbols","head2":""},
+    {"block":254,"text":"Question 5","head1":"Fillet Weld Symbols","head2":""},
+    {"block":255,"text":"The weld joint preparation indicated by the following weld symbol is:","head1":"Fillet Weld Symbols","head2":""},
+    {"block":256,"text":"SMAW","head1":"Fillet Weld Symbols","head2":""},
+    {"block":257,"text":"60 degree vee groove","head1":"Fillet Weld Symbols","head2":""},
+    {"block":258,"text":"60 degree double bevel groove","head1":"Fillet Weld Symbols","head2":""},
+    {"block":259,"text":"1/2\" root pass","head1":"Fillet Weld Symbols","head2":""}
+  ]
+};
@@ -0,0 +1,700 @@
+/**
+ * Full-Text Search Across Chapters
+ * Indexes the <main> text of every chapter (prebuilt in search-index.js),
+ * ranks matching passages and highlights the hits in the target chapter
+ * with next/previous navigation
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const CHAPTERS = Chapters.CHAPTERS.map(chapter => ({
+    file: chapter.file,
+    label: `Chapter ${chapter.number}`,
+    title: chapter.title
+  }));
+  const BLOCK_SELECTOR = 'p, li, td, th, h1, h2, h3, h4, h5, h6, figcaption, pre';
+  const SKIP_SELECTOR = 'script, style, .MJX_Assistive_MathML';
+  const HIT_CLASS = 'search-hit';
+  const ACTIVE_HIT_CLASS = 'search-hit-active';
+  const MAX_RESULTS = 50;
+  const SNIPPET_RADIUS = 60;
+  const MIN_QUERY_LENGTH = 2;
+  const SEARCH_DELAY = 250;
+  const SEARCH_HASH_PATTERN = /(?:^|[#&])search=([^&]*)/;
+  const BLOCK_HASH_PATTERN = /(?:^|[#&])block=(\d+)/;
+  const INDEX_SCRIPT = 'search-index.js';
+
+  // State
+  let currentChapter = null;
+  let index = null;
+  let indexPromise = null;
+  let hits = [];
+  let currentHit = -1;
+
+  /**
+   * Initialize the search system
+   */
+  function init() {
+    currentChapter = CHAPTERS.find(c => c.file === getPageFile(window.location.pathname)) || null;
+
+    // Index page: inline search box
+    const inline = document.getElementById('site-search');
+    if (inline) {
+      renderSearchUI(inline);
+    }
+
+    // Chapter pages: toggle button, modal and hit navigator
+    if (currentChapter) {
+      createToggleButton();
+      createModal();
+      createHitBar();
+      setupEventListeners();
+      highlightFromHash();
+    }
+  }
+
+  /**
+   * Get the file name of a page URL
+   */
+  function getPageFile(url) {
+    return decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+  }
+
+  /**
+   * Fold text for matching: lowercase, plain quotes and dashes, every
+   * whitespace character as a space. The mapping is one character to one
+   * character, so offsets in folded text are valid in the original.
+   */
+  function fold(text) {
+    return text
+      .toLowerCase()
+      .replace(/[‘’‛′]/g, "'")
+      .replace(/[“”″]/g, '"')
+      .replace(/[–—]/g, '-')
+      .replace(/\s/g, ' ');
+  }
+
+  /**
+   * Split a query into terms; "quoted phrases" stay together
+   */
+  function parseQuery(query) {
+    const folded = fold(query).replace(/ +/g, ' ').trim();
+    const terms = (folded.match(/"[^"]+"|\S+/g) || [])
+      .map(term => term.replace(/"/g, '').trim())
+      .filter(Boolean);
+
+    return {
+      terms: Array.from(new Set(terms)),
+      phrase: folded.replace(/"/g, '').trim()
+    };
+  }
+
+  /**
+   * Build a regular expression that finds any query term in page text,
+   * allowing line breaks and runs of spaces inside phrases
+   */
+  function buildTermPattern(terms) {
+    const parts = terms
+      .slice()
+      .sort((a, b) => b.length - a.length)
+      .map(term => term.split(' ').map(escapeRegExp).join(' +'));
+    return new RegExp(parts.join('|'), 'g');
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Split a chapter's <main> into searchable text blocks, each tagged with
+   * the section (h2.head1) and subsection (h3.head2) it sits under.
+   * Block numbers count every BLOCK_SELECTOR element in document order,
+   * so the same number finds the same element when the page is opened.
+   * build-search-index.js numbers the prebuilt index the same way.
+   */
+  function extractBlocks(main) {
+    const elements = Array.from(main.querySelectorAll(BLOCK_SELECTOR));
+    const texts = new Map();
+
+    const walker = main.ownerDocument.createTreeWalker(main, NodeFilter.SHOW_TEXT, null, false);
+    let node;
+    while ((node = walker.nextNode()) !== null) {
+      const parent = node.parentElement;
+      if (!parent || parent.closest(SKIP_SELECTOR)) continue;
+
+      const block = parent.closest(BLOCK_SELECTOR);
+      if (!block || !main.contains(block)) continue;
+
+      texts.set(block, (texts.get(block) || '') + node.textContent);
+    }
+
+    const blocks = [];
+    let head1 = '';
+    let head2 = '';
+
+    elements.forEach((element, i) => {
+      const text = (texts.get(element) || '').replace(/\s+/g, ' ').trim();
+
+      if (element.matches('h2.head1')) {
+        head1 = text;
+        head2 = '';
+      } else if (element.matches('h3.head2')) {
+        head2 = text;
+      }
+
+      if (!text) return;
+
+      blocks.push({
+        block: i,
+        text: text,
+        folded: fold(text),
+        head1: head1,
+        head2: head2,
+        heading: /^H[1-6]$/.test(element.tagName)
+      });
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Load the prebuilt text of the chapters (search-index.js, written by
+   * build-search-index.js). A script tag works from file:// too, where
+   * browsers refuse to fetch the chapters. Resolves to null without it.
+   */
+  function loadPrebuiltIndex() {
+    return new Promise(resolve => {
+      const script = document.createElement('script');
+      script.src = INDEX_SCRIPT;
+      script.onload = () => resolve(window.searchIndex || null);
+      script.onerror = () => resolve(null);
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Load and index every chapter (once per page view). The current
+   * chapter is read from the live page and the others from the prebuilt
+   * index; a chapter missing from it is fetched, except from file://.
+   */
+  function loadIndex(onProgress) {
+    if (indexPromise) return indexPromise;
+
+    indexPromise = (async () => {
+      const loaded = [];
+      const failed = [];
+      const isLocalFile = window.location.protocol === 'file:';
+      const prebuilt = await loadPrebuiltIndex();
+
+      for (let i = 0; i < CHAPTERS.length; i++) {
+        const chapter = CHAPTERS[i];
+        onProgress(i, CHAPTERS.length);
+
+        if (chapter !== currentChapter && prebuilt && Array.isArray(prebuilt[chapter.file])) {
+          loaded.push({
+            chapter: chapter,
+            blocks: prebuilt[chapter.file].map(block => Object.assign({}, block, { folded: fold(block.text), heading: !!block.heading }))
+          });
+          continue;
+        }
+
+        try {
+          let main;
+          if (chapter === currentChapter) {
+            main = document.querySelector('main');
+          } else if (isLocalFile) {
+            failed.push(chapter);
+            continue;
+          } else {
+            const response = await fetch(chapter.file);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+            main = doc.querySelector('main');
+          }
+          if (!main) throw new Error('No <main> element');
+
+          loaded.push({ chapter: chapter, blocks: extractBlocks(main) });
+        } catch (e) {
+          console.warn(`Could not index ${chapter.file}:`, e);
+          failed.push(chapter);
+        }
+      }
+
+      onProgress(CHAPTERS.length, CHAPTERS.length);
+      index = { chapters: loaded, failed: failed, isLocalFile: isLocalFile };
+      return index;
+    })();
+
+    return indexPromise;
+  }
+
+  /**
+   * Count the occurrences of a term in folded text
+   */
+  function countOccurrences(folded, term) {
+    let count = 0;
+    let pos = folded.indexOf(term);
+    while (pos !== -1) {
+      count++;
+      pos = folded.indexOf(term, pos + term.length);
+    }
+    return count;
+  }
+
+  /**
+   * Rank blocks that contain every query term. Terms are weighted by how
+   * rare they are across all chapters (TF-IDF); exact phrase matches and
+   * headings are boosted, long blocks are damped.
+   */
+  function runSearch(query) {
+    const q = parseQuery(query);
+    if (!index || q.phrase.length < MIN_QUERY_LENGTH) return [];
+
+    const all = [];
+    index.chapters.forEach(entry => {
+      entry.blocks.forEach(block => all.push({ chapter: entry.chapter, block: block }));
+    });
+
+    const idf = {};
+    q.terms.forEach(term => {
+      const df = all.filter(item => item.block.folded.includes(term)).length;
+      idf[term] = Math.log(1 + all.length / Math.max(1, df));
+    });
+
+    const results = [];
+    all.forEach(item => {
+      const folded = item.block.folded;
+      let score = 0;
+
+      for (const term of q.terms) {
+        const tf = countOccurrences(folded, term);
+        if (tf === 0) return;
+        score += (1 + Math.log(tf)) * idf[term];
+      }
+
+      if (q.terms.length > 1 && folded.includes(q.phrase)) score *= 2;
+      if (item.block.heading) score *= 1.5;
+      score /= 1 + Math.log(1 + folded.length / 400);
+
+      results.push({ chapter: item.chapter, block: item.block, score: score });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS);
+  }
+
+  /**
+   * Build an HTML snippet around the first match, with all terms marked
+   */
+  function buildSnippet(block, q) {
+    const folded = block.folded;
+    let pos = folded.indexOf(q.phrase);
+    if (pos === -1) {
+      pos = Math.min(...q.terms.map(term => folded.indexOf(term)).filter(p => p !== -1));
+    }
+
+    let start = Math.max(0, pos - SNIPPET_RADIUS);
+    let end = Math.min(folded.length, pos + SNIPPET_RADIUS * 2);
+    if (start > 0) {
+      const space = folded.indexOf(' ', start);
+      if (space !== -1 && space < pos) start = space + 1;
+    }
+    if (end < folded.length) {
+      const space = folded.lastIndexOf(' ', end);
+      if (space > pos) end = space;
+    }
+
+    const text = block.text.substring(start, end);
+    const html = markTerms(text, fold(text), q.terms);
+    return (start > 0 ? '…' : '') + html + (end < folded.length ? '…' : '');
+  }
+
+  /**
+   * Escape text and wrap every term occurrence in <mark>
+   */
+  function markTerms(text, folded, terms) {
+    const ranges = [];
+    terms.forEach(term => {
+      let pos = folded.indexOf(term);
+      while (pos !== -1) {
+        ranges.push([pos, pos + term.length]);
+        pos = folded.indexOf(term, pos + term.length);
+      }
+    });
+
+    // Merge overlapping matches (e.g. "steam" inside "steam table")
+    const merged = [];
+    ranges.sort((a, b) => a[0] - b[0]).forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range.slice());
+      }
+    });
+
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+      html += escapeHtml(text.substring(cursor, start)) + '<mark>' + escapeHtml(text.substring(start, end)) + '</mark>';
+      cursor = end;
+    });
+    return html + escapeHtml(text.substring(cursor));
+  }
+
+  /**
+   * Render a search box with results into a container
+   */
+  function renderSearchUI(container) {
+    container.innerHTML = `
+      <div class="search-box">
+        <input class="search-input" type="search" placeholder="Search all chapters, e.g. dryness fraction" aria-label="Search all chapters" autocomplete="off" />
+        <div class="search-status" role="status"></div>
+        <div class="search-results"></div>
+      </div>
+    `;
+
+    const input = container.querySelector('.search-input');
+    let timer = null;
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => updateResults(container), SEARCH_DELAY);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        clearTimeout(timer);
+        updateResults(container);
+      }
+    });
+  }
+
+  /**
+   * Run the search for a container's input and render the results
+   */
+  async function updateResults(container) {
+    const query = container.querySelector('.search-input').value;
+    const status = container.querySelector('.search-status');
+    const list = container.querySelector('.search-results');
+
+    if (parseQuery(query).phrase.length < MIN_QUERY_LENGTH) {
+      status.textContent = '';
+      list.innerHTML = '';
+      return;
+    }
+
+    await loadIndex((done, total) => {
+      if (done < total) status.textContent = `Indexing chapters… ${done}/${total}`;
+    });
+
+    // Ignore stale searches if the query changed while indexing
+    if (container.querySelector('.search-input').value !== query) return;
+
+    const results = runSearch(query);
+    const q = parseQuery(query);
+    let failedNote = '';
+    if (index.isLocalFile && index.failed.length) {
+      failedNote = ` (${index.failed.map(c => c.label).join(', ')} can't be searched from a page opened as a file without ${INDEX_SCRIPT}; run node build-search-index.js or open the site from a web server)`;
+    } else if (index.failed.length) {
+      failedNote = ` (${index.failed.map(c => c.label).join(', ')} could not be loaded)`;
+    }
+    status.textContent = (results.length === 0
+      ? 'No matches'
+      : `${results.length === MAX_RESULTS ? 'Top ' : ''}${results.length} match${results.length === 1 ? '' : 'es'}`) + failedNote;
+
+    list.innerHTML = results.map(result => `
+      <a class="search-result" href="${escapeHtml(result.chapter.file + '#search=' + encodeURIComponent(query.trim()) + '&block=' + result.block.block)}"
+         data-file="${escapeHtml(result.chapter.file)}" data-block="${result.block.block}">
+        <span class="search-result-chapter">${escapeHtml(result.chapter.label)} · ${escapeHtml(result.chapter.title)}</span>
+        ${result.block.head1 ? `<span class="search-result-section">${escapeHtml([result.block.head1, result.block.head2].filter(Boolean).join(' › '))}</span>` : ''}
+        <span class="search-result-snippet">${buildSnippet(result.block, q)}</span>
+      </a>
+    `).join('');
+
+    // Results in the open chapter are highlighted without reloading
+    list.querySelectorAll('.search-result').forEach(link => {
+      link.addEventListener('click', (e) => {
+        if (!currentChapter || link.dataset.file !== currentChapter.file) return;
+        e.preventDefault();
+        closeModal();
+        highlightHits(query.trim(), parseInt(link.dataset.block, 10));
+      });
+    });
+  }
+
+  /**
+   * Create the search toggle button
+   */
+  function createToggleButton() {
+    const toggleBtn = document.createElement('button');
+    toggleBtn.id = 'search-toggle';
+    toggleBtn.className = 'search-toggle';
+    toggleBtn.innerHTML = '🔍';
+    toggleBtn.setAttribute('aria-label', 'Search all chapters');
+    toggleBtn.title = 'Search';
+    document.body.appendChild(toggleBtn);
+  }
+
+  /**
+   * Create the search modal
+   */
+  function createModal() {
+    const overlay = document.createElement('div');
+    overlay.id = 'search-overlay';
+    overlay.className = 'search-overlay';
+
+    overlay.innerHTML = `
+      <div class="search-modal" role="dialog" aria-labelledby="search-title" aria-modal="true">
+        <div class="search-header">
+          <h2 id="search-title">Search</h2>
+          <button class="search-close" aria-label="Close search">×</button>
+        </div>
+        <div id="search-modal-body"></div>
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+    renderSearchUI(document.getElementById('search-modal-body'));
+  }
+
+  /**
+   * Create the bar used to step through hits in the page
+   */
+  function createHitBar() {
+    const bar = document.createElement('div');
+    bar.id = 'search-hitbar';
+    bar.className = 'search-hitbar';
+    bar.setAttribute('role', 'region');
+    bar.setAttribute('aria-label', 'Search hits');
+
+    bar.innerHTML = `
+      <span class="search-hitbar-query"></span>
+      <span class="search-hitbar-count" aria-live="polite"></span>
+      <button class="search-hitbar-prev" aria-label="Previous match" title="Previous (Shift+Enter)">▲</button>
+      <button class="search-hitbar-next" aria-label="Next match" title="Next (Enter)">▼</button>
+      <button class="search-hitbar-close" aria-label="Clear search highlights" title="Clear (Esc)">×</button>
+    `;
+
+    document.body.appendChild(bar);
+  }
+
+  /**
+   * Setup event listeners
+   */
+  function setupEventListeners() {
+    const overlay = document.getElementById('search-overlay');
+    const bar = document.getElementById('search-hitbar');
+
+    document.getElementById('search-toggle').addEventListener('click', openModal);
+    overlay.querySelector('.search-close').addEventListener('click', closeModal);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) closeModal();
+    });
+
+    bar.querySelector('.search-hitbar-prev').addEventListener('click', () => goToHit(currentHit - 1));
+    bar.querySelector('.search-hitbar-next').addEventListener('click', () => goToHit(currentHit + 1));
+    bar.querySelector('.search-hitbar-close').addEventListener('click', clearHits);
+
+    document.addEventListener('keydown', (e) => {
+      if (overlay.classList.contains('active')) {
+        if (e.key === 'Escape') closeModal();
+        return;
+      }
+      if (!bar.classList.contains('active')) return;
+
+      if (e.key === 'Escape') {
+        clearHits();
+      } else if (e.key === 'Enter' && !e.target.closest('input, textarea, select, button')) {
+        e.preventDefault();
+        goToHit(e.shiftKey ? currentHit - 1 : currentHit + 1);
+      }
+    });
+  }
+
+  /**
+   * Open the search modal
+   */
+  function openModal() {
+    const overlay = document.getElementById('search-overlay');
+    overlay.classList.add('active');
+    setTimeout(() => overlay.querySelector('.search-input').focus(), 100);
+  }
+
+  /**
+   * Close the search modal
+   */
+  function closeModal() {
+    const overlay = document.getElementById('search-overlay');
+    if (!overlay || !overlay.classList.contains('active')) return;
+    overlay.classList.remove('active');
+    document.getElementById('search-toggle').focus();
+  }
+
+  /**
+   * Highlight hits for a query opened from another page (#search=…&block=…)
+   */
+  function highlightFromHash() {
+    const match = window.location.hash.match(SEARCH_HASH_PATTERN);
+    if (!match) return;
+
+    const query = decodeURIComponent(match[1]);
+    const blockMatch = window.location.hash.match(BLOCK_HASH_PATTERN);
+    const block = blockMatch ? parseInt(blockMatch[1], 10) : findBestBlock(query);
+
+    // Let the page's own scroll restore run first
+    setTimeout(() => highlightHits(query, block), 300);
+  }
+
+  /**
+   * Pick the passage in this chapter that contains the most query terms,
+   * for links that name a topic but not a block
+   */
+  function findBestBlock(query) {
+    const main = document.querySelector('main');
+    const q = parseQuery(query);
+    if (!main || q.terms.length === 0) return -1;
+
+    let best = -1;
+    let bestScore = 0;
+    extractBlocks(main).forEach(block => {
+      let score = 0;
+      q.terms.forEach(term => {
+        const tf = countOccurrences(block.folded, term);
+        if (tf > 0) score += 1 + Math.log(tf) / 10;
+      });
+      if (block.heading) score *= 1.1;
+      if (score > bestScore) {
+        best = block.block;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Mark every occurrence of the query terms in the chapter and jump to the
+   * first hit in the chosen block
+   */
+  function highlightHits(query, blockIndex) {
+    clearHits();
+
+    const main = document.querySelector('main');
+    const q = parseQuery(query);
+    if (!main || q.terms.length === 0) return;
+
+    const pattern = buildTermPattern(q.terms);
+    const textNodes = [];
+    const walker = document.createTreeWalker(main, NodeFilter.SHOW_TEXT, null, false);
+    let node;
+    while ((node = walker.nextNode()) !== null) {
+      if (node.parentElement && !node.parentElement.closest(SKIP_SELECTOR)) {
+        textNodes.push(node);
+      }
+    }
+
+    textNodes.forEach(textNode => {
+      const matches = Array.from(fold(textNode.textContent).matchAll(pattern));
+
+      // Wrap from the end so earlier offsets stay valid
+      for (let i = matches.length - 1; i >= 0; i--) {
+        const start = matches[i].index;
+        const end = start + matches[i][0].length;
+        if (end < textNode.textContent.length) textNode.splitText(end);
+        const target = start > 0 ? textNode.splitText(start) : textNode;
+
+        const mark = document.createElement('mark');
+        mark.className = HIT_CLASS;
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+      }
+    });
+
+    hits = Array.from(main.querySelectorAll(`mark.${HIT_CLASS}`));
+
+    const bar = document.getElementById('search-hitbar');
+    bar.querySelector('.search-hitbar-query').textContent = `“${query}”`;
+    bar.classList.add('active');
+
+    if (hits.length === 0) {
+      currentHit = -1;
+      bar.querySelector('.search-hitbar-count').textContent = 'No matches on this page';
+      return;
+    }
+
+    // Start at the first hit inside (or after) the chosen block
+    let first = 0;
+    const block = blockIndex >= 0 ? main.querySelectorAll(BLOCK_SELECTOR)[blockIndex] : null;
+    if (block) {
+      const found = hits.findIndex(hit =>
+        block.contains(hit) || (block.compareDocumentPosition(hit) & Node.DOCUMENT_POSITION_FOLLOWING)
+      );
+      if (found !== -1) first = found;
+    }
+
+    goToHit(first);
+  }
+
+  /**
+   * Scroll to a hit (wrapping around at either end)
+   */
+  function goToHit(i) {
+    if (hits.length === 0) return;
+
+    if (currentHit >= 0 && hits[currentHit]) {
+      hits[currentHit].classList.remove(ACTIVE_HIT_CLASS);
+    }
+
+    currentHit = (i + hits.length) % hits.length;
+    const hit = hits[currentHit];
+    hit.classList.add(ACTIVE_HIT_CLASS);
+    hit.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    document.querySelector('#search-hitbar .search-hitbar-count').textContent =
+      `${currentHit + 1} of ${hits.length}`;
+  }
+
+  /**
+   * Remove all hit highlights and hide the navigator
+   */
+  function clearHits() {
+    const parents = new Set();
+    document.querySelectorAll(`mark.${HIT_CLASS}`).forEach(mark => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) {
+        parent.insertBefore(mark.firstChild, mark);
+      }
+      parent.removeChild(mark);
+      parents.add(parent);
+    });
+    parents.forEach(parent => parent.normalize());
+
+    hits = [];
+    currentHit = -1;
+
+    const bar = document.getElementById('search-hitbar');
+    if (bar) bar.classList.remove('active');
+  }
+
+  /**
+   * Escape HTML
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,412 @@
+/**
+ * Chapter Table of Contents and Section Navigator
+ * Builds a collapsible sidebar from the chapter headings, figure captions
+ * and worked examples, and tracks the current section while scrolling
+ */
+
+(function() {
+  'use strict';
+
+  // Configuration
+  const STORAGE_KEY = 'tocOpen';
+  const TITLE_SELECTOR = 'h1.chpTitle';
+  const SECTION_SELECTOR = 'h2.head1, h3.head2';
+  const FIGURE_SELECTOR = 'p[class*="T-Figure-Header"]';
+  const EXAMPLE_SELECTOR = 'p[class*="Example-Heading"]';
+  const SPY_OFFSET = 90;
+  const SECTION_HASH_PATTERN = /(?:^|[#&])section=(\d+)/;
+
+  // State
+  let sections = [];
+  let figures = [];
+  let examples = [];
+  let activeTab = 'sections';
+  let currentIndex = -1;
+  let spyScheduled = false;
+
+  /**
+   * Initialize the table of contents
+   */
+  function init() {
+    const main = document.querySelector('main');
+    if (!main) return;
+
+    collectEntries(main);
+    if (sections.length === 0 && figures.length === 0 && examples.length === 0) return;
+
+    createToggleButton();
+    createSidebar(main);
+    setupEventListeners();
+    updateScrollSpy();
+
+    if (loadOpenState()) {
+      openSidebar();
+    }
+
+    jumpFromHash();
+  }
+
+  /**
+   * Open at the section a quiz question links to (#section=N, counting the
+   * h2.head1 / h3.head2 headings from 0)
+   */
+  function jumpFromHash() {
+    const match = window.location.hash.match(SECTION_HASH_PATTERN);
+    if (!match) return;
+
+    const entry = sections.filter(s => s.level > 0)[parseInt(match[1], 10)];
+    if (!entry) return;
+
+    // Let the page's own scroll restore run first
+    setTimeout(() => jumpTo(entry.element), 300);
+  }
+
+  /**
+   * Get the visible text of an element, treating line breaks as spaces
+   */
+  function getText(element) {
+    return Array.from(element.childNodes)
+      .map(node => (node.nodeName === 'BR' ? ' ' : node.textContent))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Collect headings, figures and examples in document order, remembering
+   * the section each figure and example belongs to
+   */
+  function collectEntries(main) {
+    const selector = [TITLE_SELECTOR, SECTION_SELECTOR, FIGURE_SELECTOR, EXAMPLE_SELECTOR].join(', ');
+    let section = '';
+
+    main.querySelectorAll(selector).forEach(element => {
+      const text = getText(element);
+      if (!text) return;
+
+      if (element.matches(TITLE_SELECTOR)) {
+        sections.push({ element: element, text: text, level: 0 });
+      } else if (element.matches('h2.head1')) {
+        section = text;
+        sections.push({ element: element, text: text, level: 1 });
+      } else if (element.matches('h3.head2')) {
+        sections.push({ element: element, text: text, level: 2 });
+      } else if (element.matches(FIGURE_SELECTOR)) {
+        figures.push({ element: element, text: text, section: section });
+      } else {
+        examples.push({ element: element, text: text, section: section });
+      }
+    });
+  }
+
+  /**
+   * Create the toggle button
+   */
+  function createToggleButton() {
+    const toggleBtn = document.createElement('button');
+    toggleBtn.id = 'toc-toggle';
+    toggleBtn.className = 'toc-toggle';
+    toggleBtn.innerHTML = '☰';
+    toggleBtn.setAttribute('aria-label', 'Toggle table of contents');
+    toggleBtn.setAttribute('aria-controls', 'toc-sidebar');
+    toggleBtn.setAttribute('aria-expanded', 'false');
+    toggleBtn.title = 'Contents';
+    document.body.appendChild(toggleBtn);
+  }
+
+  /**
+   * Create the sidebar
+   */
+  function createSidebar(main) {
+    const sidebar = document.createElement('nav');
+    sidebar.id = 'toc-sidebar';
+    sidebar.className = 'toc-sidebar';
+    sidebar.setAttribute('aria-label', 'Table of contents');
+
+    sidebar.innerHTML = `
+      <div class="toc-header">
+        <h3>Contents</h3>
+        <button class="toc-close" aria-label="Close table of contents">×</button>
+      </div>
+      <div class="toc-current" aria-live="polite"></div>
+      <div class="toc-tabs" role="tablist">
+        <button class="toc-tab active" role="tab" data-tab="sections" aria-selected="true">Sections</button>
+        <button class="toc-tab" role="tab" data-tab="figures" aria-selected="false"${figures.length ? '' : ' disabled'}>Figures (${figures.length})</button>
+        <button class="toc-tab" role="tab" data-tab="examples" aria-selected="false"${examples.length ? '' : ' disabled'}>Examples (${examples.length})</button>
+      </div>
+      <div class="toc-content">
+        <ul class="toc-list" data-panel="sections">${renderSections()}</ul>
+        <ul class="toc-list" data-panel="figures" hidden>${renderItems(figures, 'figures')}</ul>
+        <ul class="toc-list" data-panel="examples" hidden>${renderItems(examples, 'examples')}</ul>
+      </div>
+    `;
+
+    document.body.appendChild(sidebar);
+  }
+
+  /**
+   * Render the section tree; sections with subsections can be collapsed
+   */
+  function renderSections() {
+    return sections.map((entry, i) => {
+      const next = sections[i + 1];
+      const hasChildren = entry.level === 1 && next && next.level === 2;
+      return `
+        <li class="toc-item toc-level-${entry.level}" data-index="${i}">
+          ${hasChildren ? `<button class="toc-collapse" aria-label="Collapse ${escapeHtml(entry.text)}" aria-expanded="true">▾</button>` : ''}
+          <a href="#" class="toc-link" data-type="sections" data-index="${i}">${escapeHtml(entry.text)}</a>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render a flat list of figures or examples with their section
+   */
+  function renderItems(items, type) {
+    return items.map((entry, i) => `
+      <li class="toc-item">
+        <a href="#" class="toc-link" data-type="${type}" data-index="${i}">
+          ${escapeHtml(entry.text)}
+          ${entry.section ? `<span class="toc-item-section">${escapeHtml(entry.section)}</span>` : ''}
+        </a>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  function setupEventListeners() {
+    const sidebar = document.getElementById('toc-sidebar');
+
+    document.getElementById('toc-toggle').addEventListener('click', toggleSidebar);
+    sidebar.querySelector('.toc-close').addEventListener('click', closeSidebar);
+
+    sidebar.querySelectorAll('.toc-tab').forEach(tab => {
+      tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+
+    sidebar.querySelectorAll('.toc-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const lists = { sections: sections, figures: figures, examples: examples };
+        const entry = lists[link.dataset.type][parseInt(link.dataset.index, 10)];
+        if (entry) jumpTo(entry.element);
+      });
+    });
+
+    sidebar.querySelectorAll('.toc-collapse').forEach(btn => {
+      btn.addEventListener('click', () => toggleCollapse(btn));
+    });
+
+    // Close on Escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && sidebar.classList.contains('open')) {
+        closeSidebar();
+      }
+    });
+
+    // Scroll-spy, throttled to one update per frame
+    window.addEventListener('scroll', () => {
+      if (spyScheduled) return;
+      spyScheduled = true;
+      requestAnimationFrame(() => {
+        spyScheduled = false;
+        updateScrollSpy();
+      });
+    }, { passive: true });
+  }
+
+  /**
+   * Switch between the sections, figures and examples lists
+   */
+  function showTab(name) {
+    activeTab = name;
+    const sidebar = document.getElementById('toc-sidebar');
+
+    sidebar.querySelectorAll('.toc-tab').forEach(tab => {
+      const selected = tab.dataset.tab === name;
+      tab.classList.toggle('active', selected);
+      tab.setAttribute('aria-selected', String(selected));
+    });
+    sidebar.querySelectorAll('.toc-list').forEach(list => {
+      list.hidden = list.dataset.panel !== name;
+    });
+
+    if (name === 'sections') {
+      revealActiveLink();
+    }
+  }
+
+  /**
+   * Collapse or expand the subsections under a section
+   */
+  function toggleCollapse(btn) {
+    const item = btn.closest('.toc-item');
+    const expanded = btn.getAttribute('aria-expanded') === 'true';
+
+    btn.setAttribute('aria-expanded', String(!expanded));
+    btn.textContent = expanded ? '▸' : '▾';
+    btn.setAttribute('aria-label', `${expanded ? 'Expand' : 'Collapse'} ${item.querySelector('.toc-link').textContent.trim()}`);
+
+    let sibling = item.nextElementSibling;
+    while (sibling && sibling.classList.contains('toc-level-2')) {
+      sibling.classList.toggle('collapsed', expanded);
+      sibling = sibling.nextElementSibling;
+    }
+  }
+
+  /**
+   * Scroll an element into view below the sticky page header
+   */
+  function jumpTo(element) {
+    const top = window.pageYOffset + element.getBoundingClientRect().top - SPY_OFFSET + 10;
+    window.scrollTo({ top: top, behavior: 'smooth' });
+
+    element.classList.remove('toc-target');
+    // Restart the flash animation
+    void element.offsetWidth;
+    element.classList.add('toc-target');
+    setTimeout(() => element.classList.remove('toc-target'), 2000);
+
+    // On narrow screens the sidebar covers the text
+    if (window.innerWidth <= 768) {
+      closeSidebar();
+    }
+  }
+
+  /**
+   * Highlight the section currently at the top of the viewport
+   */
+  function updateScrollSpy() {
+    let index = -1;
+    for (let i = 0; i < sections.length; i++) {
+      if (sections[i].element.getBoundingClientRect().top - SPY_OFFSET > 0) break;
+      index = i;
+    }
+    if (index === currentIndex) return;
+    currentIndex = index;
+
+    const sidebar = document.getElementById('toc-sidebar');
+    sidebar.querySelectorAll('.toc-item.current, .toc-item.current-parent').forEach(item => {
+      item.classList.remove('current', 'current-parent');
+    });
+
+    const current = sidebar.querySelector('.toc-current');
+    if (index === -1) {
+      current.textContent = '';
+      return;
+    }
+
+    sidebar.querySelector(`.toc-item[data-index="${index}"]`).classList.add('current');
+
+    // Mark the enclosing section of a subsection as well
+    let parent = null;
+    if (sections[index].level === 2) {
+      for (let i = index - 1; i >= 0; i--) {
+        if (sections[i].level < 2) {
+          parent = i;
+          break;
+        }
+      }
+      if (parent !== null) {
+        sidebar.querySelector(`.toc-item[data-index="${parent}"]`).classList.add('current-parent');
+      }
+    }
+
+    current.textContent = parent !== null && sections[parent].level === 1
+      ? `${sections[parent].text} › ${sections[index].text}`
+      : sections[index].text;
+
+    if (activeTab === 'sections') {
+      revealActiveLink();
+    }
+  }
+
+  /**
+   * Keep the current section visible in the sidebar list
+   */
+  function revealActiveLink() {
+    const sidebar = document.getElementById('toc-sidebar');
+    if (!sidebar.classList.contains('open')) return;
+
+    const item = sidebar.querySelector('.toc-item.current');
+    const content = sidebar.querySelector('.toc-content');
+    if (!item) return;
+
+    const itemRect = item.getBoundingClientRect();
+    const contentRect = content.getBoundingClientRect();
+    if (itemRect.top < contentRect.top || itemRect.bottom > contentRect.bottom) {
+      content.scrollTop += itemRect.top - contentRect.top - contentRect.height / 3;
+    }
+  }
+
+  /**
+   * Toggle sidebar visibility
+   */
+  function toggleSidebar() {
+    const sidebar = document.getElementById('toc-sidebar');
+    if (sidebar.classList.contains('open')) {
+      closeSidebar();
+    } else {
+      openSidebar();
+    }
+  }
+
+  /**
+   * Open the sidebar
+   */
+  function openSidebar() {
+    document.getElementById('toc-sidebar').classList.add('open');
+    document.getElementById('toc-toggle').setAttribute('aria-expanded', 'true');
+    saveOpenState(true);
+    revealActiveLink();
+  }
+
+  /**
+   * Close the sidebar
+   */
+  function closeSidebar() {
+    document.getElementById('toc-sidebar').classList.remove('open');
+    document.getElementById('toc-toggle').setAttribute('aria-expanded', 'false');
+    saveOpenState(false);
+  }
+
+  /**
+   * Remember whether the sidebar was left open (shared by all chapters)
+   */
+  function saveOpenState(open) {
+    try {
+      localStorage.setItem(STORAGE_KEY, open ? '1' : '0');
+    } catch (e) {}
+  }
+
+  /**
+   * Read whether the sidebar was left open
+   */
+  function loadOpenState() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) === '1';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Escape HTML
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // Initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+})();
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Question Bank Validator
+ * Lints questions.js before it is published, along with the question
+ * templates in question-templates.js.
+ *
+ * Usage: node validate-questions.js [questions.js] [--json] [--strict]
+ *   --json    print the report as JSON
+ *   --strict  exit with an error when there are warnings as well
+ *
+ * Exits with status 1 when errors are found (or warnings, with --strict).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { lintQuestionBank } = require('./question-lint');
+const { lintTemplates } = require('./question-generator');
+
+// Configuration
+const TEMPLATES_FILE = 'question-templates.js';
+
+/**
+ * Run questions.js in a sandbox and return its arrQuizDB
+ */
+function loadQuestionBank(file) {
+  const sandbox = {};
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  if (!sandbox.arrQuizDB) {
+    throw new Error(`${file} does not define arrQuizDB`);
+  }
+  return sandbox.arrQuizDB;
+}
+
+/**
+ * Run question-templates.js in a sandbox and return its questionTemplates
+ */
+function loadTemplates(file) {
+  const sandbox = {};
+  vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  return sandbox.questionTemplates || [];
+}
+
+/**
+ * Print a human-readable report, errors first
+ */
+function printReport(file, result) {
+  const problems = result.problems
+    .slice()
+    .sort((a, b) => (a.severity === b.severity ? a.index - b.index : a.severity === 'error' ? -1 : 1));
+
+  problems.forEach(p => {
+    const where = p.index >= 0 ? `#${p.index + 1}` : '';
+    console.log(`${p.severity.toUpperCase().padEnd(7)} ${where.padEnd(5)} [${p.code}] ${p.message}`);
+    if (p.text) console.log(`              "${p.text}"`);
+  });
+
+  console.log(`\n${path.basename(file)}: ${result.total} question(s), ${result.errors} error(s), ${result.warnings} warning(s)`);
+}
+
+function main(argv) {
+  const args = argv.filter(arg => !arg.startsWith('--'));
+  const flags = new Set(argv.filter(arg => arg.startsWith('--')));
+  const file = path.resolve(args[0] || path.join(__dirname, 'questions.js'));
+
+  let result;
+  try {
+    result = lintQuestionBank(loadQuestionBank(file));
+  } catch (e) {
+    console.error(`Could not load ${file}: ${e.message}`);
+    return 2;
+  }
+
+  const templatesFile = path.join(__dirname, TEMPLATES_FILE);
+  if (fs.existsSync(templatesFile)) {
+    try {
+      const problems = lintTemplates(loadTemplates(templatesFile));
+      result.problems = result.problems.concat(problems);
+      result.errors += problems.filter(p => p.severity === 'error').length;
+      result.warnings += problems.filter(p => p.severity === 'warning').length;
+    } catch (e) {
+      console.error(`Could not load ${templatesFile}: ${e.message}`);
+      return 2;
+    }
+  }
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printReport(file, result);
+  }
+
+  return result.errors > 0 || (flags.has('--strict') && result.warnings > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { loadQuestionBank };